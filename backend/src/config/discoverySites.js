@@ -0,0 +1,34 @@
+/**
+ * Sites sitemap discovery starts from, besides the websites of providers
+ * in the provider directory. Each site's robots.txt sitemaps are read for
+ * scholarship pages; a site without sitemaps is scraped at the URL listed
+ * here.
+ */
+export const DISCOVERY_SEED_SITES = [
+  "https://scholarships.gov.in",
+  "https://www.buddy4study.com",
+  "https://www.vidyalakshmi.co.in",
+  "https://www.aicte-india.org",
+  "https://www.ugc.ac.in",
+  "https://www.dst.gov.in",
+  "https://www.education.gov.in",
+  "https://www.minorityaffairs.gov.in",
+  "https://socialjustice.gov.in",
+  "https://tribal.gov.in",
+  "https://www.wcd.gov.in",
+  "https://www.msde.gov.in",
+  "https://www.icar.org.in",
+  "https://www.csir.res.in",
+  "https://www.drdo.gov.in",
+  "https://www.isro.gov.in",
+  "https://www.tcs.com/careers/india-careers/TCS-scholarship-program",
+  "https://www.tatacapital.com/blog/loan-for-education/scholarships-for-students/",
+  "https://www.reliance.com/reliance-foundation/",
+  "https://www.bharatpetroleum.in/scholarship/",
+  "https://www.ongcindia.com/web/eng/scholarships",
+  "https://www.sail.co.in/scholarships",
+  "https://www.ntpc.co.in/sustainability/scholarships",
+  "https://www.indianoil.co.in/Merit%20Scholarship",
+];
+
+export default DISCOVERY_SEED_SITES;
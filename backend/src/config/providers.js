@@ -0,0 +1,152 @@
+/**
+ * Providers seeded into the provider directory on startup. Admins can add
+ * more and edit these through /api/providers; seeding never overwrites
+ * their edits.
+ *
+ * `aliases` are the other names sources use for a provider and
+ * `officialDomains` the sites its application links should point to
+ * (subdomains included). Central ministries list scholarships.gov.in, the
+ * National Scholarship Portal they take applications through.
+ */
+export const DEFAULT_PROVIDERS = [
+  {
+    name: "Ministry of Education",
+    type: "government-ministry",
+    aliases: [
+      "MoE",
+      "MHRD",
+      "Ministry of Human Resource Development",
+      "Department of Higher Education",
+      "Department of School Education and Literacy",
+    ],
+    officialDomains: ["education.gov.in", "scholarships.gov.in"],
+    website: "https://www.education.gov.in",
+    official: true,
+  },
+  {
+    name: "Ministry of Minority Affairs",
+    type: "government-ministry",
+    aliases: ["MoMA", "Minority Affairs"],
+    officialDomains: ["minorityaffairs.gov.in", "scholarships.gov.in"],
+    website: "https://www.minorityaffairs.gov.in",
+    official: true,
+  },
+  {
+    name: "Ministry of Social Justice and Empowerment",
+    type: "government-ministry",
+    aliases: [
+      "MSJE",
+      "Social Justice and Empowerment",
+      "Department of Social Justice",
+    ],
+    officialDomains: ["socialjustice.gov.in", "scholarships.gov.in"],
+    website: "https://socialjustice.gov.in",
+    official: true,
+  },
+  {
+    name: "Ministry of Tribal Affairs",
+    type: "government-ministry",
+    aliases: ["MoTA", "Tribal Affairs"],
+    officialDomains: ["tribal.gov.in", "tribal.nic.in", "scholarships.gov.in"],
+    website: "https://tribal.gov.in",
+    official: true,
+  },
+  {
+    name: "Department of Science and Technology",
+    type: "government-ministry",
+    aliases: ["DST"],
+    officialDomains: ["dst.gov.in", "online-inspire.gov.in"],
+    website: "https://dst.gov.in",
+    official: true,
+  },
+  {
+    name: "All India Council for Technical Education",
+    type: "government-body",
+    aliases: ["AICTE"],
+    officialDomains: ["aicte-india.org", "aicte.gov.in"],
+    website: "https://www.aicte-india.org",
+    official: true,
+  },
+  {
+    name: "University Grants Commission",
+    type: "government-body",
+    aliases: ["UGC"],
+    officialDomains: ["ugc.gov.in", "ugc.ac.in"],
+    website: "https://www.ugc.gov.in",
+    official: true,
+  },
+  {
+    name: "Vidya Lakshmi",
+    type: "government-body",
+    aliases: ["Vidyalakshmi", "Vidya Lakshmi Portal"],
+    officialDomains: ["vidyalakshmi.co.in"],
+    website: "https://www.vidyalakshmi.co.in",
+    official: true,
+  },
+  {
+    name: "Social Justice and Special Assistance Department, Maharashtra",
+    type: "state-department",
+    aliases: ["MahaDBT", "Government of Maharashtra"],
+    officialDomains: ["mahadbt.maharashtra.gov.in", "maharashtra.gov.in"],
+    website: "https://mahadbt.maharashtra.gov.in",
+    official: true,
+  },
+  {
+    name: "University of Delhi",
+    type: "university",
+    aliases: ["Delhi University"],
+    officialDomains: ["du.ac.in"],
+    website: "https://www.du.ac.in",
+    official: true,
+  },
+  {
+    name: "ONGC Foundation",
+    type: "psu",
+    aliases: ["ONGC", "Oil and Natural Gas Corporation"],
+    officialDomains: ["ongcindia.com", "ongcscholar.org"],
+    website: "https://ongcindia.com",
+    official: true,
+  },
+  {
+    name: "Indian Oil Corporation",
+    type: "psu",
+    aliases: ["IOCL", "Indian Oil"],
+    officialDomains: ["iocl.com"],
+    website: "https://iocl.com",
+    official: true,
+  },
+  {
+    name: "Reliance Foundation",
+    type: "corporate-csr",
+    aliases: ["Reliance Industries"],
+    officialDomains: ["reliancefoundation.org"],
+    website: "https://www.reliancefoundation.org",
+    official: true,
+  },
+  {
+    name: "HDFC Bank Parivartan",
+    type: "corporate-csr",
+    aliases: ["HDFC Bank", "HDFC Parivartan"],
+    officialDomains: ["hdfcbank.com"],
+    website: "https://www.hdfcbank.com",
+    official: true,
+  },
+  {
+    name: "Tata Trusts",
+    type: "trust",
+    aliases: ["Tata Trust", "Sir Dorabji Tata Trust"],
+    officialDomains: ["tatatrusts.org"],
+    website: "https://www.tatatrusts.org",
+    official: true,
+  },
+  {
+    name: "Sitaram Jindal Foundation",
+    type: "trust",
+    aliases: ["Jindal Foundation"],
+    officialDomains: ["sitaramjindalfoundation.org"],
+    website: "https://www.sitaramjindalfoundation.org",
+    official: true,
+  },
+];
+
+export default DEFAULT_PROVIDERS;
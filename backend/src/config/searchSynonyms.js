@@ -0,0 +1,215 @@
+/**
+ * Search synonyms seeded into the dictionary on startup. Admins can add
+ * more and edit these through /api/search-synonyms; seeding never
+ * overwrites their edits.
+ *
+ * A search containing `phrase` or one of its `aliases` also searches for
+ * the `expansions`. Phrases and aliases are compared after transliteration
+ * to Latin letters and with spelling differences smoothed out, so
+ * "chhatravritti", "chatravriti" and "छात्रवृत्ति" are the same entry;
+ * aliases only need the spellings that smoothing does not cover.
+ */
+export const DEFAULT_SYNONYMS = [
+  // Acronyms
+  {
+    phrase: "nsp",
+    kind: "acronym",
+    expansions: ["national scholarship portal"],
+  },
+  {
+    phrase: "pmss",
+    kind: "acronym",
+    aliases: ["pm scholarship scheme"],
+    expansions: ["prime minister scholarship scheme"],
+  },
+  {
+    phrase: "pm usp",
+    kind: "acronym",
+    aliases: ["pmusp", "csss"],
+    expansions: [
+      "central sector scheme of scholarships",
+      "pm uchchatar shiksha protsahan",
+    ],
+  },
+  {
+    phrase: "pm yasasvi",
+    kind: "acronym",
+    aliases: ["yasasvi"],
+    expansions: [
+      "pm young achievers scholarship award scheme for vibrant india",
+    ],
+  },
+  {
+    phrase: "nmms",
+    kind: "acronym",
+    aliases: ["nmmss"],
+    expansions: ["national means cum merit scholarship"],
+  },
+  {
+    phrase: "aicte",
+    kind: "acronym",
+    expansions: ["all india council for technical education"],
+  },
+  {
+    phrase: "pragati",
+    kind: "acronym",
+    aliases: ["aicte pragati"],
+    expansions: ["pragati scholarship for girl students", "aicte"],
+  },
+  {
+    phrase: "saksham",
+    kind: "acronym",
+    aliases: ["aicte saksham"],
+    expansions: ["saksham scholarship for specially abled students", "aicte"],
+  },
+  {
+    phrase: "inspire",
+    kind: "acronym",
+    aliases: ["inspire she"],
+    expansions: ["innovation in science pursuit for inspired research"],
+  },
+  {
+    phrase: "kvpy",
+    kind: "acronym",
+    expansions: ["kishore vaigyanik protsahan yojana"],
+  },
+  {
+    phrase: "ugc",
+    kind: "acronym",
+    expansions: ["university grants commission"],
+  },
+  {
+    phrase: "ews",
+    kind: "acronym",
+    expansions: ["economically weaker section"],
+  },
+  {
+    phrase: "pwd",
+    kind: "acronym",
+    aliases: ["pwbd", "cwsn"],
+    expansions: ["disabled", "disability"],
+  },
+
+  // Categories and levels as students write them
+  {
+    phrase: "sc st",
+    kind: "synonym",
+    aliases: ["scst"],
+    expansions: ["scheduled caste", "scheduled tribe"],
+  },
+  {
+    phrase: "obc",
+    kind: "synonym",
+    expansions: ["other backward classes"],
+  },
+  {
+    phrase: "post matric",
+    kind: "synonym",
+    aliases: ["postmatric", "post metric"],
+    expansions: ["post matric", "post-matric"],
+  },
+  {
+    phrase: "pre matric",
+    kind: "synonym",
+    aliases: ["prematric", "pre metric"],
+    expansions: ["pre matric", "pre-matric"],
+  },
+  {
+    phrase: "divyang",
+    kind: "synonym",
+    aliases: ["divyangjan", "specially abled", "differently abled"],
+    expansions: ["disabled", "disability"],
+  },
+
+  // Indian-language words
+  {
+    phrase: "chhatravritti",
+    kind: "regional",
+    aliases: ["छात्रवृत्ति", "chatravrutti"],
+    expansions: ["scholarship"],
+  },
+  {
+    phrase: "vazifa",
+    kind: "regional",
+    aliases: ["wazifa", "वज़ीफ़ा"],
+    expansions: ["scholarship"],
+  },
+  {
+    phrase: "britti",
+    kind: "regional",
+    aliases: ["বৃত্তি", "brritti", "vritti"],
+    expansions: ["scholarship"],
+  },
+  {
+    phrase: "ucchatara britti",
+    kind: "regional",
+    aliases: ["উচ্চতর বৃত্তি"],
+    expansions: ["higher education scholarship"],
+  },
+  {
+    phrase: "uthavithogai",
+    kind: "regional",
+    aliases: ["உதவித்தொகை", "udhavithogai", "kalvi uthavithogai"],
+    expansions: ["scholarship"],
+  },
+  {
+    phrase: "kalvi",
+    kind: "regional",
+    aliases: ["கல்வி"],
+    expansions: ["education"],
+  },
+  {
+    phrase: "shiksha",
+    kind: "regional",
+    aliases: ["शिक्षा", "siksha", "শিক্ষা"],
+    expansions: ["education"],
+  },
+  {
+    phrase: "medhavi",
+    kind: "regional",
+    aliases: ["मेधावी", "medha"],
+    expansions: ["merit"],
+  },
+  {
+    phrase: "mahila",
+    kind: "regional",
+    aliases: ["महिला", "beti", "kanya", "कन्या"],
+    expansions: ["women", "girl"],
+  },
+  {
+    phrase: "alpsankhyak",
+    kind: "regional",
+    aliases: ["अल्पसंख्यक", "sankhyalaghu"],
+    expansions: ["minority"],
+  },
+  {
+    phrase: "anusuchit jati",
+    kind: "regional",
+    aliases: ["अनुसूचित जाति", "tafsili jati"],
+    expansions: ["scheduled caste"],
+  },
+  {
+    phrase: "anusuchit janjati",
+    kind: "regional",
+    aliases: ["अनुसूचित जनजाति", "adivasi"],
+    expansions: ["scheduled tribe"],
+  },
+  {
+    phrase: "pichhda varg",
+    kind: "regional",
+    aliases: ["पिछड़ा वर्ग"],
+    expansions: ["other backward classes"],
+  },
+  {
+    phrase: "chikitsa",
+    kind: "regional",
+    aliases: ["चिकित्सा", "maruthuvam", "மருத்துவம்"],
+    expansions: ["medical"],
+  },
+  {
+    phrase: "abhiyantriki",
+    kind: "regional",
+    aliases: ["अभियांत्रिकी", "porialiyal", "பொறியியல்"],
+    expansions: ["engineering"],
+  },
+];
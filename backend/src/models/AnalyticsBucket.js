@@ -0,0 +1,42 @@
+import mongoose from "mongoose";
+
+/**
+ * Number of events of one type on one day (UTC) for one scholarship,
+ * category, state or source, or for the whole site (dimension "total")
+ */
+const analyticsBucketSchema = new mongoose.Schema(
+  {
+    day: {
+      type: Date,
+      required: true,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    dimension: {
+      type: String,
+      enum: ["total", "scholarship", "category", "state", "source"],
+      required: true,
+    },
+    // Scholarship ID, category, state or source name; "all" for totals
+    key: {
+      type: String,
+      required: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    versionKey: false,
+  }
+);
+
+analyticsBucketSchema.index(
+  { dimension: 1, type: 1, day: 1, key: 1 },
+  { unique: true }
+);
+
+export default mongoose.model("AnalyticsBucket", analyticsBucketSchema);
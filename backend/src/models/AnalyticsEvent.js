@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+
+// Raw events are kept for a little over the longest analytics range
+const RETENTION_DAYS = 400;
+
+/**
+ * Something a visitor did: a search, a filter change, a scholarship view,
+ * save or apply-link click, or a chatbot message. Daily counts are kept in
+ * AnalyticsBucket; the raw events back per-user summaries.
+ */
+const analyticsEventSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["search", "filter", "view", "save", "apply_click", "chatbot"],
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Anonymous browser ID, so signed-out visits can be told apart
+    sessionId: String,
+    scholarshipId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Scholarship",
+      default: null,
+    },
+    // Copied from the scholarship, or the filters of a search
+    category: String,
+    state: String,
+    source: String,
+    // Search text
+    query: String,
+    filters: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    occurredAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    versionKey: false,
+  }
+);
+
+analyticsEventSchema.index(
+  { occurredAt: 1 },
+  { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 }
+);
+analyticsEventSchema.index({ userId: 1, type: 1, occurredAt: -1 });
+
+export default mongoose.model("AnalyticsEvent", analyticsEventSchema);
@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+/**
+ * A scholarship page found in a site's sitemap, kept so re-crawls only
+ * visit pages that are new or changed since the last visit
+ */
+const discoveredPageSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Origin of the site, e.g. "https://scholarships.gov.in"
+    site: {
+      type: String,
+      required: true,
+    },
+    // Sitemap that listed the page; null for a site without sitemaps,
+    // whose listed URL is tracked instead
+    sitemap: {
+      type: String,
+      default: null,
+    },
+    // <lastmod> from the sitemap, when given
+    lastmod: Date,
+    lastSeenAt: Date,
+    visitedAt: Date,
+    // `lastmod` at the time of the visit; a later lastmod means changed
+    visitedLastmod: Date,
+    // universal scraper status: success, no_scholarships, skipped, error
+    lastStatus: String,
+    scholarshipsFound: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+discoveredPageSchema.index({ site: 1, lastSeenAt: -1 });
+
+export default mongoose.model("DiscoveredPage", discoveredPageSchema);
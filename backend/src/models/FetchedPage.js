@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+
+/**
+ * Validators and content hash of a scraped listing page, kept so the next
+ * run can ask for it conditionally and skip it when nothing changed
+ */
+const fetchedPageSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    etag: String,
+    // Last-Modified header, sent back verbatim as If-Modified-Since
+    lastModified: String,
+    // sha256 of the page without scripts, styles, comments and whitespace
+    contentHash: String,
+    // Body size of the last full download
+    bytes: {
+      type: Number,
+      default: 0,
+    },
+    // Last time the page was fully extracted and saved
+    processedAt: Date,
+    // Whatever the scraper needs when the page is skipped, e.g. the next
+    // page's URL
+    meta: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+export default mongoose.model("FetchedPage", fetchedPageSchema);
@@ -0,0 +1,91 @@
+import mongoose from "mongoose";
+
+/**
+ * Background job in the MongoDB-backed queue (see utils/jobQueue.js).
+ * A worker claims a job by taking a lease; if it dies, the lease expires
+ * and another worker picks the job up again.
+ */
+const jobSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ["queued", "running", "succeeded", "failed", "cancelled"],
+      default: "queued",
+    },
+    // 1 runs first, 3 last; ties go to the oldest job
+    priority: {
+      type: Number,
+      enum: [1, 2, 3],
+      default: 2,
+    },
+    // Jobs with the same key share one queued or running instance
+    dedupeKey: String,
+    // Earliest time the job may start; pushed back between retries
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 3,
+    },
+    // Lease held by the worker running the job
+    lockedBy: String,
+    lockedUntil: Date,
+    cancelRequested: {
+      type: Boolean,
+      default: false,
+    },
+    progress: {
+      percent: {
+        type: Number,
+        default: 0,
+      },
+      message: String,
+    },
+    result: mongoose.Schema.Types.Mixed,
+    error: String,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    startedAt: Date,
+    finishedAt: Date,
+  },
+  {
+    timestamps: true,
+    minimize: false,
+  }
+);
+
+// Claiming: next queued job by priority, then age
+jobSchema.index({ status: 1, priority: 1, runAt: 1, createdAt: 1 });
+// Recovering jobs whose worker stopped renewing its lease
+jobSchema.index({ status: 1, lockedUntil: 1 });
+// At most one queued or running job per key, even when two enqueues race
+// (partial filters with $in need MongoDB 6.0)
+jobSchema.index(
+  { dedupeKey: 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      dedupeKey: { $type: "string" },
+      status: { $in: ["queued", "running"] },
+    },
+  }
+);
+jobSchema.index({ createdAt: -1 });
+
+export default mongoose.model("Job", jobSchema);
@@ -0,0 +1,66 @@
+import mongoose from "mongoose";
+
+const notificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    scholarship: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Scholarship",
+    },
+    type: {
+      type: String,
+      enum: ["deadline-reminder", "application-reminder", "saved-search-alert"],
+      required: true,
+    },
+    channel: {
+      type: String,
+      enum: ["email"],
+      default: "email",
+    },
+    // Identifies the reminder; a unique index stops it being queued twice
+    dedupeKey: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Days before the deadline this reminder is for (14, 7, 3 or 1)
+    daysBefore: Number,
+    deadline: Date,
+    // Application reminders: the checklist item that is due
+    checklistItem: mongoose.Schema.Types.ObjectId,
+    itemLabel: String,
+    // Saved search alerts: the search and the first of its new matches
+    savedSearch: mongoose.Schema.Types.ObjectId,
+    searchName: String,
+    scholarships: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Scholarship",
+      },
+    ],
+    matchCount: Number,
+    status: {
+      type: String,
+      enum: ["pending", "sent", "failed"],
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastError: String,
+    sentAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+notificationSchema.index({ status: 1, createdAt: 1 });
+notificationSchema.index({ user: 1, createdAt: -1 });
+
+export default mongoose.model("Notification", notificationSchema);
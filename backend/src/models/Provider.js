@@ -0,0 +1,69 @@
+import mongoose from "mongoose";
+
+export const PROVIDER_TYPES = [
+  "government-ministry",
+  "government-body",
+  "state-department",
+  "university",
+  "psu",
+  "corporate-csr",
+  "trust",
+  "other",
+];
+
+const providerSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // URL key, e.g. "ministry-of-minority-affairs"
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: PROVIDER_TYPES,
+      default: "other",
+    },
+    // Other names scrapers find in `Scholarship.provider`
+    aliases: {
+      type: [String],
+      default: [],
+    },
+    // Sites application links should point to; subdomains count
+    officialDomains: {
+      type: [String],
+      default: [],
+    },
+    website: String,
+    logoUrl: String,
+    description: String,
+    contact: {
+      email: String,
+      phone: String,
+      address: String,
+    },
+    // Verified as the body that actually awards the scholarships
+    official: {
+      type: Boolean,
+      default: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+providerSchema.index({ type: 1, name: 1 });
+
+export default mongoose.model("Provider", providerSchema);
@@ -1,4 +1,14 @@
 import mongoose from "mongoose";
+import { getAmountFields } from "../utils/amountParser.js";
+import {
+  recordScholarshipVersion,
+  rememberTrackedFields,
+} from "../utils/scholarshipHistory.js";
+import {
+  isProviderDirectoryLoaded,
+  matchProvider,
+} from "../utils/providerDirectory.js";
+import { noteScholarshipSaved } from "../utils/scrapeRuns.js";
 
 const scholarshipSchema = new mongoose.Schema(
   {
@@ -15,14 +25,107 @@ const scholarshipSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // Structured eligibility extracted from the free-text fields above
+    eligibilityRules: {
+      maxFamilyIncome: Number, // INR per annum
+      minPercentage: Number,
+      minCGPA: Number,
+      casteCategories: {
+        type: [String],
+        enum: ["SC", "ST", "OBC", "EWS", "General", "Minority"],
+        default: [],
+      },
+      gender: {
+        type: String,
+        enum: ["any", "female", "male"],
+        default: "any",
+      },
+      minAge: Number,
+      maxAge: Number,
+      domicileStates: {
+        type: [String],
+        default: [],
+      },
+      courses: {
+        type: [String],
+        default: [],
+      },
+      yearsOfStudy: {
+        type: [Number],
+        default: [],
+      },
+      disabilityRequired: {
+        type: Boolean,
+        default: false,
+      },
+      educationLevels: {
+        type: [String],
+        default: [],
+      },
+      source: {
+        type: String,
+        enum: ["parsed", "manual"],
+        default: "parsed",
+      },
+      extractedAt: Date,
+    },
     amount: {
       type: String,
       required: true,
     },
+    // Structured amount parsed from the free-text `amount`
+    amountDetails: {
+      min: Number,
+      max: Number,
+      period: {
+        type: String,
+        enum: ["one-time", "monthly", "annual", "semester", "unknown"],
+        default: "unknown",
+      },
+      currency: {
+        type: String,
+        default: "INR",
+      },
+      annualValue: Number,
+      tuitionWaiver: {
+        type: Boolean,
+        default: false,
+      },
+      isVariable: {
+        type: Boolean,
+        default: false,
+      },
+      parsedAt: Date,
+    },
+    // Annualised amount in rupees, used for range filters and sorting
+    amountNumber: {
+      type: Number,
+      default: null,
+    },
+    // Null when the source does not publish a date; never estimated
     deadline: {
       type: Date,
-      required: true,
+      default: null,
+    },
+    deadlineType: {
+      type: String,
+      enum: ["fixed", "rolling", "unknown"],
+      default: "unknown",
+    },
+    // 0-1, how sure the parser is about the extracted date
+    deadlineConfidence: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: 0,
     },
+    // Separate dates for multi-phase schemes (fresh/renewal applications)
+    deadlinePhases: [
+      {
+        label: String,
+        date: Date,
+      },
+    ],
     applicationLink: {
       type: String,
       required: true,
@@ -31,6 +134,12 @@ const scholarshipSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // Provider directory entry matched from `provider` or the link domain
+    providerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Provider",
+      default: null,
+    },
     category: {
       type: String,
       enum: [
@@ -64,6 +173,48 @@ const scholarshipSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // Every source that lists this scholarship; filled in when duplicate
+    // records from other sources are merged into this one
+    sources: [
+      {
+        _id: false,
+        // Scraper key or site name, e.g. "buddy4study"
+        name: String,
+        sourceUrl: String,
+        applicationLink: String,
+        // Link points at a government or institutional domain
+        official: {
+          type: Boolean,
+          default: false,
+        },
+        // The record this source was merged from
+        scholarship: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Scholarship",
+        },
+        addedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Set on a record merged into another; the record is deactivated
+    duplicateOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Scholarship",
+      default: null,
+    },
+    // Set by link validation
+    lastValidated: Date,
+    linkStatus: {
+      type: String,
+      enum: ["verified", "broken"],
+    },
+    // Application link is not on the provider's official domains
+    offDomainLink: {
+      type: Boolean,
+      default: false,
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -93,8 +244,59 @@ scholarshipSchema.index({
   eligibility: "text",
 });
 scholarshipSchema.index({ deadline: 1 });
+scholarshipSchema.index({ deadlineType: 1, deadline: 1 });
 scholarshipSchema.index({ category: 1 });
 scholarshipSchema.index({ targetGroup: 1 });
 scholarshipSchema.index({ educationLevel: 1 });
+scholarshipSchema.index({ amountNumber: -1 });
+scholarshipSchema.index({ "eligibilityRules.domicileStates": 1 });
+scholarshipSchema.index({ "eligibilityRules.casteCategories": 1 });
+scholarshipSchema.index({ duplicateOf: 1 });
+scholarshipSchema.index({ providerId: 1 });
+
+// Keep structured amount fields in sync with the scraped amount text
+scholarshipSchema.pre("save", function (next) {
+  if (this.isModified("amount") || !this.amountDetails?.parsedAt) {
+    Object.assign(this, getAmountFields(this.amount));
+  }
+  next();
+});
+
+// Link to the provider directory; skipped when it was never loaded (e.g.
+// scripts), which would otherwise unlink every record saved
+scholarshipSchema.pre("save", function (next) {
+  if (
+    isProviderDirectoryLoaded() &&
+    (this.isNew ||
+      this.isModified("provider") ||
+      this.isModified("applicationLink"))
+  ) {
+    this.providerId = matchProvider(this)?._id || null;
+  }
+  next();
+});
+
+// A merged duplicate stays hidden when its scraper saves it again; only
+// undoing the merge (which clears duplicateOf) brings it back
+scholarshipSchema.pre("save", function (next) {
+  if (this.duplicateOf && this.isActive) this.isActive = false;
+  next();
+});
+
+// Version every scraper/AI write: snapshot on load, diff after save
+scholarshipSchema.post("init", function () {
+  rememberTrackedFields(this);
+});
+
+scholarshipSchema.pre("save", function (next) {
+  this.$locals.wasNew = this.isNew;
+  next();
+});
+
+scholarshipSchema.post("save", async function () {
+  // Counts towards the scrape run in progress, if any
+  noteScholarshipSaved(this.$locals.wasNew);
+  await recordScholarshipVersion(this);
+});
 
 export default mongoose.model("Scholarship", scholarshipSchema);
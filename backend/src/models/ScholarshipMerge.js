@@ -0,0 +1,68 @@
+import mongoose from "mongoose";
+
+// A record folded into the canonical scholarship, with what undo restores
+const mergedRecordSchema = new mongoose.Schema(
+  {
+    scholarship: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Scholarship",
+      required: true,
+    },
+    title: String,
+    source: String,
+    score: Number,
+    wasActive: Boolean,
+  },
+  { _id: false }
+);
+
+const scholarshipMergeSchema = new mongoose.Schema(
+  {
+    canonical: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Scholarship",
+      required: true,
+    },
+    merged: {
+      type: [mergedRecordSchema],
+      default: [],
+    },
+    // applied: records are merged; undone: an admin reverted the merge;
+    // rejected: an admin marked the candidates as different scholarships
+    status: {
+      type: String,
+      enum: ["applied", "undone", "rejected"],
+      default: "applied",
+    },
+    // Lowest pair score in the group and the per-signal scores behind it
+    score: Number,
+    signals: mongoose.Schema.Types.Mixed,
+    // Which record each canonical field was taken from
+    fieldSources: mongoose.Schema.Types.Mixed,
+    // Canonical field values and sources before the merge, restored on undo
+    canonicalBefore: mongoose.Schema.Types.Mixed,
+    // Merged by the resolution job rather than an admin
+    automatic: {
+      type: Boolean,
+      default: false,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    undoneBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    undoneAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+scholarshipMergeSchema.index({ status: 1, createdAt: -1 });
+scholarshipMergeSchema.index({ canonical: 1 });
+scholarshipMergeSchema.index({ "merged.scholarship": 1 });
+
+export default mongoose.model("ScholarshipMerge", scholarshipMergeSchema);
@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+// One field change inside a version; values are stored as they were saved
+const fieldChangeSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: true,
+    },
+    oldValue: mongoose.Schema.Types.Mixed,
+    newValue: mongoose.Schema.Types.Mixed,
+  },
+  { _id: false }
+);
+
+const scholarshipVersionSchema = new mongoose.Schema(
+  {
+    scholarship: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Scholarship",
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: ["created", "updated"],
+      default: "updated",
+    },
+    // The scraper, AI job or route that wrote the change
+    source: {
+      type: String,
+      required: true,
+      default: "unknown",
+    },
+    // Staff member who triggered the write, when it came from a request
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    changes: {
+      type: [fieldChangeSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+scholarshipVersionSchema.index({ scholarship: 1, createdAt: -1 });
+
+export default mongoose.model("ScholarshipVersion", scholarshipVersionSchema);
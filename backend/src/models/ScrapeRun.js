@@ -0,0 +1,73 @@
+import mongoose from "mongoose";
+
+/**
+ * One execution of one scraper source, kept so source health survives
+ * restarts and can be charted over time
+ */
+const scrapeRunSchema = new mongoose.Schema({
+  // Registry key of the source
+  source: {
+    type: String,
+    required: true,
+  },
+  sourceName: String,
+  trigger: {
+    type: String,
+    enum: ["scheduled", "immediate", "manual"],
+    default: "scheduled",
+  },
+  status: {
+    type: String,
+    enum: ["running", "success", "failed", "skipped"],
+    default: "running",
+  },
+  // Why a run was skipped, e.g. circuit_breaker_open
+  reason: String,
+  startedAt: {
+    type: Date,
+    required: true,
+  },
+  finishedAt: Date,
+  durationMs: Number,
+  itemsFound: {
+    type: Number,
+    default: 0,
+  },
+  created: {
+    type: Number,
+    default: 0,
+  },
+  updated: {
+    type: Number,
+    default: 0,
+  },
+  rejected: {
+    type: Number,
+    default: 0,
+  },
+  // Pages not extracted again because they had not changed, and the
+  // bytes not downloaded thanks to 304 responses
+  pagesSkipped: {
+    type: Number,
+    default: 0,
+  },
+  bytesSaved: {
+    type: Number,
+    default: 0,
+  },
+  errorMessages: {
+    type: [String],
+    default: [],
+  },
+  // Response count per HTTP status code, e.g. { "200": 4, "404": 1 }
+  httpStatuses: {
+    type: Map,
+    of: Number,
+    default: {},
+  },
+});
+
+scrapeRunSchema.index({ source: 1, startedAt: -1 });
+scrapeRunSchema.index({ startedAt: -1 });
+
+export default mongoose.model("ScrapeRun", scrapeRunSchema);
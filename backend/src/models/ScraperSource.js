@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+/**
+ * Scraper sources managed from the admin dashboard. A record either holds a
+ * full declarative definition (a source added without code) or only
+ * overrides the settings of a source defined in src/scrapers/sources.
+ */
+const scraperSourceSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      match: /^[a-zA-Z0-9-]+$/,
+    },
+    // Settings left unset fall back to the source's definition
+    enabled: Boolean,
+    // 1 runs every 30 minutes, 2 every hour
+    priority: {
+      type: Number,
+      enum: [1, 2],
+    },
+    intervalMinutes: Number,
+    // Validated declarative definition; null for a settings-only override
+    definition: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    minimize: false,
+  }
+);
+
+export default mongoose.model("ScraperSource", scraperSourceSchema);
@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+export const SYNONYM_KINDS = ["acronym", "synonym", "regional"];
+
+/**
+ * A search dictionary entry: searches containing the phrase or an alias
+ * also search for the expansions. Seeded from config/searchSynonyms.js.
+ */
+const searchSynonymSchema = new mongoose.Schema(
+  {
+    // Latin letters, lowercase, e.g. "nsp" or "post matric"
+    phrase: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    kind: {
+      type: String,
+      enum: SYNONYM_KINDS,
+      default: "synonym",
+    },
+    // Other spellings, in Latin or Indian scripts
+    aliases: {
+      type: [String],
+      default: [],
+    },
+    expansions: {
+      type: [String],
+      default: [],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+export default mongoose.model("SearchSynonym", searchSynonymSchema);
@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+
+// One document per signed-in device. Refresh tokens rotate on every use;
+// the whole chain (token family) lives in this document so that replaying
+// an old token can revoke it.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // SHA-256 hash of the current refresh token
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Hashes of refresh tokens already rotated out of this family
+    previousTokenHashes: {
+      type: [String],
+      select: false,
+    },
+    userAgent: String,
+    ipAddress: String,
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: [
+        "logout",
+        "logout-all",
+        "revoked",
+        "reuse-detected",
+        "password-change",
+      ],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ previousTokenHashes: 1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("Session", sessionSchema);
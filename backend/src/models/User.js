@@ -1,5 +1,12 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import {
+  APPLICATION_STATUSES,
+  DOCUMENT_TYPES,
+} from "../utils/applicationTracker.js";
+
+// Roles in increasing order of privilege; each role inherits the ones before it
+export const USER_ROLES = ["student", "moderator", "admin"];
 
 const userSchema = new mongoose.Schema({
   // Basic user information
@@ -68,6 +75,37 @@ const userSchema = new mongoose.Schema({
   graduationYear: {
     type: Number,
   },
+  yearOfStudy: {
+    type: Number,
+    min: 1,
+    max: 6,
+  },
+  academicPercentage: {
+    type: Number,
+    min: 0,
+    max: 100,
+  },
+  cgpa: {
+    type: Number,
+    min: 0,
+    max: 10,
+  },
+
+  // Eligibility details used to match structured scholarship rules
+  annualFamilyIncome: {
+    type: Number,
+    min: 0,
+  },
+  casteCategory: {
+    type: String,
+    enum: ["SC", "ST", "OBC", "EWS", "General"],
+  },
+  isMinority: {
+    type: Boolean,
+  },
+  hasDisability: {
+    type: Boolean,
+  },
 
   // Location
   state: {
@@ -105,21 +143,147 @@ const userSchema = new mongoose.Schema({
       ref: "Scholarship",
     },
   ],
+  // When and how each saved scholarship was saved; saves from before
+  // collections existed may have no entry
+  savedDetails: [
+    {
+      scholarshipId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Scholarship",
+        required: true,
+      },
+      savedAt: {
+        type: Date,
+        default: Date.now,
+      },
+      notes: {
+        type: String,
+        maxlength: 2000,
+      },
+      tags: [String],
+      // IDs of savedCollections the scholarship is filed under
+      collections: [mongoose.Schema.Types.ObjectId],
+      _id: false,
+    },
+  ],
+  // Personal folders for saved scholarships
+  savedCollections: [
+    {
+      name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 60,
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
+  // Listing searches kept to re-run, checked for new matches after each
+  // scraping pass
+  savedSearches: [
+    {
+      name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 60,
+      },
+      // Listing parameters: search terms and filters
+      params: {
+        search: String,
+        category: String,
+        educationLevel: String,
+        targetGroup: String,
+        state: String,
+        provider: String,
+        minAmount: Number,
+        maxAmount: Number,
+        sort: String,
+      },
+      alertsEnabled: {
+        type: Boolean,
+        default: true,
+      },
+      // Scholarships added after this are new matches
+      lastCheckedAt: {
+        type: Date,
+        default: Date.now,
+      },
+      // New matches found by the latest check that found any
+      lastMatchCount: {
+        type: Number,
+        default: 0,
+      },
+      lastMatchedAt: Date,
+      createdAt: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
+  // Application tracker: one entry per scholarship the user is working on
   appliedScholarships: [
     {
       scholarshipId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: "Scholarship",
       },
+      // When tracking started
       appliedAt: {
         type: Date,
         default: Date.now,
       },
       status: {
         type: String,
-        enum: ["applied", "under-review", "accepted", "rejected"],
+        enum: APPLICATION_STATUSES,
         default: "applied",
       },
+      statusUpdatedAt: Date,
+      statusHistory: [
+        {
+          status: {
+            type: String,
+            enum: APPLICATION_STATUSES,
+          },
+          changedAt: {
+            type: Date,
+            default: Date.now,
+          },
+          note: String,
+          _id: false,
+        },
+      ],
+      checklist: [
+        {
+          label: {
+            type: String,
+            required: true,
+            trim: true,
+          },
+          kind: {
+            type: String,
+            enum: ["document", "step"],
+            default: "document",
+          },
+          documentType: {
+            type: String,
+            enum: Object.keys(DOCUMENT_TYPES),
+          },
+          dueDate: Date,
+          done: {
+            type: Boolean,
+            default: false,
+          },
+          completedAt: Date,
+        },
+      ],
+      remindersEnabled: {
+        type: Boolean,
+        default: true,
+      },
       notes: String,
     },
   ],
@@ -137,8 +301,14 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true,
   },
+  lastDigestSentAt: Date,
 
   // Account status
+  role: {
+    type: String,
+    enum: USER_ROLES,
+    default: "student",
+  },
   isActive: {
     type: Boolean,
     default: true,
@@ -147,8 +317,17 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
-  emailVerificationToken: String,
-  resetPasswordToken: String,
+  // Only SHA-256 hashes of emailed tokens are stored
+  emailVerificationToken: {
+    type: String,
+    select: false,
+  },
+  emailVerificationExpires: Date,
+  emailVerificationSentAt: Date,
+  resetPasswordToken: {
+    type: String,
+    select: false,
+  },
   resetPasswordExpires: Date,
 
   // Timestamps
@@ -168,6 +347,7 @@ const userSchema = new mongoose.Schema({
 
 // Index for efficient queries (only non-unique indexes needed)
 userSchema.index({ educationLevel: 1, interestedCategories: 1 });
+userSchema.index({ "savedSearches.alertsEnabled": 1 });
 
 // Hash password before saving
 userSchema.pre("save", async function (next) {
@@ -199,6 +379,11 @@ userSchema.virtual("fullName").get(function () {
   return `${this.firstName} ${this.lastName}`;
 });
 
+// True if the user has the given role or a more privileged one
+userSchema.methods.hasRole = function (role) {
+  return USER_ROLES.indexOf(this.role || "student") >= USER_ROLES.indexOf(role);
+};
+
 // Get profile completion percentage
 userSchema.methods.getProfileCompletion = function () {
   const fields = [
@@ -227,6 +412,9 @@ userSchema.methods.getRecommendationCriteria = function () {
     categories: this.interestedCategories,
     state: this.state,
     fieldOfStudy: this.fieldOfStudy,
+    yearOfStudy: this.yearOfStudy,
+    casteCategory: this.casteCategory,
+    annualFamilyIncome: this.annualFamilyIncome,
   };
 };
 
@@ -1,86 +1,42 @@
 import express from "express";
+import mongoose from "mongoose";
 import { AIContentAnalyzer } from "../utils/aiContentAnalyzer.js";
 import IntelligentScrapingManager from "../utils/intelligentScraper.js";
 import { LinkFixerScraper } from "../scrapers/linkFixerScraper.js";
 import Scholarship from "../models/Scholarship.js";
 import { scrapingLogger } from "../utils/logger.js";
+import { getDeadlineFields } from "../utils/deadlineParser.js";
+import { requireRole } from "../utils/auth.js";
+import { attributeScholarshipChange } from "../utils/scholarshipHistory.js";
+import { enqueueJob, queuedJobResponse } from "../utils/jobQueue.js";
 
 const router = express.Router();
 const aiAnalyzer = new AIContentAnalyzer();
 const intelligentScraper = new IntelligentScrapingManager();
 const linkFixer = new LinkFixerScraper();
 
-// Validate and fix scholarship links
+// Queue validation and repair of scholarship links
 router.post("/validate-links", async (req, res) => {
   try {
     const { scholarshipIds } = req.body;
 
-    if (!scholarshipIds || !Array.isArray(scholarshipIds)) {
+    if (
+      !Array.isArray(scholarshipIds) ||
+      !scholarshipIds.every((id) => mongoose.isValidObjectId(id))
+    ) {
       return res.status(400).json({
         success: false,
         error: "Please provide an array of scholarship IDs",
       });
     }
 
-    const results = [];
-
-    for (const id of scholarshipIds) {
-      try {
-        const scholarship = await Scholarship.findById(id);
-        if (!scholarship) {
-          results.push({
-            id,
-            status: "not_found",
-            error: "Scholarship not found",
-          });
-          continue;
-        }
-
-        // Validate and potentially fix the link
-        const linkValidation = await aiAnalyzer.validateAndFixLinks([
-          scholarship.link,
-        ]);
-        const validatedLink = linkValidation.validatedLinks[0];
-
-        let updated = false;
-        if (
-          validatedLink.status === "corrected" &&
-          validatedLink.correctedUrl
-        ) {
-          scholarship.link = validatedLink.correctedUrl;
-          scholarship.lastValidated = new Date();
-          await scholarship.save();
-          updated = true;
-        }
-
-        results.push({
-          id,
-          originalLink: scholarship.link,
-          validationResult: validatedLink,
-          updated,
-          title: scholarship.title,
-        });
-      } catch (error) {
-        scrapingLogger.error(`Error validating scholarship ${id}:`, error);
-        results.push({
-          id,
-          status: "error",
-          error: error.message,
-        });
-      }
-    }
+    const queued = await enqueueJob(
+      "validate-links",
+      { scholarshipIds },
+      { createdBy: req.user._id }
+    );
 
-    res.json({
-      success: true,
-      results,
-      summary: {
-        total: scholarshipIds.length,
-        validated: results.filter((r) => r.validationResult?.status === "valid")
-          .length,
-        corrected: results.filter((r) => r.updated).length,
-        errors: results.filter((r) => r.status === "error").length,
-      },
-    });
+    res.status(202).json(queuedJobResponse(queued, "Link validation queued"));
   } catch (error) {
     scrapingLogger.error("Link validation endpoint error:", error);
     res.status(500).json({
@@ -144,16 +100,20 @@ router.post("/enhance-content", async (req, res) => {
       updated = true;
     }
 
+    const deadlineFields = getDeadlineFields(
+      enhancementResult.normalizedDeadline
+    );
     if (
-      enhancementResult.normalizedDeadline &&
-      enhancementResult.normalizedDeadline !== scholarship.deadline
+      deadlineFields.deadlineType !== "unknown" &&
+      String(deadlineFields.deadline) !== String(scholarship.deadline)
     ) {
-      scholarship.deadline = enhancementResult.normalizedDeadline;
+      Object.assign(scholarship, deadlineFields);
       updated = true;
     }
 
     if (updated) {
       scholarship.lastEnhanced = new Date();
+      attributeScholarshipChange(scholarship, "ai-content-analyzer", req.user);
       await scholarship.save();
     }
 
@@ -270,7 +230,7 @@ router.get("/metrics", async (req, res) => {
 });
 
 // Run comprehensive improvement process
-router.post("/improve-database", async (req, res) => {
+router.post("/improve-database", requireRole("admin"), async (req, res) => {
   try {
     const {
       batchSize = 25,
@@ -320,44 +280,34 @@ router.post("/improve-database", async (req, res) => {
   }
 });
 
-// Fix specific broken links
-router.post("/fix-broken-links", async (req, res) => {
+// Queue repair of specific links, or of links not checked for 30 days
+router.post("/fix-broken-links", requireRole("admin"), async (req, res) => {
   try {
     const { scholarshipIds, limit = 100 } = req.body;
 
-    let scholarships;
-    if (scholarshipIds && Array.isArray(scholarshipIds)) {
-      scholarships = await Scholarship.find({ _id: { $in: scholarshipIds } });
-    } else {
-      // Find scholarships with potentially broken links
-      scholarships = await Scholarship.find({
-        $or: [
-          {
-            lastValidated: {
-              $lt: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
-            },
-          },
-          { lastValidated: { $exists: false } },
-          { link: { $regex: /404|error|not.found/i } },
-        ],
-      }).limit(limit);
+    if (
+      scholarshipIds !== undefined &&
+      (!Array.isArray(scholarshipIds) ||
+        !scholarshipIds.every((id) => mongoose.isValidObjectId(id)))
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: "scholarshipIds must be an array of scholarship IDs",
+      });
     }
 
-    const results = await linkFixer.fixBrokenLinks(scholarships);
+    const queued = await enqueueJob(
+      "validate-links",
+      { scholarshipIds, limit: parseInt(limit) || 100 },
+      {
+        priority: 3,
+        // Repeated sweeps of stale links would check the same scholarships
+        dedupeKey: scholarshipIds ? undefined : "validate-links:stale",
+        createdBy: req.user._id,
+      }
+    );
 
-    res.json({
-      success: true,
-      message: `Processed ${scholarships.length} scholarships`,
-      results,
-      summary: {
-        total: scholarships.length,
-        fixed: results.filter((r) => r.status === "fixed").length,
-        alreadyValid: results.filter((r) => r.status === "already_valid")
-          .length,
-        notFixable: results.filter((r) => r.status === "not_fixable").length,
-        errors: results.filter((r) => r.status === "error").length,
-      },
-    });
+    res.status(202).json(queuedJobResponse(queued, "Link repair queued"));
   } catch (error) {
     scrapingLogger.error("Fix broken links endpoint error:", error);
     res.status(500).json({
@@ -8,6 +8,7 @@ import AIEnhancedScrapingOrchestrator from "../utils/aiEnhancedScrapingOrchestra
 import ScholarshipDiscoveryAI from "../utils/scholarshipDiscoveryAI.js";
 import RateLimitedUniversalScraper from "../utils/rateLimitedUniversalScraper.js";
 import { scrapingLogger as logger } from "../utils/logger.js";
+import { PROGRESS_CHANNELS, streamProgress } from "../utils/progressEvents.js";
 
 const router = express.Router();
 
@@ -116,6 +117,27 @@ router.get("/session-status", (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/ai-enhanced/events
+ * @desc Stream AI session and scraper pass progress as Server-Sent Events;
+ *   ?channel=ai-session or ?channel=scraping limits the stream to one
+ * @access Staff
+ */
+router.get("/events", (req, res) => {
+  const { channel } = req.query;
+
+  if (channel && !PROGRESS_CHANNELS.includes(channel)) {
+    return res.status(400).json({
+      success: false,
+      error: `channel must be one of ${PROGRESS_CHANNELS.join(", ")}`,
+    });
+  }
+
+  streamProgress(req, res, {
+    channels: channel ? [channel] : PROGRESS_CHANNELS,
+  });
+});
+
 /**
  * @route POST /api/ai-enhanced/stop-session
  * @desc Stop current scraping session
@@ -0,0 +1,143 @@
+import express from "express";
+import { authenticateToken, optionalAuth, requireRole } from "../utils/auth.js";
+import {
+  DIMENSIONS,
+  EVENT_TYPES,
+  RANGES,
+  getOverview,
+  getScholarshipRankings,
+  getSeries,
+  getUserAnalytics,
+  parseRange,
+  recordEvents,
+  validateEventBatch,
+} from "../utils/analytics.js";
+
+const router = express.Router();
+
+const requireAdmin = [authenticateToken, requireRole("admin")];
+
+// Rejects an unknown ?range=; the default is 30 days
+const checkRange = (req, res, next) => {
+  if (!parseRange(req.query.range)) {
+    return res.status(400).json({
+      success: false,
+      message: `range must be one of ${Object.keys(RANGES).join(", ")}`,
+    });
+  }
+  next();
+};
+
+// Record a batch of events from the browser. Signed-in users' events are
+// attributed to them.
+router.post("/events", optionalAuth, async (req, res) => {
+  try {
+    const { error, value } = validateEventBatch(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const recorded = await recordEvents(value.events, {
+      userId: req.user?._id,
+      sessionId: value.sessionId,
+    });
+
+    res.status(202).json({ success: true, data: { recorded } });
+  } catch (error) {
+    console.error("Record analytics events error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to record events",
+      error: error.message,
+    });
+  }
+});
+
+// Site-wide totals, series and category/state/source breakdowns
+router.get("/overview", checkRange, async (req, res) => {
+  try {
+    res.json({ success: true, data: await getOverview(req.query.range) });
+  } catch (error) {
+    console.error("Analytics overview error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to load analytics",
+      error: error.message,
+    });
+  }
+});
+
+// One event type over time, for the whole site or one scholarship,
+// category, state or source:
+// ?type=view&dimension=category&key=Merit-based&range=90d
+router.get("/series", checkRange, async (req, res) => {
+  try {
+    const { range, type, dimension = "total", key = "all" } = req.query;
+    if (!EVENT_TYPES.includes(type) || !DIMENSIONS.includes(dimension)) {
+      return res.status(400).json({
+        success: false,
+        message: `type must be one of ${EVENT_TYPES.join(
+          ", "
+        )}; dimension one of ${DIMENSIONS.join(", ")}`,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        type,
+        dimension,
+        key,
+        ...(await getSeries({ range, type, dimension, key: String(key) })),
+      },
+    });
+  } catch (error) {
+    console.error("Analytics series error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to load analytics series",
+      error: error.message,
+    });
+  }
+});
+
+// The signed-in user's saves, applications and activity
+router.get("/me", authenticateToken, checkRange, async (req, res) => {
+  try {
+    const data = await getUserAnalytics(req.user._id, req.query.range);
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error("User analytics error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to load your analytics",
+      error: error.message,
+    });
+  }
+});
+
+// Most viewed and highest click-through scholarships, and top searches
+router.get("/scholarships", requireAdmin, checkRange, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    res.json({
+      success: true,
+      data: await getScholarshipRankings(req.query.range, { limit }),
+    });
+  } catch (error) {
+    console.error("Scholarship analytics error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to load scholarship analytics",
+      error: error.message,
+    });
+  }
+});
+
+export default router;
@@ -1,16 +1,24 @@
 import express from "express";
 import User from "../models/User.js";
 import {
-  generateToken,
-  generateRefreshToken,
   generateEmailVerificationToken,
   generatePasswordResetToken,
-  verifyEmailToken,
-  verifyPasswordResetToken,
+  hashToken,
   authenticateToken,
 } from "../utils/auth.js";
 import passport from "../config/passport.js";
 import rateLimit from "express-rate-limit";
+import {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+} from "../utils/accountEmails.js";
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  listSessions,
+} from "../utils/sessions.js";
 
 const router = express.Router();
 
@@ -23,6 +31,60 @@ const authLimiter = rateLimit({
   },
 });
 
+// Fields a user may change through PUT /profile; everything else (email,
+// role, account status, tokens) has its own flow or is not user-editable.
+// Saved scholarships and their details and collections, tracked
+// applications and saved searches are validated and capped by their own
+// routes under /api/users, so they must never be added here.
+const PROFILE_FIELDS = [
+  "firstName",
+  "lastName",
+  "profilePicture",
+  "phone",
+  "dateOfBirth",
+  "gender",
+  "educationLevel",
+  "fieldOfStudy",
+  "institution",
+  "graduationYear",
+  "yearOfStudy",
+  "academicPercentage",
+  "cgpa",
+  "annualFamilyIncome",
+  "casteCategory",
+  "isMinority",
+  "hasDisability",
+  "state",
+  "city",
+  "country",
+  "interestedCategories",
+  "emailNotifications",
+  "pushNotifications",
+  "weeklyDigest",
+];
+
+// Minimum gap between verification emails for one account
+const VERIFICATION_RESEND_INTERVAL_MS = 60 * 1000;
+
+const resendLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // 5 verification emails per hour
+  message: {
+    error: "Too many verification emails requested, please try again later.",
+  },
+});
+
+// Store a new verification token on the user and email the link
+const issueVerificationEmail = async (user) => {
+  const { token, tokenHash, expiresAt } = generateEmailVerificationToken();
+  user.emailVerificationToken = tokenHash;
+  user.emailVerificationExpires = expiresAt;
+  user.emailVerificationSentAt = new Date();
+  await user.save();
+
+  await sendVerificationEmail(user, token);
+};
+
 // User registration
 router.post("/register", authLimiter, async (req, res) => {
   try {
@@ -66,18 +128,25 @@ router.post("/register", authLimiter, async (req, res) => {
       fieldOfStudy,
       state,
       city,
-      emailVerificationToken: generateEmailVerificationToken(),
     });
 
     await user.save();
 
-    // Generate tokens
-    const token = generateToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    // Registration succeeds even if the mail server is down; the user can
+    // ask for another link later
+    try {
+      await issueVerificationEmail(user);
+    } catch (mailError) {
+      console.error("Verification email error:", mailError.message);
+    }
 
-    // Remove password from response
+    // Start a session for this device
+    const { token, refreshToken } = await createSession(user, req);
+
+    // Remove password and token hash from response
     const userResponse = user.toObject();
     delete userResponse.password;
+    delete userResponse.emailVerificationToken;
 
     res.status(201).json({
       success: true,
@@ -140,9 +209,8 @@ router.post("/login", authLimiter, async (req, res) => {
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate tokens
-    const token = generateToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    // Start a session for this device
+    const { token, refreshToken } = await createSession(user, req);
 
     // Remove password from response
     const userResponse = user.toObject();
@@ -180,14 +248,16 @@ if (process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET) {
     async (req, res) => {
       try {
         const user = req.user;
-        const token = generateToken(user._id);
-        const refreshToken = generateRefreshToken(user._id);
+        const { token, refreshToken } = await createSession(user, req);
 
-        // Redirect to frontend with tokens
+        // Tokens go in the fragment, which browsers never send to servers,
+        // so they stay out of Referer headers and access logs
         const frontendURL = process.env.FRONTEND_URL || "http://localhost:3000";
-        res.redirect(
-          `${frontendURL}/auth/callback?token=${token}&refresh=${refreshToken}`
-        );
+        const fragment = new URLSearchParams({
+          token,
+          refresh: refreshToken,
+        });
+        res.redirect(`${frontendURL}/auth/callback#${fragment}`);
       } catch (error) {
         console.error("Google callback error:", error);
         const frontendURL = process.env.FRONTEND_URL || "http://localhost:3000";
@@ -277,8 +347,7 @@ router.post("/google/callback", async (req, res) => {
       }
     }
 
-    const token = generateToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    const { token, refreshToken } = await createSession(user, req);
 
     res.json({
       success: true,
@@ -327,14 +396,11 @@ router.get("/me", authenticateToken, async (req, res) => {
 router.put("/profile", authenticateToken, async (req, res) => {
   try {
     const userId = req.user._id;
-    const updateData = req.body;
-
-    // Remove sensitive fields that shouldn't be updated via this endpoint
-    delete updateData.password;
-    delete updateData.email;
-    delete updateData.googleId;
-    delete updateData.isActive;
-    delete updateData.isEmailVerified;
+    const updateData = Object.fromEntries(
+      PROFILE_FIELDS.filter((field) => req.body[field] !== undefined).map(
+        (field) => [field, req.body[field]]
+      )
+    );
 
     const user = await User.findByIdAndUpdate(
       userId,
@@ -396,9 +462,12 @@ router.put("/change-password", authenticateToken, async (req, res) => {
       }
     }
 
-    // Update password
+    // Update password and sign out every other device
     user.password = newPassword;
     await user.save();
+    await revokeAllSessions(user._id, "password-change", {
+      except: req.sessionId,
+    });
 
     res.json({
       success: true,
@@ -414,42 +483,206 @@ router.put("/change-password", authenticateToken, async (req, res) => {
   }
 });
 
-// Logout (client-side token removal is sufficient for JWT)
-router.post("/logout", authenticateToken, (req, res) => {
-  res.json({
-    success: true,
-    message: "Logged out successfully",
-  });
+// Exchange a refresh token for a new token pair (rotation)
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "Refresh token is required",
+      });
+    }
+
+    const rotated = await rotateSession(refreshToken, req);
+    if (!rotated) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired refresh token",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        token: rotated.token,
+        refreshToken: rotated.refreshToken,
+      },
+    });
+  } catch (error) {
+    console.error("Token refresh error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to refresh token",
+    });
+  }
+});
+
+// Logout: revoke this device's session
+router.post("/logout", authenticateToken, async (req, res) => {
+  try {
+    await revokeSession(req.user._id, req.sessionId, "logout");
+
+    res.json({
+      success: true,
+      message: "Logged out successfully",
+    });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Logout failed",
+    });
+  }
+});
+
+// Logout everywhere: revoke every session of this user
+router.post("/logout-all", authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user._id, "logout-all");
+
+    res.json({
+      success: true,
+      message: "Logged out of all devices",
+      data: { revoked },
+    });
+  } catch (error) {
+    console.error("Logout all error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to log out of all devices",
+    });
+  }
 });
 
-// Verify email (placeholder for email verification implementation)
+// List active sessions (signed-in devices)
+router.get("/sessions", authenticateToken, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user._id, req.sessionId);
+
+    res.json({
+      success: true,
+      data: { sessions },
+    });
+  } catch (error) {
+    console.error("List sessions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get sessions",
+    });
+  }
+});
+
+// Sign out one device
+router.delete("/sessions/:id", authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.user._id, req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Session revoked",
+    });
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to revoke session",
+    });
+  }
+});
+
+// Verify email with the token from the verification link
 router.post("/verify-email", async (req, res) => {
   try {
     const { token } = req.body;
 
-    if (!token) {
+    if (typeof token !== "string" || !token) {
       return res.status(400).json({
         success: false,
         message: "Verification token is required",
       });
     }
 
-    // Verify token
-    verifyEmailToken(token);
+    const user = await User.findOne({
+      emailVerificationToken: hashToken(token),
+      emailVerificationExpires: { $gt: new Date() },
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired verification token",
+      });
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
 
-    // In a real implementation, you'd find the user by email and mark as verified
     res.json({
       success: true,
       message: "Email verified successfully",
     });
   } catch (error) {
-    res.status(400).json({
+    console.error("Verify email error:", error);
+    res.status(500).json({
       success: false,
-      message: "Invalid or expired verification token",
+      message: "Failed to verify email",
     });
   }
 });
 
+// Send a fresh verification link to the logged-in user
+router.post(
+  "/resend-verification",
+  resendLimiter,
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.user._id);
+
+      if (user.isEmailVerified) {
+        return res.status(400).json({
+          success: false,
+          message: "Email is already verified",
+        });
+      }
+
+      const sentAt = user.emailVerificationSentAt?.getTime() || 0;
+      const waitMs = sentAt + VERIFICATION_RESEND_INTERVAL_MS - Date.now();
+      if (waitMs > 0) {
+        return res.status(429).json({
+          success: false,
+          message: "Please wait before requesting another verification email",
+          retryAfter: Math.ceil(waitMs / 1000),
+        });
+      }
+
+      await issueVerificationEmail(user);
+
+      res.json({
+        success: true,
+        message: "Verification email sent",
+      });
+    } catch (error) {
+      console.error("Resend verification error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to send verification email",
+      });
+    }
+  }
+);
+
 // Request password reset
 router.post("/forgot-password", authLimiter, async (req, res) => {
   try {
@@ -463,24 +696,25 @@ router.post("/forgot-password", authLimiter, async (req, res) => {
     }
 
     const user = await User.findOne({ email: email.toLowerCase() });
-    if (!user) {
-      // Don't reveal if email exists
-      return res.json({
-        success: true,
-        message: "If the email exists, a reset link will be sent",
-      });
-    }
 
-    const resetToken = generatePasswordResetToken(email);
-    user.resetPasswordToken = resetToken;
-    user.resetPasswordExpires = new Date(Date.now() + 3600000); // 1 hour
-    await user.save();
+    // Same response whether or not the account exists
+    if (user && user.isActive) {
+      const { token, tokenHash, expiresAt } = generatePasswordResetToken();
+      user.resetPasswordToken = tokenHash;
+      user.resetPasswordExpires = expiresAt;
+      await user.save();
+
+      // A mail failure must not reveal that the account exists
+      try {
+        await sendPasswordResetEmail(user, token);
+      } catch (mailError) {
+        console.error("Password reset email error:", mailError.message);
+      }
+    }
 
-    // In a real implementation, send email here
     res.json({
       success: true,
       message: "If the email exists, a reset link will be sent",
-      resetToken, // Remove this in production
     });
   } catch (error) {
     console.error("Forgot password error:", error);
@@ -491,22 +725,32 @@ router.post("/forgot-password", authLimiter, async (req, res) => {
   }
 });
 
-// Reset password
+// Reset password with the single-use token from the reset email
 router.post("/reset-password", async (req, res) => {
   try {
     const { token, newPassword } = req.body;
 
-    if (!token || !newPassword) {
+    if (
+      typeof token !== "string" ||
+      typeof newPassword !== "string" ||
+      !token ||
+      !newPassword
+    ) {
       return res.status(400).json({
         success: false,
         message: "Token and new password are required",
       });
     }
 
-    const decoded = verifyPasswordResetToken(token);
+    if (newPassword.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: "Password must be at least 6 characters long",
+      });
+    }
+
     const user = await User.findOne({
-      email: decoded.email,
-      resetPasswordToken: token,
+      resetPasswordToken: hashToken(token),
       resetPasswordExpires: { $gt: new Date() },
     });
 
@@ -520,17 +764,22 @@ router.post("/reset-password", async (req, res) => {
     user.password = newPassword;
     user.resetPasswordToken = undefined;
     user.resetPasswordExpires = undefined;
+    // Receiving the reset email proves the address belongs to the user
+    user.isEmailVerified = true;
     await user.save();
 
+    // Whoever knew the old password is signed out
+    await revokeAllSessions(user._id, "password-change");
+
     res.json({
       success: true,
       message: "Password reset successfully",
     });
   } catch (error) {
     console.error("Reset password error:", error);
-    res.status(400).json({
+    res.status(500).json({
       success: false,
-      message: "Invalid or expired reset token",
+      message: "Failed to reset password",
     });
   }
 });
@@ -1,5 +1,6 @@
 import express from "express";
 import { scholarWiseBot } from "../utils/aiChatbot.js";
+import { recordEvent } from "../utils/analytics.js";
 import { scrapingLogger } from "../utils/logger.js";
 import rateLimit from "express-rate-limit";
 
@@ -59,6 +60,8 @@ router.post("/chat", chatbotRateLimit, async (req, res) => {
       userContext || {}
     );
 
+    recordEvent({ type: "chatbot", sessionId: validSessionId });
+
     // Log successful response
     scrapingLogger.info(
       `Chatbot response generated for session ${validSessionId}`
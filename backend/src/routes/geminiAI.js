@@ -4,10 +4,12 @@
  */
 
 import express from "express";
-import geminiAI from "../utils/geminiAIService.js";
+import geminiAI, { saveEnhancement } from "../utils/geminiAIService.js";
 import aiContentAnalyzer from "../utils/aiContentAnalyzer-gemini.js";
 import Scholarship from "../models/Scholarship.js";
 import logger from "../utils/logger.js";
+import { requireRole } from "../utils/auth.js";
+import { enqueueJob, queuedJobResponse } from "../utils/jobQueue.js";
 
 const router = express.Router();
 
@@ -76,10 +78,7 @@ router.post("/enhance-scholarship", async (req, res) => {
     );
 
     // Update the scholarship with enhanced content
-    await Scholarship.findByIdAndUpdate(scholarshipId, {
-      ...enhanced,
-      lastUpdated: new Date(),
-    });
+    await saveEnhancement(scholarship, enhanced, req.user);
 
     res.json({
       success: true,
@@ -233,64 +232,19 @@ router.get("/content-summary", async (req, res) => {
   }
 });
 
-// POST /api/ai/bulk-enhance - Enhance multiple scholarships
-router.post("/bulk-enhance", async (req, res) => {
+// POST /api/ai/bulk-enhance - Queue enhancement of multiple scholarships
+router.post("/bulk-enhance", requireRole("admin"), async (req, res) => {
   try {
     const { limit = 10, category, skipEnhanced = true } = req.body;
 
-    const filters = { isActive: true };
-    if (category) filters.category = category;
-    if (skipEnhanced) filters.aiEnhanced = { $ne: true };
-
-    const scholarships = await Scholarship.find(filters)
-      .limit(parseInt(limit))
-      .sort({ createdAt: -1 });
-
-    if (scholarships.length === 0) {
-      return res.json({
-        success: true,
-        message: "No scholarships found for enhancement",
-        enhanced: 0,
-      });
-    }
-
-    logger.info(`Bulk enhancing ${scholarships.length} scholarships`);
-
-    const results = {
-      total: scholarships.length,
-      enhanced: 0,
-      failed: 0,
-      errors: [],
-    };
-
-    for (const scholarship of scholarships) {
-      try {
-        const enhanced = await geminiAI.enhanceScholarshipContent(
-          scholarship.toObject()
-        );
-
-        await Scholarship.findByIdAndUpdate(scholarship._id, {
-          ...enhanced,
-          lastUpdated: new Date(),
-        });
-
-        results.enhanced++;
-        logger.info(`Enhanced: ${scholarship.title}`);
-      } catch (error) {
-        results.failed++;
-        results.errors.push({
-          scholarshipId: scholarship._id,
-          title: scholarship.title,
-          error: error.message,
-        });
-        logger.error(`Failed to enhance ${scholarship.title}:`, error);
-      }
-    }
+    const queued = await enqueueJob(
+      "gemini-bulk-enhance",
+      { limit: parseInt(limit) || 10, category, skipEnhanced },
+      { dedupeKey: "gemini-bulk-enhance", createdBy: req.user._id }
+    );
 
-    res.json({
-      success: true,
-      message: `Bulk enhancement completed: ${results.enhanced}/${results.total} successful`,
-      results,
+    res.status(202).json({
+      ...queuedJobResponse(queued, "Bulk enhancement queued"),
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
@@ -303,60 +257,25 @@ router.post("/bulk-enhance", async (req, res) => {
   }
 });
 
-// POST /api/ai/cleanup-database - Remove duplicates and invalid entries
-router.post("/cleanup-database", async (req, res) => {
+// POST /api/ai/cleanup-database - Queue removal of duplicates
+router.post("/cleanup-database", requireRole("admin"), async (req, res) => {
   try {
-    const { dryRun = true } = req.body;
-
-    logger.info(`Starting database cleanup (dry run: ${dryRun})`);
-
-    // Find potential duplicates
-    const allScholarships = await Scholarship.find({ isActive: true });
-    const duplicates = await geminiAI.detectDuplicateScholarships(
-      allScholarships
-    );
-
-    const results = {
-      totalScholarships: allScholarships.length,
-      duplicateGroups: duplicates.length,
-      potentialRemovals: 0,
-      actualRemovals: 0,
-      errors: [],
-    };
-
-    for (const duplicateGroup of duplicates) {
-      if (
-        duplicateGroup.confidence > 80 &&
-        duplicateGroup.recommendation === "keep_first"
-      ) {
-        results.potentialRemovals += duplicateGroup.scholarshipIds.length - 1;
-
-        if (!dryRun) {
-          try {
-            // Keep the first scholarship, remove the rest
-            const idsToRemove = duplicateGroup.scholarshipIds.slice(1);
-            await Scholarship.updateMany(
-              { _id: { $in: idsToRemove } },
-              { isActive: false, duplicateOf: duplicateGroup.scholarshipIds[0] }
-            );
-            results.actualRemovals += idsToRemove.length;
-          } catch (error) {
-            results.errors.push({
-              group: duplicateGroup.scholarshipIds,
-              error: error.message,
-            });
-          }
-        }
+    const dryRun = req.body.dryRun !== false;
+
+    const queued = await enqueueJob(
+      "gemini-cleanup",
+      { dryRun },
+      {
+        dedupeKey: `gemini-cleanup:${dryRun ? "dry-run" : "apply"}`,
+        createdBy: req.user._id,
       }
-    }
+    );
 
-    res.json({
-      success: true,
-      message: dryRun
-        ? "Dry run completed - no changes made"
-        : "Database cleanup completed",
-      dryRun,
-      results,
+    res.status(202).json({
+      ...queuedJobResponse(
+        queued,
+        dryRun ? "Cleanup dry run queued" : "Database cleanup queued"
+      ),
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
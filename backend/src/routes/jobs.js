@@ -0,0 +1,100 @@
+import express from "express";
+import mongoose from "mongoose";
+import {
+  cancelJob,
+  getJob,
+  getJobTypes,
+  listJobs,
+} from "../utils/jobQueue.js";
+
+const router = express.Router();
+
+const JOB_STATUSES = ["queued", "running", "succeeded", "failed", "cancelled"];
+
+const validId = (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({
+      success: false,
+      message: "Job not found",
+    });
+  }
+  next();
+};
+
+// Recent jobs, newest first; filter with ?type= and ?status=
+router.get("/", async (req, res) => {
+  try {
+    const { type, status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of ${JOB_STATUSES.join(", ")}`,
+      });
+    }
+
+    const jobs = await listJobs({ type, status, limit });
+    res.json({ success: true, data: { jobs, types: getJobTypes() } });
+  } catch (error) {
+    console.error("List jobs error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to load jobs",
+    });
+  }
+});
+
+// One job with its progress and, once finished, its result; poll this
+// after queueing work
+router.get("/:id", validId, async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "Job not found",
+      });
+    }
+
+    res.json({ success: true, data: { job } });
+  } catch (error) {
+    console.error("Get job error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to load job",
+    });
+  }
+});
+
+// Cancel a queued job, or ask a running one to stop
+router.post("/:id/cancel", validId, async (req, res) => {
+  try {
+    const job = await cancelJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "Job not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message:
+        job.status === "cancelled"
+          ? "Job cancelled"
+          : job.status === "running"
+          ? "Job will stop at its next checkpoint"
+          : `Job already ${job.status}`,
+      data: { job },
+    });
+  } catch (error) {
+    console.error("Cancel job error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to cancel job",
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,198 @@
+import express from "express";
+import mongoose from "mongoose";
+import { requireRole } from "../utils/auth.js";
+import { REVIEW_SCORE } from "../utils/entityResolution.js";
+import { enqueueJob, queuedJobResponse } from "../utils/jobQueue.js";
+import {
+  MergeError,
+  findMergeCandidates,
+  listMerges,
+  mergeScholarships,
+  rejectMergeCandidates,
+  undoMerge,
+} from "../utils/scholarshipMerges.js";
+
+const router = express.Router();
+
+const MERGE_STATUSES = ["applied", "undone", "rejected"];
+
+// Validates { canonicalId, duplicateIds } request bodies
+const readGroup = (req, res) => {
+  const { canonicalId, duplicateIds } = req.body;
+  const ids = Array.isArray(duplicateIds) ? duplicateIds : [];
+
+  if (
+    !mongoose.isValidObjectId(canonicalId) ||
+    ids.length === 0 ||
+    !ids.every((id) => mongoose.isValidObjectId(id))
+  ) {
+    res.status(400).json({
+      success: false,
+      message: "canonicalId and a non-empty duplicateIds array are required",
+    });
+    return null;
+  }
+
+  return { canonicalId, duplicateIds: ids };
+};
+
+// Groups of active scholarships that look like the same scheme; filter
+// with ?minScore= (0-1)
+router.get("/candidates", async (req, res) => {
+  try {
+    const minScore = parseFloat(req.query.minScore);
+    const candidates = await findMergeCandidates({
+      minScore: minScore >= 0 && minScore <= 1 ? minScore : REVIEW_SCORE,
+      limit: Math.min(parseInt(req.query.limit) || 50, 200),
+    });
+
+    res.json({ success: true, data: { candidates } });
+  } catch (error) {
+    console.error("Merge candidates error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to find merge candidates",
+    });
+  }
+});
+
+// Merge history, newest first; filter with ?status=
+router.get("/", async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !MERGE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of ${MERGE_STATUSES.join(", ")}`,
+      });
+    }
+
+    const merges = await listMerges({
+      status,
+      limit: Math.min(parseInt(req.query.limit) || 50, 200),
+    });
+    res.json({ success: true, data: { merges } });
+  } catch (error) {
+    console.error("List merges error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to load merges",
+    });
+  }
+});
+
+// Merge duplicates into a canonical scholarship
+router.post("/", requireRole("admin"), async (req, res) => {
+  const group = readGroup(req, res);
+  if (!group) return;
+
+  try {
+    const merge = await mergeScholarships(
+      group.canonicalId,
+      group.duplicateIds,
+      { actor: req.user }
+    );
+    res.status(201).json({
+      success: true,
+      message: `Merged ${merge.merged.length} scholarship(s)`,
+      data: { merge },
+    });
+  } catch (error) {
+    if (error instanceof MergeError) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error("Merge scholarships error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to merge scholarships",
+    });
+  }
+});
+
+// Mark a candidate group as different scholarships
+router.post("/reject", requireRole("admin"), async (req, res) => {
+  const group = readGroup(req, res);
+  if (!group) return;
+
+  try {
+    const merge = await rejectMergeCandidates(
+      group.canonicalId,
+      group.duplicateIds,
+      { actor: req.user }
+    );
+    res.status(201).json({
+      success: true,
+      message: "Scholarships will be kept separate",
+      data: { merge },
+    });
+  } catch (error) {
+    if (error instanceof MergeError) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error("Reject merge error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to reject merge candidates",
+    });
+  }
+});
+
+// Queue automatic merging of groups that need no review
+router.post("/resolve", requireRole("admin"), async (req, res) => {
+  try {
+    const queued = await enqueueJob(
+      "resolve-entities",
+      { trigger: "manual" },
+      { priority: 1, dedupeKey: "resolve-entities", createdBy: req.user._id }
+    );
+    res
+      .status(202)
+      .json(queuedJobResponse(queued, "Duplicate resolution queued"));
+  } catch (error) {
+    console.error("Resolve duplicates error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to queue duplicate resolution",
+    });
+  }
+});
+
+// Reactivate the merged records and restore the canonical fields
+router.post("/:id/undo", requireRole("admin"), async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({
+      success: false,
+      message: "Merge not found",
+    });
+  }
+
+  try {
+    const undone = await undoMerge(req.params.id, { actor: req.user });
+    if (!undone) {
+      return res.status(404).json({
+        success: false,
+        message: "Merge not found",
+      });
+    }
+
+    const { merge, skippedFields } = undone;
+    res.json({
+      success: true,
+      message: skippedFields.length
+        ? `Merge undone; kept newer values of ${skippedFields.join(", ")}`
+        : "Merge undone",
+      data: { merge, skippedFields },
+    });
+  } catch (error) {
+    if (error instanceof MergeError) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error("Undo merge error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to undo merge",
+    });
+  }
+});
+
+export default router;
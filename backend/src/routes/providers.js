@@ -0,0 +1,219 @@
+import express from "express";
+import Provider, { PROVIDER_TYPES } from "../models/Provider.js";
+import Scholarship from "../models/Scholarship.js";
+import { authenticateToken, requireRole } from "../utils/auth.js";
+import { enqueueJob } from "../utils/jobQueue.js";
+import {
+  loadProviderDirectory,
+  slugify,
+  validateProviderData,
+} from "../utils/providerDirectory.js";
+
+const router = express.Router();
+
+const requireAdmin = [authenticateToken, requireRole("admin")];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Active scholarships per provider id
+const countScholarships = async (match = {}) => {
+  const counts = await Scholarship.aggregate([
+    { $match: { isActive: true, providerId: { $ne: null }, ...match } },
+    {
+      $group: {
+        _id: "$providerId",
+        scholarships: { $sum: 1 },
+        offDomainLinks: { $sum: { $cond: ["$offDomainLink", 1, 0] } },
+      },
+    },
+  ]);
+  return new Map(counts.map(({ _id, ...count }) => [String(_id), count]));
+};
+
+const withCounts = (provider, counts) => ({
+  ...provider,
+  scholarshipCount: counts.get(String(provider._id))?.scholarships || 0,
+  offDomainLinkCount: counts.get(String(provider._id))?.offDomainLinks || 0,
+});
+
+// Refresh this process' cache and re-link scholarships in the background
+const providersChanged = async (req) => {
+  await loadProviderDirectory();
+  await enqueueJob(
+    "link-providers",
+    { trigger: "provider-change" },
+    { dedupeKey: "link-providers", createdBy: req.user._id }
+  );
+};
+
+// Active providers with their scholarship counts, most scholarships first.
+// Filter with ?type=, ?official=true and ?search= (name or alias)
+router.get("/", async (req, res) => {
+  try {
+    const { type, official, search } = req.query;
+    if (type && !PROVIDER_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `type must be one of ${PROVIDER_TYPES.join(", ")}`,
+      });
+    }
+
+    const filter = { isActive: true };
+    if (type) filter.type = type;
+    if (official === "true") filter.official = true;
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), "i");
+      filter.$or = [{ name: pattern }, { aliases: pattern }];
+    }
+
+    const [providers, counts] = await Promise.all([
+      Provider.find(filter).sort({ name: 1 }).lean(),
+      countScholarships(),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        providers: providers
+          .map((provider) => withCounts(provider, counts))
+          .sort((a, b) => b.scholarshipCount - a.scholarshipCount),
+      },
+    });
+  } catch (error) {
+    console.error("List providers error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to load providers",
+    });
+  }
+});
+
+router.get("/:slug", async (req, res) => {
+  try {
+    const provider = await Provider.findOne({ slug: req.params.slug }).lean();
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: "Provider not found",
+      });
+    }
+
+    const counts = await countScholarships({ providerId: provider._id });
+    res.json({
+      success: true,
+      data: { provider: withCounts(provider, counts) },
+    });
+  } catch (error) {
+    console.error("Get provider error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to load provider",
+    });
+  }
+});
+
+router.post("/", requireAdmin, async (req, res) => {
+  const { error, value } = validateProviderData(req.body);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+
+  try {
+    const slug = slugify(value.name);
+    if (!slug) {
+      return res.status(400).json({
+        success: false,
+        message: "name must contain letters or digits",
+      });
+    }
+    if (await Provider.exists({ slug })) {
+      return res.status(400).json({
+        success: false,
+        message: "A provider with this name already exists",
+      });
+    }
+
+    const provider = await Provider.create({ ...value, slug });
+    await providersChanged(req);
+
+    res.status(201).json({
+      success: true,
+      message: "Provider added",
+      data: { provider },
+    });
+  } catch (error) {
+    console.error("Create provider error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to add provider",
+    });
+  }
+});
+
+// Renaming keeps the slug, so links to the provider keep working
+router.put("/:slug", requireAdmin, async (req, res) => {
+  const { error, value } = validateProviderData(req.body, { partial: true });
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+
+  try {
+    const provider = await Provider.findOneAndUpdate(
+      { slug: req.params.slug },
+      { $set: value },
+      { new: true, runValidators: true }
+    );
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: "Provider not found",
+      });
+    }
+
+    await providersChanged(req);
+    res.json({
+      success: true,
+      message: "Provider updated",
+      data: { provider },
+    });
+  } catch (error) {
+    console.error("Update provider error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update provider",
+    });
+  }
+});
+
+// Deactivates rather than deletes, so a seeded provider is not re-added
+// on the next start
+router.delete("/:slug", requireAdmin, async (req, res) => {
+  try {
+    const provider = await Provider.findOneAndUpdate(
+      { slug: req.params.slug },
+      { $set: { isActive: false } },
+      { new: true }
+    );
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: "Provider not found",
+      });
+    }
+
+    await providersChanged(req);
+    res.json({
+      success: true,
+      message: "Provider removed",
+      data: { provider },
+    });
+  } catch (error) {
+    console.error("Delete provider error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to remove provider",
+    });
+  }
+});
+
+export default router;
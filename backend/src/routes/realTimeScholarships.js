@@ -1,93 +1,57 @@
 import express from "express";
+import mongoose from "mongoose";
 import Scholarship from "../models/Scholarship.js";
-import { triggerImmediateScraping } from "../scrapers/realTimeOrchestrator.js";
+import { authenticateToken, optionalAuth, requireRole } from "../utils/auth.js";
+import { enqueueJob, queuedJobResponse } from "../utils/jobQueue.js";
+import {
+  getScholarshipHistory,
+  validateHistoryParams,
+} from "../utils/scholarshipHistory.js";
+import {
+  searchScholarships,
+  validateSearchParams,
+} from "../utils/scholarshipSearch.js";
 
 const router = express.Router();
 
-// Get all scholarships with advanced filtering and real-time data priority
-router.get("/", async (req, res) => {
+// Search, filter and rank scholarships, with facet counts for the filters
+// and suggestions when nothing matches
+router.get("/", optionalAuth, async (req, res) => {
   try {
-    const {
-      page = 1,
-      limit = 10,
-      category,
-      targetGroup,
-      educationLevel,
-      state,
-      search,
-      deadline,
-      forceRefresh = false,
-    } = req.query;
-
-    const filter = { isActive: true };
-
-    // Add filters
-    if (category) filter.category = category;
-    if (targetGroup) filter.targetGroup = { $in: [targetGroup] };
-    if (educationLevel) filter.educationLevel = educationLevel;
-    if (state && state !== "All India") filter.state = state;
-    if (deadline) {
-      filter.deadline = { $gte: new Date(deadline) };
+    const { error, value: params } = validateSearchParams(req.query);
+    if (error) {
+      return res.status(400).json({ error: "Invalid search", message: error });
     }
 
-    // Text search
-    if (search) {
-      filter.$or = [
-        { title: { $regex: search, $options: "i" } },
-        { description: { $regex: search, $options: "i" } },
-        { provider: { $regex: search, $options: "i" } },
-      ];
-    }
-
-    let scholarships, total;
+    let result, lastUpdate;
 
     try {
       // Check if we need fresh data
-      const lastUpdate = await Scholarship.findOne(
+      lastUpdate = await Scholarship.findOne(
         {},
         {},
         { sort: { lastUpdated: -1 } }
       );
       const shouldRefresh =
-        forceRefresh ||
+        req.query.forceRefresh === "true" ||
         !lastUpdate ||
         Date.now() - new Date(lastUpdate.lastUpdated).getTime() >
           6 * 60 * 60 * 1000; // 6 hours
 
-      // Trigger real-time scraping if needed (non-blocking)
+      // Queue real-time scraping if needed; concurrent requests share the
+      // pass already queued or running
       if (shouldRefresh) {
-        console.log("🔄 Triggering background real-time scraping...");
-        triggerImmediateScraping().catch((error) => {
+        console.log("🔄 Queueing background real-time scraping...");
+        enqueueJob(
+          "scrape",
+          { trigger: "immediate" },
+          { dedupeKey: "scrape:all" }
+        ).catch((error) => {
           console.error("Background scraping error:", error);
         });
       }
 
-      // Get scholarships from database
-      scholarships = await Scholarship.find(filter)
-        .sort({ lastUpdated: -1, deadline: 1, createdAt: -1 })
-        .limit(limit * 1)
-        .skip((page - 1) * limit)
-        .exec();
-
-      total = await Scholarship.countDocuments(filter);
-
-      // If no scholarships found, we'll return empty array instead of mock data
-      if (total === 0) {
-        console.log("⚠️ No scholarships found in database");
-        return res.json({
-          scholarships: [],
-          totalPages: 0,
-          currentPage: parseInt(page),
-          total: 0,
-          message:
-            "No scholarships found. Our scrapers are working to fetch the latest data.",
-          lastUpdated: lastUpdate ? lastUpdate.lastUpdated : null,
-        });
-      }
-
-      console.log(
-        `✅ Serving ${scholarships.length} scholarships from database`
-      );
+      result = await searchScholarships(params, { user: req.user });
     } catch (dbError) {
       console.error("Database query error:", dbError);
       return res.status(500).json({
@@ -96,11 +60,25 @@ router.get("/", async (req, res) => {
       });
     }
 
+    const { scholarships, ...rest } = result;
+
+    // If no scholarships found, we'll return empty array instead of mock data
+    if (rest.total === 0) {
+      return res.json({
+        scholarships: [],
+        ...rest,
+        message: lastUpdate
+          ? "No scholarships match your search."
+          : "No scholarships found. Our scrapers are working to fetch the latest data.",
+        lastUpdated: lastUpdate ? lastUpdate.lastUpdated : null,
+      });
+    }
+
+    console.log(`✅ Serving ${scholarships.length} scholarships from database`);
+
     res.json({
       scholarships,
-      totalPages: Math.ceil(total / limit),
-      currentPage: parseInt(page),
-      total,
+      ...rest,
       dataSource: "database",
       lastUpdated: scholarships.length > 0 ? scholarships[0].lastUpdated : null,
     });
@@ -110,26 +88,33 @@ router.get("/", async (req, res) => {
   }
 });
 
-// Force refresh endpoint - triggers immediate real-time scraping
-router.post("/refresh", async (req, res) => {
-  try {
-    console.log("🔥 Manual refresh triggered");
-    const result = await triggerImmediateScraping();
+// Force refresh endpoint - queues real-time scraping (staff only)
+router.post(
+  "/refresh",
+  authenticateToken,
+  requireRole("moderator"),
+  async (req, res) => {
+    try {
+      console.log("🔥 Manual refresh triggered");
+      const queued = await enqueueJob(
+        "scrape",
+        { trigger: "manual" },
+        { priority: 1, dedupeKey: "scrape:all", createdBy: req.user._id }
+      );
 
-    res.json({
-      success: true,
-      message: "Real-time scraping completed",
-      result,
-    });
-  } catch (error) {
-    console.error("Manual refresh error:", error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      message: "Failed to refresh scholarship data",
-    });
+      res
+        .status(202)
+        .json(queuedJobResponse(queued, "Real-time scraping queued"));
+    } catch (error) {
+      console.error("Manual refresh error:", error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+        message: "Failed to refresh scholarship data",
+      });
+    }
   }
-});
+);
 
 // Get scholarship by ID
 router.get("/:id", async (req, res) => {
@@ -147,6 +132,35 @@ router.get("/:id", async (req, res) => {
   }
 });
 
+// Change history: what each scraper/AI write changed, newest first.
+// `?fields=deadline,amount` narrows to those fields, `?since=` to later changes.
+router.get("/:id/history", async (req, res) => {
+  try {
+    const { error, value: params } = validateHistoryParams(req.query);
+    if (error) {
+      return res
+        .status(400)
+        .json({ error: "Invalid history query", message: error });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: "Scholarship not found" });
+    }
+
+    const scholarship = await Scholarship.exists({ _id: req.params.id });
+    if (!scholarship) {
+      return res.status(404).json({ error: "Scholarship not found" });
+    }
+
+    const versions = await getScholarshipHistory(req.params.id, params);
+
+    res.json({ scholarshipId: req.params.id, versions });
+  } catch (error) {
+    console.error("Scholarship history error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get scholarship statistics
 router.get("/stats/overview", async (req, res) => {
   try {
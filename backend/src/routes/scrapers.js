@@ -1,16 +1,44 @@
 import express from "express";
-import { runAllScrapers } from "../scrapers/runScrapers.js";
+import ScraperSource from "../models/ScraperSource.js";
+import { getScrapingStatus } from "../scrapers/realTimeOrchestrator.js";
+import { runDeclarativeSource } from "../scrapers/declarativeScraper.js";
+import {
+  getFileSource,
+  getSource,
+  getSources,
+  loadRegistry,
+  validateDeclarativeSource,
+  validateSourceSettings,
+} from "../scrapers/scraperRegistry.js";
+import { requireRole } from "../utils/auth.js";
+import {
+  clearRobotsCache,
+  getRobotsComplianceReport,
+} from "../utils/robotsPolicy.js";
+import { getScrapeRuns, getSourceHealth } from "../utils/scrapeRuns.js";
+import { enqueueJob, queuedJobResponse } from "../utils/jobQueue.js";
 
 const router = express.Router();
 
+// Dry runs return at most this many scholarships to keep responses small
+const TEST_PREVIEW_LIMIT = 10;
+
+const RUN_STATUSES = ["running", "success", "failed", "skipped"];
+
+const previewResult = (result) => ({
+  ...result,
+  scholarships: result.scholarships.slice(0, TEST_PREVIEW_LIMIT),
+});
+
 // Trigger manual scraping
 router.post("/run", async (req, res) => {
   try {
-    const result = await runAllScrapers();
-    res.json({
-      message: "Scraping completed",
-      result,
-    });
+    const queued = await enqueueJob(
+      "scrape",
+      { trigger: "manual" },
+      { priority: 1, dedupeKey: "scrape:all", createdBy: req.user._id }
+    );
+    res.status(202).json(queuedJobResponse(queued, "Scraping queued"));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -19,19 +47,367 @@ router.post("/run", async (req, res) => {
 // Get scraper status
 router.get("/status", async (req, res) => {
   try {
-    // In a real application, you might track scraper runs in a database
+    await loadRegistry();
+    const status = getScrapingStatus();
     res.json({
       status: "ready",
       lastRun: new Date().toISOString(),
-      availableScrapers: [
-        "scholarshipsindia",
-        "vidhyaLakshmi",
-        "nationalScholarshipPortal",
-      ],
+      availableScrapers: Object.keys(status.scrapers),
+      scrapers: status.scrapers,
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// List every registered source with its origin and circuit breaker state
+router.get("/sources", async (req, res) => {
+  try {
+    await loadRegistry();
+    const { scrapers } = getScrapingStatus();
+
+    res.json({
+      success: true,
+      data: {
+        sources: getSources().map((source) => ({
+          ...source,
+          circuitBreakerOpen: scrapers[source.key]?.circuitBreakerOpen,
+          failureCount: scrapers[source.key]?.failureCount,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("List scraper sources error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to load scraper sources",
+    });
+  }
+});
+
+// Per-domain robots.txt compliance since startup: checks, skips and the
+// most recent skip reasons
+router.get("/robots", (req, res) => {
+  res.json({
+    success: true,
+    data: { domains: getRobotsComplianceReport() },
+  });
+});
+
+// Re-fetch every robots.txt on the next check, e.g. after a site changed it
+router.post("/robots/refresh", requireRole("admin"), (req, res) => {
+  clearRobotsCache();
+  res.json({
+    success: true,
+    message: "robots.txt files will be fetched again",
+  });
+});
+
+// Run history, newest first; page with ?before=<startedAt of the last run>
+router.get("/runs", async (req, res) => {
+  try {
+    const { source, status } = req.query;
+    const before = req.query.before ? new Date(req.query.before) : undefined;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    if (status && !RUN_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of ${RUN_STATUSES.join(", ")}`,
+      });
+    }
+    if (before && isNaN(before.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: "before must be a valid date",
+      });
+    }
+
+    const runs = await getScrapeRuns({ source, status, before, limit });
+    res.json({ success: true, data: { runs } });
+  } catch (error) {
+    console.error("Scrape run history error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to load scrape run history",
+    });
+  }
+});
+
+// Per-source health and daily yield for the last ?days= days (default 14)
+router.get("/runs/trends", async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 14, 1), 90);
+
+    await loadRegistry();
+    const health = await getSourceHealth({ days });
+    const byKey = new Map(health.map((entry) => [entry.source, entry]));
+
+    // Registered sources that never ran are listed too, so gaps are visible
+    const sources = getSources().map((source) => ({
+      source: source.key,
+      sourceName: source.name,
+      runs: 0,
+      daily: [],
+      ...byKey.get(source.key),
+      enabled: source.enabled,
+      registered: true,
+    }));
+    for (const entry of health) {
+      if (!getSource(entry.source)) {
+        sources.push({ ...entry, enabled: false, registered: false });
+      }
+    }
+
+    res.json({ success: true, data: { days, sources } });
+  } catch (error) {
+    console.error("Scrape run trends error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to load scraper health",
+    });
+  }
+});
+
+// Dry-run an unsaved definition: fetch and extract, save nothing
+router.post("/sources/test", requireRole("admin"), async (req, res) => {
+  let definition;
+  try {
+    definition = validateDeclarativeSource(req.body);
+  } catch (error) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+
+  try {
+    const result = await runDeclarativeSource(definition, { dryRun: true });
+    res.json({ success: true, data: previewResult(result) });
+  } catch (error) {
+    console.error("Test scraper source error:", error);
+    res.status(502).json({
+      success: false,
+      message: `Test run failed: ${error.message}`,
+    });
+  }
+});
+
+// Add a declarative source
+router.post("/sources", requireRole("admin"), async (req, res) => {
+  try {
+    let definition;
+    try {
+      definition = validateDeclarativeSource(req.body);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    await loadRegistry();
+    if (getSource(definition.key)) {
+      return res.status(409).json({
+        success: false,
+        message: `A source with key "${definition.key}" already exists`,
+      });
+    }
+
+    await ScraperSource.create({
+      key: definition.key,
+      enabled: definition.enabled,
+      priority: definition.priority,
+      intervalMinutes: definition.intervalMinutes,
+      definition,
+      updatedBy: req.user._id,
+    });
+    await loadRegistry();
+
+    res.status(201).json({
+      success: true,
+      message: "Scraper source added",
+      data: { source: getSource(definition.key) },
+    });
+  } catch (error) {
+    console.error("Create scraper source error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to add scraper source",
+    });
+  }
+});
+
+// Replace the definition of a database source
+router.put("/sources/:key", requireRole("admin"), async (req, res) => {
+  try {
+    let definition;
+    try {
+      definition = validateDeclarativeSource({
+        ...req.body,
+        key: req.params.key,
+      });
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    const record = await ScraperSource.findOne({ key: req.params.key });
+    if (!record?.definition) {
+      return res.status(404).json({
+        success: false,
+        message: getFileSource(req.params.key)
+          ? "This source is defined in a file; only its settings can be changed"
+          : "Scraper source not found",
+      });
+    }
+
+    record.set({
+      enabled: definition.enabled,
+      priority: definition.priority,
+      intervalMinutes: definition.intervalMinutes,
+      definition,
+      updatedBy: req.user._id,
+    });
+    await record.save();
+    await loadRegistry();
+
+    res.json({
+      success: true,
+      message: "Scraper source updated",
+      data: { source: getSource(req.params.key) },
+    });
+  } catch (error) {
+    console.error("Update scraper source error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update scraper source",
+    });
+  }
+});
+
+// Enable, disable or reprioritise any source
+router.patch("/sources/:key", requireRole("admin"), async (req, res) => {
+  try {
+    let settings;
+    try {
+      settings = validateSourceSettings(req.body);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    await loadRegistry();
+    if (!getSource(req.params.key)) {
+      return res.status(404).json({
+        success: false,
+        message: "Scraper source not found",
+      });
+    }
+
+    // File sources get a settings-only record; database sources are edited
+    await ScraperSource.findOneAndUpdate(
+      { key: req.params.key },
+      { $set: { ...settings, updatedBy: req.user._id } },
+      { upsert: true, runValidators: true }
+    );
+    await loadRegistry();
+
+    res.json({
+      success: true,
+      message: "Scraper source updated",
+      data: { source: getSource(req.params.key) },
+    });
+  } catch (error) {
+    console.error("Update scraper source settings error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update scraper source",
+    });
+  }
+});
+
+// Remove a database source, or reset a file source to its file settings
+router.delete("/sources/:key", requireRole("admin"), async (req, res) => {
+  try {
+    const record = await ScraperSource.findOneAndDelete({
+      key: req.params.key,
+    });
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: getFileSource(req.params.key)
+          ? "File sources cannot be deleted; disable them instead"
+          : "Scraper source not found",
+      });
+    }
+    await loadRegistry();
+
+    res.json({
+      success: true,
+      message: record.definition
+        ? "Scraper source removed"
+        : "Scraper source reset to its file settings",
+    });
+  } catch (error) {
+    console.error("Delete scraper source error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to remove scraper source",
+    });
+  }
+});
+
+// Dry-run a registered declarative source
+router.post("/sources/:key/test", requireRole("admin"), async (req, res) => {
+  try {
+    await loadRegistry();
+    const source = getSource(req.params.key);
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: "Scraper source not found",
+      });
+    }
+    // Hand-written modules save as they scrape, so they cannot dry-run
+    if (source.type !== "declarative") {
+      return res.status(400).json({
+        success: false,
+        message: "Only declarative sources can be tested without saving",
+      });
+    }
+
+    const result = await runDeclarativeSource(source, { dryRun: true });
+    res.json({ success: true, data: previewResult(result) });
+  } catch (error) {
+    console.error("Test scraper source error:", error);
+    res.status(502).json({
+      success: false,
+      message: `Test run failed: ${error.message}`,
+    });
+  }
+});
+
+// Queue a run of one source that saves what it finds
+router.post("/sources/:key/run", requireRole("admin"), async (req, res) => {
+  try {
+    await loadRegistry();
+    if (!getSource(req.params.key)) {
+      return res.status(404).json({
+        success: false,
+        message: "Scraper source not found",
+      });
+    }
+
+    const queued = await enqueueJob(
+      "scrape",
+      { sources: [req.params.key], trigger: "manual" },
+      {
+        priority: 1,
+        dedupeKey: `scrape:source:${req.params.key}`,
+        createdBy: req.user._id,
+      }
+    );
+    res.status(202).json(queuedJobResponse(queued, "Source run queued"));
+  } catch (error) {
+    console.error("Run scraper source error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to queue scraper source run",
+    });
+  }
+});
+
 export default router;
@@ -0,0 +1,158 @@
+import express from "express";
+import mongoose from "mongoose";
+import SearchSynonym, { SYNONYM_KINDS } from "../models/SearchSynonym.js";
+import { authenticateToken, requireRole } from "../utils/auth.js";
+import {
+  loadSearchSynonyms,
+  normalizeQuery,
+  validateSynonymData,
+} from "../utils/queryNormalizer.js";
+
+const router = express.Router();
+
+const requireAdmin = [authenticateToken, requireRole("admin")];
+
+const notFound = (res) =>
+  res.status(404).json({
+    success: false,
+    message: "Search synonym not found",
+  });
+
+// How a search is read: transliteration, dictionary matches and the
+// expansions searched for as well
+router.get("/normalize", (req, res) => {
+  const { q } = req.query;
+  if (typeof q !== "string" || !q.trim()) {
+    return res.status(400).json({ success: false, message: "q is required" });
+  }
+  res.json({ success: true, data: normalizeQuery(q.slice(0, 200)) });
+});
+
+// Every entry, including deactivated ones; filter with ?kind=
+router.get("/", requireAdmin, async (req, res) => {
+  try {
+    const { kind } = req.query;
+    if (kind && !SYNONYM_KINDS.includes(kind)) {
+      return res.status(400).json({
+        success: false,
+        message: `kind must be one of ${SYNONYM_KINDS.join(", ")}`,
+      });
+    }
+
+    const synonyms = await SearchSynonym.find(kind ? { kind } : {})
+      .sort({ kind: 1, phrase: 1 })
+      .lean();
+    res.json({ success: true, data: { synonyms } });
+  } catch (error) {
+    console.error("List search synonyms error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to load search synonyms",
+    });
+  }
+});
+
+router.post("/", requireAdmin, async (req, res) => {
+  const { error, value } = validateSynonymData(req.body);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+
+  try {
+    if (await SearchSynonym.exists({ phrase: value.phrase })) {
+      return res.status(400).json({
+        success: false,
+        message: "An entry for this phrase already exists",
+      });
+    }
+
+    const synonym = await SearchSynonym.create(value);
+    await loadSearchSynonyms();
+
+    res.status(201).json({
+      success: true,
+      message: "Search synonym added",
+      data: { synonym },
+    });
+  } catch (error) {
+    console.error("Create search synonym error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to add search synonym",
+    });
+  }
+});
+
+router.put("/:id", requireAdmin, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return notFound(res);
+
+  const { error, value } = validateSynonymData(req.body, { partial: true });
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+
+  try {
+    if (
+      value.phrase &&
+      (await SearchSynonym.exists({
+        phrase: value.phrase,
+        _id: { $ne: req.params.id },
+      }))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "An entry for this phrase already exists",
+      });
+    }
+
+    const synonym = await SearchSynonym.findByIdAndUpdate(
+      req.params.id,
+      { $set: value },
+      { new: true, runValidators: true }
+    );
+    if (!synonym) return notFound(res);
+
+    await loadSearchSynonyms();
+    res.json({
+      success: true,
+      message: "Search synonym updated",
+      data: { synonym },
+    });
+  } catch (error) {
+    console.error("Update search synonym error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update search synonym",
+    });
+  }
+});
+
+// Deactivates rather than deletes, so a seeded entry is not re-added on
+// the next start
+router.delete("/:id", requireAdmin, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return notFound(res);
+
+  try {
+    const synonym = await SearchSynonym.findByIdAndUpdate(
+      req.params.id,
+      { $set: { isActive: false } },
+      { new: true }
+    );
+    if (!synonym) return notFound(res);
+
+    await loadSearchSynonyms();
+    res.json({
+      success: true,
+      message: "Search synonym removed",
+      data: { synonym },
+    });
+  } catch (error) {
+    console.error("Delete search synonym error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to remove search synonym",
+    });
+  }
+});
+
+export default router;
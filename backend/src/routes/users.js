@@ -1,22 +1,84 @@
 import express from "express";
+import mongoose from "mongoose";
 import User from "../models/User.js";
 import Scholarship from "../models/Scholarship.js";
 import { authenticateToken, optionalAuth } from "../utils/auth.js";
+import { evaluateEligibility } from "../utils/eligibilityEngine.js";
+import { getRecommendations } from "../utils/recommendations.js";
+import { buildDigest, renderDigest } from "../utils/weeklyDigest.js";
+import {
+  APPLICATION_STATUSES,
+  buildDefaultChecklist,
+  changeApplicationStatus,
+  replaceChecklist,
+  updateChecklistItem,
+} from "../utils/applicationTracker.js";
+import { recordEvent } from "../utils/analytics.js";
+import {
+  searchScholarships,
+  validateSearchParams,
+} from "../utils/scholarshipSearch.js";
+import {
+  addCollection,
+  describeSaved,
+  mergeLocalSaves,
+  removeCollection,
+  removeForUser,
+  saveForUser,
+  validateCollectionName,
+  validateMergeItems,
+  validateSavedDetails,
+} from "../utils/savedScholarships.js";
+import {
+  addSavedSearch,
+  updateSavedSearch,
+  validateSavedSearch,
+} from "../utils/savedSearches.js";
 
 const router = express.Router();
 
+// Applications are addressed by scholarship ID, or by their own ID when the
+// scholarship has since been deleted
+const findApplication = (user, id) =>
+  user.appliedScholarships.find(
+    (app) => app.scholarshipId?.toString() === id || app._id.toString() === id
+  );
+
+// Returns an error message if a submitted checklist is malformed
+const validateChecklist = (checklist) => {
+  if (!Array.isArray(checklist)) return "Checklist must be an array";
+
+  for (const item of checklist) {
+    if (!item || typeof item.label !== "string" || !item.label.trim()) {
+      return "Every checklist item needs a label";
+    }
+    if (item.dueDate && isNaN(new Date(item.dueDate).getTime())) {
+      return `Invalid due date for "${item.label}"`;
+    }
+  }
+  return null;
+};
+
+// Saved scholarships with their notes, tags and collections
+const loadSaved = async (userId) =>
+  describeSaved(
+    await User.findById(userId)
+      .populate("savedScholarships")
+      .select("savedScholarships savedDetails savedCollections")
+  );
+
 // Get user's saved scholarships
 router.get("/saved-scholarships", authenticateToken, async (req, res) => {
   try {
-    const user = await User.findById(req.user._id)
-      .populate("savedScholarships")
-      .select("savedScholarships");
+    const { items, collections } = await loadSaved(req.user._id);
 
     res.json({
       success: true,
       data: {
-        savedScholarships: user.savedScholarships,
-        count: user.savedScholarships.length,
+        savedScholarships: items.map(({ scholarship }) => scholarship),
+        count: items.length,
+        items,
+        collections,
       },
     });
   } catch (error) {
@@ -29,6 +91,87 @@ router.get("/saved-scholarships", authenticateToken, async (req, res) => {
   }
 });
 
+// Merge scholarships saved on this device before signing in
+router.post(
+  "/saved-scholarships/merge",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { error, value: items } = validateMergeItems(req.body.items);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+
+      const user = await User.findById(req.user._id);
+      const merged = await mergeLocalSaves(user, items);
+      if (merged > 0) await user.save();
+
+      res.json({
+        success: true,
+        message: `${merged} saved scholarships merged`,
+        data: { merged, ...(await loadSaved(req.user._id)) },
+      });
+    } catch (error) {
+      console.error("Merge saved scholarships error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to merge saved scholarships",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Save a scholarship or update its notes, tags and collections. Unlike
+// POST /save-scholarship this succeeds when already saved, so queued
+// offline saves can be replayed.
+router.put(
+  "/saved-scholarships/:scholarshipId",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { scholarshipId } = req.params;
+
+      if (
+        !mongoose.isValidObjectId(scholarshipId) ||
+        !(await Scholarship.exists({ _id: scholarshipId }))
+      ) {
+        return res.status(404).json({
+          success: false,
+          message: "Scholarship not found",
+        });
+      }
+
+      const user = await User.findById(req.user._id);
+      const { error, value } = validateSavedDetails(user, req.body);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+
+      const { created, details } = saveForUser(user, scholarshipId, value);
+      await user.save();
+      if (created) {
+        recordEvent({ type: "save", userId: user._id, scholarshipId });
+      }
+
+      res.json({
+        success: true,
+        message: created
+          ? "Scholarship saved successfully"
+          : "Saved scholarship updated",
+        data: { created, details },
+      });
+    } catch (error) {
+      console.error("Update saved scholarship error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update saved scholarship",
+        error: error.message,
+      });
+    }
+  }
+);
+
 // Save a scholarship
 router.post(
   "/save-scholarship/:scholarshipId",
@@ -56,9 +199,15 @@ router.post(
         });
       }
 
+      const { error, value } = validateSavedDetails(user, req.body);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+
       // Add to saved scholarships
-      user.savedScholarships.push(scholarshipId);
+      saveForUser(user, scholarshipId, value);
       await user.save();
+      recordEvent({ type: "save", userId, scholarshipId });
 
       res.json({
         success: true,
@@ -85,9 +234,7 @@ router.delete(
       const userId = req.user._id;
 
       const user = await User.findById(userId);
-      user.savedScholarships = user.savedScholarships.filter(
-        (id) => id.toString() !== scholarshipId
-      );
+      removeForUser(user, scholarshipId);
       await user.save();
 
       res.json({
@@ -105,11 +252,251 @@ router.delete(
   }
 );
 
+// Create a collection for saved scholarships
+router.post("/saved-collections", authenticateToken, async (req, res) => {
+  try {
+    const { error: nameError, value: name } = validateCollectionName(
+      req.body.name
+    );
+    if (nameError) {
+      return res.status(400).json({ success: false, message: nameError });
+    }
+
+    const user = await User.findById(req.user._id);
+    const { error, collection } = addCollection(user, name);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Collection created",
+      data: { collection },
+    });
+  } catch (error) {
+    console.error("Create collection error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create collection",
+      error: error.message,
+    });
+  }
+});
+
+// Rename a collection
+router.put(
+  "/saved-collections/:collectionId",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { error: nameError, value: name } = validateCollectionName(
+        req.body.name
+      );
+      if (nameError) {
+        return res.status(400).json({ success: false, message: nameError });
+      }
+
+      const user = await User.findById(req.user._id);
+      const collection = mongoose.isValidObjectId(req.params.collectionId)
+        ? user.savedCollections.id(req.params.collectionId)
+        : null;
+      if (!collection) {
+        return res.status(404).json({
+          success: false,
+          message: "Collection not found",
+        });
+      }
+
+      const taken = user.savedCollections.some(
+        (other) =>
+          other !== collection &&
+          other.name.toLowerCase() === name.toLowerCase()
+      );
+      if (taken) {
+        return res.status(400).json({
+          success: false,
+          message: `A collection named "${name}" already exists`,
+        });
+      }
+
+      collection.name = name;
+      await user.save();
+
+      res.json({
+        success: true,
+        message: "Collection renamed",
+        data: { collection },
+      });
+    } catch (error) {
+      console.error("Rename collection error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to rename collection",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Delete a collection; its scholarships stay saved
+router.delete(
+  "/saved-collections/:collectionId",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.user._id);
+      const removed =
+        mongoose.isValidObjectId(req.params.collectionId) &&
+        removeCollection(user, req.params.collectionId);
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          message: "Collection not found",
+        });
+      }
+      await user.save();
+
+      res.json({ success: true, message: "Collection deleted" });
+    } catch (error) {
+      console.error("Delete collection error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete collection",
+        error: error.message,
+      });
+    }
+  }
+);
+
+const findSavedSearch = (user, id) =>
+  mongoose.isValidObjectId(id) ? user.savedSearches.id(id) : null;
+
+const savedSearchNotFound = (res) =>
+  res.status(404).json({ success: false, message: "Saved search not found" });
+
+// Saved searches with their latest new-match counts, newest first
+router.get("/saved-searches", authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select("savedSearches")
+      .lean();
+
+    res.json({
+      success: true,
+      data: {
+        savedSearches: [...user.savedSearches].sort(
+          (a, b) => b.createdAt - a.createdAt
+        ),
+      },
+    });
+  } catch (error) {
+    console.error("Get saved searches error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get saved searches",
+      error: error.message,
+    });
+  }
+});
+
+// Save the search terms and filters of a listing search
+router.post("/saved-searches", authenticateToken, async (req, res) => {
+  try {
+    const { error: validationError, value } = validateSavedSearch(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const user = await User.findById(req.user._id);
+    const { error, savedSearch } = addSavedSearch(user, value);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Search saved",
+      data: { savedSearch },
+    });
+  } catch (error) {
+    console.error("Save search error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to save search",
+      error: error.message,
+    });
+  }
+});
+
+// Rename a saved search, change its filters or turn alerts on or off
+router.put("/saved-searches/:searchId", authenticateToken, async (req, res) => {
+  try {
+    const { error: validationError, value } = validateSavedSearch(req.body, {
+      partial: true,
+    });
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const user = await User.findById(req.user._id);
+    const savedSearch = findSavedSearch(user, req.params.searchId);
+    if (!savedSearch) return savedSearchNotFound(res);
+
+    const { error } = updateSavedSearch(user, savedSearch, value);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "Saved search updated",
+      data: { savedSearch },
+    });
+  } catch (error) {
+    console.error("Update saved search error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update saved search",
+      error: error.message,
+    });
+  }
+});
+
+router.delete(
+  "/saved-searches/:searchId",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.user._id);
+      const savedSearch = findSavedSearch(user, req.params.searchId);
+      if (!savedSearch) return savedSearchNotFound(res);
+
+      savedSearch.deleteOne();
+      await user.save();
+
+      res.json({ success: true, message: "Saved search deleted" });
+    } catch (error) {
+      console.error("Delete saved search error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete saved search",
+        error: error.message,
+      });
+    }
+  }
+);
+
 // Get user's applied scholarships
 router.get("/applied-scholarships", authenticateToken, async (req, res) => {
   try {
     const user = await User.findById(req.user._id)
-      .populate("appliedScholarships.scholarshipId")
+      .populate(
+        "appliedScholarships.scholarshipId",
+        "title provider amount deadline deadlineType applicationLink isActive"
+      )
       .select("appliedScholarships");
 
     res.json({
@@ -136,9 +523,16 @@ router.post(
   async (req, res) => {
     try {
       const { scholarshipId } = req.params;
-      const { notes } = req.body;
+      const { notes, status = "applied" } = req.body;
       const userId = req.user._id;
 
+      if (!APPLICATION_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Status must be one of: ${APPLICATION_STATUSES.join(", ")}`,
+        });
+      }
+
       // Check if scholarship exists
       const scholarship = await Scholarship.findById(scholarshipId);
       if (!scholarship) {
@@ -162,11 +556,15 @@ router.post(
         });
       }
 
-      // Add to applied scholarships
+      // Add to applied scholarships with a starter checklist
+      const now = new Date();
       user.appliedScholarships.push({
         scholarshipId,
-        appliedAt: new Date(),
-        status: "applied",
+        appliedAt: now,
+        status,
+        statusUpdatedAt: now,
+        statusHistory: [{ status, changedAt: now }],
+        checklist: buildDefaultChecklist(scholarship),
         notes,
       });
 
@@ -175,6 +573,9 @@ router.post(
       res.json({
         success: true,
         message: "Scholarship application recorded successfully",
+        data: {
+          application: findApplication(user, scholarshipId),
+        },
       });
     } catch (error) {
       console.error("Apply scholarship error:", error);
@@ -187,20 +588,37 @@ router.post(
   }
 );
 
-// Update application status
+// Update an application: status (recorded in history), notes, reminders
+// and checklist. History is append-only and cannot be edited here.
 router.put(
   "/applied-scholarship/:scholarshipId",
   authenticateToken,
   async (req, res) => {
     try {
       const { scholarshipId } = req.params;
-      const { status, notes } = req.body;
+      const { status, statusNote, notes, remindersEnabled, checklist } =
+        req.body;
       const userId = req.user._id;
 
+      if (status !== undefined && !APPLICATION_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Status must be one of: ${APPLICATION_STATUSES.join(", ")}`,
+        });
+      }
+
+      if (checklist !== undefined) {
+        const checklistError = validateChecklist(checklist);
+        if (checklistError) {
+          return res.status(400).json({
+            success: false,
+            message: checklistError,
+          });
+        }
+      }
+
       const user = await User.findById(userId);
-      const application = user.appliedScholarships.find(
-        (app) => app.scholarshipId.toString() === scholarshipId
-      );
+      const application = findApplication(user, scholarshipId);
 
       if (!application) {
         return res.status(404).json({
@@ -209,14 +627,21 @@ router.put(
         });
       }
 
-      if (status) application.status = status;
+      if (status) {
+        changeApplicationStatus(application, status, { note: statusNote });
+      }
       if (notes !== undefined) application.notes = notes;
+      if (remindersEnabled !== undefined) {
+        application.remindersEnabled = Boolean(remindersEnabled);
+      }
+      if (checklist !== undefined) replaceChecklist(application, checklist);
 
       await user.save();
 
       res.json({
         success: true,
         message: "Application updated successfully",
+        data: { application },
       });
     } catch (error) {
       console.error("Update application error:", error);
@@ -229,37 +654,101 @@ router.put(
   }
 );
 
-// Get personalized scholarship recommendations
-router.get("/recommendations", authenticateToken, async (req, res) => {
-  try {
-    const user = await User.findById(req.user._id);
-    const criteria = user.getRecommendationCriteria();
+// Update one checklist item (tick it off, rename it or change its due date)
+router.patch(
+  "/applied-scholarship/:scholarshipId/checklist/:itemId",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { scholarshipId, itemId } = req.params;
+      const { label, dueDate, done } = req.body;
 
-    // Build query based on user preferences
-    const query = {
-      isActive: true,
-    };
+      if (label !== undefined && (typeof label !== "string" || !label.trim())) {
+        return res.status(400).json({
+          success: false,
+          message: "Label cannot be empty",
+        });
+      }
+      if (dueDate && isNaN(new Date(dueDate).getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid due date",
+        });
+      }
 
-    if (criteria.educationLevel) {
-      query.educationLevel = { $in: [criteria.educationLevel, "all"] };
-    }
+      const user = await User.findById(req.user._id);
+      const application = findApplication(user, scholarshipId);
+      const item =
+        application &&
+        updateChecklistItem(application, itemId, { label, dueDate, done });
+
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          message: "Checklist item not found",
+        });
+      }
 
-    if (criteria.categories && criteria.categories.length > 0) {
-      query.category = { $in: criteria.categories };
+      await user.save();
+
+      res.json({
+        success: true,
+        message: "Checklist item updated",
+        data: { item },
+      });
+    } catch (error) {
+      console.error("Update checklist item error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update checklist item",
+        error: error.message,
+      });
     }
+  }
+);
+
+// Stop tracking an application
+router.delete(
+  "/applied-scholarship/:scholarshipId",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { scholarshipId } = req.params;
 
-    if (criteria.state) {
-      query.$or = [
-        { targetStates: { $in: [criteria.state] } },
-        { targetStates: { $size: 0 } },
-        { targetStates: { $exists: false } },
-      ];
+      const user = await User.findById(req.user._id);
+      const application = findApplication(user, scholarshipId);
+
+      if (!application) {
+        return res.status(404).json({
+          success: false,
+          message: "Application not found",
+        });
+      }
+
+      application.deleteOne();
+      await user.save();
+
+      res.json({
+        success: true,
+        message: "Application removed from tracker",
+      });
+    } catch (error) {
+      console.error("Remove application error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to remove application",
+        error: error.message,
+      });
     }
+  }
+);
 
-    // Get recommendations
-    const recommendations = await Scholarship.find(query)
-      .limit(20)
-      .sort({ createdAt: -1 });
+// Get personalized scholarship recommendations
+router.get("/recommendations", authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const criteria = user.getRecommendationCriteria();
+    const recommendations = await getRecommendations(user);
 
     res.json({
       success: true,
@@ -279,100 +768,86 @@ router.get("/recommendations", authenticateToken, async (req, res) => {
   }
 });
 
-// Search scholarships with user context
-router.get("/search", optionalAuth, async (req, res) => {
-  try {
-    const {
-      q,
-      category,
-      educationLevel,
-      amount,
-      deadline,
-      state,
-      page = 1,
-      limit = 10,
-    } = req.query;
-
-    const query = { isActive: true };
-
-    // Text search
-    if (q) {
-      query.$text = { $search: q };
-    }
-
-    // Category filter
-    if (category) {
-      query.category = category;
-    }
-
-    // Education level filter
-    if (educationLevel) {
-      query.educationLevel = { $in: [educationLevel, "all"] };
-    }
+// Explain a user's eligibility for a single scholarship
+router.get(
+  "/eligibility/:scholarshipId",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const scholarship = await Scholarship.findById(req.params.scholarshipId);
+      if (!scholarship) {
+        return res.status(404).json({
+          success: false,
+          message: "Scholarship not found",
+        });
+      }
 
-    // Amount filter
-    if (amount) {
-      const amountNum = parseInt(amount);
-      query.$or = [
-        { amountNumber: { $gte: amountNum } },
-        { amount: { $regex: amount, $options: "i" } },
-      ];
-    }
+      const user = await User.findById(req.user._id);
 
-    // Deadline filter
-    if (deadline) {
-      query.deadline = { $gte: new Date(deadline) };
+      res.json({
+        success: true,
+        data: {
+          scholarshipId: scholarship._id,
+          eligibilityMatch: evaluateEligibility(scholarship, user),
+        },
+      });
+    } catch (error) {
+      console.error("Check eligibility error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to check eligibility",
+        error: error.message,
+      });
     }
+  }
+);
 
-    // State filter
-    if (state) {
-      query.$or = [
-        { targetStates: { $in: [state] } },
-        { targetStates: { $size: 0 } },
-        { targetStates: { $exists: false } },
-      ];
+// Search scholarships with user context
+router.get("/search", optionalAuth, async (req, res) => {
+  try {
+    // Same search as the listing endpoint; `q` and `amount` are this
+    // endpoint's older names for `search` and `minAmount`
+    const { q, amount, ...rest } = req.query;
+    const { error, value: params } = validateSearchParams({
+      ...rest,
+      ...(q !== undefined && { search: q }),
+      ...(amount !== undefined && { minAmount: amount }),
+      facets: rest.facets ?? "false",
+    });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
     }
 
-    const skip = (page - 1) * limit;
-
-    const scholarships = await Scholarship.find(query)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .sort({ relevanceScore: -1, createdAt: -1 });
-
-    const total = await Scholarship.countDocuments(query);
+    const user = req.user ? await User.findById(req.user._id) : null;
+    const { scholarships, total, totalPages, facets, suggestions } =
+      await searchScholarships(params, { user });
 
     // Add user-specific data if authenticated
-    let userSavedIds = [];
-    let userAppliedIds = [];
-
-    if (req.user) {
-      const user = await User.findById(req.user._id).select(
-        "savedScholarships appliedScholarships"
-      );
-
-      userSavedIds = user.savedScholarships.map((id) => id.toString());
-      userAppliedIds = user.appliedScholarships.map((app) =>
+    const userSavedIds = new Set(
+      (user?.savedScholarships || []).map((id) => id.toString())
+    );
+    const userAppliedIds = new Set(
+      (user?.appliedScholarships || []).map((app) =>
         app.scholarshipId.toString()
-      );
-    }
-
-    const scholarshipsWithUserData = scholarships.map((scholarship) => ({
-      ...scholarship.toObject(),
-      isSaved: userSavedIds.includes(scholarship._id.toString()),
-      isApplied: userAppliedIds.includes(scholarship._id.toString()),
-    }));
+      )
+    );
 
     res.json({
       success: true,
       data: {
-        scholarships: scholarshipsWithUserData,
+        scholarships: scholarships.map((scholarship) => ({
+          ...scholarship,
+          isSaved: userSavedIds.has(scholarship._id.toString()),
+          isApplied: userAppliedIds.has(scholarship._id.toString()),
+        })),
         pagination: {
-          current: parseInt(page),
-          limit: parseInt(limit),
+          current: params.page,
+          limit: params.limit,
           total,
-          pages: Math.ceil(total / limit),
+          pages: totalPages,
         },
+        ...(facets && { facets }),
+        suggestions,
       },
     });
   } catch (error) {
@@ -439,6 +914,46 @@ router.get("/dashboard", authenticateToken, async (req, res) => {
   }
 });
 
+// Preview the weekly digest for the current user without sending it
+router.get("/digest/preview", authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const digest = await buildDigest(user);
+    const message = renderDigest(user, digest);
+
+    if (req.query.format === "html") {
+      return res.type("html").send(message.html);
+    }
+    if (req.query.format === "text") {
+      return res.type("text").send(message.text);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        subject: message.subject,
+        html: message.html,
+        text: message.text,
+        since: digest.since,
+        counts: {
+          newScholarships: digest.newScholarships.length,
+          closingSoon: digest.closingSoon.length,
+          applicationUpdates: digest.applicationUpdates.length,
+        },
+        wouldSend: user.weeklyDigest && !digest.isEmpty,
+        lastDigestSentAt: user.lastDigestSentAt || null,
+      },
+    });
+  } catch (error) {
+    console.error("Digest preview error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to build digest preview",
+      error: error.message,
+    });
+  }
+});
+
 // Update notification preferences
 router.put("/notifications", authenticateToken, async (req, res) => {
   try {
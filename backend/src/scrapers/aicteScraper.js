@@ -3,6 +3,10 @@ import Scholarship from "../models/Scholarship.js";
 import axios from "axios";
 import https from "https";
 import { scrapingLogger } from "../utils/logger.js";
+import { extractEligibilityRules } from "../utils/eligibilityEngine.js";
+import { getDeadlineFields } from "../utils/deadlineParser.js";
+import { attributeScholarshipChange } from "../utils/scholarshipHistory.js";
+import { noteHttpStatus } from "../utils/scrapeRuns.js";
 
 // Create HTTPS agent that bypasses SSL certificate verification
 const httpsAgent = new https.Agent({
@@ -62,10 +66,11 @@ export async function scrapeAICTE() {
     );
 
     scrapingLogger.info("Navigating to AICTE...");
-    await page.goto("https://www.aicte-india.org/schemes", {
+    const response = await page.goto("https://www.aicte-india.org/schemes", {
       waitUntil: "networkidle2",
       timeout: 60000,
     });
+    noteHttpStatus(response?.status());
 
     // Wait for page to load
     await new Promise((resolve) => setTimeout(resolve, 3000));
@@ -183,7 +188,8 @@ export async function scrapeAICTE() {
           eligibility:
             "Students in AICTE approved technical institutions. Detailed eligibility on official website.",
           amount: "As per AICTE guidelines - check official website",
-          deadline: new Date(Date.now() + 120 * 24 * 60 * 60 * 1000), // 120 days from now
+          // Only a date printed in the listing counts; otherwise it stays unknown
+          ...getDeadlineFields(scholarship.description),
           applicationLink: applicationLink,
           provider: "AICTE (All India Council for Technical Education)",
           category: "Engineering",
@@ -197,6 +203,8 @@ export async function scrapeAICTE() {
           sourceUrl: "https://www.aicte-india.org/schemes",
           isActive: true,
         };
+        scholarshipData.eligibilityRules =
+          extractEligibilityRules(scholarshipData);
 
         scrapingLogger.info(
           `Link validation for ${scholarship.title}: ${
@@ -211,6 +219,7 @@ export async function scrapeAICTE() {
 
         if (!existingScholarship) {
           const newScholarship = new Scholarship(scholarshipData);
+          attributeScholarshipChange(newScholarship, "aicte");
           await newScholarship.save();
           savedScholarships.push(newScholarship);
           scrapingLogger.info(`Saved: ${scholarshipData.title}`);
@@ -218,6 +227,7 @@ export async function scrapeAICTE() {
           // Update the link if we found a better one
           existingScholarship.applicationLink = applicationLink;
           existingScholarship.lastUpdated = new Date();
+          attributeScholarshipChange(existingScholarship, "aicte");
           await existingScholarship.save();
           scrapingLogger.info(`Updated: ${scholarshipData.title}`);
         }
@@ -3,6 +3,10 @@ import Scholarship from "../models/Scholarship.js";
 import axios from "axios";
 import https from "https";
 import { scrapingLogger } from "../utils/logger.js";
+import { extractEligibilityRules } from "../utils/eligibilityEngine.js";
+import { getDeadlineFields } from "../utils/deadlineParser.js";
+import { attributeScholarshipChange } from "../utils/scholarshipHistory.js";
+import { noteHttpStatus } from "../utils/scrapeRuns.js";
 
 // Create HTTPS agent that bypasses SSL certificate verification
 const httpsAgent = new https.Agent({
@@ -194,7 +198,7 @@ async function saveVerifiedScholarship(scholarship, validation) {
       amount:
         scholarship.amount ||
         "Amount not specified - Check official notification",
-      deadline: scholarship.deadline || "Check official website for deadline",
+      ...getDeadlineFields(scholarship.deadline),
       applicationLink: scholarship.applicationLink,
       provider: scholarship.provider || "Buddy4Study",
       category: scholarship.category || "General",
@@ -212,10 +216,12 @@ async function saveVerifiedScholarship(scholarship, validation) {
       qualityScore: validation.qualityScore,
       validationTimestamp: new Date(),
     };
+    scholarshipData.eligibilityRules = extractEligibilityRules(scholarshipData);
 
     if (existingScholarship) {
       // Update existing with new validation data
       Object.assign(existingScholarship, scholarshipData);
+      attributeScholarshipChange(existingScholarship, "buddy4study");
       await existingScholarship.save();
       scrapingLogger.info(
         `📝 Updated verified scholarship: ${scholarship.title}`
@@ -224,6 +230,7 @@ async function saveVerifiedScholarship(scholarship, validation) {
     } else {
       // Create new verified scholarship
       const newScholarship = new Scholarship(scholarshipData);
+      attributeScholarshipChange(newScholarship, "buddy4study");
       const saved = await newScholarship.save();
       scrapingLogger.info(
         `💾 Saved new verified scholarship: ${scholarship.title}`
@@ -261,10 +268,14 @@ export async function scrapeBuddy4Study() {
 
     // Navigate to Buddy4Study scholarships page
     scrapingLogger.info("Navigating to Buddy4Study...");
-    await page.goto("https://www.buddy4study.com/scholarships", {
-      waitUntil: "networkidle2",
-      timeout: 30000,
-    });
+    const response = await page.goto(
+      "https://www.buddy4study.com/scholarships",
+      {
+        waitUntil: "networkidle2",
+        timeout: 30000,
+      }
+    );
+    noteHttpStatus(response?.status());
 
     // Try multiple possible selectors for scholarship items
     const possibleSelectors = [
@@ -0,0 +1,381 @@
+/**
+ * DECLARATIVE SCRAPER
+ *
+ * Generic executor for scraper sources described as data instead of code:
+ * a listing URL, pagination, an item selector, per-field selectors and the
+ * date/amount formats the site prints. Definitions are validated by the
+ * scraper registry before they reach this module.
+ *
+ * Extraction (`extractListing`, `mapScholarship`) is pure so definitions can
+ * be tested against saved HTML without touching the network or database.
+ *
+ * Scheduled runs fetch listing pages conditionally: a page unchanged since
+ * it was last saved is neither extracted nor written again.
+ *
+ * @description Runs declarative scraper source definitions
+ * @author Scholarship Portal Team
+ * @version 1.0.0
+ * @created 2026-10-19
+ */
+
+import * as cheerio from "cheerio";
+import Scholarship from "../models/Scholarship.js";
+import { scrapingLogger } from "../utils/logger.js";
+import {
+  conditionalHttpRequest,
+  rememberPage,
+  robustHttpRequest,
+} from "../utils/robustHttpClient.js";
+import { extractEligibilityRules } from "../utils/eligibilityEngine.js";
+import { getDeadlineFields } from "../utils/deadlineParser.js";
+import { validateScholarshipData } from "../utils/dataValidation.js";
+import { attributeScholarshipChange } from "../utils/scholarshipHistory.js";
+
+// Fields a definition may map, and the placeholders used when it does not
+const FIELD_DEFAULTS = {
+  description: "Visit the official website for complete details",
+  eligibility: "Check the official website for detailed eligibility criteria",
+  amount: "Amount not specified",
+};
+
+const toAbsoluteUrl = (href, baseUrl) => {
+  try {
+    return new URL(href, baseUrl).toString();
+  } catch {
+    return null;
+  }
+};
+
+const cleanText = (text) => (text || "").replace(/\s+/g, " ").trim();
+
+/**
+ * Rewrite numeric dates into the day-first order the deadline parser reads
+ */
+export function normalizeDateText(text, dateOrder = "DMY") {
+  if (!text || dateOrder === "DMY") return text;
+
+  if (dateOrder === "MDY") {
+    return text.replace(
+      /\b(\d{1,2})[/\-.](\d{1,2})[/\-.](\d{4}|\d{2})\b/g,
+      "$2/$1/$3"
+    );
+  }
+
+  // YMD: 2026/10/31 and 2026.10.31 (2026-10-31 is already understood)
+  return text.replace(/\b(\d{4})[/.](\d{1,2})[/.](\d{1,2})\b/g, "$3/$2/$1");
+}
+
+/**
+ * Read one mapped field from an item element
+ *
+ * @param {Object} $ - Cheerio root
+ * @param {Object} item - Cheerio element for the listing item
+ * @param {Object} mapping - { selector, attribute, regex, template, default }
+ * @param {string} pageUrl - Used to resolve relative links
+ * @returns {string|null}
+ */
+function readField($, item, mapping, pageUrl) {
+  const element = mapping.selector ? item.find(mapping.selector).first() : item;
+  let value = null;
+
+  if (element.length > 0) {
+    value =
+      mapping.attribute === "text"
+        ? cleanText(element.text())
+        : element.attr(mapping.attribute) || null;
+
+    if (value && mapping.attribute === "href") {
+      value = toAbsoluteUrl(value, pageUrl);
+    }
+  }
+
+  if (value && mapping.regex) {
+    const match = value.match(new RegExp(mapping.regex, "i"));
+    value = match ? cleanText(match[1] ?? match[0]) : null;
+  }
+
+  if (value && mapping.template) {
+    value = mapping.template.replace("{value}", value);
+  }
+
+  return value || mapping.default || null;
+}
+
+/**
+ * Extract the raw field values of every item on one listing page
+ *
+ * @param {Object} definition - Validated declarative definition
+ * @param {string} html - Listing page HTML
+ * @param {string} pageUrl - URL the HTML was fetched from
+ * @returns {Object} { items: [{ field: value }], nextUrl }
+ */
+export function extractListing(definition, html, pageUrl) {
+  const $ = cheerio.load(html);
+  const items = [];
+
+  $(definition.listing.itemSelector).each((_, node) => {
+    if (items.length >= definition.listing.maxItems) return false;
+
+    const item = $(node);
+    const raw = {};
+    for (const [field, mapping] of Object.entries(definition.fields)) {
+      raw[field] = readField($, item, mapping, pageUrl);
+    }
+    items.push(raw);
+  });
+
+  let nextUrl = null;
+  if (definition.pagination.type === "next-link") {
+    const href = $(definition.pagination.nextSelector).first().attr("href");
+    nextUrl = href ? toAbsoluteUrl(href, pageUrl) : null;
+  }
+
+  return { items, nextUrl };
+}
+
+/**
+ * Turn raw field values into scholarship data ready to save
+ *
+ * @returns {Object} Validated scholarship data
+ * @throws {Error} When a required field is missing or invalid
+ */
+export function mapScholarship(definition, raw, pageUrl) {
+  const values = { ...definition.defaults };
+  for (const [field, value] of Object.entries(raw)) {
+    if (value) values[field] = value;
+  }
+
+  const deadlineText = normalizeDateText(
+    values.deadline,
+    definition.formats.dateOrder
+  );
+
+  const data = {
+    ...FIELD_DEFAULTS,
+    ...values,
+    title: cleanText(values.title),
+    applicationLink: values.applicationLink || pageUrl,
+    targetGroup: [].concat(values.targetGroup || "All"),
+    // Only a date printed on the page counts; otherwise it stays unknown
+    ...getDeadlineFields(deadlineText),
+    sourceUrl: definition.listing.url,
+    isActive: true,
+    isRealTime: true,
+  };
+  data.eligibilityRules = extractEligibilityRules(data);
+
+  return validateScholarshipData(data);
+}
+
+/**
+ * Listing page URLs to fetch, following the definition's pagination
+ */
+function pageUrlFor(definition, pageIndex) {
+  const { pagination, listing } = definition;
+  if (pagination.type !== "query" || pageIndex === 0) {
+    return pageIndex === 0 ? listing.url : null;
+  }
+
+  const url = new URL(listing.url);
+  url.searchParams.set(
+    pagination.param,
+    String(pagination.start + pageIndex * pagination.step)
+  );
+  return url.toString();
+}
+
+async function fetchPage(definition, url, conditional) {
+  const request = conditional ? conditionalHttpRequest : robustHttpRequest;
+  const response = await request(url, {
+    timeout: definition.rateLimit.timeoutMs,
+    maxRetries: definition.rateLimit.maxRetries,
+    responseType: "text",
+  });
+
+  if (response.status >= 400) {
+    throw new Error(`HTTP ${response.status} for ${url}`);
+  }
+  return response;
+}
+
+/**
+ * Fetch and map every listing page of a source
+ *
+ * @param {Object} definition - Validated declarative definition
+ * @param {Object} [options]
+ * @param {boolean} [options.conditional=false] - Skip pages unchanged since
+ *   they were last remembered
+ * @returns {Promise<Object>} { scholarships, rejected: [{ title, error }],
+ *   pages, unchangedPages, fetched: [{ response, meta }] } where `fetched`
+ *   lists the changed pages to remember once saved
+ */
+export async function collectScholarships(
+  definition,
+  { conditional = false } = {}
+) {
+  const scholarships = [];
+  const rejected = [];
+  const fetched = [];
+  let url = definition.listing.url;
+  let pages = 0;
+  let unchangedPages = 0;
+
+  while (url && pages < definition.pagination.maxPages) {
+    if (pages > 0) {
+      await new Promise((resolve) =>
+        setTimeout(resolve, definition.rateLimit.delayMs)
+      );
+    }
+
+    const response = await fetchPage(definition, url, conditional);
+    pages++;
+
+    let items;
+    let nextUrl;
+    if (response.unchanged) {
+      unchangedPages++;
+      ({ items, nextUrl } = response.meta || {});
+    } else {
+      const listing = extractListing(definition, response.data, url);
+      nextUrl = listing.nextUrl;
+      items = listing.items.length;
+
+      for (const raw of listing.items) {
+        try {
+          scholarships.push(mapScholarship(definition, raw, url));
+        } catch (error) {
+          rejected.push({ title: raw.title || null, error: error.message });
+        }
+      }
+      fetched.push({ response, meta: { items, nextUrl } });
+    }
+
+    // A page without items means the listing has run out
+    if (!items) break;
+    url =
+      definition.pagination.type === "next-link"
+        ? nextUrl
+        : pageUrlFor(definition, pages);
+  }
+
+  return { scholarships, rejected, pages, unchangedPages, fetched };
+}
+
+/**
+ * Insert new scholarships and update changed ones, attributed to the source
+ */
+async function saveScholarships(definition, scholarships) {
+  const saved = [];
+  let created = 0;
+  let updated = 0;
+
+  for (const data of scholarships) {
+    try {
+      const existing = await Scholarship.findOne({
+        title: data.title,
+        provider: data.provider,
+      });
+
+      if (!existing) {
+        const scholarship = new Scholarship(data);
+        attributeScholarshipChange(scholarship, definition.key);
+        saved.push(await scholarship.save());
+        created++;
+        continue;
+      }
+
+      const changes = { ...data, lastUpdated: new Date() };
+      // Never replace a known deadline with "not published"
+      if (data.deadlineType === "unknown") {
+        delete changes.deadline;
+        delete changes.deadlineType;
+        delete changes.deadlineConfidence;
+        delete changes.deadlinePhases;
+      }
+      existing.set(changes);
+      attributeScholarshipChange(existing, definition.key);
+      saved.push(await existing.save());
+      updated++;
+    } catch (error) {
+      scrapingLogger.error(
+        `${definition.key}: failed to save "${data.title}": ${error.message}`
+      );
+    }
+  }
+
+  return { saved, created, updated };
+}
+
+/**
+ * Run a declarative source
+ *
+ * @param {Object} definition - Validated declarative definition
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Extract only; nothing is saved
+ * @param {boolean} [options.conditional=false] - Skip listing pages that
+ *   have not changed since the last run; never applies to dry runs
+ * @returns {Promise<Object>} Result in the shape the orchestrator expects;
+ *   `unchanged` is true when every page was skipped
+ */
+export async function runDeclarativeSource(
+  definition,
+  { dryRun = false, conditional = false } = {}
+) {
+  scrapingLogger.info(
+    `🔍 ${dryRun ? "Testing" : "Scraping"} declarative source ${definition.key}`
+  );
+
+  const { scholarships, rejected, pages, unchangedPages, fetched } =
+    await collectScholarships(definition, {
+      conditional: conditional && !dryRun,
+    });
+
+  if (dryRun) {
+    return {
+      source: definition.name,
+      pages,
+      scraped: scholarships.length,
+      scholarships,
+      rejected,
+    };
+  }
+
+  const { saved, created, updated } = await saveScholarships(
+    definition,
+    scholarships
+  );
+  for (const { response, meta } of fetched) {
+    await rememberPage(response, meta);
+  }
+
+  return {
+    source: definition.name,
+    pages,
+    unchangedPages,
+    unchanged: pages > 0 && unchangedPages === pages,
+    scraped: scholarships.length,
+    saved: created,
+    updated,
+    rejected,
+    scholarships: saved,
+  };
+}
+
+/**
+ * Scraper object for the orchestrator, matching the hand-written modules
+ */
+export function createDeclarativeScraper(definition) {
+  return {
+    name: definition.name,
+    scrapeScholarships: (options) => runDeclarativeSource(definition, options),
+  };
+}
+
+export default {
+  normalizeDateText,
+  extractListing,
+  mapScholarship,
+  collectScholarships,
+  runDeclarativeSource,
+  createDeclarativeScraper,
+};
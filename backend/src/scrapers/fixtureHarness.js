@@ -0,0 +1,527 @@
+/**
+ * SCRAPER FIXTURE HARNESS
+ *
+ * Record/replay for scraper regression checks. Recording runs a source
+ * against the live site and stores every page, script and XHR response it
+ * fetched, plus a snapshot of the scholarships it extracted. Replaying runs
+ * the same scraper with the network cut off: Puppeteer requests and axios
+ * calls are answered from the fixture files, and the extracted scholarships
+ * are compared with the snapshot.
+ *
+ * Neither mode touches the database: Scholarship lookups find nothing and
+ * saves are validated and captured instead of written.
+ *
+ * A fixture directory may also carry its own declarative definition in
+ * `source.json`. Such fixture-only sources are not in the registry; they
+ * replay saved listing pages through the declarative scraper.
+ *
+ * @description Records and replays scraper HTTP traffic for offline tests
+ * @author Scholarship Portal Team
+ * @version 1.0.0
+ * @created 2026-10-19
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import axios, { AxiosError } from "axios";
+import puppeteer from "puppeteer";
+import Scholarship from "../models/Scholarship.js";
+import {
+  createScraper,
+  getSource,
+  loadRegistry,
+  validateDeclarativeSource,
+} from "./scraperRegistry.js";
+
+export const FIXTURES_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "fixtures"
+);
+
+// Browser resources worth storing; images, fonts and styles are not
+// needed to rebuild the DOM and are refused during replay
+const RECORDED_RESOURCE_TYPES = ["document", "script", "xhr", "fetch"];
+
+// Scholarship fields compared between a replay and its snapshot
+const SNAPSHOT_FIELDS = [
+  "title",
+  "provider",
+  "amount",
+  "deadline",
+  "deadlineType",
+  "applicationLink",
+  "category",
+  "educationLevel",
+  "state",
+  "targetGroup",
+];
+
+// Deadlines are parsed in the local zone and snapshotted as instants, so
+// both modes run in the zone the sites publish dates in
+const FIXTURE_TIMEZONE = "Asia/Kolkata";
+
+const EXTENSIONS = {
+  html: ".html",
+  javascript: ".js",
+  json: ".json",
+};
+
+const requestKey = (method, url) =>
+  `${method.toUpperCase()} ${url.split("#")[0]}`;
+
+const extensionFor = (contentType = "") =>
+  Object.entries(EXTENSIONS).find(([type]) =>
+    contentType.includes(type)
+  )?.[1] || ".txt";
+
+const sourceDir = (key) => path.join(FIXTURES_DIR, key);
+
+/**
+ * Replace a property for the duration of a run
+ *
+ * @returns {Function} Puts the original back
+ */
+function override(target, name, replacement) {
+  const own = Object.getOwnPropertyDescriptor(target, name);
+  target[name] = replacement;
+  return () => {
+    if (own) Object.defineProperty(target, name, own);
+    else delete target[name];
+  };
+}
+
+/**
+ * Run in FIXTURE_TIMEZONE until the returned function is called
+ */
+function pinTimezone() {
+  const original = process.env.TZ;
+  process.env.TZ = FIXTURE_TIMEZONE;
+  return () => {
+    if (original === undefined) delete process.env.TZ;
+    else process.env.TZ = original;
+  };
+}
+
+/**
+ * Reduce a captured scholarship to the fields the snapshot compares
+ */
+export function snapshotScholarship(scholarship) {
+  const snapshot = {};
+  for (const field of SNAPSHOT_FIELDS) {
+    const value = scholarship[field];
+    snapshot[field] =
+      value instanceof Date ? value.toISOString() : value ?? null;
+  }
+  return snapshot;
+}
+
+/**
+ * Replace the database calls scrapers make with in-memory captures
+ *
+ * @returns {Object} { saved, restore }
+ */
+function captureSaves() {
+  const saved = [];
+  const restoreFind = override(Scholarship, "findOne", async () => null);
+  const restoreSave = override(
+    Scholarship.prototype,
+    "save",
+    async function () {
+      await this.validate();
+      saved.push(this.toObject());
+      return this;
+    }
+  );
+
+  return {
+    saved,
+    restore: () => {
+      restoreFind();
+      restoreSave();
+    },
+  };
+}
+
+/**
+ * Wrap puppeteer.launch so every new page is set up by `preparePage`, and
+ * browser.close waits for `beforeClose`
+ */
+function hookPuppeteer(preparePage, beforeClose = async () => {}) {
+  const launch = puppeteer.launch.bind(puppeteer);
+
+  return override(puppeteer, "launch", async (...args) => {
+    const browser = await launch(...args);
+    const { newPage, close } = browser;
+
+    browser.newPage = async (...pageArgs) => {
+      const page = await newPage.apply(browser, pageArgs);
+      await preparePage(page);
+      return page;
+    };
+    browser.close = async () => {
+      await beforeClose();
+      return close.apply(browser);
+    };
+    return browser;
+  });
+}
+
+/**
+ * Replace the default axios adapter. Instances made later with axios.create
+ * (robustHttpClient makes one per request) inherit it.
+ */
+function hookAxios(adapter) {
+  const original = axios.defaults.adapter;
+  axios.defaults.adapter = adapter(axios.getAdapter(original));
+
+  return () => {
+    axios.defaults.adapter = original;
+  };
+}
+
+/**
+ * Shift the clock to the recording time so relative dates ("31 March",
+ * "next month") resolve the same way they did when the fixtures were taken.
+ * The clock keeps ticking so timeouts still work.
+ */
+function shiftClock(recordedAt) {
+  const RealDate = globalThis.Date;
+  const offset = RealDate.now() - new RealDate(recordedAt).getTime();
+
+  // Named Date so libraries that check the constructor name (mongoose's
+  // clone) still treat instances as dates
+  class Date extends RealDate {
+    constructor(...args) {
+      if (args.length === 0) super(RealDate.now() - offset);
+      else super(...args);
+    }
+
+    static now() {
+      return RealDate.now() - offset;
+    }
+  }
+
+  globalThis.Date = Date;
+  return () => {
+    globalThis.Date = RealDate;
+  };
+}
+
+async function resolveSource(key) {
+  await loadRegistry();
+  const source = getSource(key);
+  if (source) return source;
+
+  const definitionPath = path.join(sourceDir(key), "source.json");
+  if (!fs.existsSync(definitionPath)) {
+    throw new Error(`Unknown scraper source "${key}"`);
+  }
+  return validateDeclarativeSource(
+    JSON.parse(fs.readFileSync(definitionPath, "utf8"))
+  );
+}
+
+/**
+ * Keys of the sources that have recorded fixtures
+ */
+export function listRecordedSources() {
+  if (!fs.existsSync(FIXTURES_DIR)) return [];
+  return fs
+    .readdirSync(FIXTURES_DIR)
+    .filter((key) => fs.existsSync(path.join(sourceDir(key), "manifest.json")))
+    .sort();
+}
+
+/**
+ * Run a source against the live site and store its responses and the
+ * scholarships it extracted. Existing responses and the snapshot for the
+ * source are replaced; a fixture-only definition is kept.
+ *
+ * @param {string} key - Registry key of the source
+ * @returns {Promise<Object>} { source, responses, scholarships }
+ */
+export async function recordSource(key) {
+  const source = await resolveSource(key);
+  const responses = new Map();
+  const pendingBodies = [];
+
+  const remember = (entry) => {
+    const id = requestKey(entry.method, entry.url);
+    if (!responses.has(id)) responses.set(id, entry);
+  };
+
+  const restorePuppeteer = hookPuppeteer(
+    async (page) => {
+      page.on("response", (response) => {
+        const request = response.request();
+        if (!RECORDED_RESOURCE_TYPES.includes(request.resourceType())) return;
+
+        const entry = {
+          method: request.method(),
+          url: response.url(),
+          status: response.status(),
+          contentType: response.headers()["content-type"] || "text/html",
+          location: response.headers().location,
+        };
+        // Redirects have no body; everything else is read before close
+        if (response.status() >= 300 && response.status() < 400) {
+          remember({ ...entry, body: "" });
+          return;
+        }
+        pendingBodies.push(
+          response
+            .text()
+            .then((body) => remember({ ...entry, body }))
+            .catch(() => {})
+        );
+      });
+    },
+    () => Promise.allSettled(pendingBodies)
+  );
+
+  const restoreAxios = hookAxios((send) => async (config) => {
+    const url = axios.getUri(config);
+    const record = (response) =>
+      remember({
+        method: config.method || "get",
+        url,
+        status: response.status,
+        contentType: String(response.headers?.["content-type"] || "text/html"),
+        body: typeof response.data === "string" ? response.data : "",
+      });
+
+    try {
+      const response = await send(config);
+      record(response);
+      return response;
+    } catch (error) {
+      if (error.response) record(error.response);
+      throw error;
+    }
+  });
+
+  const restoreTimezone = pinTimezone();
+  const capture = captureSaves();
+  const recordedAt = new Date().toISOString();
+  let result;
+  try {
+    result = await createScraper(source).scrapeScholarships();
+    await Promise.allSettled(pendingBodies);
+  } finally {
+    capture.restore();
+    restoreTimezone();
+    restoreAxios();
+    restorePuppeteer();
+  }
+
+  if (result?.error) {
+    throw new Error(`${source.name} failed while recording: ${result.error}`);
+  }
+
+  const dir = sourceDir(key);
+  fs.rmSync(path.join(dir, "responses"), { recursive: true, force: true });
+  fs.mkdirSync(path.join(dir, "responses"), { recursive: true });
+
+  const manifest = [...responses.values()].map((entry, index) => {
+    const file = `responses/${String(index + 1).padStart(3, "0")}${extensionFor(
+      entry.contentType
+    )}`;
+    fs.writeFileSync(path.join(dir, file), entry.body);
+    return { ...entry, body: undefined, file };
+  });
+
+  const scholarships = capture.saved.map(snapshotScholarship);
+  fs.writeFileSync(
+    path.join(dir, "manifest.json"),
+    JSON.stringify({ source: key, recordedAt, responses: manifest }, null, 2)
+  );
+  fs.writeFileSync(
+    path.join(dir, "expected.json"),
+    JSON.stringify(scholarships, null, 2)
+  );
+
+  return { source: key, responses: manifest.length, scholarships };
+}
+
+/**
+ * Load a source's recorded responses, keyed by method and URL
+ */
+function loadFixtures(key) {
+  const dir = sourceDir(key);
+  const manifestPath = path.join(dir, "manifest.json");
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(
+      `No fixtures recorded for "${key}"; run npm run record-fixtures -- ${key}`
+    );
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  const responses = new Map(
+    manifest.responses.map((entry) => [
+      requestKey(entry.method, entry.url),
+      { ...entry, body: fs.readFileSync(path.join(dir, entry.file), "utf8") },
+    ])
+  );
+  const expected = JSON.parse(
+    fs.readFileSync(path.join(dir, "expected.json"), "utf8")
+  );
+
+  return { recordedAt: manifest.recordedAt, responses, expected };
+}
+
+/**
+ * Compare replayed scholarships with the snapshot, matched by title
+ *
+ * @returns {Array<string>} Human-readable differences; empty when they match
+ */
+export function compareScholarships(expected, actual) {
+  const differences = [];
+  const actualByTitle = new Map(actual.map((item) => [item.title, item]));
+  const expectedTitles = new Set(expected.map((item) => item.title));
+
+  for (const wanted of expected) {
+    const found = actualByTitle.get(wanted.title);
+    if (!found) {
+      differences.push(`missing: "${wanted.title}"`);
+      continue;
+    }
+    for (const field of SNAPSHOT_FIELDS) {
+      if (JSON.stringify(wanted[field]) !== JSON.stringify(found[field])) {
+        differences.push(
+          `"${wanted.title}" ${field}: expected ${JSON.stringify(
+            wanted[field]
+          )}, got ${JSON.stringify(found[field])}`
+        );
+      }
+    }
+  }
+
+  for (const item of actual) {
+    if (!expectedTitles.has(item.title)) {
+      differences.push(`unexpected: "${item.title}"`);
+    }
+  }
+
+  return differences;
+}
+
+/**
+ * Run a source against its fixtures with no network access
+ *
+ * @param {string} key - Registry key of the source
+ * @param {Object} [options]
+ * @param {boolean} [options.update=false] - Rewrite the snapshot instead of comparing
+ * @returns {Promise<Object>} { source, scholarships, differences, unmatched }
+ *   where unmatched lists requests that had no recording
+ */
+export async function replaySource(key, { update = false } = {}) {
+  const source = await resolveSource(key);
+  const { recordedAt, responses, expected } = loadFixtures(key);
+  const unmatched = new Set();
+
+  const lookup = (method, url) => {
+    const entry = responses.get(requestKey(method, url));
+    if (!entry) unmatched.add(requestKey(method, url));
+    return entry;
+  };
+
+  const restorePuppeteer = hookPuppeteer(async (page) => {
+    await page.setRequestInterception(true);
+    page.on("request", (request) => {
+      if (request.isInterceptResolutionHandled()) return;
+
+      const entry = RECORDED_RESOURCE_TYPES.includes(request.resourceType())
+        ? lookup(request.method(), request.url())
+        : null;
+      if (!entry) {
+        request.abort("internetdisconnected");
+        return;
+      }
+      request.respond({
+        status: entry.status,
+        contentType: entry.contentType,
+        headers: entry.location ? { location: entry.location } : {},
+        body: entry.body,
+      });
+    });
+  });
+
+  const restoreAxios = hookAxios(() => async (config) => {
+    const url = axios.getUri(config);
+    const entry = lookup(config.method || "get", url);
+    if (!entry) {
+      throw new AxiosError(
+        `No recorded response for ${url}`,
+        AxiosError.ERR_NETWORK,
+        config
+      );
+    }
+
+    const response = {
+      data: entry.body,
+      status: entry.status,
+      statusText: String(entry.status),
+      headers: { "content-type": entry.contentType },
+      config,
+      request: {},
+    };
+    if (config.validateStatus && !config.validateStatus(entry.status)) {
+      throw new AxiosError(
+        `Request failed with status code ${entry.status}`,
+        AxiosError.ERR_BAD_RESPONSE,
+        config,
+        {},
+        response
+      );
+    }
+    return response;
+  });
+
+  const restoreTimezone = pinTimezone();
+  const restoreClock = shiftClock(recordedAt);
+  const capture = captureSaves();
+  let result;
+  try {
+    result = await createScraper(source).scrapeScholarships();
+  } finally {
+    capture.restore();
+    restoreTimezone();
+    restoreClock();
+    restoreAxios();
+    restorePuppeteer();
+  }
+
+  const scholarships = capture.saved.map(snapshotScholarship);
+  // Scrapers report their own failures instead of throwing
+  if (result?.error) {
+    return {
+      source: key,
+      scholarships,
+      differences: [`scraper failed: ${result.error}`],
+      unmatched: [...unmatched],
+    };
+  }
+  if (update) {
+    fs.writeFileSync(
+      path.join(sourceDir(key), "expected.json"),
+      JSON.stringify(scholarships, null, 2)
+    );
+  }
+
+  return {
+    source: key,
+    scholarships,
+    differences: update ? [] : compareScholarships(expected, scholarships),
+    unmatched: [...unmatched],
+  };
+}
+
+export default {
+  FIXTURES_DIR,
+  snapshotScholarship,
+  listRecordedSources,
+  recordSource,
+  replaySource,
+  compareScholarships,
+};
@@ -12,6 +12,8 @@
 import axios from "axios";
 import { scrapingLogger } from "../utils/logger.js";
 import Scholarship from "../models/Scholarship.js";
+import { checkOfficialDomain } from "../utils/providerDirectory.js";
+import { attributeScholarshipChange } from "../utils/scholarshipHistory.js";
 
 export class LinkFixerScraper {
   constructor() {
@@ -159,10 +161,25 @@ export class LinkFixerScraper {
       leadsToCorrectPage: false,
       applicationFormPresent: false,
       scholarshipNameMatches: false,
+      // Link points away from the provider's official domains
+      offOfficialDomain: false,
+      officialDomain: checkOfficialDomain(scholarship),
       qualityScore: 0,
       errors: [],
     };
 
+    const { officialDomain } = validationResults;
+    if (officialDomain.onOfficialDomain === false) {
+      validationResults.offOfficialDomain = true;
+      scrapingLogger.warn(
+        `Off-domain application link: ${scholarship.title} - ${
+          officialDomain.domain
+        } is not an official domain of ${
+          officialDomain.provider
+        } (${officialDomain.officialDomains.join(", ")})`
+      );
+    }
+
     try {
       // Test application link accessibility
       const linkResponse = await this.testLinkAccessibility(
@@ -278,6 +295,7 @@ export class LinkFixerScraper {
       if (repairedLink.success) {
         scholarship.applicationLink = repairedLink.newUrl;
         scholarship.lastValidated = new Date();
+        attributeScholarshipChange(scholarship, "link-fixer");
         await scholarship.save();
         scrapingLogger.info(`Link repaired: ${scholarship.title}`);
         return { repaired: true, newUrl: repairedLink.newUrl };
@@ -286,6 +304,7 @@ export class LinkFixerScraper {
         scholarship.isActive = false;
         scholarship.linkStatus = "broken";
         scholarship.lastValidated = new Date();
+        attributeScholarshipChange(scholarship, "link-fixer");
         await scholarship.save();
         scrapingLogger.error(`Could not repair link: ${scholarship.title}`);
         return { repaired: false, error: repairedLink.error };
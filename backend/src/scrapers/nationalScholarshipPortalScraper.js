@@ -1,6 +1,10 @@
 import puppeteer from "puppeteer";
 import Scholarship from "../models/Scholarship.js";
 import { scrapingLogger } from "../utils/logger.js";
+import { extractEligibilityRules } from "../utils/eligibilityEngine.js";
+import { getDeadlineFields } from "../utils/deadlineParser.js";
+import { attributeScholarshipChange } from "../utils/scholarshipHistory.js";
+import { noteHttpStatus } from "../utils/scrapeRuns.js";
 
 export async function scrapeNationalScholarshipPortal() {
   let browser;
@@ -31,10 +35,11 @@ export async function scrapeNationalScholarshipPortal() {
     );
 
     scrapingLogger.info("🌐 Navigating to National Scholarship Portal...");
-    await page.goto("https://scholarships.gov.in/", {
+    const response = await page.goto("https://scholarships.gov.in/", {
       waitUntil: "networkidle2",
       timeout: 30000,
     });
+    noteHttpStatus(response?.status());
 
     // Wait for the page to load
     await new Promise((resolve) => setTimeout(resolve, 3000));
@@ -200,7 +205,8 @@ export async function scrapeNationalScholarshipPortal() {
           eligibility:
             "Please refer to the official National Scholarship Portal for detailed eligibility criteria",
           amount: "Varies by scheme - check official website",
-          deadline: new Date(Date.now() + 90 * 24 * 60 * 60 * 1000), // 90 days from now
+          // Only a date printed in the listing counts; otherwise it stays unknown
+          ...getDeadlineFields(scholarship.description),
           applicationLink: scholarship.link,
           provider: "National Scholarship Portal (Government of India)",
           category,
@@ -210,6 +216,8 @@ export async function scrapeNationalScholarshipPortal() {
           sourceUrl: "https://scholarships.gov.in/",
           isActive: true,
         };
+        scholarshipData.eligibilityRules =
+          extractEligibilityRules(scholarshipData);
 
         // Check if scholarship already exists
         const existingScholarship = await Scholarship.findOne({
@@ -219,11 +227,19 @@ export async function scrapeNationalScholarshipPortal() {
 
         if (!existingScholarship) {
           const newScholarship = new Scholarship(scholarshipData);
+          attributeScholarshipChange(
+            newScholarship,
+            "national-scholarship-portal"
+          );
           await newScholarship.save();
           savedScholarships.push(newScholarship);
           scrapingLogger.info(`💾 Saved: ${scholarshipData.title}`);
         } else {
           existingScholarship.lastUpdated = new Date();
+          attributeScholarshipChange(
+            existingScholarship,
+            "national-scholarship-portal"
+          );
           await existingScholarship.save();
           scrapingLogger.info(`🔄 Updated: ${scholarshipData.title}`);
         }
@@ -24,11 +24,18 @@ import mongoose from "mongoose";
 import cron from "node-cron";
 import { scrapingLogger } from "../utils/logger.js";
 import linkValidationSystem from "../utils/linkValidationSystem.js";
+import {
+  checkRobots,
+  getRobotsComplianceReport,
+} from "../utils/robotsPolicy.js";
 import {
   getEmptyStateResponse,
   ensureLiveDataAvailability,
 } from "../utils/liveDataOnlyFallback.js";
 import Scholarship from "../models/Scholarship.js";
+import { extractEligibilityRules } from "../utils/eligibilityEngine.js";
+import { getDeadlineFields } from "../utils/deadlineParser.js";
+import { attributeScholarshipChange } from "../utils/scholarshipHistory.js";
 
 /**
  * Advanced AI-Powered Scraper Configuration
@@ -79,6 +86,7 @@ class ProductionAIScholarshipScraper {
       qualityRejects: 0,
       linkValidationSuccesses: 0,
       linkValidationFailures: 0,
+      robotsSkips: 0,
       startTime: null,
       endTime: null,
     };
@@ -433,6 +441,12 @@ class ProductionAIScholarshipScraper {
 
       for (const url of scholarshipUrls) {
         try {
+          const robots = await checkRobots(url, { scraper: "production-ai" });
+          if (!robots.allowed) {
+            this.scrapingStats.robotsSkips++;
+            continue;
+          }
+
           // Analyze website structure first
           const analysis = await this.analyzeWebsiteStructure(url);
 
@@ -443,6 +457,9 @@ class ProductionAIScholarshipScraper {
             continue;
           }
 
+          // The extraction loads the page a second time
+          await this.sleep(robots.crawlDelayMs);
+
           // Extract scholarships using AI-informed strategy
           const scholarships = await this.extractWithAIStrategy(url, analysis);
 
@@ -453,8 +470,10 @@ class ProductionAIScholarshipScraper {
             );
           }
 
-          // Rate limiting between URLs
-          await this.sleep(SCRAPER_CONFIG.REQUEST_DELAY);
+          // Rate limiting between URLs, at least the robots.txt crawl-delay
+          await this.sleep(
+            Math.max(SCRAPER_CONFIG.REQUEST_DELAY, robots.crawlDelayMs)
+          );
         } catch (error) {
           scrapingLogger.error(`❌ Failed to scrape ${url}: ${error.message}`);
         }
@@ -828,7 +847,12 @@ class ProductionAIScholarshipScraper {
         let savedScholarship = null;
         if (validationResult.validation.isValid) {
           // Save scholarship if validation passes
-          savedScholarship = new Scholarship(scholarship);
+          savedScholarship = new Scholarship({
+            ...scholarship,
+            ...getDeadlineFields(scholarship.deadline),
+            eligibilityRules: extractEligibilityRules(scholarship),
+          });
+          attributeScholarshipChange(savedScholarship, "production-ai-scraper");
           await savedScholarship.save();
         }
 
@@ -1034,6 +1058,7 @@ class ProductionAIScholarshipScraper {
         mockDataUsed: false,
         linkValidationImplemented: true,
         qualityScoreThreshold: SCRAPER_CONFIG.MIN_QUALITY_SCORE,
+        robotsTxt: getRobotsComplianceReport(),
       },
     };
   }
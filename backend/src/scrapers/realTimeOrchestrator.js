@@ -2,7 +2,8 @@
  * REAL-TIME SCHOLARSHIP SCRAPING ORCHESTRATOR
  *
  * Orchestrates multiple scrapers with circuit breakers, rate limiting,
- * and intelligent scheduling for the scholarship portal.
+ * and intelligent scheduling for the scholarship portal. Scheduled runs
+ * skip listing pages that have not changed since the last run.
  *
  * @description Production orchestrator for real-time scholarship scraping
  * @author Scholarship Portal Team
@@ -12,93 +13,59 @@
 
 import cron from "node-cron";
 import { scrapingLogger } from "../utils/logger.js";
-import aicteScraper from "./aicteScraper.js";
-import buddy4StudyScraper from "./buddy4StudyScraper.js";
-import nationalScholarshipPortalScraper from "./nationalScholarshipPortalScraper.js";
-import scholarshipsIndiaScraper from "./scholarshipsIndiaScraper.js";
-import ugcScraper from "./ugcScraper.js";
-import vidhyaLakshmiScraper from "./vidhyaLakshmiScraper.js";
+import { createScraper, getSources, loadRegistry } from "./scraperRegistry.js";
+import {
+  finishScrapeRun,
+  getRecentOutcomes,
+  startScrapeRun,
+  withScrapeRun,
+} from "../utils/scrapeRuns.js";
+import { enqueueJob } from "../utils/jobQueue.js";
+import {
+  conditionalHttpRequest,
+  rememberPage,
+} from "../utils/robustHttpClient.js";
+import { publishProgress } from "../utils/progressEvents.js";
+import { queueSavedSearchAlerts } from "../utils/savedSearches.js";
 
 /**
- * Circuit breaker states for each scraper
+ * Circuit breaker state per source key, created on first use
  */
-const circuitBreakers = {
-  aicte: { isOpen: false, failureCount: 0, lastFailure: null, maxFailures: 3 },
-  buddy4study: {
-    isOpen: false,
-    failureCount: 0,
-    lastFailure: null,
-    maxFailures: 3,
-  },
-  nsp: { isOpen: false, failureCount: 0, lastFailure: null, maxFailures: 3 },
-  scholarshipsIndia: {
-    isOpen: false,
-    failureCount: 0,
-    lastFailure: null,
-    maxFailures: 3,
-  },
-  ugc: { isOpen: false, failureCount: 0, lastFailure: null, maxFailures: 3 },
-  vidhyaLakshmi: {
-    isOpen: false,
-    failureCount: 0,
-    lastFailure: null,
-    maxFailures: 3,
-  },
-};
+const circuitBreakers = {};
+
+const DEFAULT_MAX_FAILURES = 3;
+
+function getBreaker(scraperName) {
+  if (!circuitBreakers[scraperName]) {
+    const source = getSources().find(({ key }) => key === scraperName);
+    circuitBreakers[scraperName] = {
+      isOpen: false,
+      failureCount: 0,
+      lastFailure: null,
+      maxFailures: source?.maxFailures || DEFAULT_MAX_FAILURES,
+    };
+  }
+  return circuitBreakers[scraperName];
+}
 
 /**
- * Available scrapers configuration
+ * Reload the registry so admin changes apply to this run; keep the last
+ * known sources if the database is unavailable
  */
-const scrapers = {
-  aicte: {
-    name: "AICTE Scholarships",
-    scraper: aicteScraper,
-    enabled: true,
-    priority: 1,
-    interval: 30, // minutes
-  },
-  buddy4study: {
-    name: "Buddy4Study",
-    scraper: buddy4StudyScraper,
-    enabled: true,
-    priority: 2,
-    interval: 25,
-  },
-  nsp: {
-    name: "National Scholarship Portal",
-    scraper: nationalScholarshipPortalScraper,
-    enabled: true,
-    priority: 1,
-    interval: 20,
-  },
-  scholarshipsIndia: {
-    name: "Scholarships India",
-    scraper: scholarshipsIndiaScraper,
-    enabled: true,
-    priority: 2,
-    interval: 35,
-  },
-  ugc: {
-    name: "UGC Scholarships",
-    scraper: ugcScraper,
-    enabled: true,
-    priority: 1,
-    interval: 40,
-  },
-  vidhyaLakshmi: {
-    name: "Vidhya Lakshmi",
-    scraper: vidhyaLakshmiScraper,
-    enabled: true,
-    priority: 2,
-    interval: 45,
-  },
-};
+async function refreshSources() {
+  try {
+    return await loadRegistry();
+  } catch (error) {
+    scrapingLogger.warn(`Using cached scraper sources: ${error.message}`);
+    return getSources();
+  }
+}
 
 /**
  * Check if circuit breaker should be opened
  */
 function checkCircuitBreaker(scraperName) {
-  const breaker = circuitBreakers[scraperName];
+  const breaker = getBreaker(scraperName);
 
   if (breaker.isOpen) {
     // Check if enough time has passed to try again (5 minutes)
@@ -117,7 +84,7 @@ function checkCircuitBreaker(scraperName) {
  * Record scraper failure
  */
 function recordFailure(scraperName, error) {
-  const breaker = circuitBreakers[scraperName];
+  const breaker = getBreaker(scraperName);
   breaker.failureCount++;
   breaker.lastFailure = Date.now();
 
@@ -137,37 +104,148 @@ function recordFailure(scraperName, error) {
  * Record scraper success
  */
 function recordSuccess(scraperName) {
-  const breaker = circuitBreakers[scraperName];
+  const breaker = getBreaker(scraperName);
   breaker.failureCount = 0;
   breaker.isOpen = false;
   scrapingLogger.info(`Scraper success recorded for ${scraperName}`);
 }
 
 /**
- * Execute a single scraper with circuit breaker protection
+ * Rebuild circuit breakers from stored runs so a restart does not forget
+ * a source that keeps failing
  */
-async function executeScraper(scraperName, scraper) {
-  try {
-    // Check circuit breaker
-    if (checkCircuitBreaker(scraperName)) {
-      scrapingLogger.warn(`Skipping ${scraperName} - circuit breaker is open`);
-      return { success: false, reason: "circuit_breaker_open" };
+async function restoreCircuitBreakers() {
+  for (const source of getSources()) {
+    const breaker = getBreaker(source.key);
+    const outcomes = await getRecentOutcomes(source.key, breaker.maxFailures);
+
+    const failures = [];
+    for (const outcome of outcomes) {
+      if (outcome.status !== "failed") break;
+      failures.push(outcome);
     }
+    if (failures.length === 0) continue;
 
+    breaker.failureCount = failures.length;
+    breaker.lastFailure = new Date(failures[0].finishedAt).getTime();
+    breaker.isOpen = failures.length >= breaker.maxFailures;
+  }
+}
+
+// Scrapers report items as `scraped` or return the scholarships themselves
+const countItems = (result) =>
+  result?.scraped ?? result?.scholarships?.length ?? 0;
+
+const countRejected = (result) =>
+  Array.isArray(result?.rejected)
+    ? result.rejected.length
+    : result?.rejected || 0;
+
+/**
+ * Conditionally fetch the page a module scraper starts from, so a site
+ * whose listing has not changed is not rendered and scraped again. A
+ * failed check is logged and the scraper runs anyway.
+ *
+ * @returns {Promise<Object|null>} conditionalHttpRequest result
+ */
+async function checkListing(source) {
+  try {
+    return await conditionalHttpRequest(source.listingUrl, {
+      timeout: 15000,
+      maxRetries: 1,
+      responseType: "text",
+    });
+  } catch (error) {
+    scrapingLogger.warn(
+      `Could not check ${source.key} listing for changes: ${error.message}`
+    );
+    return null;
+  }
+}
+
+/**
+ * Execute a single scraper with circuit breaker protection, storing the
+ * run as a ScrapeRun
+ *
+ * @param {Object} source - Registry source
+ * @param {string} [trigger="scheduled"] - "scheduled", "immediate" or "manual"
+ *
+ * Runs an admin started by hand always scrape in full; other runs skip
+ * unchanged listing pages and are stored as skipped ("unchanged") when
+ * nothing changed at all.
+ */
+async function executeScraper(source, trigger = "scheduled") {
+  const scraperName = source.key;
+  const run = startScrapeRun(source, trigger);
+  const conditional = trigger !== "manual";
+
+  // Check circuit breaker
+  if (checkCircuitBreaker(scraperName)) {
+    scrapingLogger.warn(`Skipping ${scraperName} - circuit breaker is open`);
+    await finishScrapeRun(run, {
+      status: "skipped",
+      reason: "circuit_breaker_open",
+    });
+    return { success: false, scraperName, reason: "circuit_breaker_open" };
+  }
+
+  try {
     scrapingLogger.info(`Starting scraper: ${scraperName}`);
 
-    // Execute the scraper
-    const startTime = Date.now();
-    const result = await scraper.scrapeScholarships();
-    const duration = Date.now() - startTime;
+    const listing =
+      conditional && source.type === "module" && source.listingUrl
+        ? await withScrapeRun(run, () => checkListing(source))
+        : null;
+
+    const result = listing?.unchanged
+      ? { unchanged: true, scraped: 0 }
+      : await withScrapeRun(run, () =>
+          createScraper(source).scrapeScholarships({ conditional })
+        );
+    // Most hand-written scrapers report failures instead of throwing
+    if (result?.error) throw new Error(result.error);
+
+    const duration = Date.now() - run.startedAt.getTime();
+    const count = countItems(result);
 
     // Record success
     recordSuccess(scraperName);
 
+    if (result?.unchanged) {
+      // Says nothing about yield, so it must not count as an empty run
+      await finishScrapeRun(run, { status: "skipped", reason: "unchanged" });
+      scrapingLogger.info(
+        `Scraper ${scraperName} skipped: listing unchanged (${run.bytesSaved} bytes saved)`
+      );
+      return {
+        success: true,
+        unchanged: true,
+        scraperName,
+        duration,
+        scholarships: [],
+        count: 0,
+        created: 0,
+        updated: 0,
+        pagesSkipped: run.pagesSkipped,
+        bytesSaved: run.bytesSaved,
+      };
+    }
+
+    if (listing) await rememberPage(listing);
+    await finishScrapeRun(run, {
+      status: "success",
+      itemsFound: count,
+      rejected: countRejected(result),
+    });
+
     scrapingLogger.info(
       `Scraper ${scraperName} completed successfully in ${duration}ms`,
       {
-        scholarshipsFound: result.scholarships?.length || 0,
+        scholarshipsFound: count,
+        created: run.created,
+        updated: run.updated,
+        pagesSkipped: run.pagesSkipped,
+        bytesSaved: run.bytesSaved,
         duration,
       }
     );
@@ -177,11 +255,19 @@ async function executeScraper(scraperName, scraper) {
       scraperName,
       duration,
       scholarships: result.scholarships || [],
-      count: result.scholarships?.length || 0,
+      count,
+      created: run.created,
+      updated: run.updated,
+      pagesSkipped: run.pagesSkipped,
+      bytesSaved: run.bytesSaved,
     };
   } catch (error) {
     // Record failure
     recordFailure(scraperName, error);
+    await finishScrapeRun(run, {
+      status: "failed",
+      errorMessages: [error.message],
+    });
 
     scrapingLogger.error(`Scraper ${scraperName} failed:`, {
       error: error.message,
@@ -198,87 +284,203 @@ async function executeScraper(scraperName, scraper) {
 }
 
 /**
- * Run all enabled scrapers
+ * Run scrapers one after another
+ *
+ * @param {Object} [options]
+ * @param {string[]} [options.keys] - Only these sources, whether or not they
+ *   are enabled; defaults to every enabled source
+ * @param {number} [options.priority] - Only enabled sources of this priority
+ * @param {string} [options.trigger="immediate"] - Recorded on each run;
+ *   "manual" when an admin asked for it
+ * @param {Function} [options.onProgress] - async (done, total, source) after
+ *   each source
+ * @param {Function} [options.shouldStop] - Checked before each source; a
+ *   true result ends the pass early
+ * @returns {Promise<Object>} Summary of the pass
+ *
+ * Each pass is streamed on the "scraping" progress channel.
  */
-export async function triggerImmediateScraping() {
+export async function runSources({
+  keys,
+  priority,
+  trigger = "immediate",
+  onProgress,
+  shouldStop,
+} = {}) {
+  const sessionId = `scrape_${Date.now()}`;
+  const emit = (type, data) =>
+    publishProgress("scraping", sessionId, type, data);
+
   try {
-    scrapingLogger.info("🚀 Starting immediate scraping of all sources...");
+    scrapingLogger.info(`🚀 Starting ${trigger} scraping...`);
 
     const results = [];
     let totalScholarships = 0;
     let successfulScrapers = 0;
+    let pagesSkipped = 0;
+    let bytesSaved = 0;
+
+    const sources = (await refreshSources()).filter((source) => {
+      if (keys) return keys.includes(source.key);
+      if (!source.enabled) {
+        scrapingLogger.info(`Skipping disabled scraper: ${source.key}`);
+        return false;
+      }
+      return priority === undefined || source.priority === priority;
+    });
+
+    emit("session-started", {
+      trigger,
+      progress: 0,
+      sources: sources.map(({ key, name }) => ({ key, name })),
+    });
 
     // Execute scrapers sequentially to be respectful to servers
-    for (const [scraperName, config] of Object.entries(scrapers)) {
-      if (!config.enabled) {
-        scrapingLogger.info(`Skipping disabled scraper: ${scraperName}`);
-        continue;
+    for (const [index, source] of sources.entries()) {
+      if (shouldStop?.()) break;
+
+      // Add delay between scrapers to be respectful
+      if (index > 0) {
+        await new Promise((resolve) => setTimeout(resolve, 2000));
       }
 
-      const result = await executeScraper(scraperName, config.scraper);
+      emit("site-started", {
+        source: source.key,
+        name: source.name,
+        index,
+        total: sources.length,
+        progress: Math.round((index / sources.length) * 100),
+      });
+
+      const result = await executeScraper(source, trigger);
       results.push(result);
 
       if (result.success) {
         successfulScrapers++;
         totalScholarships += result.count || 0;
       }
+      pagesSkipped += result.pagesSkipped || 0;
+      bytesSaved += result.bytesSaved || 0;
+
+      const progress = Math.round(((index + 1) / sources.length) * 100);
+      emit("site-finished", {
+        source: source.key,
+        name: source.name,
+        status: result.unchanged
+          ? "unchanged"
+          : result.success
+          ? "success"
+          : result.reason,
+        scholarshipsFound: result.count || 0,
+        created: result.created,
+        updated: result.updated,
+        pagesSkipped: result.pagesSkipped,
+        bytesSaved: result.bytesSaved,
+        error: result.error,
+        index,
+        total: sources.length,
+        progress,
+      });
+      if (result.count > 0) {
+        emit("scholarships-found", {
+          source: source.key,
+          count: result.count,
+          progress,
+        });
+      }
+      if (result.error) {
+        emit("error", {
+          source: source.key,
+          message: result.error,
+          progress,
+        });
+      }
 
-      // Add delay between scrapers to be respectful
-      await new Promise((resolve) => setTimeout(resolve, 2000));
+      await onProgress?.(index + 1, sources.length, source);
     }
 
     const summary = {
       timestamp: new Date().toISOString(),
-      totalScrapers: Object.keys(scrapers).filter((k) => scrapers[k].enabled)
-        .length,
+      totalScrapers: sources.length,
       successfulScrapers,
       failedScrapers: results.filter((r) => !r.success).length,
       totalScholarships,
+      pagesSkipped,
+      bytesSaved,
       results,
     };
 
-    scrapingLogger.info("✅ Immediate scraping completed", summary);
+    scrapingLogger.info("✅ Scraping pass completed", summary);
+    emit("session-finished", {
+      status: results.length < sources.length ? "stopped" : "completed",
+      progress: 100,
+      summary: { ...summary, results: undefined },
+    });
+
+    // Saved searches alert on scholarships added by the pass
+    if (results.some((result) => result.created > 0)) {
+      await queueSavedSearchAlerts(trigger);
+    }
     return summary;
   } catch (error) {
-    scrapingLogger.error("❌ Immediate scraping failed:", {
+    scrapingLogger.error("❌ Scraping pass failed:", {
       error: error.message,
     });
+    emit("error", { message: error.message });
+    emit("session-finished", { status: "failed", error: error.message });
     throw error;
   }
 }
 
+/**
+ * Run all enabled scrapers
+ *
+ * @param {string} [trigger="immediate"] - Recorded on each run; "manual"
+ *   when an admin asked for it
+ */
+export function triggerImmediateScraping(trigger = "immediate") {
+  return runSources({ trigger });
+}
+
 /**
  * Schedule regular scraping
  */
 export function scheduleRealTimeScraping() {
   scrapingLogger.info("📅 Setting up scheduled scraping...");
 
-  // Schedule high-priority scrapers every 30 minutes
-  cron.schedule("*/30 * * * *", async () => {
-    scrapingLogger.info("⏰ Running scheduled high-priority scraping...");
+  // Pick up admin-managed sources and the breaker state from stored runs
+  refreshSources()
+    .then(restoreCircuitBreakers)
+    .catch((error) =>
+      scrapingLogger.warn(
+        `Could not restore circuit breakers: ${error.message}`
+      )
+    );
 
-    const highPriorityScrapers = Object.entries(scrapers).filter(
-      ([name, config]) => config.enabled && config.priority === 1
+  // Scheduled passes go through the job queue and share the "scrape:all"
+  // key with manual full scrapes, so no two passes ever overlap and a
+  // restart does not lose one
+  const enqueueScheduledPass = (priority) =>
+    enqueueJob(
+      "scrape",
+      { priority, trigger: "scheduled" },
+      { priority: priority || 2, dedupeKey: "scrape:all" }
+    ).catch((error) =>
+      scrapingLogger.error(
+        `Could not queue scheduled scraping: ${error.message}`
+      )
     );
 
-    for (const [scraperName, config] of highPriorityScrapers) {
-      await executeScraper(scraperName, config.scraper);
-      await new Promise((resolve) => setTimeout(resolve, 5000)); // 5 second delay
-    }
+  // Every source on the hour; a pass at the half hour keeps high-priority
+  // sources on a 30-minute cycle
+  cron.schedule("0 * * * *", () => {
+    scrapingLogger.info("⏰ Queueing scheduled scraping of all sources...");
+    return enqueueScheduledPass();
   });
 
-  // Schedule lower-priority scrapers every hour
-  cron.schedule("0 * * * *", async () => {
-    scrapingLogger.info("⏰ Running scheduled standard scraping...");
-
-    const standardScrapers = Object.entries(scrapers).filter(
-      ([name, config]) => config.enabled && config.priority === 2
-    );
-
-    for (const [scraperName, config] of standardScrapers) {
-      await executeScraper(scraperName, config.scraper);
-      await new Promise((resolve) => setTimeout(resolve, 5000)); // 5 second delay
-    }
+  cron.schedule("30 * * * *", () => {
+    scrapingLogger.info("⏰ Queueing scheduled high-priority scraping...");
+    return enqueueScheduledPass(1);
   });
 
   scrapingLogger.info("✅ Scheduled scraping configured");
@@ -288,6 +490,8 @@ export function scheduleRealTimeScraping() {
  * Get circuit breaker status for all scrapers
  */
 export function getCircuitBreakerStatus() {
+  getSources().forEach(({ key }) => getBreaker(key));
+
   return Object.entries(circuitBreakers).reduce((status, [name, breaker]) => {
     status[name] = {
       isOpen: breaker.isOpen,
@@ -303,13 +507,10 @@ export function getCircuitBreakerStatus() {
  * Reset circuit breakers
  */
 export function resetCircuitBreakers() {
-  Object.keys(circuitBreakers).forEach((scraperName) => {
-    circuitBreakers[scraperName] = {
-      isOpen: false,
-      failureCount: 0,
-      lastFailure: null,
-      maxFailures: 3,
-    };
+  Object.values(circuitBreakers).forEach((breaker) => {
+    breaker.isOpen = false;
+    breaker.failureCount = 0;
+    breaker.lastFailure = null;
   });
 
   scrapingLogger.info("🔄 All circuit breakers reset");
@@ -320,23 +521,26 @@ export function resetCircuitBreakers() {
  * Get scraping status and statistics
  */
 export function getScrapingStatus() {
-  const enabledScrapers = Object.entries(scrapers).filter(
-    ([name, config]) => config.enabled
-  );
-  const openBreakers = Object.entries(circuitBreakers).filter(
-    ([name, breaker]) => breaker.isOpen
+  const sources = getSources();
+  const enabledScrapers = sources.filter((source) => source.enabled);
+  const openBreakers = enabledScrapers.filter(
+    ({ key }) => getBreaker(key).isOpen
   );
 
   return {
     totalScrapers: enabledScrapers.length,
     activeScrapers: enabledScrapers.length - openBreakers.length,
     circuitBreakersOpen: openBreakers.length,
-    scrapers: Object.entries(scrapers).reduce((status, [name, config]) => {
-      status[name] = {
-        enabled: config.enabled,
-        priority: config.priority,
-        circuitBreakerOpen: circuitBreakers[name].isOpen,
-        failureCount: circuitBreakers[name].failureCount,
+    scrapers: sources.reduce((status, source) => {
+      const breaker = getBreaker(source.key);
+      status[source.key] = {
+        name: source.name,
+        type: source.type,
+        enabled: source.enabled,
+        priority: source.priority,
+        intervalMinutes: source.intervalMinutes,
+        circuitBreakerOpen: breaker.isOpen,
+        failureCount: breaker.failureCount,
       };
       return status;
     }, {}),
@@ -348,6 +552,7 @@ export function getScrapingStatus() {
 scrapingLogger.info("🔧 Real-time orchestrator initialized");
 
 export default {
+  runSources,
   triggerImmediateScraping,
   scheduleRealTimeScraping,
   getCircuitBreakerStatus,
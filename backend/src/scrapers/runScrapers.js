@@ -20,7 +20,7 @@ export async function runAllScrapers() {
   try {
     scrapingLogger.info("🚀 Starting manual scraping of all sources...");
 
-    const result = await triggerImmediateScraping();
+    const result = await triggerImmediateScraping("manual");
 
     scrapingLogger.info("✅ Manual scraping completed", result);
     return result;
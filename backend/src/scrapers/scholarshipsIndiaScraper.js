@@ -1,6 +1,10 @@
 import puppeteer from "puppeteer";
 import Scholarship from "../models/Scholarship.js";
 import { scrapingLogger } from "../utils/logger.js";
+import { extractEligibilityRules } from "../utils/eligibilityEngine.js";
+import { getDeadlineFields } from "../utils/deadlineParser.js";
+import { attributeScholarshipChange } from "../utils/scholarshipHistory.js";
+import { noteHttpStatus } from "../utils/scrapeRuns.js";
 
 // Helper function to make absolute URLs
 function makeAbsoluteUrl(url, baseUrl = "https://www.vidyalakshmi.co.in") {
@@ -32,10 +36,14 @@ export async function scrapeScholarshipsIndia() {
     scrapingLogger.info(
       "🌐 Navigating to Vidya Lakshmi Portal (Real Indian Scholarship Website)..."
     );
-    await page.goto("https://www.vidyalakshmi.co.in/Students/", {
-      waitUntil: "networkidle2",
-      timeout: 60000,
-    });
+    const response = await page.goto(
+      "https://www.vidyalakshmi.co.in/Students/",
+      {
+        waitUntil: "networkidle2",
+        timeout: 60000,
+      }
+    );
+    noteHttpStatus(response?.status());
 
     // Wait for page to load
     await new Promise((resolve) => setTimeout(resolve, 3000));
@@ -188,7 +196,8 @@ export async function scrapeScholarshipsIndia() {
             eligibility:
               "Please visit Vidya Lakshmi Portal for detailed eligibility criteria",
             amount: "Visit official website for amount details",
-            deadline: new Date(Date.now() + 120 * 24 * 60 * 60 * 1000), // 120 days from now
+            // Only a date printed in the listing counts; otherwise it stays unknown
+            ...getDeadlineFields(scholarship.description),
             applicationLink: scholarship.applicationLink,
             sourceUrl: "https://www.vidyalakshmi.co.in/Students/",
             provider: "Vidya Lakshmi Portal",
@@ -200,8 +209,11 @@ export async function scrapeScholarshipsIndia() {
             datePosted: new Date(),
             lastUpdated: new Date(),
           };
+          scholarshipData.eligibilityRules =
+            extractEligibilityRules(scholarshipData);
 
           const newScholarship = new Scholarship(scholarshipData);
+          attributeScholarshipChange(newScholarship, "scholarships-india");
           await newScholarship.save();
           savedScholarships.push(newScholarship);
           scrapingLogger.info(
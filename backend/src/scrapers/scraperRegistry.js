@@ -0,0 +1,305 @@
+/**
+ * SCRAPER REGISTRY
+ *
+ * Single list of scraper sources for the orchestrator. Sources come from
+ * JSON files in src/scrapers/sources and from the ScraperSource collection,
+ * where admins add declarative sources and enable, disable or reprioritise
+ * any source without a deploy. Database records win over files.
+ *
+ * Two kinds of source exist:
+ * - "declarative": listing URL, selectors and formats, run by
+ *   declarativeScraper.js. Can be created from files or the admin API.
+ * - "module": a hand-written scraper module from MODULE_SCRAPERS. Only
+ *   files may declare these, so the database can never load arbitrary code.
+ *   An optional `listingUrl` names the page the module starts from, which
+ *   the orchestrator checks for changes before running it.
+ *
+ * @description Loads, validates and resolves scraper source definitions
+ * @author Scholarship Portal Team
+ * @version 1.0.0
+ * @created 2026-10-19
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import Joi from "joi";
+import mongoose from "mongoose";
+import ScraperSource from "../models/ScraperSource.js";
+import { scrapingLogger } from "../utils/logger.js";
+import { createDeclarativeScraper } from "./declarativeScraper.js";
+import aicteScraper from "./aicteScraper.js";
+import buddy4StudyScraper from "./buddy4StudyScraper.js";
+import nationalScholarshipPortalScraper from "./nationalScholarshipPortalScraper.js";
+import scholarshipsIndiaScraper from "./scholarshipsIndiaScraper.js";
+import ugcScraper from "./ugcScraper.js";
+import vidhyaLakshmiScraper from "./vidhyaLakshmiScraper.js";
+
+const SOURCES_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "sources"
+);
+
+/**
+ * Hand-written scrapers that "module" sources may refer to
+ */
+export const MODULE_SCRAPERS = {
+  aicteScraper,
+  buddy4StudyScraper,
+  nationalScholarshipPortalScraper,
+  scholarshipsIndiaScraper,
+  ugcScraper,
+  vidhyaLakshmiScraper,
+};
+
+// Loopback, private and link-local hosts a listing URL must not point at
+const PRIVATE_HOST_PATTERN =
+  /^(localhost|.*\.local|.*\.internal|127\.\d+\.\d+\.\d+|10\.\d+\.\d+\.\d+|192\.168\.\d+\.\d+|172\.(1[6-9]|2\d|3[01])\.\d+\.\d+|169\.254\.\d+\.\d+|0\.0\.0\.0|\[::1?\])$/i;
+
+const publicUrl = Joi.string()
+  .uri({ scheme: ["http", "https"] })
+  .custom((value, helpers) =>
+    PRIVATE_HOST_PATTERN.test(new URL(value).hostname)
+      ? helpers.message("{{#label}} must be a public website")
+      : value
+  );
+
+const pattern = Joi.string().custom((value, helpers) => {
+  try {
+    new RegExp(value);
+    return value;
+  } catch {
+    return helpers.message("{{#label}} is not a valid regular expression");
+  }
+});
+
+// A field is a CSS selector, or a selector with extraction options
+const fieldMapping = Joi.alternatives()
+  .try(
+    Joi.string().allow(""),
+    Joi.object({
+      selector: Joi.string().allow("").default(""),
+      attribute: Joi.string().default("text"),
+      regex: pattern,
+      template: Joi.string().pattern(/\{value\}/),
+      default: Joi.string(),
+    })
+  )
+  .custom((value) =>
+    typeof value === "string" ? { selector: value, attribute: "text" } : value
+  );
+
+const MAPPABLE_FIELDS = [
+  "title",
+  "description",
+  "eligibility",
+  "amount",
+  "deadline",
+  "applicationLink",
+  "provider",
+  "category",
+  "educationLevel",
+  "state",
+];
+
+const settingsSchema = {
+  key: Joi.string()
+    .pattern(/^[a-zA-Z0-9-]+$/)
+    .max(50)
+    .required(),
+  name: Joi.string().max(100).required(),
+  enabled: Joi.boolean().default(true),
+  priority: Joi.number().valid(1, 2).default(2),
+  intervalMinutes: Joi.number().integer().min(5).default(60),
+  maxFailures: Joi.number().integer().min(1).max(10).default(3),
+};
+
+const moduleSourceSchema = Joi.object({
+  ...settingsSchema,
+  type: Joi.string().valid("module").required(),
+  module: Joi.string()
+    .valid(...Object.keys(MODULE_SCRAPERS))
+    .required(),
+  listingUrl: publicUrl,
+});
+
+export const declarativeSourceSchema = Joi.object({
+  ...settingsSchema,
+  type: Joi.string().valid("declarative").default("declarative"),
+  listing: Joi.object({
+    url: publicUrl.required(),
+    itemSelector: Joi.string().required(),
+    maxItems: Joi.number().integer().min(1).max(200).default(50),
+  }).required(),
+  pagination: Joi.object({
+    type: Joi.string().valid("none", "query", "next-link").default("none"),
+    param: Joi.string().default("page"),
+    start: Joi.number().integer().min(0).default(1),
+    step: Joi.number().integer().min(1).default(1),
+    nextSelector: Joi.string().when("type", {
+      is: "next-link",
+      then: Joi.required(),
+    }),
+    maxPages: Joi.number().integer().min(1).max(20).default(1),
+  }).default(),
+  fields: Joi.object(
+    Object.fromEntries(
+      MAPPABLE_FIELDS.map((field) => [
+        field,
+        field === "title" ? fieldMapping.required() : fieldMapping,
+      ])
+    )
+  ).required(),
+  // Values used when the page has none, e.g. the provider name
+  defaults: Joi.object({
+    provider: Joi.string(),
+    description: Joi.string(),
+    eligibility: Joi.string(),
+    amount: Joi.string(),
+    category: Joi.string(),
+    educationLevel: Joi.string(),
+    state: Joi.string(),
+    targetGroup: Joi.array().items(Joi.string()),
+  }).default(),
+  formats: Joi.object({
+    // Order of numeric dates on the site; the parser assumes day-first
+    dateOrder: Joi.string().valid("DMY", "MDY", "YMD").default("DMY"),
+  }).default(),
+  rateLimit: Joi.object({
+    delayMs: Joi.number().integer().min(500).default(2000),
+    timeoutMs: Joi.number().integer().min(1000).max(60000).default(30000),
+    maxRetries: Joi.number().integer().min(1).max(5).default(2),
+  }).default(),
+}).custom((value, helpers) =>
+  value.fields.provider || value.defaults.provider
+    ? value
+    : helpers.message('"provider" must be mapped in fields or defaults')
+);
+
+const overrideSchema = Joi.object({
+  enabled: Joi.boolean(),
+  priority: Joi.number().valid(1, 2),
+  intervalMinutes: Joi.number().integer().min(5),
+}).min(1);
+
+const validate = (schema, input) => {
+  const { error, value } = schema.validate(input, { abortEarly: true });
+  if (error) throw new Error(error.details[0].message);
+  return value;
+};
+
+/**
+ * Validate a declarative source definition
+ *
+ * @returns {Object} The definition with defaults applied
+ * @throws {Error} With the first validation problem
+ */
+export const validateDeclarativeSource = (definition) =>
+  validate(declarativeSourceSchema, definition);
+
+/**
+ * Validate settings changes (enabled, priority, intervalMinutes)
+ */
+export const validateSourceSettings = (settings) =>
+  validate(overrideSchema, settings);
+
+/**
+ * Read and validate the definitions in src/scrapers/sources. A broken file
+ * is logged and skipped rather than stopping every other source.
+ */
+function loadFileSources() {
+  const sources = [];
+
+  for (const file of fs.readdirSync(SOURCES_DIR).sort()) {
+    if (!file.endsWith(".json")) continue;
+    try {
+      const raw = JSON.parse(
+        fs.readFileSync(path.join(SOURCES_DIR, file), "utf8")
+      );
+      const schema =
+        raw.type === "module" ? moduleSourceSchema : declarativeSourceSchema;
+      sources.push({ ...validate(schema, raw), origin: "file" });
+    } catch (error) {
+      scrapingLogger.error(`Invalid scraper source ${file}: ${error.message}`);
+    }
+  }
+
+  return sources;
+}
+
+let fileSources = loadFileSources();
+let sources = fileSources;
+
+/**
+ * Reload sources from files and the database. The orchestrator calls this
+ * before each run so admin changes apply without a restart.
+ *
+ * @returns {Promise<Array>} Resolved sources
+ */
+export async function loadRegistry() {
+  fileSources = loadFileSources();
+
+  // Scripts and tests may run without a database; files alone still work
+  if (mongoose.connection.readyState !== 1) {
+    sources = fileSources;
+    return sources;
+  }
+
+  const records = await ScraperSource.find().lean();
+  const byKey = new Map(fileSources.map((source) => [source.key, source]));
+
+  for (const record of records) {
+    const base = record.definition
+      ? { ...record.definition, origin: "database" }
+      : byKey.get(record.key);
+    // An override whose file was removed has nothing to apply to
+    if (!base) continue;
+
+    byKey.set(record.key, {
+      ...base,
+      enabled: record.enabled ?? base.enabled,
+      priority: record.priority ?? base.priority,
+      intervalMinutes: record.intervalMinutes ?? base.intervalMinutes,
+      overridden: !record.definition,
+      updatedAt: record.updatedAt,
+    });
+  }
+
+  sources = [...byKey.values()];
+  return sources;
+}
+
+/**
+ * Sources as of the last load
+ */
+export const getSources = () => sources;
+
+export const getSource = (key) =>
+  sources.find((source) => source.key === key) || null;
+
+/**
+ * File definition for a key, used to tell overrides from new sources
+ */
+export const getFileSource = (key) =>
+  fileSources.find((source) => source.key === key) || null;
+
+/**
+ * Scraper object ({ name, scrapeScholarships }) for a resolved source
+ */
+export function createScraper(source) {
+  return source.type === "module"
+    ? MODULE_SCRAPERS[source.module]
+    : createDeclarativeScraper(source);
+}
+
+export default {
+  MODULE_SCRAPERS,
+  declarativeSourceSchema,
+  validateDeclarativeSource,
+  validateSourceSettings,
+  loadRegistry,
+  getSources,
+  getSource,
+  getFileSource,
+  createScraper,
+};
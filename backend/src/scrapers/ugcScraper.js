@@ -1,5 +1,9 @@
 import puppeteer from "puppeteer";
 import Scholarship from "../models/Scholarship.js";
+import { extractEligibilityRules } from "../utils/eligibilityEngine.js";
+import { getDeadlineFields } from "../utils/deadlineParser.js";
+import { attributeScholarshipChange } from "../utils/scholarshipHistory.js";
+import { noteHttpStatus } from "../utils/scrapeRuns.js";
 
 export async function scrapeUGC() {
   const browser = await puppeteer.launch({
@@ -21,13 +25,14 @@ export async function scrapeUGC() {
     );
 
     console.log("Navigating to UGC...");
-    await page.goto(
+    const response = await page.goto(
       "https://www.ugc.ac.in/page/Scholarships-and-Fellowships.aspx",
       {
         waitUntil: "networkidle2",
         timeout: 60000,
       }
     );
+    noteHttpStatus(response?.status());
 
     await new Promise((resolve) => setTimeout(resolve, 3000));
 
@@ -138,7 +143,8 @@ export async function scrapeUGC() {
           eligibility:
             "As per UGC guidelines. Check official website for detailed eligibility criteria.",
           amount,
-          deadline: new Date(Date.now() + 90 * 24 * 60 * 60 * 1000), // 90 days from now
+          // Only a date printed in the listing counts; otherwise it stays unknown
+          ...getDeadlineFields(scholarship.description),
           applicationLink: scholarship.link,
           provider: "UGC (University Grants Commission)",
           category,
@@ -150,6 +156,8 @@ export async function scrapeUGC() {
           sourceUrl: "https://www.ugc.ac.in/",
           isActive: true,
         };
+        scholarshipData.eligibilityRules =
+          extractEligibilityRules(scholarshipData);
 
         const existingScholarship = await Scholarship.findOne({
           title: scholarshipData.title,
@@ -158,11 +166,13 @@ export async function scrapeUGC() {
 
         if (!existingScholarship) {
           const newScholarship = new Scholarship(scholarshipData);
+          attributeScholarshipChange(newScholarship, "ugc");
           await newScholarship.save();
           savedScholarships.push(newScholarship);
           console.log(`Saved: ${scholarshipData.title}`);
         } else {
           existingScholarship.lastUpdated = new Date();
+          attributeScholarshipChange(existingScholarship, "ugc");
           await existingScholarship.save();
           console.log(`Updated: ${scholarshipData.title}`);
         }
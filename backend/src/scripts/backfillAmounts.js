@@ -0,0 +1,91 @@
+/**
+ * AMOUNT BACKFILL
+ *
+ * Parses the free-text `amount` of existing scholarships into the structured
+ * `amountDetails` / `amountNumber` fields. Safe to re-run: documents are
+ * rewritten from their current `amount` text every time.
+ *
+ * @description Backfills structured amount fields on stored scholarships
+ * @author Scholarship Portal Team
+ * @version 1.0.0
+ */
+
+import Scholarship from "../models/Scholarship.js";
+import { getAmountFields } from "../utils/amountParser.js";
+import { logger } from "../utils/logger.js";
+
+const BATCH_SIZE = 500;
+
+/**
+ * Recompute amount fields for every scholarship
+ * @param {Object} [options]
+ * @param {boolean} [options.onlyMissing] - Skip documents already parsed
+ * @returns {Object} Counts of scanned and updated documents
+ */
+export async function backfillAmounts({ onlyMissing = false } = {}) {
+  const filter = onlyMissing
+    ? { "amountDetails.parsedAt": { $exists: false } }
+    : {};
+
+  const cursor = Scholarship.find(filter).select("amount").lean().cursor();
+
+  let scanned = 0;
+  let updated = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    const result = await Scholarship.bulkWrite(operations, { ordered: false });
+    updated += result.modifiedCount;
+    operations = [];
+  };
+
+  for await (const scholarship of cursor) {
+    scanned++;
+    operations.push({
+      updateOne: {
+        filter: { _id: scholarship._id },
+        update: { $set: getAmountFields(scholarship.amount) },
+      },
+    });
+
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  logger.info("💰 Amount backfill completed", { scanned, updated });
+  return { scanned, updated };
+}
+
+export default {
+  backfillAmounts,
+};
+
+// If this file is run directly, execute the backfill
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+  (async () => {
+    try {
+      const mongoose = await import("mongoose");
+      const dotenv = await import("dotenv");
+
+      dotenv.default.config();
+
+      const mongoUri =
+        process.env.MONGODB_URI ||
+        "mongodb://localhost:27017/scholarship_portal";
+      await mongoose.default.connect(mongoUri);
+      console.log("✅ Connected to MongoDB");
+
+      const result = await backfillAmounts({
+        onlyMissing: process.argv.includes("--only-missing"),
+      });
+      console.log("📊 Results:", JSON.stringify(result, null, 2));
+
+      await mongoose.default.disconnect();
+      process.exit(0);
+    } catch (error) {
+      console.error("❌ Amount backfill failed:", error);
+      process.exit(1);
+    }
+  })();
+}
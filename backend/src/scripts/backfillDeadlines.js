@@ -0,0 +1,131 @@
+/**
+ * DEADLINE BACKFILL
+ *
+ * Older scrapers stored a made-up deadline (60, 90 or 120 days after the
+ * scrape) whenever a source did not publish one. This script finds those
+ * placeholder dates, clears them and marks the deadline as unknown; real
+ * dates are kept and tagged as fixed.
+ *
+ * @description Classifies stored deadlines and removes fabricated ones
+ * @author Scholarship Portal Team
+ * @version 1.0.0
+ */
+
+import Scholarship from "../models/Scholarship.js";
+import { logger } from "../utils/logger.js";
+
+const BATCH_SIZE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Offsets the old scrapers and dataValidation used for placeholder deadlines
+const FABRICATED_OFFSETS_DAYS = [60, 90, 120];
+
+/**
+ * Whether a deadline sits exactly one of the placeholder offsets after the
+ * document was first stored
+ */
+export function isFabricatedDeadline({ deadline, createdAt, scrapedAt }) {
+  const reference = createdAt || scrapedAt;
+  if (!deadline || !reference) return false;
+
+  const offsetDays =
+    (new Date(deadline).getTime() - new Date(reference).getTime()) / DAY_MS;
+  return FABRICATED_OFFSETS_DAYS.some(
+    (days) => Math.abs(offsetDays - days) < 1
+  );
+}
+
+/**
+ * Classify every scholarship without a deadlineType
+ * @param {Object} [options]
+ * @param {boolean} [options.all] - Re-check documents already classified
+ * @returns {Object} Counts of scanned, cleared and confirmed deadlines
+ */
+export async function backfillDeadlines({ all = false } = {}) {
+  const filter = all ? {} : { deadlineType: { $exists: false } };
+  const cursor = Scholarship.find(filter)
+    .select("deadline createdAt scrapedAt")
+    .lean()
+    .cursor();
+
+  let scanned = 0;
+  let cleared = 0;
+  let confirmed = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    await Scholarship.bulkWrite(operations, { ordered: false });
+    operations = [];
+  };
+
+  for await (const scholarship of cursor) {
+    scanned++;
+
+    let fields;
+    if (!scholarship.deadline || isFabricatedDeadline(scholarship)) {
+      fields = {
+        deadline: null,
+        deadlineType: "unknown",
+        deadlineConfidence: 0,
+        deadlinePhases: [],
+      };
+      cleared++;
+    } else {
+      // Stored before confidence was tracked, so it cannot be rated highly
+      fields = { deadlineType: "fixed", deadlineConfidence: 0.5 };
+      confirmed++;
+    }
+
+    operations.push({
+      updateOne: {
+        filter: { _id: scholarship._id },
+        update: { $set: fields },
+      },
+    });
+
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  logger.info("📅 Deadline backfill completed", {
+    scanned,
+    cleared,
+    confirmed,
+  });
+  return { scanned, cleared, confirmed };
+}
+
+export default {
+  backfillDeadlines,
+  isFabricatedDeadline,
+};
+
+// If this file is run directly, execute the backfill
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+  (async () => {
+    try {
+      const mongoose = await import("mongoose");
+      const dotenv = await import("dotenv");
+
+      dotenv.default.config();
+
+      const mongoUri =
+        process.env.MONGODB_URI ||
+        "mongodb://localhost:27017/scholarship_portal";
+      await mongoose.default.connect(mongoUri);
+      console.log("✅ Connected to MongoDB");
+
+      const result = await backfillDeadlines({
+        all: process.argv.includes("--all"),
+      });
+      console.log("📊 Results:", JSON.stringify(result, null, 2));
+
+      await mongoose.default.disconnect();
+      process.exit(0);
+    } catch (error) {
+      console.error("❌ Deadline backfill failed:", error);
+      process.exit(1);
+    }
+  })();
+}
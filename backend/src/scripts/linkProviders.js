@@ -0,0 +1,54 @@
+/**
+ * PROVIDER LINKING
+ *
+ * Adds any missing default providers to the provider directory and links
+ * every stored scholarship to its provider. Safe to re-run: links are
+ * recomputed from the current directory each time.
+ *
+ * @description Backfills `providerId` on stored scholarships
+ * @author Scholarship Portal Team
+ * @version 1.0.0
+ */
+
+import "../models/Scholarship.js";
+import {
+  linkScholarshipProviders,
+  loadProviderDirectory,
+  seedProviders,
+} from "../utils/providerDirectory.js";
+
+// If this file is run directly, execute the linking
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+  (async () => {
+    try {
+      const mongoose = await import("mongoose");
+      const dotenv = await import("dotenv");
+
+      dotenv.default.config();
+
+      const mongoUri =
+        process.env.MONGODB_URI ||
+        "mongodb://localhost:27017/scholarship_portal";
+      await mongoose.default.connect(mongoUri);
+      console.log("✅ Connected to MongoDB");
+
+      const seeded = await seedProviders();
+      const providers = await loadProviderDirectory();
+      const result = await linkScholarshipProviders();
+      console.log(
+        "📊 Results:",
+        JSON.stringify(
+          { ...result, providers: providers.length, seeded },
+          null,
+          2
+        )
+      );
+
+      await mongoose.default.disconnect();
+      process.exit(0);
+    } catch (error) {
+      console.error("❌ Provider linking failed:", error);
+      process.exit(1);
+    }
+  })();
+}
@@ -0,0 +1,97 @@
+/**
+ * SCRAPER FIXTURES CLI
+ *
+ * Records scraper fixtures from the live sites and replays them offline to
+ * catch layout changes before production starts returning zero results.
+ *
+ *   npm run record-fixtures -- <source...>    Re-record from the live site
+ *   npm run update-fixtures -- <source...>    Accept the replayed output
+ *   node src/scripts/scraperFixtures.js replay [<source...>]
+ *                                             Replay and compare snapshots
+ *
+ * `npm test` replays every recorded source (test/scraperFixtures.test.js).
+ * Sources are registry keys (see src/scrapers/sources) or fixture-only
+ * sources. Without a source, replay covers every source that has
+ * fixtures, and fails if there are none.
+ *
+ * @description Command line entry point for the scraper fixture harness
+ * @author Scholarship Portal Team
+ * @version 1.0.0
+ * @created 2026-10-19
+ */
+
+import {
+  listRecordedSources,
+  recordSource,
+  replaySource,
+} from "../scrapers/fixtureHarness.js";
+
+const USAGE = `Usage:
+  npm run record-fixtures -- <source...>
+  npm run update-fixtures [-- <source...>]
+  node src/scripts/scraperFixtures.js replay [<source...>] [--update]`;
+
+async function record(keys) {
+  if (keys.length === 0) throw new Error(USAGE);
+
+  for (const key of keys) {
+    console.log(`🎬 Recording ${key}...`);
+    const { responses, scholarships } = await recordSource(key);
+    console.log(
+      `✅ ${key}: ${responses} responses, ${scholarships.length} scholarships`
+    );
+  }
+  return true;
+}
+
+async function replay(keys, update) {
+  const sources = keys.length > 0 ? keys : listRecordedSources();
+  if (sources.length === 0) {
+    console.log("❌ No fixtures recorded; run npm run record-fixtures first");
+    return false;
+  }
+
+  let passed = true;
+  for (const key of sources) {
+    const { scholarships, differences, unmatched } = await replaySource(key, {
+      update,
+    });
+
+    if (update) {
+      console.log(`📝 ${key}: snapshot updated (${scholarships.length})`);
+    } else if (differences.length === 0) {
+      console.log(`✅ ${key}: ${scholarships.length} scholarships match`);
+    } else {
+      passed = false;
+      console.log(`❌ ${key}: ${differences.length} differences`);
+      differences.forEach((difference) => console.log(`   - ${difference}`));
+    }
+
+    if (unmatched.length > 0) {
+      console.log(`   ⚠️  ${unmatched.length} requests had no recording:`);
+      unmatched.forEach((request) => console.log(`      ${request}`));
+    }
+  }
+  return passed;
+}
+
+// If this file is run directly, record or replay
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+  (async () => {
+    const [command, ...args] = process.argv.slice(2);
+    const keys = args.filter((arg) => !arg.startsWith("--"));
+
+    try {
+      let passed;
+      if (command === "record") passed = await record(keys);
+      else if (command === "replay")
+        passed = await replay(keys, args.includes("--update"));
+      else throw new Error(USAGE);
+
+      process.exit(passed ? 0 : 1);
+    } catch (error) {
+      console.error("❌", error.message);
+      process.exit(1);
+    }
+  })();
+}
@@ -0,0 +1,71 @@
+/**
+ * SET USER ROLE
+ *
+ * Grants a role to an existing account. Roles cannot be changed through the
+ * API, so the first admin has to be created from the command line:
+ *
+ *   npm run set-role -- someone@example.com admin
+ *
+ * @description Assigns student, moderator or admin roles
+ * @author Scholarship Portal Team
+ * @version 1.0.0
+ */
+
+import User, { USER_ROLES } from "../models/User.js";
+
+/**
+ * Set the role of the user with the given email
+ * @returns {Object} { email, previousRole, role }
+ */
+export async function setUserRole(email, role) {
+  if (!USER_ROLES.includes(role)) {
+    throw new Error(
+      `Unknown role "${role}". Expected one of: ${USER_ROLES.join(", ")}`
+    );
+  }
+
+  const user = await User.findOne({ email: email.toLowerCase() });
+  if (!user) {
+    throw new Error(`No user with email ${email}`);
+  }
+
+  const previousRole = user.role;
+  user.role = role;
+  await user.save();
+
+  return { email: user.email, previousRole, role };
+}
+
+// If this file is run directly, update the role
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+  (async () => {
+    const [email, role] = process.argv.slice(2);
+    if (!email || !role) {
+      console.error("Usage: npm run set-role -- <email> <role>");
+      process.exit(1);
+    }
+
+    try {
+      const mongoose = await import("mongoose");
+      const dotenv = await import("dotenv");
+
+      dotenv.default.config();
+
+      const mongoUri =
+        process.env.MONGODB_URI ||
+        "mongodb://localhost:27017/scholarship_portal";
+      await mongoose.default.connect(mongoUri);
+
+      const result = await setUserRole(email, role);
+      console.log(
+        `✅ ${result.email}: ${result.previousRole} → ${result.role}`
+      );
+
+      await mongoose.default.disconnect();
+      process.exit(0);
+    } catch (error) {
+      console.error("❌ Failed to set role:", error.message);
+      process.exit(1);
+    }
+  })();
+}
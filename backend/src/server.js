@@ -14,19 +14,44 @@ import aiEnhancedRoutes from "./routes/aiEnhanced.js";
 import geminiAIRoutes from "./routes/geminiAI.js";
 import aiEnhancedScrapingRoutes from "./routes/aiEnhancedScraping.js"; // New AI-enhanced scraping routes
 import chatbotRoutes from "./routes/chatbot.js"; // AI Chatbot routes
+import jobRoutes from "./routes/jobs.js";
+import mergeRoutes from "./routes/merges.js";
+import providerRoutes from "./routes/providers.js";
+import analyticsRoutes from "./routes/analytics.js";
+import searchSynonymRoutes from "./routes/searchSynonyms.js";
+import { authenticateToken, requireRole } from "./utils/auth.js";
 import {
   scheduleRealTimeScraping,
-  triggerImmediateScraping,
   getCircuitBreakerStatus,
   resetCircuitBreakers,
   getScrapingStatus,
 } from "./scrapers/realTimeOrchestrator.js";
 import { ensureLiveDataAvailability } from "./utils/liveDataOnlyFallback.js";
+import { scheduleDeadlineReminders } from "./utils/deadlineReminderScheduler.js";
+import { scheduleWeeklyDigest } from "./utils/weeklyDigest.js";
+import {
+  enqueueJob,
+  queuedJobResponse,
+  startJobWorker,
+  stopJobWorker,
+} from "./utils/jobQueue.js";
+import { registerJobHandlers } from "./utils/jobHandlers.js";
+import {
+  loadProviderDirectory,
+  seedProviders,
+} from "./utils/providerDirectory.js";
+import {
+  loadSearchSynonyms,
+  seedSearchSynonyms,
+} from "./utils/queryNormalizer.js";
 import logger, { apiLogger } from "./utils/logger.js";
 import Scholarship from "./models/Scholarship.js"; // Import Scholarship model for analytics
 
 dotenv.config();
 
+// Scraping, AI enhancement and link validation run as queued jobs
+registerJobHandlers();
+
 const app = express();
 const PORT = process.env.PORT || 5002; // Updated to avoid port conflict
 
@@ -134,6 +159,30 @@ const connectToDatabase = async () => {
     serverHealth.database = true;
     logger.info("✅ Connected to MongoDB");
 
+    // Saved scholarships are linked to providers from the cached directory;
+    // new default providers may match scholarships already stored
+    try {
+      const seeded = await seedProviders();
+      await loadProviderDirectory();
+      if (seeded > 0) {
+        await enqueueJob(
+          "link-providers",
+          { trigger: "seed" },
+          { dedupeKey: "link-providers" }
+        );
+      }
+    } catch (error) {
+      logger.error("❌ Could not load provider directory:", error.message);
+    }
+
+    // Until loaded, search uses the built-in default synonyms
+    try {
+      await seedSearchSynonyms();
+      await loadSearchSynonyms();
+    } catch (error) {
+      logger.error("❌ Could not load search synonyms:", error.message);
+    }
+
     // LIVE DATA ONLY - No fallback data injection
     // All data comes from real scraping sources
     const dataStatus = await ensureLiveDataAvailability(5);
@@ -143,21 +192,28 @@ const connectToDatabase = async () => {
       );
     }
 
+    // Pick up queued jobs, including ones interrupted by a restart
+    startJobWorker();
+
     // Schedule real-time scraping
     scheduleRealTimeScraping();
     serverHealth.scrapers = true;
 
-    // Trigger initial scraping after a short delay
-    setTimeout(async () => {
-      logger.info("🚀 Triggering initial real-time scraping...");
-      try {
-        const result = await triggerImmediateScraping();
-        serverHealth.lastScraping = new Date().toISOString();
-        logger.info("✅ Initial scraping completed");
-      } catch (error) {
-        logger.error("❌ Initial scraping failed:", error.message);
-      }
-    }, 5000);
+    // Email reminders for saved scholarships with approaching deadlines
+    scheduleDeadlineReminders();
+    scheduleWeeklyDigest();
+
+    // Queue initial scraping; skipped if a pass is already queued or running
+    try {
+      await enqueueJob(
+        "scrape",
+        { trigger: "immediate" },
+        { dedupeKey: "scrape:all", runAt: new Date(Date.now() + 5000) }
+      );
+      logger.info("🚀 Initial real-time scraping queued");
+    } catch (error) {
+      logger.error("❌ Could not queue initial scraping:", error.message);
+    }
   } catch (err) {
     serverHealth.database = false;
     logger.error("❌ MongoDB connection error:", err.message);
@@ -198,11 +254,20 @@ connectToDatabase();
 app.use("/api/auth", authRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/scholarships", realTimeScholarshipRoutes);
-app.use("/api/scrapers", scraperRoutes);
-app.use("/api/ai", aiEnhancedRoutes);
-app.use("/api/gemini", geminiAIRoutes);
-app.use("/api/ai-enhanced", aiEnhancedScrapingRoutes); // New AI-enhanced scraping API routes
+// Scraping and AI management is limited to moderators and admins
+const requireStaff = [authenticateToken, requireRole("moderator")];
+const requireAdmin = [authenticateToken, requireRole("admin")];
+
+app.use("/api/scrapers", requireStaff, scraperRoutes);
+app.use("/api/ai", requireStaff, aiEnhancedRoutes); // Also covers the /api/ai/* routes below
+app.use("/api/gemini", requireStaff, geminiAIRoutes);
+app.use("/api/ai-enhanced", requireStaff, aiEnhancedScrapingRoutes); // New AI-enhanced scraping API routes
 app.use("/api/chatbot", chatbotRoutes); // AI Chatbot API routes
+app.use("/api/jobs", requireStaff, jobRoutes); // Background job status and cancellation
+app.use("/api/merges", requireStaff, mergeRoutes); // Duplicate scholarship review and undo
+app.use("/api/providers", providerRoutes); // Provider directory; edits are admin-only
+app.use("/api/analytics", analyticsRoutes); // Usage events and time-bucketed reports
+app.use("/api/search-synonyms", searchSynonymRoutes); // Search dictionary; edits are admin-only
 
 // AI-Enhanced Analytics and Management Endpoints
 app.get("/api/ai/analytics", async (req, res) => {
@@ -354,7 +419,7 @@ app.get("/api/health/circuit-breakers", (req, res) => {
 });
 
 // Reset circuit breakers endpoint
-app.post("/api/health/reset-circuit-breakers", (req, res) => {
+app.post("/api/health/reset-circuit-breakers", requireAdmin, (req, res) => {
   try {
     resetCircuitBreakers();
     res.json({
@@ -372,21 +437,19 @@ app.post("/api/health/reset-circuit-breakers", (req, res) => {
 });
 
 // Real-time scraping endpoint with rate limiting
-app.post("/api/scraping/trigger", scraperLimiter, async (req, res) => {
+app.post("/api/scraping/trigger", requireStaff, scraperLimiter, async (req, res) => {
   try {
     apiLogger.info("🔥 Manual scraping triggered via API");
-    const result = await triggerImmediateScraping();
+    const queued = await enqueueJob(
+      "scrape",
+      { trigger: "manual" },
+      { priority: 1, dedupeKey: "scrape:all", createdBy: req.user._id }
+    );
     serverHealth.lastScraping = new Date().toISOString();
 
-    res.json({
-      success: true,
-      message: "Real-time scraping triggered successfully",
-      result,
+    res.status(202).json({
+      ...queuedJobResponse(queued, "Real-time scraping queued"),
       timestamp: new Date().toISOString(),
-      details: {
-        sources: result?.sources || [],
-        totalScraped: result?.totalScholarships || 0,
-      },
     });
   } catch (error) {
     apiLogger.error("API scraping trigger error:", error.message);
@@ -447,7 +510,7 @@ app.get("/api/scraping/circuit-breakers", async (req, res) => {
 });
 
 // Reset circuit breakers endpoint
-app.post("/api/scraping/reset-circuit-breakers", async (req, res) => {
+app.post("/api/scraping/reset-circuit-breakers", requireAdmin, async (req, res) => {
   try {
     const result = resetCircuitBreakers();
 
@@ -503,12 +566,14 @@ app.use((req, res) => {
 // Graceful shutdown
 process.on("SIGTERM", async () => {
   logger.info("SIGTERM received, shutting down gracefully...");
+  stopJobWorker();
   await mongoose.connection.close();
   process.exit(0);
 });
 
 process.on("SIGINT", async () => {
   logger.info("SIGINT received, shutting down gracefully...");
+  stopJobWorker();
   await mongoose.connection.close();
   process.exit(0);
 });
@@ -0,0 +1,97 @@
+/**
+ * ACCOUNT EMAILS
+ *
+ * Email verification and password reset messages. Links carry the raw
+ * token; the database only ever holds its hash.
+ *
+ * @description Verification and password reset emails
+ * @author Scholarship Portal Team
+ * @version 1.0.0
+ * @created 2026-10-19
+ */
+
+import { sendMail } from "./mailTransport.js";
+import { escapeHtml, portalUrl, renderEmailLayout } from "./emailTemplates.js";
+
+function renderActionEmail({ user, intro, action, link, outro, footer }) {
+  const name = user.firstName || "there";
+
+  const text = [
+    `Hi ${name},`,
+    "",
+    intro,
+    "",
+    `${action}: ${link}`,
+    "",
+    outro,
+    "",
+    footer,
+  ].join("\n");
+
+  const html = renderEmailLayout(
+    `
+  <p>Hi ${escapeHtml(name)},</p>
+  <p>${escapeHtml(intro)}</p>
+  <p><a href="${link}" style="display:inline-block;padding:10px 20px;background:#2563eb;color:#ffffff;border-radius:6px;text-decoration:none">${escapeHtml(
+      action
+    )}</a></p>
+  <p style="font-size:12px;color:#6b7280">Or paste this link into your browser: ${link}</p>
+  <p>${escapeHtml(outro)}</p>`,
+    footer
+  );
+
+  return { text, html };
+}
+
+/**
+ * Send the "confirm your email" link
+ * @param {Object} user - User document
+ * @param {string} token - Raw verification token
+ */
+export async function sendVerificationEmail(user, token) {
+  const link = portalUrl(`/verify-email?token=${token}`);
+  const message = renderActionEmail({
+    user,
+    intro:
+      "Please confirm your email address to finish setting up your ScholarWise India account.",
+    action: "Verify email",
+    link,
+    outro: "This link expires in 24 hours.",
+    footer: "If you did not create an account, you can ignore this email.",
+  });
+
+  return sendMail({
+    to: user.email,
+    subject: "Verify your ScholarWise India email",
+    ...message,
+  });
+}
+
+/**
+ * Send the password reset link
+ * @param {Object} user - User document
+ * @param {string} token - Raw reset token
+ */
+export async function sendPasswordResetEmail(user, token) {
+  const link = portalUrl(`/reset-password?token=${token}`);
+  const message = renderActionEmail({
+    user,
+    intro: "We received a request to reset your ScholarWise India password.",
+    action: "Reset password",
+    link,
+    outro: "This link expires in 1 hour and can only be used once.",
+    footer:
+      "If you did not ask to reset your password, you can ignore this email; your password will not change.",
+  });
+
+  return sendMail({
+    to: user.email,
+    subject: "Reset your ScholarWise India password",
+    ...message,
+  });
+}
+
+export default {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+};
@@ -1,6 +1,7 @@
 import { GoogleGenerativeAI } from "@google/generative-ai";
 import { scrapingLogger } from "../utils/logger.js";
 import Scholarship from "../models/Scholarship.js";
+import { normalizeQuery } from "./queryNormalizer.js";
 
 // Initialize Gemini AI
 const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
@@ -161,7 +162,15 @@ class ScholarWiseAIChatbot {
   // Find scholarships relevant to user query
   async findRelevantScholarships(query) {
     try {
-      const keywords = this.extractKeywords(query);
+      // Read the way search reads it: transliterated, with acronyms and
+      // Indian-language words expanded from the search dictionary
+      const normalized = normalizeQuery(query);
+      const keywords = [
+        ...new Set([
+          ...this.extractKeywords(normalized.text),
+          ...normalized.keywords,
+        ]),
+      ];
 
       // Build search criteria based on keywords
       const searchCriteria = {
@@ -184,7 +193,9 @@ class ScholarWiseAIChatbot {
         return await Scholarship.find({ isActive: true })
           .sort({ scrapedAt: -1 })
           .limit(5)
-          .select("title description amount deadline category applicationLink")
+          .select(
+            "title description amount deadline deadlineType category applicationLink"
+          )
           .lean();
       }
 
@@ -192,7 +203,7 @@ class ScholarWiseAIChatbot {
         .sort({ scrapedAt: -1 })
         .limit(5)
         .select(
-          "title description amount deadline category applicationLink state educationLevel"
+          "title description amount deadline deadlineType category applicationLink state educationLevel"
         )
         .lean();
 
@@ -324,7 +335,9 @@ class ScholarWiseAIChatbot {
         prompt += `${index + 1}. ${scholarship.title}\n`;
         prompt += `   Amount: ${scholarship.amount || "Not specified"}\n`;
         prompt += `   Deadline: ${
-          scholarship.deadline || "Check official website"
+          scholarship.deadlineType === "rolling"
+            ? "Rolling (applications accepted year-round)"
+            : scholarship.deadline || "Not announced - check official website"
         }\n`;
         prompt += `   Category: ${scholarship.category || "General"}\n`;
         if (scholarship.description) {
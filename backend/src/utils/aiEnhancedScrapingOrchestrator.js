@@ -8,6 +8,12 @@ import RateLimitedUniversalScraper from "../utils/rateLimitedUniversalScraper.js
 import Scholarship from "../models/Scholarship.js";
 import { scrapingLogger as logger } from "../utils/logger.js";
 import { GeminiAIService } from "../utils/geminiAIService.js";
+import { extractEligibilityRules } from "../utils/eligibilityEngine.js";
+import { getAmountFields } from "../utils/amountParser.js";
+import { getDeadlineFields } from "../utils/deadlineParser.js";
+import { attributeScholarshipChange } from "../utils/scholarshipHistory.js";
+import { publishProgress } from "../utils/progressEvents.js";
+import { queueSavedSearchAlerts } from "../utils/savedSearches.js";
 
 class AIEnhancedScrapingOrchestrator {
   constructor() {
@@ -32,6 +38,26 @@ class AIEnhancedScrapingOrchestrator {
     };
   }
 
+  /**
+   * Publish a progress event for the current session (see progressEvents.js)
+   */
+  emit(type, data = {}) {
+    if (!this.currentSession) return;
+    publishProgress("ai-session", this.currentSession.id, type, {
+      progress: this.currentSession.progress,
+      ...data,
+    });
+  }
+
+  /**
+   * Move the current session to a new phase
+   */
+  setPhase(phase, progress) {
+    this.currentSession.phase = phase;
+    this.currentSession.progress = progress;
+    this.emit("phase", { phase });
+  }
+
   /**
    * Run complete AI-enhanced scraping session
    */
@@ -54,11 +80,11 @@ class AIEnhancedScrapingOrchestrator {
 
     logger.info("🚀 Starting AI-Enhanced Scholarship Scraping Session");
     logger.info(`Session ID: ${this.currentSession.id}`);
+    this.emit("session-started", { options });
 
     try {
       // Phase 1: AI Website Discovery
-      this.currentSession.phase = "discovery";
-      this.currentSession.progress = 10;
+      this.setPhase("discovery", 10);
       logger.info("🔍 Phase 1: AI-Powered Website Discovery");
 
       const discoveryResults =
@@ -68,6 +94,10 @@ class AIEnhancedScrapingOrchestrator {
 
       this.currentSession.websites = discoveryResults.qualitySites;
       this.currentSession.progress = 30;
+      this.emit("phase", {
+        phase: "discovery",
+        websitesFound: discoveryResults.qualitySites.length,
+      });
       this.metrics.totalWebsitesDiscovered += discoveryResults.totalDiscovered;
 
       logger.info(
@@ -79,8 +109,7 @@ class AIEnhancedScrapingOrchestrator {
       logger.info(`   Corporate: ${discoveryResults.summary.corporate}`);
 
       // Phase 2: Prioritize and Prepare Scraping Targets
-      this.currentSession.phase = "preparation";
-      this.currentSession.progress = 40;
+      this.setPhase("preparation", 40);
       logger.info("📋 Phase 2: Preparing Scraping Targets");
 
       const scrapingTargets =
@@ -93,12 +122,43 @@ class AIEnhancedScrapingOrchestrator {
       );
 
       // Phase 3: Rate-Limited Universal Scraping
-      this.currentSession.phase = "scraping";
-      this.currentSession.progress = 50;
+      this.setPhase("scraping", 50);
       logger.info("🕷️ Phase 3: Rate-Limited Universal Scraping");
 
       const scrapingResults =
-        await this.universalScraper.scrapeDiscoveredWebsites(scrapingTargets);
+        await this.universalScraper.scrapeDiscoveredWebsites(scrapingTargets, {
+          onSiteStarted: (target, index) =>
+            this.emit("site-started", {
+              url: target.url,
+              index,
+              total: scrapingTargets.length,
+            }),
+          onSiteFinished: (site, index) => {
+            // Scraping spans 50-80% of the session
+            this.currentSession.progress =
+              50 + Math.round(((index + 1) / scrapingTargets.length) * 30);
+            this.emit("site-finished", {
+              url: site.url,
+              status: site.status,
+              scholarshipsFound: site.scholarshipsFound,
+              validScholarships: site.validScholarships,
+              // Why a site was skipped, e.g. disallowed by robots.txt
+              reason: site.reason,
+              error: site.error,
+              index,
+              total: scrapingTargets.length,
+            });
+            if (site.validScholarships > 0) {
+              this.emit("scholarships-found", {
+                url: site.url,
+                count: site.validScholarships,
+              });
+            }
+            if (site.error) {
+              this.emit("error", { url: site.url, message: site.error });
+            }
+          },
+        });
 
       this.currentSession.progress = 80;
       this.metrics.totalWebsitesScraped += scrapingResults.totalWebsites;
@@ -116,8 +176,7 @@ class AIEnhancedScrapingOrchestrator {
       );
 
       // Phase 4: Database Integration and AI Enhancement
-      this.currentSession.phase = "database_integration";
-      this.currentSession.progress = 85;
+      this.setPhase("database_integration", 85);
       logger.info("💾 Phase 4: Database Integration");
 
       const savedScholarships = await this.integrateWithDatabase(
@@ -126,11 +185,13 @@ class AIEnhancedScrapingOrchestrator {
 
       this.currentSession.scholarships = savedScholarships;
       this.currentSession.progress = 95;
+      this.emit("scholarships-found", {
+        saved: savedScholarships.length,
+      });
       this.metrics.totalScholarshipsSaved += savedScholarships.length;
 
       // Phase 5: Session Completion and Analytics
-      this.currentSession.phase = "completion";
-      this.currentSession.progress = 100;
+      this.setPhase("completion", 100);
       this.currentSession.status = "completed";
       this.currentSession.endTime = new Date();
 
@@ -149,6 +210,15 @@ class AIEnhancedScrapingOrchestrator {
       );
       logger.info(`   Success Rate: ${sessionSummary.overallSuccessRate}%`);
 
+      // Saved searches alert on the scholarships the session added
+      if (sessionSummary.newScholarships > 0) {
+        await queueSavedSearchAlerts("ai-enhanced");
+      }
+      this.emit("session-finished", {
+        status: "completed",
+        summary: sessionSummary,
+      });
+
       return {
         success: true,
         sessionId: this.currentSession.id,
@@ -163,6 +233,11 @@ class AIEnhancedScrapingOrchestrator {
       this.currentSession.endTime = new Date();
 
       logger.error("❌ AI-Enhanced Scraping Session Failed:", error);
+      this.emit("error", { message: error.message });
+      this.emit("session-finished", {
+        status: "failed",
+        error: error.message,
+      });
 
       return {
         success: false,
@@ -228,6 +303,10 @@ class AIEnhancedScrapingOrchestrator {
               scholarship: scholarship.title,
               error: error.message,
             });
+            this.emit("error", {
+              scholarship: scholarship.title,
+              message: error.message,
+            });
           }
         }
       }
@@ -262,15 +341,16 @@ class AIEnhancedScrapingOrchestrator {
       (!existing.amount || existing.amount === "Amount not specified")
     ) {
       updateFields.amount = newData.amount;
+      Object.assign(updateFields, getAmountFields(newData.amount));
       hasUpdates = true;
     }
 
+    const deadlineFields = getDeadlineFields(newData.deadline);
     if (
-      newData.deadline &&
-      newData.deadline !== "Deadline not specified" &&
-      (!existing.deadline || existing.deadline === "Deadline not specified")
+      deadlineFields.deadlineType !== "unknown" &&
+      existing.deadlineType !== "fixed"
     ) {
-      updateFields.deadline = newData.deadline;
+      Object.assign(updateFields, deadlineFields);
       hasUpdates = true;
     }
 
@@ -293,16 +373,17 @@ class AIEnhancedScrapingOrchestrator {
     }
 
     if (hasUpdates) {
+      updateFields.eligibilityRules = extractEligibilityRules({
+        ...existing.toObject(),
+        ...updateFields,
+      });
       updateFields.lastScraped = new Date();
       updateFields.isActive = true;
 
-      const updated = await Scholarship.findByIdAndUpdate(
-        existing._id,
-        { $set: updateFields },
-        { new: true }
-      );
-
-      return updated;
+      // Saved through the document so the change is versioned
+      existing.set(updateFields);
+      attributeScholarshipChange(existing, "ai-orchestrator");
+      return existing.save();
     }
 
     return null;
@@ -324,6 +405,8 @@ class AIEnhancedScrapingOrchestrator {
       // Create new scholarship
       const scholarship = new Scholarship({
         ...enhancedData,
+        ...getDeadlineFields(enhancedData.deadline),
+        eligibilityRules: extractEligibilityRules(enhancedData),
         isActive: true,
         verified: false,
         aiEnhanced: this.geminiAI.isEnabled(),
@@ -332,6 +415,7 @@ class AIEnhancedScrapingOrchestrator {
         updatedAt: new Date(),
       });
 
+      attributeScholarshipChange(scholarship, "ai-orchestrator");
       const saved = await scholarship.save();
       return saved;
     } catch (error) {
@@ -465,6 +549,7 @@ class AIEnhancedScrapingOrchestrator {
       logger.info(
         `🛑 Scraping session ${this.currentSession.id} stopped by user`
       );
+      this.emit("session-finished", { status: "stopped" });
 
       return {
         success: true,
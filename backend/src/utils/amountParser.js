@@ -0,0 +1,250 @@
+/**
+ * SCHOLARSHIP AMOUNT PARSER
+ *
+ * Converts Indian-format amount strings ("₹50,000 per annum", "Up to 1 lakh",
+ * "₹1,000 - ₹2,500 per month", "Full tuition fee waiver") into structured
+ * min/max/period/currency values that can be filtered and sorted.
+ *
+ * @description Structured amount extraction for scholarships
+ * @author Scholarship Portal Team
+ * @version 1.0.0
+ * @created 2026-10-19
+ */
+
+const PERIOD_PATTERNS = [
+  {
+    period: "monthly",
+    pattern: /per month|\/\s*month|\bp\.?\s?m\.?(?![a-z])|monthly|per mensem/,
+  },
+  {
+    period: "annual",
+    pattern:
+      /per annum|\bp\.?\s?a\.?(?![a-z])|per year|\/\s*year|yearly|annually|annual/,
+  },
+  { period: "semester", pattern: /per semester|\/\s*semester|semester/ },
+  { period: "one-time", pattern: /one[- ]time|lump ?sum|once/ },
+];
+
+const PERIODS_PER_YEAR = {
+  monthly: 12,
+  annual: 1,
+  semester: 2,
+};
+
+const VARIABLE_PATTERN =
+  /varies|variable|as per|check|not specified|depends|differs|based on/;
+
+const TUITION_WAIVER_PATTERN =
+  /tuition fee(?:s)? (?:waiver|reimbursement|exemption)|full tuition|fee waiver|fee reimbursement|free tuition/;
+
+const NUMBER_PATTERN =
+  /(₹)?\s*(\d[\d,]*(?:\.\d+)?)\s*(lakhs?|lacs?|l\b|crores?|cr\b|k\b)?/g;
+
+/**
+ * Convert an Indian-format number ("2.5 lakh", "2,50,000", "8 lakhs") to rupees
+ *
+ * @param {string} value - Numeric part, may contain commas
+ * @param {string} [unit] - Optional unit (lakh, crore, k)
+ * @returns {number|null} Value in rupees
+ */
+export function toRupees(value, unit = "") {
+  const number = parseFloat(String(value).replace(/,/g, ""));
+  if (Number.isNaN(number)) return null;
+
+  const normalizedUnit = unit.toLowerCase();
+  if (/^(lakh|lakhs|lac|lacs|l)$/.test(normalizedUnit)) return number * 100000;
+  if (/^(crore|crores|cr)$/.test(normalizedUnit)) return number * 10000000;
+  if (normalizedUnit === "k") return number * 1000;
+  return number;
+}
+
+/**
+ * Normalize currency markers so "Rs. 5000/-" and "INR 5000" read as "₹5000"
+ */
+function normalizeAmountText(text) {
+  return text
+    .toLowerCase()
+    .replace(/\b(?:rs|inr)\.?\s*/g, "₹")
+    .replace(/\/-/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Wording that ties a number to eligibility or the scheme's budget rather
+// than to the award: "families earning below ₹2.5 lakh", "corpus of ₹5 crore"
+const NOT_AWARD_BEFORE =
+  /(?:income|earning|salary|families|family|parents?|household|corpus|budget|outlay|total (?:fund|grant|amount))[^.,;:!?]*$/;
+const NOT_AWARD_AFTER =
+  /^(?:(?:per annum|p\.?a\.?|annual|yearly|per year)\s+)?(?:(?:family|household|parental|parents'?)\s+)?(?:income|salary|earnings)/;
+
+// "₹1,000 - ₹2,500 per month": the first value shares the second's period
+const RANGE_JOIN = /^\s*(?:-|–|to)\s*$/;
+
+// How far from a number its own period wording may sit
+const PERIOD_REACH_AFTER = 15;
+const PERIOD_REACH_BEFORE = 20;
+
+function periodIn(text) {
+  const found = PERIOD_PATTERNS.find(({ pattern }) => pattern.test(text));
+  return found ? found.period : null;
+}
+
+/**
+ * Pull out every rupee value with its position, skipping years,
+ * percentages and durations
+ */
+function findRupeeValues(text) {
+  const values = [];
+  let match;
+
+  NUMBER_PATTERN.lastIndex = 0;
+  while ((match = NUMBER_PATTERN.exec(text)) !== null) {
+    const [, currency, digits, unit = ""] = match;
+    const after = text.slice(match.index + match[0].length).trimStart();
+
+    if (
+      /^(?:%|(?:percent|years?|yrs?|months?|days?|students?|awards?)\b)/.test(
+        after
+      )
+    )
+      continue;
+
+    const rupees = toRupees(digits, unit);
+    if (rupees === null) continue;
+
+    // Bare numbers need a unit or must look like money rather than a year
+    const looksLikeYear = !unit && /^(19|20)\d{2}$/.test(digits);
+    if (!currency && !unit && (rupees < 500 || looksLikeYear)) continue;
+
+    values.push({
+      rupees,
+      start: match.index,
+      end: match.index + match[0].trimEnd().length,
+    });
+  }
+
+  return values;
+}
+
+/**
+ * Award values with the period each is paid in. Income ceilings and
+ * scheme budgets are left out.
+ */
+function extractAwardValues(text) {
+  const values = findRupeeValues(text);
+
+  values.forEach((value, index) => {
+    const previous = values[index - 1];
+    const next = values[index + 1];
+    const before = text.slice(previous ? previous.end : 0, value.start);
+    const after = text.slice(value.end, next ? next.start : text.length);
+
+    value.isAward =
+      !NOT_AWARD_BEFORE.test(before) &&
+      !NOT_AWARD_AFTER.test(after.trimStart());
+    value.period =
+      periodIn(after.slice(0, PERIOD_REACH_AFTER)) ||
+      periodIn(before.slice(-PERIOD_REACH_BEFORE));
+  });
+
+  // Right to left, so a range's period carries back to its start
+  for (let index = values.length - 2; index >= 0; index--) {
+    const next = values[index + 1];
+    if (RANGE_JOIN.test(text.slice(values[index].end, next.start))) {
+      values[index].period = next.period || values[index].period;
+    }
+  }
+
+  return values.filter(({ isAward }) => isAward);
+}
+
+// "Annual family income" says nothing about how often the award is paid
+function detectPeriod(text) {
+  const withoutIncome = text.replace(
+    /(?:per annum|annual|yearly)\s+(?:(?:family|household|parental)\s+)?income/g,
+    "income"
+  );
+  return periodIn(withoutIncome) || "unknown";
+}
+
+/**
+ * Parse a free-text scholarship amount
+ *
+ * @param {string} amountText - Amount as scraped
+ * @returns {Object} Structured amount for Scholarship.amountDetails
+ */
+export function parseAmount(amountText) {
+  const details = {
+    min: null,
+    max: null,
+    period: "unknown",
+    currency: "INR",
+    annualValue: null,
+    tuitionWaiver: false,
+    isVariable: false,
+    parsedAt: new Date(),
+  };
+
+  if (!amountText || typeof amountText !== "string") {
+    details.isVariable = true;
+    return details;
+  }
+
+  const text = normalizeAmountText(amountText);
+  details.tuitionWaiver = TUITION_WAIVER_PATTERN.test(text);
+  details.period = detectPeriod(text);
+
+  if (/\$|usd|dollars?/.test(text)) details.currency = "USD";
+
+  const values = extractAwardValues(text);
+
+  if (values.length === 0) {
+    details.isVariable = !details.tuitionWaiver || VARIABLE_PATTERN.test(text);
+    return details;
+  }
+
+  const isCeiling = /up ?to|upto|maximum|max\.?|not exceeding/.test(text);
+  const isFloor = /at least|minimum|min\.?|starting from|from/.test(text);
+
+  const amounts = values.map(({ rupees }) => rupees);
+  details.max = Math.max(...amounts);
+  details.min = values.length > 1 ? Math.min(...amounts) : details.max;
+
+  if (values.length === 1 && isCeiling) details.min = null;
+  if (values.length === 1 && isFloor && !isCeiling) details.max = null;
+
+  // Each value is annualised by its own period; the text-wide period only
+  // covers values without one
+  const annualised = values.map(({ rupees, period }) => {
+    const valuePeriod = period || details.period;
+    return {
+      period: valuePeriod,
+      annual: rupees * (PERIODS_PER_YEAR[valuePeriod] || 1),
+    };
+  });
+  const largest = annualised.reduce((best, value) =>
+    value.annual > best.annual ? value : best
+  );
+  details.period = largest.period;
+  details.annualValue = largest.annual;
+
+  return details;
+}
+
+/**
+ * Mongo fields derived from an amount string; `amountNumber` is the
+ * annualised value used for range filters and sorting
+ */
+export function getAmountFields(amountText) {
+  const amountDetails = parseAmount(amountText);
+  return {
+    amountDetails,
+    amountNumber: amountDetails.annualValue,
+  };
+}
+
+export default {
+  parseAmount,
+  getAmountFields,
+  toRupees,
+};
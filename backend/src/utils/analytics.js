@@ -0,0 +1,657 @@
+/**
+ * ANALYTICS
+ *
+ * Records what visitors do (searches, filter changes, scholarship views,
+ * saves, apply-link clicks and chatbot messages) and reports on it.
+ *
+ * Each event is stored once as an AnalyticsEvent and counted into daily
+ * AnalyticsBucket documents for the whole site and for its scholarship,
+ * category, state and source, so reports over a range read at most one
+ * bucket per day instead of every event. Searches and filter changes are
+ * counted under the category and state they filtered on.
+ *
+ * Recording never throws: analytics must not break the action measured.
+ *
+ * @description Event recording and time-bucketed analytics reports
+ * @author Scholarship Portal Team
+ * @version 1.0.0
+ * @created 2026-10-19
+ */
+
+import Joi from "joi";
+import mongoose from "mongoose";
+import AnalyticsBucket from "../models/AnalyticsBucket.js";
+import AnalyticsEvent from "../models/AnalyticsEvent.js";
+import Scholarship from "../models/Scholarship.js";
+import User from "../models/User.js";
+import { logger } from "./logger.js";
+
+export const EVENT_TYPES = [
+  "search",
+  "filter",
+  "view",
+  "save",
+  "apply_click",
+  "chatbot",
+];
+
+// Saves and chatbot messages are recorded by the server itself
+export const CLIENT_EVENT_TYPES = ["search", "filter", "view", "apply_click"];
+
+// Ranges offered by the analytics page, in days, and how finely their
+// series are bucketed
+export const RANGES = {
+  "7d": { days: 7, granularity: "day" },
+  "30d": { days: 30, granularity: "day" },
+  "90d": { days: 90, granularity: "week" },
+  "1y": { days: 365, granularity: "month" },
+};
+
+export const DIMENSIONS = [
+  "total",
+  "scholarship",
+  "category",
+  "state",
+  "source",
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_EVENTS_PER_BATCH = 50;
+// Scholarships need this many views before their click-through rate ranks
+const MIN_VIEWS_FOR_CTR = 10;
+// Application statuses that mean the application was sent
+const SUBMITTED_STATUSES = ["applied", "under-review", "accepted", "rejected"];
+
+const objectId = Joi.string().hex().length(24);
+
+const eventSchema = Joi.object({
+  type: Joi.string()
+    .valid(...CLIENT_EVENT_TYPES)
+    .required(),
+  scholarshipId: objectId.when("type", {
+    is: Joi.valid("view", "apply_click"),
+    then: Joi.required(),
+  }),
+  query: Joi.string().trim().max(200).allow(""),
+  filters: Joi.object()
+    .pattern(/^[a-zA-Z]{1,30}$/, Joi.string().trim().max(100).allow(""))
+    .max(15),
+});
+
+const batchSchema = Joi.object({
+  sessionId: Joi.string().max(64),
+  events: Joi.array()
+    .items(eventSchema)
+    .min(1)
+    .max(MAX_EVENTS_PER_BATCH)
+    .required(),
+});
+
+/**
+ * Validate a batch of events sent by the browser
+ *
+ * @param {Object} data - Request body: { sessionId, events }
+ * @returns {Object} { error, value }
+ */
+export function validateEventBatch(data) {
+  const { error, value } = batchSchema.validate(data, { stripUnknown: true });
+  return { error: error?.details[0].message || null, value };
+}
+
+/**
+ * Resolve a range name like "30d"
+ *
+ * @returns {Object|null} { range, days, granularity, since, until,
+ *   previousSince }, null for an unknown range
+ */
+export function parseRange(range = "30d") {
+  const config = RANGES[range];
+  if (!config) return null;
+
+  const until = new Date();
+  // Whole days, including today
+  const since = new Date(
+    startOfDay(until).getTime() - (config.days - 1) * DAY_MS
+  );
+  return {
+    range,
+    ...config,
+    since,
+    until,
+    previousSince: new Date(since.getTime() - config.days * DAY_MS),
+  };
+}
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Start of the day, week (Monday) or month a date falls in, as YYYY-MM-DD
+const bucketKey = (date, granularity) => {
+  const start = startOfDay(date);
+  if (granularity === "week") {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  } else if (granularity === "month") {
+    start.setUTCDate(1);
+  }
+  return start.toISOString().slice(0, 10);
+};
+
+// Zero-filled series covering the range
+const emptySeries = ({ since, until, granularity }) => {
+  const keys = new Set();
+  for (let time = since.getTime(); time <= until.getTime(); time += DAY_MS) {
+    keys.add(bucketKey(new Date(time), granularity));
+  }
+  return new Map([...keys].map((key) => [key, 0]));
+};
+
+const toSeries = (series) =>
+  [...series].map(([date, count]) => ({ date, count }));
+
+const bareHost = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, "");
+  } catch {
+    return null;
+  }
+};
+
+// Scraper or site a scholarship was found on
+const sourceOf = (scholarship) =>
+  scholarship.sources?.[0]?.name || bareHost(scholarship.sourceUrl);
+
+// Buckets an event counts towards
+const bucketKeysFor = (event) =>
+  [
+    ["total", "all"],
+    ["scholarship", event.scholarshipId?.toString()],
+    ["category", event.category],
+    ["state", event.state],
+    ["source", event.source],
+  ].filter(([, key]) => key);
+
+/**
+ * Record events. Events about scholarships that no longer exist are
+ * dropped.
+ *
+ * @param {Array} events - [{ type, scholarshipId, query, filters }]
+ * @param {Object} [context]
+ * @param {string} [context.userId]
+ * @param {string} [context.sessionId]
+ * @returns {Promise<number>} Events recorded
+ */
+export async function recordEvents(events, { userId, sessionId } = {}) {
+  if (events.length === 0 || mongoose.connection.readyState !== 1) return 0;
+
+  try {
+    const scholarshipIds = [
+      ...new Set(
+        events
+          .map(({ scholarshipId }) => scholarshipId?.toString())
+          .filter(Boolean)
+      ),
+    ];
+    const scholarships = scholarshipIds.length
+      ? await Scholarship.find({ _id: { $in: scholarshipIds } })
+          .select("category state sources.name sourceUrl")
+          .lean()
+      : [];
+    const byId = new Map(scholarships.map((s) => [s._id.toString(), s]));
+
+    const occurredAt = new Date();
+    const documents = [];
+    for (const event of events) {
+      const base = {
+        type: event.type,
+        userId: userId || null,
+        sessionId,
+        occurredAt,
+      };
+
+      if (event.scholarshipId) {
+        const scholarship = byId.get(event.scholarshipId.toString());
+        if (!scholarship) continue;
+        documents.push({
+          ...base,
+          scholarshipId: scholarship._id,
+          category: scholarship.category,
+          state: scholarship.state,
+          source: sourceOf(scholarship),
+        });
+      } else {
+        documents.push({
+          ...base,
+          query: event.query || undefined,
+          filters: event.filters || null,
+          category: event.filters?.category || undefined,
+          state: event.filters?.state || undefined,
+        });
+      }
+    }
+    if (documents.length === 0) return 0;
+
+    await AnalyticsEvent.insertMany(documents, { ordered: false });
+
+    const day = startOfDay(occurredAt);
+    const increments = new Map();
+    for (const document of documents) {
+      for (const [dimension, key] of bucketKeysFor(document)) {
+        const id = `${dimension}|${document.type}|${key}`;
+        increments.set(id, (increments.get(id) || 0) + 1);
+      }
+    }
+    await AnalyticsBucket.bulkWrite(
+      [...increments].map(([id, count]) => {
+        const [dimension, type, ...key] = id.split("|");
+        return {
+          updateOne: {
+            filter: { dimension, type, day, key: key.join("|") },
+            update: { $inc: { count } },
+            upsert: true,
+          },
+        };
+      }),
+      { ordered: false }
+    );
+
+    return documents.length;
+  } catch (error) {
+    logger.warn(`Could not record analytics events: ${error.message}`);
+    return 0;
+  }
+}
+
+/**
+ * Record one event from the server, e.g. a save or a chatbot message
+ *
+ * @param {Object} event - { type, userId, sessionId, scholarshipId }
+ */
+export const recordEvent = ({ userId, sessionId, ...event }) =>
+  recordEvents([event], { userId, sessionId });
+
+/**
+ * Counts of one event type for one dimension value over a range, bucketed
+ * by the range's granularity
+ *
+ * @param {Object} options
+ * @param {string} options.range - "7d", "30d", "90d" or "1y"
+ * @param {string} options.type - Event type
+ * @param {string} [options.dimension="total"]
+ * @param {string} [options.key="all"]
+ * @returns {Promise<Object>} { total, series: [{ date, count }] }
+ */
+export async function getSeries({
+  range,
+  type,
+  dimension = "total",
+  key = "all",
+}) {
+  const window = parseRange(range);
+  const series = emptySeries(window);
+
+  const buckets = await AnalyticsBucket.find({
+    dimension,
+    type,
+    key,
+    day: { $gte: window.since },
+  })
+    .select("day count")
+    .lean();
+
+  let total = 0;
+  for (const { day, count } of buckets) {
+    const bucket = bucketKey(day, window.granularity);
+    series.set(bucket, (series.get(bucket) || 0) + count);
+    total += count;
+  }
+  return { total, series: toSeries(series) };
+}
+
+// Views, saves and clicks per category, state or source over a range
+async function getBreakdown(dimension, since, limit = 10) {
+  const rows = await AnalyticsBucket.aggregate([
+    {
+      $match: {
+        dimension,
+        type: { $in: ["view", "save", "apply_click"] },
+        day: { $gte: since },
+      },
+    },
+    {
+      $group: {
+        _id: { key: "$key", type: "$type" },
+        count: { $sum: "$count" },
+      },
+    },
+  ]);
+
+  const byKey = new Map();
+  for (const { _id, count } of rows) {
+    const entry = byKey.get(_id.key) || {
+      key: _id.key,
+      view: 0,
+      save: 0,
+      apply_click: 0,
+    };
+    entry[_id.type] = count;
+    byKey.set(_id.key, entry);
+  }
+
+  return [...byKey.values()]
+    .sort((a, b) => b.view - a.view || b.save - a.save)
+    .slice(0, limit);
+}
+
+/**
+ * Site-wide activity over a range
+ *
+ * @param {string} range
+ * @returns {Promise<Object>} { range, granularity, totals, previousTotals,
+ *   series: { [type]: [{ date, count }] }, byCategory, byState, bySource,
+ *   scholarships: { active, added } }
+ */
+export async function getOverview(range) {
+  const window = parseRange(range);
+
+  const [buckets, byCategory, byState, bySource, active, added] =
+    await Promise.all([
+      AnalyticsBucket.find({
+        dimension: "total",
+        day: { $gte: window.previousSince },
+      })
+        .select("type day count")
+        .lean(),
+      getBreakdown("category", window.since),
+      getBreakdown("state", window.since),
+      getBreakdown("source", window.since),
+      Scholarship.countDocuments({ isActive: true }),
+      Scholarship.countDocuments({
+        isActive: true,
+        createdAt: { $gte: window.since },
+      }),
+    ]);
+
+  const totals = Object.fromEntries(EVENT_TYPES.map((type) => [type, 0]));
+  const previousTotals = { ...totals };
+  const series = Object.fromEntries(
+    EVENT_TYPES.map((type) => [type, emptySeries(window)])
+  );
+
+  for (const { type, day, count } of buckets) {
+    if (!series[type]) continue;
+    if (day < window.since) {
+      previousTotals[type] += count;
+      continue;
+    }
+    totals[type] += count;
+    const bucket = bucketKey(day, window.granularity);
+    series[type].set(bucket, (series[type].get(bucket) || 0) + count);
+  }
+
+  return {
+    range: window.range,
+    granularity: window.granularity,
+    totals,
+    previousTotals,
+    series: Object.fromEntries(
+      Object.entries(series).map(([type, counts]) => [type, toSeries(counts)])
+    ),
+    byCategory,
+    byState,
+    bySource,
+    scholarships: { active, added },
+  };
+}
+
+const rate = (part, whole) =>
+  whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0;
+
+/**
+ * Most viewed and highest click-through scholarships, and the most
+ * common searches, over a range
+ *
+ * @param {string} range
+ * @param {Object} [options]
+ * @param {number} [options.limit=10]
+ * @returns {Promise<Object>} { mostViewed, highestClickThrough, topSearches }
+ */
+export async function getScholarshipRankings(range, { limit = 10 } = {}) {
+  const window = parseRange(range);
+
+  const [rows, topSearches] = await Promise.all([
+    AnalyticsBucket.aggregate([
+      {
+        $match: {
+          dimension: "scholarship",
+          type: { $in: ["view", "save", "apply_click"] },
+          day: { $gte: window.since },
+        },
+      },
+      {
+        $group: {
+          _id: "$key",
+          views: {
+            $sum: { $cond: [{ $eq: ["$type", "view"] }, "$count", 0] },
+          },
+          saves: {
+            $sum: { $cond: [{ $eq: ["$type", "save"] }, "$count", 0] },
+          },
+          clicks: {
+            $sum: { $cond: [{ $eq: ["$type", "apply_click"] }, "$count", 0] },
+          },
+        },
+      },
+    ]),
+    AnalyticsEvent.aggregate([
+      {
+        $match: {
+          type: "search",
+          query: { $nin: [null, ""] },
+          occurredAt: { $gte: window.since },
+        },
+      },
+      { $group: { _id: { $toLower: "$query" }, count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+      { $limit: limit },
+    ]),
+  ]);
+
+  const stats = rows.map(({ _id, views, saves, clicks }) => ({
+    scholarshipId: _id,
+    views,
+    saves,
+    clicks,
+    clickThroughRate: rate(clicks, views),
+  }));
+
+  const mostViewed = [...stats]
+    .sort((a, b) => b.views - a.views || b.clicks - a.clicks)
+    .slice(0, limit);
+  const highestClickThrough = stats
+    .filter(({ views }) => views >= MIN_VIEWS_FOR_CTR)
+    .sort(
+      (a, b) => b.clickThroughRate - a.clickThroughRate || b.views - a.views
+    )
+    .slice(0, limit);
+
+  const scholarships = await Scholarship.find({
+    _id: {
+      $in: [...mostViewed, ...highestClickThrough].map(
+        ({ scholarshipId }) => scholarshipId
+      ),
+    },
+  })
+    .select("title provider category state")
+    .lean();
+  const byId = new Map(scholarships.map((s) => [s._id.toString(), s]));
+
+  // Scholarships deleted since are left out
+  const withScholarship = (entries) =>
+    entries
+      .filter(({ scholarshipId }) => byId.has(scholarshipId))
+      .map((entry) => ({
+        ...entry,
+        scholarship: byId.get(entry.scholarshipId),
+      }));
+
+  return {
+    minViewsForClickThrough: MIN_VIEWS_FOR_CTR,
+    mostViewed: withScholarship(mostViewed),
+    highestClickThrough: withScholarship(highestClickThrough),
+    topSearches: topSearches.map(({ _id, count }) => ({ query: _id, count })),
+  };
+}
+
+// When an application was sent: its first move to a submitted status
+const submittedAt = (application) =>
+  application.statusHistory?.find(({ status }) =>
+    SUBMITTED_STATUSES.includes(status)
+  )?.changedAt ||
+  (SUBMITTED_STATUSES.includes(application.status)
+    ? application.appliedAt
+    : null);
+
+/**
+ * A user's own activity: saves, applications and outcomes, their views
+ * and saves over the range, and deadlines of what they saved
+ *
+ * @param {string} userId
+ * @param {string} range
+ * @returns {Promise<Object|null>} null when the user does not exist
+ */
+export async function getUserAnalytics(userId, range) {
+  const window = parseRange(range);
+
+  const [user, eventCounts] = await Promise.all([
+    User.findById(userId)
+      .select("savedScholarships savedDetails appliedScholarships")
+      .populate(
+        "savedScholarships",
+        "title category deadline deadlineType amountNumber isActive"
+      )
+      .populate("appliedScholarships.scholarshipId", "amountNumber")
+      .lean(),
+    AnalyticsEvent.aggregate([
+      {
+        $match: {
+          userId: new mongoose.Types.ObjectId(userId),
+          occurredAt: { $gte: window.since },
+        },
+      },
+      { $group: { _id: "$type", count: { $sum: 1 } } },
+    ]),
+  ]);
+  if (!user) return null;
+
+  const events = Object.fromEntries(EVENT_TYPES.map((type) => [type, 0]));
+  for (const { _id, count } of eventCounts) events[_id] = count;
+
+  // Scholarships deleted since they were saved are not populated
+  const saved = user.savedScholarships.filter(Boolean);
+  const applications = user.appliedScholarships;
+  const submitted = applications.filter(submittedAt);
+  const accepted = applications.filter(({ status }) => status === "accepted");
+  const decided = applications.filter(({ status }) =>
+    ["accepted", "rejected"].includes(status)
+  );
+
+  const amountOf = (scholarships) =>
+    scholarships.reduce((sum, s) => sum + (s?.amountNumber || 0), 0);
+
+  // Saves and applications per bucket of the range
+  const savedSeries = emptySeries(window);
+  const appliedSeries = emptySeries(window);
+  const count = (series, date) => {
+    if (!date || date < window.since) return;
+    const bucket = bucketKey(date, window.granularity);
+    series.set(bucket, (series.get(bucket) || 0) + 1);
+  };
+  for (const { savedAt } of user.savedDetails || [])
+    count(savedSeries, savedAt);
+  for (const application of submitted) {
+    count(appliedSeries, submittedAt(application));
+  }
+
+  const categories = new Map();
+  for (const { category } of saved) {
+    if (category) categories.set(category, (categories.get(category) || 0) + 1);
+  }
+
+  const appliedIds = new Set(
+    applications.map(({ scholarshipId }) =>
+      (scholarshipId?._id || scholarshipId)?.toString()
+    )
+  );
+  const now = Date.now();
+  const upcomingDeadlines = saved
+    .filter(
+      ({ deadline, deadlineType }) =>
+        deadline &&
+        deadlineType !== "rolling" &&
+        new Date(deadline).getTime() >= now
+    )
+    .sort((a, b) => new Date(a.deadline) - new Date(b.deadline))
+    .slice(0, 5)
+    .map(({ _id, title, deadline }) => ({
+      scholarshipId: _id,
+      title,
+      deadline,
+      daysLeft: Math.ceil((new Date(deadline).getTime() - now) / DAY_MS),
+      applied: appliedIds.has(_id.toString()),
+    }));
+
+  return {
+    range: window.range,
+    granularity: window.granularity,
+    saved: saved.length,
+    applications: {
+      tracked: applications.length,
+      submitted: submitted.length,
+      accepted: accepted.length,
+      decided: decided.length,
+    },
+    amounts: {
+      saved: amountOf(saved),
+      applied: amountOf(submitted.map(({ scholarshipId }) => scholarshipId)),
+      won: amountOf(accepted.map(({ scholarshipId }) => scholarshipId)),
+    },
+    events,
+    rates: {
+      // Of the scholarships viewed in the range, how many were saved
+      viewToSave: rate(events.save, events.view),
+      saveToApply: rate(submitted.length, saved.length),
+      success: rate(accepted.length, decided.length),
+    },
+    series: {
+      saved: toSeries(savedSeries),
+      applied: toSeries(appliedSeries),
+    },
+    topCategories: [...categories]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 5)
+      .map(([name, total]) => ({
+        name,
+        count: total,
+        percentage: rate(total, saved.length),
+      })),
+    upcomingDeadlines,
+  };
+}
+
+export default {
+  EVENT_TYPES,
+  CLIENT_EVENT_TYPES,
+  RANGES,
+  DIMENSIONS,
+  validateEventBatch,
+  parseRange,
+  recordEvents,
+  recordEvent,
+  getSeries,
+  getOverview,
+  getScholarshipRankings,
+  getUserAnalytics,
+};
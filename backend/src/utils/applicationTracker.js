@@ -0,0 +1,269 @@
+/**
+ * APPLICATION TRACKER
+ *
+ * Domain rules for the per-user application tracker stored in
+ * `User.appliedScholarships`: the status pipeline, the document checklist
+ * seeded when a student starts tracking a scholarship, status history and
+ * the checklist items that are due for a reminder.
+ *
+ * @description Application statuses, checklists and history
+ * @author Scholarship Portal Team
+ * @version 1.0.0
+ * @created 2026-10-19
+ */
+
+import {
+  escapeHtml,
+  formatEmailDate,
+  portalUrl,
+  renderEmailLayout,
+} from "./emailTemplates.js";
+
+// Kanban columns, in pipeline order
+export const APPLICATION_STATUSES = [
+  "planning",
+  "preparing",
+  "applied",
+  "under-review",
+  "accepted",
+  "rejected",
+];
+
+export const DOCUMENT_TYPES = {
+  aadhaar: "Aadhaar card",
+  "income-certificate": "Income certificate",
+  "caste-certificate": "Caste certificate",
+  marksheet: "Previous year marksheets",
+  "bank-passbook": "Bank passbook (first page)",
+  "domicile-certificate": "Domicile certificate",
+  "fee-receipt": "Fee receipt",
+  "disability-certificate": "Disability certificate",
+  photo: "Passport-size photograph",
+  other: "Other document",
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Documents should be ready a week before the form closes
+const DOCUMENT_LEAD_DAYS = 7;
+
+/**
+ * Checklist a student starts with for a scholarship: documents almost
+ * every Indian scholarship asks for, plus the ones its category and target
+ * groups imply, and the submission steps
+ *
+ * @param {Object} scholarship - Scholarship document
+ * @returns {Array} Checklist items
+ */
+export function buildDefaultChecklist(scholarship) {
+  const deadline =
+    scholarship.deadlineType === "fixed" && scholarship.deadline
+      ? new Date(scholarship.deadline)
+      : null;
+  const documentsDue = deadline
+    ? new Date(deadline.getTime() - DOCUMENT_LEAD_DAYS * DAY_MS)
+    : null;
+
+  const text = `${scholarship.title || ""} ${scholarship.eligibility || ""} ${
+    scholarship.description || ""
+  }`.toLowerCase();
+  const groups = scholarship.targetGroup || [];
+
+  const documents = ["aadhaar", "marksheet", "bank-passbook", "photo"];
+  if (
+    scholarship.category === "Need-based" ||
+    /income|economically weaker|ews|bpl/.test(text)
+  ) {
+    documents.push("income-certificate");
+  }
+  if (
+    groups.includes("SC/ST") ||
+    groups.includes("OBC") ||
+    /caste|scheduled tribe|\bsc\/st\b|\bobc\b/.test(text)
+  ) {
+    documents.push("caste-certificate");
+  }
+  if (groups.includes("Disabled") || /disab|pwd|divyang/.test(text)) {
+    documents.push("disability-certificate");
+  }
+  if (/domicile|resident of/.test(text)) {
+    documents.push("domicile-certificate");
+  }
+
+  return [
+    ...documents.map((documentType) => ({
+      label: DOCUMENT_TYPES[documentType],
+      kind: "document",
+      documentType,
+      dueDate: documentsDue,
+    })),
+    {
+      label: "Fill in the online application form",
+      kind: "step",
+      dueDate: deadline,
+    },
+    {
+      label: "Submit the application and save the acknowledgement",
+      kind: "step",
+      dueDate: deadline,
+    },
+  ];
+}
+
+/**
+ * Move an application to a new status, recording it in the history
+ *
+ * @returns {boolean} true if the status changed
+ */
+export function changeApplicationStatus(
+  application,
+  status,
+  { note, now = new Date() } = {}
+) {
+  if (status === application.status) return false;
+
+  // Applications created before history existed start from their first status
+  if (application.statusHistory.length === 0) {
+    application.statusHistory.push({
+      status: application.status,
+      changedAt: application.appliedAt || now,
+    });
+  }
+
+  application.status = status;
+  application.statusUpdatedAt = now;
+  application.statusHistory.push({ status, changedAt: now, note });
+  return true;
+}
+
+/**
+ * Replace the checklist with the submitted items. Items are matched by
+ * `_id` so completion timestamps survive edits.
+ *
+ * @param {Object} application - appliedScholarships subdocument
+ * @param {Array} items - [{ _id?, label, kind?, documentType?, dueDate?, done? }]
+ */
+export function replaceChecklist(
+  application,
+  items,
+  { now = new Date() } = {}
+) {
+  const existing = new Map(
+    application.checklist.map((item) => [item._id.toString(), item])
+  );
+
+  application.checklist = items.map((item) => {
+    const previous = item._id ? existing.get(String(item._id)) : null;
+    const done = Boolean(item.done);
+
+    return {
+      ...(previous ? { _id: previous._id } : {}),
+      label: item.label,
+      kind: item.kind || previous?.kind || "document",
+      documentType: item.documentType ?? previous?.documentType,
+      dueDate: item.dueDate || null,
+      done,
+      completedAt: done ? previous?.completedAt || now : null,
+    };
+  });
+}
+
+/**
+ * Update one checklist item in place
+ *
+ * @returns {Object|null} The item, or null if it does not exist
+ */
+export function updateChecklistItem(
+  application,
+  itemId,
+  changes,
+  { now = new Date() } = {}
+) {
+  const item = application.checklist.id(itemId);
+  if (!item) return null;
+
+  if (changes.label !== undefined) item.label = changes.label;
+  if (changes.dueDate !== undefined) item.dueDate = changes.dueDate || null;
+  if (changes.done !== undefined && Boolean(changes.done) !== item.done) {
+    item.done = Boolean(changes.done);
+    item.completedAt = item.done ? now : null;
+  }
+
+  return item;
+}
+
+/**
+ * Open checklist items due inside [windowStart, windowEnd) across a user's
+ * tracked applications
+ *
+ * @returns {Array} [{ application, item }]
+ */
+export function findDueChecklistItems(user, windowStart, windowEnd) {
+  const due = [];
+
+  for (const application of user.appliedScholarships || []) {
+    if (application.remindersEnabled === false) continue;
+    if (["accepted", "rejected"].includes(application.status)) continue;
+
+    for (const item of application.checklist || []) {
+      if (item.done || !item.dueDate) continue;
+      const dueDate = new Date(item.dueDate);
+      if (dueDate >= windowStart && dueDate < windowEnd) {
+        due.push({ application, item });
+      }
+    }
+  }
+
+  return due;
+}
+
+/**
+ * Build the email for a checklist item that is due soon
+ */
+export function renderApplicationReminder({
+  user,
+  scholarship,
+  itemLabel,
+  dueDate,
+  daysBefore,
+}) {
+  const when = daysBefore === 1 ? "tomorrow" : `in ${daysBefore} days`;
+  const due = formatEmailDate(dueDate);
+  const link = portalUrl("/dashboard");
+  const footer =
+    "You are receiving this because you are tracking this application on ScholarWise India. Turn off reminders for the application in your dashboard, or turn off email notifications in your profile settings.";
+
+  const subject = `Due ${when}: ${itemLabel} for ${scholarship.title}`;
+  const text = [
+    `Hi ${user.firstName || "there"},`,
+    "",
+    `"${itemLabel}" for your ${scholarship.title} application is due ${due} (${when}).`,
+    "",
+    `Open your application tracker: ${link}`,
+    "",
+    footer,
+  ].join("\n");
+
+  const html = renderEmailLayout(
+    `
+  <p>Hi ${escapeHtml(user.firstName || "there")},</p>
+  <p><strong>${escapeHtml(itemLabel)}</strong> for your <strong>${escapeHtml(
+      scholarship.title
+    )}</strong> application is due <strong>${due}</strong> (${when}).</p>
+  <p><a href="${link}">Open your application tracker</a></p>`,
+    footer
+  );
+
+  return { subject, text, html };
+}
+
+export default {
+  APPLICATION_STATUSES,
+  DOCUMENT_TYPES,
+  buildDefaultChecklist,
+  changeApplicationStatus,
+  replaceChecklist,
+  updateChecklistItem,
+  findDueChecklistItems,
+  renderApplicationReminder,
+};
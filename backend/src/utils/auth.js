@@ -1,20 +1,33 @@
+import crypto from "crypto";
 import jwt from "jsonwebtoken";
-import User from "../models/User.js";
+import User, { USER_ROLES } from "../models/User.js";
+import Session from "../models/Session.js";
 
 const JWT_SECRET =
   process.env.JWT_SECRET || "your-super-secret-jwt-key-change-in-production";
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "7d";
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "15m";
 const REFRESH_TOKEN_EXPIRES_IN = process.env.REFRESH_TOKEN_EXPIRES_IN || "30d";
 
-// Generate JWT token
-export const generateToken = (userId) => {
-  return jwt.sign({ userId }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+const DURATION_UNITS_MS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
 };
 
-// Generate refresh token
-export const generateRefreshToken = (userId) => {
-  return jwt.sign({ userId, type: "refresh" }, JWT_SECRET, {
-    expiresIn: REFRESH_TOKEN_EXPIRES_IN,
+// Convert "30d", "12h", "15m" or "45s" to milliseconds
+const parseDuration = (value) => {
+  const match = /^(\d+)\s*([smhd])$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid duration: ${value}`);
+  }
+  return Number(match[1]) * DURATION_UNITS_MS[match[2]];
+};
+
+// Generate JWT access token bound to a session
+export const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sid: sessionId }, JWT_SECRET, {
+    expiresIn: JWT_EXPIRES_IN,
   });
 };
 
@@ -27,6 +40,20 @@ export const verifyToken = (token) => {
   }
 };
 
+// Access tokens are only honoured while their session is live, so logging
+// out takes effect immediately rather than when the JWT expires
+const isSessionActive = async ({ userId, sid }) => {
+  if (!sid) return false;
+
+  const session = await Session.exists({
+    _id: sid,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  return Boolean(session);
+};
+
 // Middleware to authenticate JWT token
 export const authenticateToken = async (req, res, next) => {
   try {
@@ -41,6 +68,14 @@ export const authenticateToken = async (req, res, next) => {
     }
 
     const decoded = verifyToken(token);
+
+    if (!(await isSessionActive(decoded))) {
+      return res.status(401).json({
+        success: false,
+        message: "Session has been revoked",
+      });
+    }
+
     const user = await User.findById(decoded.userId).select("-password");
 
     if (!user) {
@@ -58,6 +93,7 @@ export const authenticateToken = async (req, res, next) => {
     }
 
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     console.error("Authentication error:", error.message);
@@ -68,6 +104,31 @@ export const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Middleware to restrict a route to a minimum role; use after authenticateToken
+export const requireRole = (role) => {
+  if (!USER_ROLES.includes(role)) {
+    throw new Error(`Unknown role: ${role}`);
+  }
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: "Access token required",
+      });
+    }
+
+    if (!req.user.hasRole(role)) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have permission to perform this action",
+      });
+    }
+
+    next();
+  };
+};
+
 // Middleware for optional authentication (doesn't require login)
 export const optionalAuth = async (req, res, next) => {
   try {
@@ -76,9 +137,12 @@ export const optionalAuth = async (req, res, next) => {
 
     if (token) {
       const decoded = verifyToken(token);
-      const user = await User.findById(decoded.userId).select("-password");
-      if (user && user.isActive) {
-        req.user = user;
+      if (await isSessionActive(decoded)) {
+        const user = await User.findById(decoded.userId).select("-password");
+        if (user && user.isActive) {
+          req.user = user;
+          req.sessionId = decoded.sid;
+        }
       }
     }
 
@@ -89,42 +153,36 @@ export const optionalAuth = async (req, res, next) => {
   }
 };
 
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+const REFRESH_TOKEN_TTL_MS = parseDuration(REFRESH_TOKEN_EXPIRES_IN);
+
+// Hash a token sent by email; only the hash is stored in the database
+export const hashToken = (token) => {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// Generate a random single-use token with its hash and expiry
+const generateHashedToken = (ttlMs) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  return {
+    token,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+  };
+};
+
 // Generate email verification token
 export const generateEmailVerificationToken = () => {
-  return jwt.sign({ type: "email-verification" }, JWT_SECRET, {
-    expiresIn: "24h",
-  });
+  return generateHashedToken(EMAIL_VERIFICATION_TTL_MS);
 };
 
 // Generate password reset token
-export const generatePasswordResetToken = (email) => {
-  return jwt.sign({ email, type: "password-reset" }, JWT_SECRET, {
-    expiresIn: "1h",
-  });
+export const generatePasswordResetToken = () => {
+  return generateHashedToken(PASSWORD_RESET_TTL_MS);
 };
 
-// Verify email verification token
-export const verifyEmailToken = (token) => {
-  try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    if (decoded.type !== "email-verification") {
-      throw new Error("Invalid token type");
-    }
-    return decoded;
-  } catch (error) {
-    throw new Error("Invalid or expired verification token");
-  }
-};
-
-// Verify password reset token
-export const verifyPasswordResetToken = (token) => {
-  try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    if (decoded.type !== "password-reset") {
-      throw new Error("Invalid token type");
-    }
-    return decoded;
-  } catch (error) {
-    throw new Error("Invalid or expired reset token");
-  }
+// Generate opaque refresh token; sessions store only its hash
+export const generateRefreshToken = () => {
+  return generateHashedToken(REFRESH_TOKEN_TTL_MS);
 };
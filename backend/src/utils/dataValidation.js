@@ -1,12 +1,22 @@
 import Joi from "joi";
+import { extractEligibilityRules } from "./eligibilityEngine.js";
+import { getAmountFields } from "./amountParser.js";
+import { getDeadlineFields } from "./deadlineParser.js";
+import { AUTO_MERGE_SCORE, scoreScholarshipPair } from "./entityResolution.js";
 
 // Scholarship data validation schema
 export const scholarshipSchema = Joi.object({
   title: Joi.string().min(5).max(200).required(),
   description: Joi.string().min(10).max(1000).required(),
   eligibility: Joi.string().min(5).max(500).required(),
+  eligibilityRules: Joi.object().unknown(true),
   amount: Joi.string().required(),
-  deadline: Joi.date().greater("now").required(),
+  amountDetails: Joi.object().unknown(true),
+  amountNumber: Joi.number().allow(null),
+  deadline: Joi.date().allow(null),
+  deadlineType: Joi.string().valid("fixed", "rolling", "unknown"),
+  deadlineConfidence: Joi.number().min(0).max(1),
+  deadlinePhases: Joi.array().items(Joi.object().unknown(true)),
   applicationLink: Joi.string().uri().required(),
   provider: Joi.string().min(2).max(100).required(),
   category: Joi.string()
@@ -66,8 +76,10 @@ export const cleanScholarshipData = (rawData) => {
     title: rawData.title?.trim().replace(/\s+/g, " ") || "",
     description: rawData.description?.trim().replace(/\s+/g, " ") || "",
     eligibility: rawData.eligibility?.trim().replace(/\s+/g, " ") || "",
+    eligibilityRules: extractEligibilityRules(rawData),
     amount: rawData.amount?.trim() || "Amount varies",
-    deadline: parseDeadline(rawData.deadline),
+    ...getAmountFields(rawData.amount),
+    ...getDeadlineFields(rawData.deadline),
     applicationLink:
       rawData.applicationLink?.trim() || rawData.link?.trim() || "",
     provider: rawData.provider?.trim() || "",
@@ -78,70 +90,13 @@ export const cleanScholarshipData = (rawData) => {
   };
 };
 
-// Parse deadline from various formats
-const parseDeadline = (deadlineStr) => {
-  if (!deadlineStr || typeof deadlineStr !== "string") {
-    // Default to 60 days from now if no deadline provided or invalid type
-    return new Date(Date.now() + 60 * 24 * 60 * 60 * 1000);
-  }
-
-  // Try different date formats
-  const formats = [
-    /(\d{1,2})\/(\d{1,2})\/(\d{4})/, // MM/DD/YYYY or DD/MM/YYYY
-    /(\d{4})-(\d{1,2})-(\d{1,2})/, // YYYY-MM-DD
-    /(\d{1,2})-(\d{1,2})-(\d{4})/, // DD-MM-YYYY
-  ];
-
-  for (const format of formats) {
-    const match = deadlineStr.match(format);
-    if (match) {
-      let day, month, year;
-      if (format === formats[0]) {
-        // Assume DD/MM/YYYY for Indian context
-        day = parseInt(match[1]);
-        month = parseInt(match[2]) - 1; // JS months are 0-indexed
-        year = parseInt(match[3]);
-      } else if (format === formats[1]) {
-        year = parseInt(match[1]);
-        month = parseInt(match[2]) - 1;
-        day = parseInt(match[3]);
-      } else {
-        day = parseInt(match[1]);
-        month = parseInt(match[2]) - 1;
-        year = parseInt(match[3]);
-      }
-
-      const deadline = new Date(year, month, day);
-      if (deadline > new Date()) {
-        return deadline;
-      }
-    }
-  }
-
-  // If parsing fails, default to 60 days from now
-  return new Date(Date.now() + 60 * 24 * 60 * 60 * 1000);
-};
-
-// Check if scholarship data is duplicate
-export const isDuplicateScholarship = (
-  newScholarship,
-  existingScholarships
-) => {
-  const titleWords = newScholarship.title.toLowerCase().split(" ");
-  const titleKey = titleWords.slice(0, 3).join(" ");
-
-  return existingScholarships.some((existing) => {
-    const existingTitleKey = existing.title
-      .toLowerCase()
-      .split(" ")
-      .slice(0, 3)
-      .join(" ");
-    return (
-      existingTitleKey === titleKey &&
-      existing.provider.toLowerCase() === newScholarship.provider.toLowerCase()
-    );
-  });
-};
+// Check if scholarship data is duplicate: same scheme by entity resolution
+// scoring, not just matching title words
+export const isDuplicateScholarship = (newScholarship, existingScholarships) =>
+  existingScholarships.some(
+    (existing) =>
+      scoreScholarshipPair(newScholarship, existing).score >= AUTO_MERGE_SCORE
+  );
 
 export default {
   scholarshipSchema,
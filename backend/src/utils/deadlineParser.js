@@ -0,0 +1,282 @@
+/**
+ * SCHOLARSHIP DEADLINE PARSER
+ *
+ * Extracts application deadlines from scraped text in the formats Indian
+ * portals actually use ("31st Oct 2026", "31-10-2026", "October 31, 2026",
+ * "Last date: ...", "Fresh: ... / Renewal: ..."). A deadline that cannot be
+ * read is reported as unknown - this module never invents a date.
+ *
+ * @description Deadline extraction with confidence and deadline type
+ * @author Scholarship Portal Team
+ * @version 1.0.0
+ * @created 2026-10-19
+ */
+
+const MONTHS = {
+  jan: 0,
+  january: 0,
+  feb: 1,
+  february: 1,
+  mar: 2,
+  march: 2,
+  apr: 3,
+  april: 3,
+  may: 4,
+  jun: 5,
+  june: 5,
+  jul: 6,
+  july: 6,
+  aug: 7,
+  august: 7,
+  sep: 8,
+  sept: 8,
+  september: 8,
+  oct: 9,
+  october: 9,
+  nov: 10,
+  november: 10,
+  dec: 11,
+  december: 11,
+};
+
+const MONTH_NAMES = Object.keys(MONTHS)
+  .sort((a, b) => b.length - a.length)
+  .join("|");
+
+const DAY = "(\\d{1,2})(?:st|nd|rd|th)?";
+const YEAR = "(\\d{4}|\\d{2})";
+
+/**
+ * Date formats in priority order; each returns { day, month, year }
+ */
+const DATE_FORMATS = [
+  {
+    // 2026-10-31
+    pattern: /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g,
+    read: (m) => ({ year: m[1], month: parseInt(m[2]) - 1, day: m[3] }),
+  },
+  {
+    // 31-10-2026, 31/10/2026, 31.10.2026 (day first, Indian convention)
+    pattern: /\b(\d{1,2})[/\-.](\d{1,2})[/\-.](\d{4}|\d{2})\b/g,
+    read: (m) => ({ day: m[1], month: parseInt(m[2]) - 1, year: m[3] }),
+  },
+  {
+    // 31st Oct 2026, 31 October, 2026, 31-Oct-2026
+    pattern: new RegExp(
+      `\\b${DAY}[\\s\\-]*(?:of\\s+)?(${MONTH_NAMES})\\.?[\\s,\\-]*${YEAR}\\b`,
+      "g"
+    ),
+    read: (m) => ({ day: m[1], month: MONTHS[m[2]], year: m[3] }),
+  },
+  {
+    // October 31, 2026, Oct 31st 2026
+    pattern: new RegExp(
+      `\\b(${MONTH_NAMES})\\.?\\s+${DAY},?\\s+${YEAR}\\b`,
+      "g"
+    ),
+    read: (m) => ({ month: MONTHS[m[1]], day: m[2], year: m[3] }),
+  },
+  {
+    // 31st October (year missing)
+    pattern: new RegExp(`\\b${DAY}\\s+(?:of\\s+)?(${MONTH_NAMES})\\b`, "g"),
+    read: (m) => ({ day: m[1], month: MONTHS[m[2]], year: null }),
+    partial: true,
+  },
+];
+
+const DEADLINE_LABEL =
+  /(last date|deadline|apply by|apply before|closing date|closes on|due date|end date|submission date|on or before|till|until)[^a-z0-9]{0,5}$/;
+
+const OPENING_LABEL =
+  /(opening date|opens on|open from|start date|starts on|starting from|from|commences)[^a-z0-9]{0,5}$/;
+
+const PHASE_LABELS = [
+  { label: "fresh", pattern: /fresh/ },
+  { label: "renewal", pattern: /renewal/ },
+  { label: "phase", pattern: /phase\s*(\d|i+)/ },
+  { label: "verification", pattern: /verification/ },
+];
+
+const ROLLING_PATTERN =
+  /rolling|open (?:throughout|all year|round the year)|round the year|no (?:fixed )?deadline|ongoing|always open|open till seats|first come first serve/;
+
+const UNKNOWN_PATTERN =
+  /not (?:yet )?(?:announced|specified|available)|to be announced|\btba\b|\bna\b|check (?:official )?website|will be updated/;
+
+function toFullYear(year) {
+  const number = parseInt(year);
+  return number < 100 ? 2000 + number : number;
+}
+
+function buildDate({ day, month, year }) {
+  const dayNumber = parseInt(day);
+  if (month < 0 || month > 11 || dayNumber < 1 || dayNumber > 31) return null;
+
+  const date = new Date(toFullYear(year), month, dayNumber, 23, 59, 59);
+  // Reject rollovers such as 31 February
+  if (date.getMonth() !== month) return null;
+  return date;
+}
+
+// The phase keyword ending closest to the date: in "fresh: 31/10/2026,
+// renewal: 15/11/2026" the window before the second date holds both
+function closestPhase(before) {
+  let closest = null;
+  let closestEnd = -1;
+
+  for (const { label, pattern } of PHASE_LABELS) {
+    for (const match of before.matchAll(new RegExp(pattern.source, "g"))) {
+      const end = match.index + match[0].length;
+      if (end > closestEnd) {
+        closest = label;
+        closestEnd = end;
+      }
+    }
+  }
+  return closest;
+}
+
+function labelBefore(text, index) {
+  const before = text.slice(Math.max(0, index - 40), index);
+  const phase = closestPhase(before);
+
+  if (OPENING_LABEL.test(before)) return { role: "opening", phase: null };
+  return {
+    role: DEADLINE_LABEL.test(before) ? "deadline" : "unlabelled",
+    phase,
+  };
+}
+
+/**
+ * Find every date in the text along with its surrounding label
+ */
+function findCandidates(text, now) {
+  const candidates = [];
+  const consumed = [];
+
+  for (const format of DATE_FORMATS) {
+    format.pattern.lastIndex = 0;
+    let match;
+
+    while ((match = format.pattern.exec(text)) !== null) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (consumed.some(([s, e]) => start < e && end > s)) continue;
+
+      const parts = format.read(match);
+      let date;
+      if (parts.year === null) {
+        // Assume the next occurrence of this day and month
+        date = buildDate({ ...parts, year: now.getFullYear() });
+        if (date && date < now) {
+          date = buildDate({ ...parts, year: now.getFullYear() + 1 });
+        }
+      } else {
+        date = buildDate(parts);
+      }
+      if (!date) continue;
+
+      consumed.push([start, end]);
+      candidates.push({
+        date,
+        partial: Boolean(format.partial),
+        ...labelBefore(text, start),
+      });
+    }
+  }
+
+  return candidates;
+}
+
+function confidenceFor(candidate, total) {
+  const labelled = candidate.role === "deadline" || Boolean(candidate.phase);
+  let confidence = labelled ? 0.9 : 0.6;
+  if (candidate.partial) confidence -= 0.3;
+  if (!labelled && total > 1) confidence -= 0.2;
+  return Math.round(confidence * 100) / 100;
+}
+
+/**
+ * Parse a scraped deadline
+ *
+ * @param {string|Date} input - Deadline text, or an already-structured date
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time for year inference
+ * @returns {Object} { deadline, deadlineType, deadlineConfidence, deadlinePhases, isExpired }
+ */
+export function parseDeadline(input, { now = new Date() } = {}) {
+  const unknown = {
+    deadline: null,
+    deadlineType: "unknown",
+    deadlineConfidence: 0,
+    deadlinePhases: [],
+    isExpired: false,
+  };
+
+  if (input instanceof Date) {
+    if (isNaN(input.getTime())) return unknown;
+    return {
+      deadline: input,
+      deadlineType: "fixed",
+      deadlineConfidence: 0.8,
+      deadlinePhases: [],
+      isExpired: input < now,
+    };
+  }
+
+  if (!input || typeof input !== "string") return unknown;
+
+  const text = input.toLowerCase().replace(/\s+/g, " ").trim();
+  const candidates = findCandidates(text, now).filter(
+    (candidate) => candidate.role !== "opening"
+  );
+
+  if (candidates.length === 0) {
+    if (ROLLING_PATTERN.test(text)) {
+      return {
+        ...unknown,
+        deadlineType: "rolling",
+        deadlineConfidence: 0.7,
+      };
+    }
+    return UNKNOWN_PATTERN.test(text)
+      ? { ...unknown, deadlineConfidence: 0.9 }
+      : unknown;
+  }
+
+  const deadlinePhases = candidates
+    .filter((candidate) => candidate.phase)
+    .map(({ phase, date }) => ({ label: phase, date }));
+
+  // Prefer explicitly labelled dates, then the earliest one still open
+  const labelled = candidates.filter(
+    (candidate) => candidate.role === "deadline" || candidate.phase
+  );
+  const pool = labelled.length > 0 ? labelled : candidates;
+  const upcoming = pool
+    .filter((candidate) => candidate.date >= now)
+    .sort((a, b) => a.date - b.date);
+  const chosen = upcoming[0] || [...pool].sort((a, b) => b.date - a.date)[0];
+
+  return {
+    deadline: chosen.date,
+    deadlineType: "fixed",
+    deadlineConfidence: confidenceFor(chosen, candidates.length),
+    deadlinePhases,
+    isExpired: upcoming.length === 0,
+  };
+}
+
+/**
+ * Mongo fields for a scraped deadline, ready to spread into a document
+ */
+export function getDeadlineFields(input, options) {
+  const { deadline, deadlineType, deadlineConfidence, deadlinePhases } =
+    parseDeadline(input, options);
+  return { deadline, deadlineType, deadlineConfidence, deadlinePhases };
+}
+
+export default {
+  parseDeadline,
+  getDeadlineFields,
+};
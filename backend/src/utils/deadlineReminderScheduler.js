@@ -0,0 +1,442 @@
+/**
+ * DEADLINE REMINDER SCHEDULER
+ *
+ * Once a day, finds saved scholarships whose deadlines are 14, 7, 3 or 1
+ * days away and queues one reminder per user and scholarship for each of
+ * those offsets. Queued reminders are then delivered by email through the
+ * active mail transport; failed deliveries are retried hourly.
+ *
+ * Open checklist items in the application tracker get the same treatment
+ * 3 days and 1 day before their due date.
+ *
+ * Reminders are keyed on user, scholarship, deadline date and offset, and
+ * the key is unique in the Notification collection, so re-running the
+ * scheduler never sends the same reminder twice.
+ *
+ * The same delivery loop sends the new-match alerts queued for saved
+ * searches after scraping passes.
+ *
+ * @description Deadline reminders for saved scholarships
+ * @author Scholarship Portal Team
+ * @version 1.0.0
+ * @created 2026-10-19
+ */
+
+import cron from "node-cron";
+import Scholarship from "../models/Scholarship.js";
+import User from "../models/User.js";
+import Notification from "../models/Notification.js";
+import { sendMail } from "./mailTransport.js";
+import {
+  escapeHtml,
+  formatEmailDate,
+  portalUrl,
+  renderEmailLayout,
+} from "./emailTemplates.js";
+import {
+  findDueChecklistItems,
+  renderApplicationReminder,
+} from "./applicationTracker.js";
+import { renderSavedSearchAlert } from "./savedSearches.js";
+import { logger } from "./logger.js";
+
+export const REMINDER_DAYS = [14, 7, 3, 1];
+export const APPLICATION_REMINDER_DAYS = [3, 1];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ATTEMPTS = 3;
+const DELIVERY_BATCH_SIZE = 100;
+
+let scheduledTasks = null;
+
+function startOfDay(date) {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  return start;
+}
+
+function dateKey(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Key that identifies a single reminder
+ */
+export function reminderKey(userId, scholarshipId, deadline, daysBefore) {
+  return `deadline:${userId}:${scholarshipId}:${dateKey(
+    deadline
+  )}:${daysBefore}`;
+}
+
+/**
+ * Queue reminders for every saved scholarship closing on one of the
+ * reminder offsets
+ *
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Object} { matched, queued, duplicates }
+ */
+export async function enqueueDeadlineReminders({ now = new Date() } = {}) {
+  const today = startOfDay(now);
+  let matched = 0;
+  let queued = 0;
+
+  for (const daysBefore of REMINDER_DAYS) {
+    const windowStart = new Date(today.getTime() + daysBefore * DAY_MS);
+    const windowEnd = new Date(windowStart.getTime() + DAY_MS);
+
+    const scholarships = await Scholarship.find({
+      isActive: true,
+      deadlineType: "fixed",
+      deadline: { $gte: windowStart, $lt: windowEnd },
+    })
+      .select("_id deadline")
+      .lean();
+    if (scholarships.length === 0) continue;
+
+    const deadlines = new Map(
+      scholarships.map((scholarship) => [
+        scholarship._id.toString(),
+        scholarship.deadline,
+      ])
+    );
+
+    const users = await User.find({
+      isActive: true,
+      emailNotifications: true,
+      savedScholarships: { $in: scholarships.map(({ _id }) => _id) },
+    })
+      .select("_id savedScholarships")
+      .lean();
+
+    const reminders = [];
+    for (const user of users) {
+      for (const savedId of user.savedScholarships) {
+        const deadline = deadlines.get(savedId.toString());
+        if (!deadline) continue;
+
+        reminders.push({
+          user: user._id,
+          scholarship: savedId,
+          type: "deadline-reminder",
+          channel: "email",
+          dedupeKey: reminderKey(user._id, savedId, deadline, daysBefore),
+          daysBefore,
+          deadline,
+        });
+      }
+    }
+
+    matched += reminders.length;
+    queued += await insertNewReminders(reminders);
+  }
+
+  const result = { matched, queued, duplicates: matched - queued };
+  logger.info("🔔 Deadline reminders queued", result);
+  return result;
+}
+
+/**
+ * Queue reminders for open application checklist items due on one of the
+ * application reminder offsets
+ *
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Object} { matched, queued, duplicates }
+ */
+export async function enqueueApplicationReminders({ now = new Date() } = {}) {
+  const today = startOfDay(now);
+  let matched = 0;
+  let queued = 0;
+
+  for (const daysBefore of APPLICATION_REMINDER_DAYS) {
+    const windowStart = new Date(today.getTime() + daysBefore * DAY_MS);
+    const windowEnd = new Date(windowStart.getTime() + DAY_MS);
+
+    const users = await User.find({
+      isActive: true,
+      emailNotifications: true,
+      "appliedScholarships.checklist": {
+        $elemMatch: {
+          done: false,
+          dueDate: { $gte: windowStart, $lt: windowEnd },
+        },
+      },
+    })
+      .select("_id appliedScholarships")
+      .lean();
+
+    const reminders = [];
+    for (const user of users) {
+      for (const { application, item } of findDueChecklistItems(
+        user,
+        windowStart,
+        windowEnd
+      )) {
+        reminders.push({
+          user: user._id,
+          scholarship: application.scholarshipId,
+          type: "application-reminder",
+          channel: "email",
+          dedupeKey: `application:${user._id}:${item._id}:${dateKey(
+            item.dueDate
+          )}:${daysBefore}`,
+          daysBefore,
+          deadline: item.dueDate,
+          checklistItem: item._id,
+          itemLabel: item.label,
+        });
+      }
+    }
+
+    matched += reminders.length;
+    queued += await insertNewReminders(reminders);
+  }
+
+  const result = { matched, queued, duplicates: matched - queued };
+  logger.info("🔔 Application reminders queued", result);
+  return result;
+}
+
+/**
+ * Insert reminders, ignoring the ones already queued earlier
+ */
+async function insertNewReminders(reminders) {
+  if (reminders.length === 0) return 0;
+
+  try {
+    const inserted = await Notification.insertMany(reminders, {
+      ordered: false,
+    });
+    return inserted.length;
+  } catch (error) {
+    // Duplicate keys are expected on re-runs; anything else is a real failure
+    const writeErrors = error.writeErrors || [];
+    if (writeErrors.some((writeError) => writeError.code !== 11000)) {
+      throw error;
+    }
+    return error.insertedDocs?.length ?? reminders.length - writeErrors.length;
+  }
+}
+
+/**
+ * Build the reminder email
+ */
+export function renderDeadlineReminder({ user, scholarship, daysBefore }) {
+  const link = portalUrl(`/scholarship/${scholarship._id}`);
+  const when = daysBefore === 1 ? "tomorrow" : `in ${daysBefore} days`;
+  const deadline = formatEmailDate(scholarship.deadline);
+  const footer =
+    "You are receiving this because you saved this scholarship on ScholarWise India. Turn off email notifications in your profile settings to stop these reminders.";
+
+  const subject = `Reminder: ${scholarship.title} closes ${when}`;
+  const text = [
+    `Hi ${user.firstName || "there"},`,
+    "",
+    `The application deadline for "${scholarship.title}" is ${deadline} (${when}).`,
+    scholarship.amount ? `Amount: ${scholarship.amount}` : null,
+    `Apply here: ${scholarship.applicationLink}`,
+    "",
+    `View details: ${link}`,
+    "",
+    footer,
+  ]
+    .filter((line) => line !== null)
+    .join("\n");
+
+  const html = renderEmailLayout(
+    `
+  <p>Hi ${escapeHtml(user.firstName || "there")},</p>
+  <p>The application deadline for <strong>${escapeHtml(
+    scholarship.title
+  )}</strong> is <strong>${deadline}</strong> (${when}).</p>
+  ${
+    scholarship.amount ? `<p>Amount: ${escapeHtml(scholarship.amount)}</p>` : ""
+  }
+  <p><a href="${escapeHtml(
+    scholarship.applicationLink
+  )}">Apply now</a> &middot; <a href="${link}">View details</a></p>`,
+    footer
+  );
+
+  return { subject, text, html };
+}
+
+// The saved search an alert is for, while it still has alerts on
+const findAlertedSearch = (user, notification) =>
+  user.savedSearches?.find(
+    (search) =>
+      search._id.equals(notification.savedSearch) && search.alertsEnabled
+  );
+
+/**
+ * Build the email for a queued notification, or null if what it is about
+ * was removed since queueing
+ */
+function renderNotification(notification) {
+  const { user, scholarship } = notification;
+
+  switch (notification.type) {
+    case "saved-search-alert": {
+      const savedSearch = findAlertedSearch(user, notification);
+      // Scholarships removed since queueing drop out of the list
+      const scholarships = notification.scholarships.filter(Boolean);
+      if (!savedSearch || scholarships.length === 0) return null;
+      return renderSavedSearchAlert({
+        user,
+        savedSearch,
+        scholarships,
+        matchCount: notification.matchCount || scholarships.length,
+      });
+    }
+    case "application-reminder":
+      return scholarship
+        ? renderApplicationReminder({
+            user,
+            scholarship,
+            itemLabel: notification.itemLabel,
+            dueDate: notification.deadline,
+            daysBefore: notification.daysBefore,
+          })
+        : null;
+    default:
+      return scholarship
+        ? renderDeadlineReminder({
+            user,
+            scholarship,
+            daysBefore: notification.daysBefore,
+          })
+        : null;
+  }
+}
+
+/**
+ * Send queued reminders and saved search alerts
+ *
+ * @returns {Object} { sent, failed, skipped }
+ */
+export async function deliverPendingReminders() {
+  const pending = await Notification.find({
+    type: {
+      $in: ["deadline-reminder", "application-reminder", "saved-search-alert"],
+    },
+    status: "pending",
+    attempts: { $lt: MAX_ATTEMPTS },
+  })
+    .sort({ createdAt: 1 })
+    .limit(DELIVERY_BATCH_SIZE)
+    .populate(
+      "user",
+      "email firstName emailNotifications isActive savedSearches"
+    )
+    .populate("scholarship", "title amount deadline applicationLink")
+    .populate("scholarships", "title provider amount deadline");
+
+  const result = { sent: 0, failed: 0, skipped: 0 };
+
+  for (const notification of pending) {
+    const { user } = notification;
+    const canSend = user && user.emailNotifications && user.isActive;
+
+    // User opted out or what the email is about was removed since queueing
+    const message = canSend ? renderNotification(notification) : null;
+    if (!message) {
+      notification.status = "failed";
+      notification.lastError =
+        "Recipient opted out, or scholarship or saved search removed";
+      await notification.save();
+      result.skipped++;
+      continue;
+    }
+
+    try {
+      await sendMail({ to: user.email, ...message });
+
+      notification.status = "sent";
+      notification.sentAt = new Date();
+      result.sent++;
+    } catch (error) {
+      notification.lastError = error.message;
+      if (notification.attempts + 1 >= MAX_ATTEMPTS) {
+        notification.status = "failed";
+      }
+      result.failed++;
+      logger.warn("⚠️ Deadline reminder delivery failed", {
+        notification: notification._id.toString(),
+        error: error.message,
+      });
+    }
+
+    notification.attempts += 1;
+    await notification.save();
+  }
+
+  if (pending.length > 0) {
+    logger.info("📨 Deadline reminders delivered", result);
+  }
+  return result;
+}
+
+/**
+ * Queue today's reminders and deliver them
+ */
+export async function runDeadlineReminders(options) {
+  const queued = await enqueueDeadlineReminders(options);
+  const applications = await enqueueApplicationReminders(options);
+  const delivered = await deliverPendingReminders();
+  return {
+    ...queued,
+    applicationReminders: applications.queued,
+    ...delivered,
+  };
+}
+
+/**
+ * Schedule the daily reminder run and hourly delivery retries
+ */
+export function scheduleDeadlineReminders() {
+  if (scheduledTasks) return;
+
+  logger.info("📅 Setting up deadline reminders...");
+  const timezone = process.env.REMINDER_TIMEZONE || "Asia/Kolkata";
+
+  scheduledTasks = [
+    // Every day at 8 AM
+    cron.schedule(
+      "0 8 * * *",
+      async () => {
+        try {
+          await runDeadlineReminders();
+        } catch (error) {
+          logger.error("❌ Deadline reminder run failed:", error.message);
+        }
+      },
+      { timezone }
+    ),
+    // Retry failed deliveries every hour
+    cron.schedule(
+      "30 * * * *",
+      async () => {
+        try {
+          await deliverPendingReminders();
+        } catch (error) {
+          logger.error("❌ Deadline reminder delivery failed:", error.message);
+        }
+      },
+      { timezone }
+    ),
+  ];
+
+  logger.info("✅ Deadline reminders scheduled");
+}
+
+export default {
+  REMINDER_DAYS,
+  APPLICATION_REMINDER_DAYS,
+  enqueueDeadlineReminders,
+  enqueueApplicationReminders,
+  deliverPendingReminders,
+  runDeadlineReminders,
+  scheduleDeadlineReminders,
+  renderDeadlineReminder,
+};
@@ -0,0 +1,564 @@
+/**
+ * ELIGIBILITY RULES ENGINE
+ *
+ * Turns free-text scholarship eligibility into a structured rule block and
+ * scores a student profile against it, explaining which rules passed,
+ * failed or could not be checked because the profile is incomplete.
+ *
+ * @description Structured eligibility extraction and evaluation
+ * @author Scholarship Portal Team
+ * @version 1.0.0
+ * @created 2026-10-19
+ */
+
+import { toRupees } from "./amountParser.js";
+
+export const CASTE_CATEGORIES = [
+  "SC",
+  "ST",
+  "OBC",
+  "EWS",
+  "General",
+  "Minority",
+];
+
+export const INDIAN_STATES = [
+  "Andhra Pradesh",
+  "Arunachal Pradesh",
+  "Assam",
+  "Bihar",
+  "Chhattisgarh",
+  "Goa",
+  "Gujarat",
+  "Haryana",
+  "Himachal Pradesh",
+  "Jharkhand",
+  "Karnataka",
+  "Kerala",
+  "Madhya Pradesh",
+  "Maharashtra",
+  "Manipur",
+  "Meghalaya",
+  "Mizoram",
+  "Nagaland",
+  "Odisha",
+  "Punjab",
+  "Rajasthan",
+  "Sikkim",
+  "Tamil Nadu",
+  "Telangana",
+  "Tripura",
+  "Uttar Pradesh",
+  "Uttarakhand",
+  "West Bengal",
+  "Andaman and Nicobar Islands",
+  "Chandigarh",
+  "Dadra and Nagar Haveli and Daman and Diu",
+  "Delhi",
+  "Jammu and Kashmir",
+  "Ladakh",
+  "Lakshadweep",
+  "Puducherry",
+];
+
+/**
+ * Canonical course/stream names and the phrases that identify them
+ */
+const COURSE_ALIASES = {
+  Engineering: ["engineering", "b.tech", "btech", "b.e.", "m.tech", "mtech"],
+  Medical: ["medical", "mbbs", "bds", "medicine", "ayush"],
+  Nursing: ["nursing", "gnm", "anm"],
+  Pharmacy: ["pharmacy", "b.pharm", "d.pharm", "m.pharm"],
+  Law: ["law", "llb", "ll.b", "llm"],
+  Management: ["management", "mba", "bba", "pgdm"],
+  Science: ["science", "b.sc", "bsc", "m.sc", "msc"],
+  Commerce: ["commerce", "b.com", "bcom", "m.com", "chartered accountan"],
+  Arts: ["arts", "humanities", "b.a.", "m.a."],
+  Agriculture: ["agriculture", "agricultural", "veterinary"],
+  Architecture: ["architecture", "b.arch"],
+  Diploma: ["diploma", "polytechnic"],
+  ITI: ["iti", "industrial training"],
+};
+
+const YEAR_WORDS = {
+  first: 1,
+  "1st": 1,
+  second: 2,
+  "2nd": 2,
+  third: 3,
+  "3rd": 3,
+  fourth: 4,
+  "4th": 4,
+  fifth: 5,
+  "5th": 5,
+};
+
+/**
+ * User.educationLevel values mapped onto Scholarship.educationLevel values
+ */
+const USER_EDUCATION_LEVELS = {
+  "high-school": "School",
+  undergraduate: "Undergraduate",
+  postgraduate: "Postgraduate",
+  phd: "Doctoral",
+};
+
+// CBSE convention for converting a 10-point CGPA into a percentage
+const CGPA_TO_PERCENTAGE = 9.5;
+
+/**
+ * Find canonical course names mentioned in a piece of text
+ */
+export function detectCourses(text = "") {
+  const lower = ` ${text.toLowerCase()} `;
+  return Object.entries(COURSE_ALIASES)
+    .filter(([, aliases]) =>
+      aliases.some((alias) =>
+        new RegExp(`[^a-z]${alias.replace(/\./g, "\\.")}[^a-z]`).test(lower)
+      )
+    )
+    .map(([course]) => course);
+}
+
+function extractIncomeCeiling(text) {
+  const match = text.match(
+    /income[^.;]{0,80}?(?:less than|below|not exceed(?:ing)?|not more than|up ?to|under|within|maximum of|max\.?|<=?|≤)\s*(?:rs\.?|inr|₹)?\s*([\d,]+(?:\.\d+)?)\s*(lakhs?|lacs?|crores?|k)?/
+  );
+  if (!match) return null;
+  return toRupees(match[1], match[2] || "");
+}
+
+function extractMinPercentage(text) {
+  const match = text.match(
+    /(?:minimum|at least|min\.?|not less than|score of|scored|secured|above)?\s*(\d{2}(?:\.\d+)?)\s*(?:%|percent(?:age)?)(?:\s*(?:marks|aggregate|or above|and above|or more))?/
+  );
+  if (!match) return null;
+
+  // Only trust percentages that talk about marks, not reservation quotas
+  const windowStart = Math.max(0, match.index - 40);
+  const context = text.slice(windowStart, match.index + match[0].length + 40);
+  if (!/marks|aggregate|score|secured|percentage|class|exam/.test(context)) {
+    return null;
+  }
+
+  const value = parseFloat(match[1]);
+  return value > 0 && value <= 100 ? value : null;
+}
+
+function extractMinCGPA(text) {
+  const match =
+    text.match(/(\d{1,2}(?:\.\d+)?)\s*(?:\/\s*10\s*)?(?:cgpa|cpi|sgpa)/) ||
+    text.match(
+      /(?:cgpa|cpi|sgpa)\s*(?:of)?\s*(?:at least|minimum|min\.?|not less than|>=?)?\s*(\d{1,2}(?:\.\d+)?)/
+    );
+  if (!match) return null;
+
+  const value = parseFloat(match[1]);
+  return value > 0 && value <= 10 ? value : null;
+}
+
+function extractCasteCategories(text, targetGroup = []) {
+  const categories = new Set();
+
+  // Bare "sc"/"st" only as standalone tokens, not "b.sc" or "st. xavier's"
+  if (/(?<![.\w])sc(?![.\w])|scheduled caste/.test(text)) categories.add("SC");
+  if (/(?<![.\w])st(?![.\w])|scheduled tribe/.test(text)) categories.add("ST");
+  if (/\bobc\b|other backward/.test(text)) categories.add("OBC");
+  if (/\bews\b|economically weaker/.test(text)) categories.add("EWS");
+  if (/minorit/.test(text)) categories.add("Minority");
+  if (
+    /\b(?:general|open|unreserved)\s+(?:category|categories|class|candidates)\b/.test(
+      text
+    )
+  ) {
+    categories.add("General");
+  }
+  // "Open to all categories" lists them without restricting to them
+  if (/\b(?:all|any)\s+(?:caste\s+)?categor(?:y|ies)\b/.test(text)) {
+    return [];
+  }
+
+  // A "General" tag is how scrapers mark general-audience schemes, so it is
+  // not read as a caste restriction
+  targetGroup.forEach((group) => {
+    if (group === "SC/ST") {
+      categories.add("SC");
+      categories.add("ST");
+    } else if (CASTE_CATEGORIES.includes(group) && group !== "General") {
+      categories.add(group);
+    }
+  });
+
+  return [...categories];
+}
+
+const FEMALE_TERMS = /\b(?:girls?|wom[ae]n|females?|daughters?|ladies)\b/;
+const MALE_TERMS = /\b(?:boys?|m[ae]n|males?|sons?)\b/;
+// "men" alone is too common in names and phrases to restrict on
+const MALE_ONLY_TERMS = /\b(?:boys?|males?|sons?)\b/;
+// Wording that favours women without excluding anyone else
+const FEMALE_PREFERENCE =
+  /(?:preference|priority|preferred|encouraged|reserved|weightage)[^.;]{0,40}\b(?:girls?|wom[ae]n|females?)\b|\b(?:girls?|wom[ae]n|females?)\b[^.;]{0,30}(?:encouraged|preferred|given preference|given priority)/;
+
+// Restricted to one gender only when the text names it and not the other;
+// "boys and girls" or "sons and daughters" are open to both
+function extractGender(text, targetGroup = []) {
+  const female = FEMALE_TERMS.test(text);
+  const male = MALE_TERMS.test(text);
+
+  if (female && male) return "any";
+  if (male) return MALE_ONLY_TERMS.test(text) ? "male" : "any";
+  if (female) return FEMALE_PREFERENCE.test(text) ? "any" : "female";
+  return targetGroup.includes("Women") ? "female" : "any";
+}
+
+function extractAgeRange(text) {
+  const range = text.match(
+    /(?:age|aged)[^.;]{0,30}?(\d{2})\s*(?:-|–|to|and)\s*(\d{2})\s*years/
+  );
+  if (range) {
+    return { minAge: parseInt(range[1]), maxAge: parseInt(range[2]) };
+  }
+
+  const ageRange = {};
+  const max = text.match(
+    /(?:age[^.;]{0,20}?(?:below|under|not exceed(?:ing)?|up ?to|maximum(?: of)?|less than)|(?:below|under) the age of)\s*(\d{2})\s*years/
+  );
+  if (max) ageRange.maxAge = parseInt(max[1]);
+
+  const min = text.match(
+    /(?:age[^.;]{0,20}?(?:above|at least|minimum(?: of)?|more than)|minimum age(?: of)?)\s*(\d{2})\s*years/
+  );
+  if (min) ageRange.minAge = parseInt(min[1]);
+
+  return ageRange;
+}
+
+function extractDomicileStates(text, state) {
+  const states = new Set();
+
+  if (/domicile|resident|native|permanent address/.test(text)) {
+    // Whole words only; "india" must not read as Goa
+    INDIAN_STATES.forEach((name) => {
+      const pattern = new RegExp(`\\b${name.toLowerCase()}\\b`);
+      if (pattern.test(text)) states.add(name);
+    });
+  }
+
+  if (state && INDIAN_STATES.includes(state)) states.add(state);
+
+  return [...states];
+}
+
+function extractYearsOfStudy(text) {
+  const years = new Set();
+  const pattern =
+    /\b(first|1st|second|2nd|third|3rd|fourth|4th|fifth|5th)[- ]year\b/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    years.add(YEAR_WORDS[match[1]]);
+  }
+  return [...years].sort();
+}
+
+function requiresDisability(text, targetGroup = []) {
+  return (
+    targetGroup.includes("Disabled") ||
+    /disab|differently[- ]abled|specially[- ]abled|\bpwd\b|divyang|handicap|saksham/.test(
+      text
+    )
+  );
+}
+
+/**
+ * Build a structured eligibility block from scraped scholarship fields
+ *
+ * @param {Object} scholarship - Raw or stored scholarship data
+ * @returns {Object} Eligibility rules for Scholarship.eligibilityRules
+ */
+export function extractEligibilityRules(scholarship = {}) {
+  const text = [
+    scholarship.title,
+    scholarship.description,
+    scholarship.eligibility,
+  ]
+    .filter((part) => typeof part === "string")
+    .join(" . ")
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+
+  const targetGroup = Array.isArray(scholarship.targetGroup)
+    ? scholarship.targetGroup
+    : [];
+
+  const rules = {
+    maxFamilyIncome: extractIncomeCeiling(text),
+    minPercentage: extractMinPercentage(text),
+    minCGPA: extractMinCGPA(text),
+    casteCategories: extractCasteCategories(text, targetGroup),
+    gender: extractGender(text, targetGroup),
+    ...extractAgeRange(text),
+    domicileStates: extractDomicileStates(text, scholarship.state),
+    courses: detectCourses(text),
+    yearsOfStudy: extractYearsOfStudy(text),
+    disabilityRequired: requiresDisability(text, targetGroup),
+    educationLevels:
+      scholarship.educationLevel && scholarship.educationLevel !== "All"
+        ? [scholarship.educationLevel]
+        : [],
+    source: "parsed",
+    extractedAt: new Date(),
+  };
+
+  // Drop unknown numeric limits so they are stored as absent, not as null
+  Object.keys(rules).forEach((key) => {
+    if (rules[key] === null || rules[key] === undefined) delete rules[key];
+  });
+
+  return rules;
+}
+
+/**
+ * Return stored rules, or extract them on the fly for older documents
+ */
+export function getEligibilityRules(scholarship) {
+  const stored = scholarship?.eligibilityRules;
+  if (stored && stored.extractedAt) {
+    return typeof stored.toObject === "function" ? stored.toObject() : stored;
+  }
+  return extractEligibilityRules(scholarship);
+}
+
+function ageOn(dateOfBirth, now = new Date()) {
+  const dob = new Date(dateOfBirth);
+  let age = now.getFullYear() - dob.getFullYear();
+  const beforeBirthday =
+    now.getMonth() < dob.getMonth() ||
+    (now.getMonth() === dob.getMonth() && now.getDate() < dob.getDate());
+  if (beforeBirthday) age--;
+  return age;
+}
+
+const formatRupees = (value) => `₹${Number(value).toLocaleString("en-IN")}`;
+
+/**
+ * Score a user profile against a scholarship's eligibility rules
+ *
+ * @param {Object} scholarship - Scholarship document or plain object
+ * @param {Object} user - User document or plain profile object
+ * @returns {Object} { status, score, passed, failed, unknown }
+ */
+export function evaluateEligibility(scholarship, user = {}) {
+  const rules = getEligibilityRules(scholarship);
+  const passed = [];
+  const failed = [];
+  const unknown = [];
+
+  const check = (rule, outcome, message) => {
+    const entry = { rule, message };
+    if (outcome === true) passed.push(entry);
+    else if (outcome === false) failed.push(entry);
+    else unknown.push(entry);
+  };
+
+  if (rules.maxFamilyIncome) {
+    const limit = formatRupees(rules.maxFamilyIncome);
+    if (
+      user.annualFamilyIncome === undefined ||
+      user.annualFamilyIncome === null
+    ) {
+      check(
+        "income",
+        null,
+        `Family income must not exceed ${limit}; add your income to your profile`
+      );
+    } else {
+      check(
+        "income",
+        user.annualFamilyIncome <= rules.maxFamilyIncome,
+        `Family income ${formatRupees(
+          user.annualFamilyIncome
+        )} vs limit ${limit}`
+      );
+    }
+  }
+
+  if (rules.minPercentage) {
+    if (user.academicPercentage) {
+      check(
+        "marks",
+        user.academicPercentage >= rules.minPercentage,
+        `${user.academicPercentage}% vs required ${rules.minPercentage}%`
+      );
+    } else if (user.cgpa) {
+      const equivalent = Math.round(user.cgpa * CGPA_TO_PERCENTAGE * 10) / 10;
+      check(
+        "marks",
+        equivalent >= rules.minPercentage,
+        `CGPA ${user.cgpa} (≈${equivalent}%) vs required ${rules.minPercentage}%`
+      );
+    } else {
+      check("marks", null, `Requires at least ${rules.minPercentage}% marks`);
+    }
+  }
+
+  if (rules.minCGPA) {
+    if (user.cgpa) {
+      check(
+        "cgpa",
+        user.cgpa >= rules.minCGPA,
+        `CGPA ${user.cgpa} vs required ${rules.minCGPA}`
+      );
+    } else if (user.academicPercentage) {
+      const equivalent =
+        Math.round((user.academicPercentage / CGPA_TO_PERCENTAGE) * 100) / 100;
+      check(
+        "cgpa",
+        equivalent >= rules.minCGPA,
+        `${user.academicPercentage}% (≈${equivalent} CGPA) vs required ${rules.minCGPA}`
+      );
+    } else {
+      check("cgpa", null, `Requires a CGPA of at least ${rules.minCGPA}`);
+    }
+  }
+
+  if (rules.casteCategories?.length) {
+    const allowed = rules.casteCategories.join(", ");
+    const casteRules = rules.casteCategories.filter(
+      (category) => category !== "Minority"
+    );
+    const unknown = `Open to ${allowed} students; add your category to your profile`;
+
+    if (rules.casteCategories.includes("Minority") && user.isMinority) {
+      check("category", true, `Open to ${allowed} students`);
+    } else if (casteRules.length === 0) {
+      // Minority-only schemes need just the minority answer
+      check(
+        "category",
+        user.isMinority === undefined || user.isMinority === null
+          ? null
+          : false,
+        user.isMinority === false ? `Open to ${allowed} students` : unknown
+      );
+    } else if (!user.casteCategory) {
+      check("category", null, unknown);
+    } else {
+      check(
+        "category",
+        casteRules.includes(user.casteCategory),
+        `Open to ${allowed} students`
+      );
+    }
+  }
+
+  if (rules.gender && rules.gender !== "any") {
+    if (!user.gender || user.gender === "prefer-not-to-say") {
+      check("gender", null, `Only for ${rules.gender} students`);
+    } else {
+      check(
+        "gender",
+        user.gender === rules.gender,
+        `Only for ${rules.gender} students`
+      );
+    }
+  }
+
+  if (rules.minAge || rules.maxAge) {
+    const range = `${rules.minAge || "any"}–${rules.maxAge || "any"} years`;
+    if (!user.dateOfBirth) {
+      check("age", null, `Age must be ${range}`);
+    } else {
+      const age = ageOn(user.dateOfBirth);
+      const withinRange =
+        (!rules.minAge || age >= rules.minAge) &&
+        (!rules.maxAge || age <= rules.maxAge);
+      check("age", withinRange, `Age ${age} vs ${range}`);
+    }
+  }
+
+  if (rules.domicileStates?.length) {
+    const states = rules.domicileStates.join(", ");
+    if (!user.state) {
+      check("domicile", null, `Domicile of ${states} required`);
+    } else {
+      const matches = rules.domicileStates.some(
+        (state) => state.toLowerCase() === user.state.toLowerCase()
+      );
+      check("domicile", matches, `Domicile of ${states} required`);
+    }
+  }
+
+  if (rules.courses?.length) {
+    const courses = rules.courses.join(", ");
+    const userCourses = detectCourses(user.fieldOfStudy || "");
+    if (userCourses.length === 0) {
+      check("course", null, `For ${courses} students`);
+    } else {
+      check(
+        "course",
+        userCourses.some((course) => rules.courses.includes(course)),
+        `For ${courses} students`
+      );
+    }
+  }
+
+  if (rules.yearsOfStudy?.length) {
+    const years = rules.yearsOfStudy.join(", ");
+    if (!user.yearOfStudy) {
+      check("yearOfStudy", null, `For year ${years} students`);
+    } else {
+      check(
+        "yearOfStudy",
+        rules.yearsOfStudy.includes(user.yearOfStudy),
+        `For year ${years} students`
+      );
+    }
+  }
+
+  if (rules.disabilityRequired) {
+    if (user.hasDisability === undefined || user.hasDisability === null) {
+      check("disability", null, "Only for students with disabilities");
+    } else {
+      check(
+        "disability",
+        user.hasDisability === true,
+        "Only for students with disabilities"
+      );
+    }
+  }
+
+  if (rules.educationLevels?.length) {
+    const levels = rules.educationLevels.join(", ");
+    const level = USER_EDUCATION_LEVELS[user.educationLevel];
+    if (!level) {
+      check("educationLevel", null, `For ${levels} students`);
+    } else {
+      check(
+        "educationLevel",
+        rules.educationLevels.includes(level),
+        `For ${levels} students`
+      );
+    }
+  }
+
+  const total = passed.length + failed.length + unknown.length;
+  const score =
+    total === 0
+      ? 100
+      : Math.round(((passed.length + unknown.length * 0.5) / total) * 100);
+
+  let status = "eligible";
+  if (failed.length > 0) status = "ineligible";
+  else if (unknown.length > 0) status = "partial";
+
+  return { status, score, passed, failed, unknown };
+}
+
+export default {
+  extractEligibilityRules,
+  getEligibilityRules,
+  evaluateEligibility,
+  detectCourses,
+  CASTE_CATEGORIES,
+  INDIAN_STATES,
+};
@@ -0,0 +1,62 @@
+/**
+ * EMAIL TEMPLATE HELPERS
+ *
+ * Small helpers shared by the notification emails: escaping, Indian date
+ * formatting, links back to the portal and a common HTML wrapper.
+ *
+ * @description Shared building blocks for notification emails
+ * @author Scholarship Portal Team
+ * @version 1.0.0
+ * @created 2026-10-19
+ */
+
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * "26 October 2026"
+ */
+export function formatEmailDate(date) {
+  return new Date(date).toLocaleDateString("en-IN", {
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+  });
+}
+
+/**
+ * Absolute link to a page of the web app
+ */
+export function portalUrl(pathname = "/") {
+  const frontendURL = process.env.FRONTEND_URL || "http://localhost:3000";
+  return `${frontendURL}${pathname}`;
+}
+
+/**
+ * Wrap email body HTML with the standard header and footer
+ *
+ * @param {string} body - Inner HTML
+ * @param {string} footer - Plain-text reason the user is receiving the email
+ */
+export function renderEmailLayout(body, footer) {
+  return `
+<div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto;color:#111827">
+  <h2 style="color:#2563eb">ScholarWise India</h2>
+  ${body}
+  <p style="color:#6b7280;font-size:12px;margin-top:24px">${escapeHtml(
+    footer
+  )}</p>
+</div>`.trim();
+}
+
+export default {
+  escapeHtml,
+  formatEmailDate,
+  portalUrl,
+  renderEmailLayout,
+};
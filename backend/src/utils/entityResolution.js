@@ -0,0 +1,544 @@
+/**
+ * SCHOLARSHIP ENTITY RESOLUTION
+ *
+ * Deterministic matching of scholarships that several sources list as
+ * separate records (the same NSP or AICTE scheme from Buddy4Study,
+ * ScholarshipsIndia and the official portal).
+ *
+ * Records are grouped by blocking keys (significant title words and the
+ * application link) so only plausible pairs are compared. Each pair is
+ * scored on five signals: normalised title, provider after alias
+ * resolution, amount, deadline and application link domain. Pairs above
+ * REVIEW_SCORE are merge candidates; pairs above AUTO_MERGE_SCORE are safe
+ * to merge without review.
+ *
+ * When records merge, each field is taken from the best record that has a
+ * real value: official-domain sources first, then the canonical record.
+ *
+ * @description Duplicate detection and field selection for merges
+ * @author Scholarship Portal Team
+ * @version 1.0.0
+ * @created 2026-10-19
+ */
+
+import { DEFAULT_PROVIDERS } from "../config/providers.js";
+
+// Pairs scoring at least this are merged by the resolution job
+export const AUTO_MERGE_SCORE = 0.9;
+// Pairs scoring at least this are shown to admins for review
+export const REVIEW_SCORE = 0.7;
+// Below this the titles name different schemes, whatever else matches
+const MIN_TITLE_SCORE = 0.5;
+
+const SIGNAL_WEIGHTS = {
+  title: 0.5,
+  provider: 0.2,
+  amount: 0.1,
+  deadline: 0.1,
+  link: 0.1,
+};
+
+// Score for a signal one of the records has no data for
+const NEUTRAL = 0.5;
+
+// A title word shared by more records than this says nothing about identity
+const MAX_BLOCK_SIZE = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TITLE_STOPWORDS = new Set([
+  "a",
+  "an",
+  "and",
+  "for",
+  "in",
+  "of",
+  "the",
+  "to",
+  "under",
+  "scheme",
+  "scholarship",
+  "program",
+  "programme",
+  "yojana",
+  "award",
+  "student",
+  "india",
+  "online",
+  "application",
+  "apply",
+]);
+
+// Spelled-out names that sources also publish as acronyms
+const TITLE_PHRASES = [
+  [/\bprime minister'?s?\b/g, "pm"],
+  [/\bnational means[- ]cum[- ]merit\b/g, "nmms"],
+  [/\bpost[- ]matric\b/g, "postmatric"],
+  [/\bpre[- ]matric\b/g, "prematric"],
+  [/\bcentral sector\b/g, "css"],
+  [/\bnational scholarship portal\b/g, "nsp"],
+];
+
+const normalizeText = (text) =>
+  String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ");
+
+/**
+ * Provider name as lower-case words, without "Govt. of India" and the like
+ */
+export const normalizeProviderName = (provider) =>
+  normalizeText(provider)
+    .replace(/\bgovt\.?/g, "government")
+    .replace(/[^a-z0-9]+/g, " ")
+    .replace(/\bgovernment of india\b|\bgoi\b/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Canonical provider names and the other names sources use for them: the
+// seeded provider directory plus the portals that list other providers'
+// schemes
+export const PROVIDER_ALIASES = {
+  ...Object.fromEntries(
+    DEFAULT_PROVIDERS.map(({ name, aliases }) => [
+      normalizeProviderName(name),
+      [name, ...aliases].map(normalizeProviderName),
+    ])
+  ),
+  nsp: ["nsp", "national scholarship portal"],
+  buddy4study: ["buddy4study", "buddy 4 study"],
+  "scholarships india": ["scholarships india", "scholarshipsindia"],
+};
+
+// Listing sites and portals publish many providers' schemes, so their name
+// in `provider` says nothing about which scheme a record is
+const PORTAL_PROVIDERS = new Set(["buddy4study", "scholarships india", "nsp"]);
+
+// Domains hosting many schemes; two links there need not be the same one
+const AGGREGATOR_DOMAINS = new Set([
+  "buddy4study.com",
+  "scholarshipsindia.com",
+  "scholarships.gov.in",
+]);
+
+// Official sites outside the government and academic suffixes
+const OFFICIAL_DOMAINS = new Set([
+  "scholarships.gov.in",
+  ...DEFAULT_PROVIDERS.filter(({ official }) => official).flatMap(
+    ({ officialDomains }) => officialDomains
+  ),
+]);
+
+const OFFICIAL_SUFFIXES = [
+  ".gov.in",
+  ".nic.in",
+  ".ac.in",
+  ".edu.in",
+  ".res.in",
+];
+
+// Field groups copied together on merge; `empty` values are defaults that
+// do not count as data
+const MERGE_FIELD_GROUPS = [
+  { fields: ["title"] },
+  { fields: ["description"] },
+  { fields: ["eligibility"] },
+  { fields: ["amount"], empty: ["Amount varies"] },
+  {
+    fields: [
+      "deadline",
+      "deadlineType",
+      "deadlineConfidence",
+      "deadlinePhases",
+    ],
+    hasValue: (record) =>
+      Boolean(record.deadline) || record.deadlineType === "rolling",
+  },
+  { fields: ["applicationLink"], official: "applicationLink" },
+  { fields: ["provider"] },
+  { fields: ["category"], empty: ["Other"] },
+  { fields: ["educationLevel"], empty: ["All"] },
+  { fields: ["state"], empty: ["All India"] },
+];
+
+export const MERGE_FIELDS = MERGE_FIELD_GROUPS.flatMap(({ fields }) => fields);
+
+// Placeholder text scrapers write when a site does not publish a value
+const PLACEHOLDER_PATTERN =
+  /^(check|see|refer|visit|not (specified|available|mentioned))\b|not specified/i;
+
+/**
+ * Title reduced to the words that identify the scheme: lower case, no
+ * punctuation, years, filler words or plurals, acronyms for long names
+ */
+export function normalizeTitle(title) {
+  let text = normalizeText(title);
+  for (const [pattern, replacement] of TITLE_PHRASES) {
+    text = text.replace(pattern, replacement);
+  }
+
+  return text
+    .replace(/\b(19|20)\d{2}(\s*[-/]\s*\d{2,4})?\b/g, " ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .split(" ")
+    .filter((word) => word && !TITLE_STOPWORDS.has(word))
+    .map((word) =>
+      word.length > 3 && word.endsWith("s") && !word.endsWith("ss")
+        ? word.slice(0, -1)
+        : word
+    )
+    .filter((word) => !TITLE_STOPWORDS.has(word))
+    .join(" ");
+}
+
+/**
+ * Canonical provider name, resolving aliases ("MHRD", "Ministry of Human
+ * Resource Development" -> "ministry of education"). Unknown providers
+ * come back normalised.
+ */
+export function canonicalProvider(provider) {
+  const name = normalizeProviderName(provider);
+  if (!name) return "";
+
+  const padded = ` ${name} `;
+  for (const [canonical, aliases] of Object.entries(PROVIDER_ALIASES)) {
+    if (aliases.some((alias) => padded.includes(` ${alias} `))) {
+      return canonical;
+    }
+  }
+  return name;
+}
+
+/**
+ * Host name of a URL without "www.", or null for anything unparsable
+ */
+export function linkDomain(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, "");
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether a URL is on a government, institutional or known official domain
+ */
+export function isOfficialUrl(url) {
+  const domain = linkDomain(url);
+  if (!domain) return false;
+  return (
+    OFFICIAL_DOMAINS.has(domain) ||
+    OFFICIAL_SUFFIXES.some((suffix) => domain.endsWith(suffix))
+  );
+}
+
+// Links compared without scheme, "www.", trailing slash or query string
+const normalizeLink = (url) => {
+  const domain = linkDomain(url);
+  if (!domain) return null;
+  const { pathname } = new URL(url);
+  return `${domain}${pathname.replace(/\/+$/, "")}`;
+};
+
+const titleWords = (record) =>
+  new Set(normalizeTitle(record.title).split(" ").filter(Boolean));
+
+/**
+ * Title similarity: word overlap, with credit for one title containing
+ * all words of a shorter one ("Pragati" inside "AICTE Pragati Girls")
+ */
+function titleScore(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  const shared = [...a].filter((word) => b.has(word)).length;
+  const jaccard = shared / (a.size + b.size - shared);
+  const smaller = Math.min(a.size, b.size);
+  const containment = smaller >= 2 ? (shared / smaller) * 0.8 : 0;
+  return Math.max(jaccard, containment);
+}
+
+function providerScore(a, b) {
+  const providerA = canonicalProvider(a.provider);
+  const providerB = canonicalProvider(b.provider);
+  if (
+    !providerA ||
+    !providerB ||
+    PORTAL_PROVIDERS.has(providerA) ||
+    PORTAL_PROVIDERS.has(providerB)
+  ) {
+    return NEUTRAL;
+  }
+  return providerA === providerB ? 1 : 0;
+}
+
+function amountScore(a, b) {
+  if (!(a.amountNumber > 0) || !(b.amountNumber > 0)) return NEUTRAL;
+  const ratio =
+    Math.min(a.amountNumber, b.amountNumber) /
+    Math.max(a.amountNumber, b.amountNumber);
+  if (ratio >= 0.9) return 1;
+  return ratio >= 0.75 ? NEUTRAL : 0;
+}
+
+function deadlineScore(a, b) {
+  if (!a.deadline || !b.deadline) return NEUTRAL;
+  const days = Math.abs(new Date(a.deadline) - new Date(b.deadline)) / DAY_MS;
+  if (days <= 3) return 1;
+  return days <= 30 ? NEUTRAL : 0;
+}
+
+function linkScore(a, b) {
+  const linkA = normalizeLink(a.applicationLink);
+  const linkB = normalizeLink(b.applicationLink);
+  if (!linkA || !linkB) return NEUTRAL;
+  if (linkA === linkB) return 1;
+
+  const domainA = linkDomain(a.applicationLink);
+  const domainB = linkDomain(b.applicationLink);
+  if (AGGREGATOR_DOMAINS.has(domainA) || AGGREGATOR_DOMAINS.has(domainB)) {
+    return NEUTRAL;
+  }
+  return domainA === domainB ? 0.75 : 0;
+}
+
+/**
+ * Score how likely two records describe the same scholarship
+ *
+ * @param {Object} a - Scholarship document or plain object
+ * @param {Object} b - Scholarship document or plain object
+ * @returns {Object} { score: 0-1, signals: { title, provider, amount,
+ *   deadline, link } }
+ */
+export function scoreScholarshipPair(a, b) {
+  const signals = {
+    title: titleScore(titleWords(a), titleWords(b)),
+    provider: providerScore(a, b),
+    amount: amountScore(a, b),
+    deadline: deadlineScore(a, b),
+    link: linkScore(a, b),
+  };
+
+  const score =
+    signals.title < MIN_TITLE_SCORE
+      ? 0
+      : Object.entries(SIGNAL_WEIGHTS).reduce(
+          (total, [signal, weight]) => total + signals[signal] * weight,
+          0
+        );
+
+  return { score: Math.round(score * 1000) / 1000, signals };
+}
+
+/**
+ * Keys that put plausible duplicates in the same block: each title word
+ * and the application link
+ */
+export function blockingKeys(record) {
+  const keys = [...titleWords(record)].map((word) => `title:${word}`);
+  const link = normalizeLink(record.applicationLink);
+  if (link) keys.push(`link:${link}`);
+  return keys;
+}
+
+export const pairKey = (idA, idB) =>
+  [String(idA), String(idB)].sort().join("|");
+
+/**
+ * Score every pair of records sharing a blocking key
+ *
+ * @param {Array} records - Scholarships with _id and the scored fields
+ * @param {Object} [options]
+ * @param {number} [options.minScore=REVIEW_SCORE] - Drop pairs below this
+ * @param {Set<string>} [options.excludedPairs] - pairKey()s never to return
+ * @returns {Array} [{ a, b, score, signals }], best first
+ */
+export function findDuplicatePairs(
+  records,
+  { minScore = REVIEW_SCORE, excludedPairs = new Set() } = {}
+) {
+  const blocks = new Map();
+  for (const record of records) {
+    for (const key of blockingKeys(record)) {
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(record);
+    }
+  }
+
+  const compared = new Set();
+  const pairs = [];
+
+  for (const block of blocks.values()) {
+    if (block.length < 2 || block.length > MAX_BLOCK_SIZE) continue;
+
+    for (let i = 0; i < block.length; i++) {
+      for (let j = i + 1; j < block.length; j++) {
+        const key = pairKey(block[i]._id, block[j]._id);
+        if (compared.has(key)) continue;
+        compared.add(key);
+        if (excludedPairs.has(key)) continue;
+
+        const { score, signals } = scoreScholarshipPair(block[i], block[j]);
+        if (score >= minScore) {
+          pairs.push({ a: block[i], b: block[j], score, signals });
+        }
+      }
+    }
+  }
+
+  return pairs.sort((x, y) => y.score - x.score);
+}
+
+const recordIsOfficial = (record) => isOfficialUrl(record.sourceUrl);
+
+/**
+ * The record that survives a merge: official sources first, then a record
+ * that already collects other sources, then the oldest
+ */
+export function chooseCanonical(records) {
+  const rank = (record) => [
+    recordIsOfficial(record) ? 0 : 1,
+    record.sources?.length ? 0 : 1,
+    new Date(record.createdAt || record.scrapedAt || 0).getTime(),
+  ];
+
+  return [...records].sort((x, y) => {
+    const [rx, ry] = [rank(x), rank(y)];
+    for (let i = 0; i < rx.length; i++) {
+      if (rx[i] !== ry[i]) return rx[i] - ry[i];
+    }
+    return 0;
+  })[0];
+}
+
+/**
+ * Group pairs into clusters of records that are all duplicates of one
+ * canonical record. A record only joins a cluster if it scores at least
+ * `minScore` against that cluster's canonical record.
+ *
+ * @returns {Array} [{ canonical, duplicates: [{ record, score, signals }] }]
+ */
+export function clusterDuplicatePairs(pairs, { minScore = REVIEW_SCORE } = {}) {
+  const parent = new Map();
+  const find = (id) => {
+    while (parent.get(id) !== id) id = parent.get(id);
+    return id;
+  };
+
+  const records = new Map();
+  for (const { a, b } of pairs) {
+    for (const record of [a, b]) {
+      const id = String(record._id);
+      records.set(id, record);
+      if (!parent.has(id)) parent.set(id, id);
+    }
+    parent.set(find(String(a._id)), find(String(b._id)));
+  }
+
+  const groups = new Map();
+  for (const [id, record] of records) {
+    const root = find(id);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(record);
+  }
+
+  const scored = new Map(
+    pairs.map((pair) => [pairKey(pair.a._id, pair.b._id), pair])
+  );
+
+  return [...groups.values()]
+    .map((members) => {
+      const canonical = chooseCanonical(members);
+      const duplicates = members
+        .filter((record) => record !== canonical)
+        .map((record) => {
+          const pair =
+            scored.get(pairKey(canonical._id, record._id)) ||
+            scoreScholarshipPair(canonical, record);
+          return { record, score: pair.score, signals: pair.signals };
+        })
+        .filter(({ score }) => score >= minScore)
+        .sort((x, y) => y.score - x.score);
+      return { canonical, duplicates };
+    })
+    .filter(({ duplicates }) => duplicates.length > 0);
+}
+
+const hasRealValue = (group, record) => {
+  if (group.hasValue) return group.hasValue(record);
+  const value = record[group.fields[0]];
+  if (value === undefined || value === null || value === "") return false;
+  if (group.empty?.includes(value)) return false;
+  return !(typeof value === "string" && PLACEHOLDER_PATTERN.test(value));
+};
+
+/**
+ * Pick each merged field from the best record that has a real value for
+ * it: records from official domains first (for the application link, links
+ * on official domains), then the canonical record, then the duplicates in
+ * the order given.
+ *
+ * @param {Object} canonical - Record that survives the merge
+ * @param {Array} duplicates - Records merged into it
+ * @returns {Object} { values: { field: value }, fieldSources: { field:
+ *   record id } } for the fields the canonical record should take over
+ */
+export function selectMergedFields(canonical, duplicates) {
+  const records = [canonical, ...duplicates];
+  const values = {};
+  const fieldSources = {};
+
+  for (const group of MERGE_FIELD_GROUPS) {
+    const isOfficial = group.official
+      ? (record) => isOfficialUrl(record[group.official])
+      : recordIsOfficial;
+    // Stable sort keeps the canonical record ahead of equal duplicates
+    const ranked = [...records].sort(
+      (x, y) => Number(isOfficial(y)) - Number(isOfficial(x))
+    );
+    const best =
+      ranked.find((record) => hasRealValue(group, record)) || canonical;
+
+    for (const field of group.fields) {
+      fieldSources[field] = String(best._id);
+      if (best !== canonical) values[field] = best[field];
+    }
+  }
+
+  return { values, fieldSources };
+}
+
+/**
+ * The entry a record contributes to its canonical record's `sources`
+ */
+export function sourceEntryFor(record) {
+  return {
+    name: linkDomain(record.sourceUrl) || record.provider,
+    sourceUrl: record.sourceUrl,
+    applicationLink: record.applicationLink,
+    official:
+      isOfficialUrl(record.sourceUrl) || isOfficialUrl(record.applicationLink),
+    scholarship: record._id,
+    addedAt: new Date(),
+  };
+}
+
+export default {
+  AUTO_MERGE_SCORE,
+  REVIEW_SCORE,
+  PROVIDER_ALIASES,
+  MERGE_FIELDS,
+  normalizeProviderName,
+  normalizeTitle,
+  canonicalProvider,
+  linkDomain,
+  isOfficialUrl,
+  scoreScholarshipPair,
+  blockingKeys,
+  pairKey,
+  findDuplicatePairs,
+  chooseCanonical,
+  clusterDuplicatePairs,
+  selectMergedFields,
+  sourceEntryFor,
+};
@@ -6,6 +6,7 @@
 import { GoogleGenerativeAI } from "@google/generative-ai";
 import dotenv from "dotenv";
 import logger from "./logger.js";
+import { attributeScholarshipChange } from "./scholarshipHistory.js";
 
 dotenv.config();
 
@@ -415,6 +416,17 @@ Focus on:
   }
 }
 
+/**
+ * Apply AI output through the document so the change is versioned; the
+ * model's save hook re-parses the amount
+ */
+export const saveEnhancement = (scholarship, enhanced, actor) => {
+  const { _id, __v, createdAt, updatedAt, ...fields } = enhanced;
+  scholarship.set({ ...fields, lastUpdated: new Date() });
+  attributeScholarshipChange(scholarship, "gemini-ai", actor);
+  return scholarship.save();
+};
+
 // Create singleton instance
 const geminiAI = new GeminiAIService();
 
@@ -3,6 +3,10 @@ import StealthPlugin from "puppeteer-extra-plugin-stealth";
 import axios from "axios";
 import * as cheerio from "cheerio";
 import { scrapingLogger } from "../utils/logger.js";
+import {
+  checkRobots,
+  getRobotsComplianceReport,
+} from "../utils/robotsPolicy.js";
 
 // Add stealth plugin for better scraping success
 puppeteer.use(StealthPlugin());
@@ -19,6 +23,7 @@ export class IntelligentScrapingManager {
 
     this.scrapingStrategies = new Map();
     this.performanceMetrics = new Map();
+    this.crawlDelays = new Map(); // hostname -> robots.txt crawl-delay (ms)
     this.retryDelays = [1000, 2000, 5000, 10000]; // Progressive retry delays
     this.initializeStrategies();
 
@@ -150,7 +155,10 @@ export class IntelligentScrapingManager {
           scholarships.push(...pageScholarships);
 
           // Add intelligent delay based on site performance
-          await this.intelligentDelay(domain);
+          await this.intelligentDelay(
+            domain,
+            this.crawlDelays.get(new URL(baseUrl).hostname)
+          );
         } catch (error) {
           scrapingLogger.error(
             `❌ Failed to scrape ${baseUrl}: ${error.message}`
@@ -181,6 +189,12 @@ export class IntelligentScrapingManager {
 
     while (currentPage <= maxPages) {
       try {
+        const robots = await checkRobots(currentUrl, {
+          scraper: "intelligent",
+        });
+        if (!robots.allowed) break;
+        this.crawlDelays.set(new URL(currentUrl).hostname, robots.crawlDelayMs);
+
         scrapingLogger.info(`📖 Scraping page ${currentPage}: ${currentUrl}`);
 
         // Navigate to page with intelligent retry
@@ -223,7 +237,7 @@ export class IntelligentScrapingManager {
         currentPage++;
 
         // Intelligent delay between pages
-        await this.intelligentDelay(new URL(url).hostname);
+        await this.intelligentDelay(new URL(url).hostname, robots.crawlDelayMs);
       } catch (error) {
         scrapingLogger.error(
           `❌ Error on page ${currentPage}: ${error.message}`
@@ -481,8 +495,9 @@ export class IntelligentScrapingManager {
     return null;
   }
 
-  // Intelligent delay based on site performance
-  async intelligentDelay(domain) {
+  // Intelligent delay based on site performance, never shorter than the
+  // site's robots.txt crawl-delay
+  async intelligentDelay(domain, crawlDelayMs = 0) {
     const metrics = this.performanceMetrics.get(domain) || {
       avgResponseTime: 2000,
     };
@@ -492,7 +507,10 @@ export class IntelligentScrapingManager {
     const adaptiveDelay = Math.min(metrics.avgResponseTime * 0.5, 3000);
     const randomDelay = Math.random() * 1000;
 
-    const totalDelay = baseDelay + adaptiveDelay + randomDelay;
+    const totalDelay = Math.max(
+      baseDelay + adaptiveDelay + randomDelay,
+      crawlDelayMs
+    );
 
     scrapingLogger.info(
       `⏳ Intelligent delay: ${Math.round(totalDelay)}ms for ${domain}`
@@ -552,11 +570,16 @@ export class IntelligentScrapingManager {
   // Get scraping performance report
   getPerformanceReport() {
     const report = {};
+    const robotsCompliance = getRobotsComplianceReport();
 
     for (const [domain, metrics] of this.performanceMetrics.entries()) {
       report[domain] = {
         ...metrics,
         successRate: (metrics.successfulScrapes / metrics.totalRequests) * 100,
+        robots: robotsCompliance.filter(
+          (entry) =>
+            entry.domain === domain || entry.domain.endsWith(`.${domain}`)
+        ),
       };
     }
 
@@ -0,0 +1,377 @@
+/**
+ * JOB HANDLERS
+ *
+ * The work the job queue knows how to run. Each handler reports progress
+ * as it goes and checks for cancellation between items, so an admin can
+ * follow a long run from the dashboard and stop it part way.
+ *
+ * - scrape: a pass over scraper sources
+ * - gemini-bulk-enhance: Gemini content enhancement of many scholarships
+ * - gemini-cleanup: duplicate detection and deactivation
+ * - validate-links: link checks with automatic repair of broken links
+ * - resolve-entities: merging of records that list the same scholarship
+ * - saved-search-alerts: new-match checks for saved searches
+ *
+ * @description Job types for scraping, AI enhancement and link validation
+ * @author Scholarship Portal Team
+ * @version 1.0.0
+ * @created 2026-10-19
+ */
+
+import Scholarship from "../models/Scholarship.js";
+import { runSources } from "../scrapers/realTimeOrchestrator.js";
+import { LinkFixerScraper } from "../scrapers/linkFixerScraper.js";
+import geminiAI, { saveEnhancement } from "./geminiAIService.js";
+import { enqueueJob, registerJobHandler } from "./jobQueue.js";
+import { logger } from "./logger.js";
+import {
+  linkScholarshipProviders,
+  loadProviderDirectory,
+} from "./providerDirectory.js";
+import { attributeScholarshipChange } from "./scholarshipHistory.js";
+import { deliverPendingReminders } from "./deadlineReminderScheduler.js";
+import { evaluateSavedSearches } from "./savedSearches.js";
+import { resolveDuplicates } from "./scholarshipMerges.js";
+
+const linkFixer = new LinkFixerScraper();
+
+// Links not checked for this long are picked up by a validation job
+// without explicit ids
+const STALE_LINK_MS = 30 * 24 * 60 * 60 * 1000;
+
+const percentOf = (done, total) => (total > 0 ? (done / total) * 100 : 100);
+
+/**
+ * Scrape sources. Payload: { sources?: string[], priority?: number,
+ * trigger?: string }
+ */
+async function scrape({
+  payload,
+  createdBy,
+  reportProgress,
+  isCancelled,
+  checkCancelled,
+}) {
+  const summary = await runSources({
+    keys: payload.sources,
+    priority: payload.priority,
+    trigger: payload.trigger || "manual",
+    shouldStop: isCancelled,
+    onProgress: (done, total, source) =>
+      reportProgress(percentOf(done, total), `Scraped ${source.name}`),
+  });
+  checkCancelled();
+
+  // New records may list schemes other sources already provided
+  if (summary.totalScholarships > 0) {
+    await enqueueJob(
+      "resolve-entities",
+      { trigger: "scrape" },
+      { priority: 3, dedupeKey: "resolve-entities", createdBy }
+    );
+  }
+
+  // The scraped documents are already saved; keep the stored result small
+  return {
+    ...summary,
+    results: summary.results.map(({ scholarships, ...result }) => result),
+  };
+}
+
+/**
+ * Enhance scholarships with Gemini. Payload: { limit?, category?,
+ * skipEnhanced? }. With skipEnhanced a retried job continues where the
+ * failed attempt stopped.
+ */
+async function bulkEnhance({
+  payload,
+  createdBy,
+  reportProgress,
+  checkCancelled,
+}) {
+  const { limit = 10, category, skipEnhanced = true } = payload;
+
+  const filters = { isActive: true };
+  if (category) filters.category = category;
+  if (skipEnhanced) filters.aiEnhanced = { $ne: true };
+
+  const scholarships = await Scholarship.find(filters)
+    .limit(parseInt(limit))
+    .sort({ createdAt: -1 });
+
+  logger.info(`Bulk enhancing ${scholarships.length} scholarships`);
+
+  const results = {
+    total: scholarships.length,
+    enhanced: 0,
+    failed: 0,
+    errors: [],
+  };
+
+  for (const [index, scholarship] of scholarships.entries()) {
+    checkCancelled();
+
+    try {
+      const enhanced = await geminiAI.enhanceScholarshipContent(
+        scholarship.toObject()
+      );
+
+      await saveEnhancement(scholarship, enhanced, createdBy);
+
+      results.enhanced++;
+      logger.info(`Enhanced: ${scholarship.title}`);
+    } catch (error) {
+      results.failed++;
+      results.errors.push({
+        scholarshipId: scholarship._id,
+        title: scholarship.title,
+        error: error.message,
+      });
+      logger.error(`Failed to enhance ${scholarship.title}:`, error);
+    }
+
+    await reportProgress(
+      percentOf(index + 1, scholarships.length),
+      `Enhanced ${results.enhanced} of ${results.total}`
+    );
+  }
+
+  return results;
+}
+
+/**
+ * Deactivate duplicate scholarships found by Gemini. Payload: { dryRun? }
+ */
+async function cleanupDatabase({
+  payload,
+  createdBy,
+  reportProgress,
+  checkCancelled,
+}) {
+  const { dryRun = true } = payload;
+
+  logger.info(`Starting database cleanup (dry run: ${dryRun})`);
+
+  // Find potential duplicates
+  const allScholarships = await Scholarship.find({ isActive: true });
+  await reportProgress(10, "Looking for duplicates");
+  const duplicates = await geminiAI.detectDuplicateScholarships(
+    allScholarships
+  );
+
+  const results = {
+    dryRun,
+    totalScholarships: allScholarships.length,
+    duplicateGroups: duplicates.length,
+    potentialRemovals: 0,
+    actualRemovals: 0,
+    errors: [],
+  };
+
+  for (const [index, duplicateGroup] of duplicates.entries()) {
+    checkCancelled();
+
+    if (
+      duplicateGroup.confidence > 80 &&
+      duplicateGroup.recommendation === "keep_first"
+    ) {
+      results.potentialRemovals += duplicateGroup.scholarshipIds.length - 1;
+
+      if (!dryRun) {
+        try {
+          // Keep the first scholarship, remove the rest
+          const idsToRemove = duplicateGroup.scholarshipIds.slice(1);
+          const removals = await Scholarship.find({
+            _id: { $in: idsToRemove },
+          });
+          for (const duplicate of removals) {
+            duplicate.set({
+              isActive: false,
+              duplicateOf: duplicateGroup.scholarshipIds[0],
+            });
+            attributeScholarshipChange(duplicate, "gemini-cleanup", createdBy);
+            await duplicate.save();
+          }
+          results.actualRemovals += idsToRemove.length;
+        } catch (error) {
+          results.errors.push({
+            group: duplicateGroup.scholarshipIds,
+            error: error.message,
+          });
+        }
+      }
+    }
+
+    await reportProgress(
+      10 + percentOf(index + 1, duplicates.length) * 0.9,
+      `Checked ${index + 1} of ${duplicates.length} duplicate groups`
+    );
+  }
+
+  return results;
+}
+
+/**
+ * Check scholarship links and try to repair broken ones. Payload:
+ * { scholarshipIds?: string[], limit? }; without ids, links not checked
+ * in the last 30 days are validated.
+ */
+async function validateLinks({ payload, reportProgress, checkCancelled }) {
+  const { scholarshipIds, limit = 100 } = payload;
+
+  const scholarships = scholarshipIds
+    ? await Scholarship.find({ _id: { $in: scholarshipIds } })
+    : await Scholarship.find({
+        $or: [
+          { lastValidated: { $lt: new Date(Date.now() - STALE_LINK_MS) } },
+          { lastValidated: { $exists: false } },
+        ],
+      }).limit(limit);
+
+  const results = [];
+
+  for (const [index, scholarship] of scholarships.entries()) {
+    checkCancelled();
+
+    const entry = {
+      id: scholarship._id,
+      title: scholarship.title,
+      originalLink: scholarship.applicationLink,
+    };
+
+    try {
+      const validation = await linkFixer.validateScholarshipLinks(scholarship);
+      scholarship.offDomainLink = validation.offOfficialDomain;
+
+      if (validation.applicationLinkValid) {
+        scholarship.lastValidated = new Date();
+        await scholarship.save();
+        results.push({ ...entry, status: "already_valid", validation });
+      } else {
+        const repair = await linkFixer.handleBrokenLink(
+          scholarship,
+          validation.errors[0] || "Application link not accessible"
+        );
+        results.push({
+          ...entry,
+          status: repair.repaired ? "fixed" : "not_fixable",
+          newLink: repair.newUrl,
+          error: repair.error,
+          validation,
+        });
+      }
+    } catch (error) {
+      logger.error(`Error validating scholarship ${scholarship._id}:`, error);
+      results.push({ ...entry, status: "error", error: error.message });
+    }
+
+    await reportProgress(
+      percentOf(index + 1, scholarships.length),
+      `Checked ${index + 1} of ${scholarships.length} links`
+    );
+  }
+
+  const count = (status) =>
+    results.filter((result) => result.status === status).length;
+
+  return {
+    results,
+    summary: {
+      total: scholarships.length,
+      notFound: scholarshipIds
+        ? scholarshipIds.length - scholarships.length
+        : 0,
+      alreadyValid: count("already_valid"),
+      fixed: count("fixed"),
+      notFixable: count("not_fixable"),
+      errors: count("error"),
+      offDomain: results.filter(
+        (result) => result.validation?.offOfficialDomain
+      ).length,
+    },
+  };
+}
+
+/**
+ * Merge duplicate scholarships that score high enough to need no review.
+ * Payload: { minScore?, trigger? }
+ */
+async function resolveEntities({
+  payload,
+  createdBy,
+  reportProgress,
+  isCancelled,
+  checkCancelled,
+}) {
+  const results = await resolveDuplicates({
+    minScore: payload.minScore,
+    actor: createdBy,
+    shouldStop: isCancelled,
+    onProgress: (done, total) =>
+      reportProgress(
+        percentOf(done, total),
+        `Checked ${done} of ${total} duplicate groups`
+      ),
+  });
+  checkCancelled();
+  return results;
+}
+
+/**
+ * Re-link scholarships to the provider directory after providers change.
+ * Payload: { trigger? }
+ */
+async function linkProviders({ reportProgress, checkCancelled }) {
+  // The worker may run in another process than the admin who edited
+  await loadProviderDirectory();
+  const results = await linkScholarshipProviders({
+    onProgress: (done, total) => {
+      checkCancelled();
+      return reportProgress(
+        percentOf(done, total),
+        `Linked ${done} of ${total} scholarships`
+      );
+    },
+  });
+  return results;
+}
+
+/**
+ * Check saved searches for scholarships added since their last check and
+ * send the alerts right away rather than at the next hourly delivery.
+ * Payload: { trigger? }
+ */
+async function savedSearchAlerts({ reportProgress, checkCancelled }) {
+  const results = await evaluateSavedSearches({
+    onProgress: (done, total) => {
+      checkCancelled();
+      return reportProgress(
+        percentOf(done, total),
+        `Checked saved searches of ${done} of ${total} users`
+      );
+    },
+  });
+  const delivery = await deliverPendingReminders();
+  return { ...results, delivery };
+}
+
+/**
+ * Register every job type; call once before starting the worker or
+ * enqueueing jobs
+ */
+export function registerJobHandlers() {
+  // Failing sources are recorded per run and do not fail the pass, so a
+  // retry only follows a pass that could not start at all
+  registerJobHandler("scrape", scrape, { maxAttempts: 2 });
+  registerJobHandler("gemini-bulk-enhance", bulkEnhance, {
+    maxAttempts: 2,
+    backoffMs: 60 * 1000,
+  });
+  registerJobHandler("gemini-cleanup", cleanupDatabase, { maxAttempts: 2 });
+  registerJobHandler("validate-links", validateLinks);
+  registerJobHandler("resolve-entities", resolveEntities);
+  registerJobHandler("link-providers", linkProviders);
+  registerJobHandler("saved-search-alerts", savedSearchAlerts);
+}
+
+export default { registerJobHandlers };
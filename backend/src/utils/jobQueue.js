@@ -0,0 +1,372 @@
+/**
+ * JOB QUEUE
+ *
+ * MongoDB-backed queue for long-running work (scraping, AI enhancement,
+ * link validation) so it survives restarts and never runs twice at once.
+ *
+ * - Handlers are registered per job type with `registerJobHandler`.
+ * - `enqueueJob` stores a job; a `dedupeKey` makes repeated triggers return
+ *   the job already queued or running instead of starting another.
+ * - Workers claim the highest-priority due job by taking a lease and renew
+ *   it while the handler runs. A job whose lease expires (worker crashed or
+ *   restarted) is claimed again by the next worker.
+ * - Failed jobs are retried with exponential backoff up to `maxAttempts`.
+ * - Cancelling a queued job is immediate; a running job is asked to stop
+ *   and its handler ends at the next `checkCancelled()`.
+ *
+ * @description Durable background job queue with leases and retries
+ * @author Scholarship Portal Team
+ * @version 1.0.0
+ * @created 2026-10-19
+ */
+
+import os from "os";
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Job from "../models/Job.js";
+import { logger } from "./logger.js";
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto
+  .randomBytes(3)
+  .toString("hex")}`;
+
+// A worker renews its lease every third of this while a job runs
+const LEASE_MS = 2 * 60 * 1000;
+const DEFAULT_BACKOFF_MS = 30 * 1000;
+const ACTIVE_STATUSES = ["queued", "running"];
+
+const handlers = new Map();
+
+/**
+ * Thrown by `checkCancelled()` to end a job that was asked to stop
+ */
+export class JobCancelledError extends Error {
+  constructor() {
+    super("Job was cancelled");
+    this.name = "JobCancelledError";
+  }
+}
+
+/**
+ * Register the function that runs jobs of a type
+ *
+ * @param {string} type - Job type, e.g. "scrape"
+ * @param {Function} handler - async (context) => result; see runJob for the
+ *   context passed in
+ * @param {Object} [options]
+ * @param {number} [options.maxAttempts=3] - Tries before the job fails
+ * @param {number} [options.backoffMs=30000] - Delay before the first retry;
+ *   doubled for each further retry
+ */
+export function registerJobHandler(
+  type,
+  handler,
+  { maxAttempts = 3, backoffMs = DEFAULT_BACKOFF_MS } = {}
+) {
+  handlers.set(type, { handler, maxAttempts, backoffMs });
+}
+
+export const getJobTypes = () => [...handlers.keys()];
+
+/**
+ * Add a job to the queue
+ *
+ * @param {string} type - Registered job type
+ * @param {Object} [payload] - Input for the handler
+ * @param {Object} [options]
+ * @param {number} [options.priority=2] - 1 runs first, 3 last
+ * @param {string} [options.dedupeKey] - Return the active job with this key
+ *   instead of queueing another
+ * @param {string} [options.createdBy] - User who asked for the job
+ * @param {Date} [options.runAt] - Do not start before this time
+ * @returns {Promise<Object>} { job, deduplicated }
+ */
+export async function enqueueJob(
+  type,
+  payload = {},
+  { priority = 2, dedupeKey, createdBy, runAt } = {}
+) {
+  const registered = handlers.get(type);
+  if (!registered) throw new Error(`Unknown job type "${type}"`);
+
+  const findActive = () =>
+    Job.findOne({ dedupeKey, status: { $in: ACTIVE_STATUSES } });
+
+  if (dedupeKey) {
+    const existing = await findActive();
+    if (existing) return { job: existing, deduplicated: true };
+  }
+
+  let job;
+  try {
+    job = await Job.create({
+      type,
+      payload,
+      priority,
+      dedupeKey,
+      createdBy,
+      runAt: runAt || new Date(),
+      maxAttempts: registered.maxAttempts,
+    });
+  } catch (error) {
+    // Another enqueue with the same key won the race (unique index)
+    if (error.code !== 11000 || !dedupeKey) throw error;
+    const existing = await findActive();
+    if (!existing) throw error;
+    return { job: existing, deduplicated: true };
+  }
+
+  logger.info(`📥 Queued ${type} job ${job._id}`);
+  // Start right away when this process runs a worker
+  setImmediate(pollJobs);
+  return { job, deduplicated: false };
+}
+
+/**
+ * Take the lease on the next due job: queued jobs by priority and age, or a
+ * running job whose worker stopped renewing its lease
+ */
+function claimNextJob() {
+  const now = new Date();
+
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: getJobTypes() },
+      $or: [
+        { status: "queued", runAt: { $lte: now } },
+        { status: "running", lockedUntil: { $lt: now } },
+      ],
+    },
+    {
+      $set: {
+        status: "running",
+        lockedBy: WORKER_ID,
+        lockedUntil: new Date(now.getTime() + LEASE_MS),
+        startedAt: now,
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { priority: 1, runAt: 1, createdAt: 1 }, new: true }
+  );
+}
+
+// Update a job only while this worker still holds its lease
+const updateOwnJob = (job, update) =>
+  Job.findOneAndUpdate({ _id: job._id, lockedBy: WORKER_ID }, update, {
+    new: true,
+  });
+
+const finishJob = (job, status, fields) =>
+  updateOwnJob(job, {
+    $set: { status, finishedAt: new Date(), ...fields },
+    $unset: { lockedBy: 1, lockedUntil: 1 },
+  });
+
+/**
+ * Run a claimed job. The handler receives a context with:
+ * - job, payload, createdBy
+ * - reportProgress(percent, message): store progress and renew the lease
+ * - isCancelled(): whether a stop was requested
+ * - checkCancelled(): throw JobCancelledError if a stop was requested
+ */
+async function runJob(job) {
+  const { handler, backoffMs } = handlers.get(job.type);
+  const state = { cancelled: job.cancelRequested, leaseLost: false };
+
+  // A job that kept losing its worker is not retried forever
+  if (job.attempts > job.maxAttempts || state.cancelled) {
+    await finishJob(
+      job,
+      state.cancelled ? "cancelled" : "failed",
+      state.cancelled
+        ? {}
+        : { error: `Worker lost after ${job.maxAttempts} attempts` }
+    );
+    return;
+  }
+
+  const renew = async (fields = {}) => {
+    const current = await updateOwnJob(job, {
+      $set: { lockedUntil: new Date(Date.now() + LEASE_MS), ...fields },
+    });
+    if (!current) {
+      // Another worker took over; stop at the next checkpoint
+      state.leaseLost = true;
+      state.cancelled = true;
+      return;
+    }
+    state.cancelled = current.cancelRequested;
+  };
+
+  const context = {
+    job,
+    payload: job.payload || {},
+    createdBy: job.createdBy,
+    reportProgress: (percent, message) =>
+      renew({
+        "progress.percent": Math.max(0, Math.min(100, Math.round(percent))),
+        "progress.message": message,
+      }),
+    isCancelled: () => state.cancelled,
+    checkCancelled: () => {
+      if (state.cancelled) throw new JobCancelledError();
+    },
+  };
+
+  const heartbeat = setInterval(
+    () =>
+      renew().catch((error) =>
+        logger.warn(`Lease renewal failed for job ${job._id}`, {
+          error: error.message,
+        })
+      ),
+    LEASE_MS / 3
+  );
+
+  logger.info(
+    `⚙️ Running ${job.type} job ${job._id} (attempt ${job.attempts})`
+  );
+
+  try {
+    const result = await handler(context);
+    await finishJob(job, "succeeded", {
+      result,
+      error: null,
+      "progress.percent": 100,
+    });
+    logger.info(`✅ Job ${job._id} succeeded`);
+  } catch (error) {
+    if (state.leaseLost) {
+      logger.warn(`Job ${job._id} was taken over by another worker`);
+    } else if (error instanceof JobCancelledError) {
+      await finishJob(job, "cancelled", {});
+      logger.info(`🛑 Job ${job._id} cancelled`);
+    } else if (job.attempts < job.maxAttempts) {
+      const delay = backoffMs * 2 ** (job.attempts - 1);
+      await updateOwnJob(job, {
+        $set: {
+          status: "queued",
+          error: error.message,
+          runAt: new Date(Date.now() + delay),
+        },
+        $unset: { lockedBy: 1, lockedUntil: 1 },
+      });
+      logger.warn(`Job ${job._id} failed, retrying in ${delay}ms`, {
+        error: error.message,
+      });
+    } else {
+      await finishJob(job, "failed", { error: error.message });
+      logger.error(`❌ Job ${job._id} failed`, { error: error.message });
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+let pollTimer = null;
+let polling = false;
+
+/**
+ * Run due jobs one after another until none are left. One job at a time per
+ * process keeps scrapers from competing for the same sites.
+ */
+async function pollJobs() {
+  if (!pollTimer || polling || mongoose.connection.readyState !== 1) return;
+  polling = true;
+
+  try {
+    let job;
+    while (pollTimer && (job = await claimNextJob())) {
+      await runJob(job);
+    }
+  } catch (error) {
+    logger.error("Job worker error:", { error: error.message });
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Start processing jobs in this process
+ *
+ * @param {Object} [options]
+ * @param {number} [options.pollMs=5000] - How often to look for due jobs
+ */
+export function startJobWorker({ pollMs = 5000 } = {}) {
+  if (pollTimer) return;
+  pollTimer = setInterval(pollJobs, pollMs);
+  logger.info(`👷 Job worker ${WORKER_ID} started`);
+  pollJobs();
+}
+
+/**
+ * Stop claiming new jobs; a job already running finishes first
+ */
+export function stopJobWorker() {
+  clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+/**
+ * Cancel a job: queued jobs stop at once, running jobs are asked to stop
+ *
+ * @returns {Promise<Object|null>} The job, or null if it does not exist
+ */
+export async function cancelJob(id) {
+  const queued = await Job.findOneAndUpdate(
+    { _id: id, status: "queued" },
+    { $set: { status: "cancelled", finishedAt: new Date() } },
+    { new: true }
+  );
+  if (queued) return queued;
+
+  const running = await Job.findOneAndUpdate(
+    { _id: id, status: "running" },
+    { $set: { cancelRequested: true } },
+    { new: true }
+  );
+  return running || Job.findById(id);
+}
+
+/**
+ * Response body for an endpoint that queued a job: 202 with the id to poll
+ * at /api/jobs/:id
+ *
+ * @param {Object} queued - Result of enqueueJob
+ * @param {string} message - What was queued, e.g. "Scraping queued"
+ */
+export const queuedJobResponse = ({ job, deduplicated }, message) => ({
+  success: true,
+  message: deduplicated ? `${message} (already in progress)` : message,
+  data: {
+    jobId: job._id,
+    type: job.type,
+    status: job.status,
+    deduplicated,
+  },
+});
+
+export const getJob = (id) => Job.findById(id).lean();
+
+/**
+ * Recent jobs, newest first
+ */
+export function listJobs({ type, status, limit = 50 } = {}) {
+  const filter = {};
+  if (type) filter.type = type;
+  if (status) filter.status = status;
+  return Job.find(filter).sort({ createdAt: -1 }).limit(limit).lean();
+}
+
+export default {
+  JobCancelledError,
+  registerJobHandler,
+  getJobTypes,
+  enqueueJob,
+  startJobWorker,
+  stopJobWorker,
+  cancelJob,
+  queuedJobResponse,
+  getJob,
+  listJobs,
+};
@@ -0,0 +1,158 @@
+/**
+ * MAIL TRANSPORT
+ *
+ * Pluggable delivery for outgoing email. SMTP is used in production; the
+ * file transport writes each message to an outbox folder and the console
+ * transport logs it, so notification flows can be checked locally without
+ * a mail server.
+ *
+ * Selected with MAIL_TRANSPORT=smtp|file|console (defaults to smtp when
+ * SMTP_HOST is set, console otherwise).
+ *
+ * @description Email transports for notifications
+ * @author Scholarship Portal Team
+ * @version 1.0.0
+ * @created 2026-10-19
+ */
+
+import fs from "fs";
+import path from "path";
+import nodemailer from "nodemailer";
+import { logger } from "./logger.js";
+
+const DEFAULT_FROM = "ScholarWise India <no-reply@scholarwise.in>";
+
+/**
+ * SMTP transport backed by nodemailer
+ */
+export function createSmtpTransport({
+  host = process.env.SMTP_HOST,
+  port = parseInt(process.env.SMTP_PORT || "587"),
+  user = process.env.SMTP_USER,
+  pass = process.env.SMTP_PASS,
+} = {}) {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure: port === 465,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: "smtp",
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+}
+
+/**
+ * Writes every message as JSON into an outbox directory
+ */
+export function createFileTransport({
+  directory = process.env.MAIL_OUTBOX_DIR ||
+    path.join(process.cwd(), "logs", "outbox"),
+} = {}) {
+  return {
+    name: "file",
+    directory,
+    async send(message) {
+      await fs.promises.mkdir(directory, { recursive: true });
+
+      const messageId = `${Date.now()}-${Math.random()
+        .toString(36)
+        .slice(2, 10)}`;
+      const filePath = path.join(directory, `${messageId}.json`);
+      await fs.promises.writeFile(
+        filePath,
+        JSON.stringify({ messageId, date: new Date(), ...message }, null, 2)
+      );
+
+      return { messageId, filePath };
+    },
+  };
+}
+
+/**
+ * Logs the message instead of sending it. Bodies carry verification and
+ * reset links, so only the recipient, subject and ID are logged unless
+ * the console transport was chosen explicitly or MAIL_LOG_BODY=true is set
+ * outside production.
+ */
+export function createConsoleTransport({
+  logBody = process.env.MAIL_TRANSPORT === "console" ||
+    (process.env.MAIL_LOG_BODY === "true" &&
+      process.env.NODE_ENV !== "production"),
+} = {}) {
+  return {
+    name: "console",
+    async send(message) {
+      const messageId = `console-${Date.now()}`;
+      logger.info("📧 Email (console transport)", {
+        to: message.to,
+        subject: message.subject,
+        messageId,
+        ...(logBody && { text: message.text }),
+      });
+      return { messageId };
+    },
+  };
+}
+
+const TRANSPORT_FACTORIES = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
+
+let activeTransport = null;
+
+/**
+ * Transport chosen by MAIL_TRANSPORT, created on first use
+ */
+export function getMailTransport() {
+  if (!activeTransport) {
+    const name =
+      process.env.MAIL_TRANSPORT ||
+      (process.env.SMTP_HOST ? "smtp" : "console");
+    const factory = TRANSPORT_FACTORIES[name];
+
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    activeTransport = factory();
+    logger.info(`📮 Mail transport: ${activeTransport.name}`);
+  }
+  return activeTransport;
+}
+
+/**
+ * Replace the transport, e.g. with a custom provider
+ * @param {Object} transport - Object with an async send(message) method
+ */
+export function setMailTransport(transport) {
+  activeTransport = transport;
+}
+
+/**
+ * Send an email through the active transport
+ *
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Object} { messageId }
+ */
+export async function sendMail(message) {
+  return getMailTransport().send({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    ...message,
+  });
+}
+
+export default {
+  sendMail,
+  getMailTransport,
+  setMailTransport,
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport,
+};
@@ -0,0 +1,142 @@
+/**
+ * PROGRESS EVENTS
+ *
+ * In-process event bus for long-running scraping sessions, streamed to the
+ * admin dashboard over Server-Sent Events.
+ *
+ * Events are published on a channel ("ai-session" for AI-enhanced
+ * sessions, "scraping" for registry scraper passes) and share one shape:
+ * { id, channel, sessionId, type, data, timestamp }. Types are
+ * session-started, phase, site-started, site-finished, scholarships-found,
+ * error and session-finished; `data.progress` carries a percentage when
+ * the publisher knows one.
+ *
+ * The most recent events are kept so a client that reconnects with
+ * Last-Event-ID receives what it missed.
+ *
+ * @description Progress event bus and SSE streaming
+ * @author Scholarship Portal Team
+ * @version 1.0.0
+ * @created 2026-10-19
+ */
+
+import { EventEmitter } from "events";
+
+export const PROGRESS_CHANNELS = ["ai-session", "scraping"];
+
+// Enough to replay a whole session to a client that connects late
+const RECENT_LIMIT = 500;
+// Comment lines keep proxies from closing an idle stream
+const HEARTBEAT_MS = 25 * 1000;
+
+const emitter = new EventEmitter();
+// One listener per open dashboard stream
+emitter.setMaxListeners(0);
+
+const recentEvents = [];
+let nextId = 1;
+
+/**
+ * Publish an event to every open stream
+ *
+ * @param {string} channel - One of PROGRESS_CHANNELS
+ * @param {string} sessionId - Session or pass the event belongs to
+ * @param {string} type - Event type, e.g. "site-finished"
+ * @param {Object} [data] - Event details
+ * @returns {Object} The published event
+ */
+export function publishProgress(channel, sessionId, type, data = {}) {
+  const event = {
+    id: nextId++,
+    channel,
+    sessionId,
+    type,
+    data,
+    timestamp: new Date().toISOString(),
+  };
+
+  recentEvents.push(event);
+  if (recentEvents.length > RECENT_LIMIT) recentEvents.shift();
+
+  emitter.emit("event", event);
+  return event;
+}
+
+/**
+ * Listen to published events
+ *
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeProgress(listener) {
+  emitter.on("event", listener);
+  return () => emitter.off("event", listener);
+}
+
+/**
+ * Kept events published after `afterId`. An id from before a server
+ * restart is ahead of the counter, so everything kept is returned.
+ */
+export function getRecentEvents(afterId = 0) {
+  const after = afterId < nextId ? afterId : 0;
+  return recentEvents.filter((event) => event.id > after);
+}
+
+/**
+ * Serve progress events as a Server-Sent Events stream until the client
+ * disconnects. A Last-Event-ID header replays kept events after that id
+ * ("0" replays all of them); without it only new events are sent.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} [options]
+ * @param {string[]} [options.channels] - Only events of these channels
+ */
+export function streamProgress(
+  req,
+  res,
+  { channels = PROGRESS_CHANNELS } = {}
+) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    // Stop nginx from buffering the stream
+    "X-Accel-Buffering": "no",
+  });
+
+  const send = (event) => {
+    if (!channels.includes(event.channel)) return;
+    res.write(
+      `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(
+        event
+      )}\n\n`
+    );
+  };
+
+  // Tell EventSource-style clients how long to wait before reconnecting
+  res.write("retry: 3000\n\n");
+
+  const lastEventId = req.headers["last-event-id"];
+  if (lastEventId !== undefined) {
+    getRecentEvents(parseInt(lastEventId) || 0).forEach(send);
+  }
+
+  const unsubscribe = subscribeProgress(send);
+  const heartbeat = setInterval(
+    () => res.write(": heartbeat\n\n"),
+    HEARTBEAT_MS
+  );
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+}
+
+export default {
+  PROGRESS_CHANNELS,
+  publishProgress,
+  subscribeProgress,
+  getRecentEvents,
+  streamProgress,
+};
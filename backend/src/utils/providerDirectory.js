@@ -0,0 +1,259 @@
+/**
+ * PROVIDER DIRECTORY
+ *
+ * The bodies that award scholarships (ministries, state departments,
+ * universities, PSUs, CSR programmes and trusts) with their aliases and
+ * official domains. Active providers are cached in memory so the
+ * Scholarship model can link each save to its provider without a query.
+ *
+ * A scholarship is linked by its `provider` text (name or alias) and,
+ * failing that, by the domain of its application link. Link validation
+ * uses the official domains to flag application links that point
+ * somewhere else, such as an aggregator or a look-alike site.
+ *
+ * @description Provider matching and official-domain checks
+ * @author Scholarship Portal Team
+ * @version 1.0.0
+ * @created 2026-10-19
+ */
+
+import Joi from "joi";
+import mongoose from "mongoose";
+import { DEFAULT_PROVIDERS } from "../config/providers.js";
+import Provider, { PROVIDER_TYPES } from "../models/Provider.js";
+import { linkDomain, normalizeProviderName } from "./entityResolution.js";
+import { logger } from "./logger.js";
+
+const BATCH_SIZE = 500;
+
+let providers = [];
+let loaded = false;
+
+const domainPattern = Joi.string()
+  .lowercase()
+  .pattern(/^[a-z0-9-]+(\.[a-z0-9-]+)+$/)
+  .message("officialDomains must be bare host names like example.gov.in");
+
+const providerSchema = Joi.object({
+  name: Joi.string().min(2).max(150),
+  type: Joi.string().valid(...PROVIDER_TYPES),
+  aliases: Joi.array().items(Joi.string().min(2).max(150)).max(20),
+  officialDomains: Joi.array().items(domainPattern).max(20),
+  website: Joi.string().uri().allow(""),
+  logoUrl: Joi.string().uri().allow(""),
+  description: Joi.string().max(1000).allow(""),
+  contact: Joi.object({
+    email: Joi.string().email().allow(""),
+    phone: Joi.string().max(30).allow(""),
+    address: Joi.string().max(300).allow(""),
+  }),
+  official: Joi.boolean(),
+  isActive: Joi.boolean(),
+});
+
+/**
+ * Validate provider fields from an admin request
+ *
+ * @param {Object} data - Request body
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Updates may omit the name
+ * @returns {Object} { error, value }
+ */
+export function validateProviderData(data, { partial = false } = {}) {
+  const schema = partial
+    ? providerSchema
+    : providerSchema.fork(["name"], (field) => field.required());
+  const { error, value } = schema.validate(data, { stripUnknown: true });
+  return { error: error?.details[0].message || null, value };
+}
+
+/**
+ * URL key for a provider name: "Ministry of Minority Affairs" ->
+ * "ministry-of-minority-affairs"
+ */
+export const slugify = (name) => normalizeProviderName(name).replace(/ /g, "-");
+
+const onDomains = (domain, officialDomains) =>
+  officialDomains.some(
+    (official) => domain === official || domain.endsWith(`.${official}`)
+  );
+
+/**
+ * Insert the default providers that are missing; existing ones are left
+ * as admins edited them
+ *
+ * @returns {Promise<number>} Providers added
+ */
+export async function seedProviders() {
+  const result = await Provider.bulkWrite(
+    DEFAULT_PROVIDERS.map((provider) => {
+      const slug = slugify(provider.name);
+      return {
+        updateOne: {
+          filter: { slug },
+          update: { $setOnInsert: { ...provider, slug } },
+          upsert: true,
+        },
+      };
+    }),
+    { ordered: false }
+  );
+
+  if (result.upsertedCount > 0) {
+    logger.info(`🏛️ Added ${result.upsertedCount} default providers`);
+  }
+  return result.upsertedCount;
+}
+
+/**
+ * (Re)load active providers into the cache; call after changing providers
+ */
+export async function loadProviderDirectory() {
+  // Scripts may run without a database; nothing is linked then
+  if (mongoose.connection.readyState !== 1) return providers;
+
+  const records = await Provider.find({ isActive: true }).lean();
+  providers = records.map((provider) => ({
+    ...provider,
+    names: [provider.name, ...provider.aliases]
+      .map(normalizeProviderName)
+      .filter(Boolean)
+      // Longest first, so "Indian Oil Corporation" beats "Indian Oil"
+      .sort((a, b) => b.length - a.length),
+  }));
+  loaded = true;
+  return providers;
+}
+
+export const isProviderDirectoryLoaded = () => loaded;
+
+// Active providers as last loaded
+export const getProviderDirectory = () => providers;
+
+const findByName = (provider) => {
+  const name = normalizeProviderName(provider);
+  if (!name) return null;
+
+  const exact = providers.find(({ names }) => names.includes(name));
+  if (exact) return exact;
+
+  const padded = ` ${name} `;
+  return (
+    providers.find(({ names }) =>
+      names.some((alias) => padded.includes(` ${alias} `))
+    ) || null
+  );
+};
+
+/**
+ * Directory entry for a scholarship: by provider name or alias, else by
+ * the official domain its application link is on
+ *
+ * @param {Object} scholarship - { provider, applicationLink }
+ * @returns {Object|null} Cached provider
+ */
+export function matchProvider({ provider, applicationLink } = {}) {
+  const byName = findByName(provider);
+  if (byName) return byName;
+
+  const domain = linkDomain(applicationLink);
+  if (!domain) return null;
+  return (
+    providers.find(({ officialDomains }) =>
+      onDomains(domain, officialDomains)
+    ) || null
+  );
+}
+
+/**
+ * Whether a scholarship's application link is on its provider's official
+ * domains
+ *
+ * @param {Object} scholarship - { provider, providerId, applicationLink }
+ * @returns {Object} { provider, officialDomains, domain, onOfficialDomain }
+ *   where onOfficialDomain is null when the provider is unknown or has no
+ *   official domains on record
+ */
+export function checkOfficialDomain({ provider, providerId, applicationLink }) {
+  // The link itself must not decide which provider it is checked against
+  const entry =
+    (providerId &&
+      providers.find(({ _id }) => String(_id) === String(providerId))) ||
+    findByName(provider);
+  const domain = linkDomain(applicationLink);
+
+  if (!entry || entry.officialDomains.length === 0) {
+    return {
+      provider: entry?.name || null,
+      officialDomains: [],
+      domain,
+      onOfficialDomain: null,
+    };
+  }
+
+  return {
+    provider: entry.name,
+    officialDomains: entry.officialDomains,
+    domain,
+    onOfficialDomain:
+      Boolean(domain) && onDomains(domain, entry.officialDomains),
+  };
+}
+
+/**
+ * Re-link every scholarship to the current directory, e.g. after a
+ * provider was added or its aliases changed
+ *
+ * @returns {Promise<Object>} { scanned, updated }
+ */
+export async function linkScholarshipProviders({ onProgress } = {}) {
+  // Looked up by name: the Scholarship model itself uses this module
+  const Scholarship = mongoose.model("Scholarship");
+  const total = await Scholarship.estimatedDocumentCount();
+  const cursor = Scholarship.find()
+    .select("provider applicationLink providerId")
+    .lean()
+    .cursor();
+
+  let scanned = 0;
+  let updated = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    const result = await Scholarship.bulkWrite(operations, { ordered: false });
+    updated += result.modifiedCount;
+    operations = [];
+    await onProgress?.(scanned, total);
+  };
+
+  for await (const scholarship of cursor) {
+    scanned++;
+    const providerId = matchProvider(scholarship)?._id || null;
+    if (String(providerId) === String(scholarship.providerId ?? null)) continue;
+
+    operations.push({
+      updateOne: {
+        filter: { _id: scholarship._id },
+        update: { $set: { providerId } },
+      },
+    });
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  logger.info("🏛️ Provider linking completed", { scanned, updated });
+  return { scanned, updated };
+}
+
+export default {
+  validateProviderData,
+  slugify,
+  seedProviders,
+  loadProviderDirectory,
+  isProviderDirectoryLoaded,
+  getProviderDirectory,
+  matchProvider,
+  checkOfficialDomain,
+  linkScholarshipProviders,
+};
@@ -0,0 +1,563 @@
+/**
+ * QUERY NORMALIZER
+ *
+ * Reads search terms the way students type them. Devanagari, Bengali and
+ * Tamil text is transliterated to Latin letters, and words are compared
+ * by a phonetic key that smooths over common spelling differences
+ * ("chhatravritti" / "chatravriti", "wazifa" / "vazifa"), with a small
+ * edit distance allowed on longer words.
+ *
+ * Recognised acronyms, synonyms and Indian-language words are expanded
+ * from the search dictionary (config/searchSynonyms.js plus admin edits),
+ * which is cached in memory like the provider directory.
+ *
+ * @description Transliteration, spelling tolerance and synonym expansion
+ * @author Scholarship Portal Team
+ * @version 1.0.0
+ * @created 2026-10-19
+ */
+
+import Joi from "joi";
+import mongoose from "mongoose";
+import { DEFAULT_SYNONYMS } from "../config/searchSynonyms.js";
+import SearchSynonym, { SYNONYM_KINDS } from "../models/SearchSynonym.js";
+import { logger } from "./logger.js";
+
+// Longest run of words looked up as one dictionary phrase
+const MAX_PHRASE_WORDS = 4;
+// Words shorter than this must match a dictionary key exactly
+const MIN_FUZZY_LENGTH = 5;
+// Too common in listings to narrow a search on their own
+const GENERIC_WORDS = new Set([
+  "scholarship",
+  "scholarships",
+  "scheme",
+  "schemes",
+  "yojana",
+  "portal",
+  "student",
+  "students",
+]);
+
+/**
+ * Letters of each script. Consonants carry an inherent "a" unless a vowel
+ * sign or virama follows; Hindi and Bengali drop it at the end of a word.
+ */
+const SCRIPTS = [
+  {
+    name: "devanagari",
+    dropFinalVowel: true,
+    virama: "्",
+    nukta: "़",
+    vowels: {
+      अ: "a",
+      आ: "a",
+      इ: "i",
+      ई: "i",
+      उ: "u",
+      ऊ: "u",
+      ऋ: "ri",
+      ए: "e",
+      ऐ: "ai",
+      ओ: "o",
+      औ: "au",
+      ऑ: "o",
+    },
+    consonants: {
+      क: "k",
+      ख: "kh",
+      ग: "g",
+      घ: "gh",
+      ङ: "n",
+      च: "ch",
+      छ: "chh",
+      ज: "j",
+      झ: "jh",
+      ञ: "n",
+      ट: "t",
+      ठ: "th",
+      ड: "d",
+      ढ: "dh",
+      ण: "n",
+      त: "t",
+      थ: "th",
+      द: "d",
+      ध: "dh",
+      न: "n",
+      प: "p",
+      फ: "ph",
+      ब: "b",
+      भ: "bh",
+      म: "m",
+      य: "y",
+      र: "r",
+      ल: "l",
+      ळ: "l",
+      व: "v",
+      श: "sh",
+      ष: "sh",
+      स: "s",
+      ह: "h",
+    },
+    // Letters with a nukta; NFC always writes the nukta separately
+    nuktaForms: { क: "q", ज: "z", ड: "r", ढ: "rh", फ: "f", य: "y" },
+    signs: {
+      "ा": "a",
+      "ि": "i",
+      "ी": "i",
+      "ु": "u",
+      "ू": "u",
+      "ृ": "ri",
+      "े": "e",
+      "ै": "ai",
+      "ो": "o",
+      "ौ": "au",
+      "ॅ": "e",
+      "ॉ": "o",
+    },
+    marks: { "ँ": "n", "ं": "n", "ः": "h" },
+    zero: 0x0966,
+  },
+  {
+    name: "bengali",
+    dropFinalVowel: true,
+    virama: "্",
+    nukta: "়",
+    vowels: {
+      অ: "a",
+      আ: "a",
+      ই: "i",
+      ঈ: "i",
+      উ: "u",
+      ঊ: "u",
+      ঋ: "ri",
+      এ: "e",
+      ঐ: "oi",
+      ও: "o",
+      ঔ: "ou",
+    },
+    consonants: {
+      ক: "k",
+      খ: "kh",
+      গ: "g",
+      ঘ: "gh",
+      ঙ: "ng",
+      চ: "ch",
+      ছ: "chh",
+      জ: "j",
+      ঝ: "jh",
+      ঞ: "n",
+      ট: "t",
+      ঠ: "th",
+      ড: "d",
+      ঢ: "dh",
+      ণ: "n",
+      ত: "t",
+      থ: "th",
+      দ: "d",
+      ধ: "dh",
+      ন: "n",
+      প: "p",
+      ফ: "ph",
+      ব: "b",
+      ভ: "bh",
+      ম: "m",
+      য: "j",
+      র: "r",
+      ল: "l",
+      শ: "sh",
+      ষ: "sh",
+      স: "s",
+      হ: "h",
+      ৎ: "t",
+    },
+    nuktaForms: { ড: "r", ঢ: "rh", য: "y" },
+    signs: {
+      "া": "a",
+      "ি": "i",
+      "ী": "i",
+      "ু": "u",
+      "ূ": "u",
+      "ৃ": "ri",
+      "ে": "e",
+      "ৈ": "oi",
+      "ো": "o",
+      "ৌ": "ou",
+    },
+    marks: { "ঁ": "n", "ং": "ng", "ঃ": "h" },
+    zero: 0x09e6,
+  },
+  {
+    name: "tamil",
+    dropFinalVowel: false,
+    virama: "்",
+    vowels: {
+      அ: "a",
+      ஆ: "a",
+      இ: "i",
+      ஈ: "i",
+      உ: "u",
+      ஊ: "u",
+      எ: "e",
+      ஏ: "e",
+      ஐ: "ai",
+      ஒ: "o",
+      ஓ: "o",
+      ஔ: "au",
+    },
+    consonants: {
+      க: "k",
+      ங: "ng",
+      ச: "ch",
+      ஞ: "nj",
+      ட: "t",
+      ண: "n",
+      த: "th",
+      ந: "n",
+      ப: "p",
+      ம: "m",
+      ய: "y",
+      ர: "r",
+      ல: "l",
+      வ: "v",
+      ழ: "zh",
+      ள: "l",
+      ற: "r",
+      ன: "n",
+      ஜ: "j",
+      ஷ: "sh",
+      ஸ: "s",
+      ஹ: "h",
+    },
+    nuktaForms: {},
+    signs: {
+      "ா": "a",
+      "ி": "i",
+      "ீ": "i",
+      "ு": "u",
+      "ூ": "u",
+      "ெ": "e",
+      "ே": "e",
+      "ை": "ai",
+      "ொ": "o",
+      "ோ": "o",
+      "ௌ": "au",
+    },
+    marks: { ஃ: "h" },
+    zero: 0x0be6,
+  },
+];
+
+const scriptOf = (char) =>
+  SCRIPTS.find(
+    (script) =>
+      char in script.vowels ||
+      char in script.consonants ||
+      char in script.signs ||
+      char in script.marks ||
+      char === script.virama ||
+      char === script.nukta ||
+      (char.charCodeAt(0) >= script.zero &&
+        char.charCodeAt(0) <= script.zero + 9)
+  );
+
+/**
+ * Transliterate Devanagari, Bengali and Tamil text to Latin letters;
+ * anything else is kept as it is
+ *
+ * @param {string} text
+ * @returns {string} e.g. "छात्रवृत्ति" -> "chhatravritti"
+ */
+export function transliterate(text = "") {
+  let output = "";
+  // Script of a consonant still waiting for its inherent vowel
+  let pending = null;
+  let lastConsonant = null;
+
+  const endSyllable = (atWordEnd) => {
+    if (pending && !(atWordEnd && pending.dropFinalVowel)) output += "a";
+    pending = null;
+  };
+
+  for (const char of text.normalize("NFC")) {
+    const script = scriptOf(char);
+
+    if (!script) {
+      endSyllable(true);
+      output += char;
+      continue;
+    }
+
+    const code = char.charCodeAt(0);
+    if (char in script.consonants) {
+      endSyllable(false);
+      output += script.consonants[char];
+      pending = script;
+      lastConsonant = char;
+    } else if (char in script.vowels) {
+      endSyllable(false);
+      output += script.vowels[char];
+    } else if (char in script.signs) {
+      output += script.signs[char];
+      pending = null;
+    } else if (char === script.virama) {
+      pending = null;
+    } else if (char === script.nukta) {
+      const form = script.nuktaForms[lastConsonant];
+      const plain = script.consonants[lastConsonant];
+      if (form && plain && output.endsWith(plain)) {
+        output = output.slice(0, -plain.length) + form;
+      }
+    } else if (char in script.marks) {
+      endSyllable(false);
+      output += script.marks[char];
+    } else if (code >= script.zero && code <= script.zero + 9) {
+      endSyllable(true);
+      output += String(code - script.zero);
+    }
+  }
+  endSyllable(true);
+
+  return output;
+}
+
+/**
+ * Key that spellings of the same word usually share: no spaces, aspirates
+ * and doubled letters folded, "w" read as "v"
+ *
+ * @param {string} text - Latin text
+ * @returns {string} e.g. "Chhatra Vritti" -> "chatravriti"
+ */
+export const phoneticKey = (text = "") =>
+  text
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "")
+    .replace(/chh/g, "ch")
+    .replace(/ph/g, "f")
+    .replace(/([kgjtdb])h/g, "$1")
+    .replace(/sh/g, "s")
+    .replace(/w/g, "v")
+    .replace(/ee/g, "i")
+    .replace(/oo/g, "u")
+    .replace(/(.)\1+/g, "$1");
+
+/**
+ * Levenshtein distance between two strings
+ */
+export function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Edits allowed between a word and a dictionary key of this length
+const maxEdits = (length) => (length >= 8 ? 2 : 1);
+
+const latinPhrase = Joi.string()
+  .trim()
+  .lowercase()
+  .min(2)
+  .max(100)
+  .pattern(/^[a-z0-9][a-z0-9 -]*$/)
+  .message("{#label} must be Latin letters, digits, spaces or hyphens");
+
+const synonymSchema = Joi.object({
+  phrase: latinPhrase,
+  kind: Joi.string().valid(...SYNONYM_KINDS),
+  aliases: Joi.array().items(Joi.string().trim().min(2).max(100)).max(20),
+  expansions: Joi.array().items(latinPhrase).min(1).max(10),
+  isActive: Joi.boolean(),
+});
+
+/**
+ * Validate a dictionary entry from an admin request
+ *
+ * @param {Object} data - Request body
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Updates may omit fields
+ * @returns {Object} { error, value }
+ */
+export function validateSynonymData(data, { partial = false } = {}) {
+  const schema = partial
+    ? synonymSchema
+    : synonymSchema.fork(["phrase", "expansions"], (field) => field.required());
+  const { error, value } = schema.validate(data, { stripUnknown: true });
+  return { error: error?.details[0].message || null, value };
+}
+
+// Dictionary entries by phonetic key of their phrase and aliases
+const buildIndex = (records) => {
+  const byKey = new Map();
+  for (const record of records) {
+    if (record.isActive === false) continue;
+    for (const spelling of [record.phrase, ...(record.aliases || [])]) {
+      const key = phoneticKey(transliterate(spelling));
+      if (key && !byKey.has(key)) byKey.set(key, record);
+    }
+  }
+  return byKey;
+};
+
+// The defaults until the database copy is loaded, e.g. in scripts
+let dictionary = buildIndex(DEFAULT_SYNONYMS);
+
+/**
+ * Insert the default entries that are missing; existing ones are left as
+ * admins edited them
+ *
+ * @returns {Promise<number>} Entries added
+ */
+export async function seedSearchSynonyms() {
+  const result = await SearchSynonym.bulkWrite(
+    DEFAULT_SYNONYMS.map((entry) => ({
+      updateOne: {
+        filter: { phrase: entry.phrase },
+        update: { $setOnInsert: entry },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+
+  if (result.upsertedCount > 0) {
+    logger.info(`🔤 Added ${result.upsertedCount} default search synonyms`);
+  }
+  return result.upsertedCount;
+}
+
+/**
+ * (Re)load active dictionary entries into the cache; call after changing
+ * them
+ */
+export async function loadSearchSynonyms() {
+  if (mongoose.connection.readyState !== 1) return dictionary.size;
+
+  const records = await SearchSynonym.find({ isActive: true }).lean();
+  dictionary = buildIndex(records);
+  return dictionary.size;
+}
+
+// Exact key first, then the closest key within the allowed edits
+const lookup = (key, allowFuzzy) => {
+  const exact = dictionary.get(key);
+  if (exact) return { record: exact, fuzzy: false };
+  if (!allowFuzzy || key.length < MIN_FUZZY_LENGTH) return null;
+
+  let best = null;
+  for (const [candidate, record] of dictionary) {
+    if (Math.abs(candidate.length - key.length) > maxEdits(key.length)) {
+      continue;
+    }
+    const distance = editDistance(key, candidate);
+    if (
+      distance <= maxEdits(key.length) &&
+      (!best || distance < best.distance)
+    ) {
+      best = { record, fuzzy: true, distance };
+    }
+  }
+  return best;
+};
+
+/**
+ * Normalize search terms and expand them from the dictionary
+ *
+ * @param {string} query - Search terms as typed
+ * @returns {Object} {
+ *   text: transliterated, lowercase, without punctuation,
+ *   matches: [{ phrase, matched, kind, fuzzy }],
+ *   expansions: phrases to search for as well,
+ *   keywords: expansions specific enough to search for on their own,
+ *   searchText: words for a MongoDB $text search
+ * }
+ */
+export function normalizeQuery(query = "") {
+  const text = transliterate(query)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+  const words = text ? text.split(" ") : [];
+  const matches = [];
+  const records = [];
+  const matchedWords = new Set();
+
+  // Longest dictionary phrase starting at each word; only single words
+  // are matched with spelling tolerance
+  let i = 0;
+  while (i < words.length) {
+    let matchedLength = 0;
+    for (
+      let length = Math.min(MAX_PHRASE_WORDS, words.length - i);
+      length > 0;
+      length--
+    ) {
+      const phrase = words.slice(i, i + length);
+      const found = lookup(phoneticKey(phrase.join("")), length === 1);
+      if (!found) continue;
+
+      matches.push({
+        phrase: found.record.phrase,
+        matched: phrase.join(" "),
+        kind: found.record.kind,
+        fuzzy: found.fuzzy,
+      });
+      records.push(found.record);
+      matchedLength = length;
+      break;
+    }
+    for (let j = i; j < i + matchedLength; j++) matchedWords.add(j);
+    i += matchedLength || 1;
+  }
+
+  const expansions = [
+    ...new Set(
+      records.flatMap((record) =>
+        record.expansions.map((expansion) => expansion.toLowerCase())
+      )
+    ),
+  ].filter((expansion) => expansion !== text);
+
+  const isGeneric = (word) => GENERIC_WORDS.has(word);
+  const keywords = expansions.filter((expansion) =>
+    expansion.split(/[\s-]+/).some((word) => !isGeneric(word))
+  );
+
+  // Generic expansion words only when nothing else is left to search for
+  const expansionWords = expansions.flatMap((expansion) =>
+    expansion.split(/[\s-]+/)
+  );
+  const specificWords = expansionWords.filter((word) => !isGeneric(word));
+  const onlyDictionaryWords = words.every((_, i) => matchedWords.has(i));
+  const extraWords =
+    specificWords.length > 0 || !onlyDictionaryWords
+      ? specificWords
+      : expansionWords;
+
+  return {
+    text,
+    matches,
+    expansions,
+    keywords,
+    searchText: [...new Set([...words, ...extraWords])].join(" "),
+  };
+}
+
+export default {
+  transliterate,
+  phoneticKey,
+  editDistance,
+  validateSynonymData,
+  seedSearchSynonyms,
+  loadSearchSynonyms,
+  normalizeQuery,
+};
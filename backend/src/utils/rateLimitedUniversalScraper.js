@@ -11,6 +11,8 @@ import * as cheerio from "cheerio";
 import { scrapingLogger as logger } from "./logger.js";
 import { GeminiAIService } from "./geminiAIService.js";
 import linkValidationSystem from "./linkValidationSystem.js";
+import { checkRobots, getRobotsComplianceReport } from "./robotsPolicy.js";
+import { recordPageVisit } from "./sitemapDiscovery.js";
 
 puppeteer.use(StealthPlugin());
 
@@ -42,6 +44,7 @@ class RateLimitedUniversalScraper {
       successfulScrapes: 0,
       failedScrapes: 0,
       rateLimitEvents: 0,
+      robotsSkips: 0,
       averageDelay: 0,
       domainsScraped: new Set(),
       scholarshipsFound: 0,
@@ -121,14 +124,19 @@ class RateLimitedUniversalScraper {
   /**
    * Respect rate limits for domain
    */
-  async respectRateLimit(domain, policy) {
+  async respectRateLimit(domain, policy, crawlDelayMs = 0) {
     const key = domain;
     const lastRequest = this.rateLimiters.get(key);
     const now = Date.now();
 
     if (lastRequest) {
       const timeDiff = now - lastRequest;
-      const requiredDelay = Math.max(policy.minDelay, this.globalRateLimit);
+      // The site's robots.txt crawl-delay can only slow us down further
+      const requiredDelay = Math.max(
+        policy.minDelay,
+        this.globalRateLimit,
+        crawlDelayMs
+      );
 
       if (timeDiff < requiredDelay) {
         const waitTime = requiredDelay - timeDiff;
@@ -143,8 +151,17 @@ class RateLimitedUniversalScraper {
 
   /**
    * Scrape scholarships from discovered websites
+   *
+   * @param {Array} scrapingTargets - Prioritised targets
+   * @param {Object} [hooks]
+   * @param {Function} [hooks.onSiteStarted] - (target, index) before a site
+   * @param {Function} [hooks.onSiteFinished] - (siteResult, index) after a
+   *   site, with the entry added to `scrapingResults`
    */
-  async scrapeDiscoveredWebsites(scrapingTargets) {
+  async scrapeDiscoveredWebsites(
+    scrapingTargets,
+    { onSiteStarted, onSiteFinished } = {}
+  ) {
     logger.info(
       `🚀 Starting rate-limited scraping of ${scrapingTargets.length} websites`
     );
@@ -153,12 +170,15 @@ class RateLimitedUniversalScraper {
       totalWebsites: scrapingTargets.length,
       successfulScrapes: 0,
       failedScrapes: 0,
+      skippedByRobots: 0,
       scholarshipsFound: 0,
       validScholarships: 0,
       scrapingResults: [],
     };
 
-    for (const target of scrapingTargets) {
+    for (const [index, target] of scrapingTargets.entries()) {
+      onSiteStarted?.(target, index);
+
       try {
         const domain = new URL(target.url).hostname;
         this.scrapingMetrics.domainsScraped.add(domain);
@@ -167,7 +187,32 @@ class RateLimitedUniversalScraper {
           `📄 Scraping: ${target.url} (Priority: ${target.priority})`
         );
 
-        const scholarships = await this.scrapeWebsite(target);
+        const policy = this.getDomainPolicy(target.url);
+        const robots = policy.respectRobots
+          ? await checkRobots(target.url, { scraper: "universal" })
+          : { allowed: true, crawlDelayMs: 0 };
+
+        if (!robots.allowed) {
+          this.scrapingMetrics.robotsSkips++;
+          results.skippedByRobots++;
+          results.scrapingResults.push({
+            url: target.url,
+            domain,
+            status: "skipped",
+            reason: robots.reason,
+            scholarshipsFound: 0,
+            validScholarships: 0,
+            scholarships: [],
+          });
+          await recordPageVisit(target, results.scrapingResults.at(-1));
+          onSiteFinished?.(results.scrapingResults.at(-1), index);
+          continue;
+        }
+
+        const scholarships = await this.scrapeWebsite(target, {
+          policy,
+          crawlDelayMs: robots.crawlDelayMs,
+        });
 
         if (scholarships && scholarships.length > 0) {
           results.successfulScrapes++;
@@ -219,6 +264,10 @@ class RateLimitedUniversalScraper {
         logger.error(`❌ Failed to scrape ${target.url}:`, error.message);
       }
 
+      // Pages found through sitemaps are skipped until they change
+      await recordPageVisit(target, results.scrapingResults.at(-1));
+      onSiteFinished?.(results.scrapingResults.at(-1), index);
+
       // Global rate limiting between websites
       await new Promise((resolve) => setTimeout(resolve, this.globalRateLimit));
     }
@@ -228,11 +277,18 @@ class RateLimitedUniversalScraper {
   }
 
   /**
-   * Scrape a single website using appropriate strategy
+   * Scrape a single website using appropriate strategy; callers check
+   * robots.txt first and pass its crawl-delay
    */
-  async scrapeWebsite(target) {
-    const policy = this.getDomainPolicy(target.url);
-    await this.respectRateLimit(new URL(target.url).hostname, policy);
+  async scrapeWebsite(
+    target,
+    { policy = this.getDomainPolicy(target.url), crawlDelayMs = 0 } = {}
+  ) {
+    await this.respectRateLimit(
+      new URL(target.url).hostname,
+      policy,
+      crawlDelayMs
+    );
 
     this.scrapingMetrics.totalRequests++;
 
@@ -748,6 +804,7 @@ class RateLimitedUniversalScraper {
       /last[\s]?date[\s]?:?[\s]?[\d]{1,2}[\/\-.][\d]{1,2}[\/\-.][\d]{2,4}/gi,
       /apply[\s]?by[\s]?:?[\s]?[\d]{1,2}[\/\-.][\d]{1,2}[\/\-.][\d]{2,4}/gi,
       /due[\s]?date[\s]?:?[\s]?[\d]{1,2}[\/\-.][\d]{1,2}[\/\-.][\d]{2,4}/gi,
+      /(?:deadline|last[\s]?date|apply[\s]?by|due[\s]?date)[\s]?:?[\s]?[\d]{1,2}(?:st|nd|rd|th)?[\s\-][a-z]{3,9}\.?,?[\s\-][\d]{4}/gi,
       /[\d]{1,2}[\/\-.][\d]{1,2}[\/\-.][\d]{2,4}/g,
     ];
 
@@ -962,6 +1019,7 @@ class RateLimitedUniversalScraper {
       `  Domains Scraped: ${this.scrapingMetrics.domainsScraped.size}`
     );
     logger.info(`  Rate Limit Events: ${this.scrapingMetrics.rateLimitEvents}`);
+    logger.info(`  Skipped by robots.txt: ${results.skippedByRobots}`);
     logger.info(`  Valid Links Found: ${this.scrapingMetrics.validLinksFound}`);
   }
 
@@ -972,6 +1030,7 @@ class RateLimitedUniversalScraper {
     return {
       ...this.scrapingMetrics,
       domainsScraped: Array.from(this.scrapingMetrics.domainsScraped),
+      robotsCompliance: getRobotsComplianceReport(),
     };
   }
 }
@@ -0,0 +1,90 @@
+/**
+ * SCHOLARSHIP RECOMMENDATIONS
+ *
+ * Picks open scholarships for a user from their recommendation criteria:
+ * the database pre-filters on what it can check (open deadline, domicile),
+ * then each candidate is scored with the eligibility engine and ranked.
+ *
+ * @description Eligibility-ranked recommendations for a user
+ * @author Scholarship Portal Team
+ * @version 1.0.0
+ * @created 2026-10-19
+ */
+
+import Scholarship from "../models/Scholarship.js";
+import { evaluateEligibility } from "./eligibilityEngine.js";
+
+const CANDIDATE_LIMIT = 200;
+
+/**
+ * Recommend scholarships for a user
+ *
+ * @param {Object} user - User document
+ * @param {Object} [options]
+ * @param {Date} [options.since] - Only scholarships added after this time
+ * @param {number} [options.limit] - Maximum number of results
+ * @returns {Array} Scholarships with an `eligibilityMatch` explanation
+ */
+export async function getRecommendations(user, { since, limit = 20 } = {}) {
+  const criteria = user.getRecommendationCriteria();
+
+  // Rolling and unannounced deadlines stay in; only passed dates drop out
+  const conditions = [
+    {
+      $or: [
+        { deadline: { $gte: new Date() } },
+        { deadlineType: { $in: ["rolling", "unknown"] } },
+      ],
+    },
+  ];
+
+  if (criteria.state) {
+    conditions.push({
+      $or: [
+        { "eligibilityRules.domicileStates": criteria.state },
+        { "eligibilityRules.domicileStates": { $size: 0 } },
+        { "eligibilityRules.domicileStates": { $exists: false } },
+      ],
+    });
+  }
+
+  if (since) {
+    conditions.push({ createdAt: { $gt: since } });
+  }
+
+  const candidates = await Scholarship.find({
+    isActive: true,
+    $and: conditions,
+  })
+    .limit(CANDIDATE_LIMIT)
+    .sort({ createdAt: -1 });
+
+  const interestedCategories = (criteria.categories || []).map((category) =>
+    category.toLowerCase()
+  );
+
+  return candidates
+    .map((scholarship) => ({
+      scholarship,
+      eligibilityMatch: evaluateEligibility(scholarship, user),
+      isInterested: interestedCategories.includes(
+        scholarship.category?.toLowerCase()
+      ),
+    }))
+    .filter(({ eligibilityMatch }) => eligibilityMatch.status !== "ineligible")
+    .sort(
+      (a, b) =>
+        b.eligibilityMatch.score - a.eligibilityMatch.score ||
+        b.isInterested - a.isInterested ||
+        b.eligibilityMatch.passed.length - a.eligibilityMatch.passed.length
+    )
+    .slice(0, limit)
+    .map(({ scholarship, eligibilityMatch }) => ({
+      ...scholarship.toObject(),
+      eligibilityMatch,
+    }));
+}
+
+export default {
+  getRecommendations,
+};
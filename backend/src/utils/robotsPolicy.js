@@ -0,0 +1,392 @@
+/**
+ * ROBOTS.TXT POLICY
+ *
+ * Fetches, caches and applies robots.txt (RFC 9309) for every site the
+ * scrapers crawl. Scrapers call `checkRobots(url)` before each request and
+ * skip the URL when it is disallowed; the result also carries the site's
+ * crawl-delay, which they add to their own rate limits, and its sitemaps.
+ *
+ * Rules are taken from the group naming our product token (ROBOTS_USER_AGENT)
+ * or else the `*` group. The longest matching pattern wins and Allow wins
+ * ties. A missing robots.txt (4xx) allows everything; an unreachable one
+ * (5xx, 429, network error) disallows everything until it can be fetched,
+ * unless an earlier copy is cached.
+ *
+ * Each check is counted per domain for the compliance report, and every
+ * skip is logged with its reason.
+ *
+ * @description robots.txt fetching, parsing and enforcement for scrapers
+ * @author Scholarship Portal Team
+ * @version 1.0.0
+ * @created 2026-10-19
+ */
+
+import { createRobustHttpClient } from "./robustHttpClient.js";
+import { scrapingLogger } from "./logger.js";
+
+export const ROBOTS_USER_AGENT =
+  process.env.ROBOTS_USER_AGENT || "ScholarshipPortalBot";
+
+const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+// Retry sooner when the file could not be fetched at all
+const UNREACHABLE_TTL_MS = 30 * 60 * 1000;
+// RFC 9309 lets crawlers ignore anything past 500 KiB
+const MAX_ROBOTS_BYTES = 500 * 1024;
+// Ignore absurd crawl-delays rather than stall a scrape pass for hours
+const MAX_CRAWL_DELAY_MS = 60 * 1000;
+const RECENT_SKIPS = 10;
+
+const httpClient = createRobustHttpClient({
+  timeout: 10000,
+  maxContentLength: MAX_ROBOTS_BYTES,
+  responseType: "text",
+  validateStatus: () => true,
+  headers: { "User-Agent": ROBOTS_USER_AGENT, Accept: "text/plain" },
+});
+
+// origin -> { status, robots, fetchedAt, expiresAt, error } or a pending fetch
+const cache = new Map();
+// domain -> compliance counters
+const compliance = new Map();
+
+/**
+ * Parse robots.txt into user-agent groups and sitemap URLs
+ *
+ * @param {string} text - robots.txt body
+ * @returns {Object} { groups: [{ agents, rules, crawlDelay }], sitemaps }
+ */
+export function parseRobotsTxt(text = "") {
+  const groups = [];
+  const sitemaps = [];
+  let group = null;
+  let collectingAgents = false;
+
+  for (const rawLine of String(text).split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, "").trim();
+    const separator = line.indexOf(":");
+    if (separator === -1) continue;
+
+    const key = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (key === "user-agent") {
+      // Consecutive user-agent lines share one group
+      if (!collectingAgents) {
+        group = { agents: [], rules: [], crawlDelay: null };
+        groups.push(group);
+        collectingAgents = true;
+      }
+      group.agents.push(value.toLowerCase());
+      continue;
+    }
+
+    if (key === "sitemap") {
+      if (value) sitemaps.push(value);
+      continue;
+    }
+
+    collectingAgents = false;
+    // Rules before any user-agent line belong to no group
+    if (!group) continue;
+
+    if (key === "allow" || key === "disallow") {
+      // An empty Disallow allows everything; an empty Allow means nothing
+      if (value) group.rules.push({ allow: key === "allow", path: value });
+    } else if (key === "crawl-delay") {
+      const seconds = parseFloat(value);
+      if (seconds >= 0) group.crawlDelay = seconds;
+    }
+  }
+
+  return { groups, sitemaps };
+}
+
+/**
+ * Rules that apply to a user agent: every group naming its product token,
+ * or else every `*` group
+ *
+ * @param {Object} robots - parseRobotsTxt result
+ * @param {string} [userAgent=ROBOTS_USER_AGENT] - Product token
+ * @returns {Object} { rules, crawlDelay }
+ */
+export function rulesForAgent(robots, userAgent = ROBOTS_USER_AGENT) {
+  const token = userAgent.toLowerCase();
+  let groups = robots.groups.filter(({ agents }) => agents.includes(token));
+  if (groups.length === 0) {
+    groups = robots.groups.filter(({ agents }) => agents.includes("*"));
+  }
+
+  const delays = groups
+    .map(({ crawlDelay }) => crawlDelay)
+    .filter((delay) => delay !== null);
+
+  return {
+    rules: groups.flatMap(({ rules }) => rules),
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null,
+  };
+}
+
+const patternCache = new Map();
+
+// "*" matches any run of characters and a trailing "$" anchors the end
+const patternToRegex = (pattern) => {
+  if (!patternCache.has(pattern)) {
+    const anchored = pattern.endsWith("$");
+    const body = (anchored ? pattern.slice(0, -1) : pattern)
+      .split("*")
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+      .join(".*");
+    patternCache.set(pattern, new RegExp(`^${body}${anchored ? "$" : ""}`));
+  }
+  return patternCache.get(pattern);
+};
+
+// Compare paths in one encoding: "/a%7eb" and "/a~b" are the same path
+const normalizePath = (path) => {
+  try {
+    return encodeURI(decodeURI(path));
+  } catch {
+    return path;
+  }
+};
+
+/**
+ * Decide a path against a rule list
+ *
+ * @param {Array} rules - [{ allow, path }] from rulesForAgent
+ * @param {string} path - Path and query, e.g. "/scholarships?page=2"
+ * @returns {Object} { allowed, rule } where rule is the deciding rule or null
+ */
+export function isPathAllowed(rules, path) {
+  if (path === "/robots.txt") return { allowed: true, rule: null };
+
+  const target = normalizePath(path);
+  let match = null;
+
+  for (const rule of rules) {
+    if (!patternToRegex(normalizePath(rule.path)).test(target)) continue;
+    if (
+      !match ||
+      rule.path.length > match.path.length ||
+      (rule.path.length === match.path.length && rule.allow)
+    ) {
+      match = rule;
+    }
+  }
+
+  return { allowed: match ? match.allow : true, rule: match };
+}
+
+async function fetchRobots(origin) {
+  const url = `${origin}/robots.txt`;
+  const now = Date.now();
+
+  try {
+    const response = await httpClient.get(url);
+
+    if (response.status >= 200 && response.status < 300) {
+      return {
+        status: "fetched",
+        robots: parseRobotsTxt(response.data),
+        fetchedAt: new Date(now),
+        expiresAt: now + CACHE_TTL_MS,
+      };
+    }
+    // 429 is the site asking us to back off, not a missing file
+    if (
+      response.status >= 400 &&
+      response.status < 500 &&
+      response.status !== 429
+    ) {
+      return {
+        status: "missing",
+        robots: parseRobotsTxt(""),
+        fetchedAt: new Date(now),
+        expiresAt: now + CACHE_TTL_MS,
+      };
+    }
+    throw new Error(`HTTP ${response.status}`);
+  } catch (error) {
+    const previous = cache.get(origin);
+    if (previous?.robots && previous.status !== "unreachable") {
+      scrapingLogger.warn(
+        `🤖 robots.txt for ${origin} unreachable (${
+          error.message
+        }); keeping the copy from ${previous.fetchedAt.toISOString()}`
+      );
+      return {
+        status: previous.status,
+        robots: previous.robots,
+        fetchedAt: previous.fetchedAt,
+        expiresAt: now + UNREACHABLE_TTL_MS,
+      };
+    }
+
+    scrapingLogger.warn(
+      `🤖 robots.txt for ${origin} unreachable (${error.message}); treating the site as disallowed`
+    );
+    return {
+      status: "unreachable",
+      robots: null,
+      error: error.message,
+      fetchedAt: new Date(now),
+      expiresAt: now + UNREACHABLE_TTL_MS,
+    };
+  }
+}
+
+/**
+ * Cached robots.txt for the site of a URL, fetched when missing or stale
+ *
+ * @param {string} url - Any URL on the site
+ * @returns {Promise<Object>} { status, robots, fetchedAt, error }
+ */
+export async function getRobots(url) {
+  const { origin } = new URL(url);
+  const cached = cache.get(origin);
+
+  if (cached?.pending) return cached.pending;
+  if (cached && cached.expiresAt > Date.now()) return cached;
+
+  const pending = fetchRobots(origin);
+  // Concurrent checks for the same site share one fetch
+  cache.set(origin, { ...cached, pending });
+  try {
+    const entry = await pending;
+    cache.set(origin, entry);
+    return entry;
+  } catch (error) {
+    cache.delete(origin);
+    throw error;
+  }
+}
+
+const complianceFor = (domain) => {
+  if (!compliance.has(domain)) {
+    compliance.set(domain, {
+      domain,
+      checked: 0,
+      allowed: 0,
+      skipped: 0,
+      recentSkips: [],
+    });
+  }
+  return compliance.get(domain);
+};
+
+/**
+ * Check a URL before requesting it; disallowed URLs are logged with the
+ * reason and counted in the compliance report
+ *
+ * @param {string} url - URL about to be requested
+ * @param {Object} [options]
+ * @param {string} [options.scraper] - Caller, for the skip log
+ * @param {string} [options.userAgent=ROBOTS_USER_AGENT] - Product token
+ * @returns {Promise<Object>} { allowed, reason, crawlDelayMs, sitemaps }
+ */
+export async function checkRobots(
+  url,
+  { scraper, userAgent = ROBOTS_USER_AGENT } = {}
+) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return {
+      allowed: false,
+      reason: "invalid URL",
+      crawlDelayMs: 0,
+      sitemaps: [],
+    };
+  }
+
+  const entry = await getRobots(url);
+  const stats = complianceFor(parsed.host);
+  stats.checked++;
+
+  let result;
+  if (entry.status === "unreachable") {
+    result = {
+      allowed: false,
+      reason: `robots.txt unreachable (${entry.error})`,
+      crawlDelayMs: 0,
+      sitemaps: [],
+    };
+  } else {
+    const { rules, crawlDelay } = rulesForAgent(entry.robots, userAgent);
+    const { allowed, rule } = isPathAllowed(
+      rules,
+      `${parsed.pathname}${parsed.search}`
+    );
+    result = {
+      allowed,
+      reason: allowed ? null : `disallowed by "Disallow: ${rule.path}"`,
+      crawlDelayMs:
+        crawlDelay === null
+          ? 0
+          : Math.min(crawlDelay * 1000, MAX_CRAWL_DELAY_MS),
+      sitemaps: entry.robots.sitemaps,
+    };
+  }
+
+  if (result.allowed) {
+    stats.allowed++;
+  } else {
+    stats.skipped++;
+    stats.recentSkips = [
+      { url, reason: result.reason, scraper, at: new Date() },
+      ...stats.recentSkips,
+    ].slice(0, RECENT_SKIPS);
+    scrapingLogger.warn(
+      `🤖 Skipping ${url}${scraper ? ` (${scraper})` : ""}: ${result.reason}`
+    );
+  }
+
+  return result;
+}
+
+/**
+ * Per-domain robots.txt compliance since startup
+ *
+ * @returns {Array} [{ domain, robotsStatus, fetchedAt, crawlDelayMs,
+ *   sitemaps, checked, allowed, skipped, recentSkips }]
+ */
+export function getRobotsComplianceReport() {
+  return [...compliance.values()]
+    .map((stats) => {
+      const entry = [...cache.entries()].find(
+        ([origin]) => new URL(origin).host === stats.domain
+      )?.[1];
+      const rules = entry?.robots ? rulesForAgent(entry.robots) : null;
+
+      return {
+        ...stats,
+        robotsStatus: entry?.status || "pending",
+        fetchedAt: entry?.fetchedAt || null,
+        crawlDelayMs:
+          rules?.crawlDelay == null
+            ? 0
+            : Math.min(rules.crawlDelay * 1000, MAX_CRAWL_DELAY_MS),
+        sitemaps: entry?.robots?.sitemaps || [],
+      };
+    })
+    .sort((a, b) => b.skipped - a.skipped || b.checked - a.checked);
+}
+
+/**
+ * Forget cached robots.txt files, e.g. after a site changed its rules
+ */
+export function clearRobotsCache() {
+  cache.clear();
+}
+
+export default {
+  ROBOTS_USER_AGENT,
+  parseRobotsTxt,
+  rulesForAgent,
+  isPathAllowed,
+  getRobots,
+  checkRobots,
+  getRobotsComplianceReport,
+  clearRobotsCache,
+};
@@ -1,11 +1,20 @@
 /**
  * Robust HTTP Client Utility
- * Provides SSL-bypass enabled HTTP clients for scraping
+ * Provides SSL-bypass enabled HTTP clients for scraping, and conditional
+ * requests that let scrapers skip pages unchanged since their last run
  */
 
+import crypto from "crypto";
 import axios from "axios";
 import https from "https";
+import mongoose from "mongoose";
+import FetchedPage from "../models/FetchedPage.js";
 import { scrapingLogger } from "./logger.js";
+import { noteHttpStatus, notePageSkipped } from "./scrapeRuns.js";
+
+// An unchanged page is still extracted again once this old, in case the
+// content that matters is not in what the validators and hash cover
+const MAX_UNCHANGED_AGE_MS = 24 * 60 * 60 * 1000;
 
 // Create HTTPS agent that bypasses SSL certificate verification
 const httpsAgent = new https.Agent({
@@ -44,7 +53,11 @@ export function createRobustHttpClient(customConfig = {}) {
     },
   };
 
-  const config = { ...defaultConfig, ...customConfig };
+  const config = {
+    ...defaultConfig,
+    ...customConfig,
+    headers: { ...defaultConfig.headers, ...customConfig.headers },
+  };
   return axios.create(config);
 }
 
@@ -72,10 +85,13 @@ export async function robustHttpRequest(url, options = {}) {
         url,
         ...axiosOptions,
       });
+      noteHttpStatus(response.status);
 
       // Log status
       if (response.status >= 200 && response.status < 300) {
         scrapingLogger.info(`✅ HTTP ${response.status}: ${url}`);
+      } else if (response.status === 304) {
+        scrapingLogger.info(`💤 HTTP 304 (Not Modified): ${url}`);
       } else if (response.status >= 300 && response.status < 400) {
         scrapingLogger.warn(`🔄 HTTP ${response.status} (Redirect): ${url}`);
       } else if (response.status >= 400 && response.status < 500) {
@@ -92,6 +108,7 @@ export async function robustHttpRequest(url, options = {}) {
 
       return response;
     } catch (error) {
+      noteHttpStatus(error.response?.status);
       scrapingLogger.warn(
         `❌ Attempt ${attempt}/${maxRetries} failed for ${url}: ${error.message}`
       );
@@ -110,6 +127,128 @@ export async function robustHttpRequest(url, options = {}) {
   }
 }
 
+/**
+ * Hash of a page with scripts, styles, comments, hidden form fields and
+ * whitespace removed, so per-request tokens do not make it look changed
+ */
+export function hashPageContent(body) {
+  const normalized = String(body ?? "")
+    .replace(/<script[\s\S]*?<\/script>/gi, "")
+    .replace(/<style[\s\S]*?<\/style>/gi, "")
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<input[^>]*type=["']?hidden[^>]*>/gi, "")
+    .replace(/<meta[^>]*(csrf|nonce)[^>]*>/gi, "")
+    .replace(/\s+/g, " ")
+    .trim();
+  return crypto.createHash("sha256").update(normalized).digest("hex");
+}
+
+const findFetchedPage = async (url) => {
+  if (mongoose.connection.readyState !== 1) return null;
+  try {
+    return await FetchedPage.findOne({ url }).lean();
+  } catch (error) {
+    scrapingLogger.warn(
+      `Could not load fetch state for ${url}: ${error.message}`
+    );
+    return null;
+  }
+};
+
+/**
+ * GET a page conditionally. The ETag and Last-Modified stored by the last
+ * `rememberPage` are sent as If-None-Match / If-Modified-Since; a 304, or
+ * a 200 whose normalized content hash is unchanged, marks the response
+ * `unchanged` and is counted as a skipped page in the active scrape run.
+ * Pages last processed over a day ago are always fetched in full.
+ *
+ * @param {string} url - Page URL
+ * @param {Object} [options] - robustHttpRequest options
+ * @returns {Promise<Object>} The axios response plus `unchanged`, `meta`
+ *   (stored by rememberPage, set when unchanged) and `fetchState` (for
+ *   rememberPage)
+ */
+export async function conditionalHttpRequest(url, options = {}) {
+  const record = await findFetchedPage(url);
+  const recent =
+    record?.processedAt &&
+    Date.now() - new Date(record.processedAt).getTime() < MAX_UNCHANGED_AGE_MS;
+
+  const headers = { ...options.headers };
+  if (recent && record.etag) headers["If-None-Match"] = record.etag;
+  if (recent && record.lastModified) {
+    headers["If-Modified-Since"] = record.lastModified;
+  }
+
+  const response = await robustHttpRequest(url, { ...options, headers });
+
+  if (response.status === 304 && recent) {
+    notePageSkipped(record.bytes);
+    return Object.assign(response, {
+      unchanged: true,
+      meta: record.meta,
+      fetchState: null,
+    });
+  }
+
+  const body =
+    typeof response.data === "string"
+      ? response.data
+      : JSON.stringify(response.data ?? "");
+  const contentHash = hashPageContent(body);
+  const unchanged =
+    Boolean(recent) &&
+    response.status < 300 &&
+    contentHash === record.contentHash;
+  if (unchanged) notePageSkipped(0);
+
+  return Object.assign(response, {
+    unchanged,
+    meta: unchanged ? record.meta : null,
+    fetchState: {
+      url,
+      etag: response.headers?.etag || null,
+      lastModified: response.headers?.["last-modified"] || null,
+      contentHash,
+      bytes: Buffer.byteLength(body),
+    },
+  });
+}
+
+/**
+ * Store a conditionally fetched page as processed, once its content has
+ * been extracted and saved; the next run may then skip it while unchanged
+ *
+ * @param {Object} response - conditionalHttpRequest result
+ * @param {Object} [meta] - Small data the scraper needs when the page is
+ *   skipped next time
+ */
+export async function rememberPage(response, meta = null) {
+  const state = response?.fetchState;
+  if (!state || mongoose.connection.readyState !== 1) return;
+
+  try {
+    await FetchedPage.updateOne(
+      { url: state.url },
+      {
+        $set: {
+          etag: state.etag,
+          lastModified: state.lastModified,
+          contentHash: state.contentHash,
+          bytes: state.bytes,
+          processedAt: new Date(),
+          meta,
+        },
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    scrapingLogger.warn(
+      `Could not store fetch state for ${state.url}: ${error.message}`
+    );
+  }
+}
+
 /**
  * Robust Puppeteer configuration for SSL bypass
  */
@@ -188,6 +327,9 @@ export async function validateLinkRobust(url) {
 export default {
   createRobustHttpClient,
   robustHttpRequest,
+  hashPageContent,
+  conditionalHttpRequest,
+  rememberPage,
   getRobustPuppeteerConfig,
   validateLinkRobust,
   httpsAgent,
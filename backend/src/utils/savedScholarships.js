@@ -0,0 +1,240 @@
+/**
+ * SAVED SCHOLARSHIPS
+ *
+ * Rules for a user's saved scholarships. Membership stays in
+ * `User.savedScholarships`, which recommendations, digests and reminders
+ * read; `User.savedDetails` adds when each was saved, personal notes, tags
+ * and the collections it is filed under.
+ *
+ * Saving is idempotent so the frontend can replay saves queued while
+ * offline, and local saves made before signing in are merged once.
+ *
+ * @description Saved scholarship details, collections and merging
+ * @author Scholarship Portal Team
+ * @version 1.0.0
+ * @created 2026-10-19
+ */
+
+import Joi from "joi";
+import mongoose from "mongoose";
+import Scholarship from "../models/Scholarship.js";
+
+export const MAX_COLLECTIONS = 50;
+// Local saves accepted by one merge request
+const MAX_MERGE_ITEMS = 500;
+
+const objectId = Joi.string().hex().length(24);
+
+const detailsSchema = Joi.object({
+  notes: Joi.string().max(2000).allow(""),
+  tags: Joi.array()
+    .items(Joi.string().trim().lowercase().min(1).max(30))
+    .max(20)
+    .unique(),
+  collections: Joi.array().items(objectId).max(MAX_COLLECTIONS).unique(),
+  // Offline and local saves keep the time they were made
+  savedAt: Joi.date().max("now"),
+});
+
+const mergeSchema = Joi.array()
+  .items(
+    Joi.object({
+      scholarshipId: objectId.required(),
+      savedAt: Joi.date().max("now"),
+    })
+  )
+  .max(MAX_MERGE_ITEMS)
+  .required();
+
+const collectionNameSchema = Joi.string().trim().min(1).max(60).required();
+
+const validate = (schema, input) => {
+  const { error, value } = schema.validate(input, { stripUnknown: true });
+  return { error: error?.details[0].message || null, value };
+};
+
+/**
+ * Validate notes, tags, collections and savedAt from a request
+ *
+ * @param {Object} user - User document, to check collection IDs
+ * @param {Object} data - Request body
+ * @returns {Object} { error, value }
+ */
+export function validateSavedDetails(user, data) {
+  const result = validate(detailsSchema, data || {});
+  if (result.error) return result;
+
+  const known = new Set(user.savedCollections.map(({ _id }) => _id.toString()));
+  const unknown = (result.value.collections || []).find((id) => !known.has(id));
+  if (unknown) return { error: `Unknown collection ${unknown}`, value: null };
+
+  return result;
+}
+
+export const validateCollectionName = (name) =>
+  validate(collectionNameSchema, name);
+
+export const validateMergeItems = (items) => validate(mergeSchema, items);
+
+const isSaved = (user, scholarshipId) =>
+  user.savedScholarships.some((id) => id.toString() === scholarshipId);
+
+const findDetails = (user, scholarshipId) =>
+  user.savedDetails.find(
+    (details) => details.scholarshipId.toString() === scholarshipId
+  );
+
+/**
+ * Save a scholarship, or update the details of a saved one
+ *
+ * @param {Object} user - User document; the caller saves it
+ * @param {string} scholarshipId
+ * @param {Object} [details] - Validated { notes, tags, collections, savedAt }
+ * @returns {Object} { created, details }
+ */
+export function saveForUser(user, scholarshipId, details = {}) {
+  const created = !isSaved(user, scholarshipId);
+  if (created) user.savedScholarships.push(scholarshipId);
+
+  let entry = findDetails(user, scholarshipId);
+  if (!entry) {
+    user.savedDetails.push({
+      scholarshipId,
+      // A legacy save without details keeps an unknown save time
+      savedAt: created ? details.savedAt || new Date() : null,
+    });
+    entry = user.savedDetails[user.savedDetails.length - 1];
+  }
+
+  for (const field of ["notes", "tags", "collections"]) {
+    if (details[field] !== undefined) entry[field] = details[field];
+  }
+  return { created, details: entry };
+}
+
+/**
+ * Unsave a scholarship along with its notes, tags and collections
+ */
+export function removeForUser(user, scholarshipId) {
+  user.savedScholarships = user.savedScholarships.filter(
+    (id) => id.toString() !== scholarshipId
+  );
+  user.savedDetails = user.savedDetails.filter(
+    (details) => details.scholarshipId.toString() !== scholarshipId
+  );
+}
+
+/**
+ * Add saves made on this device before signing in. Scholarships already
+ * saved or no longer in the database are skipped.
+ *
+ * @param {Object} user - User document; the caller saves it
+ * @param {Array} items - Validated [{ scholarshipId, savedAt }]
+ * @returns {Promise<number>} Scholarships added
+ */
+export async function mergeLocalSaves(user, items) {
+  const pending = items.filter(
+    ({ scholarshipId }) => !isSaved(user, scholarshipId)
+  );
+  if (pending.length === 0) return 0;
+
+  const existing = await Scholarship.find({
+    _id: { $in: pending.map(({ scholarshipId }) => scholarshipId) },
+  })
+    .select("_id")
+    .lean();
+  const existingIds = new Set(existing.map(({ _id }) => _id.toString()));
+
+  let merged = 0;
+  for (const { scholarshipId, savedAt } of pending) {
+    if (!existingIds.has(scholarshipId) || isSaved(user, scholarshipId)) {
+      continue;
+    }
+    saveForUser(user, scholarshipId, { savedAt });
+    merged++;
+  }
+  return merged;
+}
+
+/**
+ * Create a collection
+ *
+ * @returns {Object} { error, collection }
+ */
+export function addCollection(user, name) {
+  if (user.savedCollections.length >= MAX_COLLECTIONS) {
+    return { error: `At most ${MAX_COLLECTIONS} collections are allowed` };
+  }
+  const taken = user.savedCollections.some(
+    (collection) => collection.name.toLowerCase() === name.toLowerCase()
+  );
+  if (taken) return { error: `A collection named "${name}" already exists` };
+
+  user.savedCollections.push({ name });
+  return {
+    error: null,
+    collection: user.savedCollections[user.savedCollections.length - 1],
+  };
+}
+
+/**
+ * Delete a collection; its scholarships stay saved
+ *
+ * @returns {boolean} Whether the collection existed
+ */
+export function removeCollection(user, collectionId) {
+  const collection = user.savedCollections.id(collectionId);
+  if (!collection) return false;
+
+  collection.deleteOne();
+  for (const details of user.savedDetails) {
+    details.collections = details.collections.filter(
+      (id) => id.toString() !== collectionId
+    );
+  }
+  return true;
+}
+
+/**
+ * Saved scholarships with their details, newest save first, and the
+ * user's collections
+ *
+ * @param {Object} user - User document with savedScholarships populated
+ * @returns {Object} { items: [{ scholarship, savedAt, notes, tags,
+ *   collections }], collections }
+ */
+export function describeSaved(user) {
+  const items = user.savedScholarships
+    // Scholarships deleted since they were saved
+    .filter((scholarship) => scholarship instanceof mongoose.Document)
+    .map((scholarship) => {
+      const details = findDetails(user, scholarship._id.toString());
+      return {
+        scholarship,
+        savedAt: details?.savedAt || null,
+        notes: details?.notes || "",
+        tags: details?.tags || [],
+        collections: details?.collections || [],
+      };
+    })
+    .sort(
+      (a, b) =>
+        (b.savedAt ? new Date(b.savedAt).getTime() : 0) -
+        (a.savedAt ? new Date(a.savedAt).getTime() : 0)
+    );
+
+  return { items, collections: user.savedCollections };
+}
+
+export default {
+  MAX_COLLECTIONS,
+  validateSavedDetails,
+  validateCollectionName,
+  validateMergeItems,
+  saveForUser,
+  removeForUser,
+  mergeLocalSaves,
+  addCollection,
+  removeCollection,
+  describeSaved,
+};
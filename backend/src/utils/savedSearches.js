@@ -0,0 +1,382 @@
+/**
+ * SAVED SEARCHES
+ *
+ * A user's saved listing searches: search terms and filters kept on the
+ * account under `User.savedSearches` so they can be re-run in one click.
+ *
+ * After a scraping pass adds scholarships, every saved search with alerts
+ * on is checked for scholarships added since its last check. The count is
+ * kept on the search for the management page, and users with email
+ * notifications on get one alert per search listing the first few new
+ * matches. Alerts are queued as notifications keyed on the search and the
+ * start of the checked window, so a repeated check never alerts twice.
+ *
+ * @description Saved searches and new-match alerts
+ * @author Scholarship Portal Team
+ * @version 1.0.0
+ * @created 2026-10-19
+ */
+
+import Joi from "joi";
+import User from "../models/User.js";
+import Notification from "../models/Notification.js";
+import { findNewMatches, SORT_OPTIONS } from "./scholarshipSearch.js";
+import { enqueueJob } from "./jobQueue.js";
+import {
+  escapeHtml,
+  formatEmailDate,
+  portalUrl,
+  renderEmailLayout,
+} from "./emailTemplates.js";
+import { logger } from "./logger.js";
+
+export const MAX_SAVED_SEARCHES = 20;
+// Scholarships listed in one alert email
+const ALERT_SCHOLARSHIPS = 5;
+
+const optionalString = Joi.string().trim().max(100).allow("");
+
+const paramsSchema = Joi.object({
+  search: Joi.string().trim().max(200).allow(""),
+  category: optionalString,
+  educationLevel: optionalString,
+  targetGroup: optionalString,
+  state: optionalString,
+  provider: optionalString,
+  minAmount: Joi.number().min(0),
+  maxAmount: Joi.number().min(0),
+  sort: Joi.string().valid(...Object.keys(SORT_OPTIONS)),
+});
+
+const PARAM_KEYS = Object.keys(paramsSchema.describe().keys);
+
+const savedSearchSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(60),
+  params: paramsSchema,
+  alertsEnabled: Joi.boolean(),
+});
+
+// Parameters that narrow the results; sort only orders them
+const hasCriteria = (params) =>
+  Object.entries(params).some(
+    ([key, value]) => key !== "sort" && value !== "" && value !== undefined
+  );
+
+/**
+ * Validate a saved search from a request. Empty parameters are dropped;
+ * a search needs search terms or at least one filter.
+ *
+ * @param {Object} data - Request body
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Updates may omit fields
+ * @returns {Object} { error, value }
+ */
+export function validateSavedSearch(data, { partial = false } = {}) {
+  const schema = partial
+    ? savedSearchSchema
+    : savedSearchSchema.fork(["name", "params"], (field) => field.required());
+  // Listing forms send unset filters as empty strings
+  const input = { ...data };
+  if (input.params && typeof input.params === "object") {
+    input.params = Object.fromEntries(
+      Object.entries(input.params).filter(
+        ([, param]) => param !== "" && param !== null
+      )
+    );
+  }
+
+  const { error, value } = schema.validate(input, { stripUnknown: true });
+  if (error) return { error: error.details[0].message, value: null };
+
+  if (value.params) {
+    if (!hasCriteria(value.params)) {
+      return {
+        error: "Add search terms or a filter before saving the search",
+        value: null,
+      };
+    }
+    value.params = Object.fromEntries(
+      Object.entries(value.params).filter(([, param]) => param !== "")
+    );
+  }
+  return { error: null, value };
+}
+
+const findByName = (user, name, except) =>
+  user.savedSearches.find(
+    (search) =>
+      search !== except && search.name.toLowerCase() === name.toLowerCase()
+  );
+
+/**
+ * Add a saved search. New matches are counted from now on.
+ *
+ * @param {Object} user - User document; the caller saves it
+ * @param {Object} value - Validated { name, params, alertsEnabled }
+ * @returns {Object} { error, savedSearch }
+ */
+export function addSavedSearch(user, value) {
+  if (user.savedSearches.length >= MAX_SAVED_SEARCHES) {
+    return {
+      error: `At most ${MAX_SAVED_SEARCHES} saved searches are allowed`,
+    };
+  }
+  if (findByName(user, value.name)) {
+    return { error: `A saved search named "${value.name}" already exists` };
+  }
+
+  user.savedSearches.push(value);
+  return {
+    error: null,
+    savedSearch: user.savedSearches[user.savedSearches.length - 1],
+  };
+}
+
+/**
+ * Rename, re-filter or toggle alerts on a saved search. Changed
+ * parameters restart the new-match count.
+ *
+ * @param {Object} user - User document; the caller saves it
+ * @param {Object} savedSearch - Subdocument of user.savedSearches
+ * @param {Object} value - Validated partial update
+ * @returns {Object} { error }
+ */
+export function updateSavedSearch(user, savedSearch, value) {
+  if (value.name && findByName(user, value.name, savedSearch)) {
+    return { error: `A saved search named "${value.name}" already exists` };
+  }
+
+  if (value.name) savedSearch.name = value.name;
+  if (value.alertsEnabled !== undefined) {
+    savedSearch.alertsEnabled = value.alertsEnabled;
+  }
+  if (value.params) {
+    savedSearch.params = value.params;
+    savedSearch.lastCheckedAt = new Date();
+    savedSearch.lastMatchCount = 0;
+    savedSearch.lastMatchedAt = undefined;
+  }
+  return { error: null };
+}
+
+/**
+ * Link to the scholarships listing with a saved search applied
+ */
+export function savedSearchUrl(params) {
+  const query = new URLSearchParams(
+    PARAM_KEYS.filter(
+      (key) => params?.[key] !== undefined && params[key] !== null
+    ).map((key) => [key, String(params[key])])
+  ).toString();
+  return portalUrl(`/scholarships${query ? `?${query}` : ""}`);
+}
+
+// Queue one alert; false if this window was already alerted
+async function queueAlert(user, savedSearch, since, matches) {
+  try {
+    await Notification.create({
+      user: user._id,
+      type: "saved-search-alert",
+      channel: "email",
+      dedupeKey: `saved-search:${savedSearch._id}:${since.toISOString()}`,
+      savedSearch: savedSearch._id,
+      searchName: savedSearch.name,
+      scholarships: matches.scholarships.map(({ _id }) => _id),
+      matchCount: matches.total,
+    });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+}
+
+/**
+ * Check every saved search with alerts on for scholarships added since
+ * its last check, record the counts and queue alert emails
+ *
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {Function} [options.onProgress] - Called with (done, total) after
+ *   each user
+ * @returns {Promise<Object>} { users, searches, matched, queued, failed }
+ */
+export async function evaluateSavedSearches({
+  now = new Date(),
+  onProgress,
+} = {}) {
+  const filter = { isActive: true, "savedSearches.alertsEnabled": true };
+  const total = await User.countDocuments(filter);
+  const result = { users: 0, searches: 0, matched: 0, queued: 0, failed: 0 };
+
+  const cursor = User.find(filter)
+    .select("savedSearches emailNotifications")
+    .lean()
+    .cursor();
+
+  for await (const user of cursor) {
+    for (const savedSearch of user.savedSearches) {
+      if (!savedSearch.alertsEnabled) continue;
+      const since = savedSearch.lastCheckedAt || savedSearch.createdAt;
+
+      try {
+        const matches = await findNewMatches(savedSearch.params || {}, {
+          since,
+          until: now,
+          limit: ALERT_SCHOLARSHIPS,
+        });
+
+        const update = { "savedSearches.$.lastCheckedAt": now };
+        if (matches.total > 0) {
+          update["savedSearches.$.lastMatchCount"] = matches.total;
+          update["savedSearches.$.lastMatchedAt"] = now;
+          result.matched++;
+
+          if (
+            user.emailNotifications &&
+            (await queueAlert(user, savedSearch, since, matches))
+          ) {
+            result.queued++;
+          }
+        }
+
+        // Positional update, so edits made meanwhile are kept
+        await User.updateOne(
+          { _id: user._id, "savedSearches._id": savedSearch._id },
+          { $set: update }
+        );
+        result.searches++;
+      } catch (error) {
+        result.failed++;
+        logger.warn("⚠️ Saved search check failed", {
+          savedSearch: savedSearch._id.toString(),
+          error: error.message,
+        });
+      }
+    }
+
+    result.users++;
+    await onProgress?.(result.users, total);
+  }
+
+  logger.info("🔔 Saved searches checked", result);
+  return result;
+}
+
+/**
+ * Queue a saved search check after a scraping pass that added
+ * scholarships; a check already waiting covers this pass too
+ *
+ * @param {string} trigger - What added the scholarships
+ */
+export function queueSavedSearchAlerts(trigger) {
+  return enqueueJob(
+    "saved-search-alerts",
+    { trigger },
+    { priority: 2, dedupeKey: "saved-search-alerts" }
+  ).catch((error) =>
+    logger.error(`Could not queue saved search alerts: ${error.message}`)
+  );
+}
+
+/**
+ * Build the email for new matches of a saved search
+ *
+ * @param {Object} options
+ * @param {Object} options.user
+ * @param {Object} options.savedSearch - { name, params }
+ * @param {Object[]} options.scholarships - The first new matches
+ * @param {number} options.matchCount - All new matches
+ */
+export function renderSavedSearchAlert({
+  user,
+  savedSearch,
+  scholarships,
+  matchCount,
+}) {
+  const link = savedSearchUrl(savedSearch.params);
+  const manage = portalUrl("/saved-searches");
+  const count =
+    matchCount === 1 ? "1 new scholarship" : `${matchCount} new scholarships`;
+  const footer =
+    "You are receiving this because you turned on alerts for this saved search on ScholarWise India. Turn off alerts on the saved searches page, or turn off email notifications in your profile settings.";
+
+  const describe = (scholarship) =>
+    [
+      scholarship.provider,
+      scholarship.amount,
+      scholarship.deadline
+        ? `closes ${formatEmailDate(scholarship.deadline)}`
+        : null,
+    ]
+      .filter(Boolean)
+      .join(" · ");
+
+  const subject = `${count} for "${savedSearch.name}"`;
+  const text = [
+    `Hi ${user.firstName || "there"},`,
+    "",
+    `Your saved search "${savedSearch.name}" has ${count}:`,
+    "",
+    ...scholarships.map(
+      (scholarship) =>
+        `- ${scholarship.title} (${describe(scholarship)}): ${portalUrl(
+          `/scholarship/${scholarship._id}`
+        )}`
+    ),
+    matchCount > scholarships.length
+      ? `…and ${matchCount - scholarships.length} more.`
+      : null,
+    "",
+    `See all results: ${link}`,
+    `Manage saved searches: ${manage}`,
+    "",
+    footer,
+  ]
+    .filter((line) => line !== null)
+    .join("\n");
+
+  const html = renderEmailLayout(
+    `
+  <p>Hi ${escapeHtml(user.firstName || "there")},</p>
+  <p>Your saved search <strong>${escapeHtml(
+    savedSearch.name
+  )}</strong> has ${count}:</p>
+  <ul>
+    ${scholarships
+      .map(
+        (scholarship) =>
+          `<li><a href="${portalUrl(
+            `/scholarship/${scholarship._id}`
+          )}">${escapeHtml(
+            scholarship.title
+          )}</a><br /><span style="color:#6b7280">${escapeHtml(
+            describe(scholarship)
+          )}</span></li>`
+      )
+      .join("\n    ")}
+  </ul>
+  ${
+    matchCount > scholarships.length
+      ? `<p>…and ${matchCount - scholarships.length} more.</p>`
+      : ""
+  }
+  <p><a href="${escapeHtml(
+    link
+  )}">See all results</a> &middot; <a href="${manage}">Manage saved searches</a></p>`,
+    footer
+  );
+
+  return { subject, text, html };
+}
+
+export default {
+  MAX_SAVED_SEARCHES,
+  validateSavedSearch,
+  addSavedSearch,
+  updateSavedSearch,
+  savedSearchUrl,
+  evaluateSavedSearches,
+  queueSavedSearchAlerts,
+  renderSavedSearchAlert,
+};
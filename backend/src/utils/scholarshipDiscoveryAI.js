@@ -1,13 +1,16 @@
 /**
  * AI-Powered Scholarship Website Discovery Service
- * Uses Gemini AI to find and evaluate new scholarship websites
+ * Uses Gemini AI to evaluate candidate scholarship websites and their
+ * sitemaps to find new or changed scholarship pages on them
  */
 
 import { GoogleGenerativeAI } from "@google/generative-ai";
 import axios from "axios";
 import * as cheerio from "cheerio";
 import { scrapingLogger as logger } from "./logger.js";
-import { URLSearchParams } from "url";
+import { DISCOVERY_SEED_SITES } from "../config/discoverySites.js";
+import { getProviderDirectory } from "./providerDirectory.js";
+import { discoverChangedPages } from "./sitemapDiscovery.js";
 
 class ScholarshipDiscoveryAI {
   constructor() {
@@ -15,34 +18,7 @@ class ScholarshipDiscoveryAI {
     this.genAI = new GoogleGenerativeAI(this.apiKey);
     this.model = this.genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
 
-    this.searchEngines = [
-      "https://www.google.com/search",
-      "https://www.bing.com/search",
-    ];
-
-    this.scholarshipKeywords = [
-      "indian scholarships",
-      "government scholarships india",
-      "private scholarships india",
-      "education scholarships",
-      "merit scholarships india",
-      "need based scholarships",
-      "minority scholarships india",
-      "engineering scholarships",
-      "medical scholarships india",
-      "research scholarships",
-      "postgraduate scholarships",
-      "undergraduate scholarships",
-      "sc st scholarships",
-      "obc scholarships",
-      "women scholarships india",
-      "disabled scholarships",
-      "sports scholarships india",
-      "arts scholarships",
-    ];
-
-    this.discoveredWebsites = new Set();
-    this.evaluatedWebsites = new Map();
+    this.evaluatedWebsites = new Map(); // url -> latest evaluation
     this.rateLimiter = new Map(); // Track last request time per domain
     this.minDelay = 2000; // Minimum 2 seconds between requests to same domain
   }
@@ -105,36 +81,44 @@ class ScholarshipDiscoveryAI {
   }
 
   /**
-   * Discover new scholarship websites using AI-powered search
+   * Candidate scholarship websites: the seed sites plus the websites of
+   * active providers, one per site
    */
-  async discoverScholarshipWebsites(maxResults = 50) {
-    logger.info("🔍 Starting AI-powered scholarship website discovery...");
-
-    try {
-      // Phase 1: AI-suggested search queries
-      const aiQueries = await this.generateSearchQueries();
-      logger.info(`Generated ${aiQueries.length} AI search queries`);
-
-      // Phase 2: Search for websites using multiple strategies
-      const discoveredUrls = new Set();
+  getCandidateSites() {
+    const sites = new Map();
+    const providerSites = getProviderDirectory()
+      .map((provider) => provider.website)
+      .filter(Boolean);
 
-      for (const query of aiQueries.slice(0, 10)) {
-        // Limit to top 10 queries
-        const urls = await this.searchForScholarshipSites(query);
-        urls.forEach((url) => discoveredUrls.add(url));
+    for (const url of [...DISCOVERY_SEED_SITES, ...providerSites]) {
+      try {
+        const { origin } = new URL(url);
+        if (!sites.has(origin)) sites.set(origin, url);
+      } catch {
+        logger.warn(`Ignoring invalid discovery site URL: ${url}`);
+      }
+    }
 
-        if (discoveredUrls.size >= maxResults) break;
+    return Array.from(sites.values());
+  }
 
-        // Rate limit between searches
-        await new Promise((resolve) => setTimeout(resolve, 3000));
-      }
+  /**
+   * Evaluate candidate scholarship websites using AI
+   */
+  async discoverScholarshipWebsites(maxResults = 50) {
+    logger.info("🔍 Starting AI-powered scholarship website discovery...");
 
-      // Phase 3: AI evaluation of discovered websites
-      const evaluatedSites = await this.evaluateDiscoveredSites(
-        Array.from(discoveredUrls)
+    try {
+      // Phase 1: Candidate sites
+      const candidates = this.getCandidateSites();
+      logger.info(
+        `Found ${candidates.length} scholarship websites to evaluate`
       );
 
-      // Phase 4: Filter and rank high-quality sites
+      // Phase 2: AI evaluation of candidate websites
+      const evaluatedSites = await this.evaluateDiscoveredSites(candidates);
+
+      // Phase 3: Filter and rank high-quality sites
       const qualitySites = evaluatedSites
         .filter(
           (site) => site.qualityScore >= 70 && site.scholarshipRelevance >= 80
@@ -146,7 +130,7 @@ class ScholarshipDiscoveryAI {
       );
 
       return {
-        totalDiscovered: discoveredUrls.size,
+        totalDiscovered: candidates.length,
         qualitySites: qualitySites.slice(0, maxResults),
         summary: {
           government: qualitySites.filter((s) => s.category === "government")
@@ -164,117 +148,6 @@ class ScholarshipDiscoveryAI {
     }
   }
 
-  /**
-   * Generate intelligent search queries using AI
-   */
-  async generateSearchQueries() {
-    const prompt = `
-Generate 15 highly specific search queries to find legitimate scholarship websites for Indian students. 
-
-Focus on:
-1. Government scholarship portals
-2. Educational institution scholarships
-3. Private foundation scholarships
-4. Corporate scholarship programs
-5. International scholarships for Indians
-
-Return ONLY a JSON array of search queries like:
-["query1", "query2", "query3", ...]
-
-Make queries specific and effective for finding authentic scholarship websites.
-`;
-
-    try {
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
-
-      const queries = this.cleanAndParseJSON(text);
-      return [...this.scholarshipKeywords, ...queries];
-    } catch (error) {
-      logger.warn("AI query generation failed, using fallback keywords");
-      return this.scholarshipKeywords;
-    }
-  }
-
-  /**
-   * Search for scholarship websites using search engines
-   */
-  async searchForScholarshipSites(query) {
-    const urls = new Set();
-
-    try {
-      // Google search simulation (respecting robots.txt and rate limits)
-      const googleResults = await this.performWebSearch(query);
-      googleResults.forEach((url) => urls.add(url));
-
-      // Add delay between search engines
-      await new Promise((resolve) => setTimeout(resolve, 2000));
-    } catch (error) {
-      logger.warn(`Search failed for query: ${query}`, error);
-    }
-
-    return Array.from(urls);
-  }
-
-  /**
-   * Perform web search with rate limiting
-   */
-  async performWebSearch(query) {
-    const searchUrls = [
-      // Focus on specific scholarship domains we know exist
-      "site:scholarships.gov.in",
-      "site:buddy4study.com",
-      "site:vidyalakshmi.co.in",
-      "site:aicte-india.org scholarships",
-      "site:ugc.ac.in scholarships",
-      "site:dst.gov.in scholarships",
-      "site:mhrd.gov.in scholarships",
-      // Generic searches
-      `"${query}" site:.gov.in`,
-      `"${query}" site:.edu.in`,
-      `"${query}" site:.ac.in`,
-      `"${query}" "apply now" scholarships`,
-      `"${query}" "scholarship portal"`,
-    ];
-
-    const foundUrls = new Set();
-
-    // Known high-quality scholarship websites to prioritize
-    const knownSites = [
-      "https://scholarships.gov.in",
-      "https://www.buddy4study.com",
-      "https://www.vidyalakshmi.co.in",
-      "https://www.aicte-india.org",
-      "https://www.ugc.ac.in",
-      "https://www.dst.gov.in",
-      "https://www.education.gov.in",
-      "https://www.minorityaffairs.gov.in",
-      "https://socialjustice.gov.in",
-      "https://tribal.gov.in",
-      "https://www.wcd.gov.in",
-      "https://www.msde.gov.in",
-      "https://www.icar.org.in",
-      "https://www.csir.res.in",
-      "https://www.drdo.gov.in",
-      "https://www.isro.gov.in",
-      "https://www.tcs.com/careers/india-careers/TCS-scholarship-program",
-      "https://www.tatacapital.com/blog/loan-for-education/scholarships-for-students/",
-      "https://www.reliance.com/reliance-foundation/",
-      "https://www.bharatpetroleum.in/scholarship/",
-      "https://www.ongcindia.com/web/eng/scholarships",
-      "https://www.sail.co.in/scholarships",
-      "https://www.ntpc.co.in/sustainability/scholarships",
-      "https://www.indianoil.co.in/Merit%20Scholarship",
-    ];
-
-    // Add known sites first
-    knownSites.forEach((url) => foundUrls.add(url));
-
-    logger.info(`Found ${foundUrls.size} scholarship websites to evaluate`);
-    return Array.from(foundUrls);
-  }
-
   /**
    * Evaluate discovered websites using AI
    */
@@ -288,6 +161,7 @@ Make queries specific and effective for finding authentic scholarship websites.
 
         const evaluation = await this.evaluateWebsite(url);
         if (evaluation) {
+          this.evaluatedWebsites.set(url, evaluation);
           evaluatedSites.push(evaluation);
         }
       } catch (error) {
@@ -413,22 +287,87 @@ Focus on:
   }
 
   /**
-   * Get prioritized list of websites for scraping
+   * Get prioritized scraping targets: the new or changed scholarship pages
+   * listed in the sitemaps of candidate sites, interleaved across sites in
+   * priority order. A site without sitemaps is one target at its own URL.
+   * Sites the last evaluation advised against are left out.
    */
-  async getPrioritizedScrapingTargets(limit = 20) {
-    const discovery = await this.discoverScholarshipWebsites(limit * 2);
-
-    return discovery.qualitySites
+  async getPrioritizedScrapingTargets(limit = 20, { maxAgeDays } = {}) {
+    const sites = this.getCandidateSites()
+      .map(
+        (url) => this.evaluatedWebsites.get(url) || this.defaultEvaluation(url)
+      )
       .filter((site) => site.scrapingRecommendation !== "not_recommended")
-      .slice(0, limit)
-      .map((site) => ({
-        url: site.url,
-        domain: site.domain,
-        priority: this.calculatePriority(site),
-        expectedScholarships: site.scholarshipCount || 10,
-        scrapingStrategy: this.generateScrapingStrategy(site),
-        rateLimit: this.calculateRateLimit(site.domain),
-      }));
+      .map((site) => ({ site, priority: this.calculatePriority(site) }))
+      .sort((a, b) => b.priority - a.priority);
+
+    const queues = [];
+    for (const { site, priority } of sites) {
+      try {
+        const { pages } = await discoverChangedPages(site.url, { maxAgeDays });
+        if (pages.length === 0) continue;
+
+        const scrapingStrategy = this.generateScrapingStrategy(site);
+        queues.push(
+          pages
+            // Most recently changed first; undated pages last
+            .sort(
+              (a, b) =>
+                (b.lastmod?.getTime() ?? 0) - (a.lastmod?.getTime() ?? 0)
+            )
+            .map((page) => ({
+              url: page.url,
+              domain: site.domain,
+              priority,
+              expectedScholarships: page.sitemap
+                ? 1
+                : site.scholarshipCount || 10,
+              scrapingStrategy,
+              rateLimit: this.calculateRateLimit(site.domain),
+              discovery: {
+                site: new URL(site.url).origin,
+                sitemap: page.sitemap,
+                lastmod: page.lastmod,
+              },
+            }))
+        );
+      } catch (error) {
+        logger.warn(`Sitemap discovery failed for ${site.url}:`, error.message);
+      }
+    }
+
+    // One page per site per round, so a large site cannot take every slot
+    const targets = [];
+    for (let round = 0; targets.length < limit; round++) {
+      const pages = queues
+        .map((queue) => queue[round])
+        .filter(Boolean)
+        .slice(0, limit - targets.length);
+      if (pages.length === 0) break;
+      targets.push(...pages);
+    }
+
+    logger.info(`🗺️ ${targets.length} new or changed pages to scrape`);
+    return targets;
+  }
+
+  /**
+   * Evaluation for a site that has not been evaluated yet
+   */
+  defaultEvaluation(url) {
+    const domain = new URL(url).hostname;
+    let category = "private";
+    if (/\.(gov|nic)\.in$/.test(domain)) category = "government";
+    else if (/\.(ac|edu|res)\.in$/.test(domain)) category = "educational";
+
+    return {
+      url,
+      domain,
+      category,
+      overallScore: 60,
+      scrapingDifficulty: "medium",
+      scrapingRecommendation: "recommended",
+    };
   }
 
   /**
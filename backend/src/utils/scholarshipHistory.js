@@ -0,0 +1,202 @@
+/**
+ * SCHOLARSHIP HISTORY
+ *
+ * Field-level versioning for scholarships. The Scholarship model remembers
+ * the tracked fields as loaded and, after every save, stores a
+ * ScholarshipVersion with the fields that changed, their old and new values
+ * and the scraper or AI job that wrote them.
+ *
+ * Writers attribute a save with `attributeScholarshipChange` before calling
+ * `save()`; unattributed saves are recorded with the source "unknown".
+ *
+ * @description Scholarship change history
+ * @author Scholarship Portal Team
+ * @version 1.0.0
+ * @created 2026-10-19
+ */
+
+import Joi from "joi";
+import ScholarshipVersion from "../models/ScholarshipVersion.js";
+import { logger } from "./logger.js";
+
+// Fields students care about; derived fields (amountNumber, eligibilityRules,
+// timestamps) follow from these and are not versioned separately
+export const TRACKED_FIELDS = [
+  "title",
+  "description",
+  "eligibility",
+  "amount",
+  "deadline",
+  "deadlineType",
+  "applicationLink",
+  "provider",
+  "category",
+  "educationLevel",
+  "state",
+  "isActive",
+];
+
+// Changes highlighted to students who saved the scholarship
+export const KEY_FIELDS = ["deadline", "deadlineType", "amount"];
+
+// `fields` may be comma-separated, repeated, or both
+const fieldList = Joi.alternatives()
+  .try(Joi.array().items(Joi.string()), Joi.string())
+  .custom((value) =>
+    []
+      .concat(value)
+      .flatMap((entry) => entry.split(","))
+      .map((field) => field.trim())
+      .filter((field) => TRACKED_FIELDS.includes(field))
+  );
+
+const historySchema = Joi.object({
+  fields: fieldList,
+  since: Joi.date(),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+});
+
+/**
+ * Validate history query parameters. Unknown fields are dropped.
+ *
+ * @param {Object} query - Request query
+ * @returns {Object} { error, value }
+ */
+export function validateHistoryParams(query) {
+  const { error, value } = historySchema.validate(query, {
+    stripUnknown: true,
+  });
+  if (error) return { error: error.details[0].message, value: null };
+  return { error: null, value };
+}
+
+const normalizeValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  return value;
+};
+
+/**
+ * Current values of the tracked fields, normalised for comparison
+ */
+export function snapshotTrackedFields(doc) {
+  return Object.fromEntries(
+    TRACKED_FIELDS.map((field) => [field, normalizeValue(doc.get(field))])
+  );
+}
+
+/**
+ * Field changes between two snapshots
+ *
+ * @returns {Array} [{ field, oldValue, newValue }]
+ */
+export function diffTrackedFields(before, after) {
+  return TRACKED_FIELDS.filter(
+    (field) => JSON.stringify(before[field]) !== JSON.stringify(after[field])
+  ).map((field) => ({
+    field,
+    oldValue: before[field],
+    newValue: after[field],
+  }));
+}
+
+/**
+ * Name the source (and staff member, if any) of the next save
+ *
+ * @param {Object} doc - Scholarship document
+ * @param {string} source - Scraper or job name, e.g. "buddy4study"
+ * @param {Object} [actor] - User who triggered the write
+ * @returns {Object} The document
+ */
+export function attributeScholarshipChange(doc, source, actor = null) {
+  doc.$locals.changeSource = source;
+  doc.$locals.changeActor = actor?._id || actor || null;
+  return doc;
+}
+
+/**
+ * Remember the tracked fields of a loaded document (post-init hook)
+ */
+export function rememberTrackedFields(doc) {
+  doc.$locals.trackedFields = snapshotTrackedFields(doc);
+}
+
+/**
+ * Store the version for a save that just completed (post-save hook).
+ * Failures are logged; history must never block a scholarship write.
+ *
+ * @returns {Promise<Object|null>} The version, or null if nothing changed
+ */
+export async function recordScholarshipVersion(doc) {
+  const current = snapshotTrackedFields(doc);
+  const previous = doc.$locals.trackedFields;
+  const created = Boolean(doc.$locals.wasNew);
+
+  doc.$locals.trackedFields = current;
+  // Without a loaded snapshot there is nothing to compare against
+  if (!created && !previous) return null;
+
+  const changes = created ? [] : diffTrackedFields(previous, current);
+  if (!created && changes.length === 0) return null;
+
+  try {
+    return await ScholarshipVersion.create({
+      scholarship: doc._id,
+      action: created ? "created" : "updated",
+      source: doc.$locals.changeSource || "unknown",
+      actor: doc.$locals.changeActor || undefined,
+      changes,
+    });
+  } catch (error) {
+    logger.error(
+      `Failed to record history for scholarship ${doc._id}: ${error.message}`
+    );
+    return null;
+  } finally {
+    doc.$locals.changeSource = null;
+    doc.$locals.changeActor = null;
+  }
+}
+
+/**
+ * Versions of a scholarship, newest first
+ *
+ * @param {string} scholarshipId
+ * @param {Object} [options]
+ * @param {string[]} [options.fields] - Only versions touching these fields
+ * @param {Date} [options.since] - Only versions after this date
+ * @param {number} [options.limit=50]
+ */
+export async function getScholarshipHistory(
+  scholarshipId,
+  { fields, since, limit = 50 } = {}
+) {
+  const query = { scholarship: scholarshipId };
+  if (fields?.length) query["changes.field"] = { $in: fields };
+  if (since) query.createdAt = { $gt: since };
+
+  const versions = await ScholarshipVersion.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .select("-actor")
+    .lean();
+
+  if (!fields?.length) return versions;
+
+  return versions.map((version) => ({
+    ...version,
+    changes: version.changes.filter(({ field }) => fields.includes(field)),
+  }));
+}
+
+export default {
+  TRACKED_FIELDS,
+  KEY_FIELDS,
+  validateHistoryParams,
+  snapshotTrackedFields,
+  diffTrackedFields,
+  attributeScholarshipChange,
+  rememberTrackedFields,
+  recordScholarshipVersion,
+  getScholarshipHistory,
+};
@@ -0,0 +1,439 @@
+/**
+ * SCHOLARSHIP MERGES
+ *
+ * Applies entity resolution to the database. Duplicate records are folded
+ * into one canonical scholarship: the canonical record takes the best
+ * value of each field (see `selectMergedFields`) and lists every record in
+ * `sources`, while the duplicates are deactivated and point at it through
+ * `duplicateOf`.
+ *
+ * Every merge is stored as a ScholarshipMerge with the field values it
+ * replaced, so an admin can undo it. Undone and rejected groups are never
+ * proposed or merged automatically again.
+ *
+ * @description Merge review, application and undo
+ * @author Scholarship Portal Team
+ * @version 1.0.0
+ * @created 2026-10-19
+ */
+
+import Scholarship from "../models/Scholarship.js";
+import ScholarshipMerge from "../models/ScholarshipMerge.js";
+import {
+  AUTO_MERGE_SCORE,
+  REVIEW_SCORE,
+  clusterDuplicatePairs,
+  findDuplicatePairs,
+  isOfficialUrl,
+  pairKey,
+  scoreScholarshipPair,
+  selectMergedFields,
+  sourceEntryFor,
+} from "./entityResolution.js";
+import { logger } from "./logger.js";
+import { attributeScholarshipChange } from "./scholarshipHistory.js";
+
+// History source for every write made by a merge or undo
+export const MERGE_SOURCE = "entity-resolution";
+
+// What candidate matching needs from each record
+const CANDIDATE_FIELDS =
+  "title provider amount amountNumber deadline applicationLink sourceUrl sources createdAt scrapedAt";
+
+/**
+ * A merge request that cannot be applied (unknown or already merged
+ * records, undoing a merge twice)
+ */
+export class MergeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "MergeError";
+  }
+}
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const summarize = (record) => ({
+  _id: record._id,
+  title: record.title,
+  provider: record.provider,
+  amount: record.amount,
+  deadline: record.deadline,
+  applicationLink: record.applicationLink,
+  sourceUrl: record.sourceUrl,
+  official: isOfficialUrl(record.sourceUrl),
+});
+
+/**
+ * Pairs an admin has rejected or undone, which must not be proposed again
+ */
+async function excludedPairKeys() {
+  const decisions = await ScholarshipMerge.find({
+    status: { $in: ["rejected", "undone"] },
+  })
+    .select("canonical merged.scholarship")
+    .lean();
+
+  const keys = new Set();
+  for (const decision of decisions) {
+    const ids = [
+      decision.canonical,
+      ...decision.merged.map(({ scholarship }) => scholarship),
+    ];
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) {
+        keys.add(pairKey(ids[i], ids[j]));
+      }
+    }
+  }
+  return keys;
+}
+
+/**
+ * Groups of active scholarships that look like one scheme, best first
+ *
+ * @param {Object} [options]
+ * @param {number} [options.minScore=REVIEW_SCORE]
+ * @param {number} [options.limit=50]
+ * @returns {Promise<Array>} [{ canonical, duplicates: [{ scholarship,
+ *   score, signals }], score }]
+ */
+export async function findMergeCandidates({
+  minScore = REVIEW_SCORE,
+  limit = 50,
+} = {}) {
+  const [records, excludedPairs] = await Promise.all([
+    Scholarship.find({ isActive: true }).select(CANDIDATE_FIELDS).lean(),
+    excludedPairKeys(),
+  ]);
+
+  const pairs = findDuplicatePairs(records, { minScore, excludedPairs });
+
+  return clusterDuplicatePairs(pairs, { minScore })
+    .map(({ canonical, duplicates }) => ({
+      canonical: summarize(canonical),
+      duplicates: duplicates.map(({ record, score, signals }) => ({
+        scholarship: summarize(record),
+        score,
+        signals,
+      })),
+      score: Math.min(...duplicates.map(({ score }) => score)),
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Merge duplicates into a canonical scholarship
+ *
+ * @param {string} canonicalId - Record that stays active
+ * @param {string[]} duplicateIds - Records folded into it
+ * @param {Object} [options]
+ * @param {Object} [options.actor] - Admin who approved the merge
+ * @param {boolean} [options.automatic=false] - Merged by the resolution job
+ * @returns {Promise<Object>} The ScholarshipMerge
+ * @throws {MergeError} When a record is missing or already merged
+ */
+export async function mergeScholarships(
+  canonicalId,
+  duplicateIds,
+  { actor = null, automatic = false } = {}
+) {
+  const ids = [...new Set(duplicateIds.map(String))].filter(
+    (id) => id !== String(canonicalId)
+  );
+  if (ids.length === 0) {
+    throw new MergeError("Choose at least one duplicate to merge");
+  }
+
+  const documents = await Scholarship.find({
+    _id: { $in: [canonicalId, ...ids] },
+  });
+  const byId = new Map(documents.map((doc) => [String(doc._id), doc]));
+
+  const canonical = byId.get(String(canonicalId));
+  if (!canonical || !canonical.isActive || canonical.duplicateOf) {
+    throw new MergeError("Canonical scholarship not found or already merged");
+  }
+
+  const duplicates = ids.map((id) => {
+    const duplicate = byId.get(id);
+    if (!duplicate) throw new MergeError(`Scholarship ${id} not found`);
+    if (duplicate.duplicateOf) {
+      throw new MergeError(`"${duplicate.title}" is already merged`);
+    }
+    return duplicate;
+  });
+
+  const canonicalRecord = canonical.toObject();
+  const duplicateRecords = duplicates.map((duplicate) => duplicate.toObject());
+  const scores = duplicateRecords.map((record) =>
+    scoreScholarshipPair(canonicalRecord, record)
+  );
+  const weakest = scores.reduce((min, pair) =>
+    pair.score < min.score ? pair : min
+  );
+
+  const { values, fieldSources } = selectMergedFields(
+    canonicalRecord,
+    duplicateRecords
+  );
+  const changes = Object.entries(values)
+    .filter(([field, value]) => !sameValue(canonicalRecord[field], value))
+    .map(([field, value]) => ({
+      field,
+      oldValue: canonicalRecord[field] ?? null,
+      newValue: value ?? null,
+    }));
+
+  // The canonical record lists itself once it collects other sources
+  const ownSources = canonicalRecord.sources || [];
+  const sources = ownSources.length
+    ? [...ownSources]
+    : [sourceEntryFor(canonicalRecord)];
+  // Entries this merge adds, removed again on undo
+  const addedSources = ownSources.length ? [] : [canonical._id];
+  for (const record of duplicateRecords) {
+    const entries = record.sources?.length
+      ? record.sources
+      : [sourceEntryFor(record)];
+    for (const entry of entries) {
+      if (
+        sources.some(
+          ({ scholarship }) => String(scholarship) === String(entry.scholarship)
+        )
+      ) {
+        continue;
+      }
+      sources.push(entry);
+      addedSources.push(entry.scholarship);
+    }
+  }
+
+  canonical.set({
+    ...Object.fromEntries(
+      changes.map(({ field, newValue }) => [field, newValue])
+    ),
+    sources,
+    lastUpdated: new Date(),
+  });
+  attributeScholarshipChange(canonical, MERGE_SOURCE, actor);
+  await canonical.save();
+
+  for (const duplicate of duplicates) {
+    duplicate.set({ isActive: false, duplicateOf: canonical._id });
+    attributeScholarshipChange(duplicate, MERGE_SOURCE, actor);
+    await duplicate.save();
+  }
+
+  const merge = await ScholarshipMerge.create({
+    canonical: canonical._id,
+    merged: duplicates.map((duplicate, index) => ({
+      scholarship: duplicate._id,
+      title: duplicate.title,
+      source: sourceEntryFor(duplicateRecords[index]).name,
+      score: scores[index].score,
+      wasActive: duplicateRecords[index].isActive,
+    })),
+    status: "applied",
+    score: weakest.score,
+    signals: weakest.signals,
+    fieldSources,
+    canonicalBefore: { changes, addedSources },
+    automatic,
+    actor: actor?._id || actor || undefined,
+  });
+
+  logger.info(
+    `Merged ${duplicates.length} duplicate(s) into "${canonical.title}" (${
+      automatic ? "automatic" : "reviewed"
+    }, score ${weakest.score})`
+  );
+  return merge;
+}
+
+/**
+ * Reverse a merge: reactivate the duplicates and restore the canonical
+ * fields it replaced. Fields changed again since the merge keep their
+ * newer value.
+ *
+ * @returns {Promise<Object|null>} { merge, skippedFields }, or null if the
+ *   merge does not exist
+ * @throws {MergeError} When the merge cannot be undone
+ */
+export async function undoMerge(mergeId, { actor = null } = {}) {
+  const merge = await ScholarshipMerge.findById(mergeId);
+  if (!merge) return null;
+  if (merge.status !== "applied") {
+    throw new MergeError(`This merge is ${merge.status}, not applied`);
+  }
+
+  const canonical = await Scholarship.findById(merge.canonical);
+  if (canonical?.duplicateOf) {
+    throw new MergeError(
+      `"${canonical.title}" has since been merged into another scholarship; undo that merge first`
+    );
+  }
+
+  const skippedFields = [];
+  if (canonical) {
+    const { changes = [], addedSources = [] } = merge.canonicalBefore || {};
+    const current = canonical.toObject();
+
+    for (const { field, oldValue, newValue } of changes) {
+      if (sameValue(current[field] ?? null, newValue)) {
+        canonical.set(field, oldValue);
+      } else {
+        skippedFields.push(field);
+      }
+    }
+
+    const added = new Set(addedSources.map(String));
+    canonical.sources = canonical.sources.filter(
+      ({ scholarship }) => !added.has(String(scholarship))
+    );
+    canonical.lastUpdated = new Date();
+    attributeScholarshipChange(canonical, MERGE_SOURCE, actor);
+    await canonical.save();
+  }
+
+  for (const { scholarship, wasActive } of merge.merged) {
+    const duplicate = await Scholarship.findById(scholarship);
+    if (
+      !duplicate ||
+      String(duplicate.duplicateOf) !== String(merge.canonical)
+    ) {
+      continue;
+    }
+    duplicate.set({ isActive: wasActive !== false, duplicateOf: null });
+    attributeScholarshipChange(duplicate, MERGE_SOURCE, actor);
+    await duplicate.save();
+  }
+
+  merge.status = "undone";
+  merge.undoneBy = actor?._id || actor || undefined;
+  merge.undoneAt = new Date();
+  await merge.save();
+
+  logger.info(`Undid merge ${merge._id} into "${canonical?.title}"`);
+  return { merge, skippedFields };
+}
+
+/**
+ * Record that a candidate group is not one scholarship, so it is not
+ * proposed again
+ *
+ * @returns {Promise<Object>} The rejected ScholarshipMerge
+ * @throws {MergeError} When a record does not exist
+ */
+export async function rejectMergeCandidates(
+  canonicalId,
+  duplicateIds,
+  { actor = null } = {}
+) {
+  const ids = [...new Set(duplicateIds.map(String))].filter(
+    (id) => id !== String(canonicalId)
+  );
+  if (ids.length === 0) {
+    throw new MergeError("Choose at least one scholarship to keep separate");
+  }
+
+  const records = await Scholarship.find({
+    _id: { $in: [canonicalId, ...ids] },
+  })
+    .select(CANDIDATE_FIELDS)
+    .lean();
+  const byId = new Map(records.map((record) => [String(record._id), record]));
+  const canonical = byId.get(String(canonicalId));
+  const missing = [String(canonicalId), ...ids].find((id) => !byId.has(id));
+  if (missing) throw new MergeError(`Scholarship ${missing} not found`);
+
+  return ScholarshipMerge.create({
+    canonical: canonical._id,
+    merged: ids.map((id) => {
+      const record = byId.get(id);
+      return {
+        scholarship: record._id,
+        title: record.title,
+        source: sourceEntryFor(record).name,
+        score: scoreScholarshipPair(canonical, record).score,
+      };
+    }),
+    status: "rejected",
+    actor: actor?._id || actor || undefined,
+  });
+}
+
+/**
+ * Merge history, newest first
+ */
+export function listMerges({ status, limit = 50 } = {}) {
+  const filter = {};
+  if (status) filter.status = status;
+  return ScholarshipMerge.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .populate("canonical", "title provider isActive sources")
+    .populate("actor undoneBy", "firstName lastName email")
+    .lean();
+}
+
+/**
+ * Merge every candidate group scoring at least `minScore` without review
+ *
+ * @param {Object} [options]
+ * @param {number} [options.minScore=AUTO_MERGE_SCORE]
+ * @param {Object} [options.actor] - User who queued the run
+ * @param {Function} [options.onProgress] - (done, total) after each group
+ * @param {Function} [options.shouldStop] - Stop between groups when true
+ * @returns {Promise<Object>} { groups, merged, duplicatesMerged, errors }
+ */
+export async function resolveDuplicates({
+  minScore = AUTO_MERGE_SCORE,
+  actor = null,
+  onProgress,
+  shouldStop,
+} = {}) {
+  const groups = await findMergeCandidates({ minScore, limit: Infinity });
+  const results = {
+    groups: groups.length,
+    merged: 0,
+    duplicatesMerged: 0,
+    errors: [],
+  };
+
+  for (const [index, group] of groups.entries()) {
+    if (shouldStop?.()) break;
+
+    try {
+      await mergeScholarships(
+        group.canonical._id,
+        group.duplicates.map(({ scholarship }) => scholarship._id),
+        { actor, automatic: true }
+      );
+      results.merged++;
+      results.duplicatesMerged += group.duplicates.length;
+    } catch (error) {
+      results.errors.push({
+        canonical: group.canonical._id,
+        title: group.canonical.title,
+        error: error.message,
+      });
+    }
+
+    await onProgress?.(index + 1, groups.length);
+  }
+
+  return results;
+}
+
+export default {
+  MERGE_SOURCE,
+  MergeError,
+  findMergeCandidates,
+  mergeScholarships,
+  undoMerge,
+  rejectMergeCandidates,
+  listMerges,
+  resolveDuplicates,
+};
@@ -0,0 +1,569 @@
+/**
+ * SCHOLARSHIP SEARCH
+ *
+ * Filters, ranks and counts scholarships for the listing endpoint. Search
+ * terms are normalized first (transliteration, synonyms and acronyms; see
+ * queryNormalizer.js), then go through the text index (title, description,
+ * eligibility) and also match provider directory names; when no whole
+ * word matches, a substring match on title, description and provider is
+ * tried so partial words still find results.
+ *
+ * Relevance blends the text score with deadline urgency, amount and, for a
+ * signed-in user, how well their profile fits the eligibility rules. Facet
+ * counts for each filter are taken with every other filter applied, so a
+ * count is the number of results choosing that value would give.
+ *
+ * @description Ranked scholarship search with facet counts and suggestions
+ * @author Scholarship Portal Team
+ * @version 1.0.0
+ * @created 2026-10-19
+ */
+
+import Joi from "joi";
+import Provider from "../models/Provider.js";
+import Scholarship from "../models/Scholarship.js";
+import { INDIAN_STATES, evaluateEligibility } from "./eligibilityEngine.js";
+import { editDistance, normalizeQuery } from "./queryNormalizer.js";
+
+/**
+ * Sort orders accepted by `?sort=`; relevance is computed in memory
+ */
+export const SORT_OPTIONS = {
+  relevance: null,
+  latest: { lastUpdated: -1, deadline: 1, createdAt: -1 },
+  // "fixed" sorts before "rolling"/"unknown", so dated deadlines come first
+  deadline: { deadlineType: 1, deadline: 1, lastUpdated: -1 },
+  amount: { amountNumber: -1, deadline: 1 },
+  alphabetical: { title: 1 },
+};
+
+// Filters with facet counts, and the scholarship field each one filters on
+export const FACETS = {
+  category: { field: "category" },
+  educationLevel: { field: "educationLevel" },
+  targetGroup: { field: "targetGroup", array: true },
+  state: { field: "state" },
+  provider: { field: "providerId" },
+};
+
+// Share of each signal in the relevance score; signals that do not apply
+// (no search terms, signed out) are left out and the rest scaled up
+const WEIGHTS = { text: 0.5, urgency: 0.2, amount: 0.1, profile: 0.2 };
+
+// Relevance and eligibility are computed for at most this many matches
+const MAX_RANKED = 500;
+// Enough for every state and union territory
+const FACET_LIMIT = 40;
+const MAX_SUGGESTIONS = 5;
+// Deadlines this many days out score about a third of one due today
+const URGENCY_DAYS = 30;
+// Amounts are scored on a log scale between these, in rupees per year
+const AMOUNT_FLOOR = 1000;
+const AMOUNT_CEILING = 1000000;
+// Text score of a result matched only through its provider's name
+const PROVIDER_MATCH_SCORE = 0.6;
+// "All India" is the default state, not a filter
+const ALL_INDIA = "All India";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const optionalString = Joi.string().trim().max(100).allow("");
+
+const searchSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  search: Joi.string().trim().max(200).allow(""),
+  category: optionalString,
+  educationLevel: optionalString,
+  targetGroup: optionalString,
+  state: optionalString,
+  // Provider directory slug
+  provider: optionalString,
+  deadline: Joi.date(),
+  minAmount: Joi.number().min(0),
+  maxAmount: Joi.number().min(0),
+  sort: Joi.string().valid(...Object.keys(SORT_OPTIONS)),
+  eligibleOnly: Joi.boolean(),
+  facets: Joi.boolean().default(true),
+});
+
+/**
+ * Validate listing query parameters. Without `sort`, results are ranked by
+ * relevance when there are search terms and by latest update otherwise.
+ *
+ * @param {Object} query - Request query
+ * @returns {Object} { error, value }
+ */
+export function validateSearchParams(query) {
+  const { error, value } = searchSchema.validate(query, {
+    stripUnknown: true,
+  });
+  if (error) return { error: error.details[0].message, value: null };
+
+  value.sort = value.sort || (value.search ? "relevance" : "latest");
+  return { error: null, value };
+}
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Conditions for each active filter, keyed by parameter name
+async function buildConditions(params) {
+  const conditions = {};
+
+  for (const key of ["category", "educationLevel", "targetGroup"]) {
+    if (params[key]) conditions[key] = { [FACETS[key].field]: params[key] };
+  }
+  if (params.state && params.state !== ALL_INDIA) {
+    conditions.state = { state: params.state };
+  }
+  // An unknown slug matches nothing
+  if (params.provider) {
+    const match = await Provider.findOne({ slug: params.provider })
+      .select("_id")
+      .lean();
+    conditions.provider = { providerId: match ? match._id : { $in: [] } };
+  }
+  if (params.deadline) {
+    conditions.deadline = { deadline: { $gte: params.deadline } };
+  }
+
+  // Amount range filters compare against the annualised rupee value
+  const amountRange = {};
+  if (params.minAmount !== undefined) amountRange.$gte = params.minAmount;
+  if (params.maxAmount !== undefined) amountRange.$lte = params.maxAmount;
+  if (Object.keys(amountRange).length > 0) {
+    conditions.amount = { amountNumber: amountRange };
+  }
+
+  return conditions;
+}
+
+// Combine the search match with all conditions except `omit`
+const toFilter = (searchMatch, conditions, omit) =>
+  Object.entries(conditions).reduce(
+    (filter, [key, condition]) =>
+      key === omit ? filter : { ...filter, ...condition },
+    { isActive: true, ...searchMatch }
+  );
+
+// The search terms as typed and as normalized, with their expansions
+const searchPhrases = (search) => {
+  const { text, expansions } = normalizeQuery(search);
+  return [...new Set([search.toLowerCase(), text, ...expansions])].filter(
+    Boolean
+  );
+};
+
+const phrasePattern = (phrases) =>
+  new RegExp(phrases.map(escapeRegex).join("|"), "i");
+
+// Directory providers whose name or an alias contains the search terms
+async function findProviderIds(search) {
+  const { text, keywords } = normalizeQuery(search);
+  const phrases = [text, ...keywords].filter((phrase) => phrase.length >= 3);
+  if (phrases.length === 0) return [];
+  const pattern = phrasePattern(phrases);
+  const providers = await Provider.find({
+    $or: [{ name: pattern }, { aliases: pattern }],
+  })
+    .select("_id")
+    .limit(20)
+    .lean();
+  return providers.map(({ _id }) => _id);
+}
+
+/**
+ * How the search terms are matched: "text" uses the text index and provider
+ * names, "substring" is the fallback for partial words
+ */
+async function buildSearchMatch(search, mode) {
+  if (!search) return {};
+
+  if (mode === "substring") {
+    const pattern = phrasePattern(searchPhrases(search));
+    return {
+      $or: [
+        { title: pattern },
+        { description: pattern },
+        { provider: pattern },
+      ],
+    };
+  }
+
+  const text = {
+    $text: { $search: normalizeQuery(search).searchText || search },
+  };
+  const providerIds = await findProviderIds(search);
+  // providerId is indexed, so it can sit in an $or beside $text
+  return providerIds.length > 0
+    ? { $or: [text, { providerId: { $in: providerIds } }] }
+    : text;
+}
+
+const urgencyScore = (scholarship, now) => {
+  if (scholarship.deadlineType === "rolling") return 0.4;
+  if (!scholarship.deadline) return 0.2;
+  const daysLeft = (new Date(scholarship.deadline).getTime() - now) / DAY_MS;
+  return daysLeft < 0 ? 0 : Math.exp(-daysLeft / URGENCY_DAYS);
+};
+
+const amountScore = ({ amountNumber }) => {
+  if (!amountNumber || amountNumber <= AMOUNT_FLOOR) return 0;
+  const scaled =
+    Math.log10(amountNumber / AMOUNT_FLOOR) /
+    Math.log10(AMOUNT_CEILING / AMOUNT_FLOOR);
+  return Math.min(1, scaled);
+};
+
+// 0-1 match of the search terms for results of a substring search
+const substringScore = (scholarship, phrases) => {
+  const matches = (field) =>
+    phrases.some((phrase) => field?.toLowerCase().includes(phrase));
+  if (matches(scholarship.title)) return 1;
+  if (matches(scholarship.provider)) return 0.7;
+  return 0.4;
+};
+
+/**
+ * Score results 0-100 and attach the eligibility match for a user
+ *
+ * @param {Array} scholarships - Plain scholarships, with `score` from the
+ *   text index when searched that way
+ * @param {Object} context - { search, mode, user }
+ * @returns {Array} Scholarships with `relevance` and, for a user,
+ *   `eligibilityMatch`
+ */
+export function rankScholarships(scholarships, { search, mode, user }) {
+  const now = Date.now();
+  const maxTextScore = Math.max(
+    0,
+    ...scholarships.map(({ score }) => score || 0)
+  );
+  const weights = {
+    ...WEIGHTS,
+    text: search ? WEIGHTS.text : 0,
+    profile: user ? WEIGHTS.profile : 0,
+  };
+  const totalWeight = Object.values(weights).reduce((a, b) => a + b, 0);
+  const phrases = search && mode === "substring" ? searchPhrases(search) : [];
+
+  return scholarships.map(({ score, ...scholarship }) => {
+    const eligibilityMatch = user
+      ? evaluateEligibility(scholarship, user)
+      : null;
+
+    let text = 0;
+    if (search && mode === "substring") {
+      text = substringScore(scholarship, phrases);
+    } else if (search) {
+      text =
+        score && maxTextScore > 0 ? score / maxTextScore : PROVIDER_MATCH_SCORE;
+    }
+
+    const signals = {
+      text,
+      urgency: urgencyScore(scholarship, now),
+      amount: amountScore(scholarship),
+      profile:
+        eligibilityMatch && eligibilityMatch.status !== "ineligible"
+          ? eligibilityMatch.score / 100
+          : 0,
+    };
+    const relevance = Object.entries(weights).reduce(
+      (sum, [signal, weight]) => sum + weight * signals[signal],
+      0
+    );
+
+    return {
+      ...scholarship,
+      relevance: Math.round((relevance / totalWeight) * 100),
+      ...(eligibilityMatch && { eligibilityMatch }),
+    };
+  });
+}
+
+/**
+ * Count results per value of one facet
+ *
+ * @returns {Promise<Array>} [{ value, count }], most results first; provider
+ *   values are directory slugs with the provider's name as `label`
+ */
+async function countFacet(key, filter) {
+  const { field, array } = FACETS[key];
+  const pipeline = [{ $match: filter }];
+  if (array) pipeline.push({ $unwind: `$${field}` });
+  pipeline.push(
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $match: { _id: { $nin: [null, ""] } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: FACET_LIMIT }
+  );
+  const buckets = await Scholarship.aggregate(pipeline);
+
+  if (key === "state") {
+    return buckets
+      .filter(({ _id }) => _id !== ALL_INDIA)
+      .map(({ _id, count }) => ({ value: _id, count }));
+  }
+  if (key !== "provider") {
+    return buckets.map(({ _id, count }) => ({ value: _id, count }));
+  }
+
+  const providers = await Provider.find({
+    _id: { $in: buckets.map(({ _id }) => _id) },
+  })
+    .select("name slug")
+    .lean();
+  const byId = new Map(providers.map((p) => [p._id.toString(), p]));
+  return buckets
+    .filter(({ _id }) => byId.has(_id.toString()))
+    .map(({ _id, count }) => ({
+      value: byId.get(_id.toString()).slug,
+      label: byId.get(_id.toString()).name,
+      count,
+    }));
+}
+
+async function countFacets(searchMatch, conditions) {
+  const keys = Object.keys(FACETS);
+  const counts = await Promise.all(
+    keys.map((key) => countFacet(key, toFilter(searchMatch, conditions, key)))
+  );
+  return Object.fromEntries(keys.map((key, i) => [key, counts[i]]));
+}
+
+// Words a misspelt search is likely meant to be: categories, states and
+// provider names
+async function loadVocabulary() {
+  const providers = await Provider.find().select("name aliases").lean();
+  const phrases = [
+    ...Scholarship.schema.path("category").enumValues,
+    ...INDIAN_STATES,
+    ...providers.flatMap(({ name, aliases }) => [name, ...(aliases || [])]),
+  ];
+  return [
+    ...new Set(
+      phrases
+        .flatMap((phrase) => phrase.toLowerCase().split(/[^a-z]+/))
+        .filter((word) => word.length >= 4)
+    ),
+  ];
+}
+
+/**
+ * Search terms with each misspelt word replaced by its closest known word
+ *
+ * @returns {Promise<Array<string>>} Corrected searches, best first
+ */
+async function correctSpelling(search) {
+  const words = normalizeQuery(search).text.split(" ").filter(Boolean);
+  const vocabulary = await loadVocabulary();
+  const known = new Set(vocabulary);
+  const corrections = [];
+
+  words.forEach((word, index) => {
+    if (word.length < 4 || known.has(word)) return;
+    const maxDistance = word.length <= 5 ? 1 : 2;
+    vocabulary
+      .map((candidate) => ({
+        candidate,
+        distance: editDistance(word, candidate),
+      }))
+      .filter(({ distance }) => distance > 0 && distance <= maxDistance)
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, 2)
+      .forEach(({ candidate, distance }) => {
+        const corrected = [...words];
+        corrected[index] = candidate;
+        corrections.push({ search: corrected.join(" "), distance });
+      });
+  });
+
+  return corrections
+    .sort((a, b) => a.distance - b.distance)
+    .map(({ search: corrected }) => corrected);
+}
+
+/**
+ * Ways to get results when a search finds nothing: corrected search terms,
+ * and dropping one filter or the search terms at a time
+ *
+ * @returns {Promise<Array>} [{ type: "search", search, count } |
+ *   { type: "removeFilter", filter, count } | { type: "removeSearch",
+ *   count }], most results first within each type
+ */
+async function buildSuggestions(params, conditions) {
+  const suggestions = [];
+  // Counted the way the search itself would run, fallback included
+  const countWith = async (search, omit) => {
+    const count = await Scholarship.countDocuments(
+      toFilter(await buildSearchMatch(search, "text"), conditions, omit)
+    );
+    if (count > 0 || !search) return count;
+    return Scholarship.countDocuments(
+      toFilter(await buildSearchMatch(search, "substring"), conditions, omit)
+    );
+  };
+
+  if (params.search) {
+    for (const corrected of await correctSpelling(params.search)) {
+      const count = await countWith(corrected);
+      if (count > 0)
+        suggestions.push({ type: "search", search: corrected, count });
+      if (suggestions.length >= 2) break;
+    }
+  }
+
+  const relaxed = [];
+  for (const filter of Object.keys(conditions)) {
+    const count = await countWith(params.search, filter);
+    if (count > 0) relaxed.push({ type: "removeFilter", filter, count });
+  }
+  if (params.search && Object.keys(conditions).length > 0) {
+    const count = await Scholarship.countDocuments(toFilter({}, conditions));
+    if (count > 0) relaxed.push({ type: "removeSearch", count });
+  }
+  relaxed.sort((a, b) => b.count - a.count);
+
+  return [...suggestions, ...relaxed].slice(0, MAX_SUGGESTIONS);
+}
+
+/**
+ * Search scholarships
+ *
+ * @param {Object} params - Validated parameters from validateSearchParams
+ * @param {Object} [options]
+ * @param {Object} [options.user] - Signed-in user, for profile matching and
+ *   `eligibleOnly`
+ * @returns {Promise<Object>} { scholarships, total, totalPages, currentPage,
+ *   sort, matchedBy, expansions, facets, suggestions }
+ */
+export async function searchScholarships(params, { user = null } = {}) {
+  const { page, limit, search, sort } = params;
+  const conditions = await buildConditions(params);
+
+  let mode = search ? "text" : null;
+  let searchMatch = await buildSearchMatch(search, mode);
+  let total = await Scholarship.countDocuments(
+    toFilter(searchMatch, conditions)
+  );
+
+  if (total === 0 && search) {
+    mode = "substring";
+    searchMatch = await buildSearchMatch(search, mode);
+    total = await Scholarship.countDocuments(toFilter(searchMatch, conditions));
+  }
+
+  const filter = toFilter(searchMatch, conditions);
+  const eligibleOnly = Boolean(user && params.eligibleOnly);
+  const inMemory = sort === "relevance" || eligibleOnly;
+  const textScore = { score: { $meta: "textScore" } };
+  const projection = mode === "text" ? textScore : {};
+  let scholarships = [];
+  let ranked = total;
+
+  if (total > 0 && inMemory) {
+    // Eligibility and relevance are computed in memory, so paginate after
+    let candidates = await Scholarship.find(filter, projection)
+      .sort(
+        sort === "relevance"
+          ? mode === "text"
+            ? textScore
+            : SORT_OPTIONS.deadline
+          : SORT_OPTIONS[sort]
+      )
+      .limit(MAX_RANKED)
+      .lean();
+
+    candidates = rankScholarships(candidates, { search, mode, user });
+    if (eligibleOnly) {
+      candidates = candidates.filter(
+        ({ eligibilityMatch }) => eligibilityMatch.status !== "ineligible"
+      );
+      total = candidates.length;
+    }
+    if (sort === "relevance") {
+      candidates.sort((a, b) => b.relevance - a.relevance);
+    }
+    ranked = Math.min(total, candidates.length);
+    scholarships = candidates.slice((page - 1) * limit, page * limit);
+  } else if (total > 0) {
+    const results = await Scholarship.find(filter, projection)
+      .sort(SORT_OPTIONS[sort])
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean();
+    scholarships = rankScholarships(results, { search, mode, user });
+  }
+
+  const [facets, suggestions] = await Promise.all([
+    params.facets ? countFacets(searchMatch, conditions) : null,
+    total === 0 && (search || Object.keys(conditions).length > 0)
+      ? buildSuggestions(params, conditions)
+      : [],
+  ]);
+
+  return {
+    scholarships,
+    total,
+    totalPages: Math.ceil(ranked / limit),
+    currentPage: page,
+    sort,
+    matchedBy: mode,
+    // Synonyms and acronym expansions searched for as well
+    expansions: search ? normalizeQuery(search).expansions : [],
+    facets,
+    suggestions,
+  };
+}
+
+/**
+ * Scholarships matching a search that were added between `since` and
+ * `until`, newest first. Matches the same way as the listing, falling back
+ * to substrings when the text search finds nothing, but without ranking or
+ * facets.
+ *
+ * @param {Object} params - Search terms and filters
+ * @param {Object} options
+ * @param {Date} options.since - Exclusive
+ * @param {Date} [options.until] - Inclusive; defaults to now
+ * @param {number} [options.limit=10] - Matches returned; all are counted
+ * @returns {Promise<Object>} { total, scholarships }
+ */
+export async function findNewMatches(
+  params,
+  { since, until = new Date(), limit = 10 }
+) {
+  const conditions = await buildConditions(params);
+  conditions.added = { createdAt: { $gt: since, $lte: until } };
+
+  let searchMatch = await buildSearchMatch(
+    params.search,
+    params.search ? "text" : null
+  );
+  let total = await Scholarship.countDocuments(
+    toFilter(searchMatch, conditions)
+  );
+  if (total === 0 && params.search) {
+    searchMatch = await buildSearchMatch(params.search, "substring");
+    total = await Scholarship.countDocuments(toFilter(searchMatch, conditions));
+  }
+
+  const scholarships =
+    total > 0
+      ? await Scholarship.find(toFilter(searchMatch, conditions))
+          .select("title provider amount deadline deadlineType")
+          .sort({ createdAt: -1 })
+          .limit(limit)
+          .lean()
+      : [];
+  return { total, scholarships };
+}
+
+export default {
+  SORT_OPTIONS,
+  FACETS,
+  validateSearchParams,
+  rankScholarships,
+  searchScholarships,
+  findNewMatches,
+};
@@ -0,0 +1,302 @@
+/**
+ * SCRAPE RUN HISTORY
+ *
+ * Persists every scraper execution as a ScrapeRun and answers the health
+ * questions the admin dashboard asks: how much each source yields over
+ * time, how often it fails and since when it has been returning nothing.
+ *
+ * While a run is active its counters live in async context, so code deep
+ * inside a scraper can report to it without threading a run object through:
+ * the Scholarship model reports saves via `noteScholarshipSaved` and the
+ * HTTP helpers report responses via `noteHttpStatus` and unchanged pages
+ * via `notePageSkipped`. Outside a run these are no-ops.
+ *
+ * @description Scrape run tracking, persistence and health reporting
+ * @author Scholarship Portal Team
+ * @version 1.0.0
+ * @created 2026-10-19
+ */
+
+import { AsyncLocalStorage } from "async_hooks";
+import mongoose from "mongoose";
+import ScrapeRun from "../models/ScrapeRun.js";
+import { scrapingLogger } from "./logger.js";
+
+const activeRun = new AsyncLocalStorage();
+
+const TIMEZONE = process.env.REMINDER_TIMEZONE || "Asia/Kolkata";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Runs that actually attempted a scrape; skipped runs say nothing of health
+const COMPLETED_STATUSES = ["success", "failed"];
+
+/**
+ * Start tracking a run of a source
+ *
+ * @param {Object} source - Registry source ({ key, name })
+ * @param {string} trigger - "scheduled", "immediate" or "manual"
+ * @returns {Object} Run counters, to pass to withScrapeRun and finishScrapeRun
+ */
+export function startScrapeRun(source, trigger) {
+  return {
+    source: source.key,
+    sourceName: source.name,
+    trigger,
+    startedAt: new Date(),
+    created: 0,
+    updated: 0,
+    pagesSkipped: 0,
+    bytesSaved: 0,
+    httpStatuses: {},
+  };
+}
+
+/**
+ * Execute `task` with `run` as the active run
+ */
+export function withScrapeRun(run, task) {
+  return activeRun.run(run, task);
+}
+
+/**
+ * Count a scholarship written by the active run
+ */
+export function noteScholarshipSaved(wasNew) {
+  const run = activeRun.getStore();
+  if (!run) return;
+  if (wasNew) run.created++;
+  else run.updated++;
+}
+
+/**
+ * Count an HTTP response received by the active run
+ */
+export function noteHttpStatus(status) {
+  const run = activeRun.getStore();
+  if (!run || !status) return;
+  run.httpStatuses[status] = (run.httpStatuses[status] || 0) + 1;
+}
+
+/**
+ * Count a page the active run skipped because it had not changed
+ *
+ * @param {number} bytesSaved - Body size not downloaded (0 when the page
+ *   was downloaded and found identical)
+ */
+export function notePageSkipped(bytesSaved) {
+  const run = activeRun.getStore();
+  if (!run) return;
+  run.pagesSkipped++;
+  run.bytesSaved += bytesSaved || 0;
+}
+
+/**
+ * Store a finished run. Failures to store are logged, never thrown, so a
+ * database outage cannot fail the scrape itself.
+ *
+ * @param {Object} run - Counters from startScrapeRun
+ * @param {Object} outcome - { status, reason, itemsFound, rejected, errorMessages }
+ * @returns {Promise<Object|null>} The saved ScrapeRun
+ */
+export async function finishScrapeRun(run, outcome) {
+  const finishedAt = new Date();
+  const record = {
+    ...run,
+    ...outcome,
+    finishedAt,
+    durationMs: finishedAt - run.startedAt,
+  };
+
+  if (mongoose.connection.readyState !== 1) return null;
+
+  try {
+    return await ScrapeRun.create(record);
+  } catch (error) {
+    scrapingLogger.error(`Failed to store scrape run for ${run.source}`, {
+      error: error.message,
+    });
+    return null;
+  }
+}
+
+/**
+ * Completed runs of a source, newest first. Used to rebuild circuit
+ * breakers after a restart.
+ */
+export async function getRecentOutcomes(source, limit) {
+  if (mongoose.connection.readyState !== 1) return [];
+
+  return ScrapeRun.find({ source, status: { $in: COMPLETED_STATUSES } })
+    .sort({ startedAt: -1 })
+    .limit(limit)
+    .select("status finishedAt")
+    .lean();
+}
+
+/**
+ * Run history, newest first
+ *
+ * @param {Object} [options]
+ * @param {string} [options.source] - Only runs of this source
+ * @param {string} [options.status] - Only runs with this status
+ * @param {Date} [options.before] - Only runs started before this time (paging)
+ * @param {number} [options.limit=50]
+ * @returns {Promise<Array>}
+ */
+export async function getScrapeRuns({
+  source,
+  status,
+  before,
+  limit = 50,
+} = {}) {
+  const filter = {};
+  if (source) filter.source = source;
+  if (status) filter.status = status;
+  if (before) filter.startedAt = { $lt: before };
+
+  return ScrapeRun.find(filter).sort({ startedAt: -1 }).limit(limit).lean();
+}
+
+// Calendar day of a date in the reporting time zone, e.g. 2026-10-19
+const dayOf = (date) =>
+  new Date(date).toLocaleDateString("en-CA", { timeZone: TIMEZONE });
+
+/**
+ * When a source last yielded scholarships, and since when it has not
+ *
+ * @returns {Promise<Object>} { lastYieldAt, zeroSince, zeroRuns }
+ */
+async function getYieldStreak(source) {
+  const lastYield = await ScrapeRun.findOne({
+    source,
+    status: "success",
+    itemsFound: { $gt: 0 },
+  })
+    .sort({ startedAt: -1 })
+    .select("startedAt")
+    .lean();
+
+  const sinceFilter = {
+    source,
+    status: { $in: COMPLETED_STATUSES },
+    ...(lastYield && { startedAt: { $gt: lastYield.startedAt } }),
+  };
+  const [firstEmpty, zeroRuns] = await Promise.all([
+    ScrapeRun.findOne(sinceFilter)
+      .sort({ startedAt: 1 })
+      .select("startedAt")
+      .lean(),
+    ScrapeRun.countDocuments(sinceFilter),
+  ]);
+
+  return {
+    lastYieldAt: lastYield?.startedAt || null,
+    zeroSince: firstEmpty?.startedAt || null,
+    zeroRuns,
+  };
+}
+
+/**
+ * Per-source health over the last `days` days: totals, the latest run, the
+ * current zero-yield streak and a daily series for charts. Days without
+ * runs are included with zero counts.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.days=14]
+ * @returns {Promise<Array>} One entry per source that has runs
+ */
+export async function getSourceHealth({ days = 14 } = {}) {
+  const now = Date.now();
+  const since = new Date(now - days * DAY_MS);
+  const dates = Array.from({ length: days }, (_, index) =>
+    dayOf(now - (days - 1 - index) * DAY_MS)
+  );
+
+  const [dailyRows, latestRuns] = await Promise.all([
+    ScrapeRun.aggregate([
+      { $match: { startedAt: { $gte: since }, status: { $ne: "running" } } },
+      {
+        $group: {
+          _id: {
+            source: "$source",
+            date: {
+              $dateToString: {
+                format: "%Y-%m-%d",
+                date: "$startedAt",
+                timezone: TIMEZONE,
+              },
+            },
+          },
+          runs: { $sum: 1 },
+          succeeded: {
+            $sum: { $cond: [{ $eq: ["$status", "success"] }, 1, 0] },
+          },
+          failed: { $sum: { $cond: [{ $eq: ["$status", "failed"] }, 1, 0] } },
+          itemsFound: { $sum: "$itemsFound" },
+          created: { $sum: "$created" },
+          updated: { $sum: "$updated" },
+          rejected: { $sum: "$rejected" },
+          pagesSkipped: { $sum: "$pagesSkipped" },
+          bytesSaved: { $sum: "$bytesSaved" },
+          durationMs: { $sum: "$durationMs" },
+        },
+      },
+    ]),
+    ScrapeRun.aggregate([
+      { $sort: { startedAt: -1 } },
+      { $group: { _id: "$source", run: { $first: "$$ROOT" } } },
+    ]),
+  ]);
+
+  return Promise.all(
+    latestRuns.map(async ({ _id: source, run }) => {
+      const rows = dailyRows.filter(
+        (row) => row._id.source === source && dates.includes(row._id.date)
+      );
+      const byDate = new Map(rows.map((row) => [row._id.date, row]));
+      const total = (field) => rows.reduce((sum, row) => sum + row[field], 0);
+      const completed = total("succeeded") + total("failed");
+
+      return {
+        source,
+        sourceName: run.sourceName,
+        lastRun: run,
+        runs: total("runs"),
+        succeeded: total("succeeded"),
+        failed: total("failed"),
+        successRate: completed > 0 ? total("succeeded") / completed : null,
+        itemsFound: total("itemsFound"),
+        created: total("created"),
+        updated: total("updated"),
+        rejected: total("rejected"),
+        pagesSkipped: total("pagesSkipped"),
+        bytesSaved: total("bytesSaved"),
+        avgDurationMs: completed > 0 ? total("durationMs") / completed : null,
+        ...(await getYieldStreak(source)),
+        daily: dates.map((date) => {
+          const row = byDate.get(date);
+          return {
+            date,
+            runs: row?.runs || 0,
+            failed: row?.failed || 0,
+            itemsFound: row?.itemsFound || 0,
+            created: row?.created || 0,
+            updated: row?.updated || 0,
+          };
+        }),
+      };
+    })
+  );
+}
+
+export default {
+  startScrapeRun,
+  withScrapeRun,
+  noteScholarshipSaved,
+  noteHttpStatus,
+  notePageSkipped,
+  finishScrapeRun,
+  getRecentOutcomes,
+  getScrapeRuns,
+  getSourceHealth,
+};
@@ -0,0 +1,168 @@
+/**
+ * SESSIONS
+ *
+ * Per-device refresh-token store. Every login creates a session; every
+ * refresh rotates its token. Presenting a token that has already been
+ * rotated out means it was copied, so the whole session is revoked.
+ *
+ * @description Refresh-token rotation, reuse detection and revocation
+ * @author Scholarship Portal Team
+ * @version 1.0.0
+ * @created 2026-10-19
+ */
+
+import Session from "../models/Session.js";
+import { generateToken, generateRefreshToken, hashToken } from "./auth.js";
+import { logger } from "./logger.js";
+
+// Rotated hashes kept per session for reuse detection
+const MAX_PREVIOUS_TOKENS = 50;
+
+const clientDetails = (req) => ({
+  userAgent: req.get("user-agent")?.slice(0, 500),
+  ipAddress: req.ip,
+});
+
+/**
+ * Start a session for a freshly authenticated user
+ *
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (for user agent and IP)
+ * @returns {Object} { token, refreshToken, session }
+ */
+export async function createSession(user, req) {
+  const { token: refreshToken, tokenHash, expiresAt } = generateRefreshToken();
+
+  const session = await Session.create({
+    user: user._id,
+    tokenHash,
+    expiresAt,
+    ...clientDetails(req),
+  });
+
+  return {
+    token: generateToken(user._id, session._id),
+    refreshToken,
+    session,
+  };
+}
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ *
+ * @param {string} refreshToken - Token issued by createSession or a previous rotation
+ * @param {Object} req - Express request
+ * @returns {Object|null} { token, refreshToken, session } or null if the token is not valid
+ */
+export async function rotateSession(refreshToken, req) {
+  const presentedHash = hashToken(refreshToken);
+  const next = generateRefreshToken();
+  const now = new Date();
+
+  // Atomic so two concurrent refreshes cannot both succeed with one token
+  const session = await Session.findOneAndUpdate(
+    {
+      tokenHash: presentedHash,
+      revokedAt: null,
+      expiresAt: { $gt: now },
+    },
+    {
+      $set: {
+        tokenHash: next.tokenHash,
+        lastUsedAt: now,
+        ...clientDetails(req),
+      },
+      $push: {
+        previousTokenHashes: {
+          $each: [presentedHash],
+          $slice: -MAX_PREVIOUS_TOKENS,
+        },
+      },
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return {
+      token: generateToken(session.user, session._id),
+      refreshToken: next.token,
+      session,
+    };
+  }
+
+  const reused = await Session.findOneAndUpdate(
+    { previousTokenHashes: presentedHash, revokedAt: null },
+    { revokedAt: now, revokedReason: "reuse-detected" }
+  );
+  if (reused) {
+    logger.warn("⚠️ Refresh token reuse detected, session revoked", {
+      user: reused.user.toString(),
+      session: reused._id.toString(),
+      ip: req.ip,
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Revoke one of a user's sessions
+ *
+ * @returns {boolean} true if a live session was revoked
+ */
+export async function revokeSession(userId, sessionId, reason = "revoked") {
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Revoke every live session of a user
+ *
+ * @param {Object} [options]
+ * @param {string} [options.except] - Session to keep signed in
+ * @returns {number} Sessions revoked
+ */
+export async function revokeAllSessions(
+  userId,
+  reason = "logout-all",
+  { except } = {}
+) {
+  const filter = { user: userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+
+  const result = await Session.updateMany(filter, {
+    revokedAt: new Date(),
+    revokedReason: reason,
+  });
+  return result.modifiedCount;
+}
+
+/**
+ * Live sessions of a user, most recently used first
+ */
+export async function listSessions(userId, currentSessionId) {
+  const sessions = await Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .sort({ lastUsedAt: -1 })
+    .select("userAgent ipAddress createdAt lastUsedAt expiresAt")
+    .lean();
+
+  return sessions.map((session) => ({
+    ...session,
+    current: session._id.toString() === currentSessionId?.toString(),
+  }));
+}
+
+export default {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  listSessions,
+};
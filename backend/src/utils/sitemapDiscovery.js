@@ -0,0 +1,363 @@
+/**
+ * SITEMAP DISCOVERY
+ *
+ * Finds scholarship pages on a site through the sitemaps its robots.txt
+ * lists (or /sitemap.xml when it lists none), following sitemap indexes
+ * and gzipped sitemaps. URLs are kept when their path looks like a
+ * scholarship page and their <lastmod>, if any, is recent.
+ *
+ * Every page found is recorded as a DiscoveredPage. A page is handed to
+ * the scraper again only when it is new, its lastmod moved past the one
+ * seen at the last visit, or, without a lastmod, the last visit is over
+ * 30 days old.
+ *
+ * @description Sitemap-based discovery of new and changed scholarship pages
+ * @author Scholarship Portal Team
+ * @version 1.0.0
+ * @created 2026-10-19
+ */
+
+import zlib from "zlib";
+import * as cheerio from "cheerio";
+import mongoose from "mongoose";
+import DiscoveredPage from "../models/DiscoveredPage.js";
+import { scrapingLogger as logger } from "./logger.js";
+import { checkRobots, getRobots } from "./robotsPolicy.js";
+import { createRobustHttpClient } from "./robustHttpClient.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SITEMAPS_PER_SITE = 25;
+const MAX_PAGES_PER_SITE = 2000;
+const MAX_SITEMAP_BYTES = 10 * 1024 * 1024;
+const MIN_FETCH_DELAY_MS = 1000;
+const REVISIT_UNDATED_MS = 30 * DAY_MS;
+const DEFAULT_MAX_AGE_DAYS = 365;
+
+// Matched against the path and query only: the host of a site like
+// scholarships.gov.in would otherwise match every page on it
+export const SCHOLARSHIP_URL_PATTERNS = [
+  /scholarship/i,
+  /fellowship/i,
+  /stipend/i,
+  /bursar(y|ies)/i,
+  /financial[-_ ]?aid/i,
+  /freeship/i,
+  /merit[-_ ]cum[-_ ]means/i,
+  // Hindi "chhatravritti" and its common spellings
+  /chh?at+ra?vrit+i/i,
+];
+
+const EXCLUDED_URL_PATTERNS = [
+  /\.(pdf|docx?|xlsx?|zip|jpe?g|png|gif|mp4)$/i,
+  /\/(tag|tags|author|feed)\//i,
+];
+
+const httpClient = createRobustHttpClient({
+  timeout: 30000,
+  maxContentLength: MAX_SITEMAP_BYTES,
+  responseType: "arraybuffer",
+  headers: {
+    Accept: "application/xml,text/xml;q=0.9,text/plain;q=0.8,*/*;q=0.5",
+  },
+});
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const bareHost = (url) => new URL(url).hostname.replace(/^www\./, "");
+
+/**
+ * Whether a URL looks like a scholarship page
+ */
+export function isScholarshipUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+
+  let path = `${parsed.pathname}${parsed.search}`;
+  try {
+    path = decodeURIComponent(path);
+  } catch {
+    // Keep the encoded path
+  }
+
+  return (
+    SCHOLARSHIP_URL_PATTERNS.some((pattern) => pattern.test(path)) &&
+    !EXCLUDED_URL_PATTERNS.some((pattern) => pattern.test(parsed.pathname))
+  );
+}
+
+const parseLastmod = (text) => {
+  const date = text ? new Date(text.trim()) : null;
+  return date && !isNaN(date.getTime()) ? date : null;
+};
+
+/**
+ * Parse a sitemap or sitemap index; plain-text sitemaps list one URL per
+ * line
+ *
+ * @param {string} text - Sitemap body
+ * @returns {Object} { type: "index" | "urlset", entries: [{ loc, lastmod }] }
+ */
+export function parseSitemap(text) {
+  const $ = cheerio.load(text, { xmlMode: true });
+  const read = (_, element) => ({
+    loc: $(element).children("loc").first().text().trim(),
+    lastmod: parseLastmod($(element).children("lastmod").first().text()),
+  });
+
+  if ($("sitemapindex").length > 0) {
+    return {
+      type: "index",
+      entries: $("sitemapindex > sitemap")
+        .map(read)
+        .get()
+        .filter(({ loc }) => loc),
+    };
+  }
+
+  if ($("urlset").length > 0) {
+    return {
+      type: "urlset",
+      entries: $("urlset > url")
+        .map(read)
+        .get()
+        .filter(({ loc }) => loc),
+    };
+  }
+
+  return {
+    type: "urlset",
+    entries: text
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter((line) => /^https?:\/\//i.test(line))
+      .map((loc) => ({ loc, lastmod: null })),
+  };
+}
+
+/**
+ * Fetch and parse one sitemap, unless robots.txt disallows it
+ *
+ * @returns {Promise<Object|null>} parseSitemap result plus crawlDelayMs,
+ *   or null when skipped
+ */
+async function fetchSitemap(url) {
+  const robots = await checkRobots(url, { scraper: "sitemap-discovery" });
+  if (!robots.allowed) return null;
+
+  const response = await httpClient.get(url);
+  if (response.status >= 400) throw new Error(`HTTP ${response.status}`);
+
+  let body = Buffer.from(response.data);
+  // .xml.gz files are served as gzip data, not gzip-encoded responses
+  if (body[0] === 0x1f && body[1] === 0x8b) {
+    body = zlib.gunzipSync(body, { maxOutputLength: MAX_SITEMAP_BYTES * 5 });
+  }
+
+  return {
+    ...parseSitemap(body.toString("utf8")),
+    crawlDelayMs: robots.crawlDelayMs,
+  };
+}
+
+// Scholarship-named child sitemaps first, then the most recently changed
+const rankSitemaps = (entries) =>
+  [...entries].sort(
+    (a, b) =>
+      isScholarshipUrl(b.loc) - isScholarshipUrl(a.loc) ||
+      (b.lastmod?.getTime() ?? 0) - (a.lastmod?.getTime() ?? 0)
+  );
+
+/**
+ * Scholarship pages listed in a site's sitemaps
+ *
+ * @param {string} siteUrl - Any URL on the site
+ * @param {Object} [options]
+ * @param {number} [options.maxAgeDays=365] - Ignore pages (and child
+ *   sitemaps) whose lastmod is older
+ * @returns {Promise<Object>} { sitemaps: fetched sitemap URLs,
+ *   pages: [{ url, lastmod, sitemap }] }
+ */
+export async function discoverSitemapPages(
+  siteUrl,
+  { maxAgeDays = DEFAULT_MAX_AGE_DAYS } = {}
+) {
+  const { origin } = new URL(siteUrl);
+  const siteHost = bareHost(siteUrl);
+  const oldest = Date.now() - maxAgeDays * DAY_MS;
+
+  const robots = await getRobots(siteUrl);
+  const listed = robots.robots?.sitemaps || [];
+  const queue = listed.length > 0 ? [...listed] : [`${origin}/sitemap.xml`];
+
+  const visited = new Set();
+  const sitemaps = [];
+  const pages = new Map();
+
+  while (
+    queue.length > 0 &&
+    visited.size < MAX_SITEMAPS_PER_SITE &&
+    pages.size < MAX_PAGES_PER_SITE
+  ) {
+    const sitemapUrl = queue.shift();
+    if (visited.has(sitemapUrl)) continue;
+    visited.add(sitemapUrl);
+
+    let sitemap;
+    try {
+      sitemap = await fetchSitemap(sitemapUrl);
+    } catch (error) {
+      logger.warn(`🗺️ Could not read sitemap ${sitemapUrl}: ${error.message}`);
+      continue;
+    }
+    if (!sitemap) continue;
+    sitemaps.push(sitemapUrl);
+
+    if (sitemap.type === "index") {
+      queue.push(
+        ...rankSitemaps(
+          sitemap.entries.filter(
+            ({ lastmod }) => !lastmod || lastmod.getTime() >= oldest
+          )
+        ).map(({ loc }) => loc)
+      );
+    } else {
+      for (const { loc, lastmod } of sitemap.entries) {
+        if (pages.size >= MAX_PAGES_PER_SITE) break;
+        if (lastmod && lastmod.getTime() < oldest) continue;
+        if (!isScholarshipUrl(loc)) continue;
+        // Sitemaps may only list pages of their own site
+        if (bareHost(loc) !== siteHost) continue;
+        pages.set(loc, { url: loc, lastmod, sitemap: sitemapUrl });
+      }
+    }
+
+    if (queue.length > 0) {
+      await sleep(Math.max(MIN_FETCH_DELAY_MS, sitemap.crawlDelayMs));
+    }
+  }
+
+  return { sitemaps, pages: [...pages.values()] };
+}
+
+const isChanged = (page, record, now) => {
+  if (!record?.visitedAt) return true;
+  if (page.lastmod) {
+    return !record.visitedLastmod || page.lastmod > record.visitedLastmod;
+  }
+  return now - record.visitedAt.getTime() > REVISIT_UNDATED_MS;
+};
+
+/**
+ * Record pages as seen and keep the ones new or changed since their last
+ * visit
+ *
+ * @param {string} site - Site origin
+ * @param {Array} pages - [{ url, lastmod, sitemap }]
+ * @returns {Promise<Array>} Pages to visit
+ */
+export async function selectChangedPages(site, pages) {
+  // Without a database nothing can be remembered, so everything is new
+  if (pages.length === 0 || mongoose.connection.readyState !== 1) {
+    return pages;
+  }
+
+  const now = new Date();
+  await DiscoveredPage.bulkWrite(
+    pages.map((page) => ({
+      updateOne: {
+        filter: { url: page.url },
+        update: {
+          $set: {
+            site,
+            sitemap: page.sitemap,
+            lastmod: page.lastmod,
+            lastSeenAt: now,
+          },
+        },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+
+  const records = await DiscoveredPage.find({
+    url: { $in: pages.map(({ url }) => url) },
+  })
+    .select("url visitedAt visitedLastmod")
+    .lean();
+  const byUrl = new Map(records.map((record) => [record.url, record]));
+
+  return pages.filter((page) =>
+    isChanged(page, byUrl.get(page.url), now.getTime())
+  );
+}
+
+/**
+ * New and changed scholarship pages of a site. A site without readable
+ * sitemaps is represented by the URL given for it.
+ *
+ * @param {string} siteUrl - Site or listing URL
+ * @param {Object} [options] - See discoverSitemapPages
+ * @returns {Promise<Object>} { site, sitemaps, found, pages }
+ */
+export async function discoverChangedPages(siteUrl, options = {}) {
+  const site = new URL(siteUrl).origin;
+  const { sitemaps, pages } = await discoverSitemapPages(siteUrl, options);
+
+  const candidates =
+    sitemaps.length > 0
+      ? pages
+      : [{ url: siteUrl, lastmod: null, sitemap: null }];
+  const changed = await selectChangedPages(site, candidates);
+
+  logger.info(
+    `🗺️ ${site}: ${sitemaps.length} sitemaps, ${candidates.length} scholarship pages, ${changed.length} new or changed`
+  );
+  return { site, sitemaps, found: candidates.length, pages: changed };
+}
+
+/**
+ * Remember the outcome of scraping a discovered page. Only a completed
+ * scrape counts as a visit: skipped and failed pages stay due.
+ *
+ * @param {Object} target - Scraping target with `discovery` set
+ * @param {Object} result - The scraper's result entry for the target
+ */
+export async function recordPageVisit(target, result) {
+  if (!target.discovery || mongoose.connection.readyState !== 1) return;
+
+  const visited =
+    result.status === "success" || result.status === "no_scholarships";
+
+  try {
+    await DiscoveredPage.updateOne(
+      { url: target.url },
+      {
+        $set: {
+          lastStatus: result.status,
+          scholarshipsFound: result.scholarshipsFound || 0,
+          ...(visited && {
+            visitedAt: new Date(),
+            visitedLastmod: target.discovery.lastmod || null,
+          }),
+        },
+      }
+    );
+  } catch (error) {
+    logger.warn(`Could not record visit of ${target.url}: ${error.message}`);
+  }
+}
+
+export default {
+  SCHOLARSHIP_URL_PATTERNS,
+  isScholarshipUrl,
+  parseSitemap,
+  discoverSitemapPages,
+  selectChangedPages,
+  discoverChangedPages,
+  recordPageVisit,
+};
@@ -0,0 +1,266 @@
+/**
+ * WEEKLY DIGEST
+ *
+ * Builds a personalised weekly email for every user with `weeklyDigest`
+ * enabled: new scholarships matching their recommendation criteria since
+ * the last digest, saved scholarships closing in the next two weeks and
+ * application status changes. Digests with nothing to report are skipped.
+ *
+ * @description Weekly personalised digest generation and delivery
+ * @author Scholarship Portal Team
+ * @version 1.0.0
+ * @created 2026-10-19
+ */
+
+import cron from "node-cron";
+import Scholarship from "../models/Scholarship.js";
+import User from "../models/User.js";
+import { getRecommendations } from "./recommendations.js";
+import { sendMail } from "./mailTransport.js";
+import {
+  escapeHtml,
+  formatEmailDate,
+  portalUrl,
+  renderEmailLayout,
+} from "./emailTemplates.js";
+import { logger } from "./logger.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DIGEST_PERIOD_DAYS = 7;
+const CLOSING_WINDOW_DAYS = 14;
+const MAX_NEW_SCHOLARSHIPS = 10;
+
+let scheduledTask = null;
+
+/**
+ * Collect the digest content for a user
+ *
+ * @param {Object} user - User document
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Object} { since, until, newScholarships, closingSoon, applicationUpdates, isEmpty }
+ */
+export async function buildDigest(user, { now = new Date() } = {}) {
+  const since =
+    user.lastDigestSentAt ||
+    new Date(now.getTime() - DIGEST_PERIOD_DAYS * DAY_MS);
+
+  const newScholarships = await getRecommendations(user, {
+    since,
+    limit: MAX_NEW_SCHOLARSHIPS,
+  });
+
+  const closingSoon = await Scholarship.find({
+    _id: { $in: user.savedScholarships },
+    isActive: true,
+    deadlineType: "fixed",
+    deadline: {
+      $gte: now,
+      $lte: new Date(now.getTime() + CLOSING_WINDOW_DAYS * DAY_MS),
+    },
+  })
+    .sort({ deadline: 1 })
+    .select("title amount deadline applicationLink")
+    .lean();
+
+  const updatedApplications = user.appliedScholarships.filter(
+    (application) =>
+      application.statusUpdatedAt && application.statusUpdatedAt > since
+  );
+  const appliedTitles = await Scholarship.find({
+    _id: { $in: updatedApplications.map((app) => app.scholarshipId) },
+  })
+    .select("title")
+    .lean();
+  const titles = new Map(
+    appliedTitles.map(({ _id, title }) => [_id.toString(), title])
+  );
+
+  const applicationUpdates = updatedApplications.map((application) => ({
+    scholarshipId: application.scholarshipId,
+    title: titles.get(application.scholarshipId?.toString()) || "Scholarship",
+    status: application.status,
+    updatedAt: application.statusUpdatedAt,
+  }));
+
+  return {
+    since,
+    until: now,
+    newScholarships,
+    closingSoon,
+    applicationUpdates,
+    isEmpty:
+      newScholarships.length === 0 &&
+      closingSoon.length === 0 &&
+      applicationUpdates.length === 0,
+  };
+}
+
+const STATUS_LABELS = {
+  planning: "Planning",
+  preparing: "Preparing documents",
+  applied: "Applied",
+  "under-review": "Under review",
+  accepted: "Accepted",
+  rejected: "Not selected",
+};
+
+/**
+ * Render a digest as HTML and plain text
+ */
+export function renderDigest(user, digest) {
+  const { newScholarships, closingSoon, applicationUpdates } = digest;
+  const name = user.firstName || "there";
+  const footer =
+    "You are receiving this weekly digest from ScholarWise India. Turn it off in your profile notification settings.";
+
+  const subject =
+    newScholarships.length > 0
+      ? `${newScholarships.length} new scholarship${
+          newScholarships.length === 1 ? "" : "s"
+        } for you this week`
+      : "Your weekly scholarship update";
+
+  const text = [`Hi ${name},`, "", "Here is your weekly scholarship update."];
+  const html = [
+    `<p>Hi ${escapeHtml(name)},</p>`,
+    "<p>Here is your weekly scholarship update.</p>",
+  ];
+
+  if (newScholarships.length > 0) {
+    text.push("", "NEW SCHOLARSHIPS FOR YOU");
+    html.push("<h3>New scholarships for you</h3><ul>");
+    for (const scholarship of newScholarships) {
+      const link = portalUrl(`/scholarship/${scholarship._id}`);
+      text.push(
+        `- ${scholarship.title} (${scholarship.amount || "Amount varies"})`,
+        `  ${link}`
+      );
+      html.push(
+        `<li><a href="${link}">${escapeHtml(
+          scholarship.title
+        )}</a> &ndash; ${escapeHtml(
+          scholarship.amount || "Amount varies"
+        )}</li>`
+      );
+    }
+    html.push("</ul>");
+  }
+
+  if (closingSoon.length > 0) {
+    text.push("", "SAVED SCHOLARSHIPS CLOSING SOON");
+    html.push("<h3>Saved scholarships closing soon</h3><ul>");
+    for (const scholarship of closingSoon) {
+      const deadline = formatEmailDate(scholarship.deadline);
+      text.push(
+        `- ${scholarship.title}: closes ${deadline}`,
+        `  ${scholarship.applicationLink}`
+      );
+      html.push(
+        `<li><a href="${escapeHtml(scholarship.applicationLink)}">${escapeHtml(
+          scholarship.title
+        )}</a> &ndash; closes <strong>${deadline}</strong></li>`
+      );
+    }
+    html.push("</ul>");
+  }
+
+  if (applicationUpdates.length > 0) {
+    text.push("", "APPLICATION UPDATES");
+    html.push("<h3>Application updates</h3><ul>");
+    for (const update of applicationUpdates) {
+      const status = STATUS_LABELS[update.status] || update.status;
+      text.push(`- ${update.title}: ${status}`);
+      html.push(
+        `<li>${escapeHtml(update.title)} &ndash; <strong>${escapeHtml(
+          status
+        )}</strong></li>`
+      );
+    }
+    html.push("</ul>");
+  }
+
+  text.push("", `Open your dashboard: ${portalUrl("/dashboard")}`, "", footer);
+  html.push(
+    `<p><a href="${portalUrl("/dashboard")}">Open your dashboard</a></p>`
+  );
+
+  return {
+    subject,
+    text: text.join("\n"),
+    html: renderEmailLayout(html.join("\n  "), footer),
+  };
+}
+
+/**
+ * Build, send and record the digest for one user
+ *
+ * @returns {Object} { sent, reason? }
+ */
+export async function sendWeeklyDigest(user, { now = new Date() } = {}) {
+  const digest = await buildDigest(user, { now });
+  if (digest.isEmpty) {
+    return { sent: false, reason: "Nothing new to report" };
+  }
+
+  const message = renderDigest(user, digest);
+  await sendMail({ to: user.email, ...message });
+
+  await User.updateOne({ _id: user._id }, { lastDigestSentAt: now });
+  return { sent: true };
+}
+
+/**
+ * Send digests to every subscribed user
+ */
+export async function runWeeklyDigests({ now = new Date() } = {}) {
+  const cursor = User.find({ isActive: true, weeklyDigest: true }).cursor();
+  const result = { users: 0, sent: 0, skipped: 0, failed: 0 };
+
+  for await (const user of cursor) {
+    result.users++;
+    try {
+      const { sent } = await sendWeeklyDigest(user, { now });
+      if (sent) result.sent++;
+      else result.skipped++;
+    } catch (error) {
+      result.failed++;
+      logger.warn("⚠️ Weekly digest failed", {
+        user: user._id.toString(),
+        error: error.message,
+      });
+    }
+  }
+
+  logger.info("📰 Weekly digests processed", result);
+  return result;
+}
+
+/**
+ * Send digests every Monday at 9 AM
+ */
+export function scheduleWeeklyDigest() {
+  if (scheduledTask) return;
+
+  scheduledTask = cron.schedule(
+    "0 9 * * 1",
+    async () => {
+      try {
+        await runWeeklyDigests();
+      } catch (error) {
+        logger.error("❌ Weekly digest run failed:", error.message);
+      }
+    },
+    { timezone: process.env.REMINDER_TIMEZONE || "Asia/Kolkata" }
+  );
+
+  logger.info("✅ Weekly digest scheduled");
+}
+
+export default {
+  buildDigest,
+  renderDigest,
+  sendWeeklyDigest,
+  runWeeklyDigests,
+  scheduleWeeklyDigest,
+};
@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseAmount } from "../src/utils/amountParser.js";
+
+test("an income ceiling is not read as the award", () => {
+  const details = parseAmount(
+    "₹10,000 per year for families earning below ₹2.5 lakh"
+  );
+  assert.equal(details.max, 10000);
+  assert.equal(details.min, 10000);
+  assert.equal(details.period, "annual");
+  assert.equal(details.annualValue, 10000);
+});
+
+test("annual family income wording is not the award period", () => {
+  const details = parseAmount(
+    "Rs. 1,000 per month; annual family income should not exceed Rs. 2,50,000"
+  );
+  assert.equal(details.max, 1000);
+  assert.equal(details.period, "monthly");
+  assert.equal(details.annualValue, 12000);
+});
+
+test("a total corpus is not read as the award", () => {
+  const details = parseAmount(
+    "₹5,000 per student out of a total corpus of ₹5 crore"
+  );
+  assert.equal(details.max, 5000);
+  assert.equal(details.annualValue, 5000);
+});
+
+test("each amount is annualised by its own period", () => {
+  const details = parseAmount("₹1,000 per month and ₹10,000 annual book grant");
+  assert.equal(details.min, 1000);
+  assert.equal(details.max, 10000);
+  assert.equal(details.period, "monthly");
+  assert.equal(details.annualValue, 12000);
+});
+
+test("a range shares the period written after it", () => {
+  const details = parseAmount("₹1,000 - ₹2,500 per month");
+  assert.equal(details.min, 1000);
+  assert.equal(details.max, 2500);
+  assert.equal(details.annualValue, 30000);
+});
+
+test("a single ceiling keeps no minimum", () => {
+  const details = parseAmount("Up to 1 lakh per annum");
+  assert.equal(details.min, null);
+  assert.equal(details.max, 100000);
+  assert.equal(details.annualValue, 100000);
+});
+
+test("period words right after an amount are not read as durations", () => {
+  const monthly = parseAmount("₹5000 monthly");
+  assert.equal(monthly.max, 5000);
+  assert.equal(monthly.annualValue, 60000);
+
+  const yearly = parseAmount("₹12,000 yearly");
+  assert.equal(yearly.max, 12000);
+  assert.equal(yearly.annualValue, 12000);
+
+  const stipend = parseAmount("Rs. 2,000 monthly stipend");
+  assert.equal(stipend.max, 2000);
+  assert.equal(stipend.isVariable, false);
+
+  const range = parseAmount("₹1000 - ₹2000 monthly");
+  assert.equal(range.min, 1000);
+  assert.equal(range.max, 2000);
+  assert.equal(range.annualValue, 24000);
+});
+
+test("durations after a number are still skipped", () => {
+  const details = parseAmount("₹10,000 per year for 4 years");
+  assert.equal(details.max, 10000);
+});
+
+test("L is read as lakh", () => {
+  const details = parseAmount("1.5 L per year");
+  assert.equal(details.max, 150000);
+  assert.equal(details.period, "annual");
+});
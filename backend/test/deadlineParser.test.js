@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseDeadline } from "../src/utils/deadlineParser.js";
+
+const now = new Date(2026, 9, 1);
+
+test("each phase date takes the keyword closest to it", () => {
+  const { deadlinePhases } = parseDeadline(
+    "Fresh: 31/10/2026, Renewal: 15/11/2026",
+    { now }
+  );
+  assert.deepEqual(
+    deadlinePhases.map(({ label, date }) => [label, date.getDate()]),
+    [
+      ["fresh", 31],
+      ["renewal", 15],
+    ]
+  );
+});
+
+test("a single labelled phase is kept", () => {
+  const { deadline, deadlinePhases } = parseDeadline(
+    "Last date for renewal applications: 30/11/2026",
+    { now }
+  );
+  assert.equal(deadline.getDate(), 30);
+  assert.deepEqual(
+    deadlinePhases.map(({ label }) => label),
+    ["renewal"]
+  );
+});
@@ -0,0 +1,95 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  evaluateEligibility,
+  extractEligibilityRules,
+} from "../src/utils/eligibilityEngine.js";
+
+const genderOf = (eligibility, targetGroup = []) =>
+  extractEligibilityRules({ eligibility, targetGroup }).gender;
+
+// true, false or null (unknown) for the category rule
+const categoryOutcome = (casteCategories, user) => {
+  const result = evaluateEligibility(
+    { eligibilityRules: { casteCategories, extractedAt: new Date() } },
+    user
+  );
+  const has = (entries) => entries.some(({ rule }) => rule === "category");
+  if (has(result.passed)) return true;
+  if (has(result.failed)) return false;
+  return has(result.unknown) ? null : undefined;
+};
+
+test("women-only wording restricts to female students", () => {
+  assert.equal(genderOf("Only girl students can apply"), "female");
+  assert.equal(genderOf("Scholarship for women pursuing STEM"), "female");
+});
+
+test("mixed wording stays open to all genders", () => {
+  assert.equal(genderOf("Open to boys and girls of class 10"), "any");
+  assert.equal(genderOf("For sons and daughters of ex-servicemen"), "any");
+  assert.equal(genderOf("Boys/girls studying in Kerala"), "any");
+  assert.equal(genderOf("Men and women above 18 years"), "any");
+  assert.equal(genderOf("Girls and boys", ["Women"]), "any");
+});
+
+test("preference for girls does not exclude boys", () => {
+  assert.equal(genderOf("Preference will be given to girl students"), "any");
+  assert.equal(genderOf("Women are encouraged to apply"), "any");
+});
+
+test("boys-only wording restricts to male students", () => {
+  assert.equal(genderOf("Only for boys hostel residents"), "male");
+  assert.equal(genderOf("Open to men in the armed forces"), "any");
+});
+
+test("general or open category text maps to General", () => {
+  const rules = extractEligibilityRules({
+    eligibility: "Open to SC, OBC and general category students",
+  });
+  assert.deepEqual(rules.casteCategories.sort(), ["General", "OBC", "SC"]);
+});
+
+test("all categories means no category restriction", () => {
+  const rules = extractEligibilityRules({
+    eligibility: "Students of all categories including SC/ST may apply",
+  });
+  assert.deepEqual(rules.casteCategories, []);
+});
+
+test("missing caste category is unknown whatever isMinority says", () => {
+  const rules = ["SC", "ST"];
+  assert.equal(categoryOutcome(rules, { isMinority: false }), null);
+  assert.equal(categoryOutcome(rules, {}), null);
+  assert.equal(categoryOutcome(rules, { casteCategory: "General" }), false);
+  assert.equal(categoryOutcome(rules, { casteCategory: "SC" }), true);
+});
+
+test("minority schemes use the minority answer", () => {
+  const rules = ["Minority"];
+  assert.equal(categoryOutcome(rules, { isMinority: true }), true);
+  assert.equal(categoryOutcome(rules, { isMinority: false }), false);
+  assert.equal(categoryOutcome(rules, {}), null);
+});
+
+const casteOf = (eligibility) =>
+  extractEligibilityRules({ eligibility }).casteCategories;
+
+test("degree and place abbreviations are not caste categories", () => {
+  assert.deepEqual(casteOf("B.Sc students with 60% marks"), []);
+  assert.deepEqual(casteOf("M.Sc or B.Sc. graduates may apply"), []);
+  assert.deepEqual(casteOf("Students of St. Xavier's College"), []);
+  assert.deepEqual(casteOf("Open to SC/ST students").sort(), ["SC", "ST"]);
+  assert.deepEqual(casteOf("Only for SC category students"), ["SC"]);
+});
+
+test("state names match whole words only", () => {
+  const statesOf = (eligibility, state) =>
+    extractEligibilityRules({ eligibility, state }).domicileStates;
+
+  assert.deepEqual(
+    statesOf("Our goal is to support any resident of India"),
+    []
+  );
+  assert.deepEqual(statesOf("Must be a permanent resident of Goa"), ["Goa"]);
+});
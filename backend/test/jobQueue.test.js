@@ -0,0 +1,32 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Job from "../src/models/Job.js";
+import { enqueueJob, registerJobHandler } from "../src/utils/jobQueue.js";
+
+registerJobHandler("test-dedupe", async () => {});
+
+test("an enqueue that loses the dedupe race returns the winning job", async (t) => {
+  const winner = { _id: "winner", dedupeKey: "test:key" };
+  let lookups = 0;
+  // Empty before the insert, the winner after it
+  t.mock.method(Job, "findOne", async () => (lookups++ === 0 ? null : winner));
+  t.mock.method(Job, "create", async () => {
+    throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+  });
+
+  const { job, deduplicated } = await enqueueJob(
+    "test-dedupe",
+    {},
+    { dedupeKey: "test:key" }
+  );
+  assert.equal(job, winner);
+  assert.equal(deduplicated, true);
+});
+
+test("duplicate-key errors without a dedupe key are rethrown", async (t) => {
+  t.mock.method(Job, "create", async () => {
+    throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+  });
+
+  await assert.rejects(enqueueJob("test-dedupe"), /duplicate key/);
+});
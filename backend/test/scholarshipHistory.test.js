@@ -0,0 +1,21 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateHistoryParams } from "../src/utils/scholarshipHistory.js";
+
+test("history fields may be comma-separated or repeated", () => {
+  assert.deepEqual(
+    validateHistoryParams({ fields: "deadline,amount" }).value.fields,
+    ["deadline", "amount"]
+  );
+  assert.deepEqual(
+    validateHistoryParams({ fields: ["deadline", "amount,title", "unknown"] })
+      .value.fields,
+    ["deadline", "amount", "title"]
+  );
+});
+
+test("invalid history queries are rejected", () => {
+  assert.ok(validateHistoryParams({ since: "not a date" }).error);
+  assert.ok(validateHistoryParams({ limit: "500" }).error);
+  assert.equal(validateHistoryParams({}).value.limit, 50);
+});
@@ -0,0 +1,22 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  listRecordedSources,
+  replaySource,
+} from "../src/scrapers/fixtureHarness.js";
+
+const sources = listRecordedSources();
+
+test("scraper fixtures are recorded", () => {
+  assert.ok(
+    sources.length > 0,
+    "No scraper fixtures recorded; run npm run record-fixtures"
+  );
+});
+
+for (const key of sources) {
+  test(`${key} replays to its snapshot`, async () => {
+    const { differences } = await replaySource(key);
+    assert.deepEqual(differences, []);
+  });
+}
@@ -6,17 +6,22 @@ import {
 } from "react-router-dom";
 import { Toaster } from "react-hot-toast";
 import { AuthProvider } from "./contexts/AuthContext";
-import { Navbar, Footer, ChatBot } from "./components";
+import { SavedScholarshipsProvider } from "./contexts/SavedScholarshipsContext";
+import { Navbar, Footer, ChatBot, RequireRole } from "./components";
 import LandingPage from "./pages/LandingPage";
 import EnhancedHomePage from "./pages/EnhancedHomePage";
 import ScholarshipsPage from "./pages/ScholarshipsPage";
 import ScholarshipDetailsPage from "./pages/ScholarshipDetailsPage";
 import EnhancedAdminDashboard from "./pages/EnhancedAdminDashboard";
 import SavedPage from "./pages/SavedPage";
+import SavedSearchesPage from "./pages/SavedSearchesPage";
 import AnalyticsPage from "./pages/AnalyticsPage";
 import Login from "./pages/Login";
 import Register from "./pages/Register";
 import Dashboard from "./pages/Dashboard";
+import VerifyEmail from "./pages/VerifyEmail";
+import ForgotPassword from "./pages/ForgotPassword";
+import ResetPassword from "./pages/ResetPassword";
 
 function AppContent() {
   const location = useLocation();
@@ -32,11 +37,22 @@ function AppContent() {
           <Route path="/scholarships" element={<ScholarshipsPage />} />
           <Route path="/scholarship/:id" element={<ScholarshipDetailsPage />} />
           <Route path="/saved" element={<SavedPage />} />
+          <Route path="/saved-searches" element={<SavedSearchesPage />} />
           <Route path="/analytics" element={<AnalyticsPage />} />
-          <Route path="/admin" element={<EnhancedAdminDashboard />} />
+          <Route
+            path="/admin"
+            element={
+              <RequireRole role="moderator">
+                <EnhancedAdminDashboard />
+              </RequireRole>
+            }
+          />
           <Route path="/login" element={<Login />} />
           <Route path="/register" element={<Register />} />
           <Route path="/dashboard" element={<Dashboard />} />
+          <Route path="/verify-email" element={<VerifyEmail />} />
+          <Route path="/forgot-password" element={<ForgotPassword />} />
+          <Route path="/reset-password" element={<ResetPassword />} />
         </Routes>
       </main>
       {!isLandingPage && <Footer />}
@@ -49,9 +65,11 @@ function AppContent() {
 function App() {
   return (
     <AuthProvider>
-      <Router>
-        <AppContent />
-      </Router>
+      <SavedScholarshipsProvider>
+        <Router>
+          <AppContent />
+        </Router>
+      </SavedScholarshipsProvider>
     </AuthProvider>
   );
 }
@@ -0,0 +1,139 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { Monitor, Smartphone, LogOut } from "lucide-react";
+import { useAuth, type ActiveSession } from "../contexts/AuthContext";
+
+// Rough device label from a user agent string
+const describeDevice = (userAgent = "") => {
+  const browser =
+    ["Edg", "OPR", "Chrome", "Firefox", "Safari"]
+      .find((name) => userAgent.includes(name))
+      ?.replace("Edg", "Edge")
+      .replace("OPR", "Opera") || "Unknown browser";
+  const os =
+    ["Android", "iPhone", "iPad", "Windows", "Mac OS", "Linux"].find((name) =>
+      userAgent.includes(name)
+    ) || "Unknown device";
+
+  return {
+    label: `${browser} on ${os.replace("Mac OS", "macOS")}`,
+    isMobile: /Android|iPhone|iPad|Mobile/.test(userAgent),
+  };
+};
+
+const ActiveSessions: React.FC = () => {
+  const { getSessions, revokeSession, logoutEverywhere } = useAuth();
+  const [sessions, setSessions] = useState<ActiveSession[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  const loadSessions = useCallback(async () => {
+    try {
+      setSessions(await getSessions());
+      setError("");
+    } catch (error) {
+      setError(
+        error instanceof Error ? error.message : "Failed to load sessions"
+      );
+    } finally {
+      setLoading(false);
+    }
+  }, [getSessions]);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  const handleRevoke = async (sessionId: string) => {
+    try {
+      await revokeSession(sessionId);
+      setSessions((current) =>
+        current.filter((session) => session._id !== sessionId)
+      );
+    } catch (error) {
+      setError(
+        error instanceof Error ? error.message : "Failed to revoke session"
+      );
+    }
+  };
+
+  const handleLogoutEverywhere = async () => {
+    if (!window.confirm("Sign out of all devices, including this one?")) return;
+    try {
+      await logoutEverywhere();
+    } catch (error) {
+      setError(
+        error instanceof Error
+          ? error.message
+          : "Failed to log out of all devices"
+      );
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-gray-900">
+          Signed-in Devices
+        </h2>
+        {sessions.length > 0 && (
+          <button
+            onClick={handleLogoutEverywhere}
+            className="flex items-center text-sm font-medium text-red-600 hover:text-red-700"
+          >
+            <LogOut className="h-4 w-4 mr-1" />
+            Log out everywhere
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading sessions...</p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {sessions.map((session) => {
+            const device = describeDevice(session.userAgent);
+            const DeviceIcon = device.isMobile ? Smartphone : Monitor;
+
+            return (
+              <li
+                key={session._id}
+                className="flex items-center justify-between py-3"
+              >
+                <div className="flex items-center">
+                  <DeviceIcon className="h-5 w-5 text-gray-500 mr-3" />
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">
+                      {device.label}
+                      {session.current && (
+                        <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-green-100 text-green-700">
+                          This device
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {session.ipAddress && `${session.ipAddress} · `}
+                      Last active{" "}
+                      {new Date(session.lastUsedAt).toLocaleString("en-IN")}
+                    </p>
+                  </div>
+                </div>
+                {!session.current && (
+                  <button
+                    onClick={() => handleRevoke(session._id)}
+                    className="text-sm text-gray-600 hover:text-red-600"
+                  >
+                    Sign out
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ActiveSessions;
@@ -0,0 +1,276 @@
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import {
+  ChevronDown,
+  ChevronUp,
+  Trash2,
+  Plus,
+  Bell,
+  BellOff,
+  X,
+} from "lucide-react";
+import {
+  APPLICATION_STATUSES,
+  type ApplicationStatus,
+  type ChecklistItem,
+  type TrackedApplication,
+} from "../services/applicationService";
+import { formatDateIndian } from "../utils/dateUtils";
+
+interface ApplicationCardProps {
+  application: TrackedApplication;
+  onStatusChange: (status: ApplicationStatus) => void;
+  onToggleItem: (item: ChecklistItem) => void;
+  onItemDueDateChange: (item: ChecklistItem, dueDate: string | null) => void;
+  onChecklistChange: (checklist: ChecklistItem[]) => void;
+  onRemindersChange: (enabled: boolean) => void;
+  onRemove: () => void;
+}
+
+const statusLabel = (status: ApplicationStatus) =>
+  APPLICATION_STATUSES.find(({ value }) => value === status)?.label || status;
+
+// Earliest open checklist item with a due date
+const nextDueItem = (checklist: ChecklistItem[]) =>
+  checklist
+    .filter((item) => !item.done && item.dueDate)
+    .sort(
+      (a, b) =>
+        new Date(a.dueDate as string).getTime() -
+        new Date(b.dueDate as string).getTime()
+    )[0];
+
+const ApplicationCard: React.FC<ApplicationCardProps> = ({
+  application,
+  onStatusChange,
+  onToggleItem,
+  onItemDueDateChange,
+  onChecklistChange,
+  onRemindersChange,
+  onRemove,
+}) => {
+  const [expanded, setExpanded] = useState(false);
+  const [newItem, setNewItem] = useState("");
+
+  const scholarship = application.scholarshipId;
+  const { checklist } = application;
+  const doneCount = checklist.filter((item) => item.done).length;
+  const progress =
+    checklist.length > 0 ? Math.round((doneCount / checklist.length) * 100) : 0;
+  const nextDue = nextDueItem(checklist);
+  const isOverdue =
+    !!nextDue && new Date(nextDue.dueDate as string).getTime() < Date.now();
+
+  const handleAddItem = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!newItem.trim()) return;
+    onChecklistChange([
+      ...checklist,
+      { label: newItem.trim(), kind: "document", done: false },
+    ]);
+    setNewItem("");
+  };
+
+  const handleRemoveItem = (index: number) => {
+    onChecklistChange(checklist.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div
+      draggable
+      onDragStart={(e) => e.dataTransfer.setData("text/plain", application._id)}
+      className="bg-white rounded-lg border border-gray-200 shadow-sm p-4 cursor-grab active:cursor-grabbing"
+    >
+      <div className="flex items-start justify-between gap-2">
+        {scholarship ? (
+          <Link
+            to={`/scholarship/${scholarship._id}`}
+            className="text-sm font-semibold text-gray-900 hover:text-blue-600 line-clamp-2"
+          >
+            {scholarship.title}
+          </Link>
+        ) : (
+          <span className="text-sm font-semibold text-gray-500">
+            Scholarship removed
+          </span>
+        )}
+        <button
+          onClick={() => setExpanded(!expanded)}
+          className="text-gray-400 hover:text-gray-600"
+          aria-label={expanded ? "Collapse" : "Expand"}
+        >
+          {expanded ? (
+            <ChevronUp className="h-4 w-4" />
+          ) : (
+            <ChevronDown className="h-4 w-4" />
+          )}
+        </button>
+      </div>
+      {scholarship?.provider && (
+        <p className="text-xs text-gray-500 mt-1">{scholarship.provider}</p>
+      )}
+
+      {/* Checklist progress */}
+      <div className="mt-3">
+        <div className="flex justify-between text-xs text-gray-600 mb-1">
+          <span>
+            {doneCount}/{checklist.length} done
+          </span>
+          <span>{progress}%</span>
+        </div>
+        <div className="h-1.5 bg-gray-100 rounded-full overflow-hidden">
+          <div
+            className="h-full bg-blue-600 rounded-full"
+            style={{ width: `${progress}%` }}
+          />
+        </div>
+      </div>
+
+      {nextDue && (
+        <p
+          className={`text-xs mt-2 ${
+            isOverdue ? "text-red-600 font-medium" : "text-gray-600"
+          }`}
+        >
+          {isOverdue ? "Overdue" : "Next"}: {nextDue.label} &middot;{" "}
+          {formatDateIndian(nextDue.dueDate as string)}
+        </p>
+      )}
+
+      {expanded && (
+        <div className="mt-4 space-y-4 border-t border-gray-100 pt-4">
+          <div>
+            <label className="block text-xs font-medium text-gray-700 mb-1">
+              Status
+            </label>
+            <select
+              value={application.status}
+              onChange={(e) =>
+                onStatusChange(e.target.value as ApplicationStatus)
+              }
+              className="w-full text-sm border border-gray-300 rounded-md px-2 py-1"
+            >
+              {APPLICATION_STATUSES.map(({ value, label }) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {/* Checklist */}
+          <div>
+            <h4 className="text-xs font-medium text-gray-700 mb-2">
+              Documents &amp; steps
+            </h4>
+            <ul className="space-y-2">
+              {checklist.map((item, index) => (
+                <li key={item._id || index} className="flex items-start gap-2">
+                  <input
+                    type="checkbox"
+                    checked={item.done}
+                    onChange={() => onToggleItem(item)}
+                    className="mt-0.5 h-4 w-4 text-blue-600 rounded"
+                  />
+                  <div className="flex-1 min-w-0">
+                    <p
+                      className={`text-sm ${
+                        item.done
+                          ? "line-through text-gray-400"
+                          : "text-gray-800"
+                      }`}
+                    >
+                      {item.label}
+                    </p>
+                    <input
+                      type="date"
+                      value={item.dueDate ? item.dueDate.slice(0, 10) : ""}
+                      onChange={(e) =>
+                        onItemDueDateChange(item, e.target.value || null)
+                      }
+                      className="text-xs text-gray-500 border-none p-0 focus:ring-0"
+                      aria-label={`Due date for ${item.label}`}
+                    />
+                  </div>
+                  <button
+                    onClick={() => handleRemoveItem(index)}
+                    className="text-gray-300 hover:text-red-500"
+                    aria-label={`Remove ${item.label}`}
+                  >
+                    <X className="h-4 w-4" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+            <form onSubmit={handleAddItem} className="flex gap-2 mt-2">
+              <input
+                type="text"
+                value={newItem}
+                onChange={(e) => setNewItem(e.target.value)}
+                placeholder="Add a document or step"
+                className="flex-1 text-sm border border-gray-300 rounded-md px-2 py-1"
+              />
+              <button
+                type="submit"
+                className="p-1.5 text-blue-600 hover:bg-blue-50 rounded-md"
+                aria-label="Add checklist item"
+              >
+                <Plus className="h-4 w-4" />
+              </button>
+            </form>
+          </div>
+
+          {/* Status history */}
+          {application.statusHistory.length > 0 && (
+            <div>
+              <h4 className="text-xs font-medium text-gray-700 mb-2">
+                History
+              </h4>
+              <ol className="space-y-1">
+                {application.statusHistory.map((change, index) => (
+                  <li key={index} className="text-xs text-gray-600">
+                    <span className="font-medium">
+                      {statusLabel(change.status)}
+                    </span>{" "}
+                    &middot; {formatDateIndian(change.changedAt)}
+                    {change.note && (
+                      <span className="block text-gray-500">{change.note}</span>
+                    )}
+                  </li>
+                ))}
+              </ol>
+            </div>
+          )}
+
+          <div className="flex items-center justify-between">
+            <button
+              onClick={() => onRemindersChange(!application.remindersEnabled)}
+              className="flex items-center text-xs text-gray-600 hover:text-gray-900"
+            >
+              {application.remindersEnabled ? (
+                <>
+                  <Bell className="h-3.5 w-3.5 mr-1" />
+                  Reminders on
+                </>
+              ) : (
+                <>
+                  <BellOff className="h-3.5 w-3.5 mr-1" />
+                  Reminders off
+                </>
+              )}
+            </button>
+            <button
+              onClick={onRemove}
+              className="flex items-center text-xs text-red-600 hover:text-red-700"
+            >
+              <Trash2 className="h-3.5 w-3.5 mr-1" />
+              Stop tracking
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ApplicationCard;
@@ -0,0 +1,211 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import toast from "react-hot-toast";
+import ApplicationCard from "./ApplicationCard";
+import {
+  applicationService,
+  APPLICATION_STATUSES,
+  type ApplicationStatus,
+  type ApplicationUpdate,
+  type ChecklistItem,
+  type TrackedApplication,
+} from "../services/applicationService";
+
+const COLUMN_STYLES: Record<ApplicationStatus, string> = {
+  planning: "border-gray-300",
+  preparing: "border-yellow-400",
+  applied: "border-blue-400",
+  "under-review": "border-purple-400",
+  accepted: "border-green-500",
+  rejected: "border-red-400",
+};
+
+// The API addresses applications by scholarship ID when it still exists
+const applicationKey = (application: TrackedApplication) =>
+  application.scholarshipId?._id || application._id;
+
+const ApplicationTracker: React.FC = () => {
+  const [applications, setApplications] = useState<TrackedApplication[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [dragOver, setDragOver] = useState<ApplicationStatus | null>(null);
+
+  useEffect(() => {
+    applicationService
+      .getApplications()
+      .then(setApplications)
+      .catch((error) => toast.error(error.message))
+      .finally(() => setLoading(false));
+  }, []);
+
+  // Replace one application in state, keeping its populated scholarship
+  const replaceApplication = (
+    current: TrackedApplication,
+    updated: TrackedApplication
+  ) => {
+    setApplications((all) =>
+      all.map((application) =>
+        application._id === current._id
+          ? { ...updated, scholarshipId: current.scholarshipId }
+          : application
+      )
+    );
+  };
+
+  const update = async (
+    application: TrackedApplication,
+    changes: ApplicationUpdate
+  ) => {
+    try {
+      const updated = await applicationService.updateApplication(
+        applicationKey(application),
+        changes
+      );
+      replaceApplication(application, updated);
+    } catch (error) {
+      toast.error(
+        error instanceof Error ? error.message : "Failed to update application"
+      );
+    }
+  };
+
+  const updateItem = async (
+    application: TrackedApplication,
+    item: ChecklistItem,
+    changes: Partial<Pick<ChecklistItem, "done" | "dueDate">>
+  ) => {
+    if (!item._id) return;
+    try {
+      const updatedItem = await applicationService.updateChecklistItem(
+        applicationKey(application),
+        item._id,
+        changes
+      );
+      replaceApplication(application, {
+        ...application,
+        checklist: application.checklist.map((existing) =>
+          existing._id === item._id ? updatedItem : existing
+        ),
+      });
+    } catch (error) {
+      toast.error(
+        error instanceof Error ? error.message : "Failed to update checklist"
+      );
+    }
+  };
+
+  const remove = async (application: TrackedApplication) => {
+    if (!window.confirm("Stop tracking this application?")) return;
+    try {
+      await applicationService.removeApplication(applicationKey(application));
+      setApplications((all) =>
+        all.filter((existing) => existing._id !== application._id)
+      );
+    } catch (error) {
+      toast.error(
+        error instanceof Error ? error.message : "Failed to remove application"
+      );
+    }
+  };
+
+  const handleDrop = (e: React.DragEvent, status: ApplicationStatus) => {
+    e.preventDefault();
+    setDragOver(null);
+    const application = applications.find(
+      ({ _id }) => _id === e.dataTransfer.getData("text/plain")
+    );
+    if (application && application.status !== status) {
+      update(application, { status });
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <p className="text-sm text-gray-500">Loading your applications...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-gray-900">
+          Application Tracker
+        </h2>
+        <span className="text-sm text-gray-500">
+          Drag cards between columns to update their status
+        </span>
+      </div>
+
+      {applications.length === 0 ? (
+        <div className="text-center py-8">
+          <p className="text-gray-600 mb-2">
+            You are not tracking any applications yet.
+          </p>
+          <Link
+            to="/scholarships"
+            className="text-sm font-medium text-blue-600 hover:text-blue-500"
+          >
+            Find a scholarship and click "Track application"
+          </Link>
+        </div>
+      ) : (
+        <div className="flex gap-4 overflow-x-auto pb-2">
+          {APPLICATION_STATUSES.map(({ value, label }) => {
+            const column = applications.filter(
+              (application) => application.status === value
+            );
+
+            return (
+              <div
+                key={value}
+                onDragOver={(e) => {
+                  e.preventDefault();
+                  setDragOver(value);
+                }}
+                onDragLeave={() => setDragOver(null)}
+                onDrop={(e) => handleDrop(e, value)}
+                className={`flex-shrink-0 w-64 rounded-lg border-t-4 ${
+                  COLUMN_STYLES[value]
+                } ${dragOver === value ? "bg-blue-50" : "bg-gray-50"} p-3`}
+              >
+                <h3 className="text-sm font-semibold text-gray-700 mb-3">
+                  {label}{" "}
+                  <span className="text-gray-400 font-normal">
+                    {column.length}
+                  </span>
+                </h3>
+                <div className="space-y-3 min-h-[4rem]">
+                  {column.map((application) => (
+                    <ApplicationCard
+                      key={application._id}
+                      application={application}
+                      onStatusChange={(status) =>
+                        update(application, { status })
+                      }
+                      onToggleItem={(item) =>
+                        updateItem(application, item, { done: !item.done })
+                      }
+                      onItemDueDateChange={(item, dueDate) =>
+                        updateItem(application, item, { dueDate })
+                      }
+                      onChecklistChange={(checklist) =>
+                        update(application, { checklist })
+                      }
+                      onRemindersChange={(remindersEnabled) =>
+                        update(application, { remindersEnabled })
+                      }
+                      onRemove={() => remove(application)}
+                    />
+                  ))}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ApplicationTracker;
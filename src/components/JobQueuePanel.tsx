@@ -0,0 +1,178 @@
+import React, { useEffect, useState } from "react";
+import { ListChecks, RefreshCw, XCircle } from "lucide-react";
+import toast from "react-hot-toast";
+import {
+  jobService,
+  isJobFinished,
+  type Job,
+  type JobStatus,
+} from "../services/jobService";
+import { formatDateTimeIndian } from "../utils/dateUtils";
+
+// Refresh while something is queued or running
+const POLL_MS = 5000;
+
+const STATUS_STYLES: Record<JobStatus, string> = {
+  queued: "bg-gray-200 text-gray-700",
+  running: "bg-blue-100 text-blue-700",
+  succeeded: "bg-green-100 text-green-700",
+  failed: "bg-red-100 text-red-700",
+  cancelled: "bg-amber-100 text-amber-700",
+};
+
+const JOB_LABELS: Record<Job["type"], string> = {
+  scrape: "Scraping",
+  "gemini-bulk-enhance": "AI bulk enhancement",
+  "gemini-cleanup": "AI duplicate cleanup",
+  "validate-links": "Link validation",
+  "resolve-entities": "Duplicate merging",
+  "saved-search-alerts": "Saved search alerts",
+};
+
+const describePayload = (job: Job) => {
+  const { sources, trigger, dryRun, scholarshipIds } = job.payload;
+  if (Array.isArray(sources)) return sources.join(", ");
+  if (Array.isArray(scholarshipIds)) {
+    return `${scholarshipIds.length} scholarship(s)`;
+  }
+  if (dryRun !== undefined) return dryRun ? "dry run" : "applying changes";
+  return typeof trigger === "string" ? trigger : "";
+};
+
+const JobQueuePanel: React.FC = () => {
+  const [jobs, setJobs] = useState<Job[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [cancelling, setCancelling] = useState<string | null>(null);
+
+  const loadJobs = async () => {
+    try {
+      setJobs(await jobService.listJobs({ limit: 15 }));
+    } catch (error) {
+      toast.error(
+        error instanceof Error ? error.message : "Failed to load jobs"
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const hasActiveJobs = jobs.some((job) => !isJobFinished(job));
+
+  useEffect(() => {
+    loadJobs();
+  }, []);
+
+  useEffect(() => {
+    if (!hasActiveJobs) return;
+    const timer = setInterval(loadJobs, POLL_MS);
+    return () => clearInterval(timer);
+  }, [hasActiveJobs]);
+
+  const cancelJob = async (job: Job) => {
+    setCancelling(job._id);
+    try {
+      toast.success(await jobService.cancelJob(job._id));
+      await loadJobs();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : "Cancel failed");
+    } finally {
+      setCancelling(null);
+    }
+  };
+
+  return (
+    <div className="bg-white/80 backdrop-blur-sm p-8 rounded-2xl shadow-lg border border-white/50 mt-8">
+      <div className="flex items-center justify-between gap-3 mb-6">
+        <div className="flex items-center gap-3">
+          <div className="p-3 bg-indigo-100 rounded-2xl">
+            <ListChecks className="h-6 w-6 text-indigo-600" />
+          </div>
+          <div>
+            <h3 className="text-xl font-bold text-gray-900">Background Jobs</h3>
+            <p className="text-gray-600">
+              Queued scraping, AI enhancement and link validation
+            </p>
+          </div>
+        </div>
+        <button
+          onClick={loadJobs}
+          title="Refresh"
+          className="p-2 rounded-lg hover:bg-gray-100"
+        >
+          <RefreshCw className="h-5 w-5 text-gray-600" />
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="text-center py-8 text-gray-500">Loading jobs...</div>
+      ) : jobs.length === 0 ? (
+        <div className="text-center py-8 text-gray-500">No jobs yet</div>
+      ) : (
+        <div className="space-y-3">
+          {jobs.map((job) => (
+            <div key={job._id} className="p-4 bg-gray-50 rounded-xl border">
+              <div className="flex flex-wrap items-center justify-between gap-3">
+                <div>
+                  <h4 className="font-semibold text-gray-900 flex items-center gap-2">
+                    {JOB_LABELS[job.type] || job.type}
+                    <span
+                      className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                        STATUS_STYLES[job.status]
+                      }`}
+                    >
+                      {job.cancelRequested && job.status === "running"
+                        ? "stopping"
+                        : job.status}
+                    </span>
+                  </h4>
+                  <p className="text-sm text-gray-600">
+                    {[
+                      describePayload(job),
+                      `queued ${formatDateTimeIndian(job.createdAt)}`,
+                      job.attempts > 1 &&
+                        `attempt ${job.attempts}/${job.maxAttempts}`,
+                    ]
+                      .filter(Boolean)
+                      .join(" · ")}
+                  </p>
+                </div>
+                {!isJobFinished(job) && !job.cancelRequested && (
+                  <button
+                    onClick={() => cancelJob(job)}
+                    disabled={cancelling === job._id}
+                    className="flex items-center gap-1 px-3 py-1 rounded-lg text-sm text-red-700 hover:bg-red-50 disabled:opacity-50"
+                  >
+                    <XCircle className="h-4 w-4" />
+                    Cancel
+                  </button>
+                )}
+              </div>
+
+              {job.status === "running" && (
+                <div className="mt-3">
+                  <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+                    <div
+                      className="h-full bg-blue-500 transition-all"
+                      style={{ width: `${job.progress.percent}%` }}
+                    />
+                  </div>
+                  {job.progress.message && (
+                    <p className="mt-1 text-xs text-gray-600">
+                      {job.progress.percent}% · {job.progress.message}
+                    </p>
+                  )}
+                </div>
+              )}
+
+              {job.error && job.status !== "succeeded" && (
+                <p className="mt-2 text-xs text-red-700">{job.error}</p>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default JobQueuePanel;
@@ -0,0 +1,184 @@
+import React, { useEffect, useRef } from "react";
+import { Radio } from "lucide-react";
+import type {
+  ProgressChannel,
+  ProgressEvent,
+} from "../services/progressService";
+import type { ProgressSession } from "../hooks/useProgressStream";
+
+interface LiveProgressPanelProps {
+  connected: boolean;
+  events: ProgressEvent[];
+  sessions: Partial<Record<ProgressChannel, ProgressSession>>;
+}
+
+const CHANNEL_LABELS: Record<ProgressChannel, string> = {
+  "ai-session": "AI-Enhanced Session",
+  scraping: "Scraper Pass",
+};
+
+const STATUS_STYLES: Record<ProgressSession["status"], string> = {
+  running: "bg-blue-100 text-blue-700",
+  completed: "bg-green-100 text-green-700",
+  failed: "bg-red-100 text-red-700",
+  stopped: "bg-amber-100 text-amber-700",
+};
+
+const formatTime = (timestamp: string) =>
+  new Date(timestamp).toLocaleTimeString("en-IN", {
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    hour12: true,
+  });
+
+// One readable log line per event
+const describeEvent = ({ type, data }: ProgressEvent) => {
+  const target = data.name || data.url || data.source;
+  switch (type) {
+    case "session-started":
+      return `Session started${data.trigger ? ` (${data.trigger})` : ""}`;
+    case "phase":
+      return `Phase: ${data.phase}${
+        data.websitesFound !== undefined
+          ? ` - ${data.websitesFound} websites found`
+          : ""
+      }`;
+    case "site-started":
+      return `Scraping ${target}${
+        data.total ? ` (${(data.index ?? 0) + 1}/${data.total})` : ""
+      }`;
+    case "site-finished":
+      if (data.reason) return `Skipped ${target}: ${data.reason}`;
+      return data.status === "unchanged"
+        ? `Skipped ${target}: listing unchanged`
+        : `Finished ${target}: ${data.status}, ${
+            data.scholarshipsFound ?? 0
+          } found`;
+    case "scholarships-found":
+      return data.saved !== undefined
+        ? `${data.saved} scholarships saved`
+        : `${data.count} scholarships found${target ? ` on ${target}` : ""}`;
+    case "error":
+      return `Error${target ? ` on ${target}` : ""}: ${data.message}`;
+    case "session-finished":
+      return `Session ${data.status}${data.error ? `: ${data.error}` : ""}`;
+    default:
+      return type;
+  }
+};
+
+const LiveProgressPanel: React.FC<LiveProgressPanelProps> = ({
+  connected,
+  events,
+  sessions,
+}) => {
+  const logRef = useRef<HTMLDivElement>(null);
+
+  // Follow the newest line
+  useEffect(() => {
+    logRef.current?.scrollTo({ top: logRef.current.scrollHeight });
+  }, [events]);
+
+  const activeSessions = Object.values(sessions).filter(
+    (session): session is ProgressSession => !!session
+  );
+
+  return (
+    <div className="bg-white/80 backdrop-blur-sm p-8 rounded-2xl shadow-lg border border-white/50 mb-8">
+      <div className="flex items-center justify-between gap-3 mb-6">
+        <div className="flex items-center gap-3">
+          <div className="p-3 bg-blue-100 rounded-2xl">
+            <Radio className="h-6 w-6 text-blue-600" />
+          </div>
+          <div>
+            <h3 className="text-xl font-bold text-gray-900">Live Progress</h3>
+            <p className="text-gray-600">Scraping sessions as they happen</p>
+          </div>
+        </div>
+        <span
+          className={`flex items-center gap-2 text-sm ${
+            connected ? "text-green-700" : "text-gray-500"
+          }`}
+        >
+          <span
+            className={`w-2 h-2 rounded-full ${
+              connected ? "bg-green-500 animate-pulse" : "bg-gray-400"
+            }`}
+          />
+          {connected ? "Live" : "Reconnecting..."}
+        </span>
+      </div>
+
+      {activeSessions.length > 0 && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 mb-6">
+          {activeSessions.map((session) => (
+            <div
+              key={session.channel}
+              className="p-4 bg-gray-50 rounded-xl border"
+            >
+              <div className="flex items-center justify-between mb-2">
+                <h4 className="font-semibold text-gray-900">
+                  {CHANNEL_LABELS[session.channel]}
+                </h4>
+                <span
+                  className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                    STATUS_STYLES[session.status]
+                  }`}
+                >
+                  {session.status}
+                </span>
+              </div>
+              <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+                <div
+                  className={`h-full transition-all ${
+                    session.status === "failed" ? "bg-red-500" : "bg-blue-500"
+                  }`}
+                  style={{ width: `${session.progress}%` }}
+                />
+              </div>
+              <p className="mt-2 text-sm text-gray-600">
+                {[
+                  `${session.progress}%`,
+                  session.phase,
+                  session.current,
+                  `${session.scholarshipsFound} found`,
+                  session.errors > 0 && `${session.errors} errors`,
+                ]
+                  .filter(Boolean)
+                  .join(" · ")}
+              </p>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div
+        ref={logRef}
+        className="h-56 overflow-y-auto bg-gray-900 text-gray-100 rounded-xl p-4 font-mono text-xs space-y-1"
+      >
+        {events.length === 0 ? (
+          <p className="text-gray-400">Waiting for scraping activity...</p>
+        ) : (
+          events.map((event) => (
+            <p
+              // Ids restart with the server, timestamps do not
+              key={`${event.timestamp}-${event.id}`}
+              className={event.type === "error" ? "text-red-300" : undefined}
+            >
+              <span className="text-gray-500">
+                {formatTime(event.timestamp)}
+              </span>{" "}
+              <span className="text-blue-300">
+                [{event.channel === "ai-session" ? "AI" : "scrape"}]
+              </span>{" "}
+              {describeEvent(event)}
+            </p>
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LiveProgressPanel;
@@ -0,0 +1,324 @@
+import React, { useCallback, useEffect, useState } from "react";
+import {
+  BadgeCheck,
+  GitMerge,
+  RefreshCw,
+  Split,
+  Undo2,
+  Wand2,
+} from "lucide-react";
+import toast from "react-hot-toast";
+import { useAuth } from "../contexts/AuthContext";
+import {
+  mergeService,
+  type CandidateScholarship,
+  type MergeCandidate,
+  type MergeSignals,
+  type MergeStatus,
+  type ScholarshipMerge,
+} from "../services/mergeService";
+import { formatDateIndian, formatDateTimeIndian } from "../utils/dateUtils";
+
+type View = "candidates" | "history";
+
+const STATUS_STYLES: Record<MergeStatus, string> = {
+  applied: "bg-green-100 text-green-700",
+  undone: "bg-amber-100 text-amber-700",
+  rejected: "bg-gray-200 text-gray-700",
+};
+
+const SIGNAL_LABELS: Record<keyof MergeSignals, string> = {
+  title: "Title",
+  provider: "Provider",
+  amount: "Amount",
+  deadline: "Deadline",
+  link: "Link",
+};
+
+const percent = (value: number) => `${Math.round(value * 100)}%`;
+
+const hostOf = (url: string) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, "");
+  } catch {
+    return url;
+  }
+};
+
+const groupKey = (candidate: MergeCandidate) => candidate.canonical._id;
+
+const ScholarshipSummary: React.FC<{
+  scholarship: CandidateScholarship;
+  label: string;
+}> = ({ scholarship, label }) => (
+  <div className="min-w-0">
+    <p className="text-xs uppercase tracking-wide text-gray-500">{label}</p>
+    <p className="font-medium text-gray-900 flex items-center gap-1">
+      <span className="truncate">{scholarship.title}</span>
+      {scholarship.official && (
+        <BadgeCheck
+          className="h-4 w-4 text-green-600 shrink-0"
+          aria-label="Official source"
+        />
+      )}
+    </p>
+    <p className="text-sm text-gray-600 truncate">
+      {[
+        scholarship.provider,
+        scholarship.amount,
+        scholarship.deadline && formatDateIndian(scholarship.deadline),
+        hostOf(scholarship.sourceUrl),
+      ]
+        .filter(Boolean)
+        .join(" · ")}
+    </p>
+  </div>
+);
+
+const MergeReviewPanel: React.FC = () => {
+  const { hasRole } = useAuth();
+  const isAdmin = hasRole("admin");
+  const [view, setView] = useState<View>("candidates");
+  const [candidates, setCandidates] = useState<MergeCandidate[]>([]);
+  const [merges, setMerges] = useState<ScholarshipMerge[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState<string | null>(null);
+
+  const load = useCallback(async (current: View) => {
+    setLoading(true);
+    try {
+      if (current === "candidates") {
+        setCandidates(await mergeService.getCandidates());
+      } else {
+        setMerges(await mergeService.getMerges());
+      }
+    } catch (error) {
+      toast.error(
+        error instanceof Error ? error.message : "Failed to load merges"
+      );
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    load(view);
+  }, [load, view]);
+
+  // Runs one action, keeping its row busy, then reloads the current view
+  const withBusy = async (id: string, action: () => Promise<string>) => {
+    setBusyId(id);
+    try {
+      toast.success(await action());
+      await load(view);
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : "Action failed");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const duplicateIds = (candidate: MergeCandidate) =>
+    candidate.duplicates.map(({ scholarship }) => scholarship._id);
+
+  const resolve = async () => {
+    try {
+      const { message } = await mergeService.resolve();
+      toast.success(message);
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : "Action failed");
+    }
+  };
+
+  return (
+    <div className="bg-white/80 backdrop-blur-sm p-8 rounded-2xl shadow-lg border border-white/50 mt-8">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+        <div className="flex items-center gap-3">
+          <div className="p-3 bg-teal-100 rounded-2xl">
+            <GitMerge className="h-6 w-6 text-teal-600" />
+          </div>
+          <div>
+            <h3 className="text-xl font-bold text-gray-900">
+              Duplicate Scholarships
+            </h3>
+            <p className="text-gray-600">
+              Review records that several sources list as one scheme
+            </p>
+          </div>
+        </div>
+        <div className="flex items-center gap-2">
+          {(["candidates", "history"] as View[]).map((option) => (
+            <button
+              key={option}
+              onClick={() => setView(option)}
+              className={`px-3 py-1 rounded-lg text-sm capitalize ${
+                view === option
+                  ? "bg-teal-600 text-white"
+                  : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+              }`}
+            >
+              {option}
+            </button>
+          ))}
+          {isAdmin && (
+            <button
+              onClick={resolve}
+              title="Merge every group that needs no review"
+              className="flex items-center gap-1 px-3 py-1 rounded-lg text-sm bg-white border hover:bg-gray-100"
+            >
+              <Wand2 className="h-4 w-4" />
+              Auto-merge
+            </button>
+          )}
+          <button
+            onClick={() => load(view)}
+            title="Refresh"
+            className="p-2 rounded-lg hover:bg-gray-100"
+          >
+            <RefreshCw className="h-5 w-5 text-gray-600" />
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="text-center py-8 text-gray-500">Loading...</div>
+      ) : view === "candidates" ? (
+        candidates.length === 0 ? (
+          <div className="text-center py-8 text-gray-500">
+            No likely duplicates found
+          </div>
+        ) : (
+          <div className="space-y-3">
+            {candidates.map((candidate) => (
+              <div
+                key={groupKey(candidate)}
+                className="p-4 bg-gray-50 rounded-xl border"
+              >
+                <div className="flex flex-wrap items-start justify-between gap-3">
+                  <ScholarshipSummary
+                    scholarship={candidate.canonical}
+                    label="Keep"
+                  />
+                  {isAdmin && (
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() =>
+                          withBusy(groupKey(candidate), () =>
+                            mergeService.merge(
+                              candidate.canonical._id,
+                              duplicateIds(candidate)
+                            )
+                          )
+                        }
+                        disabled={busyId === groupKey(candidate)}
+                        className="flex items-center gap-1 px-3 py-1 rounded-lg text-sm bg-teal-600 text-white hover:bg-teal-700 disabled:opacity-50"
+                      >
+                        <GitMerge className="h-4 w-4" />
+                        Merge
+                      </button>
+                      <button
+                        onClick={() =>
+                          withBusy(groupKey(candidate), () =>
+                            mergeService.reject(
+                              candidate.canonical._id,
+                              duplicateIds(candidate)
+                            )
+                          )
+                        }
+                        disabled={busyId === groupKey(candidate)}
+                        className="flex items-center gap-1 px-3 py-1 rounded-lg text-sm text-gray-700 hover:bg-gray-200 disabled:opacity-50"
+                      >
+                        <Split className="h-4 w-4" />
+                        Keep separate
+                      </button>
+                    </div>
+                  )}
+                </div>
+
+                <div className="mt-3 space-y-2 border-l-2 border-teal-200 pl-3">
+                  {candidate.duplicates.map(
+                    ({ scholarship, score, signals }) => (
+                      <div key={scholarship._id}>
+                        <ScholarshipSummary
+                          scholarship={scholarship}
+                          label={`Merge in · ${percent(score)} match`}
+                        />
+                        <p className="text-xs text-gray-500">
+                          {(
+                            Object.keys(SIGNAL_LABELS) as (keyof MergeSignals)[]
+                          )
+                            .map(
+                              (signal) =>
+                                `${SIGNAL_LABELS[signal]} ${percent(
+                                  signals[signal]
+                                )}`
+                            )
+                            .join(" · ")}
+                        </p>
+                      </div>
+                    )
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )
+      ) : merges.length === 0 ? (
+        <div className="text-center py-8 text-gray-500">No merges yet</div>
+      ) : (
+        <div className="space-y-3">
+          {merges.map((merge) => (
+            <div key={merge._id} className="p-4 bg-gray-50 rounded-xl border">
+              <div className="flex flex-wrap items-center justify-between gap-3">
+                <div className="min-w-0">
+                  <h4 className="font-semibold text-gray-900 flex items-center gap-2">
+                    <span className="truncate">
+                      {merge.canonical?.title || "Deleted scholarship"}
+                    </span>
+                    <span
+                      className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                        STATUS_STYLES[merge.status]
+                      }`}
+                    >
+                      {merge.status}
+                    </span>
+                  </h4>
+                  <p className="text-sm text-gray-600">
+                    {[
+                      `${merge.merged.length} record(s): ${merge.merged
+                        .map(({ title, source }) =>
+                          source ? `${title} (${source})` : title
+                        )
+                        .join(", ")}`,
+                      merge.automatic
+                        ? "automatic"
+                        : merge.actor &&
+                          `by ${merge.actor.firstName} ${merge.actor.lastName}`,
+                      formatDateTimeIndian(merge.createdAt),
+                    ]
+                      .filter(Boolean)
+                      .join(" · ")}
+                  </p>
+                </div>
+                {isAdmin && merge.status === "applied" && (
+                  <button
+                    onClick={() =>
+                      withBusy(merge._id, () => mergeService.undo(merge._id))
+                    }
+                    disabled={busyId === merge._id}
+                    className="flex items-center gap-1 px-3 py-1 rounded-lg text-sm text-amber-700 hover:bg-amber-50 disabled:opacity-50"
+                  >
+                    <Undo2 className="h-4 w-4" />
+                    Undo
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MergeReviewPanel;
@@ -22,7 +22,7 @@ const Navbar: React.FC = () => {
   const [isUserMenuOpen, setIsUserMenuOpen] = useState(false);
   const [scrolled, setScrolled] = useState(false);
   const location = useLocation();
-  const { user, logout, isAuthenticated } = useAuth();
+  const { user, logout, isAuthenticated, hasRole } = useAuth();
 
   // Handle scroll effect
   useEffect(() => {
@@ -147,8 +147,8 @@ const Navbar: React.FC = () => {
                   );
                 })}
 
-                {/* Admin Section (if user has admin email) */}
-                {user?.email === "admin@ScholarWise.com" && (
+                {/* Admin Section (moderators and admins) */}
+                {hasRole("moderator") && (
                   <div className="ml-2 pl-2 border-l border-gray-200">
                     {adminItems.map((item) => {
                       const Icon = item.icon;
@@ -208,7 +208,9 @@ const Navbar: React.FC = () => {
                           <span className="text-body-sm font-medium">
                             {user?.firstName || "User"}
                           </span>
-                          <span className="text-caption text-gray-500">Student</span>
+                          <span className="text-caption text-gray-500">
+                            Student
+                          </span>
                         </div>
                       </div>
                       <ChevronDown
@@ -248,6 +250,14 @@ const Navbar: React.FC = () => {
                             <BarChart3 className="h-4 w-4 text-gray-500" />
                             <span>Dashboard</span>
                           </Link>
+                          <Link
+                            to="/saved-searches"
+                            className="flex items-center space-x-3 px-4 py-2 text-body-sm text-gray-700 hover:bg-gray-50 transition-colors duration-200"
+                            onClick={() => setIsUserMenuOpen(false)}
+                          >
+                            <Bell className="h-4 w-4 text-gray-500" />
+                            <span>Saved Searches</span>
+                          </Link>
                           <Link
                             to="/profile"
                             className="flex items-center space-x-3 px-4 py-2 text-body-sm text-gray-700 hover:bg-gray-50 transition-colors duration-200"
@@ -351,7 +361,7 @@ const Navbar: React.FC = () => {
               })}
 
               {/* Admin Section for Mobile */}
-              {user?.email === "admin@ScholarWise.com" && (
+              {hasRole("moderator") && (
                 <div className="border-t border-gray-200 pt-4 mt-4">
                   {adminItems.map((item) => {
                     const Icon = item.icon;
@@ -411,6 +421,14 @@ const Navbar: React.FC = () => {
                       <BarChart3 className="h-5 w-5 text-gray-500" />
                       <span>Dashboard</span>
                     </Link>
+                    <Link
+                      to="/saved-searches"
+                      className="flex items-center space-x-3 px-4 py-3 rounded-xl text-body font-medium text-gray-600 hover:bg-gray-50 hover:text-gray-900 transition-all duration-200"
+                      onClick={() => setIsMenuOpen(false)}
+                    >
+                      <Bell className="h-5 w-5 text-gray-500" />
+                      <span>Saved Searches</span>
+                    </Link>
                     <Link
                       to="/profile"
                       className="flex items-center space-x-3 px-4 py-3 rounded-xl text-body font-medium text-gray-600 hover:bg-gray-50 hover:text-gray-900 transition-all duration-200"
@@ -0,0 +1,85 @@
+import React from "react";
+import { BadgeCheck, Building2 } from "lucide-react";
+import {
+  PROVIDER_TYPE_LABELS,
+  type Provider,
+  type ProviderType,
+} from "../services/providerService";
+
+interface ProviderBrowserProps {
+  providers: Provider[];
+  // Slug of the provider being filtered on, "" for all
+  selected: string;
+  onSelect: (slug: string) => void;
+}
+
+// Providers with active scholarships, grouped by type; clicking one
+// filters the listing to it, clicking it again clears the filter
+const ProviderBrowser: React.FC<ProviderBrowserProps> = ({
+  providers,
+  selected,
+  onSelect,
+}) => {
+  const groups = (Object.keys(PROVIDER_TYPE_LABELS) as ProviderType[])
+    .map((type) => ({
+      type,
+      providers: providers.filter(
+        (provider) => provider.type === type && provider.scholarshipCount > 0
+      ),
+    }))
+    .filter((group) => group.providers.length > 0);
+
+  return (
+    <div className="bg-white/70 backdrop-blur-lg rounded-2xl shadow-xl border border-white/20 p-6 mb-8">
+      <div className="flex items-center gap-2 mb-4">
+        <Building2 className="h-5 w-5 text-blue-600" />
+        <h2 className="text-lg font-semibold text-gray-900">
+          Browse by provider
+        </h2>
+      </div>
+
+      {groups.length === 0 ? (
+        <p className="text-gray-500">No providers with open scholarships yet</p>
+      ) : (
+        <div className="space-y-4">
+          {groups.map((group) => (
+            <div key={group.type}>
+              <h3 className="text-sm font-medium text-gray-500 mb-2">
+                {PROVIDER_TYPE_LABELS[group.type]}
+              </h3>
+              <div className="flex flex-wrap gap-2">
+                {group.providers.map((provider) => (
+                  <button
+                    key={provider.slug}
+                    onClick={() =>
+                      onSelect(selected === provider.slug ? "" : provider.slug)
+                    }
+                    title={provider.officialDomains.join(", ")}
+                    className={`flex items-center gap-1 px-3 py-1.5 rounded-lg text-sm transition-all duration-200 ${
+                      selected === provider.slug
+                        ? "bg-blue-600 text-white"
+                        : "bg-white/50 border border-gray-200 text-gray-700 hover:bg-blue-50"
+                    }`}
+                  >
+                    {provider.official && (
+                      <BadgeCheck
+                        className="h-4 w-4 shrink-0"
+                        aria-label="Official provider"
+                      />
+                    )}
+                    {provider.name}
+                    <span className="opacity-70">
+                      ({provider.scholarshipCount})
+                    </span>
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProviderBrowser;
@@ -0,0 +1,47 @@
+import React from "react";
+import { Navigate, useLocation } from "react-router-dom";
+import { ShieldAlert } from "lucide-react";
+import { useAuth, type UserRole } from "../contexts/AuthContext";
+
+interface RequireRoleProps {
+  role: UserRole;
+  children: React.ReactNode;
+}
+
+// Renders children only for signed-in users with at least the given role
+const RequireRole: React.FC<RequireRoleProps> = ({ role, children }) => {
+  const { loading, isAuthenticated, hasRole } = useAuth();
+  const location = useLocation();
+
+  if (loading) {
+    return (
+      <div className="min-h-[60vh] flex items-center justify-center">
+        <div className="loader"></div>
+      </div>
+    );
+  }
+
+  if (!isAuthenticated) {
+    return <Navigate to="/login" state={{ from: location }} replace />;
+  }
+
+  if (!hasRole(role)) {
+    return (
+      <div className="min-h-[60vh] flex items-center justify-center px-4">
+        <div className="text-center max-w-md">
+          <ShieldAlert className="h-12 w-12 text-red-500 mx-auto mb-4" />
+          <h2 className="text-2xl font-bold text-gray-900 mb-2">
+            Access denied
+          </h2>
+          <p className="text-gray-600">
+            You do not have permission to view this page.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  return <>{children}</>;
+};
+
+export default RequireRole;
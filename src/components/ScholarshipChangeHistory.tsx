@@ -0,0 +1,177 @@
+import React, { useEffect, useState } from "react";
+import { History, AlertCircle } from "lucide-react";
+import {
+  scholarshipService,
+  type FieldChange,
+  type ScholarshipField,
+  type ScholarshipVersion,
+} from "../services/scholarshipService";
+import { formatDateIndian, formatDateTimeIndian } from "../utils/dateUtils";
+
+interface ScholarshipChangeHistoryProps {
+  scholarshipId: string;
+  // When the student saved the scholarship; deadline and amount changes
+  // after this are called out
+  savedAt?: string | null;
+}
+
+const FIELD_LABELS: Record<ScholarshipField, string> = {
+  title: "Title",
+  description: "Description",
+  eligibility: "Eligibility",
+  amount: "Amount",
+  deadline: "Deadline",
+  deadlineType: "Deadline type",
+  applicationLink: "Application link",
+  provider: "Provider",
+  category: "Category",
+  educationLevel: "Education level",
+  state: "State",
+  isActive: "Status",
+};
+
+const KEY_FIELDS: ScholarshipField[] = ["deadline", "amount"];
+
+// Long text fields are summarised instead of shown in full
+const TEXT_FIELDS: ScholarshipField[] = ["description", "eligibility"];
+
+const SOURCE_LABELS: Record<string, string> = {
+  "ai-orchestrator": "AI scraper",
+  "gemini-ai": "AI enhancement",
+  "gemini-cleanup": "Duplicate cleanup",
+  "ai-content-analyzer": "AI enhancement",
+  "ai-link-validator": "Link check",
+  "link-fixer": "Link check",
+  "production-ai-scraper": "AI scraper",
+  "national-scholarship-portal": "National Scholarship Portal",
+  buddy4study: "Buddy4Study",
+  ugc: "UGC",
+  aicte: "AICTE",
+  "scholarships-india": "Scholarships India",
+};
+
+const formatValue = (
+  field: ScholarshipField,
+  value: FieldChange["newValue"]
+) => {
+  if (value === null || value === "") {
+    return field === "deadline" ? "Not announced" : "None";
+  }
+  if (field === "deadline") return formatDateIndian(String(value));
+  if (field === "isActive") return value ? "Open" : "Closed";
+  if (field === "deadlineType") {
+    return value === "fixed"
+      ? "Fixed date"
+      : value === "rolling"
+      ? "Rolling"
+      : "Unknown";
+  }
+  return String(value);
+};
+
+const ChangeLine: React.FC<{ change: FieldChange }> = ({ change }) => (
+  <li className="text-sm text-gray-700">
+    <span className="font-medium">{FIELD_LABELS[change.field]}</span>
+    {TEXT_FIELDS.includes(change.field) ? (
+      " updated"
+    ) : (
+      <>
+        :{" "}
+        <span className="text-gray-500 line-through">
+          {formatValue(change.field, change.oldValue)}
+        </span>{" "}
+        &rarr; <span>{formatValue(change.field, change.newValue)}</span>
+      </>
+    )}
+  </li>
+);
+
+const ScholarshipChangeHistory: React.FC<ScholarshipChangeHistoryProps> = ({
+  scholarshipId,
+  savedAt,
+}) => {
+  const [versions, setVersions] = useState<ScholarshipVersion[]>([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    setLoading(true);
+    scholarshipService
+      .getScholarshipHistory(scholarshipId)
+      .then(setVersions)
+      .finally(() => setLoading(false));
+  }, [scholarshipId]);
+
+  const updates = versions.filter((version) => version.action === "updated");
+  const created = versions.find((version) => version.action === "created");
+
+  // Deadline and amount moves since the student saved this scholarship
+  const movedSinceSaved = savedAt
+    ? updates
+        .filter(
+          (version) =>
+            new Date(version.createdAt).getTime() > new Date(savedAt).getTime()
+        )
+        .flatMap((version) =>
+          version.changes.filter(({ field }) => KEY_FIELDS.includes(field))
+        )
+    : [];
+
+  return (
+    <div className="bg-gradient-to-br from-amber-50 to-amber-100 p-8 rounded-2xl border border-amber-200 shadow-lg">
+      <div className="flex items-center gap-3 mb-6">
+        <div className="p-3 bg-amber-500 rounded-xl">
+          <History className="h-6 w-6 text-white" />
+        </div>
+        <h2 className="text-2xl font-bold text-gray-900">What Changed</h2>
+      </div>
+
+      {movedSinceSaved.length > 0 && (
+        <div className="mb-6 p-4 bg-white rounded-xl border border-amber-300">
+          <div className="flex items-center gap-2 text-amber-800 font-medium mb-2">
+            <AlertCircle className="h-5 w-5" />
+            Changed since you saved it on {formatDateIndian(savedAt as string)}
+          </div>
+          <ul className="space-y-1">
+            {movedSinceSaved.map((change, index) => (
+              <ChangeLine key={index} change={change} />
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-gray-600">Loading change history...</p>
+      ) : updates.length === 0 ? (
+        <p className="text-gray-600">
+          No changes since this scholarship was first listed
+          {created ? ` on ${formatDateIndian(created.createdAt)}` : ""}.
+        </p>
+      ) : (
+        <ol className="space-y-4">
+          {updates.map((version) => (
+            <li
+              key={version._id}
+              className={`bg-white/70 rounded-xl p-4 border ${
+                version.changes.some(({ field }) => KEY_FIELDS.includes(field))
+                  ? "border-amber-300"
+                  : "border-amber-100"
+              }`}
+            >
+              <p className="text-xs text-gray-500 mb-2">
+                {formatDateTimeIndian(version.createdAt)} &middot;{" "}
+                {SOURCE_LABELS[version.source] || version.source}
+              </p>
+              <ul className="space-y-1">
+                {version.changes.map((change) => (
+                  <ChangeLine key={change.field} change={change} />
+                ))}
+              </ul>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default ScholarshipChangeHistory;
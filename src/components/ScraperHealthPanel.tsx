@@ -0,0 +1,296 @@
+import React, { useEffect, useState } from "react";
+import { Activity, AlertTriangle, ChevronDown, ChevronUp } from "lucide-react";
+import toast from "react-hot-toast";
+import {
+  scraperSourceService,
+  type ScrapeRun,
+  type SourceHealth,
+} from "../services/scraperSourceService";
+import { formatDateTimeIndian } from "../utils/dateUtils";
+
+const PERIODS = [7, 14, 30];
+
+const STATUS_STYLES: Record<ScrapeRun["status"], string> = {
+  success: "bg-green-100 text-green-700",
+  failed: "bg-red-100 text-red-700",
+  skipped: "bg-gray-200 text-gray-700",
+  running: "bg-blue-100 text-blue-700",
+};
+
+const formatDuration = (ms?: number | null) =>
+  ms == null ? "—" : ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+
+const formatBytes = (bytes = 0) =>
+  bytes < 1024
+    ? `${bytes} B`
+    : bytes < 1024 * 1024
+    ? `${(bytes / 1024).toFixed(1)} KB`
+    : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+// Daily items found as a bar chart: red for days that found nothing, amber
+// for days with a failed run
+const YieldChart: React.FC<{ daily: SourceHealth["daily"] }> = ({ daily }) => {
+  const max = Math.max(1, ...daily.map((day) => day.itemsFound));
+
+  return (
+    <div className="flex items-end gap-1 h-16">
+      {daily.map((day) => (
+        <div
+          key={day.date}
+          title={`${day.date}: ${day.itemsFound} found in ${day.runs} run(s), ${day.failed} failed`}
+          className={`flex-1 rounded-t ${
+            day.runs === 0
+              ? "bg-gray-100"
+              : day.itemsFound === 0
+              ? "bg-red-300"
+              : day.failed > 0
+              ? "bg-amber-400"
+              : "bg-emerald-400"
+          }`}
+          style={{
+            height: `${Math.max(8, (day.itemsFound / max) * 100)}%`,
+          }}
+        />
+      ))}
+    </div>
+  );
+};
+
+const RunHistory: React.FC<{ source: string }> = ({ source }) => {
+  const [runs, setRuns] = useState<ScrapeRun[] | null>(null);
+
+  useEffect(() => {
+    scraperSourceService
+      .getRunHistory({ source, limit: 10 })
+      .then(setRuns)
+      .catch((error) => {
+        toast.error(error.message);
+        setRuns([]);
+      });
+  }, [source]);
+
+  if (!runs) {
+    return <p className="text-sm text-gray-500 mt-3">Loading runs...</p>;
+  }
+  if (runs.length === 0) {
+    return <p className="text-sm text-gray-500 mt-3">No runs recorded yet</p>;
+  }
+
+  return (
+    <div className="mt-4 overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-500">
+            <th className="py-1 pr-3 font-medium">Started</th>
+            <th className="py-1 pr-3 font-medium">Trigger</th>
+            <th className="py-1 pr-3 font-medium">Status</th>
+            <th className="py-1 pr-3 font-medium">Found</th>
+            <th className="py-1 pr-3 font-medium">New / Updated</th>
+            <th className="py-1 pr-3 font-medium">Duration</th>
+            <th className="py-1 font-medium">HTTP</th>
+          </tr>
+        </thead>
+        <tbody>
+          {runs.map((run) => (
+            <React.Fragment key={run._id}>
+              <tr className="border-t">
+                <td className="py-1 pr-3 whitespace-nowrap">
+                  {formatDateTimeIndian(run.startedAt)}
+                </td>
+                <td className="py-1 pr-3 capitalize">{run.trigger}</td>
+                <td className="py-1 pr-3">
+                  <span
+                    className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                      STATUS_STYLES[run.status]
+                    }`}
+                  >
+                    {run.status}
+                  </span>
+                </td>
+                <td className="py-1 pr-3">
+                  {run.itemsFound}
+                  {(run.pagesSkipped ?? 0) > 0 && (
+                    <span
+                      className="text-gray-500"
+                      title={`${formatBytes(run.bytesSaved)} not downloaded`}
+                    >
+                      {" "}
+                      ({run.pagesSkipped} unchanged)
+                    </span>
+                  )}
+                </td>
+                <td className="py-1 pr-3">
+                  {run.created} / {run.updated}
+                  {run.rejected > 0 && (
+                    <span className="text-red-600">
+                      {" "}
+                      ({run.rejected} rejected)
+                    </span>
+                  )}
+                </td>
+                <td className="py-1 pr-3">{formatDuration(run.durationMs)}</td>
+                <td className="py-1 text-xs text-gray-600">
+                  {Object.entries(run.httpStatuses || {})
+                    .map(([status, count]) => `${status}×${count}`)
+                    .join(" ") || "—"}
+                </td>
+              </tr>
+              {(run.errorMessages.length > 0 || run.reason) && (
+                <tr>
+                  <td
+                    colSpan={7}
+                    className={`pb-2 text-xs ${
+                      run.status === "skipped"
+                        ? "text-gray-600"
+                        : "text-red-700"
+                    }`}
+                  >
+                    {run.reason || run.errorMessages.join("; ")}
+                  </td>
+                </tr>
+              )}
+            </React.Fragment>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+const ScraperHealthPanel: React.FC = () => {
+  const [days, setDays] = useState(14);
+  const [sources, setSources] = useState<SourceHealth[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [expanded, setExpanded] = useState<string | null>(null);
+
+  useEffect(() => {
+    setLoading(true);
+    scraperSourceService
+      .getSourceHealth(days)
+      .then(setSources)
+      .catch((error) => toast.error(error.message))
+      .finally(() => setLoading(false));
+  }, [days]);
+
+  return (
+    <div className="bg-white/80 backdrop-blur-sm p-8 rounded-2xl shadow-lg border border-white/50 mt-8">
+      <div className="flex items-center justify-between gap-3 mb-6">
+        <div className="flex items-center gap-3">
+          <div className="p-3 bg-emerald-100 rounded-2xl">
+            <Activity className="h-6 w-6 text-emerald-600" />
+          </div>
+          <div>
+            <h3 className="text-xl font-bold text-gray-900">Source Health</h3>
+            <p className="text-gray-600">
+              Scholarships found per day and recent runs for each source
+            </p>
+          </div>
+        </div>
+        <div className="flex gap-2">
+          {PERIODS.map((period) => (
+            <button
+              key={period}
+              onClick={() => setDays(period)}
+              className={`px-3 py-1 rounded-lg text-sm font-medium ${
+                days === period
+                  ? "bg-emerald-600 text-white"
+                  : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+              }`}
+            >
+              {period}d
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="text-center py-8 text-gray-500">Loading health...</div>
+      ) : (
+        <div className="space-y-4">
+          {sources.map((source) => (
+            <div
+              key={source.source}
+              className="p-4 bg-gray-50 rounded-xl border"
+            >
+              <button
+                onClick={() =>
+                  setExpanded(expanded === source.source ? null : source.source)
+                }
+                className="w-full text-left"
+              >
+                <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+                  <div>
+                    <h4 className="font-semibold text-gray-900 flex items-center gap-2">
+                      {source.sourceName || source.source}
+                      {!source.enabled && (
+                        <span className="px-2 py-0.5 rounded-full text-xs bg-gray-200 text-gray-700">
+                          {source.registered ? "Disabled" : "Removed"}
+                        </span>
+                      )}
+                      {source.lastRun && (
+                        <span
+                          className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                            STATUS_STYLES[source.lastRun.status]
+                          }`}
+                        >
+                          last run {source.lastRun.status}
+                        </span>
+                      )}
+                    </h4>
+                    <p className="text-sm text-gray-600">
+                      {source.runs > 0
+                        ? `${source.runs} runs · ${Math.round(
+                            (source.successRate ?? 0) * 100
+                          )}% succeeded · ${source.itemsFound} found, ${
+                            source.created
+                          } new, ${
+                            source.updated
+                          } updated · avg ${formatDuration(
+                            Math.round(source.avgDurationMs ?? 0)
+                          )}${
+                            (source.pagesSkipped ?? 0) > 0
+                              ? ` · ${
+                                  source.pagesSkipped
+                                } unchanged pages skipped, ${formatBytes(
+                                  source.bytesSaved
+                                )} saved`
+                              : ""
+                          }`
+                        : `No runs in the last ${days} days`}
+                    </p>
+                  </div>
+                  {expanded === source.source ? (
+                    <ChevronUp className="h-5 w-5 text-gray-500" />
+                  ) : (
+                    <ChevronDown className="h-5 w-5 text-gray-500" />
+                  )}
+                </div>
+
+                {source.zeroSince && (source.zeroRuns ?? 0) > 0 && (
+                  <div className="flex items-center gap-2 mb-3 p-2 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">
+                    <AlertTriangle className="h-4 w-4 flex-shrink-0" />
+                    Returning zero since{" "}
+                    {formatDateTimeIndian(source.zeroSince)} ({source.zeroRuns}{" "}
+                    runs)
+                    {source.lastYieldAt &&
+                      ` · last yield ${formatDateTimeIndian(
+                        source.lastYieldAt
+                      )}`}
+                  </div>
+                )}
+
+                {source.daily.length > 0 && <YieldChart daily={source.daily} />}
+              </button>
+
+              {expanded === source.source && (
+                <RunHistory source={source.source} />
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScraperHealthPanel;
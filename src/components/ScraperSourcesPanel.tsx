@@ -0,0 +1,330 @@
+import React, { useEffect, useState } from "react";
+import {
+  Database,
+  FileCode,
+  FlaskConical,
+  Play,
+  Plus,
+  RotateCcw,
+  Trash2,
+} from "lucide-react";
+import toast from "react-hot-toast";
+import { useAuth } from "../contexts/AuthContext";
+import {
+  scraperSourceService,
+  EXAMPLE_SOURCE_DEFINITION,
+  type ScraperSource,
+  type SourceTestResult,
+} from "../services/scraperSourceService";
+
+const ScraperSourcesPanel: React.FC = () => {
+  const { hasRole } = useAuth();
+  const isAdmin = hasRole("admin");
+  const [sources, setSources] = useState<ScraperSource[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [busyKey, setBusyKey] = useState<string | null>(null);
+  const [showEditor, setShowEditor] = useState(false);
+  const [definitionText, setDefinitionText] = useState(
+    JSON.stringify(EXAMPLE_SOURCE_DEFINITION, null, 2)
+  );
+  const [testResult, setTestResult] = useState<SourceTestResult | null>(null);
+
+  const loadSources = async () => {
+    try {
+      setSources(await scraperSourceService.getSources());
+    } catch (error) {
+      toast.error(
+        error instanceof Error ? error.message : "Failed to load sources"
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadSources();
+  }, []);
+
+  // Runs one action for a source, keeping its row busy until it finishes
+  const withSource = async (key: string, action: () => Promise<void>) => {
+    setBusyKey(key);
+    try {
+      await action();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : "Action failed");
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  const toggleEnabled = (source: ScraperSource) =>
+    withSource(source.key, async () => {
+      const updated = await scraperSourceService.updateSettings(source.key, {
+        enabled: !source.enabled,
+      });
+      setSources((current) =>
+        current.map((item) =>
+          item.key === source.key ? { ...item, ...updated } : item
+        )
+      );
+    });
+
+  const testSource = (source: ScraperSource) =>
+    withSource(source.key, async () => {
+      setTestResult(await scraperSourceService.testSource(source.key));
+    });
+
+  const runSource = (source: ScraperSource) =>
+    withSource(source.key, async () => {
+      toast.success(await scraperSourceService.runSource(source.key));
+      await loadSources();
+    });
+
+  const removeSource = (source: ScraperSource) =>
+    withSource(source.key, async () => {
+      const prompt = source.overridden
+        ? `Reset ${source.name} to its file settings?`
+        : `Remove ${source.name}?`;
+      if (!window.confirm(prompt)) return;
+      toast.success(await scraperSourceService.removeSource(source.key));
+      await loadSources();
+    });
+
+  const parseDefinition = () => {
+    try {
+      return JSON.parse(definitionText);
+    } catch {
+      toast.error("The definition is not valid JSON");
+      return null;
+    }
+  };
+
+  const testDefinition = () => {
+    const definition = parseDefinition();
+    if (!definition) return;
+    withSource("new", async () => {
+      setTestResult(await scraperSourceService.testDefinition(definition));
+    });
+  };
+
+  const saveDefinition = () => {
+    const definition = parseDefinition();
+    if (!definition) return;
+    withSource("new", async () => {
+      const source = await scraperSourceService.createSource(definition);
+      toast.success(`${source.name} added`);
+      setShowEditor(false);
+      setTestResult(null);
+      await loadSources();
+    });
+  };
+
+  return (
+    <div className="bg-white/80 backdrop-blur-sm p-8 rounded-2xl shadow-lg border border-white/50 mt-8">
+      <div className="flex items-center justify-between gap-3 mb-6">
+        <div className="flex items-center gap-3">
+          <div className="p-3 bg-indigo-100 rounded-2xl">
+            <Database className="h-6 w-6 text-indigo-600" />
+          </div>
+          <div>
+            <h3 className="text-xl font-bold text-gray-900">Scraper Sources</h3>
+            <p className="text-gray-600">
+              Add, enable and test sources without a deploy
+            </p>
+          </div>
+        </div>
+        {isAdmin && (
+          <button
+            onClick={() => setShowEditor((open) => !open)}
+            className="flex items-center gap-2 px-4 py-2 bg-indigo-600 text-white rounded-xl hover:bg-indigo-700 transition-colors"
+          >
+            <Plus className="h-4 w-4" />
+            Add Source
+          </button>
+        )}
+      </div>
+
+      {showEditor && (
+        <div className="mb-6 p-4 bg-gray-50 rounded-xl border">
+          <p className="text-sm text-gray-600 mb-2">
+            Declarative definition: listing URL, item selector, field selectors,
+            pagination and formats. Test it before saving.
+          </p>
+          <textarea
+            value={definitionText}
+            onChange={(event) => setDefinitionText(event.target.value)}
+            rows={16}
+            spellCheck={false}
+            className="w-full font-mono text-xs p-3 border rounded-lg focus:ring-2 focus:ring-indigo-500"
+          />
+          <div className="flex gap-3 mt-3">
+            <button
+              onClick={testDefinition}
+              disabled={busyKey === "new"}
+              className="flex items-center gap-2 px-4 py-2 bg-white border rounded-lg hover:bg-gray-100 disabled:opacity-50"
+            >
+              <FlaskConical className="h-4 w-4" />
+              {busyKey === "new" ? "Working..." : "Test"}
+            </button>
+            <button
+              onClick={saveDefinition}
+              disabled={busyKey === "new"}
+              className="flex items-center gap-2 px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+            >
+              <Plus className="h-4 w-4" />
+              Save Source
+            </button>
+          </div>
+        </div>
+      )}
+
+      {testResult && (
+        <div className="mb-6 p-4 bg-indigo-50 rounded-xl border border-indigo-200">
+          <div className="flex items-center justify-between mb-2">
+            <h4 className="font-semibold text-indigo-900">
+              Test run: {testResult.source}
+            </h4>
+            <button
+              onClick={() => setTestResult(null)}
+              className="text-sm text-indigo-700 hover:underline"
+            >
+              Dismiss
+            </button>
+          </div>
+          <p className="text-sm text-indigo-800 mb-3">
+            {testResult.pages} page(s), {testResult.scraped} scholarship(s)
+            extracted, {testResult.rejected.length} rejected. Nothing was saved.
+          </p>
+          <ul className="space-y-1 text-sm">
+            {testResult.scholarships.map((scholarship) => (
+              <li key={scholarship.title} className="text-gray-800">
+                <span className="font-medium">{scholarship.title}</span>
+                {" — "}
+                {scholarship.amount}
+                {scholarship.deadline &&
+                  `, deadline ${new Date(
+                    scholarship.deadline
+                  ).toLocaleDateString("en-IN")}`}
+              </li>
+            ))}
+            {testResult.rejected.map((item, index) => (
+              <li key={`rejected-${index}`} className="text-red-700">
+                Rejected {item.title || "untitled item"}: {item.error}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="text-center py-8 text-gray-500">Loading sources...</div>
+      ) : (
+        <div className="space-y-3">
+          {sources.map((source) => (
+            <div
+              key={source.key}
+              className={`p-4 rounded-xl border ${
+                source.enabled ? "bg-gray-50" : "bg-gray-100 opacity-75"
+              }`}
+            >
+              <div className="flex flex-wrap items-center justify-between gap-3">
+                <div>
+                  <h4 className="font-semibold text-gray-900 flex items-center gap-2">
+                    {source.type === "module" ? (
+                      <FileCode className="h-4 w-4 text-gray-500" />
+                    ) : (
+                      <Database className="h-4 w-4 text-indigo-500" />
+                    )}
+                    {source.name}
+                  </h4>
+                  <p className="text-sm text-gray-600">
+                    {source.key} · {source.type} · {source.origin}
+                    {source.overridden && " (settings changed)"} · priority{" "}
+                    {source.priority}
+                  </p>
+                  {source.listing && (
+                    <p className="text-xs text-gray-500 truncate max-w-md">
+                      {source.listing.url}
+                    </p>
+                  )}
+                </div>
+
+                <div className="flex items-center gap-2">
+                  {source.circuitBreakerOpen && (
+                    <span className="px-3 py-1 rounded-full text-xs font-medium bg-red-100 text-red-700">
+                      Circuit open
+                    </span>
+                  )}
+                  {isAdmin ? (
+                    <button
+                      onClick={() => toggleEnabled(source)}
+                      disabled={busyKey === source.key}
+                      className={`px-3 py-1 rounded-full text-xs font-medium disabled:opacity-50 ${
+                        source.enabled
+                          ? "bg-green-100 text-green-700 hover:bg-green-200"
+                          : "bg-gray-200 text-gray-700 hover:bg-gray-300"
+                      }`}
+                    >
+                      {source.enabled ? "Enabled" : "Disabled"}
+                    </button>
+                  ) : (
+                    <span
+                      className={`px-3 py-1 rounded-full text-xs font-medium ${
+                        source.enabled
+                          ? "bg-green-100 text-green-700"
+                          : "bg-gray-200 text-gray-700"
+                      }`}
+                    >
+                      {source.enabled ? "Enabled" : "Disabled"}
+                    </span>
+                  )}
+                  {isAdmin && source.type === "declarative" && (
+                    <button
+                      onClick={() => testSource(source)}
+                      disabled={busyKey === source.key}
+                      title="Test without saving"
+                      className="p-2 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+                    >
+                      <FlaskConical className="h-4 w-4 text-indigo-600" />
+                    </button>
+                  )}
+                  {isAdmin && (
+                    <button
+                      onClick={() => runSource(source)}
+                      disabled={busyKey === source.key || !source.enabled}
+                      title="Run now"
+                      className="p-2 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+                    >
+                      <Play className="h-4 w-4 text-green-600" />
+                    </button>
+                  )}
+                  {isAdmin &&
+                    (source.origin === "database" || source.overridden) && (
+                      <button
+                        onClick={() => removeSource(source)}
+                        disabled={busyKey === source.key}
+                        title={
+                          source.overridden
+                            ? "Reset to file settings"
+                            : "Remove"
+                        }
+                        className="p-2 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+                      >
+                        {source.overridden ? (
+                          <RotateCcw className="h-4 w-4 text-orange-600" />
+                        ) : (
+                          <Trash2 className="h-4 w-4 text-red-600" />
+                        )}
+                      </button>
+                    )}
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScraperSourcesPanel;
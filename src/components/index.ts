@@ -1,3 +1,12 @@
 export { default as Navbar } from "./Navbar";
 export { default as Footer } from "./Footer";
 export { default as ChatBot } from "./ChatBot";
+export { default as ActiveSessions } from "./ActiveSessions";
+export { default as RequireRole } from "./RequireRole";
+export { default as ApplicationTracker } from "./ApplicationTracker";
+export { default as ScholarshipChangeHistory } from "./ScholarshipChangeHistory";
+export { default as ScraperSourcesPanel } from "./ScraperSourcesPanel";
+export { default as ScraperHealthPanel } from "./ScraperHealthPanel";
+export { default as JobQueuePanel } from "./JobQueuePanel";
+export { default as MergeReviewPanel } from "./MergeReviewPanel";
+export { default as ProviderBrowser } from "./ProviderBrowser";
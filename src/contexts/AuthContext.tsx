@@ -1,6 +1,19 @@
-import React, { createContext, useContext, useState, useEffect } from "react";
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useState,
+  useEffect,
+  useRef,
+} from "react";
 import Cookies from "js-cookie";
 import type { CredentialResponse } from "@react-oauth/google";
+import { setAccessTokenRefresher } from "../services/scholarshipService";
+
+export type UserRole = "student" | "moderator" | "admin";
+
+// Roles in increasing order of privilege, matching the backend
+const ROLE_ORDER: UserRole[] = ["student", "moderator", "admin"];
 
 interface User {
   _id: string;
@@ -14,6 +27,8 @@ interface User {
   city?: string;
   profileCompletion?: number;
   isEmailVerified: boolean;
+  emailNotifications?: boolean;
+  role: UserRole;
   savedScholarships?: string[];
   appliedScholarships?: Array<{
     scholarshipId: string;
@@ -22,6 +37,16 @@ interface User {
   }>;
 }
 
+export interface ActiveSession {
+  _id: string;
+  userAgent?: string;
+  ipAddress?: string;
+  createdAt: string;
+  lastUsedAt: string;
+  expiresAt: string;
+  current: boolean;
+}
+
 interface AuthContextType {
   user: User | null;
   token: string | null;
@@ -29,8 +54,15 @@ interface AuthContextType {
   login: (email: string, password: string) => Promise<void>;
   register: (userData: RegisterData) => Promise<void>;
   loginWithGoogle: (credential: CredentialResponse) => Promise<void>;
-  logout: () => void;
+  logout: () => Promise<void>;
+  logoutEverywhere: () => Promise<void>;
   updateProfile: (data: Partial<User>) => Promise<void>;
+  resendVerificationEmail: () => Promise<string>;
+  refreshUser: () => Promise<void>;
+  getSessions: () => Promise<ActiveSession[]>;
+  revokeSession: (sessionId: string) => Promise<void>;
+  authFetch: (path: string, init?: AuthFetchInit) => Promise<Response>;
+  hasRole: (role: UserRole) => boolean;
   isAuthenticated: boolean;
 }
 
@@ -46,8 +78,14 @@ interface RegisterData {
   city?: string;
 }
 
+type AuthFetchInit = Omit<RequestInit, "headers"> & {
+  headers?: Record<string, string>;
+};
+
 const AuthContext = createContext<AuthContextType | undefined>(undefined);
 
+const API_BASE = "http://localhost:5001/api";
+
 export const useAuth = () => {
   const context = useContext(AuthContext);
   if (context === undefined) {
@@ -62,8 +100,101 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({
   const [user, setUser] = useState<User | null>(null);
   const [token, setToken] = useState<string | null>(null);
   const [loading, setLoading] = useState(true);
+  // Latest access token, readable before React re-renders
+  const tokenRef = useRef<string | null>(null);
+  // Shared so concurrent 401s trigger a single refresh
+  const refreshRequest = useRef<Promise<string | null> | null>(null);
+
+  const storeTokens = useCallback((authToken: string, refreshToken: string) => {
+    tokenRef.current = authToken;
+    setToken(authToken);
+    localStorage.setItem("token", authToken);
+    localStorage.setItem("refreshToken", refreshToken);
+    Cookies.set("token", authToken, { expires: 7 });
+  }, []);
+
+  const clearSession = useCallback(() => {
+    tokenRef.current = null;
+    setUser(null);
+    setToken(null);
+    localStorage.removeItem("token");
+    localStorage.removeItem("refreshToken");
+    Cookies.remove("token");
+  }, []);
+
+  // Rotate the refresh token; resolves to the new access token or null
+  const refreshSession = useCallback(() => {
+    if (!refreshRequest.current) {
+      refreshRequest.current = (async () => {
+        const refreshToken = localStorage.getItem("refreshToken");
+        if (!refreshToken) return null;
+
+        try {
+          const response = await fetch(`${API_BASE}/auth/refresh`, {
+            method: "POST",
+            headers: {
+              "Content-Type": "application/json",
+            },
+            body: JSON.stringify({ refreshToken }),
+          });
+
+          if (!response.ok) return null;
+
+          const data = await response.json();
+          storeTokens(data.data.token, data.data.refreshToken);
+          return data.data.token as string;
+        } catch (error) {
+          console.error("Token refresh error:", error);
+          return null;
+        }
+      })().finally(() => {
+        refreshRequest.current = null;
+      });
+    }
+    return refreshRequest.current;
+  }, [storeTokens]);
+
+  // fetch() against the API with the access token, refreshing it once on 401
+  const authFetch = useCallback(
+    async (path: string, init: AuthFetchInit = {}) => {
+      const send = (authToken: string | null) =>
+        fetch(`${API_BASE}${path}`, {
+          ...init,
+          headers: {
+            "Content-Type": "application/json",
+            ...init.headers,
+            ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
+          },
+        });
+
+      const response = await send(tokenRef.current);
+      if (response.status !== 401 || !tokenRef.current) return response;
 
-  const API_BASE = "http://localhost:5001/api";
+      const refreshedToken = await refreshSession();
+      if (!refreshedToken) {
+        clearSession();
+        return response;
+      }
+      return send(refreshedToken);
+    },
+    [refreshSession, clearSession]
+  );
+
+  const fetchUser = useCallback(async () => {
+    try {
+      const response = await authFetch("/auth/me");
+
+      if (response.ok) {
+        const data = await response.json();
+        setUser(data.data.user);
+      } else {
+        throw new Error("Failed to fetch user");
+      }
+    } catch (error) {
+      console.error("Fetch user error:", error);
+      clearSession();
+    }
+  }, [authFetch, clearSession]);
 
   // Initialize auth state from localStorage
   useEffect(() => {
@@ -71,40 +202,22 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({
       try {
         const storedToken = localStorage.getItem("token");
         if (storedToken) {
+          tokenRef.current = storedToken;
           setToken(storedToken);
-          await fetchUser(storedToken);
+          await fetchUser();
         }
       } catch (error) {
         console.error("Auth initialization error:", error);
-        logout();
+        clearSession();
       } finally {
         setLoading(false);
       }
     };
 
     initializeAuth();
-  }, []);
-
-  const fetchUser = async (authToken: string) => {
-    try {
-      const response = await fetch(`${API_BASE}/auth/me`, {
-        headers: {
-          Authorization: `Bearer ${authToken}`,
-          "Content-Type": "application/json",
-        },
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        setUser(data.data.user);
-      } else {
-        throw new Error("Failed to fetch user");
-      }
-    } catch (error) {
-      console.error("Fetch user error:", error);
-      logout();
-    }
-  };
+    setAccessTokenRefresher(refreshSession);
+    return () => setAccessTokenRefresher(null);
+  }, [fetchUser, clearSession, refreshSession]);
 
   const login = async (email: string, password: string) => {
     try {
@@ -122,10 +235,7 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({
       if (response.ok) {
         const { user, token: authToken, refreshToken } = data.data;
         setUser(user);
-        setToken(authToken);
-        localStorage.setItem("token", authToken);
-        localStorage.setItem("refreshToken", refreshToken);
-        Cookies.set("token", authToken, { expires: 7 });
+        storeTokens(authToken, refreshToken);
       } else {
         throw new Error(data.message || "Login failed");
       }
@@ -153,10 +263,7 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({
       if (response.ok) {
         const { user, token: authToken, refreshToken } = data.data;
         setUser(user);
-        setToken(authToken);
-        localStorage.setItem("token", authToken);
-        localStorage.setItem("refreshToken", refreshToken);
-        Cookies.set("token", authToken, { expires: 7 });
+        storeTokens(authToken, refreshToken);
       } else {
         throw new Error(data.message || "Registration failed");
       }
@@ -187,10 +294,7 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({
       if (response.ok) {
         const { user, token: authToken, refreshToken } = data.data;
         setUser(user);
-        setToken(authToken);
-        localStorage.setItem("token", authToken);
-        localStorage.setItem("refreshToken", refreshToken);
-        Cookies.set("token", authToken, { expires: 7 });
+        storeTokens(authToken, refreshToken);
       } else {
         throw new Error(data.message || "Google login failed");
       }
@@ -202,24 +306,54 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({
     }
   };
 
-  const logout = () => {
-    setUser(null);
-    setToken(null);
-    localStorage.removeItem("token");
-    localStorage.removeItem("refreshToken");
-    Cookies.remove("token");
+  const logout = async () => {
+    try {
+      if (tokenRef.current) {
+        await authFetch("/auth/logout", { method: "POST" });
+      }
+    } catch (error) {
+      console.error("Logout error:", error);
+    } finally {
+      clearSession();
+    }
+  };
+
+  const logoutEverywhere = async () => {
+    const response = await authFetch("/auth/logout-all", { method: "POST" });
+    if (!response.ok) {
+      const result = await response.json();
+      throw new Error(result.message || "Failed to log out of all devices");
+    }
+    clearSession();
+  };
+
+  const getSessions = useCallback(async () => {
+    const response = await authFetch("/auth/sessions");
+    const result = await response.json();
+
+    if (!response.ok) {
+      throw new Error(result.message || "Failed to load sessions");
+    }
+    return result.data.sessions as ActiveSession[];
+  }, [authFetch]);
+
+  const revokeSession = async (sessionId: string) => {
+    const response = await authFetch(`/auth/sessions/${sessionId}`, {
+      method: "DELETE",
+    });
+
+    if (!response.ok) {
+      const result = await response.json();
+      throw new Error(result.message || "Failed to revoke session");
+    }
   };
 
   const updateProfile = async (data: Partial<User>) => {
     try {
       if (!token) throw new Error("No authentication token");
 
-      const response = await fetch(`${API_BASE}/auth/profile`, {
+      const response = await authFetch("/auth/profile", {
         method: "PUT",
-        headers: {
-          Authorization: `Bearer ${token}`,
-          "Content-Type": "application/json",
-        },
         body: JSON.stringify(data),
       });
 
@@ -236,6 +370,32 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({
     }
   };
 
+  const resendVerificationEmail = async () => {
+    if (!token) throw new Error("No authentication token");
+
+    const response = await authFetch("/auth/resend-verification", {
+      method: "POST",
+    });
+
+    const result = await response.json();
+
+    if (!response.ok) {
+      throw new Error(
+        result.message || result.error || "Failed to send verification email"
+      );
+    }
+    return result.message as string;
+  };
+
+  const refreshUser = async () => {
+    if (tokenRef.current) await fetchUser();
+  };
+
+  // True if the user has the role or a more privileged one
+  const hasRole = (role: UserRole) =>
+    !!user &&
+    ROLE_ORDER.indexOf(user.role || "student") >= ROLE_ORDER.indexOf(role);
+
   const value: AuthContextType = {
     user,
     token,
@@ -244,7 +404,14 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({
     register,
     loginWithGoogle,
     logout,
+    logoutEverywhere,
     updateProfile,
+    resendVerificationEmail,
+    refreshUser,
+    getSessions,
+    revokeSession,
+    authFetch,
+    hasRole,
     isAuthenticated: !!user && !!token,
   };
 
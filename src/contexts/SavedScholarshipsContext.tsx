@@ -0,0 +1,259 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import toast from "react-hot-toast";
+import { useAuth } from "./AuthContext";
+import {
+  SavedScholarshipsContext,
+  type SaveOutcome,
+  type SavedScholarshipsContextType,
+} from "../hooks/useSavedScholarships";
+import {
+  savedScholarshipService,
+  isOfflineError,
+  type SavedCollection,
+  type SavedDetails,
+  type SavedItem,
+  type SavedScholarship,
+} from "../services/savedScholarshipService";
+
+/**
+ * Saved scholarships of the signed-in user, kept on the server. Signed-out
+ * visitors save to this device, and those saves are merged into the
+ * account once they log in. Changes made offline are queued and replayed
+ * when the connection returns.
+ */
+export const SavedScholarshipsProvider: React.FC<{
+  children: React.ReactNode;
+}> = ({ children }) => {
+  const { user, loading: authLoading } = useAuth();
+  const userId = user?._id ?? null;
+  const [items, setItems] = useState<SavedItem[]>([]);
+  const [collections, setCollections] = useState<SavedCollection[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [pendingCount, setPendingCount] = useState(0);
+  // Ignores results of a sync started for a previous user
+  const userRef = useRef<string | null>(null);
+  const syncing = useRef<Promise<void> | null>(null);
+
+  const loadFromServer = async (forUser: string) => {
+    try {
+      const list = await savedScholarshipService.getSaved();
+      if (userRef.current !== forUser) return;
+      setItems(list.items);
+      setCollections(list.collections);
+    } catch (error) {
+      if (!isOfflineError(error)) throw error;
+    }
+  };
+
+  // Merge signed-out saves, send queued changes, then reload the list
+  const sync = useCallback(async (forUser: string) => {
+    if (!syncing.current) {
+      syncing.current = (async () => {
+        try {
+          const merged = await savedScholarshipService.mergeLocalIntoAccount();
+          if (merged > 0) {
+            toast.success(
+              `Added ${merged} scholarship${
+                merged === 1 ? "" : "s"
+              } saved on this device to your account`
+            );
+          }
+          const { replayed, remaining } =
+            await savedScholarshipService.replayQueue(forUser);
+          if (userRef.current === forUser) setPendingCount(remaining);
+          if (replayed > 0 && remaining === 0) {
+            toast.success("Offline changes to saved scholarships synced");
+          }
+          await loadFromServer(forUser);
+        } catch (error) {
+          if (!isOfflineError(error)) {
+            console.error("Error syncing saved scholarships:", error);
+          }
+        } finally {
+          syncing.current = null;
+        }
+      })();
+    }
+    return syncing.current;
+  }, []);
+
+  useEffect(() => {
+    if (authLoading) return;
+    userRef.current = userId;
+
+    if (!userId) {
+      setItems(savedScholarshipService.getLocalSaves());
+      setCollections([]);
+      setPendingCount(0);
+      setLoading(false);
+      return;
+    }
+
+    const cached = savedScholarshipService.getCachedList(userId);
+    setItems(cached?.items ?? []);
+    setCollections(cached?.collections ?? []);
+    setPendingCount(savedScholarshipService.getQueue(userId).length);
+    setLoading(!cached);
+    sync(userId).finally(() => {
+      if (userRef.current === userId) setLoading(false);
+    });
+  }, [userId, authLoading, sync]);
+
+  // Keep what was last shown, including offline changes, for offline visits
+  useEffect(() => {
+    if (userId && !loading) {
+      savedScholarshipService.setCachedList(userId, { items, collections });
+    }
+  }, [userId, loading, items, collections]);
+
+  useEffect(() => {
+    if (!userId) return;
+    const handleOnline = () => sync(userId);
+    window.addEventListener("online", handleOnline);
+    return () => window.removeEventListener("online", handleOnline);
+  }, [userId, sync]);
+
+  const isSaved = (scholarshipId: string) =>
+    items.some(({ scholarship }) => scholarship._id === scholarshipId);
+
+  const getItem = (scholarshipId: string) =>
+    items.find(({ scholarship }) => scholarship._id === scholarshipId);
+
+  // Apply a change locally, then send it; keeps it queued when offline and
+  // rolls it back when the server rejects it
+  const applyChange = async (
+    next: SavedItem[],
+    send: () => Promise<void>,
+    queued: Parameters<typeof savedScholarshipService.enqueue>[1]
+  ): Promise<SaveOutcome> => {
+    const previous = items;
+    setItems(next);
+
+    if (!userId) {
+      savedScholarshipService.setLocalSaves(next);
+      return "local";
+    }
+
+    const enqueue = () => {
+      savedScholarshipService.enqueue(userId, queued);
+      setPendingCount(savedScholarshipService.getQueue(userId).length);
+      return "queued" as const;
+    };
+
+    if (!navigator.onLine) return enqueue();
+    // Keep the order of earlier offline changes
+    if (pendingCount > 0) {
+      const outcome = enqueue();
+      sync(userId);
+      return outcome;
+    }
+    try {
+      await send();
+      return "synced";
+    } catch (error) {
+      if (isOfflineError(error)) return enqueue();
+      setItems(previous);
+      throw error;
+    }
+  };
+
+  const save = (scholarship: SavedScholarship) => {
+    const savedAt = new Date().toISOString();
+    if (isSaved(scholarship._id)) return Promise.resolve("synced" as const);
+
+    return applyChange(
+      [
+        { scholarship, savedAt, notes: "", tags: [], collections: [] },
+        ...items,
+      ],
+      () =>
+        savedScholarshipService.saveScholarship(scholarship._id, { savedAt }),
+      { scholarshipId: scholarship._id, action: "save", savedAt }
+    );
+  };
+
+  const remove = (scholarshipId: string) =>
+    applyChange(
+      items.filter(({ scholarship }) => scholarship._id !== scholarshipId),
+      () => savedScholarshipService.removeSaved(scholarshipId),
+      {
+        scholarshipId,
+        action: "remove",
+        savedAt: new Date().toISOString(),
+      }
+    );
+
+  const updateDetails = (scholarshipId: string, details: SavedDetails) => {
+    const item = getItem(scholarshipId);
+    if (!item) return Promise.reject(new Error("Scholarship is not saved"));
+
+    return applyChange(
+      items.map((entry) => (entry === item ? { ...entry, ...details } : entry)),
+      () => savedScholarshipService.saveScholarship(scholarshipId, details),
+      {
+        scholarshipId,
+        action: "save",
+        details,
+        savedAt: item.savedAt ?? new Date().toISOString(),
+      }
+    );
+  };
+
+  // Collections are managed online only, so their IDs come from the server
+  const createCollection = async (name: string) => {
+    const collection = await savedScholarshipService.createCollection(name);
+    setCollections((current) => [...current, collection]);
+    return collection;
+  };
+
+  const renameCollection = async (collectionId: string, name: string) => {
+    const renamed = await savedScholarshipService.renameCollection(
+      collectionId,
+      name
+    );
+    setCollections((current) =>
+      current.map((collection) =>
+        collection._id === collectionId ? renamed : collection
+      )
+    );
+  };
+
+  const deleteCollection = async (collectionId: string) => {
+    await savedScholarshipService.deleteCollection(collectionId);
+    setCollections((current) =>
+      current.filter(({ _id }) => _id !== collectionId)
+    );
+    setItems((current) =>
+      current.map((item) => ({
+        ...item,
+        collections: item.collections.filter((id) => id !== collectionId),
+      }))
+    );
+  };
+
+  const refresh = async () => {
+    if (userId) await sync(userId);
+  };
+
+  const value: SavedScholarshipsContextType = {
+    items,
+    collections,
+    loading,
+    pendingCount,
+    isSaved,
+    getItem,
+    save,
+    remove,
+    updateDetails,
+    createCollection,
+    renameCollection,
+    deleteCollection,
+    refresh,
+  };
+
+  return (
+    <SavedScholarshipsContext.Provider value={value}>
+      {children}
+    </SavedScholarshipsContext.Provider>
+  );
+};
@@ -0,0 +1,107 @@
+import { useEffect, useRef, useState } from "react";
+import {
+  subscribeToProgress,
+  type ProgressChannel,
+  type ProgressEvent,
+} from "../services/progressService";
+
+// Log lines kept in memory for the dashboard
+const LOG_LIMIT = 200;
+
+export interface ProgressSession {
+  sessionId: string;
+  channel: ProgressChannel;
+  status: "running" | "completed" | "failed" | "stopped";
+  progress: number;
+  phase?: string;
+  // What the session is working on right now
+  current?: string;
+  scholarshipsFound: number;
+  errors: number;
+  startedAt: string;
+  finishedAt?: string;
+  summary?: Record<string, unknown>;
+}
+
+const applyEvent = (
+  session: ProgressSession | undefined,
+  event: ProgressEvent
+): ProgressSession => {
+  const { data } = event;
+  const next: ProgressSession =
+    session && session.sessionId === event.sessionId
+      ? { ...session }
+      : {
+          sessionId: event.sessionId,
+          channel: event.channel,
+          status: "running",
+          progress: 0,
+          scholarshipsFound: 0,
+          errors: 0,
+          startedAt: event.timestamp,
+        };
+
+  if (typeof data.progress === "number") next.progress = data.progress;
+
+  switch (event.type) {
+    case "phase":
+      next.phase = data.phase;
+      break;
+    case "site-started":
+      next.current = data.name || data.url || data.source;
+      break;
+    case "scholarships-found":
+      next.scholarshipsFound += data.count || 0;
+      break;
+    case "error":
+      next.errors++;
+      break;
+    case "session-finished":
+      next.status = (data.status as ProgressSession["status"]) || "completed";
+      next.finishedAt = event.timestamp;
+      next.current = undefined;
+      next.summary = data.summary;
+      break;
+  }
+
+  return next;
+};
+
+/**
+ * Live progress of AI-enhanced sessions and scraper passes: the latest
+ * session on each channel plus a log of recent events
+ *
+ * @param onEvent - Called for every event, e.g. to refresh data when a
+ *   session finishes
+ */
+export function useProgressStream(onEvent?: (event: ProgressEvent) => void) {
+  const [connected, setConnected] = useState(false);
+  const [events, setEvents] = useState<ProgressEvent[]>([]);
+  const [sessions, setSessions] = useState<
+    Partial<Record<ProgressChannel, ProgressSession>>
+  >({});
+
+  // Keep the latest callback without reconnecting when it changes
+  const onEventRef = useRef(onEvent);
+  onEventRef.current = onEvent;
+
+  useEffect(
+    () =>
+      subscribeToProgress(
+        (event) => {
+          setEvents((current) => [...current, event].slice(-LOG_LIMIT));
+          setSessions((current) => ({
+            ...current,
+            [event.channel]: applyEvent(current[event.channel], event),
+          }));
+          onEventRef.current?.(event);
+        },
+        { onConnectionChange: setConnected }
+      ),
+    []
+  );
+
+  return { connected, events, sessions };
+}
+
+export default useProgressStream;
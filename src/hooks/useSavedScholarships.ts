@@ -0,0 +1,46 @@
+import { createContext, useContext } from "react";
+import type {
+  SavedCollection,
+  SavedDetails,
+  SavedItem,
+  SavedScholarship,
+} from "../services/savedScholarshipService";
+
+// How a change was stored: on the server, queued until back online, or
+// on this device for signed-out visitors
+export type SaveOutcome = "synced" | "queued" | "local";
+
+export interface SavedScholarshipsContextType {
+  items: SavedItem[];
+  collections: SavedCollection[];
+  loading: boolean;
+  // Changes waiting for a connection
+  pendingCount: number;
+  isSaved: (scholarshipId: string) => boolean;
+  getItem: (scholarshipId: string) => SavedItem | undefined;
+  save: (scholarship: SavedScholarship) => Promise<SaveOutcome>;
+  remove: (scholarshipId: string) => Promise<SaveOutcome>;
+  updateDetails: (
+    scholarshipId: string,
+    details: SavedDetails
+  ) => Promise<SaveOutcome>;
+  createCollection: (name: string) => Promise<SavedCollection>;
+  renameCollection: (collectionId: string, name: string) => Promise<void>;
+  deleteCollection: (collectionId: string) => Promise<void>;
+  refresh: () => Promise<void>;
+}
+
+// Provided by SavedScholarshipsProvider in contexts/SavedScholarshipsContext
+export const SavedScholarshipsContext = createContext<
+  SavedScholarshipsContextType | undefined
+>(undefined);
+
+export const useSavedScholarships = () => {
+  const context = useContext(SavedScholarshipsContext);
+  if (context === undefined) {
+    throw new Error(
+      "useSavedScholarships must be used within a SavedScholarshipsProvider"
+    );
+  }
+  return context;
+};
@@ -1,56 +1,75 @@
-import { useState, useEffect } from "react";
+import { useCallback, useEffect, useRef, useState } from "react";
 import type {
   Scholarship,
   ScholarshipFilters,
+  ScholarshipResponse,
+  SearchFacets,
+  SearchSuggestion,
 } from "../services/scholarshipService";
 import { scholarshipService } from "../services/scholarshipService";
 
-export function useScholarships() {
+// `initialFilters` apply to the first fetch, e.g. a saved search opened
+// from its link
+export function useScholarships(initialFilters: ScholarshipFilters = {}) {
   const [scholarships, setScholarships] = useState<Scholarship[]>([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const [totalPages, setTotalPages] = useState(0);
   const [currentPage, setCurrentPage] = useState(1);
   const [total, setTotal] = useState(0);
+  const [facets, setFacets] = useState<SearchFacets | null>(null);
+  const [suggestions, setSuggestions] = useState<SearchSuggestion[]>([]);
+  const [matchedBy, setMatchedBy] =
+    useState<ScholarshipResponse["matchedBy"]>(null);
+  const [expansions, setExpansions] = useState<string[]>([]);
+  // Only the first fetch uses them, so later renders may pass new objects
+  const initialFiltersRef = useRef(initialFilters);
+
+  const fetchScholarships = useCallback(
+    async (page = 1, limit = 10, filters: ScholarshipFilters = {}) => {
+      try {
+        setIsLoading(true);
+        setError(null);
 
-  const fetchScholarships = async (
-    page = 1,
-    limit = 10,
-    filters: ScholarshipFilters = {}
-  ) => {
-    try {
-      setIsLoading(true);
-      setError(null);
-
-      const response = await scholarshipService.getScholarships(
-        page,
-        limit,
-        filters
-      );
-
-      setScholarships(response.scholarships);
-      setTotalPages(response.totalPages);
-      setCurrentPage(response.currentPage);
-      setTotal(response.total);
-    } catch (err) {
-      console.error("Error fetching scholarships:", err);
-      setError(
-        err instanceof Error ? err.message : "Failed to fetch scholarships"
-      );
-
-      // Fallback to empty array if API fails
-      setScholarships([]);
-      setTotalPages(0);
-      setCurrentPage(1);
-      setTotal(0);
-    } finally {
-      setIsLoading(false);
-    }
-  };
+        const response = await scholarshipService.getScholarships(
+          page,
+          limit,
+          filters
+        );
+
+        setScholarships(response.scholarships);
+        setTotalPages(response.totalPages);
+        setCurrentPage(response.currentPage);
+        setTotal(response.total);
+        setFacets(response.facets ?? null);
+        setSuggestions(response.suggestions ?? []);
+        setMatchedBy(response.matchedBy ?? null);
+        setExpansions(response.expansions ?? []);
+      } catch (err) {
+        console.error("Error fetching scholarships:", err);
+        setError(
+          err instanceof Error ? err.message : "Failed to fetch scholarships"
+        );
+
+        // Fallback to empty array if API fails
+        setScholarships([]);
+        setTotalPages(0);
+        setCurrentPage(1);
+        setTotal(0);
+        setFacets(null);
+        setSuggestions([]);
+        setMatchedBy(null);
+        setExpansions([]);
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    []
+  );
 
   useEffect(() => {
-    fetchScholarships();
-  }, []);
+    fetchScholarships(1, 10, initialFiltersRef.current);
+  }, [fetchScholarships]);
 
   return {
     scholarships,
@@ -59,6 +78,10 @@ export function useScholarships() {
     totalPages,
     currentPage,
     total,
+    facets,
+    suggestions,
+    matchedBy,
+    expansions,
     fetchScholarships,
     refetch: () => fetchScholarships(currentPage),
   };
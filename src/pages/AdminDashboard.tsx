@@ -199,11 +199,8 @@ const AdminDashboard: React.FC = () => {
       const data = await response.json();
 
       if (data.success) {
-        setMessage(
-          `Scraping triggered successfully! Found ${
-            data.result?.totalScholarships || 0
-          } scholarships from ${data.result?.successfulScrapers || 0} sources.`
-        );
+        // Scraping runs as a background job; its results arrive later
+        setMessage(data.message || "Scraping queued");
         // Refresh all data after scraping
         setTimeout(() => {
           fetchAllData();
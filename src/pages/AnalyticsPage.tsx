@@ -1,4 +1,5 @@
-import React, { useState, useEffect } from "react";
+import React, { useCallback, useState, useEffect } from "react";
+import { Link } from "react-router-dom";
 import {
   BarChart3,
   TrendingUp,
@@ -17,95 +18,236 @@ import {
   Zap,
   Star,
   Globe,
+  Search,
+  Eye,
+  MousePointerClick,
+  MessageCircle,
+  Filter,
+  AlertCircle,
 } from "lucide-react";
-import { formatDateIndian } from "../utils/dateUtils";
-
-interface AnalyticsData {
-  totalScholarships: number;
-  savedScholarships: number;
-  appliedScholarships: number;
-  successfulApplications: number;
-  totalPotentialAmount: string;
-  avgApplicationTime: string;
-  topCategories: Array<{ name: string; count: number; percentage: number }>;
-  monthlyActivity: Array<{ month: string; saved: number; applied: number }>;
-  deadlineTracker: Array<{
-    title: string;
-    deadline: string;
-    daysLeft: number;
-    status: string;
-  }>;
-  performanceMetrics: {
-    viewToSaveRate: number;
-    saveToApplyRate: number;
-    successRate: number;
-  };
-}
+import { useAuth } from "../contexts/AuthContext";
+import { useSavedScholarships } from "../hooks/useSavedScholarships";
+import {
+  analyticsService,
+  type AnalyticsOverview,
+  type AnalyticsRange,
+  type BreakdownRow,
+  type ScholarshipRankings,
+  type ScholarshipStats,
+  type SeriesPoint,
+  type UserAnalytics,
+} from "../services/analyticsService";
+import { formatDateIndian, hasFixedDeadline } from "../utils/dateUtils";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatRupees = (amount: number) => `₹${amount.toLocaleString("en-IN")}`;
+
+// Percent change from the previous period; undefined without a baseline
+const percentChange = (current: number, previous: number) =>
+  previous > 0
+    ? Math.round(((current - previous) / previous) * 1000) / 10
+    : undefined;
+
+const formatBucket = (date: string, granularity: string) =>
+  new Date(date).toLocaleDateString("en-IN", {
+    timeZone: "UTC",
+    ...(granularity === "month"
+      ? { month: "short" }
+      : { day: "numeric", month: "short" }),
+  });
+
+// Two series side by side as vertical bars
+const SeriesChart: React.FC<{
+  first: { label: string; color: string; points: SeriesPoint[] };
+  second: { label: string; color: string; points: SeriesPoint[] };
+  granularity: string;
+}> = ({ first, second, granularity }) => {
+  const max = Math.max(
+    1,
+    ...first.points.map(({ count }) => count),
+    ...second.points.map(({ count }) => count)
+  );
+  // Label every nth bucket so long ranges stay readable
+  const labelEvery = Math.ceil(first.points.length / 8);
 
-const AnalyticsPage: React.FC = () => {
-  const [analyticsData, setAnalyticsData] = useState<AnalyticsData | null>(
-    null
+  return (
+    <div>
+      <div className="flex items-end gap-1 h-40">
+        {first.points.map((point, index) => (
+          <div
+            key={point.date}
+            className="flex-1 flex items-end justify-center gap-px h-full"
+            title={`${formatBucket(point.date, granularity)}: ${
+              point.count
+            } ${first.label.toLowerCase()}, ${
+              second.points[index]?.count ?? 0
+            } ${second.label.toLowerCase()}`}
+          >
+            <div
+              className={`w-1/2 rounded-t ${first.color}`}
+              style={{ height: `${(point.count / max) * 100}%` }}
+            ></div>
+            <div
+              className={`w-1/2 rounded-t ${second.color}`}
+              style={{
+                height: `${((second.points[index]?.count ?? 0) / max) * 100}%`,
+              }}
+            ></div>
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-1 mt-2">
+        {first.points.map((point, index) => (
+          <div
+            key={point.date}
+            className="flex-1 text-center text-[10px] text-gray-500 truncate"
+          >
+            {index % labelEvery === 0
+              ? formatBucket(point.date, granularity)
+              : ""}
+          </div>
+        ))}
+      </div>
+      <div className="flex items-center justify-center gap-6 pt-4 mt-4 border-t border-gray-200">
+        {[first, second].map(({ label, color }) => (
+          <div key={label} className="flex items-center gap-2">
+            <div className={`w-3 h-3 rounded-full ${color}`}></div>
+            <span className="text-xs text-gray-600">{label}</span>
+          </div>
+        ))}
+      </div>
+    </div>
   );
+};
+
+// Views, saves and apply clicks per category, state or source
+const BreakdownList: React.FC<{ title: string; rows: BreakdownRow[] }> = ({
+  title,
+  rows,
+}) => {
+  const max = Math.max(1, ...rows.map(({ view }) => view));
+  return (
+    <div className="bg-white/70 backdrop-blur-lg rounded-2xl p-8 border border-white/20 shadow-lg">
+      <h3 className="text-xl font-bold text-gray-900 mb-6">{title}</h3>
+      {rows.length === 0 ? (
+        <p className="text-sm text-gray-500">No activity in this period.</p>
+      ) : (
+        <div className="space-y-4">
+          {rows.map((row) => (
+            <div key={row.key}>
+              <div className="flex justify-between items-center mb-1 text-sm">
+                <span className="font-medium text-gray-700 truncate">
+                  {row.key}
+                </span>
+                <span className="text-gray-500 flex-shrink-0 ml-2">
+                  {row.view} views · {row.save} saves · {row.apply_click} clicks
+                </span>
+              </div>
+              <div className="w-full bg-gray-200 rounded-full h-2">
+                <div
+                  className="bg-gradient-to-r from-blue-500 to-purple-600 h-2 rounded-full"
+                  style={{ width: `${(row.view / max) * 100}%` }}
+                ></div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const RankingTable: React.FC<{
+  title: string;
+  rows: ScholarshipStats[];
+  empty: string;
+}> = ({ title, rows, empty }) => (
+  <div className="bg-white/70 backdrop-blur-lg rounded-2xl p-8 border border-white/20 shadow-lg">
+    <h3 className="text-xl font-bold text-gray-900 mb-6">{title}</h3>
+    {rows.length === 0 ? (
+      <p className="text-sm text-gray-500">{empty}</p>
+    ) : (
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-500">
+            <th className="pb-3 font-medium">Scholarship</th>
+            <th className="pb-3 font-medium text-right">Views</th>
+            <th className="pb-3 font-medium text-right">Clicks</th>
+            <th className="pb-3 font-medium text-right">CTR</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100">
+          {rows.map((row) => (
+            <tr key={row.scholarshipId}>
+              <td className="py-2 pr-4">
+                <Link
+                  to={`/scholarship/${row.scholarshipId}`}
+                  className="font-medium text-gray-900 hover:text-purple-600 hover:underline"
+                >
+                  {row.scholarship.title}
+                </Link>
+                <div className="text-xs text-gray-500">
+                  {row.scholarship.provider}
+                </div>
+              </td>
+              <td className="py-2 text-right">{row.views}</td>
+              <td className="py-2 text-right">{row.clicks}</td>
+              <td className="py-2 text-right font-semibold">
+                {row.clickThroughRate}%
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    )}
+  </div>
+);
+
+const AnalyticsPage: React.FC = () => {
+  const { isAuthenticated, hasRole } = useAuth();
+  const { items: savedItems } = useSavedScholarships();
+  const isAdmin = hasRole("admin");
+  const [overview, setOverview] = useState<AnalyticsOverview | null>(null);
+  const [mine, setMine] = useState<UserAnalytics | null>(null);
+  const [rankings, setRankings] = useState<ScholarshipRankings | null>(null);
+  const [error, setError] = useState<string | null>(null);
   const [loading, setLoading] = useState(true);
-  const [timeRange, setTimeRange] = useState("30d");
+  const [timeRange, setTimeRange] = useState<AnalyticsRange>("30d");
   const [lastUpdated, setLastUpdated] = useState<Date>(new Date());
 
-  useEffect(() => {
-    loadAnalyticsData();
-  }, [timeRange]);
-
-  const loadAnalyticsData = () => {
+  const loadAnalyticsData = useCallback(async () => {
     setLoading(true);
+    setError(null);
+
+    // Personal and admin sections are optional; the overview is not
+    const [overviewResult, mineResult, rankingsResult] =
+      await Promise.allSettled([
+        analyticsService.getOverview(timeRange),
+        isAuthenticated
+          ? analyticsService.getMyAnalytics(timeRange)
+          : Promise.resolve(null),
+        isAdmin
+          ? analyticsService.getScholarshipRankings(timeRange)
+          : Promise.resolve(null),
+      ]);
+
+    if (overviewResult.status === "fulfilled") {
+      setOverview(overviewResult.value);
+    } else {
+      setError(overviewResult.reason.message);
+    }
+    setMine(mineResult.status === "fulfilled" ? mineResult.value : null);
+    setRankings(
+      rankingsResult.status === "fulfilled" ? rankingsResult.value : null
+    );
+    setLastUpdated(new Date());
+    setLoading(false);
+  }, [timeRange, isAuthenticated, isAdmin]);
 
-    // Simulate API call - in real app, this would fetch from backend
-    setTimeout(() => {
-      // Mock data based on localStorage and realistic metrics
-      const savedScholarships = JSON.parse(
-        localStorage.getItem("savedScholarships") || "[]"
-      );
-
-      const mockData: AnalyticsData = {
-        totalScholarships: 1247,
-        savedScholarships: savedScholarships.length,
-        appliedScholarships: Math.floor(savedScholarships.length * 0.3),
-        successfulApplications: Math.floor(savedScholarships.length * 0.1),
-        totalPotentialAmount: "₹12,45,000",
-        avgApplicationTime: "4.2 days",
-        topCategories: [
-          { name: "Merit-based", count: 156, percentage: 35 },
-          { name: "Need-based", count: 124, percentage: 28 },
-          { name: "Minority", count: 89, percentage: 20 },
-          { name: "Sports", count: 45, percentage: 10 },
-          { name: "Arts", count: 31, percentage: 7 },
-        ],
-        monthlyActivity: [
-          { month: "Jan", saved: 12, applied: 4 },
-          { month: "Feb", saved: 18, applied: 6 },
-          { month: "Mar", saved: 25, applied: 8 },
-          { month: "Apr", saved: 32, applied: 12 },
-          { month: "May", saved: 28, applied: 10 },
-          { month: "Jun", saved: 35, applied: 15 },
-        ],
-        deadlineTracker: savedScholarships
-          .slice(0, 5)
-          .map((scholarship: any, index: number) => ({
-            title: scholarship.title || `Scholarship ${index + 1}`,
-            deadline: scholarship.deadline || "2025-12-31",
-            daysLeft: Math.floor(Math.random() * 60) + 1,
-            status: Math.random() > 0.5 ? "pending" : "applied",
-          })),
-        performanceMetrics: {
-          viewToSaveRate: 12.5,
-          saveToApplyRate: 30.2,
-          successRate: 8.7,
-        },
-      };
-
-      setAnalyticsData(mockData);
-      setLastUpdated(new Date());
-      setLoading(false);
-    }, 1000);
-  };
+  useEffect(() => {
+    loadAnalyticsData();
+  }, [loadAnalyticsData]);
 
   const StatCard: React.FC<{
     title: string;
@@ -168,7 +310,91 @@ const AnalyticsPage: React.FC = () => {
     );
   }
 
-  if (!analyticsData) return null;
+  if (error || !overview) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-gray-50 via-blue-50 to-purple-50 flex items-center justify-center">
+        <div className="text-center">
+          <AlertCircle className="h-12 w-12 text-red-500 mx-auto mb-4" />
+          <h3 className="text-xl font-semibold text-gray-700 mb-2">
+            Analytics Unavailable
+          </h3>
+          <p className="text-gray-500 mb-6">{error}</p>
+          <button
+            onClick={loadAnalyticsData}
+            className="inline-flex items-center gap-2 px-6 py-3 bg-purple-600 text-white rounded-xl hover:bg-purple-700 transition-all duration-200"
+          >
+            <RefreshCw className="h-4 w-4" />
+            Try Again
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const savedCount = mine ? mine.saved : savedItems.length;
+  const pendingApplications = mine
+    ? Math.max(mine.saved - mine.applications.submitted, 0)
+    : savedItems.length;
+
+  // Signed-out visitors see deadlines of the scholarships saved here
+  const upcomingDeadlines =
+    mine?.upcomingDeadlines ??
+    savedItems
+      .map(({ scholarship }) => scholarship)
+      .filter(
+        ({ deadline, deadlineType }) =>
+          hasFixedDeadline(deadline, deadlineType) &&
+          new Date(deadline as string).getTime() >= Date.now()
+      )
+      .sort(
+        (a, b) =>
+          new Date(a.deadline as string).getTime() -
+          new Date(b.deadline as string).getTime()
+      )
+      .slice(0, 5)
+      .map(({ _id, title, deadline }) => ({
+        scholarshipId: _id,
+        title,
+        deadline: deadline as string,
+        daysLeft: Math.ceil(
+          (new Date(deadline as string).getTime() - Date.now()) / DAY_MS
+        ),
+        applied: false,
+      }));
+
+  const siteTotals: Array<{
+    label: string;
+    type: keyof AnalyticsOverview["totals"];
+    icon: React.ElementType;
+    color: string;
+  }> = [
+    { label: "Searches", type: "search", icon: Search, color: "bg-blue-500" },
+    {
+      label: "Filter Changes",
+      type: "filter",
+      icon: Filter,
+      color: "bg-indigo-500",
+    },
+    {
+      label: "Scholarship Views",
+      type: "view",
+      icon: Eye,
+      color: "bg-purple-500",
+    },
+    { label: "Saves", type: "save", icon: Heart, color: "bg-pink-500" },
+    {
+      label: "Apply Clicks",
+      type: "apply_click",
+      icon: MousePointerClick,
+      color: "bg-green-500",
+    },
+    {
+      label: "Chatbot Messages",
+      type: "chatbot",
+      icon: MessageCircle,
+      color: "bg-yellow-500",
+    },
+  ];
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-50 via-blue-50 to-purple-50">
@@ -198,7 +424,9 @@ const AnalyticsPage: React.FC = () => {
               <div className="flex items-center gap-4">
                 <select
                   value={timeRange}
-                  onChange={(e) => setTimeRange(e.target.value)}
+                  onChange={(e) =>
+                    setTimeRange(e.target.value as AnalyticsRange)
+                  }
                   className="px-4 py-2 bg-white/20 backdrop-blur-sm border border-white/30 text-white rounded-xl focus:outline-none focus:ring-2 focus:ring-white/50"
                 >
                   <option value="7d" className="text-gray-900">
@@ -240,165 +468,156 @@ const AnalyticsPage: React.FC = () => {
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
           <StatCard
             title="Total Scholarships"
-            value={analyticsData.totalScholarships.toLocaleString()}
-            change={15.2}
+            value={overview.scholarships.active.toLocaleString("en-IN")}
             icon={Globe}
             color="bg-gradient-to-br from-blue-500 to-blue-600"
-            description="Available in database"
+            description={`${overview.scholarships.added} added in this period`}
           />
           <StatCard
             title="Saved Scholarships"
-            value={analyticsData.savedScholarships}
-            change={8.5}
+            value={savedCount}
             icon={Heart}
             color="bg-gradient-to-br from-pink-500 to-pink-600"
             description="Your bookmarked opportunities"
           />
           <StatCard
             title="Applications Submitted"
-            value={analyticsData.appliedScholarships}
-            change={12.3}
+            value={mine ? mine.applications.submitted : "—"}
             icon={CheckCircle}
             color="bg-gradient-to-br from-green-500 to-green-600"
-            description="Total applications sent"
+            description={
+              mine
+                ? `${mine.applications.tracked} tracked in total`
+                : "Log in to track applications"
+            }
           />
           <StatCard
             title="Success Rate"
-            value={`${analyticsData.performanceMetrics.successRate}%`}
-            change={2.1}
+            value={mine ? `${mine.rates.success}%` : "—"}
             icon={Award}
             color="bg-gradient-to-br from-yellow-500 to-yellow-600"
-            description="Applications accepted"
+            description={
+              mine
+                ? `${mine.applications.accepted} of ${mine.applications.decided} decided applications accepted`
+                : "Applications accepted"
+            }
           />
         </div>
 
-        {/* Financial Impact */}
-        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-8">
-          <div className="lg:col-span-2 bg-white/70 backdrop-blur-lg rounded-2xl p-8 border border-white/20 shadow-lg">
-            <div className="flex items-center justify-between mb-6">
-              <h3 className="text-2xl font-bold text-gray-900">
-                Financial Impact
-              </h3>
-              <DollarSign className="h-8 w-8 text-green-600" />
-            </div>
-
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
-              <div className="text-center p-6 bg-gradient-to-br from-green-50 to-green-100 rounded-xl border border-green-200">
-                <div className="text-3xl font-bold text-green-800 mb-2">
-                  {analyticsData.totalPotentialAmount}
-                </div>
-                <div className="text-sm font-medium text-green-600">
-                  Total Potential
-                </div>
-                <div className="text-xs text-green-500 mt-1">
-                  From saved scholarships
-                </div>
+        {mine ? (
+          /* Financial Impact */
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-8">
+            <div className="lg:col-span-2 bg-white/70 backdrop-blur-lg rounded-2xl p-8 border border-white/20 shadow-lg">
+              <div className="flex items-center justify-between mb-6">
+                <h3 className="text-2xl font-bold text-gray-900">
+                  Financial Impact
+                </h3>
+                <DollarSign className="h-8 w-8 text-green-600" />
               </div>
 
-              <div className="text-center p-6 bg-gradient-to-br from-blue-50 to-blue-100 rounded-xl border border-blue-200">
-                <div className="text-3xl font-bold text-blue-800 mb-2">
-                  ₹
-                  {Math.floor(
-                    parseInt(
-                      analyticsData.totalPotentialAmount.replace(/[₹,]/g, "")
-                    ) * 0.3
-                  ).toLocaleString()}
-                </div>
-                <div className="text-sm font-medium text-blue-600">
-                  Applied For
-                </div>
-                <div className="text-xs text-blue-500 mt-1">
-                  Submitted applications
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                <div className="text-center p-6 bg-gradient-to-br from-green-50 to-green-100 rounded-xl border border-green-200">
+                  <div className="text-3xl font-bold text-green-800 mb-2">
+                    {formatRupees(mine.amounts.saved)}
+                  </div>
+                  <div className="text-sm font-medium text-green-600">
+                    Total Potential
+                  </div>
+                  <div className="text-xs text-green-500 mt-1">
+                    From saved scholarships
+                  </div>
                 </div>
-              </div>
 
-              <div className="text-center p-6 bg-gradient-to-br from-purple-50 to-purple-100 rounded-xl border border-purple-200">
-                <div className="text-3xl font-bold text-purple-800 mb-2">
-                  ₹
-                  {Math.floor(
-                    parseInt(
-                      analyticsData.totalPotentialAmount.replace(/[₹,]/g, "")
-                    ) * 0.087
-                  ).toLocaleString()}
-                </div>
-                <div className="text-sm font-medium text-purple-600">
-                  Expected Return
-                </div>
-                <div className="text-xs text-purple-500 mt-1">
-                  Based on success rate
+                <div className="text-center p-6 bg-gradient-to-br from-blue-50 to-blue-100 rounded-xl border border-blue-200">
+                  <div className="text-3xl font-bold text-blue-800 mb-2">
+                    {formatRupees(mine.amounts.applied)}
+                  </div>
+                  <div className="text-sm font-medium text-blue-600">
+                    Applied For
+                  </div>
+                  <div className="text-xs text-blue-500 mt-1">
+                    Submitted applications
+                  </div>
                 </div>
-              </div>
-            </div>
-          </div>
 
-          <div className="bg-white/70 backdrop-blur-lg rounded-2xl p-8 border border-white/20 shadow-lg">
-            <div className="flex items-center justify-between mb-6">
-              <h3 className="text-xl font-bold text-gray-900">
-                Performance Metrics
-              </h3>
-              <Target className="h-6 w-6 text-purple-600" />
-            </div>
-
-            <div className="space-y-6">
-              <div>
-                <div className="flex justify-between items-center mb-2">
-                  <span className="text-sm font-medium text-gray-600">
-                    View to Save Rate
-                  </span>
-                  <span className="text-sm font-bold text-gray-900">
-                    {analyticsData.performanceMetrics.viewToSaveRate}%
-                  </span>
-                </div>
-                <div className="w-full bg-gray-200 rounded-full h-2">
-                  <div
-                    className="bg-gradient-to-r from-blue-500 to-blue-600 h-2 rounded-full"
-                    style={{
-                      width: `${analyticsData.performanceMetrics.viewToSaveRate}%`,
-                    }}
-                  ></div>
+                <div className="text-center p-6 bg-gradient-to-br from-purple-50 to-purple-100 rounded-xl border border-purple-200">
+                  <div className="text-3xl font-bold text-purple-800 mb-2">
+                    {formatRupees(mine.amounts.won)}
+                  </div>
+                  <div className="text-sm font-medium text-purple-600">
+                    Awarded
+                  </div>
+                  <div className="text-xs text-purple-500 mt-1">
+                    Accepted applications
+                  </div>
                 </div>
               </div>
+            </div>
 
-              <div>
-                <div className="flex justify-between items-center mb-2">
-                  <span className="text-sm font-medium text-gray-600">
-                    Save to Apply Rate
-                  </span>
-                  <span className="text-sm font-bold text-gray-900">
-                    {analyticsData.performanceMetrics.saveToApplyRate}%
-                  </span>
-                </div>
-                <div className="w-full bg-gray-200 rounded-full h-2">
-                  <div
-                    className="bg-gradient-to-r from-green-500 to-green-600 h-2 rounded-full"
-                    style={{
-                      width: `${analyticsData.performanceMetrics.saveToApplyRate}%`,
-                    }}
-                  ></div>
-                </div>
+            <div className="bg-white/70 backdrop-blur-lg rounded-2xl p-8 border border-white/20 shadow-lg">
+              <div className="flex items-center justify-between mb-6">
+                <h3 className="text-xl font-bold text-gray-900">
+                  Performance Metrics
+                </h3>
+                <Target className="h-6 w-6 text-purple-600" />
               </div>
 
-              <div>
-                <div className="flex justify-between items-center mb-2">
-                  <span className="text-sm font-medium text-gray-600">
-                    Success Rate
-                  </span>
-                  <span className="text-sm font-bold text-gray-900">
-                    {analyticsData.performanceMetrics.successRate}%
-                  </span>
-                </div>
-                <div className="w-full bg-gray-200 rounded-full h-2">
-                  <div
-                    className="bg-gradient-to-r from-yellow-500 to-yellow-600 h-2 rounded-full"
-                    style={{
-                      width: `${analyticsData.performanceMetrics.successRate}%`,
-                    }}
-                  ></div>
-                </div>
+              <div className="space-y-6">
+                {[
+                  {
+                    label: "View to Save Rate",
+                    value: mine.rates.viewToSave,
+                    color: "from-blue-500 to-blue-600",
+                  },
+                  {
+                    label: "Save to Apply Rate",
+                    value: mine.rates.saveToApply,
+                    color: "from-green-500 to-green-600",
+                  },
+                  {
+                    label: "Success Rate",
+                    value: mine.rates.success,
+                    color: "from-yellow-500 to-yellow-600",
+                  },
+                ].map(({ label, value, color }) => (
+                  <div key={label}>
+                    <div className="flex justify-between items-center mb-2">
+                      <span className="text-sm font-medium text-gray-600">
+                        {label}
+                      </span>
+                      <span className="text-sm font-bold text-gray-900">
+                        {value}%
+                      </span>
+                    </div>
+                    <div className="w-full bg-gray-200 rounded-full h-2">
+                      <div
+                        className={`bg-gradient-to-r ${color} h-2 rounded-full`}
+                        style={{ width: `${Math.min(value, 100)}%` }}
+                      ></div>
+                    </div>
+                  </div>
+                ))}
               </div>
             </div>
           </div>
-        </div>
+        ) : (
+          <div className="bg-white/70 backdrop-blur-lg rounded-2xl p-8 border border-white/20 shadow-lg mb-8 text-center">
+            <Target className="h-10 w-10 text-purple-600 mx-auto mb-4" />
+            <h3 className="text-xl font-bold text-gray-900 mb-2">
+              See Your Own Progress
+            </h3>
+            <p className="text-gray-600 mb-6">
+              Log in to follow your applications, amounts applied for and
+              conversion rates.
+            </p>
+            <Link
+              to="/login"
+              className="inline-flex items-center px-6 py-3 bg-gradient-to-r from-purple-600 to-pink-600 text-white rounded-xl font-medium"
+            >
+              Log In
+            </Link>
+          </div>
+        )}
 
         {/* Charts Row */}
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
@@ -406,99 +625,178 @@ const AnalyticsPage: React.FC = () => {
           <div className="bg-white/70 backdrop-blur-lg rounded-2xl p-8 border border-white/20 shadow-lg">
             <div className="flex items-center justify-between mb-6">
               <h3 className="text-xl font-bold text-gray-900">
-                Category Distribution
+                {mine ? "Your Saved Categories" : "Popular Categories"}
               </h3>
               <PieChart className="h-6 w-6 text-purple-600" />
             </div>
 
-            <div className="space-y-4">
-              {analyticsData.topCategories.map((category, index) => (
-                <div
-                  key={category.name}
-                  className="flex items-center justify-between"
-                >
-                  <div className="flex items-center gap-3">
+            {(() => {
+              const totalViews = overview.byCategory.reduce(
+                (sum, { view }) => sum + view,
+                0
+              );
+              const categories = mine
+                ? mine.topCategories
+                : overview.byCategory.slice(0, 5).map(({ key, view }) => ({
+                    name: key,
+                    count: view,
+                    percentage:
+                      totalViews > 0
+                        ? Math.round((view / totalViews) * 1000) / 10
+                        : 0,
+                  }));
+
+              return categories.length === 0 ? (
+                <p className="text-sm text-gray-500">
+                  {mine
+                    ? "Save scholarships to see which categories you focus on."
+                    : "No scholarship views in this period."}
+                </p>
+              ) : (
+                <div className="space-y-4">
+                  {categories.map((category, index) => (
                     <div
-                      className="w-4 h-4 rounded-full"
-                      style={{
-                        backgroundColor: [
-                          "#3B82F6",
-                          "#10B981",
-                          "#F59E0B",
-                          "#EF4444",
-                          "#8B5CF6",
-                        ][index],
-                      }}
-                    ></div>
-                    <span className="text-sm font-medium text-gray-700">
-                      {category.name}
-                    </span>
-                  </div>
-                  <div className="flex items-center gap-2">
-                    <span className="text-sm text-gray-500">
-                      {category.count}
-                    </span>
-                    <span className="text-sm font-bold text-gray-900">
-                      {category.percentage}%
-                    </span>
-                  </div>
+                      key={category.name}
+                      className="flex items-center justify-between"
+                    >
+                      <div className="flex items-center gap-3">
+                        <div
+                          className="w-4 h-4 rounded-full"
+                          style={{
+                            backgroundColor: [
+                              "#3B82F6",
+                              "#10B981",
+                              "#F59E0B",
+                              "#EF4444",
+                              "#8B5CF6",
+                            ][index],
+                          }}
+                        ></div>
+                        <span className="text-sm font-medium text-gray-700">
+                          {category.name}
+                        </span>
+                      </div>
+                      <div className="flex items-center gap-2">
+                        <span className="text-sm text-gray-500">
+                          {category.count}
+                        </span>
+                        <span className="text-sm font-bold text-gray-900">
+                          {category.percentage}%
+                        </span>
+                      </div>
+                    </div>
+                  ))}
                 </div>
-              ))}
-            </div>
+              );
+            })()}
           </div>
 
-          {/* Monthly Activity */}
+          {/* Activity */}
           <div className="bg-white/70 backdrop-blur-lg rounded-2xl p-8 border border-white/20 shadow-lg">
             <div className="flex items-center justify-between mb-6">
               <h3 className="text-xl font-bold text-gray-900">
-                Monthly Activity
+                {mine ? "Your Activity" : "Site Activity"}
               </h3>
               <Activity className="h-6 w-6 text-blue-600" />
             </div>
 
-            <div className="space-y-4">
-              {analyticsData.monthlyActivity.map((month) => (
-                <div
-                  key={month.month}
-                  className="flex items-center justify-between"
-                >
-                  <span className="text-sm font-medium text-gray-700 w-12">
-                    {month.month}
-                  </span>
-                  <div className="flex-1 mx-4 flex gap-1">
-                    <div className="flex-1 bg-gray-200 rounded-full h-2 relative">
-                      <div
-                        className="bg-blue-500 h-2 rounded-full"
-                        style={{ width: `${(month.saved / 40) * 100}%` }}
-                      ></div>
-                    </div>
-                    <div className="flex-1 bg-gray-200 rounded-full h-2 relative">
-                      <div
-                        className="bg-green-500 h-2 rounded-full"
-                        style={{ width: `${(month.applied / 20) * 100}%` }}
-                      ></div>
-                    </div>
-                  </div>
-                  <div className="flex gap-4 text-xs">
-                    <span className="text-blue-600">S: {month.saved}</span>
-                    <span className="text-green-600">A: {month.applied}</span>
-                  </div>
-                </div>
-              ))}
+            {mine ? (
+              <SeriesChart
+                first={{
+                  label: "Saved",
+                  color: "bg-blue-500",
+                  points: mine.series.saved,
+                }}
+                second={{
+                  label: "Applied",
+                  color: "bg-green-500",
+                  points: mine.series.applied,
+                }}
+                granularity={mine.granularity}
+              />
+            ) : (
+              <SeriesChart
+                first={{
+                  label: "Views",
+                  color: "bg-blue-500",
+                  points: overview.series.view,
+                }}
+                second={{
+                  label: "Apply clicks",
+                  color: "bg-green-500",
+                  points: overview.series.apply_click,
+                }}
+                granularity={overview.granularity}
+              />
+            )}
+          </div>
+        </div>
 
-              <div className="flex items-center justify-center gap-6 pt-4 border-t border-gray-200">
-                <div className="flex items-center gap-2">
-                  <div className="w-3 h-3 bg-blue-500 rounded-full"></div>
-                  <span className="text-xs text-gray-600">Saved</span>
-                </div>
-                <div className="flex items-center gap-2">
-                  <div className="w-3 h-3 bg-green-500 rounded-full"></div>
-                  <span className="text-xs text-gray-600">Applied</span>
+        {/* Site-wide usage */}
+        <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4 mb-8">
+          {siteTotals.map(({ label, type, icon, color }) => (
+            <StatCard
+              key={type}
+              title={label}
+              value={overview.totals[type].toLocaleString("en-IN")}
+              change={percentChange(
+                overview.totals[type],
+                overview.previousTotals[type]
+              )}
+              icon={icon}
+              color={color}
+            />
+          ))}
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
+          <BreakdownList title="Activity by State" rows={overview.byState} />
+          <BreakdownList title="Activity by Source" rows={overview.bySource} />
+        </div>
+
+        {/* Scholarship performance, for admins */}
+        {rankings && (
+          <div className="mb-8">
+            <h2 className="text-2xl font-bold text-gray-900 mb-6">
+              Scholarship Performance
+            </h2>
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+              <RankingTable
+                title="Most Viewed"
+                rows={rankings.mostViewed}
+                empty="No scholarship views in this period."
+              />
+              <RankingTable
+                title="Highest Click-Through"
+                rows={rankings.highestClickThrough}
+                empty={`No scholarship has ${rankings.minViewsForClickThrough} views in this period yet.`}
+              />
+            </div>
+            <div className="bg-white/70 backdrop-blur-lg rounded-2xl p-8 border border-white/20 shadow-lg">
+              <h3 className="text-xl font-bold text-gray-900 mb-6">
+                Top Searches
+              </h3>
+              {rankings.topSearches.length === 0 ? (
+                <p className="text-sm text-gray-500">
+                  No searches in this period.
+                </p>
+              ) : (
+                <div className="flex flex-wrap gap-2">
+                  {rankings.topSearches.map(({ query, count }) => (
+                    <span
+                      key={query}
+                      className="inline-flex items-center gap-2 px-3 py-1 bg-blue-50 text-blue-800 rounded-full text-sm"
+                    >
+                      <Search className="h-3 w-3" />
+                      {query}
+                      <span className="font-bold">{count}</span>
+                    </span>
+                  ))}
                 </div>
-              </div>
+              )}
             </div>
           </div>
-        </div>
+        )}
 
         {/* Deadline Tracker */}
         <div className="bg-white/70 backdrop-blur-lg rounded-2xl p-8 border border-white/20 shadow-lg mb-8">
@@ -509,11 +807,12 @@ const AnalyticsPage: React.FC = () => {
             <Calendar className="h-8 w-8 text-red-600" />
           </div>
 
-          {analyticsData.deadlineTracker.length > 0 ? (
+          {upcomingDeadlines.length > 0 ? (
             <div className="space-y-4">
-              {analyticsData.deadlineTracker.map((item, index) => (
-                <div
-                  key={index}
+              {upcomingDeadlines.map((item) => (
+                <Link
+                  key={item.scholarshipId}
+                  to={`/scholarship/${item.scholarshipId}`}
                   className="flex items-center justify-between p-4 bg-gray-50 rounded-xl hover:bg-gray-100 transition-colors duration-200"
                 >
                   <div className="flex items-center gap-4">
@@ -541,12 +840,12 @@ const AnalyticsPage: React.FC = () => {
                   <div className="flex items-center gap-4">
                     <div
                       className={`px-3 py-1 rounded-full text-xs font-medium ${
-                        item.status === "applied"
+                        item.applied
                           ? "bg-green-100 text-green-800"
                           : "bg-yellow-100 text-yellow-800"
                       }`}
                     >
-                      {item.status === "applied" ? "Applied" : "Pending"}
+                      {item.applied ? "Applied" : "Pending"}
                     </div>
                     <div
                       className={`text-sm font-bold ${
@@ -560,7 +859,7 @@ const AnalyticsPage: React.FC = () => {
                       {item.daysLeft} days left
                     </div>
                   </div>
-                </div>
+                </Link>
               ))}
             </div>
           ) : (
@@ -590,23 +889,27 @@ const AnalyticsPage: React.FC = () => {
               <p className="text-sm text-purple-100 mb-4">
                 Complete your profile to match with more relevant scholarships.
               </p>
-              <button className="text-sm bg-white/20 hover:bg-white/30 px-4 py-2 rounded-lg transition-colors duration-200">
+              <Link
+                to="/dashboard"
+                className="inline-block text-sm bg-white/20 hover:bg-white/30 px-4 py-2 rounded-lg transition-colors duration-200"
+              >
                 Update Profile
-              </button>
+              </Link>
             </div>
 
             <div className="bg-white/10 backdrop-blur-sm rounded-xl p-6 border border-white/20">
               <Target className="h-6 w-6 text-blue-300 mb-3" />
               <h4 className="font-bold mb-2">Apply to More Scholarships</h4>
               <p className="text-sm text-purple-100 mb-4">
-                You have{" "}
-                {analyticsData.savedScholarships -
-                  analyticsData.appliedScholarships}{" "}
-                saved scholarships pending application.
+                You have {pendingApplications} saved scholarships pending
+                application.
               </p>
-              <button className="text-sm bg-white/20 hover:bg-white/30 px-4 py-2 rounded-lg transition-colors duration-200">
+              <Link
+                to="/saved"
+                className="inline-block text-sm bg-white/20 hover:bg-white/30 px-4 py-2 rounded-lg transition-colors duration-200"
+              >
                 Start Applying
-              </button>
+              </Link>
             </div>
 
             <div className="bg-white/10 backdrop-blur-sm rounded-xl p-6 border border-white/20">
@@ -615,9 +918,12 @@ const AnalyticsPage: React.FC = () => {
               <p className="text-sm text-purple-100 mb-4">
                 Discover scholarships in categories you haven't explored yet.
               </p>
-              <button className="text-sm bg-white/20 hover:bg-white/30 px-4 py-2 rounded-lg transition-colors duration-200">
+              <Link
+                to="/scholarships"
+                className="inline-block text-sm bg-white/20 hover:bg-white/30 px-4 py-2 rounded-lg transition-colors duration-200"
+              >
                 Browse All
-              </button>
+              </Link>
             </div>
           </div>
         </div>
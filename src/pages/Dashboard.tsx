@@ -1,9 +1,32 @@
-import React from "react";
+import React, { useState } from "react";
 import { useAuth } from "../contexts/AuthContext";
-import { BookOpen, Heart, FileText, User, Award, Clock } from "lucide-react";
+import { useSavedScholarships } from "../hooks/useSavedScholarships";
+import ActiveSessions from "../components/ActiveSessions";
+import ApplicationTracker from "../components/ApplicationTracker";
+import {
+  BookOpen,
+  Heart,
+  FileText,
+  User,
+  Award,
+  Clock,
+  MailWarning,
+} from "lucide-react";
 
 const Dashboard: React.FC = () => {
-  const { user } = useAuth();
+  const { user, resendVerificationEmail } = useAuth();
+  const { items: savedItems } = useSavedScholarships();
+  const [verificationMessage, setVerificationMessage] = useState("");
+
+  const handleResendVerification = async () => {
+    try {
+      setVerificationMessage(await resendVerificationEmail());
+    } catch (error) {
+      setVerificationMessage(
+        error instanceof Error ? error.message : "Failed to send email"
+      );
+    }
+  };
 
   return (
     <div className="min-h-screen bg-gray-50 py-8">
@@ -26,6 +49,31 @@ const Dashboard: React.FC = () => {
           </div>
         </div>
 
+        {/* Email Verification Banner */}
+        {user && !user.isEmailVerified && (
+          <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 mb-8 flex items-center justify-between">
+            <div className="flex items-center">
+              <MailWarning className="h-5 w-5 text-yellow-600 mr-3" />
+              <div>
+                <p className="text-sm font-medium text-yellow-800">
+                  Please verify your email address ({user.email})
+                </p>
+                {verificationMessage && (
+                  <p className="text-sm text-yellow-700">
+                    {verificationMessage}
+                  </p>
+                )}
+              </div>
+            </div>
+            <button
+              onClick={handleResendVerification}
+              className="text-sm font-medium text-yellow-800 hover:text-yellow-900 underline"
+            >
+              Resend link
+            </button>
+          </div>
+        )}
+
         {/* Stats Grid */}
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
           <div className="bg-white rounded-lg shadow-sm p-6">
@@ -64,7 +112,7 @@ const Dashboard: React.FC = () => {
               <div className="ml-4">
                 <p className="text-sm font-medium text-gray-600">Saved</p>
                 <p className="text-2xl font-bold text-gray-900">
-                  {user?.savedScholarships?.length || 0}
+                  {savedItems.length}
                 </p>
               </div>
             </div>
@@ -87,6 +135,11 @@ const Dashboard: React.FC = () => {
           </div>
         </div>
 
+        {/* Application Tracker */}
+        <div id="applications" className="mb-8">
+          <ApplicationTracker />
+        </div>
+
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
           {/* Quick Actions */}
           <div className="bg-white rounded-lg shadow-sm p-6">
@@ -113,7 +166,7 @@ const Dashboard: React.FC = () => {
                 </span>
               </a>
               <a
-                href="/applications"
+                href="#applications"
                 className="flex items-center p-3 bg-purple-50 hover:bg-purple-100 rounded-lg transition-colors"
               >
                 <FileText className="h-5 w-5 text-purple-600 mr-3" />
@@ -145,7 +198,7 @@ const Dashboard: React.FC = () => {
               </div>
 
               {user?.appliedScholarships?.length === 0 &&
-                user?.savedScholarships?.length === 0 && (
+                savedItems.length === 0 && (
                   <div className="text-center py-8">
                     <BookOpen className="h-12 w-12 text-gray-300 mx-auto mb-4" />
                     <p className="text-gray-500">No recent activity</p>
@@ -158,6 +211,11 @@ const Dashboard: React.FC = () => {
           </div>
         </div>
 
+        {/* Signed-in Devices */}
+        <div className="mt-8">
+          <ActiveSessions />
+        </div>
+
         {/* Profile Completion Banner */}
         {(user?.profileCompletion || 0) < 80 && (
           <div className="mt-8 bg-gradient-to-r from-blue-500 to-blue-600 rounded-lg shadow-sm p-6 text-white">
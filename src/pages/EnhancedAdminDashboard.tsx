@@ -15,6 +15,15 @@ import {
   WifiOff,
 } from "lucide-react";
 import { scholarshipService } from "../services/scholarshipService";
+import { useAuth } from "../contexts/AuthContext";
+import ScraperSourcesPanel from "../components/ScraperSourcesPanel";
+import ScraperHealthPanel from "../components/ScraperHealthPanel";
+import JobQueuePanel from "../components/JobQueuePanel";
+import MergeReviewPanel from "../components/MergeReviewPanel";
+import LiveProgressPanel from "../components/LiveProgressPanel";
+import { useProgressStream } from "../hooks/useProgressStream";
+import type { ProgressEvent } from "../services/progressService";
+import { jobService, type ScrapeJobResult } from "../services/jobService";
 import { formatDateTimeIndian } from "../utils/dateUtils";
 
 interface SystemHealth {
@@ -47,6 +56,7 @@ interface Metrics {
 }
 
 const EnhancedAdminDashboard: React.FC = () => {
+  const { hasRole } = useAuth();
   const [health, setHealth] = useState<SystemHealth | null>(null);
   const [scrapingStatus, setScrapingStatus] = useState<ScrapingStatus | null>(
     null
@@ -61,7 +71,6 @@ const EnhancedAdminDashboard: React.FC = () => {
   const [realTimeUpdates, setRealTimeUpdates] = useState(true);
 
   // AI-Enhanced Scraping State
-  const [aiSessionStatus, setAiSessionStatus] = useState<any>(null);
   const [_aiMetrics, setAiMetrics] = useState<any>(null);
   const [aiSessionLoading, setAiSessionLoading] = useState(false);
   const [quickDiscoveryLoading, setQuickDiscoveryLoading] = useState(false);
@@ -140,7 +149,6 @@ const EnhancedAdminDashboard: React.FC = () => {
         fetchCircuitBreakers(),
         fetchMetrics(),
         fetchHealth(),
-        fetchAISessionStatus(),
         fetchAIMetrics(),
       ]);
       setLastUpdate(
@@ -159,16 +167,34 @@ const EnhancedAdminDashboard: React.FC = () => {
     }
   };
 
-  // AI-Enhanced Scraping Methods
-  const fetchAISessionStatus = async () => {
-    try {
-      const data = await scholarshipService.getAISessionStatus();
-      setAiSessionStatus(data.status);
-    } catch (err) {
-      console.error("AI session status fetch error:", err);
+  // Events replayed from before the page opened are shown in the log only
+  const [openedAt] = useState(() => Date.now());
+  const handleProgressEvent = (event: ProgressEvent) => {
+    if (
+      event.channel !== "ai-session" ||
+      event.type !== "session-finished" ||
+      new Date(event.timestamp).getTime() < openedAt
+    ) {
+      return;
+    }
+
+    fetchAllData();
+    if (event.data.status === "completed") {
+      setMessage(
+        "✅ AI-Enhanced scraping session completed! Check the results below."
+      );
+    } else {
+      setError(
+        `AI-Enhanced session ${event.data.status}${
+          event.data.error ? `: ${event.data.error}` : ""
+        }`
+      );
     }
   };
+  const progress = useProgressStream(handleProgressEvent);
+  const aiSession = progress.sessions["ai-session"];
 
+  // AI-Enhanced Scraping Methods
   const fetchAIMetrics = async () => {
     try {
       const data = await scholarshipService.getAIScrapingMetrics();
@@ -192,28 +218,8 @@ const EnhancedAdminDashboard: React.FC = () => {
       });
 
       setMessage(
-        `🚀 AI-Enhanced session started! Session ID: ${result.sessionId}. This will take 15-30 minutes to complete. Monitor progress below.`
+        `🚀 AI-Enhanced session started! Session ID: ${result.sessionId}. This will take 15-30 minutes to complete. Follow it in Live Progress below.`
       );
-
-      // Start polling for status updates
-      const statusInterval = setInterval(async () => {
-        try {
-          const status = await scholarshipService.getAISessionStatus();
-          setAiSessionStatus(status.status);
-
-          if (!status.status.isRunning) {
-            clearInterval(statusInterval);
-            fetchAllData(); // Refresh all data when session completes
-            setMessage(
-              "✅ AI-Enhanced scraping session completed! Check the results below."
-            );
-          }
-        } catch (err) {
-          console.error("Status polling error:", err);
-        }
-      }, 10000); // Poll every 10 seconds
-
-      setTimeout(() => clearInterval(statusInterval), 30 * 60 * 1000); // Stop polling after 30 minutes
     } catch (err: any) {
       setError(err.message || "Failed to start AI-enhanced scraping session");
       console.error("AI session start error:", err);
@@ -246,28 +252,49 @@ const EnhancedAdminDashboard: React.FC = () => {
   };
 
   const triggerScraping = async () => {
+    if (scrapingLoading) return;
     setScrapingLoading(true);
-    setMessage("🚀 Starting live scraping... This may take 1-2 minutes.");
+    setMessage("🚀 Queueing live scraping...");
     setError(null);
 
     try {
-      const result = await scholarshipService.triggerScraping();
-      setMessage(
-        `✅ Scraping completed! Found ${
-          result.result?.totalScholarships || 0
-        } scholarships from ${result.result?.successfulScrapers || 0}/${
-          result.result?.totalScrapers || 0
-        } sources.`
+      const queued = await scholarshipService.triggerScraping();
+      setMessage(`🚀 ${queued.message}`);
+
+      const job = await jobService.waitForJob<ScrapeJobResult>(
+        queued.jobId,
+        (update) => {
+          if (update.status !== "running") return;
+          setMessage(
+            `⏳ Scraping ${update.progress.percent}%${
+              update.progress.message ? ` - ${update.progress.message}` : ""
+            }`
+          );
+        }
       );
-      setTimeout(fetchAllData, 2000);
-    } catch (err: any) {
-      if (err.message.includes("taking longer than expected")) {
-        setError(
-          "⏰ Scraping is taking longer than expected. Check scraping status for progress."
+
+      if (job.status === "succeeded") {
+        setMessage(
+          `✅ Scraping completed! Found ${
+            job.result?.totalScholarships || 0
+          } scholarships from ${job.result?.successfulScrapers || 0}/${
+            job.result?.totalScrapers || 0
+          } sources.`
         );
       } else {
-        setError(err.message || "Failed to trigger scraping");
+        setMessage(null);
+        setError(
+          job.status === "cancelled"
+            ? "Scraping was cancelled"
+            : job.error || "Scraping failed"
+        );
       }
+      setTimeout(fetchAllData, 2000);
+    } catch (err) {
+      setMessage(null);
+      setError(
+        err instanceof Error ? err.message : "Failed to trigger scraping"
+      );
       console.error("Scraping trigger error:", err);
     } finally {
       setScrapingLoading(false);
@@ -470,9 +497,9 @@ const EnhancedAdminDashboard: React.FC = () => {
               <p className="text-purple-100 text-sm leading-relaxed">
                 Discover new websites & scrape with AI intelligence
               </p>
-              {aiSessionStatus?.isRunning && (
+              {aiSession?.status === "running" && (
                 <div className="text-xs text-purple-200 bg-white/10 px-2 py-1 rounded">
-                  {aiSessionStatus.phase}: {aiSessionStatus.progress}%
+                  {aiSession.phase}: {aiSession.progress}%
                 </div>
               )}
             </div>
@@ -511,36 +538,45 @@ const EnhancedAdminDashboard: React.FC = () => {
             </div>
           </div>
 
-          <div
-            onClick={resetCircuitBreakers}
-            className={`group cursor-pointer p-6 bg-gradient-to-br from-orange-500 to-orange-600 hover:from-orange-600 hover:to-orange-700 text-white rounded-2xl shadow-xl hover:shadow-2xl transition-all duration-300 transform hover:scale-[1.02] ${
-              loading ? "opacity-75 cursor-not-allowed" : ""
-            }`}
-          >
-            <div className="flex items-center justify-between mb-4">
-              <div className="p-3 bg-white/20 backdrop-blur-sm rounded-xl group-hover:bg-white/30 transition-colors duration-200">
-                <Shield
-                  className={`h-6 w-6 ${
-                    loading ? "animate-pulse" : "group-hover:animate-bounce"
-                  }`}
-                />
-              </div>
-              <div className="text-right">
-                <div className="text-xs font-medium text-orange-100">
-                  System
+          {hasRole("admin") && (
+            <div
+              onClick={resetCircuitBreakers}
+              className={`group cursor-pointer p-6 bg-gradient-to-br from-orange-500 to-orange-600 hover:from-orange-600 hover:to-orange-700 text-white rounded-2xl shadow-xl hover:shadow-2xl transition-all duration-300 transform hover:scale-[1.02] ${
+                loading ? "opacity-75 cursor-not-allowed" : ""
+              }`}
+            >
+              <div className="flex items-center justify-between mb-4">
+                <div className="p-3 bg-white/20 backdrop-blur-sm rounded-xl group-hover:bg-white/30 transition-colors duration-200">
+                  <Shield
+                    className={`h-6 w-6 ${
+                      loading ? "animate-pulse" : "group-hover:animate-bounce"
+                    }`}
+                  />
+                </div>
+                <div className="text-right">
+                  <div className="text-xs font-medium text-orange-100">
+                    System
+                  </div>
+                  <div className="text-xs text-orange-200">Recovery</div>
                 </div>
-                <div className="text-xs text-orange-200">Recovery</div>
+              </div>
+              <div className="space-y-2">
+                <h3 className="text-lg font-bold">Reset Breakers</h3>
+                <p className="text-orange-100 text-sm leading-relaxed">
+                  Reset failed scraper protection systems
+                </p>
               </div>
             </div>
-            <div className="space-y-2">
-              <h3 className="text-lg font-bold">Reset Breakers</h3>
-              <p className="text-orange-100 text-sm leading-relaxed">
-                Reset failed scraper protection systems
-              </p>
-            </div>
-          </div>
+          )}
         </div>
 
+        {/* Live Progress */}
+        <LiveProgressPanel
+          connected={progress.connected}
+          events={progress.events}
+          sessions={progress.sessions}
+        />
+
         {/* Enhanced Metrics Cards */}
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
           {/* System Status Card */}
@@ -812,6 +848,18 @@ const EnhancedAdminDashboard: React.FC = () => {
           </div>
         </div>
 
+        {/* Background Jobs */}
+        <JobQueuePanel />
+
+        {/* Source Health */}
+        <ScraperHealthPanel />
+
+        {/* Scraper Sources */}
+        <ScraperSourcesPanel />
+
+        {/* Duplicate Review */}
+        <MergeReviewPanel />
+
         {/* Enhanced Footer */}
         <div className="mt-12 text-center text-sm text-gray-500 bg-white/50 backdrop-blur-sm p-6 rounded-2xl border border-white/50">
           <p className="font-medium">
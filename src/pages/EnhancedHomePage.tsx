@@ -25,7 +25,7 @@ import {
 import type { Scholarship } from "../services/scholarshipService";
 import { scholarshipService } from "../services/scholarshipService";
 import { useAuth } from "../contexts/AuthContext";
-import { formatDeadlineDisplay } from "../utils/dateUtils";
+import { formatDeadlineDisplay, type DeadlineInfo } from "../utils/dateUtils";
 
 const EnhancedHomePage: React.FC = () => {
   const [featuredScholarships, setFeaturedScholarships] = useState<
@@ -91,8 +91,8 @@ const EnhancedHomePage: React.FC = () => {
     return `₹${numAmount}`;
   };
 
-  const formatDeadline = (deadline: string) => {
-    return formatDeadlineDisplay(deadline);
+  const formatDeadline = ({ deadline, deadlineType }: DeadlineInfo) => {
+    return formatDeadlineDisplay(deadline, deadlineType);
   };
 
   return (
@@ -556,7 +556,7 @@ const EnhancedHomePage: React.FC = () => {
                         <span className="text-body-sm">Deadline</span>
                       </div>
                       <span className="font-semibold text-red-600">
-                        {formatDeadline(scholarship.deadline)}
+                        {formatDeadline(scholarship)}
                       </span>
                     </div>
                     <div className="flex items-center justify-between">
@@ -752,7 +752,7 @@ const EnhancedHomePage: React.FC = () => {
                     </div>
                     <div>
                       <div className="text-red-600 font-bold text-body-lg">
-                        {formatDeadline(scholarship.deadline)}
+                        {formatDeadline(scholarship)}
                       </div>
                       <div className="text-red-500 text-body-sm">
                         Application deadline
@@ -1,5 +1,6 @@
-import React, { useState, useEffect } from "react";
+import React, { useState } from "react";
 import { Link } from "react-router-dom";
+import toast from "react-hot-toast";
 import {
   Heart,
   Calendar,
@@ -13,86 +14,242 @@ import {
   Search,
   Grid,
   List,
+  Folder,
+  FolderPlus,
+  Pencil,
+  StickyNote,
+  Tag,
+  CloudOff,
+  Check,
+  X,
 } from "lucide-react";
-import { formatDateLong, getTimeLeftFromDeadline } from "../utils/dateUtils";
-
-interface SavedScholarship {
-  _id: string;
-  title: string;
-  description: string;
-  amount: string;
-  deadline: string;
-  provider: string;
-  category: string;
-  targetGroup: string[];
-  educationLevel: string;
-  state: string;
-  applicationLink: string;
-  savedAt: string;
-}
+import { useAuth } from "../contexts/AuthContext";
+import { useSavedScholarships } from "../hooks/useSavedScholarships";
+import { analyticsService } from "../services/analyticsService";
+import type {
+  SavedCollection,
+  SavedDetails,
+  SavedItem,
+} from "../services/savedScholarshipService";
+import {
+  formatDeadlineDate,
+  getTimeLeftFromDeadline,
+  hasFixedDeadline,
+  type DeadlineInfo,
+} from "../utils/dateUtils";
+
+const parseTags = (text: string) => [
+  ...new Set(
+    text
+      .split(",")
+      .map((tag) => tag.trim().toLowerCase())
+      .filter(Boolean)
+  ),
+];
+
+// Notes, tags and collections of one saved scholarship
+const SavedItemEditor: React.FC<{
+  item: SavedItem;
+  collections: SavedCollection[];
+  onSave: (details: SavedDetails) => Promise<void>;
+  onCancel: () => void;
+}> = ({ item, collections, onSave, onCancel }) => {
+  const [notes, setNotes] = useState(item.notes);
+  const [tags, setTags] = useState(item.tags.join(", "));
+  const [selected, setSelected] = useState<string[]>(item.collections);
+  const [saving, setSaving] = useState(false);
+
+  const toggleCollection = (collectionId: string) =>
+    setSelected((current) =>
+      current.includes(collectionId)
+        ? current.filter((id) => id !== collectionId)
+        : [...current, collectionId]
+    );
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSaving(true);
+    await onSave({ notes, tags: parseTags(tags), collections: selected });
+    setSaving(false);
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="mb-6 p-4 bg-purple-50/70 border border-purple-100 rounded-xl space-y-3"
+    >
+      <textarea
+        value={notes}
+        onChange={(e) => setNotes(e.target.value)}
+        maxLength={2000}
+        rows={3}
+        placeholder="Personal notes, e.g. documents to collect"
+        className="w-full px-3 py-2 bg-white border border-gray-200 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+      />
+      <input
+        type="text"
+        value={tags}
+        onChange={(e) => setTags(e.target.value)}
+        placeholder="Tags, separated by commas"
+        className="w-full px-3 py-2 bg-white border border-gray-200 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+      />
+      {collections.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {collections.map((collection) => (
+            <label
+              key={collection._id}
+              className="inline-flex items-center gap-1 px-3 py-1 bg-white border border-gray-200 rounded-full text-sm text-gray-700 cursor-pointer"
+            >
+              <input
+                type="checkbox"
+                checked={selected.includes(collection._id)}
+                onChange={() => toggleCollection(collection._id)}
+                className="rounded text-purple-600"
+              />
+              {collection.name}
+            </label>
+          ))}
+        </div>
+      )}
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 text-sm text-gray-600 hover:bg-gray-100 rounded-lg"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-4 py-2 text-sm bg-purple-600 hover:bg-purple-700 text-white rounded-lg disabled:opacity-50"
+        >
+          {saving ? "Saving..." : "Save"}
+        </button>
+      </div>
+    </form>
+  );
+};
 
 const SavedPage: React.FC = () => {
-  const [savedScholarships, setSavedScholarships] = useState<
-    SavedScholarship[]
-  >([]);
-  const [loading, setLoading] = useState(true);
+  const { isAuthenticated } = useAuth();
+  const {
+    items,
+    collections,
+    loading,
+    pendingCount,
+    remove,
+    updateDetails,
+    createCollection,
+    renameCollection,
+    deleteCollection,
+  } = useSavedScholarships();
   const [searchTerm, setSearchTerm] = useState("");
   const [filterCategory, setFilterCategory] = useState("");
+  const [filterTag, setFilterTag] = useState("");
+  const [activeCollection, setActiveCollection] = useState("");
   const [viewMode, setViewMode] = useState<"grid" | "list">("list");
+  const [editingId, setEditingId] = useState<string | null>(null);
+  // Name being typed for a new collection, or for renaming the active one
+  const [collectionName, setCollectionName] = useState<string | null>(null);
 
-  useEffect(() => {
-    loadSavedScholarships();
-  }, []);
+  const savedScholarships = items.map(({ scholarship }) => scholarship);
+  const currentCollection = collections.find(
+    ({ _id }) => _id === activeCollection
+  );
 
-  const loadSavedScholarships = () => {
-    setLoading(true);
+  const removeSavedScholarship = async (scholarshipId: string) => {
     try {
-      // Get saved scholarships from localStorage
-      const saved = localStorage.getItem("savedScholarships");
-      if (saved) {
-        const parsedSaved = JSON.parse(saved);
-        setSavedScholarships(parsedSaved);
+      const outcome = await remove(scholarshipId);
+      if (outcome === "queued") {
+        toast.success("Removed. This will sync when you're back online.");
       }
     } catch (error) {
-      console.error("Error loading saved scholarships:", error);
+      console.error("Error removing saved scholarship:", error);
+      toast.error("Failed to remove saved scholarship");
+    }
+  };
+
+  const saveDetails = async (scholarshipId: string, details: SavedDetails) => {
+    try {
+      const outcome = await updateDetails(scholarshipId, details);
+      toast.success(
+        outcome === "queued"
+          ? "Saved. This will sync when you're back online."
+          : "Notes and tags saved"
+      );
+      setEditingId(null);
+    } catch (error) {
+      console.error("Error updating saved scholarship:", error);
+      toast.error("Failed to save notes and tags");
     }
-    setLoading(false);
   };
 
-  const removeSavedScholarship = (scholarshipId: string) => {
+  const submitCollectionName = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const name = collectionName?.trim();
+    if (!name) return;
+
     try {
-      const saved = localStorage.getItem("savedScholarships");
-      if (saved) {
-        const parsedSaved = JSON.parse(saved);
-        const updated = parsedSaved.filter(
-          (s: SavedScholarship) => s._id !== scholarshipId
-        );
-        localStorage.setItem("savedScholarships", JSON.stringify(updated));
-        setSavedScholarships(updated);
+      if (currentCollection) {
+        await renameCollection(currentCollection._id, name);
+      } else {
+        setActiveCollection((await createCollection(name))._id);
       }
+      setCollectionName(null);
     } catch (error) {
-      console.error("Error removing saved scholarship:", error);
+      toast.error(
+        error instanceof Error ? error.message : "Failed to save collection"
+      );
     }
   };
 
-  const formatDate = (dateString: string) => {
-    return formatDateLong(dateString);
+  const removeCollection = async (collection: SavedCollection) => {
+    if (
+      !window.confirm(
+        `Delete "${collection.name}"? Its scholarships stay saved.`
+      )
+    ) {
+      return;
+    }
+    try {
+      await deleteCollection(collection._id);
+      setActiveCollection("");
+    } catch (error) {
+      toast.error(
+        error instanceof Error ? error.message : "Failed to delete collection"
+      );
+    }
   };
 
-  const getTimeLeft = (deadline: string) => {
-    return getTimeLeftFromDeadline(deadline);
+  const formatDate = ({ deadline, deadlineType }: DeadlineInfo) => {
+    return formatDeadlineDate(deadline, deadlineType);
   };
 
-  const filteredScholarships = savedScholarships.filter((scholarship) => {
+  const getTimeLeft = ({ deadline, deadlineType }: DeadlineInfo) => {
+    return getTimeLeftFromDeadline(deadline, deadlineType);
+  };
+
+  const filteredItems = items.filter((item) => {
+    const { scholarship } = item;
+    const search = searchTerm.toLowerCase();
     const matchesSearch =
-      scholarship.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      scholarship.provider.toLowerCase().includes(searchTerm.toLowerCase());
+      scholarship.title.toLowerCase().includes(search) ||
+      scholarship.provider.toLowerCase().includes(search) ||
+      item.notes.toLowerCase().includes(search);
     const matchesCategory =
       !filterCategory || scholarship.category === filterCategory;
-    return matchesSearch && matchesCategory;
+    const matchesTag = !filterTag || item.tags.includes(filterTag);
+    const matchesCollection =
+      !activeCollection || item.collections.includes(activeCollection);
+    return matchesSearch && matchesCategory && matchesTag && matchesCollection;
   });
 
   const categories = [...new Set(savedScholarships.map((s) => s.category))];
+  const allTags = [...new Set(items.flatMap((item) => item.tags))].sort();
+  const collectionNames = new Map(
+    collections.map(({ _id, name }) => [_id, name])
+  );
 
   if (loading) {
     return (
@@ -150,7 +307,7 @@ const SavedPage: React.FC = () => {
                 <div className="text-3xl font-bold">
                   {
                     savedScholarships.filter(
-                      (s) => !getTimeLeft(s.deadline).includes("Expired")
+                      (s) => !getTimeLeft(s).includes("Expired")
                     ).length
                   }
                 </div>
@@ -160,7 +317,7 @@ const SavedPage: React.FC = () => {
                 <div className="text-3xl font-bold">
                   {
                     savedScholarships.filter((s) => {
-                      const days = getTimeLeft(s.deadline);
+                      const days = getTimeLeft(s);
                       return days.includes("day") && parseInt(days) <= 7;
                     }).length
                   }
@@ -198,12 +355,25 @@ const SavedPage: React.FC = () => {
                 </option>
               ))}
             </select>
+            {allTags.length > 0 && (
+              <select
+                value={filterTag}
+                onChange={(e) => setFilterTag(e.target.value)}
+                className="px-4 py-3 bg-white/50 border border-gray-200 rounded-xl focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+              >
+                <option value="">All Tags</option>
+                {allTags.map((tag) => (
+                  <option key={tag} value={tag}>
+                    #{tag}
+                  </option>
+                ))}
+              </select>
+            )}
           </div>
 
           <div className="flex justify-between items-center">
             <div className="text-sm text-gray-600">
-              {filteredScholarships.length} of {savedScholarships.length}{" "}
-              scholarships
+              {filteredItems.length} of {items.length} scholarships
             </div>
             <div className="flex items-center gap-2">
               <button
@@ -230,8 +400,131 @@ const SavedPage: React.FC = () => {
           </div>
         </div>
 
+        {/* Sync status */}
+        {!isAuthenticated && items.length > 0 && (
+          <div className="flex items-center gap-3 bg-blue-50 border border-blue-200 text-blue-800 rounded-xl px-4 py-3 mb-6 text-sm">
+            <Heart className="h-4 w-4 flex-shrink-0" />
+            <span>
+              These scholarships are saved on this device only.{" "}
+              <Link to="/login" className="font-semibold underline">
+                Log in
+              </Link>{" "}
+              to keep them in your account and add notes, tags and collections.
+            </span>
+          </div>
+        )}
+        {pendingCount > 0 && (
+          <div className="flex items-center gap-3 bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-xl px-4 py-3 mb-6 text-sm">
+            <CloudOff className="h-4 w-4 flex-shrink-0" />
+            {pendingCount} change{pendingCount === 1 ? "" : "s"} will sync when
+            you're back online.
+          </div>
+        )}
+
+        {/* Collections */}
+        {isAuthenticated && (
+          <div className="flex flex-wrap items-center gap-2 mb-8">
+            <button
+              onClick={() => setActiveCollection("")}
+              className={`px-4 py-2 rounded-full text-sm font-medium transition-all duration-200 ${
+                !activeCollection
+                  ? "bg-purple-600 text-white"
+                  : "bg-white/70 text-gray-700 hover:bg-white"
+              }`}
+            >
+              All saved
+            </button>
+            {collections.map((collection) => (
+              <button
+                key={collection._id}
+                onClick={() => {
+                  setActiveCollection(collection._id);
+                  setCollectionName(null);
+                }}
+                className={`inline-flex items-center gap-1 px-4 py-2 rounded-full text-sm font-medium transition-all duration-200 ${
+                  activeCollection === collection._id
+                    ? "bg-purple-600 text-white"
+                    : "bg-white/70 text-gray-700 hover:bg-white"
+                }`}
+              >
+                <Folder className="h-4 w-4" />
+                {collection.name} (
+                {
+                  items.filter((item) =>
+                    item.collections.includes(collection._id)
+                  ).length
+                }
+                )
+              </button>
+            ))}
+
+            {collectionName === null ? (
+              <>
+                <button
+                  onClick={() => {
+                    setActiveCollection("");
+                    setCollectionName("");
+                  }}
+                  className="inline-flex items-center gap-1 px-4 py-2 rounded-full text-sm font-medium text-purple-700 hover:bg-purple-100 transition-all duration-200"
+                >
+                  <FolderPlus className="h-4 w-4" />
+                  New collection
+                </button>
+                {currentCollection && (
+                  <>
+                    <button
+                      onClick={() => setCollectionName(currentCollection.name)}
+                      className="p-2 text-gray-500 hover:bg-gray-100 rounded-lg"
+                      title="Rename collection"
+                    >
+                      <Pencil className="h-4 w-4" />
+                    </button>
+                    <button
+                      onClick={() => removeCollection(currentCollection)}
+                      className="p-2 text-red-500 hover:bg-red-100 rounded-lg"
+                      title="Delete collection"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </>
+                )}
+              </>
+            ) : (
+              <form
+                onSubmit={submitCollectionName}
+                className="inline-flex items-center gap-1"
+              >
+                <input
+                  type="text"
+                  autoFocus
+                  value={collectionName}
+                  onChange={(e) => setCollectionName(e.target.value)}
+                  maxLength={60}
+                  placeholder="Collection name"
+                  className="px-3 py-2 bg-white border border-gray-200 rounded-full text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                />
+                <button
+                  type="submit"
+                  className="p-2 text-green-600 hover:bg-green-100 rounded-lg"
+                  title={currentCollection ? "Rename" : "Create"}
+                >
+                  <Check className="h-4 w-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setCollectionName(null)}
+                  className="p-2 text-gray-500 hover:bg-gray-100 rounded-lg"
+                  title="Cancel"
+                >
+                  <X className="h-4 w-4" />
+                </button>
+              </form>
+            )}
+          </div>
+        )}
+
         {/* Results */}
-        {filteredScholarships.length === 0 ? (
+        {filteredItems.length === 0 ? (
           <div className="bg-white/70 backdrop-blur-lg rounded-2xl shadow-xl border border-white/20 p-12 text-center">
             <div className="w-20 h-20 bg-gray-100 rounded-full flex items-center justify-center mx-auto mb-6">
               <Heart className="h-10 w-10 text-gray-400" />
@@ -262,126 +555,204 @@ const SavedPage: React.FC = () => {
                 : "space-y-6"
             }`}
           >
-            {filteredScholarships.map((scholarship, index) => (
-              <div
-                key={scholarship._id}
-                className={`group bg-white/70 backdrop-blur-lg rounded-2xl shadow-lg border border-white/20 hover:shadow-2xl transition-all duration-300 overflow-hidden transform hover:scale-[1.02] ${
-                  viewMode === "grid" ? "p-6" : "p-8"
-                }`}
-                style={{ animationDelay: `${index * 100}ms` }}
-              >
-                {/* Header */}
-                <div className="flex justify-between items-start mb-4">
-                  <div className="flex-1">
-                    <div className="flex items-center gap-2 mb-2">
-                      <Award className="h-5 w-5 text-yellow-500" />
-                      <span className="text-sm font-medium text-gray-500">
-                        by {scholarship.provider}
-                      </span>
+            {filteredItems.map((item, index) => {
+              const { scholarship } = item;
+              return (
+                <div
+                  key={scholarship._id}
+                  className={`group bg-white/70 backdrop-blur-lg rounded-2xl shadow-lg border border-white/20 hover:shadow-2xl transition-all duration-300 overflow-hidden transform hover:scale-[1.02] ${
+                    viewMode === "grid" ? "p-6" : "p-8"
+                  }`}
+                  style={{ animationDelay: `${index * 100}ms` }}
+                >
+                  {/* Header */}
+                  <div className="flex justify-between items-start mb-4">
+                    <div className="flex-1">
+                      <div className="flex items-center gap-2 mb-2">
+                        <Award className="h-5 w-5 text-yellow-500" />
+                        <span className="text-sm font-medium text-gray-500">
+                          by {scholarship.provider}
+                        </span>
+                      </div>
+                      <h3 className="text-xl font-bold text-gray-900 mb-2 group-hover:text-purple-600 transition-colors duration-200">
+                        <Link
+                          to={`/scholarship/${scholarship._id}`}
+                          className="hover:underline"
+                        >
+                          {scholarship.title}
+                        </Link>
+                      </h3>
                     </div>
-                    <h3 className="text-xl font-bold text-gray-900 mb-2 group-hover:text-purple-600 transition-colors duration-200">
-                      <Link
-                        to={`/scholarship/${scholarship._id}`}
-                        className="hover:underline"
+
+                    {isAuthenticated && (
+                      <button
+                        onClick={() =>
+                          setEditingId(
+                            editingId === scholarship._id
+                              ? null
+                              : scholarship._id
+                          )
+                        }
+                        className="ml-4 p-2 text-purple-500 hover:bg-purple-100 rounded-lg transition-all duration-200"
+                        title="Edit notes, tags and collections"
                       >
-                        {scholarship.title}
-                      </Link>
-                    </h3>
+                        <Pencil className="h-4 w-4" />
+                      </button>
+                    )}
+                    <button
+                      onClick={() => removeSavedScholarship(scholarship._id)}
+                      className="ml-4 p-2 text-red-500 hover:bg-red-100 rounded-lg transition-all duration-200 group/remove"
+                      title="Remove from saved"
+                    >
+                      <Trash2 className="h-4 w-4 group-hover/remove:scale-110 transition-transform duration-200" />
+                    </button>
                   </div>
 
-                  <button
-                    onClick={() => removeSavedScholarship(scholarship._id)}
-                    className="ml-4 p-2 text-red-500 hover:bg-red-100 rounded-lg transition-all duration-200 group/remove"
-                    title="Remove from saved"
+                  {/* Urgency Badge */}
+                  <div
+                    className={`inline-block px-3 py-1 rounded-full text-xs font-medium mb-4 ${
+                      !hasFixedDeadline(
+                        scholarship.deadline,
+                        scholarship.deadlineType
+                      )
+                        ? "bg-gray-100 text-gray-700"
+                        : getTimeLeft(scholarship).includes("Expired")
+                        ? "bg-red-100 text-red-800"
+                        : getTimeLeft(scholarship).includes("day") &&
+                          !getTimeLeft(scholarship).includes("days")
+                        ? "bg-yellow-100 text-yellow-800"
+                        : "bg-green-100 text-green-800"
+                    }`}
                   >
-                    <Trash2 className="h-4 w-4 group-hover/remove:scale-110 transition-transform duration-200" />
-                  </button>
-                </div>
+                    <Clock className="h-3 w-3 inline mr-1" />
+                    {getTimeLeft(scholarship)}
+                  </div>
 
-                {/* Urgency Badge */}
-                <div
-                  className={`inline-block px-3 py-1 rounded-full text-xs font-medium mb-4 ${
-                    getTimeLeft(scholarship.deadline).includes("Expired")
-                      ? "bg-red-100 text-red-800"
-                      : getTimeLeft(scholarship.deadline).includes("day") &&
-                        !getTimeLeft(scholarship.deadline).includes("days")
-                      ? "bg-yellow-100 text-yellow-800"
-                      : "bg-green-100 text-green-800"
-                  }`}
-                >
-                  <Clock className="h-3 w-3 inline mr-1" />
-                  {getTimeLeft(scholarship.deadline)}
-                </div>
+                  {/* Description */}
+                  <p className="text-gray-600 mb-4 leading-relaxed">
+                    {viewMode === "grid" && scholarship.description.length > 120
+                      ? scholarship.description.substring(0, 120) + "..."
+                      : scholarship.description}
+                  </p>
 
-                {/* Description */}
-                <p className="text-gray-600 mb-4 leading-relaxed">
-                  {viewMode === "grid" && scholarship.description.length > 120
-                    ? scholarship.description.substring(0, 120) + "..."
-                    : scholarship.description}
-                </p>
-
-                {/* Details Grid */}
-                <div className="grid grid-cols-3 gap-4 mb-6">
-                  <div className="text-center p-3 bg-green-50 rounded-xl">
-                    <DollarSign className="h-4 w-4 text-green-600 mx-auto mb-1" />
-                    <div className="text-xs text-green-600 font-medium">
-                      Amount
+                  {/* Details Grid */}
+                  <div className="grid grid-cols-3 gap-4 mb-6">
+                    <div className="text-center p-3 bg-green-50 rounded-xl">
+                      <DollarSign className="h-4 w-4 text-green-600 mx-auto mb-1" />
+                      <div className="text-xs text-green-600 font-medium">
+                        Amount
+                      </div>
+                      <div className="text-sm text-green-800 font-semibold">
+                        {scholarship.amount}
+                      </div>
                     </div>
-                    <div className="text-sm text-green-800 font-semibold">
-                      {scholarship.amount}
+                    <div className="text-center p-3 bg-blue-50 rounded-xl">
+                      <Calendar className="h-4 w-4 text-blue-600 mx-auto mb-1" />
+                      <div className="text-xs text-blue-600 font-medium">
+                        Deadline
+                      </div>
+                      <div className="text-sm text-blue-800 font-semibold">
+                        {formatDate(scholarship)}
+                      </div>
                     </div>
-                  </div>
-                  <div className="text-center p-3 bg-blue-50 rounded-xl">
-                    <Calendar className="h-4 w-4 text-blue-600 mx-auto mb-1" />
-                    <div className="text-xs text-blue-600 font-medium">
-                      Deadline
-                    </div>
-                    <div className="text-sm text-blue-800 font-semibold">
-                      {formatDate(scholarship.deadline)}
+                    <div className="text-center p-3 bg-purple-50 rounded-xl">
+                      <MapPin className="h-4 w-4 text-purple-600 mx-auto mb-1" />
+                      <div className="text-xs text-purple-600 font-medium">
+                        Location
+                      </div>
+                      <div className="text-sm text-purple-800 font-semibold">
+                        {scholarship.state}
+                      </div>
                     </div>
                   </div>
-                  <div className="text-center p-3 bg-purple-50 rounded-xl">
-                    <MapPin className="h-4 w-4 text-purple-600 mx-auto mb-1" />
-                    <div className="text-xs text-purple-600 font-medium">
-                      Location
-                    </div>
-                    <div className="text-sm text-purple-800 font-semibold">
-                      {scholarship.state}
-                    </div>
+
+                  {/* Tags */}
+                  <div className="flex flex-wrap gap-2 mb-6">
+                    <span className="bg-purple-100 text-purple-800 px-3 py-1 rounded-full text-sm font-medium">
+                      {scholarship.category}
+                    </span>
+                    <span className="bg-indigo-100 text-indigo-800 px-3 py-1 rounded-full text-sm font-medium">
+                      {scholarship.educationLevel}
+                    </span>
                   </div>
-                </div>
 
-                {/* Tags */}
-                <div className="flex flex-wrap gap-2 mb-6">
-                  <span className="bg-purple-100 text-purple-800 px-3 py-1 rounded-full text-sm font-medium">
-                    {scholarship.category}
-                  </span>
-                  <span className="bg-indigo-100 text-indigo-800 px-3 py-1 rounded-full text-sm font-medium">
-                    {scholarship.educationLevel}
-                  </span>
-                </div>
+                  {/* Notes, personal tags and collections */}
+                  {editingId === scholarship._id ? (
+                    <SavedItemEditor
+                      item={item}
+                      collections={collections}
+                      onSave={(details) =>
+                        saveDetails(scholarship._id, details)
+                      }
+                      onCancel={() => setEditingId(null)}
+                    />
+                  ) : (
+                    (item.notes ||
+                      item.tags.length > 0 ||
+                      item.collections.length > 0) && (
+                      <div className="mb-6 space-y-2">
+                        {item.notes && (
+                          <p className="flex gap-2 text-sm text-gray-700 bg-yellow-50 border border-yellow-100 rounded-xl px-3 py-2 whitespace-pre-line">
+                            <StickyNote className="h-4 w-4 text-yellow-600 flex-shrink-0 mt-0.5" />
+                            {item.notes}
+                          </p>
+                        )}
+                        <div className="flex flex-wrap gap-2">
+                          {item.collections.map(
+                            (id) =>
+                              collectionNames.has(id) && (
+                                <span
+                                  key={id}
+                                  className="inline-flex items-center gap-1 bg-gray-100 text-gray-700 px-3 py-1 rounded-full text-xs font-medium"
+                                >
+                                  <Folder className="h-3 w-3" />
+                                  {collectionNames.get(id)}
+                                </span>
+                              )
+                          )}
+                          {item.tags.map((tag) => (
+                            <button
+                              key={tag}
+                              onClick={() => setFilterTag(tag)}
+                              className="inline-flex items-center gap-1 bg-pink-50 text-pink-700 px-3 py-1 rounded-full text-xs font-medium hover:bg-pink-100"
+                            >
+                              <Tag className="h-3 w-3" />
+                              {tag}
+                            </button>
+                          ))}
+                        </div>
+                      </div>
+                    )
+                  )}
 
-                {/* Actions */}
-                <div className="flex gap-3">
-                  <Link
-                    to={`/scholarship/${scholarship._id}`}
-                    className="flex-1 flex items-center justify-center gap-2 px-4 py-3 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-xl font-medium transition-all duration-200 group/btn"
-                  >
-                    View Details
-                    <ChevronRight className="h-4 w-4 group-hover/btn:translate-x-1 transition-transform duration-200" />
-                  </Link>
-                  <a
-                    href={scholarship.applicationLink}
-                    target="_blank"
-                    rel="noopener noreferrer"
-                    className="flex-1 flex items-center justify-center gap-2 px-4 py-3 bg-gradient-to-r from-purple-600 to-pink-600 hover:from-purple-700 hover:to-pink-700 text-white rounded-xl font-medium transition-all duration-200 transform hover:scale-105 shadow-lg hover:shadow-xl"
-                  >
-                    Apply Now
-                    <ExternalLink className="h-4 w-4" />
-                  </a>
+                  {/* Actions */}
+                  <div className="flex gap-3">
+                    <Link
+                      to={`/scholarship/${scholarship._id}`}
+                      className="flex-1 flex items-center justify-center gap-2 px-4 py-3 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-xl font-medium transition-all duration-200 group/btn"
+                    >
+                      View Details
+                      <ChevronRight className="h-4 w-4 group-hover/btn:translate-x-1 transition-transform duration-200" />
+                    </Link>
+                    <a
+                      href={scholarship.applicationLink}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      onClick={() =>
+                        analyticsService.trackEvent({
+                          type: "apply_click",
+                          scholarshipId: scholarship._id,
+                        })
+                      }
+                      className="flex-1 flex items-center justify-center gap-2 px-4 py-3 bg-gradient-to-r from-purple-600 to-pink-600 hover:from-purple-700 hover:to-pink-700 text-white rounded-xl font-medium transition-all duration-200 transform hover:scale-105 shadow-lg hover:shadow-xl"
+                    >
+                      Apply Now
+                      <ExternalLink className="h-4 w-4" />
+                    </a>
+                  </div>
                 </div>
-              </div>
-            ))}
+              );
+            })}
           </div>
         )}
       </div>
@@ -0,0 +1,371 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import toast from "react-hot-toast";
+import {
+  Bell,
+  BellOff,
+  Check,
+  ChevronRight,
+  Pencil,
+  Search,
+  Sparkles,
+  Trash2,
+  X,
+} from "lucide-react";
+import { useAuth } from "../contexts/AuthContext";
+import {
+  savedSearchService,
+  toQueryString,
+  type SavedSearch,
+  type SavedSearchParams,
+} from "../services/savedSearchService";
+import { formatDateIndian } from "../utils/dateUtils";
+
+const SORT_LABELS: Record<string, string> = {
+  relevance: "relevance",
+  deadline: "deadline",
+  amount: "amount",
+  latest: "latest",
+  alphabetical: "A-Z",
+};
+
+const formatRupees = (value: string) =>
+  `₹${Number(value).toLocaleString("en-IN")}`;
+
+// "“sc st” · engineering · Kerala · ₹5,000 – ₹50,000"
+const describeParams = (params: SavedSearchParams) => {
+  const parts = [
+    params.search ? `“${params.search}”` : null,
+    params.category,
+    params.educationLevel,
+    params.targetGroup,
+    params.state,
+    params.provider,
+  ].filter(Boolean);
+
+  if (params.minAmount && params.maxAmount) {
+    parts.push(
+      `${formatRupees(params.minAmount)} – ${formatRupees(params.maxAmount)}`
+    );
+  } else if (params.minAmount) {
+    parts.push(`from ${formatRupees(params.minAmount)}`);
+  } else if (params.maxAmount) {
+    parts.push(`up to ${formatRupees(params.maxAmount)}`);
+  }
+  return parts.join(" · ");
+};
+
+const SavedSearchesPage: React.FC = () => {
+  const { isAuthenticated, user } = useAuth();
+  const [savedSearches, setSavedSearches] = useState<SavedSearch[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [editName, setEditName] = useState("");
+
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    savedSearchService
+      .getSavedSearches()
+      .then((searches) => {
+        setSavedSearches(searches);
+        setError(null);
+      })
+      .catch((err) => setError(err.message))
+      .finally(() => setLoading(false));
+  }, [isAuthenticated]);
+
+  const replace = (updated: SavedSearch) =>
+    setSavedSearches((searches) =>
+      searches.map((search) => (search._id === updated._id ? updated : search))
+    );
+
+  const toggleAlerts = async (search: SavedSearch) => {
+    try {
+      replace(
+        await savedSearchService.updateSavedSearch(search._id, {
+          alertsEnabled: !search.alertsEnabled,
+        })
+      );
+      toast.success(
+        search.alertsEnabled
+          ? "Alerts turned off for this search"
+          : "We'll email you when new scholarships match"
+      );
+    } catch (err) {
+      toast.error(
+        err instanceof Error ? err.message : "Failed to update saved search"
+      );
+    }
+  };
+
+  const rename = async (search: SavedSearch) => {
+    const name = editName.trim();
+    if (!name || name === search.name) {
+      setEditingId(null);
+      return;
+    }
+    try {
+      replace(await savedSearchService.updateSavedSearch(search._id, { name }));
+      setEditingId(null);
+    } catch (err) {
+      toast.error(
+        err instanceof Error ? err.message : "Failed to rename saved search"
+      );
+    }
+  };
+
+  const remove = async (search: SavedSearch) => {
+    if (!window.confirm(`Delete the saved search "${search.name}"?`)) return;
+    try {
+      await savedSearchService.deleteSavedSearch(search._id);
+      setSavedSearches((searches) =>
+        searches.filter(({ _id }) => _id !== search._id)
+      );
+      toast.success("Saved search deleted");
+    } catch (err) {
+      toast.error(
+        err instanceof Error ? err.message : "Failed to delete saved search"
+      );
+    }
+  };
+
+  const alertCount = savedSearches.filter(
+    ({ alertsEnabled }) => alertsEnabled
+  ).length;
+  const newMatches = savedSearches.reduce(
+    (sum, { lastMatchCount }) => sum + lastMatchCount,
+    0
+  );
+
+  if (!isAuthenticated) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-gray-50 via-blue-50 to-purple-50 flex items-center justify-center px-4">
+        <div className="bg-white/70 backdrop-blur-lg rounded-2xl shadow-xl border border-white/20 p-12 text-center max-w-md">
+          <Bell className="h-12 w-12 text-blue-600 mx-auto mb-4" />
+          <h2 className="text-2xl font-bold text-gray-900 mb-2">
+            Saved Searches
+          </h2>
+          <p className="text-gray-600 mb-6">
+            Sign in to save searches and get an email when new scholarships
+            match them.
+          </p>
+          <Link
+            to="/login"
+            className="inline-block px-6 py-3 bg-blue-600 text-white rounded-xl hover:bg-blue-700 transition-all duration-200 font-medium"
+          >
+            Sign in
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-gray-50 via-blue-50 to-purple-50 flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-16 w-16 border-4 border-blue-200 border-t-blue-600 mx-auto mb-4"></div>
+          <h3 className="text-xl font-semibold text-gray-700">
+            Loading Your Saved Searches
+          </h3>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 via-blue-50 to-purple-50">
+      {/* Hero Section */}
+      <div className="bg-gradient-to-r from-blue-600 via-purple-600 to-blue-800 text-white">
+        <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-16 text-center">
+          <div className="flex items-center justify-center gap-3 mb-4">
+            <Bell className="h-12 w-12 text-yellow-300" />
+            <h1 className="text-4xl md:text-5xl font-bold">Saved Searches</h1>
+          </div>
+          <p className="text-xl text-blue-100 max-w-2xl mx-auto mb-8">
+            Re-run your usual searches in one click. After each update of our
+            listings we check them for newly added scholarships.
+          </p>
+          <div className="inline-flex items-center gap-6 bg-white/10 backdrop-blur-sm rounded-2xl p-6 border border-white/20">
+            <div className="text-center">
+              <div className="text-3xl font-bold">{savedSearches.length}</div>
+              <div className="text-sm text-blue-100">Saved</div>
+            </div>
+            <div className="text-center">
+              <div className="text-3xl font-bold">{alertCount}</div>
+              <div className="text-sm text-blue-100">With alerts</div>
+            </div>
+            <div className="text-center">
+              <div className="text-3xl font-bold">{newMatches}</div>
+              <div className="text-sm text-blue-100">Latest new matches</div>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {user?.emailNotifications === false && alertCount > 0 && (
+          <div className="mb-6 p-4 bg-amber-50 border border-amber-200 rounded-xl text-sm text-amber-800">
+            Email notifications are turned off in your profile settings. New
+            matches are still counted here, but no alert emails are sent.
+          </div>
+        )}
+
+        {error ? (
+          <div className="bg-red-50 border border-red-200 rounded-2xl p-8 text-center text-red-700">
+            {error}
+          </div>
+        ) : savedSearches.length === 0 ? (
+          <div className="bg-white/70 backdrop-blur-lg rounded-2xl shadow-xl border border-white/20 p-12 text-center">
+            <Search className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+            <h3 className="text-2xl font-bold text-gray-900 mb-2">
+              No saved searches yet
+            </h3>
+            <p className="text-gray-600 mb-6 max-w-md mx-auto">
+              Search or filter the scholarship listings, then use “Save search”
+              to keep it here and get alerts for new matches.
+            </p>
+            <Link
+              to="/scholarships"
+              className="inline-flex items-center gap-2 px-6 py-3 bg-blue-600 text-white rounded-xl hover:bg-blue-700 transition-all duration-200 font-medium"
+            >
+              Browse scholarships
+              <ChevronRight className="h-4 w-4" />
+            </Link>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {savedSearches.map((search) => (
+              <div
+                key={search._id}
+                className="bg-white/70 backdrop-blur-lg rounded-2xl shadow-lg border border-white/20 p-6"
+              >
+                <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+                  <div className="flex-1 min-w-0">
+                    {editingId === search._id ? (
+                      <div className="flex items-center gap-2 mb-2">
+                        <input
+                          type="text"
+                          value={editName}
+                          maxLength={60}
+                          autoFocus
+                          onChange={(e) => setEditName(e.target.value)}
+                          onKeyDown={(e) => {
+                            if (e.key === "Enter") rename(search);
+                            if (e.key === "Escape") setEditingId(null);
+                          }}
+                          className="flex-1 px-3 py-1.5 border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        />
+                        <button
+                          onClick={() => rename(search)}
+                          className="p-1.5 text-green-600 hover:bg-green-50 rounded-lg"
+                          title="Save name"
+                        >
+                          <Check className="h-4 w-4" />
+                        </button>
+                        <button
+                          onClick={() => setEditingId(null)}
+                          className="p-1.5 text-gray-500 hover:bg-gray-100 rounded-lg"
+                          title="Cancel"
+                        >
+                          <X className="h-4 w-4" />
+                        </button>
+                      </div>
+                    ) : (
+                      <div className="flex items-center gap-2 mb-2">
+                        <h3 className="text-lg font-semibold text-gray-900 truncate">
+                          {search.name}
+                        </h3>
+                        <button
+                          onClick={() => {
+                            setEditingId(search._id);
+                            setEditName(search.name);
+                          }}
+                          className="p-1 text-gray-400 hover:text-gray-700"
+                          title="Rename"
+                        >
+                          <Pencil className="h-4 w-4" />
+                        </button>
+                      </div>
+                    )}
+                    <p className="text-sm text-gray-600 mb-3">
+                      {describeParams(search.params)}
+                      {search.params.sort &&
+                        ` · sorted by ${
+                          SORT_LABELS[search.params.sort] || search.params.sort
+                        }`}
+                    </p>
+                    <div className="flex flex-wrap items-center gap-3 text-sm">
+                      {search.lastMatchCount > 0 && search.lastMatchedAt ? (
+                        <span className="inline-flex items-center gap-1 px-3 py-1 bg-green-100 text-green-800 rounded-full font-medium">
+                          <Sparkles className="h-4 w-4" />
+                          {search.lastMatchCount} new{" "}
+                          {search.lastMatchCount === 1 ? "match" : "matches"} on{" "}
+                          {formatDateIndian(search.lastMatchedAt)}
+                        </span>
+                      ) : (
+                        <span className="px-3 py-1 bg-gray-100 text-gray-600 rounded-full">
+                          No new matches yet
+                        </span>
+                      )}
+                      {search.alertsEnabled && (
+                        <span className="text-gray-500">
+                          Last checked {formatDateIndian(search.lastCheckedAt)}
+                        </span>
+                      )}
+                    </div>
+                  </div>
+
+                  <div className="flex items-center gap-2 shrink-0">
+                    <button
+                      onClick={() => toggleAlerts(search)}
+                      className={`flex items-center gap-2 px-3 py-2 rounded-lg text-sm transition-all duration-200 ${
+                        search.alertsEnabled
+                          ? "bg-blue-100 text-blue-700 hover:bg-blue-200"
+                          : "bg-gray-100 text-gray-600 hover:bg-gray-200"
+                      }`}
+                      title={
+                        search.alertsEnabled
+                          ? "Stop alerts for this search"
+                          : "Get alerts for new matches"
+                      }
+                    >
+                      {search.alertsEnabled ? (
+                        <Bell className="h-4 w-4" />
+                      ) : (
+                        <BellOff className="h-4 w-4" />
+                      )}
+                      {search.alertsEnabled ? "Alerts on" : "Alerts off"}
+                    </button>
+                    <Link
+                      to={`/scholarships?${toQueryString(search.params)}`}
+                      className="flex items-center gap-1 px-3 py-2 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-lg text-sm font-medium hover:from-blue-700 hover:to-purple-700 transition-all duration-200"
+                    >
+                      View results
+                      <ChevronRight className="h-4 w-4" />
+                    </Link>
+                    <button
+                      onClick={() => remove(search)}
+                      className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-all duration-200"
+                      title="Delete saved search"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SavedSearchesPage;
@@ -23,8 +23,21 @@ import {
   Phone,
   Mail,
   Building,
+  ClipboardList,
 } from "lucide-react";
-import { formatDateLong, getTimeLeftFromDeadline } from "../utils/dateUtils";
+import { useAuth } from "../contexts/AuthContext";
+import { useSavedScholarships } from "../hooks/useSavedScholarships";
+import { analyticsService } from "../services/analyticsService";
+import { applicationService } from "../services/applicationService";
+import ScholarshipChangeHistory from "../components/ScholarshipChangeHistory";
+import {
+  formatDateIndian,
+  formatDeadlineDate,
+  getTimeLeftFromDeadline,
+  hasFixedDeadline,
+  type DeadlineInfo,
+} from "../utils/dateUtils";
+import type { DeadlineType } from "../types";
 
 interface Scholarship {
   _id: string;
@@ -32,13 +45,17 @@ interface Scholarship {
   description: string;
   eligibility: string;
   amount: string;
-  deadline: string;
+  deadline: string | null;
+  deadlineType?: DeadlineType;
+  deadlinePhases?: { label: string; date: string }[];
   provider: string;
   category: string;
   targetGroup: string[];
   educationLevel: string;
   state: string;
   applicationLink: string;
+  // Link validation found the link off the provider's official site
+  offDomainLink?: boolean;
 }
 
 const ScholarshipDetailsPage: React.FC = () => {
@@ -46,12 +63,18 @@ const ScholarshipDetailsPage: React.FC = () => {
   const navigate = useNavigate();
   const [scholarship, setScholarship] = useState<Scholarship | null>(null);
   const [loading, setLoading] = useState(true);
-  const [isSaved, setIsSaved] = useState(false);
+  const [tracking, setTracking] = useState(false);
+  const { isAuthenticated, user, refreshUser } = useAuth();
+  const savedScholarships = useSavedScholarships();
+  const isSaved = !!id && savedScholarships.isSaved(id);
+  const savedAt = (id && savedScholarships.getItem(id)?.savedAt) || null;
+  const isTracked = !!user?.appliedScholarships?.some(
+    (application) => application.scholarshipId === id
+  );
 
   useEffect(() => {
     if (id) {
       fetchScholarship(id);
-      checkIfSaved(id);
     }
   }, [id]);
 
@@ -64,6 +87,7 @@ const ScholarshipDetailsPage: React.FC = () => {
       if (response.ok) {
         const data = await response.json();
         setScholarship(data);
+        analyticsService.trackEvent({ type: "view", scholarshipId: data._id });
       }
     } catch (error) {
       console.error("Error fetching scholarship:", error);
@@ -71,56 +95,68 @@ const ScholarshipDetailsPage: React.FC = () => {
     setLoading(false);
   };
 
-  const formatDate = (dateString: string) => {
-    return formatDateLong(dateString);
+  const formatDate = ({ deadline, deadlineType }: DeadlineInfo) => {
+    return formatDeadlineDate(deadline, deadlineType);
   };
 
-  const getTimeLeft = (deadline: string) => {
-    return getTimeLeftFromDeadline(deadline);
+  const getTimeLeft = ({ deadline, deadlineType }: DeadlineInfo) => {
+    return getTimeLeftFromDeadline(deadline, deadlineType);
   };
 
-  const checkIfSaved = (scholarshipId: string) => {
+  const handleSaveScholarship = async () => {
+    if (!scholarship) return;
+
     try {
-      const saved = localStorage.getItem("savedScholarships");
-      if (saved) {
-        const parsedSaved = JSON.parse(saved);
-        const isAlreadySaved = parsedSaved.some(
-          (s: any) => s._id === scholarshipId
+      if (isSaved) {
+        const outcome = await savedScholarships.remove(scholarship._id);
+        toast.success(
+          outcome === "queued"
+            ? "Removed. This will sync when you're back online."
+            : "Scholarship removed from saved!"
+        );
+      } else {
+        const outcome = await savedScholarships.save(scholarship);
+        toast.success(
+          outcome === "queued"
+            ? "Saved. This will sync when you're back online."
+            : "Scholarship saved successfully!"
         );
-        setIsSaved(isAlreadySaved);
       }
     } catch (error) {
-      console.error("Error checking saved status:", error);
+      console.error("Error saving scholarship:", error);
+      toast.error("Failed to save scholarship");
+    }
+  };
+
+  const trackApplyClick = () => {
+    if (scholarship) {
+      analyticsService.trackEvent({
+        type: "apply_click",
+        scholarshipId: scholarship._id,
+      });
     }
   };
 
-  const handleSaveScholarship = () => {
+  const handleTrackApplication = async () => {
     if (!scholarship) return;
+    if (!isAuthenticated) {
+      navigate("/login", {
+        state: { from: { pathname: `/scholarship/${id}` } },
+      });
+      return;
+    }
 
+    setTracking(true);
     try {
-      const saved = localStorage.getItem("savedScholarships");
-      let parsedSaved = saved ? JSON.parse(saved) : [];
-
-      if (isSaved) {
-        // Remove from saved
-        parsedSaved = parsedSaved.filter((s: any) => s._id !== scholarship._id);
-        setIsSaved(false);
-        toast.success("Scholarship removed from saved!");
-      } else {
-        // Add to saved
-        const scholarshipToSave = {
-          ...scholarship,
-          savedAt: new Date().toISOString(),
-        };
-        parsedSaved.push(scholarshipToSave);
-        setIsSaved(true);
-        toast.success("Scholarship saved successfully!");
-      }
-
-      localStorage.setItem("savedScholarships", JSON.stringify(parsedSaved));
+      await applicationService.trackScholarship(scholarship._id);
+      await refreshUser();
+      toast.success("Added to your application tracker");
     } catch (error) {
-      console.error("Error saving scholarship:", error);
-      toast.error("Failed to save scholarship");
+      toast.error(
+        error instanceof Error ? error.message : "Failed to track application"
+      );
+    } finally {
+      setTracking(false);
     }
   };
 
@@ -251,7 +287,7 @@ const ScholarshipDetailsPage: React.FC = () => {
                 <div className="bg-white/10 backdrop-blur-sm rounded-xl p-4 border border-white/20">
                   <Clock className="h-6 w-6 text-yellow-300 mb-2" />
                   <div className="text-2xl font-bold">
-                    {getTimeLeft(scholarship.deadline)}
+                    {getTimeLeft(scholarship)}
                   </div>
                   <div className="text-sm text-blue-100">Time Left</div>
                 </div>
@@ -276,16 +312,21 @@ const ScholarshipDetailsPage: React.FC = () => {
                 </span>
                 <div
                   className={`px-4 py-2 rounded-full text-sm font-medium backdrop-blur-sm border ${
-                    getTimeLeft(scholarship.deadline).includes("Expired")
+                    !hasFixedDeadline(
+                      scholarship.deadline,
+                      scholarship.deadlineType
+                    )
+                      ? "bg-white/10 border-white/30 text-blue-100"
+                      : getTimeLeft(scholarship).includes("Expired")
                       ? "bg-red-500/20 border-red-300/50 text-red-100"
-                      : getTimeLeft(scholarship.deadline).includes("day") &&
-                        !getTimeLeft(scholarship.deadline).includes("days")
+                      : getTimeLeft(scholarship).includes("day") &&
+                        !getTimeLeft(scholarship).includes("days")
                       ? "bg-yellow-500/20 border-yellow-300/50 text-yellow-100"
                       : "bg-green-500/20 border-green-300/50 text-green-100"
                   }`}
                 >
                   <Clock className="h-4 w-4 inline mr-2" />
-                  {getTimeLeft(scholarship.deadline)}
+                  {getTimeLeft(scholarship)}
                 </div>
               </div>
 
@@ -295,6 +336,7 @@ const ScholarshipDetailsPage: React.FC = () => {
                   href={scholarship.applicationLink}
                   target="_blank"
                   rel="noopener noreferrer"
+                  onClick={trackApplyClick}
                   className="inline-flex items-center gap-2 px-8 py-4 bg-white text-blue-600 rounded-xl font-bold hover:bg-blue-50 transition-all duration-200 shadow-lg hover:shadow-xl transform hover:scale-105"
                 >
                   <ExternalLink className="h-5 w-5" />
@@ -320,6 +362,14 @@ const ScholarshipDetailsPage: React.FC = () => {
                   Share
                 </button>
               </div>
+              {scholarship.offDomainLink && (
+                <p className="mt-4 flex items-center gap-2 text-sm text-yellow-100">
+                  <AlertCircle className="h-4 w-4 shrink-0" />
+                  This application link is not on {scholarship.provider}'s
+                  official website. Check the provider's site before sharing
+                  personal details.
+                </p>
+              )}
             </div>
           </div>
 
@@ -352,13 +402,35 @@ const ScholarshipDetailsPage: React.FC = () => {
                       Application Deadline
                     </div>
                     <div className="text-xl font-bold text-blue-800">
-                      {formatDate(scholarship.deadline)}
+                      {formatDate(scholarship)}
                     </div>
                   </div>
                 </div>
-                <div className="text-sm text-blue-700">
-                  Don't miss the deadline
-                </div>
+                {scholarship.deadlinePhases &&
+                scholarship.deadlinePhases.length > 1 ? (
+                  <div className="space-y-1 text-sm text-blue-700">
+                    {scholarship.deadlinePhases.map((phase) => (
+                      <div
+                        key={`${phase.label}-${phase.date}`}
+                        className="flex justify-between"
+                      >
+                        <span className="capitalize">{phase.label}</span>
+                        <span>{formatDateIndian(phase.date)}</span>
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <div className="text-sm text-blue-700">
+                    {scholarship.deadlineType === "rolling"
+                      ? "Applications accepted year-round"
+                      : hasFixedDeadline(
+                          scholarship.deadline,
+                          scholarship.deadlineType
+                        )
+                      ? "Don't miss the deadline"
+                      : "Check the official website for dates"}
+                  </div>
+                )}
               </div>
 
               <div className="group bg-gradient-to-br from-purple-50 to-purple-100 p-6 rounded-2xl border border-purple-200 hover:shadow-lg transition-all duration-300 hover:scale-105">
@@ -456,6 +528,12 @@ const ScholarshipDetailsPage: React.FC = () => {
                     ))}
                   </div>
                 </div>
+
+                {/* Change History */}
+                <ScholarshipChangeHistory
+                  scholarshipId={scholarship._id}
+                  savedAt={savedAt}
+                />
               </div>
 
               {/* Sidebar - Right Column */}
@@ -479,6 +557,7 @@ const ScholarshipDetailsPage: React.FC = () => {
                       href={scholarship.applicationLink}
                       target="_blank"
                       rel="noopener noreferrer"
+                      onClick={trackApplyClick}
                       className="w-full inline-flex items-center justify-center gap-2 px-6 py-4 bg-gradient-to-r from-green-600 to-green-700 text-white rounded-xl font-bold hover:from-green-700 hover:to-green-800 transition-all duration-200 shadow-lg hover:shadow-xl transform hover:scale-105"
                     >
                       <ExternalLink className="h-5 w-5" />
@@ -505,6 +584,25 @@ const ScholarshipDetailsPage: React.FC = () => {
                       )}
                       {isSaved ? "Saved ✓" : "Save Scholarship"}
                     </button>
+
+                    {isTracked ? (
+                      <Link
+                        to="/dashboard#applications"
+                        className="w-full inline-flex items-center justify-center gap-2 px-6 py-3 rounded-xl font-medium border bg-blue-50 text-blue-700 border-blue-200 hover:bg-blue-100 transition-all duration-200"
+                      >
+                        <ClipboardList className="h-4 w-4" />
+                        View in Tracker
+                      </Link>
+                    ) : (
+                      <button
+                        onClick={handleTrackApplication}
+                        disabled={tracking}
+                        className="w-full inline-flex items-center justify-center gap-2 px-6 py-3 bg-white/70 text-green-700 rounded-xl font-medium border border-green-200 hover:bg-white transition-all duration-200 disabled:opacity-50"
+                      >
+                        <ClipboardList className="h-4 w-4" />
+                        {tracking ? "Adding..." : "Track Application"}
+                      </button>
+                    )}
                   </div>
 
                   <div className="mt-4 p-4 bg-white/50 rounded-xl border border-green-200">
@@ -579,6 +677,7 @@ const ScholarshipDetailsPage: React.FC = () => {
                   href={scholarship.applicationLink}
                   target="_blank"
                   rel="noopener noreferrer"
+                  onClick={trackApplyClick}
                   className="inline-flex items-center gap-2 px-8 py-4 bg-white text-blue-600 rounded-xl font-bold hover:bg-blue-50 transition-all duration-200 shadow-lg hover:shadow-xl transform hover:scale-105"
                 >
                   <ExternalLink className="h-5 w-5" />
@@ -1,4 +1,4 @@
-import { useState } from "react";
+import { useEffect, useState } from "react";
 import {
   Search,
   Calendar,
@@ -17,43 +17,162 @@ import {
   TrendingUp,
   Shield,
   Zap,
+  Building2,
+  Bell,
 } from "lucide-react";
-import { Link } from "react-router-dom";
+import { Link, useSearchParams } from "react-router-dom";
+import toast from "react-hot-toast";
+import ProviderBrowser from "../components/ProviderBrowser";
+import { useAuth } from "../contexts/AuthContext";
 import { useScholarships } from "../hooks/useScholarships";
-import { formatDateLong, getTimeLeftFromDeadline } from "../utils/dateUtils";
+import { analyticsService } from "../services/analyticsService";
+import { providerService, type Provider } from "../services/providerService";
+import {
+  fromQueryString,
+  savedSearchService,
+} from "../services/savedSearchService";
+import type {
+  FacetKey,
+  SearchSuggestion,
+} from "../services/scholarshipService";
+import {
+  formatDeadlineDate,
+  getTimeLeftFromDeadline,
+  hasFixedDeadline,
+  type DeadlineInfo,
+} from "../utils/dateUtils";
+
+const STATES = [
+  "Maharashtra",
+  "Karnataka",
+  "Tamil Nadu",
+  "Gujarat",
+  "Rajasthan",
+  "Uttar Pradesh",
+  "West Bengal",
+  "Delhi",
+];
+
+const FILTER_LABELS: Record<string, string> = {
+  category: "category",
+  educationLevel: "education level",
+  targetGroup: "target group",
+  state: "state",
+  provider: "provider",
+  deadline: "deadline",
+  amount: "amount",
+};
+
+const describeSuggestion = (suggestion: SearchSuggestion) => {
+  switch (suggestion.type) {
+    case "search":
+      return `Search for "${suggestion.search}"`;
+    case "removeSearch":
+      return "Clear the search terms";
+    default:
+      return `Remove the ${FILTER_LABELS[suggestion.filter]} filter`;
+  }
+};
 
 const ScholarshipsPage: React.FC = () => {
-  const [searchTerm, setSearchTerm] = useState("");
+  const { isAuthenticated } = useAuth();
+  const [searchParams] = useSearchParams();
+  // A saved search opened from its link starts applied
+  const [initialSearch] = useState(() => fromQueryString(searchParams));
+  const [searchTerm, setSearchTerm] = useState(initialSearch.search ?? "");
   const [showFilters, setShowFilters] = useState(false);
+  const [showProviders, setShowProviders] = useState(false);
+  const [providers, setProviders] = useState<Provider[]>([]);
   const [viewMode, setViewMode] = useState<"grid" | "list">("list");
-  const [sortBy, setSortBy] = useState("deadline");
+  const [sortBy, setSortBy] = useState(initialSearch.sort ?? "relevance");
   const [filters, setFilters] = useState({
-    category: "",
-    educationLevel: "",
-    targetGroup: "",
-    state: "",
+    category: initialSearch.category ?? "",
+    educationLevel: initialSearch.educationLevel ?? "",
+    targetGroup: initialSearch.targetGroup ?? "",
+    state: initialSearch.state ?? "",
+    provider: initialSearch.provider ?? "",
+    minAmount: initialSearch.minAmount ?? "",
+    maxAmount: initialSearch.maxAmount ?? "",
   });
   const [currentPage, setCurrentPage] = useState(1);
+  // Name being typed for the search about to be saved; null when closed
+  const [saveName, setSaveName] = useState<string | null>(null);
+  const [isSavingSearch, setIsSavingSearch] = useState(false);
+
+  const {
+    scholarships,
+    isLoading,
+    error,
+    totalPages,
+    facets,
+    suggestions,
+    matchedBy,
+    expansions,
+    fetchScholarships,
+  } = useScholarships(initialSearch);
+
+  // "Engineering (42)": results the option would give with the other
+  // filters kept. Providers beyond the counted ones show no count.
+  const optionLabel = (key: FacetKey, value: string, label = value) => {
+    if (!facets) return label;
+    const count = facets[key].find((bucket) => bucket.value === value)?.count;
+    if (count === undefined && key === "provider") return label;
+    return `${label} (${count ?? 0})`;
+  };
+
+  // States with results that are not in the short list
+  const stateOptions = [
+    ...STATES,
+    ...(facets?.state ?? [])
+      .map(({ value }) => value)
+      .filter((state) => !STATES.includes(state))
+      .sort(),
+  ];
 
-  const { scholarships, isLoading, error, totalPages, fetchScholarships } =
-    useScholarships();
+  // Only used to browse and filter; the listing works without it
+  useEffect(() => {
+    providerService
+      .getProviders()
+      .then(setProviders)
+      .catch(() => setProviders([]));
+  }, []);
 
   const handleSearch = () => {
     const searchFilters = {
       ...filters,
       search: searchTerm.trim(),
+      sort: sortBy,
     };
     fetchScholarships(currentPage, 10, searchFilters);
+    if (searchFilters.search) {
+      analyticsService.trackEvent({
+        type: "search",
+        query: searchFilters.search,
+        filters,
+      });
+    }
+  };
+
+  const handleSortChange = (value: string) => {
+    setSortBy(value);
+    setCurrentPage(1);
+    fetchScholarships(1, 10, {
+      ...filters,
+      search: searchTerm.trim(),
+      sort: value,
+    });
   };
 
   const handleFilterChange = (key: string, value: string) => {
     const newFilters = { ...filters, [key]: value };
     setFilters(newFilters);
     setCurrentPage(1);
+    analyticsService.trackEvent({ type: "filter", filters: newFilters });
 
     const searchFilters = {
       ...newFilters,
       search: searchTerm.trim(),
+      sort: sortBy,
     };
     fetchScholarships(1, 10, searchFilters);
   };
@@ -63,16 +182,78 @@ const ScholarshipsPage: React.FC = () => {
     const searchFilters = {
       ...filters,
       search: searchTerm.trim(),
+      sort: sortBy,
     };
     fetchScholarships(page, 10, searchFilters);
   };
 
-  const formatDate = (dateString: string) => {
-    return formatDateLong(dateString);
+  const applySuggestion = (suggestion: SearchSuggestion) => {
+    let nextSearch = searchTerm.trim();
+    let nextFilters = filters;
+    if (suggestion.type === "search") {
+      nextSearch = suggestion.search;
+    } else if (suggestion.type === "removeSearch") {
+      nextSearch = "";
+    } else if (suggestion.filter === "amount") {
+      nextFilters = { ...filters, minAmount: "", maxAmount: "" };
+    } else {
+      nextFilters = { ...filters, [suggestion.filter]: "" };
+    }
+
+    setSearchTerm(nextSearch);
+    setFilters(nextFilters);
+    setCurrentPage(1);
+    fetchScholarships(1, 10, {
+      ...nextFilters,
+      search: nextSearch,
+      sort: sortBy,
+    });
   };
 
-  const getTimeLeft = (deadline: string) => {
-    return getTimeLeftFromDeadline(deadline);
+  const hasCriteria =
+    searchTerm.trim() !== "" ||
+    Object.values(filters).some((value) => value !== "");
+
+  // Suggested name: the search terms, else the filter values
+  const defaultSearchName = () =>
+    (
+      searchTerm.trim() || Object.values(filters).filter(Boolean).join(" · ")
+    ).slice(0, 60);
+
+  const openSaveSearch = () => {
+    if (!isAuthenticated) {
+      toast.error("Sign in to save searches and get new-match alerts");
+      return;
+    }
+    setSaveName(defaultSearchName());
+  };
+
+  const handleSaveSearch = async () => {
+    if (!saveName?.trim()) return;
+    setIsSavingSearch(true);
+    try {
+      await savedSearchService.saveSearch(saveName.trim(), {
+        ...filters,
+        search: searchTerm.trim(),
+        sort: sortBy,
+      });
+      toast.success(
+        "Search saved. We'll email you when new scholarships match."
+      );
+      setSaveName(null);
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : "Failed to save search");
+    } finally {
+      setIsSavingSearch(false);
+    }
+  };
+
+  const formatDate = ({ deadline, deadlineType }: DeadlineInfo) => {
+    return formatDeadlineDate(deadline, deadlineType);
+  };
+
+  const getTimeLeft = ({ deadline, deadlineType }: DeadlineInfo) => {
+    return getTimeLeftFromDeadline(deadline, deadlineType);
   };
 
   return (
@@ -181,16 +362,43 @@ const ScholarshipsPage: React.FC = () => {
                 Filters
               </button>
 
+              <button
+                onClick={() => setShowProviders(!showProviders)}
+                className={`flex items-center gap-2 px-4 py-2 rounded-lg transition-all duration-200 ${
+                  showProviders
+                    ? "bg-blue-100 text-blue-700 border border-blue-200"
+                    : "bg-gray-100 text-gray-600 hover:bg-gray-200"
+                }`}
+              >
+                <Building2 className="h-4 w-4" />
+                Providers
+              </button>
+
               <select
                 value={sortBy}
-                onChange={(e) => setSortBy(e.target.value)}
+                onChange={(e) => handleSortChange(e.target.value)}
                 className="px-4 py-2 bg-white/50 border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
               >
+                <option value="relevance">Sort by Relevance</option>
                 <option value="deadline">Sort by Deadline</option>
                 <option value="amount">Sort by Amount</option>
                 <option value="latest">Sort by Latest</option>
                 <option value="alphabetical">Sort A-Z</option>
               </select>
+
+              <button
+                onClick={openSaveSearch}
+                disabled={!hasCriteria}
+                title={
+                  hasCriteria
+                    ? "Save this search and get alerts for new matches"
+                    : "Enter search terms or pick a filter to save a search"
+                }
+                className="flex items-center gap-2 px-4 py-2 rounded-lg bg-gray-100 text-gray-600 hover:bg-gray-200 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <Bell className="h-4 w-4" />
+                Save search
+              </button>
             </div>
 
             <div className="flex items-center gap-2">
@@ -217,6 +425,42 @@ const ScholarshipsPage: React.FC = () => {
             </div>
           </div>
 
+          {saveName !== null && (
+            <div className="mt-4 flex flex-col sm:flex-row sm:items-center gap-3 p-4 bg-blue-50/80 border border-blue-200 rounded-xl">
+              <input
+                type="text"
+                value={saveName}
+                maxLength={60}
+                autoFocus
+                placeholder="Name this search"
+                onChange={(e) => setSaveName(e.target.value)}
+                onKeyDown={(e) => e.key === "Enter" && handleSaveSearch()}
+                className="flex-1 px-4 py-2 bg-white border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={handleSaveSearch}
+                  disabled={isSavingSearch || !saveName.trim()}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-all duration-200 font-medium disabled:opacity-50"
+                >
+                  {isSavingSearch ? "Saving..." : "Save"}
+                </button>
+                <button
+                  onClick={() => setSaveName(null)}
+                  className="px-4 py-2 text-gray-600 hover:text-gray-900"
+                >
+                  Cancel
+                </button>
+                <Link
+                  to="/saved-searches"
+                  className="text-sm text-blue-700 hover:underline"
+                >
+                  Manage saved searches
+                </Link>
+              </div>
+            </div>
+          )}
+
           {/* Expandable Filters */}
           {showFilters && (
             <div className="mt-6 pt-6 border-t border-gray-200 animate-in slide-in-from-top duration-300">
@@ -233,13 +477,27 @@ const ScholarshipsPage: React.FC = () => {
                     className="w-full p-3 bg-white/50 border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
                   >
                     <option value="">All Categories</option>
-                    <option value="Merit-based">Merit-based</option>
-                    <option value="Need-based">Need-based</option>
-                    <option value="Sports">Sports</option>
-                    <option value="Arts">Arts</option>
-                    <option value="Engineering">Engineering</option>
-                    <option value="Medical">Medical</option>
-                    <option value="Research">Research</option>
+                    <option value="Merit-based">
+                      {optionLabel("category", "Merit-based")}
+                    </option>
+                    <option value="Need-based">
+                      {optionLabel("category", "Need-based")}
+                    </option>
+                    <option value="Sports">
+                      {optionLabel("category", "Sports")}
+                    </option>
+                    <option value="Arts">
+                      {optionLabel("category", "Arts")}
+                    </option>
+                    <option value="Engineering">
+                      {optionLabel("category", "Engineering")}
+                    </option>
+                    <option value="Medical">
+                      {optionLabel("category", "Medical")}
+                    </option>
+                    <option value="Research">
+                      {optionLabel("category", "Research")}
+                    </option>
                   </select>
                 </div>
 
@@ -255,10 +513,18 @@ const ScholarshipsPage: React.FC = () => {
                     className="w-full p-3 bg-white/50 border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
                   >
                     <option value="">All Levels</option>
-                    <option value="School">School</option>
-                    <option value="Undergraduate">Undergraduate</option>
-                    <option value="Postgraduate">Postgraduate</option>
-                    <option value="Doctoral">Doctoral</option>
+                    <option value="School">
+                      {optionLabel("educationLevel", "School")}
+                    </option>
+                    <option value="Undergraduate">
+                      {optionLabel("educationLevel", "Undergraduate")}
+                    </option>
+                    <option value="Postgraduate">
+                      {optionLabel("educationLevel", "Postgraduate")}
+                    </option>
+                    <option value="Doctoral">
+                      {optionLabel("educationLevel", "Doctoral")}
+                    </option>
                   </select>
                 </div>
 
@@ -274,12 +540,24 @@ const ScholarshipsPage: React.FC = () => {
                     className="w-full p-3 bg-white/50 border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
                   >
                     <option value="">All Groups</option>
-                    <option value="General">General</option>
-                    <option value="SC/ST">SC/ST</option>
-                    <option value="OBC">OBC</option>
-                    <option value="Minority">Minority</option>
-                    <option value="Women">Women</option>
-                    <option value="Disabled">Disabled</option>
+                    <option value="General">
+                      {optionLabel("targetGroup", "General")}
+                    </option>
+                    <option value="SC/ST">
+                      {optionLabel("targetGroup", "SC/ST")}
+                    </option>
+                    <option value="OBC">
+                      {optionLabel("targetGroup", "OBC")}
+                    </option>
+                    <option value="Minority">
+                      {optionLabel("targetGroup", "Minority")}
+                    </option>
+                    <option value="Women">
+                      {optionLabel("targetGroup", "Women")}
+                    </option>
+                    <option value="Disabled">
+                      {optionLabel("targetGroup", "Disabled")}
+                    </option>
                   </select>
                 </div>
 
@@ -295,14 +573,69 @@ const ScholarshipsPage: React.FC = () => {
                     className="w-full p-3 bg-white/50 border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
                   >
                     <option value="">All India</option>
-                    <option value="Maharashtra">Maharashtra</option>
-                    <option value="Karnataka">Karnataka</option>
-                    <option value="Tamil Nadu">Tamil Nadu</option>
-                    <option value="Gujarat">Gujarat</option>
-                    <option value="Rajasthan">Rajasthan</option>
-                    <option value="Uttar Pradesh">Uttar Pradesh</option>
-                    <option value="West Bengal">West Bengal</option>
-                    <option value="Delhi">Delhi</option>
+                    {stateOptions.map((state) => (
+                      <option key={state} value={state}>
+                        {optionLabel("state", state)}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Provider
+                  </label>
+                  <select
+                    value={filters.provider}
+                    onChange={(e) =>
+                      handleFilterChange("provider", e.target.value)
+                    }
+                    className="w-full p-3 bg-white/50 border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
+                  >
+                    <option value="">All Providers</option>
+                    {providers.map((provider) => (
+                      <option key={provider.slug} value={provider.slug}>
+                        {optionLabel("provider", provider.slug, provider.name)}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Minimum Amount
+                  </label>
+                  <select
+                    value={filters.minAmount}
+                    onChange={(e) =>
+                      handleFilterChange("minAmount", e.target.value)
+                    }
+                    className="w-full p-3 bg-white/50 border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
+                  >
+                    <option value="">Any Amount</option>
+                    <option value="10000">₹10,000+ per year</option>
+                    <option value="25000">₹25,000+ per year</option>
+                    <option value="50000">₹50,000+ per year</option>
+                    <option value="100000">₹1 Lakh+ per year</option>
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Maximum Amount
+                  </label>
+                  <select
+                    value={filters.maxAmount}
+                    onChange={(e) =>
+                      handleFilterChange("maxAmount", e.target.value)
+                    }
+                    className="w-full p-3 bg-white/50 border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
+                  >
+                    <option value="">No Limit</option>
+                    <option value="25000">Up to ₹25,000 per year</option>
+                    <option value="50000">Up to ₹50,000 per year</option>
+                    <option value="100000">Up to ₹1 Lakh per year</option>
+                    <option value="200000">Up to ₹2 Lakh per year</option>
                   </select>
                 </div>
               </div>
@@ -310,6 +643,14 @@ const ScholarshipsPage: React.FC = () => {
           )}
         </div>
 
+        {showProviders && (
+          <ProviderBrowser
+            providers={providers}
+            selected={filters.provider}
+            onSelect={(slug) => handleFilterChange("provider", slug)}
+          />
+        )}
+
         {/* Enhanced Results Section */}
         {error ? (
           <div className="text-center py-12">
@@ -356,6 +697,19 @@ const ScholarshipsPage: React.FC = () => {
               No scholarships match your current search criteria. Try adjusting
               your filters or search terms.
             </p>
+            {suggestions.length > 0 && (
+              <div className="flex flex-wrap justify-center gap-3 mb-8">
+                {suggestions.map((suggestion) => (
+                  <button
+                    key={describeSuggestion(suggestion)}
+                    onClick={() => applySuggestion(suggestion)}
+                    className="px-4 py-2 bg-blue-50 text-blue-700 border border-blue-200 rounded-lg hover:bg-blue-100 transition-all duration-200 text-sm font-medium"
+                  >
+                    {describeSuggestion(suggestion)} ({suggestion.count})
+                  </button>
+                ))}
+              </div>
+            )}
             <div className="grid grid-cols-1 md:grid-cols-3 gap-4 max-w-2xl mx-auto mb-8">
               <div className="bg-blue-50 p-4 rounded-xl">
                 <TrendingUp className="h-6 w-6 text-blue-600 mx-auto mb-2" />
@@ -398,6 +752,17 @@ const ScholarshipsPage: React.FC = () => {
                 </div>
               </div>
             </div>
+            {matchedBy === "substring" && (
+              <p className="text-sm text-gray-600 mb-4">
+                No exact word matches for "{searchTerm.trim()}"; showing partial
+                matches.
+              </p>
+            )}
+            {expansions.length > 0 && (
+              <p className="text-sm text-gray-600 mb-4">
+                Also searching for {expansions.join(", ")}.
+              </p>
+            )}
 
             {/* Enhanced Scholarship Cards */}
             <div
@@ -443,18 +808,23 @@ const ScholarshipsPage: React.FC = () => {
                     {/* Urgency Badge */}
                     <div
                       className={`ml-4 px-3 py-1 rounded-full text-xs font-medium whitespace-nowrap ${
-                        getTimeLeft(scholarship.deadline).includes("Expired")
+                        !hasFixedDeadline(
+                          scholarship.deadline,
+                          scholarship.deadlineType
+                        )
+                          ? "bg-gray-100 text-gray-700"
+                          : getTimeLeft(scholarship).includes("Expired")
                           ? "bg-red-100 text-red-800"
-                          : getTimeLeft(scholarship.deadline).includes("day") &&
-                            !getTimeLeft(scholarship.deadline).includes("days")
+                          : getTimeLeft(scholarship).includes("day") &&
+                            !getTimeLeft(scholarship).includes("days")
                           ? "bg-yellow-100 text-yellow-800"
-                          : parseInt(getTimeLeft(scholarship.deadline)) <= 7
+                          : parseInt(getTimeLeft(scholarship)) <= 7
                           ? "bg-orange-100 text-orange-800"
                           : "bg-green-100 text-green-800"
                       }`}
                     >
                       <Clock className="h-3 w-3 inline mr-1" />
-                      {getTimeLeft(scholarship.deadline)}
+                      {getTimeLeft(scholarship)}
                     </div>
                   </div>
 
@@ -489,7 +859,7 @@ const ScholarshipsPage: React.FC = () => {
                           Deadline
                         </div>
                         <div className="text-blue-800 font-semibold">
-                          {formatDate(scholarship.deadline)}
+                          {formatDate(scholarship)}
                         </div>
                       </div>
                     </div>
@@ -542,6 +912,12 @@ const ScholarshipsPage: React.FC = () => {
                       href={scholarship.applicationLink}
                       target="_blank"
                       rel="noopener noreferrer"
+                      onClick={() =>
+                        analyticsService.trackEvent({
+                          type: "apply_click",
+                          scholarshipId: scholarship._id,
+                        })
+                      }
                       className="flex-1 flex items-center justify-center gap-2 px-4 py-3 bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 text-white rounded-xl font-medium transition-all duration-200 transform hover:scale-105 shadow-lg hover:shadow-xl"
                     >
                       Apply Now
@@ -0,0 +1,136 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { BookOpen, CheckCircle, XCircle } from "lucide-react";
+import { useAuth } from "../contexts/AuthContext";
+
+const API_BASE = "http://localhost:5001/api";
+
+type VerifyState = "verifying" | "verified" | "failed";
+
+const VerifyEmail: React.FC = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+  const { isAuthenticated, refreshUser, resendVerificationEmail } = useAuth();
+
+  const [state, setState] = useState<VerifyState>("verifying");
+  const [message, setMessage] = useState("");
+  const [resendMessage, setResendMessage] = useState("");
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // Tokens are single-use, so only submit once even in StrictMode
+    if (requested.current) return;
+    requested.current = true;
+
+    const verify = async () => {
+      if (!token) {
+        setState("failed");
+        setMessage("This verification link is missing its token.");
+        return;
+      }
+
+      try {
+        const response = await fetch(`${API_BASE}/auth/verify-email`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ token }),
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+          throw new Error(data.message || "Verification failed");
+        }
+        setState("verified");
+        setMessage(data.message);
+        await refreshUser();
+      } catch (error) {
+        setState("failed");
+        setMessage(
+          error instanceof Error ? error.message : "Verification failed"
+        );
+      }
+    };
+
+    verify();
+  }, [token, refreshUser]);
+
+  const handleResend = async () => {
+    try {
+      setResendMessage(await resendVerificationEmail());
+    } catch (error) {
+      setResendMessage(
+        error instanceof Error ? error.message : "Failed to send email"
+      );
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-600 via-blue-700 to-indigo-800 flex items-center justify-center px-4 py-12">
+      <div className="max-w-md w-full">
+        <div className="flex items-center justify-center mb-8">
+          <BookOpen className="h-10 w-10 text-white mr-3" />
+          <span className="text-2xl font-bold text-white">
+            ScholarWise India
+          </span>
+        </div>
+
+        <div className="bg-white rounded-2xl shadow-2xl p-8 text-center">
+          {state === "verifying" && (
+            <>
+              <div className="loader mx-auto mb-4"></div>
+              <p className="text-gray-600">Verifying your email...</p>
+            </>
+          )}
+
+          {state === "verified" && (
+            <>
+              <CheckCircle className="h-12 w-12 text-green-500 mx-auto mb-4" />
+              <h2 className="text-2xl font-bold text-gray-900 mb-2">
+                Email verified
+              </h2>
+              <p className="text-gray-600 mb-6">{message}</p>
+              <Link
+                to={isAuthenticated ? "/dashboard" : "/login"}
+                className="font-medium text-blue-600 hover:text-blue-500"
+              >
+                {isAuthenticated ? "Go to your dashboard" : "Sign in"}
+              </Link>
+            </>
+          )}
+
+          {state === "failed" && (
+            <>
+              <XCircle className="h-12 w-12 text-red-500 mx-auto mb-4" />
+              <h2 className="text-2xl font-bold text-gray-900 mb-2">
+                Verification failed
+              </h2>
+              <p className="text-gray-600 mb-6">{message}</p>
+              {isAuthenticated ? (
+                <button
+                  onClick={handleResend}
+                  className="px-4 py-2 text-sm font-medium rounded-lg text-white bg-blue-600 hover:bg-blue-700"
+                >
+                  Send a new verification link
+                </button>
+              ) : (
+                <Link
+                  to="/login"
+                  className="font-medium text-blue-600 hover:text-blue-500"
+                >
+                  Sign in to request a new link
+                </Link>
+              )}
+              {resendMessage && (
+                <p className="mt-4 text-sm text-gray-600">{resendMessage}</p>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
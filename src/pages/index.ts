@@ -6,5 +6,9 @@ export { default as EnhancedAdminDashboard } from "./EnhancedAdminDashboard";
 export { default as Login } from "./Login";
 export { default as Register } from "./Register";
 export { default as Dashboard } from "./Dashboard";
+export { default as VerifyEmail } from "./VerifyEmail";
+export { default as ForgotPassword } from "./ForgotPassword";
+export { default as ResetPassword } from "./ResetPassword";
 export { default as SavedPage } from "./SavedPage";
+export { default as SavedSearchesPage } from "./SavedSearchesPage";
 export { default as AnalyticsPage } from "./AnalyticsPage";
@@ -0,0 +1,214 @@
+import axios from "axios";
+import { api } from "./scholarshipService";
+
+export type AnalyticsRange = "7d" | "30d" | "90d" | "1y";
+export type AnalyticsEventType =
+  | "search"
+  | "filter"
+  | "view"
+  | "save"
+  | "apply_click"
+  | "chatbot";
+
+// Saves and chatbot messages are recorded by the server
+export interface TrackedEvent {
+  type: "search" | "filter" | "view" | "apply_click";
+  scholarshipId?: string;
+  query?: string;
+  filters?: Record<string, string>;
+}
+
+export interface SeriesPoint {
+  // Start of the day, week or month, as YYYY-MM-DD
+  date: string;
+  count: number;
+}
+
+export type EventCounts = Record<AnalyticsEventType, number>;
+
+export interface BreakdownRow {
+  key: string;
+  view: number;
+  save: number;
+  apply_click: number;
+}
+
+export interface AnalyticsOverview {
+  range: AnalyticsRange;
+  granularity: "day" | "week" | "month";
+  totals: EventCounts;
+  // Same-length period just before the range
+  previousTotals: EventCounts;
+  series: Record<AnalyticsEventType, SeriesPoint[]>;
+  byCategory: BreakdownRow[];
+  byState: BreakdownRow[];
+  bySource: BreakdownRow[];
+  scholarships: { active: number; added: number };
+}
+
+export interface UserAnalytics {
+  range: AnalyticsRange;
+  granularity: "day" | "week" | "month";
+  saved: number;
+  applications: {
+    tracked: number;
+    submitted: number;
+    accepted: number;
+    decided: number;
+  };
+  // Sums of the scholarships' amounts in rupees
+  amounts: { saved: number; applied: number; won: number };
+  events: EventCounts;
+  // Percentages
+  rates: { viewToSave: number; saveToApply: number; success: number };
+  series: { saved: SeriesPoint[]; applied: SeriesPoint[] };
+  topCategories: Array<{ name: string; count: number; percentage: number }>;
+  upcomingDeadlines: Array<{
+    scholarshipId: string;
+    title: string;
+    deadline: string;
+    daysLeft: number;
+    applied: boolean;
+  }>;
+}
+
+export interface ScholarshipStats {
+  scholarshipId: string;
+  views: number;
+  saves: number;
+  clicks: number;
+  clickThroughRate: number;
+  scholarship: {
+    _id: string;
+    title: string;
+    provider: string;
+    category: string;
+    state: string;
+  };
+}
+
+export interface ScholarshipRankings {
+  minViewsForClickThrough: number;
+  mostViewed: ScholarshipStats[];
+  highestClickThrough: ScholarshipStats[];
+  topSearches: Array<{ query: string; count: number }>;
+}
+
+const SESSION_KEY = "analyticsSessionId";
+// Events are sent in batches to stay well inside the API rate limit
+const FLUSH_DELAY_MS = 5000;
+const MAX_BATCH = 20;
+
+let pending: TrackedEvent[] = [];
+let flushTimer: ReturnType<typeof setTimeout> | null = null;
+
+// Prefer the server's message over axios' generic one
+const errorMessage = (error: unknown, fallback: string) =>
+  (axios.isAxiosError(error) && error.response?.data?.message) || fallback;
+
+// Random per-browser ID so signed-out visits can be told apart
+const getSessionId = () => {
+  let sessionId = localStorage.getItem(SESSION_KEY);
+  if (!sessionId) {
+    sessionId =
+      typeof crypto.randomUUID === "function"
+        ? crypto.randomUUID()
+        : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    localStorage.setItem(SESSION_KEY, sessionId);
+  }
+  return sessionId;
+};
+
+const flush = (leavingPage = false) => {
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+  if (pending.length === 0) return;
+
+  const body = { sessionId: getSessionId(), events: pending };
+  pending = [];
+
+  if (leavingPage) {
+    // keepalive lets the request outlive the page
+    const token = localStorage.getItem("token");
+    fetch(`${api.defaults.baseURL}/analytics/events`, {
+      method: "POST",
+      keepalive: true,
+      headers: {
+        "Content-Type": "application/json",
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+      body: JSON.stringify(body),
+    }).catch(() => undefined);
+    return;
+  }
+
+  // Analytics never interrupts the user
+  api.post("/analytics/events", body).catch(() => undefined);
+};
+
+if (typeof document !== "undefined") {
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") flush(true);
+  });
+}
+
+const analyticsService = {
+  trackEvent: (event: TrackedEvent) => {
+    const filters = event.filters
+      ? Object.fromEntries(
+          Object.entries(event.filters).filter(([, value]) => value)
+        )
+      : undefined;
+    pending.push({ ...event, ...(filters && { filters }) });
+
+    if (pending.length >= MAX_BATCH) {
+      flush();
+    } else if (!flushTimer) {
+      flushTimer = setTimeout(() => flush(), FLUSH_DELAY_MS);
+    }
+  },
+
+  getOverview: async (range: AnalyticsRange): Promise<AnalyticsOverview> => {
+    try {
+      const response = await api.get("/analytics/overview", {
+        params: { range },
+      });
+      return response.data.data;
+    } catch (error) {
+      console.error("Error fetching analytics overview:", error);
+      throw new Error(errorMessage(error, "Failed to load analytics"));
+    }
+  },
+
+  getMyAnalytics: async (range: AnalyticsRange): Promise<UserAnalytics> => {
+    try {
+      const response = await api.get("/analytics/me", { params: { range } });
+      return response.data.data;
+    } catch (error) {
+      console.error("Error fetching your analytics:", error);
+      throw new Error(errorMessage(error, "Failed to load your analytics"));
+    }
+  },
+
+  // Admin only
+  getScholarshipRankings: async (
+    range: AnalyticsRange
+  ): Promise<ScholarshipRankings> => {
+    try {
+      const response = await api.get("/analytics/scholarships", {
+        params: { range },
+      });
+      return response.data.data;
+    } catch (error) {
+      console.error("Error fetching scholarship analytics:", error);
+      throw new Error(
+        errorMessage(error, "Failed to load scholarship analytics")
+      );
+    }
+  },
+};
+
+export { analyticsService };
+export default analyticsService;
@@ -0,0 +1,147 @@
+import axios from "axios";
+import { api } from "./scholarshipService";
+import type { DeadlineType } from "../types";
+
+export type ApplicationStatus =
+  | "planning"
+  | "preparing"
+  | "applied"
+  | "under-review"
+  | "accepted"
+  | "rejected";
+
+export const APPLICATION_STATUSES: {
+  value: ApplicationStatus;
+  label: string;
+}[] = [
+  { value: "planning", label: "Planning" },
+  { value: "preparing", label: "Preparing" },
+  { value: "applied", label: "Applied" },
+  { value: "under-review", label: "Under review" },
+  { value: "accepted", label: "Accepted" },
+  { value: "rejected", label: "Not selected" },
+];
+
+export interface ChecklistItem {
+  _id?: string;
+  label: string;
+  kind?: "document" | "step";
+  documentType?: string;
+  dueDate?: string | null;
+  done: boolean;
+  completedAt?: string | null;
+}
+
+export interface StatusChange {
+  status: ApplicationStatus;
+  changedAt: string;
+  note?: string;
+}
+
+export interface TrackedApplication {
+  _id: string;
+  scholarshipId: {
+    _id: string;
+    title: string;
+    provider: string;
+    amount: string;
+    deadline: string | null;
+    deadlineType?: DeadlineType;
+    applicationLink: string;
+    isActive: boolean;
+  } | null;
+  appliedAt: string;
+  status: ApplicationStatus;
+  statusUpdatedAt?: string;
+  statusHistory: StatusChange[];
+  checklist: ChecklistItem[];
+  remindersEnabled: boolean;
+  notes?: string;
+}
+
+export interface ApplicationUpdate {
+  status?: ApplicationStatus;
+  statusNote?: string;
+  notes?: string;
+  remindersEnabled?: boolean;
+  checklist?: ChecklistItem[];
+}
+
+// Prefer the server's message over axios' generic one
+const errorMessage = (error: unknown, fallback: string) =>
+  (axios.isAxiosError(error) && error.response?.data?.message) || fallback;
+
+const applicationService = {
+  // All tracked applications with their scholarship details
+  getApplications: async (): Promise<TrackedApplication[]> => {
+    try {
+      const response = await api.get("/users/applied-scholarships");
+      return response.data.data.appliedScholarships;
+    } catch (error) {
+      console.error("Error fetching applications:", error);
+      throw new Error(errorMessage(error, "Failed to load applications"));
+    }
+  },
+
+  // Start tracking a scholarship; the server seeds the document checklist
+  trackScholarship: async (
+    scholarshipId: string,
+    status: ApplicationStatus = "planning"
+  ) => {
+    try {
+      const response = await api.post(
+        `/users/apply-scholarship/${scholarshipId}`,
+        { status }
+      );
+      return response.data.data.application as TrackedApplication;
+    } catch (error) {
+      console.error("Error tracking scholarship:", error);
+      throw new Error(errorMessage(error, "Failed to track scholarship"));
+    }
+  },
+
+  updateApplication: async (
+    scholarshipId: string,
+    update: ApplicationUpdate
+  ) => {
+    try {
+      const response = await api.put(
+        `/users/applied-scholarship/${scholarshipId}`,
+        update
+      );
+      return response.data.data.application as TrackedApplication;
+    } catch (error) {
+      console.error("Error updating application:", error);
+      throw new Error(errorMessage(error, "Failed to update application"));
+    }
+  },
+
+  updateChecklistItem: async (
+    scholarshipId: string,
+    itemId: string,
+    changes: Partial<Pick<ChecklistItem, "label" | "dueDate" | "done">>
+  ) => {
+    try {
+      const response = await api.patch(
+        `/users/applied-scholarship/${scholarshipId}/checklist/${itemId}`,
+        changes
+      );
+      return response.data.data.item as ChecklistItem;
+    } catch (error) {
+      console.error("Error updating checklist item:", error);
+      throw new Error(errorMessage(error, "Failed to update checklist item"));
+    }
+  },
+
+  removeApplication: async (scholarshipId: string) => {
+    try {
+      await api.delete(`/users/applied-scholarship/${scholarshipId}`);
+    } catch (error) {
+      console.error("Error removing application:", error);
+      throw new Error(errorMessage(error, "Failed to remove application"));
+    }
+  },
+};
+
+export { applicationService };
+export default applicationService;
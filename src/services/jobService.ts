@@ -0,0 +1,116 @@
+import axios from "axios";
+import { api } from "./scholarshipService";
+
+export type JobStatus =
+  | "queued"
+  | "running"
+  | "succeeded"
+  | "failed"
+  | "cancelled";
+
+export type JobType =
+  | "scrape"
+  | "gemini-bulk-enhance"
+  | "gemini-cleanup"
+  | "validate-links"
+  | "resolve-entities"
+  | "saved-search-alerts";
+
+export interface Job<Result = unknown> {
+  _id: string;
+  type: JobType;
+  payload: Record<string, unknown>;
+  status: JobStatus;
+  priority: 1 | 2 | 3;
+  attempts: number;
+  maxAttempts: number;
+  cancelRequested: boolean;
+  progress: { percent: number; message?: string };
+  result?: Result;
+  error?: string;
+  runAt: string;
+  startedAt?: string;
+  finishedAt?: string;
+  createdAt: string;
+}
+
+// What an endpoint that queues work returns
+export interface QueuedJob {
+  jobId: string;
+  type: JobType;
+  status: JobStatus;
+  // True when an identical job was already queued or running
+  deduplicated: boolean;
+}
+
+// Result of a "scrape" job
+export interface ScrapeJobResult {
+  totalScrapers: number;
+  successfulScrapers: number;
+  failedScrapers: number;
+  totalScholarships: number;
+}
+
+export interface JobFilters {
+  type?: JobType;
+  status?: JobStatus;
+  limit?: number;
+}
+
+export const isJobFinished = (job: Job) =>
+  job.status === "succeeded" ||
+  job.status === "failed" ||
+  job.status === "cancelled";
+
+// Prefer the server's message over axios' generic one
+const errorMessage = (error: unknown, fallback: string) =>
+  (axios.isAxiosError(error) && error.response?.data?.message) || fallback;
+
+const jobService = {
+  getJob: async <Result = unknown>(id: string): Promise<Job<Result>> => {
+    try {
+      const response = await api.get(`/jobs/${id}`);
+      return response.data.data.job;
+    } catch (error) {
+      console.error("Error fetching job:", error);
+      throw new Error(errorMessage(error, "Failed to load job"));
+    }
+  },
+
+  listJobs: async (filters: JobFilters = {}): Promise<Job[]> => {
+    try {
+      const response = await api.get("/jobs", { params: filters });
+      return response.data.data.jobs;
+    } catch (error) {
+      console.error("Error fetching jobs:", error);
+      throw new Error(errorMessage(error, "Failed to load jobs"));
+    }
+  },
+
+  cancelJob: async (id: string): Promise<string> => {
+    try {
+      const response = await api.post(`/jobs/${id}/cancel`);
+      return response.data.message;
+    } catch (error) {
+      console.error("Error cancelling job:", error);
+      throw new Error(errorMessage(error, "Failed to cancel job"));
+    }
+  },
+
+  // Poll a job until it finishes, reporting each update
+  waitForJob: async <Result = unknown>(
+    id: string,
+    onUpdate?: (job: Job<Result>) => void,
+    intervalMs = 3000
+  ): Promise<Job<Result>> => {
+    for (;;) {
+      const job = await jobService.getJob<Result>(id);
+      onUpdate?.(job);
+      if (isJobFinished(job)) return job;
+      await new Promise((resolve) => setTimeout(resolve, intervalMs));
+    }
+  },
+};
+
+export { jobService };
+export default jobService;
@@ -0,0 +1,146 @@
+import axios from "axios";
+import { api } from "./scholarshipService";
+import type { QueuedJob } from "./jobService";
+
+export type MergeStatus = "applied" | "undone" | "rejected";
+
+// Per-signal similarity, 0-1; 0.5 means one record had no data
+export interface MergeSignals {
+  title: number;
+  provider: number;
+  amount: number;
+  deadline: number;
+  link: number;
+}
+
+export interface CandidateScholarship {
+  _id: string;
+  title: string;
+  provider: string;
+  amount: string;
+  deadline: string | null;
+  applicationLink: string;
+  sourceUrl: string;
+  // Listed on a government or institutional domain
+  official: boolean;
+}
+
+// Records that look like one scheme; `score` is the weakest match
+export interface MergeCandidate {
+  canonical: CandidateScholarship;
+  duplicates: {
+    scholarship: CandidateScholarship;
+    score: number;
+    signals: MergeSignals;
+  }[];
+  score: number;
+}
+
+// Admin or moderator who applied or undid a merge
+export interface MergeUser {
+  firstName: string;
+  lastName: string;
+  email: string;
+}
+
+export interface ScholarshipMerge {
+  _id: string;
+  canonical: {
+    _id: string;
+    title: string;
+    provider: string;
+    isActive: boolean;
+  } | null;
+  merged: {
+    scholarship: string;
+    title: string;
+    source?: string;
+    score?: number;
+  }[];
+  status: MergeStatus;
+  score?: number;
+  automatic: boolean;
+  actor?: MergeUser;
+  undoneBy?: MergeUser;
+  undoneAt?: string;
+  createdAt: string;
+}
+
+// Prefer the server's message over axios' generic one
+const errorMessage = (error: unknown, fallback: string) =>
+  (axios.isAxiosError(error) && error.response?.data?.message) || fallback;
+
+const mergeService = {
+  getCandidates: async (minScore?: number): Promise<MergeCandidate[]> => {
+    try {
+      const response = await api.get("/merges/candidates", {
+        params: { minScore },
+      });
+      return response.data.data.candidates;
+    } catch (error) {
+      console.error("Error fetching merge candidates:", error);
+      throw new Error(errorMessage(error, "Failed to load merge candidates"));
+    }
+  },
+
+  getMerges: async (status?: MergeStatus): Promise<ScholarshipMerge[]> => {
+    try {
+      const response = await api.get("/merges", { params: { status } });
+      return response.data.data.merges;
+    } catch (error) {
+      console.error("Error fetching merges:", error);
+      throw new Error(errorMessage(error, "Failed to load merges"));
+    }
+  },
+
+  merge: async (canonicalId: string, duplicateIds: string[]) => {
+    try {
+      const response = await api.post("/merges", {
+        canonicalId,
+        duplicateIds,
+      });
+      return response.data.message as string;
+    } catch (error) {
+      console.error("Error merging scholarships:", error);
+      throw new Error(errorMessage(error, "Failed to merge scholarships"));
+    }
+  },
+
+  // Keep the records separate and stop proposing them
+  reject: async (canonicalId: string, duplicateIds: string[]) => {
+    try {
+      const response = await api.post("/merges/reject", {
+        canonicalId,
+        duplicateIds,
+      });
+      return response.data.message as string;
+    } catch (error) {
+      console.error("Error rejecting merge candidates:", error);
+      throw new Error(errorMessage(error, "Failed to reject candidates"));
+    }
+  },
+
+  undo: async (id: string) => {
+    try {
+      const response = await api.post(`/merges/${id}/undo`);
+      return response.data.message as string;
+    } catch (error) {
+      console.error("Error undoing merge:", error);
+      throw new Error(errorMessage(error, "Failed to undo merge"));
+    }
+  },
+
+  // Queue automatic merging of groups that need no review
+  resolve: async (): Promise<QueuedJob & { message: string }> => {
+    try {
+      const response = await api.post("/merges/resolve");
+      return { ...response.data.data, message: response.data.message };
+    } catch (error) {
+      console.error("Error queueing duplicate resolution:", error);
+      throw new Error(errorMessage(error, "Failed to queue resolution"));
+    }
+  },
+};
+
+export { mergeService };
+export default mergeService;
@@ -0,0 +1,152 @@
+import { api, getAccessToken } from "./scholarshipService";
+
+export type ProgressChannel = "ai-session" | "scraping";
+
+export type ProgressEventType =
+  | "session-started"
+  | "phase"
+  | "site-started"
+  | "site-finished"
+  | "scholarships-found"
+  | "error"
+  | "session-finished";
+
+export interface ProgressEventData {
+  progress?: number;
+  phase?: string;
+  status?: string;
+  // Registry source key (scraping) or website (AI session)
+  source?: string;
+  name?: string;
+  url?: string;
+  index?: number;
+  total?: number;
+  count?: number;
+  saved?: number;
+  scholarshipsFound?: number;
+  // Listing pages skipped as unchanged, and the bytes that saved
+  pagesSkipped?: number;
+  bytesSaved?: number;
+  message?: string;
+  // Why a site was skipped
+  reason?: string;
+  error?: string;
+  summary?: Record<string, unknown>;
+  [key: string]: unknown;
+}
+
+export interface ProgressEvent {
+  id: number;
+  channel: ProgressChannel;
+  sessionId: string;
+  type: ProgressEventType;
+  data: ProgressEventData;
+  timestamp: string;
+}
+
+export interface ProgressStreamOptions {
+  channel?: ProgressChannel;
+  onConnectionChange?: (connected: boolean) => void;
+}
+
+const DEFAULT_RETRY_MS = 3000;
+
+/**
+ * Follow scraping progress over Server-Sent Events. The stream is read with
+ * fetch rather than EventSource so it can send the access token; it
+ * reconnects after errors and resumes from the last event received. Kept
+ * events are replayed on the first connection, so a session already
+ * running shows up straight away.
+ *
+ * @returns Function that closes the stream
+ */
+export const subscribeToProgress = (
+  onEvent: (event: ProgressEvent) => void,
+  { channel, onConnectionChange }: ProgressStreamOptions = {}
+) => {
+  const controller = new AbortController();
+  let lastEventId = "0";
+  let retryMs = DEFAULT_RETRY_MS;
+
+  const handleFrame = (frame: string) => {
+    let id: string | null = null;
+    const data: string[] = [];
+
+    for (const line of frame.split("\n")) {
+      // Lines starting with ":" are heartbeats
+      if (!line || line.startsWith(":")) continue;
+      const separator = line.indexOf(":");
+      const field = separator === -1 ? line : line.slice(0, separator);
+      const value =
+        separator === -1 ? "" : line.slice(separator + 1).replace(/^ /, "");
+
+      if (field === "id") id = value;
+      else if (field === "data") data.push(value);
+      else if (field === "retry") retryMs = parseInt(value) || retryMs;
+    }
+
+    if (id) lastEventId = id;
+    if (data.length === 0) return;
+    try {
+      onEvent(JSON.parse(data.join("\n")));
+    } catch (error) {
+      console.error("Malformed progress event:", error);
+    }
+  };
+
+  const connect = async (refreshToken = false): Promise<void> => {
+    const token = await getAccessToken(refreshToken);
+    const url = new URL(`${api.defaults.baseURL}/ai-enhanced/events`);
+    if (channel) url.searchParams.set("channel", channel);
+
+    const response = await fetch(url, {
+      headers: {
+        Accept: "text/event-stream",
+        "Last-Event-ID": lastEventId,
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+      signal: controller.signal,
+    });
+
+    if (response.status === 401 && !refreshToken) return connect(true);
+    if (!response.ok || !response.body) {
+      throw new Error(`Progress stream failed with status ${response.status}`);
+    }
+
+    onConnectionChange?.(true);
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      const frames = buffer.split("\n\n");
+      buffer = frames.pop() ?? "";
+      frames.forEach(handleFrame);
+    }
+  };
+
+  const run = async () => {
+    while (!controller.signal.aborted) {
+      try {
+        await connect();
+      } catch (error) {
+        if (controller.signal.aborted) return;
+        console.error("Progress stream error:", error);
+      }
+      onConnectionChange?.(false);
+      await new Promise((resolve) => setTimeout(resolve, retryMs));
+    }
+  };
+
+  run();
+  return () => controller.abort();
+};
+
+const progressService = { subscribeToProgress };
+
+export { progressService };
+export default progressService;
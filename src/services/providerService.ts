@@ -0,0 +1,77 @@
+import axios from "axios";
+import { api } from "./scholarshipService";
+
+export type ProviderType =
+  | "government-ministry"
+  | "government-body"
+  | "state-department"
+  | "university"
+  | "psu"
+  | "corporate-csr"
+  | "trust"
+  | "other";
+
+export const PROVIDER_TYPE_LABELS: Record<ProviderType, string> = {
+  "government-ministry": "Central ministries",
+  "government-body": "Government bodies",
+  "state-department": "State departments",
+  university: "Universities",
+  psu: "Public sector companies",
+  "corporate-csr": "Corporate CSR",
+  trust: "Trusts and foundations",
+  other: "Other providers",
+};
+
+export interface Provider {
+  _id: string;
+  name: string;
+  slug: string;
+  type: ProviderType;
+  aliases: string[];
+  // Sites its application links should point to
+  officialDomains: string[];
+  website?: string;
+  logoUrl?: string;
+  description?: string;
+  contact?: { email?: string; phone?: string; address?: string };
+  official: boolean;
+  // Active scholarships linked to the provider
+  scholarshipCount: number;
+  offDomainLinkCount: number;
+}
+
+export interface ProviderQuery {
+  type?: ProviderType;
+  official?: boolean;
+  search?: string;
+}
+
+// Prefer the server's message over axios' generic one
+const errorMessage = (error: unknown, fallback: string) =>
+  (axios.isAxiosError(error) && error.response?.data?.message) || fallback;
+
+const providerService = {
+  // Active providers, most scholarships first
+  getProviders: async (query: ProviderQuery = {}): Promise<Provider[]> => {
+    try {
+      const response = await api.get("/providers", { params: query });
+      return response.data.data.providers;
+    } catch (error) {
+      console.error("Error fetching providers:", error);
+      throw new Error(errorMessage(error, "Failed to load providers"));
+    }
+  },
+
+  getProvider: async (slug: string): Promise<Provider> => {
+    try {
+      const response = await api.get(`/providers/${slug}`);
+      return response.data.data.provider;
+    } catch (error) {
+      console.error("Error fetching provider:", error);
+      throw new Error(errorMessage(error, "Failed to load provider"));
+    }
+  },
+};
+
+export { providerService };
+export default providerService;
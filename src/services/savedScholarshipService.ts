@@ -0,0 +1,266 @@
+import axios from "axios";
+import { api, type Scholarship } from "./scholarshipService";
+
+export interface SavedCollection {
+  _id: string;
+  name: string;
+  createdAt: string;
+}
+
+// Fields the saved list shows
+export type SavedScholarship = Pick<
+  Scholarship,
+  | "_id"
+  | "title"
+  | "description"
+  | "amount"
+  | "deadline"
+  | "deadlineType"
+  | "provider"
+  | "category"
+  | "targetGroup"
+  | "educationLevel"
+  | "state"
+  | "applicationLink"
+>;
+
+export interface SavedItem {
+  scholarship: SavedScholarship;
+  // null for scholarships saved before save times were kept
+  savedAt: string | null;
+  notes: string;
+  tags: string[];
+  // SavedCollection IDs
+  collections: string[];
+}
+
+export interface SavedDetails {
+  notes?: string;
+  tags?: string[];
+  collections?: string[];
+}
+
+export interface SavedList {
+  items: SavedItem[];
+  collections: SavedCollection[];
+}
+
+// A save or unsave made while offline, replayed when back online
+export interface QueuedChange {
+  scholarshipId: string;
+  action: "save" | "remove";
+  details?: SavedDetails;
+  savedAt: string;
+}
+
+// Saves made without signing in: full scholarships plus savedAt, merged
+// into the account on the next login
+const LOCAL_KEY = "savedScholarships";
+const queueKey = (userId: string) => `savedScholarshipsQueue:${userId}`;
+const cacheKey = (userId: string) => `savedScholarshipsCache:${userId}`;
+
+const OBJECT_ID = /^[a-f\d]{24}$/i;
+
+// Prefer the server's message over axios' generic one
+const errorMessage = (error: unknown, fallback: string) =>
+  (axios.isAxiosError(error) && error.response?.data?.message) || fallback;
+
+const readJson = <T>(key: string, fallback: T): T => {
+  try {
+    const stored = localStorage.getItem(key);
+    return stored ? (JSON.parse(stored) as T) : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+// The request never reached the server
+export const isOfflineError = (error: unknown) =>
+  !navigator.onLine ||
+  (axios.isAxiosError(error) &&
+    !error.response &&
+    error.code !== "ERR_CANCELED");
+
+const savedScholarshipService = {
+  getSaved: async (): Promise<SavedList> => {
+    try {
+      const response = await api.get("/users/saved-scholarships");
+      const { items, collections } = response.data.data;
+      return { items, collections };
+    } catch (error) {
+      console.error("Error fetching saved scholarships:", error);
+      throw error;
+    }
+  },
+
+  // Saves the scholarship if needed and updates the details given
+  saveScholarship: async (
+    scholarshipId: string,
+    details: SavedDetails & { savedAt?: string } = {}
+  ): Promise<void> => {
+    await api.put(`/users/saved-scholarships/${scholarshipId}`, details);
+  },
+
+  removeSaved: async (scholarshipId: string): Promise<void> => {
+    await api.delete(`/users/save-scholarship/${scholarshipId}`);
+  },
+
+  mergeLocalSaves: async (
+    items: Array<{ scholarshipId: string; savedAt?: string }>
+  ): Promise<number> => {
+    const response = await api.post("/users/saved-scholarships/merge", {
+      items,
+    });
+    return response.data.data.merged;
+  },
+
+  createCollection: async (name: string): Promise<SavedCollection> => {
+    try {
+      const response = await api.post("/users/saved-collections", { name });
+      return response.data.data.collection;
+    } catch (error) {
+      throw new Error(errorMessage(error, "Failed to create collection"));
+    }
+  },
+
+  renameCollection: async (
+    collectionId: string,
+    name: string
+  ): Promise<SavedCollection> => {
+    try {
+      const response = await api.put(
+        `/users/saved-collections/${collectionId}`,
+        { name }
+      );
+      return response.data.data.collection;
+    } catch (error) {
+      throw new Error(errorMessage(error, "Failed to rename collection"));
+    }
+  },
+
+  deleteCollection: async (collectionId: string): Promise<void> => {
+    try {
+      await api.delete(`/users/saved-collections/${collectionId}`);
+    } catch (error) {
+      throw new Error(errorMessage(error, "Failed to delete collection"));
+    }
+  },
+
+  getLocalSaves: (): SavedItem[] =>
+    readJson<Array<SavedScholarship & { savedAt?: string }>>(LOCAL_KEY, []).map(
+      ({ savedAt, ...scholarship }) => ({
+        scholarship,
+        savedAt: savedAt || null,
+        notes: "",
+        tags: [],
+        collections: [],
+      })
+    ),
+
+  setLocalSaves: (items: SavedItem[]) => {
+    localStorage.setItem(
+      LOCAL_KEY,
+      JSON.stringify(
+        items.map(({ scholarship, savedAt }) => ({ ...scholarship, savedAt }))
+      )
+    );
+  },
+
+  // Merge this device's signed-out saves into the account, once
+  mergeLocalIntoAccount: async (): Promise<number> => {
+    const local = savedScholarshipService
+      .getLocalSaves()
+      .filter(({ scholarship }) => OBJECT_ID.test(scholarship._id));
+    if (local.length === 0) {
+      localStorage.removeItem(LOCAL_KEY);
+      return 0;
+    }
+
+    const merged = await savedScholarshipService.mergeLocalSaves(
+      local.map(({ scholarship, savedAt }) => ({
+        scholarshipId: scholarship._id,
+        ...(savedAt && { savedAt }),
+      }))
+    );
+    localStorage.removeItem(LOCAL_KEY);
+    return merged;
+  },
+
+  // Last list loaded for the user, shown while offline
+  getCachedList: (userId: string): SavedList | null =>
+    readJson<SavedList | null>(cacheKey(userId), null),
+
+  setCachedList: (userId: string, list: SavedList) => {
+    localStorage.setItem(cacheKey(userId), JSON.stringify(list));
+  },
+
+  getQueue: (userId: string): QueuedChange[] =>
+    readJson<QueuedChange[]>(queueKey(userId), []),
+
+  // Only the latest change per scholarship is kept; details of queued
+  // saves accumulate
+  enqueue: (userId: string, change: QueuedChange) => {
+    const queue = savedScholarshipService.getQueue(userId);
+    const previous = queue.find(
+      ({ scholarshipId }) => scholarshipId === change.scholarshipId
+    );
+    const next =
+      previous?.action === "save" && change.action === "save"
+        ? {
+            ...change,
+            savedAt: previous.savedAt,
+            details: { ...previous.details, ...change.details },
+          }
+        : change;
+
+    localStorage.setItem(
+      queueKey(userId),
+      JSON.stringify([
+        ...queue.filter(
+          ({ scholarshipId }) => scholarshipId !== change.scholarshipId
+        ),
+        next,
+      ])
+    );
+  },
+
+  /**
+   * Send queued changes in order. Stops at the first one that cannot reach
+   * the server; changes the server rejects, e.g. for a deleted
+   * scholarship, are dropped.
+   */
+  replayQueue: async (
+    userId: string
+  ): Promise<{ replayed: number; remaining: number }> => {
+    const queue = savedScholarshipService.getQueue(userId);
+    let done = 0;
+
+    for (const change of queue) {
+      try {
+        if (change.action === "save") {
+          await savedScholarshipService.saveScholarship(change.scholarshipId, {
+            ...change.details,
+            savedAt: change.savedAt,
+          });
+        } else {
+          await savedScholarshipService.removeSaved(change.scholarshipId);
+        }
+      } catch (error) {
+        if (isOfflineError(error)) break;
+        console.error("Dropping queued saved scholarship change:", error);
+      }
+      done++;
+    }
+
+    const remaining = queue.slice(done);
+    if (remaining.length > 0) {
+      localStorage.setItem(queueKey(userId), JSON.stringify(remaining));
+    } else {
+      localStorage.removeItem(queueKey(userId));
+    }
+    return { replayed: done, remaining: remaining.length };
+  },
+};
+
+export { savedScholarshipService };
+export default savedScholarshipService;
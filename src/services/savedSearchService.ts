@@ -0,0 +1,111 @@
+import axios from "axios";
+import { api, type ScholarshipFilters } from "./scholarshipService";
+
+// The listing parameters a saved search keeps
+export type SavedSearchParams = Omit<ScholarshipFilters, "deadline">;
+
+export interface SavedSearch {
+  _id: string;
+  name: string;
+  params: SavedSearchParams;
+  alertsEnabled: boolean;
+  // Scholarships added after this are new matches
+  lastCheckedAt: string;
+  // New matches found by the latest check that found any
+  lastMatchCount: number;
+  lastMatchedAt?: string | null;
+  createdAt: string;
+}
+
+export interface SavedSearchUpdate {
+  name?: string;
+  params?: SavedSearchParams;
+  alertsEnabled?: boolean;
+}
+
+const PARAM_KEYS: (keyof SavedSearchParams)[] = [
+  "search",
+  "category",
+  "educationLevel",
+  "targetGroup",
+  "state",
+  "provider",
+  "minAmount",
+  "maxAmount",
+  "sort",
+];
+
+// Prefer the server's message over axios' generic one
+const errorMessage = (error: unknown, fallback: string) =>
+  (axios.isAxiosError(error) && error.response?.data?.message) || fallback;
+
+// Saved search parameters as they appear in the listing's URL
+export const toQueryString = (params: SavedSearchParams) =>
+  new URLSearchParams(
+    PARAM_KEYS.flatMap((key) =>
+      params[key] !== undefined && params[key] !== ""
+        ? [[key, String(params[key])]]
+        : []
+    )
+  ).toString();
+
+// Listing parameters read back from the URL
+export const fromQueryString = (query: URLSearchParams): SavedSearchParams =>
+  Object.fromEntries(
+    PARAM_KEYS.flatMap((key) => {
+      const value = query.get(key);
+      return value ? [[key, value]] : [];
+    })
+  );
+
+const savedSearchService = {
+  getSavedSearches: async (): Promise<SavedSearch[]> => {
+    try {
+      const response = await api.get("/users/saved-searches");
+      return response.data.data.savedSearches;
+    } catch (error) {
+      console.error("Error fetching saved searches:", error);
+      throw new Error(errorMessage(error, "Failed to load saved searches"));
+    }
+  },
+
+  saveSearch: async (
+    name: string,
+    params: SavedSearchParams,
+    alertsEnabled = true
+  ) => {
+    try {
+      const response = await api.post("/users/saved-searches", {
+        name,
+        params,
+        alertsEnabled,
+      });
+      return response.data.data.savedSearch as SavedSearch;
+    } catch (error) {
+      console.error("Error saving search:", error);
+      throw new Error(errorMessage(error, "Failed to save search"));
+    }
+  },
+
+  updateSavedSearch: async (id: string, update: SavedSearchUpdate) => {
+    try {
+      const response = await api.put(`/users/saved-searches/${id}`, update);
+      return response.data.data.savedSearch as SavedSearch;
+    } catch (error) {
+      console.error("Error updating saved search:", error);
+      throw new Error(errorMessage(error, "Failed to update saved search"));
+    }
+  },
+
+  deleteSavedSearch: async (id: string) => {
+    try {
+      await api.delete(`/users/saved-searches/${id}`);
+    } catch (error) {
+      console.error("Error deleting saved search:", error);
+      throw new Error(errorMessage(error, "Failed to delete saved search"));
+    }
+  },
+};
+
+export { savedSearchService };
+export default savedSearchService;
@@ -1,28 +1,137 @@
 import axios from "axios";
+import type { QueuedJob } from "./jobService";
+import type { DeadlineType } from "../types";
 
 const API_BASE_URL = "http://localhost:5001/api";
 
-const api = axios.create({
+export const api = axios.create({
   baseURL: API_BASE_URL,
   timeout: 10000,
 });
 
+// Admin and scraping endpoints need the signed-in user's access token.
+// AuthContext registers how to refresh it when it expires.
+let refreshAccessToken: (() => Promise<string | null>) | null = null;
+const retriedRequests = new WeakSet<object>();
+
+export const setAccessTokenRefresher = (
+  refresher: (() => Promise<string | null>) | null
+) => {
+  refreshAccessToken = refresher;
+};
+
+// Token for requests made outside axios, such as streamed responses; pass
+// `refresh` after a 401 to get a new one
+export const getAccessToken = async (refresh = false) =>
+  refresh && refreshAccessToken
+    ? refreshAccessToken()
+    : localStorage.getItem("token");
+
+api.interceptors.request.use((config) => {
+  const token = localStorage.getItem("token");
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+api.interceptors.response.use(undefined, async (error) => {
+  const config = error.config;
+  if (
+    error.response?.status === 401 &&
+    config &&
+    refreshAccessToken &&
+    !retriedRequests.has(config)
+  ) {
+    retriedRequests.add(config);
+    const token = await refreshAccessToken();
+    if (token) return api(config);
+  }
+  return Promise.reject(error);
+});
+
+export interface AmountDetails {
+  min?: number | null;
+  max?: number | null;
+  period: "one-time" | "monthly" | "annual" | "semester" | "unknown";
+  currency: string;
+  annualValue?: number | null;
+  tuitionWaiver: boolean;
+  isVariable: boolean;
+}
+
+export interface DeadlinePhase {
+  label: string;
+  date: string;
+}
+
+// A site listing the scholarship; filled in when duplicates are merged
+export interface ScholarshipSource {
+  name: string;
+  sourceUrl: string;
+  applicationLink: string;
+  official: boolean;
+  scholarship: string;
+  addedAt: string;
+}
+
 export interface Scholarship {
   _id: string;
   title: string;
   description: string;
   eligibility: string;
   amount: string;
-  deadline: string;
+  amountDetails?: AmountDetails;
+  amountNumber?: number | null;
+  deadline: string | null;
+  deadlineType?: DeadlineType;
+  deadlineConfidence?: number;
+  deadlinePhases?: DeadlinePhase[];
   provider: string;
+  // Provider directory entry, when the provider is known
+  providerId?: string | null;
   category: string;
   targetGroup: string[];
   educationLevel: string;
   state: string;
   applicationLink: string;
+  // Link is not on the provider's official domains
+  offDomainLink?: boolean;
+  sources?: ScholarshipSource[];
   isActive: boolean;
   createdAt: string;
   updatedAt: string;
+  // 0-100 search ranking; set on listing results
+  relevance?: number;
+}
+
+export type ScholarshipField =
+  | "title"
+  | "description"
+  | "eligibility"
+  | "amount"
+  | "deadline"
+  | "deadlineType"
+  | "applicationLink"
+  | "provider"
+  | "category"
+  | "educationLevel"
+  | "state"
+  | "isActive";
+
+export interface FieldChange {
+  field: ScholarshipField;
+  oldValue: string | boolean | null;
+  newValue: string | boolean | null;
+}
+
+// One scraper/AI write and the fields it changed
+export interface ScholarshipVersion {
+  _id: string;
+  action: "created" | "updated";
+  source: string;
+  changes: FieldChange[];
+  createdAt: string;
 }
 
 export interface ScholarshipFilters {
@@ -30,10 +139,43 @@ export interface ScholarshipFilters {
   educationLevel?: string;
   targetGroup?: string;
   state?: string;
+  // Provider directory slug
+  provider?: string;
   search?: string;
   deadline?: string;
+  minAmount?: string;
+  maxAmount?: string;
+  sort?: string;
 }
 
+// Results choosing `value` would give, with the other filters applied
+export interface FacetBucket {
+  value: string;
+  // Provider name; `value` is its directory slug
+  label?: string;
+  count: number;
+}
+
+export type FacetKey =
+  | "category"
+  | "educationLevel"
+  | "targetGroup"
+  | "state"
+  | "provider";
+
+export type SearchFacets = Record<FacetKey, FacetBucket[]>;
+
+// Offered when a search finds nothing; `filter` "amount" covers both
+// minAmount and maxAmount
+export type SearchSuggestion =
+  | { type: "search"; search: string; count: number }
+  | {
+      type: "removeFilter";
+      filter: FacetKey | "deadline" | "amount";
+      count: number;
+    }
+  | { type: "removeSearch"; count: number };
+
 export interface ScholarshipResponse {
   scholarships: Scholarship[];
   totalPages: number;
@@ -41,6 +183,13 @@ export interface ScholarshipResponse {
   total: number;
   message?: string;
   isEmpty?: boolean;
+  // "substring" when no whole word matched and partial matches are shown
+  matchedBy?: "text" | "substring" | null;
+  // Synonyms and acronym expansions searched for as well, e.g. "national
+  // scholarship portal" for "NSP"
+  expansions?: string[];
+  facets?: SearchFacets | null;
+  suggestions?: SearchSuggestion[];
 }
 
 const scholarshipService = {
@@ -76,6 +225,8 @@ const scholarshipService = {
           message:
             "No scholarships found. Our scrapers are continuously working to find new opportunities.",
           isEmpty: true,
+          facets: response.data.facets ?? null,
+          suggestions: response.data.suggestions ?? [],
         };
       }
 
@@ -103,6 +254,22 @@ const scholarshipService = {
     }
   },
 
+  // Change history, newest first; `fields` narrows to e.g. deadline and amount
+  getScholarshipHistory: async (
+    id: string,
+    fields?: ScholarshipField[]
+  ): Promise<ScholarshipVersion[]> => {
+    try {
+      const response = await api.get(`/scholarships/${id}/history`, {
+        params: fields ? { fields: fields.join(",") } : undefined,
+      });
+      return response.data.versions || [];
+    } catch (error) {
+      console.error("Error fetching scholarship history:", error);
+      return [];
+    }
+  },
+
   // Get upcoming deadlines with fallback
   getUpcomingDeadlines: async (): Promise<Scholarship[]> => {
     try {
@@ -139,29 +306,16 @@ const scholarshipService = {
     }
   },
 
-  // Enhanced scraping trigger with real-time feedback
-  triggerScraping: async () => {
+  // Queue a scraping pass; poll the returned job for progress
+  triggerScraping: async (): Promise<QueuedJob & { message: string }> => {
     try {
-      // Use extended timeout for scraping (2 minutes)
-      const response = await api.post(
-        "/scraping/trigger",
-        {},
-        {
-          timeout: 120000, // 2 minutes timeout for scraping
-        }
-      );
+      const response = await api.post("/scraping/trigger");
       return {
-        success: true,
-        message: response.data.message || "Scraping triggered successfully",
-        result: response.data.result || {},
+        ...response.data.data,
+        message: response.data.message || "Scraping queued",
       };
-    } catch (error: any) {
+    } catch (error) {
       console.error("Error triggering scraping:", error);
-      if (error.code === "ECONNABORTED") {
-        throw new Error(
-          "Scraping is taking longer than expected. Please check the scraping status."
-        );
-      }
       throw new Error("Failed to trigger scraping. Please try again.");
     }
   },
@@ -0,0 +1,233 @@
+import axios from "axios";
+import { api, type Scholarship } from "./scholarshipService";
+
+export interface ScraperSource {
+  key: string;
+  name: string;
+  type: "module" | "declarative";
+  origin: "file" | "database";
+  enabled: boolean;
+  priority: 1 | 2;
+  intervalMinutes: number;
+  // Settings changed from the dashboard on top of a file definition
+  overridden?: boolean;
+  circuitBreakerOpen?: boolean;
+  failureCount?: number;
+  listing?: { url: string; itemSelector: string };
+}
+
+export interface SourceSettings {
+  enabled?: boolean;
+  priority?: 1 | 2;
+  intervalMinutes?: number;
+}
+
+export interface SourceTestResult {
+  source: string;
+  pages: number;
+  scraped: number;
+  scholarships: Scholarship[];
+  rejected: { title: string | null; error: string }[];
+}
+
+export type ScrapeRunStatus = "running" | "success" | "failed" | "skipped";
+
+export interface ScrapeRun {
+  _id: string;
+  source: string;
+  sourceName?: string;
+  trigger: "scheduled" | "immediate" | "manual";
+  status: ScrapeRunStatus;
+  reason?: string;
+  startedAt: string;
+  finishedAt?: string;
+  durationMs?: number;
+  itemsFound: number;
+  created: number;
+  updated: number;
+  rejected: number;
+  // Pages skipped as unchanged, and bytes not downloaded thanks to 304s
+  pagesSkipped?: number;
+  bytesSaved?: number;
+  errorMessages: string[];
+  httpStatuses: Record<string, number>;
+}
+
+export interface DailyYield {
+  date: string;
+  runs: number;
+  failed: number;
+  itemsFound: number;
+  created: number;
+  updated: number;
+}
+
+// Sources that never ran only carry the identifying fields
+export interface SourceHealth {
+  source: string;
+  sourceName?: string;
+  enabled: boolean;
+  registered: boolean;
+  runs: number;
+  succeeded?: number;
+  failed?: number;
+  successRate?: number | null;
+  itemsFound?: number;
+  created?: number;
+  updated?: number;
+  pagesSkipped?: number;
+  bytesSaved?: number;
+  avgDurationMs?: number | null;
+  lastRun?: ScrapeRun;
+  lastYieldAt?: string | null;
+  // First run of the current streak that found nothing
+  zeroSince?: string | null;
+  zeroRuns?: number;
+  daily: DailyYield[];
+}
+
+export interface RunHistoryFilters {
+  source?: string;
+  status?: ScrapeRunStatus;
+  before?: string;
+  limit?: number;
+}
+
+// Starting point for a new source in the dashboard editor
+export const EXAMPLE_SOURCE_DEFINITION = {
+  key: "example-trust",
+  name: "Example Trust Scholarships",
+  priority: 2,
+  listing: {
+    url: "https://www.example.org/scholarships",
+    itemSelector: ".scholarship-card",
+  },
+  pagination: { type: "query", param: "page", maxPages: 3 },
+  fields: {
+    title: "h3",
+    description: ".summary",
+    amount: { selector: ".amount", template: "₹{value} per year" },
+    deadline: { selector: ".deadline", regex: "Last date:\\s*(.+)" },
+    applicationLink: { selector: "a.apply", attribute: "href" },
+  },
+  defaults: { provider: "Example Trust", category: "Merit-based" },
+  formats: { dateOrder: "DMY" },
+  rateLimit: { delayMs: 3000 },
+};
+
+// Prefer the server's message over axios' generic one
+const errorMessage = (error: unknown, fallback: string) =>
+  (axios.isAxiosError(error) && error.response?.data?.message) || fallback;
+
+const scraperSourceService = {
+  getSources: async (): Promise<ScraperSource[]> => {
+    try {
+      const response = await api.get("/scrapers/sources");
+      return response.data.data.sources;
+    } catch (error) {
+      console.error("Error fetching scraper sources:", error);
+      throw new Error(errorMessage(error, "Failed to load scraper sources"));
+    }
+  },
+
+  // Dry run: fetches and extracts, saves nothing
+  testDefinition: async (definition: object): Promise<SourceTestResult> => {
+    try {
+      const response = await api.post("/scrapers/sources/test", definition, {
+        timeout: 120000,
+      });
+      return response.data.data;
+    } catch (error) {
+      console.error("Error testing scraper source:", error);
+      throw new Error(errorMessage(error, "Failed to test scraper source"));
+    }
+  },
+
+  testSource: async (key: string): Promise<SourceTestResult> => {
+    try {
+      const response = await api.post(
+        `/scrapers/sources/${key}/test`,
+        {},
+        { timeout: 120000 }
+      );
+      return response.data.data;
+    } catch (error) {
+      console.error("Error testing scraper source:", error);
+      throw new Error(errorMessage(error, "Failed to test scraper source"));
+    }
+  },
+
+  createSource: async (definition: object): Promise<ScraperSource> => {
+    try {
+      const response = await api.post("/scrapers/sources", definition);
+      return response.data.data.source;
+    } catch (error) {
+      console.error("Error creating scraper source:", error);
+      throw new Error(errorMessage(error, "Failed to add scraper source"));
+    }
+  },
+
+  updateSettings: async (
+    key: string,
+    settings: SourceSettings
+  ): Promise<ScraperSource> => {
+    try {
+      const response = await api.patch(`/scrapers/sources/${key}`, settings);
+      return response.data.data.source;
+    } catch (error) {
+      console.error("Error updating scraper source:", error);
+      throw new Error(errorMessage(error, "Failed to update scraper source"));
+    }
+  },
+
+  // Removes a dashboard-added source, or resets a file source's settings
+  removeSource: async (key: string): Promise<string> => {
+    try {
+      const response = await api.delete(`/scrapers/sources/${key}`);
+      return response.data.message;
+    } catch (error) {
+      console.error("Error removing scraper source:", error);
+      throw new Error(errorMessage(error, "Failed to remove scraper source"));
+    }
+  },
+
+  getRunHistory: async (
+    filters: RunHistoryFilters = {}
+  ): Promise<ScrapeRun[]> => {
+    try {
+      const response = await api.get("/scrapers/runs", { params: filters });
+      return response.data.data.runs;
+    } catch (error) {
+      console.error("Error fetching scrape runs:", error);
+      throw new Error(errorMessage(error, "Failed to load scrape run history"));
+    }
+  },
+
+  getSourceHealth: async (days = 14): Promise<SourceHealth[]> => {
+    try {
+      const response = await api.get("/scrapers/runs/trends", {
+        params: { days },
+      });
+      return response.data.data.sources;
+    } catch (error) {
+      console.error("Error fetching scraper health:", error);
+      throw new Error(errorMessage(error, "Failed to load scraper health"));
+    }
+  },
+
+  // Queues the run; it shows up in the job list and run history
+  runSource: async (key: string): Promise<string> => {
+    try {
+      const response = await api.post(`/scrapers/sources/${key}/run`);
+      return response.data.message;
+    } catch (error) {
+      console.error("Error running scraper source:", error);
+      throw new Error(
+        errorMessage(error, "Failed to queue scraper source run")
+      );
+    }
+  },
+};
+
+export { scraperSourceService };
+export default scraperSourceService;
@@ -1,11 +1,37 @@
 // Simple type definitions for the app
+export interface AmountDetails {
+  min?: number | null;
+  max?: number | null;
+  period: "one-time" | "monthly" | "annual" | "semester" | "unknown";
+  currency: string;
+  annualValue?: number | null;
+  tuitionWaiver: boolean;
+  isVariable: boolean;
+}
+
+/**
+ * How a scholarship's deadline is known: a published date, applications
+ * accepted year-round, or no date announced by the source
+ */
+export type DeadlineType = "fixed" | "rolling" | "unknown";
+
+export interface DeadlinePhase {
+  label: string;
+  date: string;
+}
+
 export interface Scholarship {
   _id: string;
   title: string;
   description: string;
   eligibility: string;
   amount: string;
-  deadline: string;
+  amountDetails?: AmountDetails;
+  amountNumber?: number | null;
+  deadline: string | null;
+  deadlineType?: DeadlineType;
+  deadlineConfidence?: number;
+  deadlinePhases?: DeadlinePhase[];
   provider: string;
   category: string;
   targetGroup: string[];
@@ -24,4 +50,7 @@ export interface ScholarshipFilters {
   state?: string;
   search?: string;
   deadline?: string;
+  minAmount?: string;
+  maxAmount?: string;
+  sort?: string;
 }
@@ -3,6 +3,35 @@
  * All dates are formatted according to Indian standard (DD/MM/YYYY)
  */
 
+import type { DeadlineType } from "../types";
+
+/**
+ * Deadline fields carried by scholarships from the API
+ */
+export interface DeadlineInfo {
+  deadline: string | null;
+  deadlineType?: DeadlineType;
+}
+
+/**
+ * Whether a deadline has an actual date to count down to
+ * @param deadline - ISO date string, or null when not published
+ * @param deadlineType - Deadline type reported by the API
+ * @returns True for fixed deadlines with a date
+ */
+export const hasFixedDeadline = (
+  deadline?: string | null,
+  deadlineType?: DeadlineType
+): boolean => Boolean(deadline) && (!deadlineType || deadlineType === "fixed");
+
+/**
+ * Label shown instead of a date for rolling or unannounced deadlines
+ * @param deadlineType - Deadline type reported by the API
+ * @returns "Rolling deadline" or "Deadline not announced"
+ */
+export const describeOpenDeadline = (deadlineType?: DeadlineType): string =>
+  deadlineType === "rolling" ? "Rolling deadline" : "Deadline not announced";
+
 /**
  * Formats a date string to DD/MM/YYYY format (Indian standard)
  * @param dateString - ISO date string or any valid date string
@@ -81,10 +110,18 @@ export const formatDateTimeIndian = (dateString: string): string => {
 
 /**
  * Calculates time left until deadline and returns formatted string
- * @param deadline - ISO date string of the deadline
+ * @param deadline - ISO date string of the deadline, or null when not published
+ * @param deadlineType - Deadline type reported by the API
  * @returns Time left string or deadline passed message
  */
-export const getTimeLeftFromDeadline = (deadline: string): string => {
+export const getTimeLeftFromDeadline = (
+  deadline: string | null,
+  deadlineType?: DeadlineType
+): string => {
+  if (!deadline || !hasFixedDeadline(deadline, deadlineType)) {
+    return describeOpenDeadline(deadlineType);
+  }
+
   try {
     const now = new Date();
     const deadlineDate = new Date(deadline);
@@ -112,10 +149,18 @@ export const getTimeLeftFromDeadline = (deadline: string): string => {
 
 /**
  * Formats deadline for display - shows time left for near deadlines, date for far ones
- * @param deadline - ISO date string of the deadline
+ * @param deadline - ISO date string of the deadline, or null when not published
+ * @param deadlineType - Deadline type reported by the API
  * @returns Formatted deadline string
  */
-export const formatDeadlineDisplay = (deadline: string): string => {
+export const formatDeadlineDisplay = (
+  deadline: string | null,
+  deadlineType?: DeadlineType
+): string => {
+  if (!deadline || !hasFixedDeadline(deadline, deadlineType)) {
+    return describeOpenDeadline(deadlineType);
+  }
+
   try {
     const now = new Date();
     const deadlineDate = new Date(deadline);
@@ -139,3 +184,19 @@ export const formatDeadlineDisplay = (deadline: string): string => {
     return "Invalid deadline";
   }
 };
+
+/**
+ * Formats a deadline as a long date, or explains why there is no date
+ * @param deadline - ISO date string of the deadline, or null when not published
+ * @param deadlineType - Deadline type reported by the API
+ * @returns Long-format date or rolling/unannounced label
+ */
+export const formatDeadlineDate = (
+  deadline: string | null,
+  deadlineType?: DeadlineType
+): string => {
+  if (!deadline || !hasFixedDeadline(deadline, deadlineType)) {
+    return describeOpenDeadline(deadlineType);
+  }
+  return formatDateLong(deadline);
+};